@@ -1,7 +1,9 @@
 /**
  * AQUA PMS Video Campaign Configuration
  *
- * Pre-configured campaign for generating AQUA PMS promotional videos
+ * Pre-configured campaign for generating AQUA PMS promotional videos. Also registered as the
+ * `aqua-pms-video` campaign type (node main.js campaign aqua-pms-video), which voices the
+ * script below with the HeyGen avatar.
  */
 
 module.exports = {
@@ -103,6 +105,40 @@ module.exports = {
     text: 'Book Your Portfolio Review',
     url: 'https://plindia.com',
     buttonText: 'Schedule Call'
-  }
+  },
+
+  // Campaign type plugin (see frontend/backend/core/campaign-types.js)
+  icon: '💧',
+  description: 'AQUA PMS avatar video from the pre-written script',
+  platforms: ['linkedin'],
+  aspectRatios: ['16:9'],
+  defaults: {
+    topic: 'AQUA Quantitative PMS: 76% Returns Through Systematic Investing',
+    duration: 90
+  },
+  form: [
+    { name: 'topic', label: 'Campaign Topic', type: 'text', required: true },
+    { name: 'scriptText', label: 'Avatar Script (defaults to the AQUA script)', type: 'textarea' }
+  ],
+  stages: [
+    {
+      stage: 'video',
+      with: (options) => ({
+        platform: 'linkedin',
+        format: 'testimonial',
+        topic: options.topic,
+        duration: options.duration,
+        aspectRatio: '16:9',
+        useAvatar: true,
+        scriptText: options.scriptText || module.exports.script.trim(),
+        waitForCompletion: options.waitForCompletion
+      })
+    },
+    {
+      stage: 'publishing',
+      when: (options) => options.autoPublish,
+      with: (options, results) => ({ platform: 'linkedin', format: 'testimonial', topic: options.topic, videoUrl: results.video?.hostedUrl })
+    }
+  ]
 };
 
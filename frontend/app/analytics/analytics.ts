@@ -0,0 +1,333 @@
+// Joins the workflow buckets, metrics and provider spend into the rows the analytics page shows
+
+export const COUNT_FIELDS = [
+  'impressions',
+  'reach',
+  'clicks',
+  'engagements',
+  'likes',
+  'comments',
+  'shares',
+  'saves',
+  'videoViews',
+  'sends',
+  'opens',
+] as const
+
+export type CountField = (typeof COUNT_FIELDS)[number]
+
+export type Counts = Record<CountField, number | null>
+
+export type Metrics = Counts & {
+  ctr: number | null
+  engagementRate: number | null
+  openRate: number | null
+}
+
+type StateRecord = Record<string, any>
+
+export type Buckets = {
+  campaigns: Record<string, StateRecord>
+  content: Record<string, StateRecord>
+  visuals: Record<string, StateRecord>
+  videos: Record<string, StateRecord>
+  published: Record<string, StateRecord>
+  metrics: Record<string, StateRecord>
+}
+
+export type SpendCampaign = {
+  campaignId: string
+  totalUsd: number
+  calls: number
+}
+
+export type AnalyticsRow = Metrics & {
+  seriesId: string
+  publishedId: string
+  contentId: string | null
+  campaignId: string
+  campaign: string
+  platform: string
+  format: string
+  audience: string
+  topic: string
+  variantKey: string | null
+  publishedAt: string | null
+  updatedAt: string | null
+  url: string | null
+  thumbnail: string | null
+}
+
+export type Breakdown = Metrics & {
+  key: string
+  label: string
+  posts: number
+}
+
+export type CampaignCost = {
+  campaignId: string
+  campaign: string
+  spendUsd: number
+  assets: number
+  costPerAsset: number | null
+}
+
+export type Dimension = 'campaign' | 'platform' | 'format' | 'audience'
+
+function ratio(numerator: number | null, denominator: number | null) {
+  return numerator != null && denominator ? Number((numerator / denominator).toFixed(4)) : null
+}
+
+// Counts that add up to engagements when a platform doesn't report a total
+const ENGAGEMENT_FIELDS: CountField[] = ['likes', 'comments', 'shares', 'saves', 'clicks']
+
+/**
+ * Same engagements fallback and derived rates as the backend's normalizeMetrics (core/metrics-store.js)
+ */
+export function withRates(counts: Partial<Counts>): Metrics {
+  const metrics = {} as Counts
+  COUNT_FIELDS.forEach(field => {
+    const value = counts[field]
+    metrics[field] = typeof value === 'number' && Number.isFinite(value) ? value : null
+  })
+  if (metrics.engagements === null) {
+    const parts = ENGAGEMENT_FIELDS.map(field => metrics[field]).filter((value): value is number => value !== null)
+    metrics.engagements = parts.length > 0 ? parts.reduce((sum, value) => sum + value, 0) : null
+  }
+  return {
+    ...metrics,
+    ctr: ratio(metrics.clicks, metrics.impressions ?? metrics.sends),
+    engagementRate: ratio(metrics.engagements, metrics.impressions ?? metrics.reach),
+    openRate: ratio(metrics.opens, metrics.sends),
+  }
+}
+
+/**
+ * Send/open/click counts from a MoEngage campaign report, read like the backend's
+ * emailReportCounts (core/metrics-collector.js)
+ */
+export function emailReportCounts(report: any): Metrics {
+  const stats = report?.data?.stats || report?.stats || report?.data || report || {}
+  const pick = (...keys: string[]) => {
+    for (const key of keys) {
+      const value = Number(stats[key])
+      if (Number.isFinite(value)) return value
+    }
+    return 0
+  }
+  return withRates({
+    sends: pick('delivered', 'sent', 'total_sent'),
+    opens: pick('unique_opens', 'opens'),
+    clicks: pick('unique_clicks', 'clicks'),
+  })
+}
+
+/**
+ * Email series (published email records with MoEngage campaign ids, scheduled sends once their
+ * time has passed) that have no post-metrics entry yet, so the page can fetch their reports directly
+ */
+export function pendingEmailReports(buckets: Buckets) {
+  const known: Record<string, boolean> = {}
+  Object.values(buckets.metrics).forEach(entry => {
+    if (entry?.type === 'post-metrics') known[entry.seriesId] = true
+  })
+
+  const now = Date.now()
+  const pending: { seriesId: string; publishedId: string; contentId: string | null; variantKey: string | null; moengageCampaignId: string }[] = []
+  Object.values(buckets.published).forEach(record => {
+    if (record?.platform !== 'email') return
+    const sent = record.status === 'published' ||
+      (record.status === 'scheduled' && new Date(record.scheduledAt || 0).getTime() <= now)
+    if (!sent) return
+    if (Array.isArray(record.variants)) {
+      record.variants.forEach((variant: StateRecord) => {
+        const seriesId = `${record.id}:${variant.key}`
+        if (variant.moengageCampaignId && !known[seriesId]) {
+          pending.push({ seriesId, publishedId: record.id, contentId: variant.id || null, variantKey: variant.key, moengageCampaignId: variant.moengageCampaignId })
+        }
+      })
+    } else if (record.moengageCampaignId && !known[record.id]) {
+      pending.push({ seriesId: record.id, publishedId: record.id, contentId: record.contentId || null, variantKey: null, moengageCampaignId: record.moengageCampaignId })
+    }
+  })
+  return pending
+}
+
+const isHttp = (value: unknown): value is string => typeof value === 'string' && /^https?:\/\//i.test(value)
+
+const byNewest = (a: StateRecord, b: StateRecord) =>
+  new Date(b.completedAt || b.createdAt || 0).getTime() - new Date(a.completedAt || a.createdAt || 0).getTime()
+
+/**
+ * First hosted Stage 3 image of the topic (the platform's own render when there is one),
+ * or the YouTube thumbnail of the video
+ */
+function thumbnailFor(topic: string, platform: string, published: StateRecord | undefined, visuals: StateRecord[]) {
+  if (platform === 'youtube' && published?.videoId) {
+    return `https://i.ytimg.com/vi/${published.videoId}/hqdefault.jpg`
+  }
+  const sameTopic = visuals
+    .filter(entry => (entry.topic || '').trim() === topic && Array.isArray(entry.images))
+    .sort(byNewest)
+  const ordered = sameTopic.filter(entry => entry.platform === platform).concat(sameTopic)
+  for (const entry of ordered) {
+    const image = entry.images.find((img: StateRecord) => isHttp(img?.hostedUrl) || isHttp(img?.url))
+    if (image) return isHttp(image.hostedUrl) ? image.hostedUrl : image.url
+  }
+  return null
+}
+
+/**
+ * One row per series: the latest counts of a published post (or A/B variant) with the
+ * campaign, format and audience it belongs to
+ * @param reports - Counts fetched directly for pendingEmailReports(), by series id
+ */
+export function buildRows(buckets: Buckets, reports: Record<string, { metrics: Metrics; fetchedAt: string }> = {}): AnalyticsRow[] {
+  const visuals = Object.values(buckets.visuals).filter(Boolean)
+  const entries = Object.values(buckets.metrics).filter(entry => entry?.type === 'post-metrics')
+  pendingEmailReports(buckets).forEach(pending => {
+    const report = reports[pending.seriesId]
+    if (!report) return
+    const record = buckets.published[pending.publishedId]
+    entries.push({
+      seriesId: pending.seriesId,
+      publishedId: pending.publishedId,
+      contentId: pending.contentId,
+      campaignId: record?.campaignId || null,
+      platform: 'email',
+      topic: record?.topic,
+      variantKey: pending.variantKey,
+      metrics: report.metrics,
+      completedAt: report.fetchedAt,
+    })
+  })
+
+  return entries.map(entry => {
+    const published = buckets.published[entry.publishedId]
+    const content = entry.contentId ? buckets.content[entry.contentId] : undefined
+    const topic = (entry.topic || published?.topic || content?.topic || '').trim()
+    const campaignId = entry.campaignId || published?.campaignId || `topic:${topic}`
+    const campaign = buckets.campaigns[campaignId]
+
+    return {
+      ...withRates(entry.metrics || {}),
+      seriesId: entry.seriesId,
+      publishedId: entry.publishedId,
+      contentId: entry.contentId || null,
+      campaignId,
+      campaign: campaign?.topic || campaignId.replace(/^topic:/, '') || 'Unassigned',
+      platform: entry.platform,
+      format: published?.mediaType || (entry.platform === 'email' ? 'newsletter' : content?.contentType) || 'other',
+      audience: published?.audience || content?.targetAudience || campaign?.targetAudience || 'unspecified',
+      topic,
+      variantKey: entry.variantKey || null,
+      publishedAt: published?.publishedAt || null,
+      updatedAt: entry.completedAt || null,
+      url: published?.url || published?.permalink || null,
+      thumbnail: thumbnailFor(topic, entry.platform, published, visuals),
+    }
+  })
+}
+
+/**
+ * Counts added up per campaign, platform, format or audience, with rates recomputed from the totals
+ */
+export function breakdown(rows: AnalyticsRow[], dimension: Dimension): Breakdown[] {
+  const groups: Record<string, { label: string; posts: number; counts: Partial<Counts> }> = {}
+  rows.forEach(row => {
+    const key = dimension === 'campaign' ? row.campaignId : row[dimension]
+    const group = groups[key] || { label: row[dimension], posts: 0, counts: {} }
+    group.posts += 1
+    COUNT_FIELDS.forEach(field => {
+      const value = row[field]
+      if (value !== null) group.counts[field] = (group.counts[field] || 0) + value
+    })
+    groups[key] = group
+  })
+  return Object.entries(groups)
+    .map(([key, group]) => ({ key, label: group.label, posts: group.posts, ...withRates(group.counts) }))
+    .sort((a, b) => (b.engagements || 0) - (a.engagements || 0) || b.posts - a.posts)
+}
+
+/**
+ * Provider spend per campaign divided over the assets generated for its topic:
+ * Stage 2 records, Stage 3 images and Stage 4 videos
+ */
+export function campaignCosts(spend: SpendCampaign[], buckets: Buckets): CampaignCost[] {
+  const assetsByTopic: Record<string, number> = {}
+  const add = (topic: string | undefined, count: number) => {
+    const key = (topic || '').trim()
+    if (key) assetsByTopic[key] = (assetsByTopic[key] || 0) + count
+  }
+  Object.values(buckets.content).forEach(entry => add(entry?.topic, 1))
+  Object.values(buckets.visuals).forEach(entry => add(entry?.topic, Array.isArray(entry?.images) ? entry.images.length : 0))
+  Object.values(buckets.videos).forEach(entry => add(entry?.topic, 1))
+
+  return spend.map(item => {
+    const campaign = buckets.campaigns[item.campaignId]
+    const topic = campaign?.topic || (item.campaignId.startsWith('topic:') ? item.campaignId.slice('topic:'.length) : '')
+    const assets = assetsByTopic[topic.trim()] || 0
+    return {
+      campaignId: item.campaignId,
+      campaign: topic || item.campaignId,
+      spendUsd: item.totalUsd,
+      assets,
+      costPerAsset: assets > 0 ? Number((item.totalUsd / assets).toFixed(4)) : null,
+    }
+  })
+}
+
+function csvCell(value: unknown) {
+  if (value === null || value === undefined) return ''
+  const text = String(value)
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * CSV text with a header row, columns in the given order
+ */
+export function toCsv<T extends object>(rows: T[], columns: (keyof T & string)[]) {
+  const lines = [columns.join(',')]
+  rows.forEach(row => lines.push(columns.map(column => csvCell(row[column])).join(',')))
+  return lines.join('\n')
+}
+
+/**
+ * Breakdown rows as CSV; campaign rows get their spend, asset count and cost per asset
+ * @param costs - campaignCosts() for a campaign breakdown, [] otherwise
+ */
+export function breakdownCsv(groups: Breakdown[], costs: CampaignCost[]) {
+  const costByCampaign: Record<string, CampaignCost> = {}
+  costs.forEach(cost => { costByCampaign[cost.campaignId] = cost })
+  const rows = groups.map(group => ({
+    ...group,
+    spendUsd: costByCampaign[group.key]?.spendUsd ?? null,
+    assets: costByCampaign[group.key]?.assets ?? null,
+    costPerAsset: costByCampaign[group.key]?.costPerAsset ?? null,
+  }))
+  const columns: (keyof (typeof rows)[number] & string)[] = [
+    'key', 'label', 'posts', ...COUNT_FIELDS, 'ctr', 'engagementRate', 'openRate',
+    ...(costs.length > 0 ? (['spendUsd', 'assets', 'costPerAsset'] as const) : []),
+  ]
+  return toCsv(rows, columns)
+}
+
+export const ROW_CSV_COLUMNS: (keyof AnalyticsRow & string)[] = [
+  'seriesId',
+  'publishedId',
+  'contentId',
+  'campaignId',
+  'campaign',
+  'platform',
+  'format',
+  'audience',
+  'topic',
+  'variantKey',
+  'publishedAt',
+  'updatedAt',
+  'url',
+  ...COUNT_FIELDS,
+  'ctr',
+  'engagementRate',
+  'openRate',
+]
@@ -0,0 +1,469 @@
+'use client'
+
+import { useCallback, useEffect, useMemo, useState } from 'react'
+import {
+  ROW_CSV_COLUMNS,
+  breakdown,
+  breakdownCsv,
+  buildRows,
+  campaignCosts,
+  emailReportCounts,
+  pendingEmailReports,
+  toCsv,
+  type AnalyticsRow,
+  type Breakdown,
+  type Buckets,
+  type CampaignCost,
+  type CountField,
+  type Dimension,
+  type Metrics,
+  type SpendCampaign,
+} from './analytics'
+
+type DailyPoint = Metrics & { date: string; platform: string; posts: number }
+
+const PLATFORMS: Record<string, { label: string; icon: string; color: string }> = {
+  linkedin: { label: 'LinkedIn', icon: '🔗', color: '#0a66c2' },
+  instagram: { label: 'Instagram', icon: '📸', color: '#e1306c' },
+  facebook: { label: 'Facebook', icon: '👥', color: '#1877f2' },
+  twitter: { label: 'Twitter/X', icon: '🐦', color: '#0f172a' },
+  youtube: { label: 'YouTube', icon: '📺', color: '#ff0000' },
+  email: { label: 'Email', icon: '📧', color: '#16a34a' },
+}
+
+const RANGES = [
+  { value: '7', label: 'Last 7 days' },
+  { value: '30', label: 'Last 30 days' },
+  { value: '90', label: 'Last 90 days' },
+  { value: 'all', label: 'All time' },
+]
+
+const DIMENSIONS: { value: Dimension; label: string }[] = [
+  { value: 'campaign', label: 'Campaign' },
+  { value: 'platform', label: 'Platform' },
+  { value: 'format', label: 'Format' },
+  { value: 'audience', label: 'Audience' },
+]
+
+const TREND_METRICS: { value: CountField; label: string }[] = [
+  { value: 'impressions', label: 'Impressions' },
+  { value: 'engagements', label: 'Engagements' },
+  { value: 'clicks', label: 'Clicks' },
+  { value: 'videoViews', label: 'Video views' },
+  { value: 'opens', label: 'Email opens' },
+]
+
+const STAGE_BUCKETS: Record<number, keyof Buckets> = {
+  1: 'campaigns',
+  2: 'content',
+  3: 'visuals',
+  4: 'videos',
+  5: 'published',
+  6: 'metrics',
+}
+
+// Email series without collected metrics are read straight from MoEngage, a few at a time
+const MAX_DIRECT_REPORTS = 20
+
+function formatCount(value: number | null) {
+  return value === null ? '—' : value.toLocaleString()
+}
+
+function formatRate(value: number | null) {
+  return value === null ? '—' : `${(value * 100).toFixed(2)}%`
+}
+
+function platformLabel(platform: string) {
+  const config = PLATFORMS[platform]
+  return config ? `${config.icon} ${config.label}` : platform
+}
+
+function downloadCsv(filename: string, csv: string) {
+  const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv;charset=utf-8' }))
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  link.click()
+  URL.revokeObjectURL(url)
+}
+
+async function fetchJson(url: string) {
+  const response = await fetch(url)
+  const data = await response.json()
+  if (!response.ok) throw new Error(data.error || `Request failed: ${url}`)
+  return data
+}
+
+export default function AnalyticsPage() {
+  const [range, setRange] = useState('30')
+  const [platform, setPlatform] = useState('all')
+  const [dimension, setDimension] = useState<Dimension>('campaign')
+  const [trendMetric, setTrendMetric] = useState<CountField>('impressions')
+  const [buckets, setBuckets] = useState<Buckets | null>(null)
+  const [reports, setReports] = useState<Record<string, { metrics: Metrics; fetchedAt: string }>>({})
+  const [daily, setDaily] = useState<DailyPoint[]>([])
+  const [spend, setSpend] = useState<SpendCampaign[]>([])
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState<string | null>(null)
+
+  const since = useMemo(
+    () => (range === 'all' ? null : new Date(Date.now() - Number(range) * 24 * 60 * 60 * 1000).toISOString()),
+    [range]
+  )
+
+  const load = useCallback(async () => {
+    setLoading(true)
+    setError(null)
+    try {
+      const stageData = await Promise.all(
+        Object.keys(STAGE_BUCKETS).map(stageId => fetchJson(`/api/workflow/data?stage=${stageId}`))
+      )
+      const loaded = {} as Buckets
+      Object.keys(STAGE_BUCKETS).forEach((stageId, index) => {
+        loaded[STAGE_BUCKETS[Number(stageId)]] = stageData[index].data || {}
+      })
+
+      const query = new URLSearchParams()
+      if (since) query.set('from', since)
+      if (platform !== 'all') query.set('platform', platform)
+      const [metricsData, spendData] = await Promise.all([
+        fetchJson(`/api/metrics?${query}`),
+        fetchJson(`/api/spend${since ? `?since=${encodeURIComponent(since)}` : ''}`),
+      ])
+
+      // Split-test campaigns the collector has not pulled yet (MoEngage not configured is not an error here)
+      const direct: Record<string, { metrics: Metrics; fetchedAt: string }> = {}
+      for (const pending of pendingEmailReports(loaded).slice(0, MAX_DIRECT_REPORTS)) {
+        try {
+          const report = await fetchJson(`/api/moengage/report?kind=campaign&campaignId=${encodeURIComponent(pending.moengageCampaignId)}`)
+          direct[pending.seriesId] = { metrics: emailReportCounts(report.data), fetchedAt: new Date().toISOString() }
+        } catch (reportError) {
+          console.error(`MoEngage report for ${pending.seriesId} failed:`, reportError)
+        }
+      }
+
+      setBuckets(loaded)
+      setReports(direct)
+      setDaily(Array.isArray(metricsData.daily) ? metricsData.daily : [])
+      setSpend(Array.isArray(spendData.campaigns) ? spendData.campaigns : [])
+    } catch (loadError) {
+      setError(loadError instanceof Error ? loadError.message : 'Failed to load analytics')
+    } finally {
+      setLoading(false)
+    }
+  }, [since, platform])
+
+  useEffect(() => {
+    load()
+  }, [load])
+
+  const rows = useMemo(() => {
+    if (!buckets) return []
+    const cutoff = since ? new Date(since).getTime() : 0
+    return buildRows(buckets, reports).filter(row =>
+      (platform === 'all' || row.platform === platform) &&
+      new Date(row.publishedAt || row.updatedAt || 0).getTime() >= cutoff
+    )
+  }, [buckets, reports, platform, since])
+
+  const groups = useMemo(() => breakdown(rows, dimension), [rows, dimension])
+  const costs = useMemo(() => (buckets ? campaignCosts(spend, buckets) : []), [spend, buckets])
+  const totals = useMemo(() => breakdown(rows.map(row => ({ ...row, platform: 'all' })), 'platform')[0] || null, [rows])
+  const totalSpend = costs.reduce((sum, cost) => sum + cost.spendUsd, 0)
+  const topCreatives = useMemo(() => rows
+    .filter(row => (row.engagements || row.clicks || row.opens || 0) > 0)
+    .sort((a, b) => (b.engagements || b.clicks || b.opens || 0) - (a.engagements || a.clicks || a.opens || 0))
+    .slice(0, 8), [rows])
+
+  const today = new Date().toISOString().slice(0, 10)
+  const exportRows = () => downloadCsv(`analytics-posts-${today}.csv`, toCsv(rows, ROW_CSV_COLUMNS))
+  const exportBreakdown = () => downloadCsv(
+    `analytics-by-${dimension}-${today}.csv`,
+    breakdownCsv(groups, dimension === 'campaign' ? costs : [])
+  )
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-50 to-gray-100 p-8">
+      <div className="max-w-7xl mx-auto space-y-8">
+        {/* Header */}
+        <div className="bg-white rounded-lg shadow-lg p-8">
+          <div className="flex items-start justify-between gap-4">
+            <div>
+              <h1 className="text-4xl font-bold text-gray-800 mb-2">📊 Campaign Analytics</h1>
+              <p className="text-gray-600 text-lg">How published campaigns performed, and what they cost</p>
+            </div>
+            <a href="/" className="text-sm px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors">
+              ← Back to workflow
+            </a>
+          </div>
+
+          <div className="mt-6 flex flex-wrap items-center gap-3">
+            <select
+              value={range}
+              onChange={event => setRange(event.target.value)}
+              className="px-3 py-2 border-2 border-gray-200 rounded-lg text-sm"
+            >
+              {RANGES.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+            </select>
+            <select
+              value={platform}
+              onChange={event => setPlatform(event.target.value)}
+              className="px-3 py-2 border-2 border-gray-200 rounded-lg text-sm"
+            >
+              <option value="all">All platforms</option>
+              {Object.keys(PLATFORMS).map(key => <option key={key} value={key}>{platformLabel(key)}</option>)}
+            </select>
+            <button
+              onClick={load}
+              disabled={loading}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700 disabled:opacity-50 transition-colors"
+            >
+              {loading ? 'Loading...' : '🔄 Refresh'}
+            </button>
+            <button
+              onClick={exportRows}
+              disabled={rows.length === 0}
+              className="px-4 py-2 bg-green-600 text-white rounded-lg text-sm hover:bg-green-700 disabled:opacity-50 transition-colors"
+            >
+              ⬇️ Posts CSV
+            </button>
+          </div>
+          {error && <p className="mt-4 text-sm text-red-700">❌ {error}</p>}
+        </div>
+
+        {/* Summary */}
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+          <SummaryCard label="Posts tracked" value={rows.length.toLocaleString()} />
+          <SummaryCard label="Impressions" value={formatCount(totals?.impressions ?? null)} />
+          <SummaryCard label="Engagements" value={formatCount(totals?.engagements ?? null)} note={`${formatRate(totals?.engagementRate ?? null)} engagement rate`} />
+          <SummaryCard label="Clicks" value={formatCount(totals?.clicks ?? null)} note={`${formatRate(totals?.ctr ?? null)} CTR`} />
+          <SummaryCard label="Video views" value={formatCount(totals?.videoViews ?? null)} />
+          <SummaryCard label="Emails sent" value={formatCount(totals?.sends ?? null)} />
+          <SummaryCard label="Email opens" value={formatCount(totals?.opens ?? null)} note={`${formatRate(totals?.openRate ?? null)} open rate`} />
+          <SummaryCard label="Provider spend" value={`$${totalSpend.toFixed(2)}`} note="Image and text generation" />
+        </div>
+
+        {/* Trend */}
+        <div className="bg-white rounded-lg shadow-lg p-8">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-2xl font-semibold text-gray-800">📈 Trend</h2>
+            <select
+              value={trendMetric}
+              onChange={event => setTrendMetric(event.target.value as CountField)}
+              className="px-3 py-2 border-2 border-gray-200 rounded-lg text-sm"
+            >
+              {TREND_METRICS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+            </select>
+          </div>
+          <TrendChart points={daily} metric={trendMetric} />
+        </div>
+
+        {/* Breakdown */}
+        <div className="bg-white rounded-lg shadow-lg p-8">
+          <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+            <h2 className="text-2xl font-semibold text-gray-800">🧮 Breakdown</h2>
+            <div className="flex items-center gap-2">
+              {DIMENSIONS.map(option => (
+                <button
+                  key={option.value}
+                  onClick={() => setDimension(option.value)}
+                  className={`px-3 py-1 rounded-lg text-sm transition-colors ${
+                    dimension === option.value ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                  }`}
+                >
+                  {option.label}
+                </button>
+              ))}
+              <button
+                onClick={exportBreakdown}
+                disabled={groups.length === 0}
+                className="ml-2 px-3 py-1 bg-green-600 text-white rounded-lg text-sm hover:bg-green-700 disabled:opacity-50 transition-colors"
+              >
+                ⬇️ CSV
+              </button>
+            </div>
+          </div>
+          <BreakdownTable groups={groups} dimension={dimension} costs={costs} />
+        </div>
+
+        {/* Top creatives */}
+        <div className="bg-white rounded-lg shadow-lg p-8">
+          <h2 className="text-2xl font-semibold text-gray-800 mb-4">🏆 Top-performing creatives</h2>
+          {topCreatives.length === 0 ? (
+            <p className="text-sm text-gray-500">No engagement recorded yet. Run Stage 6 or `node main.js metrics pull`.</p>
+          ) : (
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+              {topCreatives.map(row => <CreativeCard key={row.seriesId} row={row} />)}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+function SummaryCard({ label, value, note }: { label: string; value: string; note?: string }) {
+  return (
+    <div className="bg-white rounded-lg shadow p-4">
+      <p className="text-xs text-gray-500 uppercase tracking-wide">{label}</p>
+      <p className="text-2xl font-semibold text-gray-800 mt-1">{value}</p>
+      {note && <p className="text-xs text-gray-500 mt-1">{note}</p>}
+    </div>
+  )
+}
+
+function TrendChart({ points, metric }: { points: DailyPoint[]; metric: CountField }) {
+  const dates = Array.from(new Set(points.map(point => point.date))).sort()
+  const platforms = Array.from(new Set(points.filter(point => point[metric] !== null).map(point => point.platform)))
+  if (dates.length === 0 || platforms.length === 0) {
+    return <p className="text-sm text-gray-500">No snapshots for this metric in the selected range.</p>
+  }
+
+  const width = 800
+  const height = 240
+  const padding = 40
+  const max = Math.max(1, ...points.map(point => point[metric] || 0))
+  const x = (index: number) => padding + (dates.length === 1 ? (width - 2 * padding) / 2 : (index * (width - 2 * padding)) / (dates.length - 1))
+  const y = (value: number) => height - padding - (value / max) * (height - 2 * padding)
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-auto">
+        <line x1={padding} y1={height - padding} x2={width - padding} y2={height - padding} stroke="#e5e7eb" />
+        <text x={padding - 6} y={padding} textAnchor="end" fontSize="11" fill="#6b7280">{max.toLocaleString()}</text>
+        <text x={padding - 6} y={height - padding} textAnchor="end" fontSize="11" fill="#6b7280">0</text>
+        <text x={x(0)} y={height - padding + 16} textAnchor="middle" fontSize="11" fill="#6b7280">{dates[0]}</text>
+        {dates.length > 1 && (
+          <text x={x(dates.length - 1)} y={height - padding + 16} textAnchor="middle" fontSize="11" fill="#6b7280">{dates[dates.length - 1]}</text>
+        )}
+        {platforms.map(platform => {
+          const series = dates
+            .map((date, index) => ({ index, point: points.find(point => point.date === date && point.platform === platform) }))
+            .filter(({ point }) => point && point[metric] !== null)
+          const color = PLATFORMS[platform]?.color || '#6b7280'
+          return (
+            <g key={platform}>
+              <polyline
+                fill="none"
+                stroke={color}
+                strokeWidth="2"
+                points={series.map(({ index, point }) => `${x(index)},${y(point![metric] || 0)}`).join(' ')}
+              />
+              {series.map(({ index, point }) => (
+                <circle key={index} cx={x(index)} cy={y(point![metric] || 0)} r="3" fill={color}>
+                  <title>{`${platform} ${point!.date}: ${(point![metric] || 0).toLocaleString()}`}</title>
+                </circle>
+              ))}
+            </g>
+          )
+        })}
+      </svg>
+      <div className="flex flex-wrap gap-4 mt-2">
+        {platforms.map(platform => (
+          <span key={platform} className="flex items-center gap-1 text-xs text-gray-600">
+            <span className="inline-block w-3 h-3 rounded-full" style={{ backgroundColor: PLATFORMS[platform]?.color || '#6b7280' }} />
+            {platformLabel(platform)}
+          </span>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+function BreakdownTable({ groups, dimension, costs }: { groups: Breakdown[]; dimension: Dimension; costs: CampaignCost[] }) {
+  if (groups.length === 0) {
+    return <p className="text-sm text-gray-500">No metrics in the selected range.</p>
+  }
+  const costByCampaign: Record<string, CampaignCost> = {}
+  costs.forEach(cost => { costByCampaign[cost.campaignId] = cost })
+  const maxEngagements = Math.max(1, ...groups.map(group => group.engagements || 0))
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left text-gray-500 border-b">
+            <th className="py-2 pr-4">{DIMENSIONS.find(option => option.value === dimension)?.label}</th>
+            <th className="py-2 pr-4 text-right">Posts</th>
+            <th className="py-2 pr-4 text-right">Impressions</th>
+            <th className="py-2 pr-4">Engagements</th>
+            <th className="py-2 pr-4 text-right">Clicks</th>
+            <th className="py-2 pr-4 text-right">CTR</th>
+            <th className="py-2 pr-4 text-right">Views</th>
+            <th className="py-2 pr-4 text-right">Opens</th>
+            {dimension === 'campaign' && (
+              <>
+                <th className="py-2 pr-4 text-right">Spend</th>
+                <th className="py-2 pr-4 text-right">Assets</th>
+                <th className="py-2 text-right">Cost / asset</th>
+              </>
+            )}
+          </tr>
+        </thead>
+        <tbody>
+          {groups.map(group => {
+            const cost = costByCampaign[group.key]
+            return (
+              <tr key={group.key} className="border-b last:border-0">
+                <td className="py-2 pr-4 font-medium text-gray-800">
+                  {dimension === 'platform' ? platformLabel(group.label) : group.label}
+                </td>
+                <td className="py-2 pr-4 text-right">{group.posts}</td>
+                <td className="py-2 pr-4 text-right">{formatCount(group.impressions)}</td>
+                <td className="py-2 pr-4">
+                  <div className="flex items-center gap-2">
+                    <div className="w-24 bg-gray-100 rounded-full h-2 overflow-hidden">
+                      <div className="bg-blue-500 h-2 rounded-full" style={{ width: `${((group.engagements || 0) / maxEngagements) * 100}%` }} />
+                    </div>
+                    <span>{formatCount(group.engagements)}</span>
+                  </div>
+                </td>
+                <td className="py-2 pr-4 text-right">{formatCount(group.clicks)}</td>
+                <td className="py-2 pr-4 text-right">{formatRate(group.ctr)}</td>
+                <td className="py-2 pr-4 text-right">{formatCount(group.videoViews)}</td>
+                <td className="py-2 pr-4 text-right">{formatCount(group.opens)}</td>
+                {dimension === 'campaign' && (
+                  <>
+                    <td className="py-2 pr-4 text-right">{cost ? `$${cost.spendUsd.toFixed(2)}` : '—'}</td>
+                    <td className="py-2 pr-4 text-right">{cost ? cost.assets : '—'}</td>
+                    <td className="py-2 text-right">{cost?.costPerAsset != null ? `$${cost.costPerAsset.toFixed(3)}` : '—'}</td>
+                  </>
+                )}
+              </tr>
+            )
+          })}
+        </tbody>
+      </table>
+    </div>
+  )
+}
+
+function CreativeCard({ row }: { row: AnalyticsRow }) {
+  return (
+    <div className="border-2 border-gray-200 rounded-lg overflow-hidden">
+      {row.thumbnail ? (
+        <img src={row.thumbnail} alt={row.topic} className="w-full h-40 object-cover bg-gray-100" />
+      ) : (
+        <div className="w-full h-40 bg-gray-100 flex items-center justify-center text-4xl">
+          {PLATFORMS[row.platform]?.icon || '📄'}
+        </div>
+      )}
+      <div className="p-3 space-y-1">
+        <p className="text-xs text-gray-500">
+          {platformLabel(row.platform)} · {row.format}{row.variantKey ? ` · variant ${row.variantKey}` : ''}
+        </p>
+        <p className="text-sm font-medium text-gray-800 line-clamp-2">{row.topic || row.seriesId}</p>
+        <p className="text-xs text-gray-600">
+          {row.engagements !== null && `${formatCount(row.engagements)} engagements · `}
+          {row.clicks !== null && `${formatCount(row.clicks)} clicks · `}
+          {row.opens !== null ? `${formatRate(row.openRate)} opened` : `${formatRate(row.engagementRate ?? row.ctr)} ${row.engagementRate !== null ? 'engagement' : 'CTR'}`}
+        </p>
+        {row.url && (
+          <a href={row.url} target="_blank" rel="noopener noreferrer" className="text-xs text-blue-600 hover:underline">
+            👁️ View post
+          </a>
+        )}
+      </div>
+    </div>
+  )
+}
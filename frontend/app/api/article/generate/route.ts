@@ -3,8 +3,15 @@ import {
   GetObjectCommand,
   S3Client,
 } from "@aws-sdk/client-s3";
-import { GoogleGenAI } from "@google/genai";
 import { NextRequest, NextResponse } from "next/server";
+import { withGenerationCache } from "../../generation-cache";
+import { getTextClient } from "../../text-client";
+
+// Shared SEBI compliance rules (CommonJS backend module)
+// eslint-disable-next-line @typescript-eslint/no-var-requires
+const { hasAdvisoryLanguage } = require("../../../../backend/core/compliance-checker") as {
+  hasAdvisoryLanguage: (text: string) => boolean;
+};
 
 export const runtime = "nodejs";
 export const dynamic = "force-dynamic";
@@ -611,16 +618,6 @@ function coerceArticlePayload(candidate: any): any {
   };
 }
 
-function hasAdvisoryLanguage(text: string): boolean {
-  const t = text.toLowerCase();
-  const advisory = [
-    /\b(buy|sell|hold|invest|accumulate|book profits?)\b/,
-    /\b(should you|what should investors|our recommendation|recommend(ed|ation)?)\b/,
-    /\b(strategy|strategies|tips?|how to profit|trading call)\b/,
-  ];
-  return advisory.some((pattern) => pattern.test(t));
-}
-
 function countBodyWords(text: string): number {
   return text
     .replace(/\nSources:[\s\S]*$/i, "")
@@ -1209,29 +1206,6 @@ function isSchemaLikeBody(text: string): boolean {
   return jsonSignals >= 20 && sentenceSignals <= 4;
 }
 
-async function getGeminiText(response: any): Promise<string> {
-  if (!response) return "";
-  try {
-    if (typeof response.text === "function") {
-      const maybe = response.text();
-      if (maybe && typeof maybe.then === "function") return await maybe;
-      return maybe || "";
-    }
-  } catch {
-    // ignore and continue
-  }
-
-  if (typeof response.text === "string") return response.text;
-  const parts = response?.candidates?.[0]?.content?.parts;
-  if (Array.isArray(parts)) {
-    return parts
-      .map((p: any) => (typeof p?.text === "string" ? p.text : ""))
-      .filter(Boolean)
-      .join("");
-  }
-  return "";
-}
-
 function collectGroundedSources(
   response: any,
 ): Array<{ title: string; url: string }> {
@@ -1527,7 +1501,7 @@ function normalizeForMatch(text: string): string {
     .trim();
 }
 
-export async function POST(request: NextRequest) {
+async function generate(request: NextRequest) {
   let refsToCleanup: Array<{
     fileId?: string;
     bucket?: string;
@@ -1536,8 +1510,8 @@ export async function POST(request: NextRequest) {
     url?: string;
   }> = [];
   try {
-    const geminiApiKey = process.env.GEMINI_API_KEY || "";
-    if (!geminiApiKey) {
+    const textClient = getTextClient();
+    if (!textClient.isAvailable("article", { webSearch: true })) {
       return NextResponse.json(
         { error: "GEMINI_API_KEY is not set" },
         { status: 500 },
@@ -1553,7 +1527,6 @@ export async function POST(request: NextRequest) {
       return NextResponse.json({ error: "Topic is required" }, { status: 400 });
     }
 
-    const ai = new GoogleGenAI({ apiKey: geminiApiKey });
     const language = body.language || "english";
     const purpose = body.purpose || "brand-awareness";
     const targetAudience = body.targetAudience || "all_clients";
@@ -1805,18 +1778,18 @@ export async function POST(request: NextRequest) {
       const refinementStartedAt = Date.now();
       try {
         const seedBody = stripGeneratedTailBlocks(seedArticleText);
-        const contents = [
+        const messages = [
           {
             role: "user" as const,
-            parts: [
+            content: [
               {
                 text: "Current article draft (preserve unless explicitly changed):",
               },
             ],
           },
           {
-            role: "model" as const,
-            parts: [
+            role: "assistant" as const,
+            content: [
               {
                 text: `HEADLINE: ${seedHeadline || ""}\nSUMMARY: ${seedSummary || ""}\nBODY:\n${seedBody}`.trim(),
               },
@@ -1824,20 +1797,18 @@ export async function POST(request: NextRequest) {
           },
           {
             role: "user" as const,
-            parts: [{ text: refinementPromptDetailed }, ...pdfParts],
+            content: [{ text: refinementPromptDetailed }, ...pdfParts],
           },
         ];
-        const response = await ai.models.generateContent({
-          model: MODEL,
-          contents,
-          config: {
-            temperature: 0.05,
-            maxOutputTokens: 3072,
-            tools: [{ googleSearch: {} }],
-            seed: resolvedSeed,
-          },
+        const response = await textClient.generate("article", {
+          messages,
+          models: { gemini: MODEL },
+          temperature: 0.05,
+          maxTokens: 3072,
+          webSearch: true,
+          seed: resolvedSeed,
         });
-        const raw = await getGeminiText(response);
+        const raw = response.text;
         lastRaw = raw;
         const blocks = parseRefinementBlocks(raw);
         const refinedHeadline = cleanupTextArtifacts(
@@ -1868,7 +1839,7 @@ export async function POST(request: NextRequest) {
             : [],
           faqSchema: seedFaqSchema || undefined,
         };
-        responseForSources = response;
+        responseForSources = response.raw;
         retryTrace.push({
           attempt: 1,
           promptVariant: "refine-single-pass",
@@ -1915,24 +1886,21 @@ export async function POST(request: NextRequest) {
       const attempt = attempts[index];
       const attemptStartedAt = Date.now();
       try {
-        const requestContents = [
-          {
-            role: "user" as const,
-            parts: [{ text: attempt.prompt }, ...pdfParts],
-          },
-        ];
-        const response = await ai.models.generateContent({
-          model: MODEL,
-          contents: requestContents,
-          config: {
-            temperature: 0.3,
-            maxOutputTokens: attempt.maxOutputTokens,
-            tools: [{ googleSearch: {} }],
-            seed: resolvedSeed,
-          },
+        const response = await textClient.generate("article", {
+          messages: [
+            {
+              role: "user",
+              content: [{ text: attempt.prompt }, ...pdfParts],
+            },
+          ],
+          models: { gemini: MODEL },
+          temperature: 0.3,
+          maxTokens: attempt.maxOutputTokens,
+          webSearch: true,
+          seed: resolvedSeed,
         });
 
-        const raw = await getGeminiText(response);
+        const raw = response.text;
         lastRaw = raw;
 
         const candidate = parseRawArticleOutput(raw, topic);
@@ -2028,7 +1996,7 @@ export async function POST(request: NextRequest) {
           elapsedMs: Date.now() - attemptStartedAt,
         });
         parsed = candidate;
-        responseForSources = response;
+        responseForSources = response.raw;
         break;
       } catch (err) {
         retryTrace.push({
@@ -2082,20 +2050,18 @@ export async function POST(request: NextRequest) {
             : "- Write 4-6 solid paragraphs with clear market context.",
         ].join("\n");
 
-        const salvageResponse = await ai.models.generateContent({
-          model: MODEL,
-          contents: [
-            { role: "user" as const, parts: [{ text: salvagePrompt }, ...pdfParts] },
+        const salvageResponse = await textClient.generate("article", {
+          messages: [
+            { role: "user", content: [{ text: salvagePrompt }, ...pdfParts] },
           ],
-          config: {
-            temperature: 0.2,
-            maxOutputTokens: 2600,
-            tools: [{ googleSearch: {} }],
-            seed: resolvedSeed,
-          },
+          models: { gemini: MODEL },
+          temperature: 0.2,
+          maxTokens: 2600,
+          webSearch: true,
+          seed: resolvedSeed,
         });
 
-        const salvageRaw = await getGeminiText(salvageResponse);
+        const salvageRaw = salvageResponse.text;
         const salvageCandidate = parseRawArticleOutput(salvageRaw, topic);
         const sHeadline = String(salvageCandidate?.headline || "").trim();
         const sSummary = String(salvageCandidate?.summary || "").trim();
@@ -2124,7 +2090,7 @@ export async function POST(request: NextRequest) {
             ...salvageCandidate,
             articleHtml: articleTextToHtml(sArticleText),
           };
-          responseForSources = salvageResponse;
+          responseForSources = salvageResponse.raw;
         } else {
           retryTrace.push({
             attempt: retryTrace.length + 1,
@@ -2219,18 +2185,14 @@ export async function POST(request: NextRequest) {
           `Current summary:\n${seedSummary}`,
           "Return only the revised summary text in 2-3 sentences. No labels.",
         ].join("\n");
-        const summaryResp = await ai.models.generateContent({
-          model: MODEL,
-          contents: [{ role: "user" as const, parts: [{ text: summaryRewritePrompt }] }],
-          config: {
-            temperature: 0.05,
-            maxOutputTokens: 220,
-            seed: resolvedSeed,
-          },
+        const summaryResp = await textClient.generate("article", {
+          prompt: summaryRewritePrompt,
+          models: { gemini: MODEL },
+          temperature: 0.05,
+          maxTokens: 220,
+          seed: resolvedSeed,
         });
-        const summaryRaw = cleanupTextArtifacts(
-          await getGeminiText(summaryResp),
-        );
+        const summaryRaw = cleanupTextArtifacts(summaryResp.text);
         if (
           summaryRaw &&
           normalizeForMatch(summaryRaw) !== normalizeForMatch(seedSummary)
@@ -2468,3 +2430,6 @@ export async function POST(request: NextRequest) {
     await cleanupR2Refs(refsToCleanup);
   }
 }
+
+// Articles are grounded in live Google Search results, so a cached one is only reused the same day
+export const POST = withGenerationCache('article-content', generate, { model: MODEL, ttlHours: 3, daily: true });
@@ -0,0 +1,60 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { getBrandStore, type BrandProfile } from '../utils'
+
+export const runtime = 'nodejs'
+export const dynamic = 'force-dynamic'
+
+type Params = { params: { brandId: string } }
+
+function errorResponse(error: any, fallback: string) {
+  if (error?.code === 'INVALID_BRAND') {
+    return NextResponse.json({ error: error.message }, { status: 400 })
+  }
+  return NextResponse.json(
+    { error: error instanceof Error ? error.message : fallback },
+    { status: 500 }
+  )
+}
+
+export async function GET(_request: NextRequest, { params }: Params) {
+  const brand: BrandProfile | null = getBrandStore().get(String(params?.brandId || '').trim())
+  if (!brand) {
+    return NextResponse.json({ error: 'Brand not found' }, { status: 404 })
+  }
+  return NextResponse.json({ brand })
+}
+
+/**
+ * PUT /api/brands/:brandId — deep-merge changes into a profile (null removes a field)
+ */
+export async function PUT(request: NextRequest, { params }: Params) {
+  try {
+    const body = await request.json()
+    const brand: BrandProfile | null = getBrandStore().update(String(params?.brandId || '').trim(), body)
+    if (!brand) {
+      return NextResponse.json({ error: 'Brand not found' }, { status: 404 })
+    }
+    return NextResponse.json({ ok: true, brand })
+  } catch (error: any) {
+    return errorResponse(error, 'Failed to update brand')
+  }
+}
+
+/**
+ * DELETE /api/brands/:brandId — the built-in profile, and profiles still used by scheduled
+ * publishes, queued jobs or unfinished campaigns, cannot be deleted (409)
+ */
+export async function DELETE(_request: NextRequest, { params }: Params) {
+  try {
+    const deleted = getBrandStore().delete(String(params?.brandId || '').trim())
+    if (!deleted) {
+      return NextResponse.json({ error: 'Brand not found' }, { status: 404 })
+    }
+    return NextResponse.json({ ok: true })
+  } catch (error: any) {
+    if (error?.code === 'INVALID_BRAND') {
+      return NextResponse.json({ error: error.message }, { status: 409 })
+    }
+    return errorResponse(error, 'Failed to delete brand')
+  }
+}
@@ -0,0 +1,36 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { getBrandStore, type BrandProfile } from './utils'
+
+export const runtime = 'nodejs'
+export const dynamic = 'force-dynamic'
+
+/**
+ * GET /api/brands
+ * Lists brand profiles; the built-in PL Capital profile comes first.
+ */
+export async function GET() {
+  const brands: BrandProfile[] = getBrandStore().list()
+  return NextResponse.json({ brands })
+}
+
+/**
+ * POST /api/brands
+ * Creates a brand profile. Body has the brandConfig shape (company, colors, typography,
+ * assets.logos, compliance, ...); `id` defaults to a slug of company.shortName.
+ */
+export async function POST(request: NextRequest) {
+  try {
+    const body = await request.json()
+    const created = getBrandStore().create(body)
+    const brand: BrandProfile = getBrandStore().get(created.id)
+    return NextResponse.json({ ok: true, brand }, { status: 201 })
+  } catch (error: any) {
+    if (error?.code === 'INVALID_BRAND') {
+      return NextResponse.json({ error: error.message }, { status: 400 })
+    }
+    return NextResponse.json(
+      { error: error instanceof Error ? error.message : 'Failed to create brand' },
+      { status: 500 }
+    )
+  }
+}
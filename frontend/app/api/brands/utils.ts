@@ -0,0 +1,46 @@
+import path from 'path'
+
+// Use CommonJS export to avoid bundler issues with shared backend code
+// eslint-disable-next-line @typescript-eslint/no-var-requires
+const BrandStore = require('../../../backend/core/brand-store')
+
+export const DEFAULT_BRAND_ID: string = BrandStore.DEFAULT_BRAND_ID
+
+export type BrandProfile = {
+  id: string
+  builtIn?: boolean
+  company: { name: string; shortName: string; website?: string; tagline?: string }
+  colors: {
+    primary: Record<string, string>
+    secondary?: Record<string, string>
+    neutral?: Record<string, string>
+    roles?: Record<string, string>
+    gradients?: Record<string, string>
+  }
+  typography?: { primary?: { family?: string; fallback?: string } }
+  assets?: { logos?: { primary?: { url?: string; file?: string; description?: string } } }
+  compliance?: {
+    standardDisclaimer?: string
+    regulatoryText?: string
+    disclaimer?: { short?: string; medium?: string; long?: string }
+    requiredForAudiences?: Record<string, boolean>
+  }
+  [key: string]: any
+}
+
+let store: any = null
+
+/**
+ * Brand profile store (backend/data/brand-profiles.db) shared with `main.js --brand`
+ */
+export function getBrandStore() {
+  if (!store) store = new BrandStore(path.join(process.cwd(), 'backend', 'data'))
+  return store
+}
+
+/**
+ * Resolved profile (brandConfig shape with helpers) for a request's brandId
+ */
+export function resolveBrand(brandId?: string | null) {
+  return getBrandStore().resolve(brandId || undefined)
+}
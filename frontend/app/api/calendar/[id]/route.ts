@@ -0,0 +1,28 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { getCalendarStore, type ContentCalendar } from '../utils'
+
+export const runtime = 'nodejs'
+export const dynamic = 'force-dynamic'
+
+type Params = { params: { id: string } }
+
+/**
+ * GET /api/calendar/:id — one calendar with its slots
+ */
+export async function GET(_request: NextRequest, { params }: Params) {
+  const calendar: ContentCalendar | null = getCalendarStore().get(String(params?.id || '').trim())
+  if (!calendar) {
+    return NextResponse.json({ error: 'Calendar not found' }, { status: 404 })
+  }
+  return NextResponse.json({ calendar })
+}
+
+/**
+ * DELETE /api/calendar/:id — campaigns created from its slots are kept
+ */
+export async function DELETE(_request: NextRequest, { params }: Params) {
+  if (!getCalendarStore().delete(String(params?.id || '').trim())) {
+    return NextResponse.json({ error: 'Calendar not found' }, { status: 404 })
+  }
+  return NextResponse.json({ ok: true })
+}
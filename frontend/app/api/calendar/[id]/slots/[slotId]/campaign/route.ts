@@ -0,0 +1,31 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { getStateManager } from '../../../../../workflow/state'
+import { calendarErrorResponse, getCalendarStore } from '../../../../utils'
+
+export const runtime = 'nodejs'
+export const dynamic = 'force-dynamic'
+
+/**
+ * POST /api/calendar/:id/slots/:slotId/campaign
+ * Creates the slot's Stage 1 campaign record and links it to the slot. The dashboard then runs the
+ * workflow with that campaignId; a slot has at most one campaign (409).
+ */
+export async function POST(
+  _request: NextRequest,
+  { params }: { params: { id: string; slotId: string } }
+) {
+  try {
+    const stateManager = await getStateManager()
+    const created = await getCalendarStore().createCampaign(
+      String(params?.id || '').trim(),
+      String(params?.slotId || '').trim(),
+      stateManager
+    )
+    if (!created) {
+      return NextResponse.json({ error: 'Calendar slot not found' }, { status: 404 })
+    }
+    return NextResponse.json(created, { status: 201 })
+  } catch (error: any) {
+    return calendarErrorResponse(error, 'Failed to create campaign', 409)
+  }
+}
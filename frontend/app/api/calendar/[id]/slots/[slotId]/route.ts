@@ -0,0 +1,37 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { calendarErrorResponse, getCalendarStore, type CalendarSlot } from '../../../utils'
+
+export const runtime = 'nodejs'
+export const dynamic = 'force-dynamic'
+
+type Params = { params: { id: string; slotId: string } }
+
+/**
+ * PATCH /api/calendar/:id/slots/:slotId
+ * Body: any of { date, platform, campaignType, topic, product, productName, audience, purpose, event, notes, status }
+ * (status: planned | skipped)
+ */
+export async function PATCH(request: NextRequest, { params }: Params) {
+  try {
+    const body = await request.json()
+    const slot: CalendarSlot | null = getCalendarStore().updateSlot(
+      String(params?.id || '').trim(),
+      String(params?.slotId || '').trim(),
+      body
+    )
+    if (!slot) {
+      return NextResponse.json({ error: 'Calendar slot not found' }, { status: 404 })
+    }
+    return NextResponse.json({ slot })
+  } catch (error: any) {
+    return calendarErrorResponse(error, 'Failed to update slot')
+  }
+}
+
+export async function DELETE(_request: NextRequest, { params }: Params) {
+  const removed = getCalendarStore().deleteSlot(String(params?.id || '').trim(), String(params?.slotId || '').trim())
+  if (!removed) {
+    return NextResponse.json({ error: 'Calendar slot not found' }, { status: 404 })
+  }
+  return NextResponse.json({ ok: true })
+}
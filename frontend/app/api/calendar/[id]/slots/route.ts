@@ -0,0 +1,22 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { calendarErrorResponse, getCalendarStore, type CalendarSlot } from '../../utils'
+
+export const runtime = 'nodejs'
+export const dynamic = 'force-dynamic'
+
+/**
+ * POST /api/calendar/:id/slots
+ * Body: { date, platform, topic, campaignType?, product?, audience?, purpose?, notes? }
+ */
+export async function POST(request: NextRequest, { params }: { params: { id: string } }) {
+  try {
+    const body = await request.json()
+    const slot: CalendarSlot | null = getCalendarStore().addSlot(String(params?.id || '').trim(), body)
+    if (!slot) {
+      return NextResponse.json({ error: 'Calendar not found' }, { status: 404 })
+    }
+    return NextResponse.json({ slot }, { status: 201 })
+  } catch (error: any) {
+    return calendarErrorResponse(error, 'Failed to add slot')
+  }
+}
@@ -0,0 +1,41 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { calendarErrorResponse, getCalendarStore, getReferencePath, type ContentCalendar } from './utils'
+
+export const runtime = 'nodejs'
+export const dynamic = 'force-dynamic'
+export const maxDuration = 120
+
+/**
+ * GET /api/calendar — saved content calendars (summaries, newest first)
+ */
+export async function GET() {
+  return NextResponse.json({ calendars: getCalendarStore().list() })
+}
+
+/**
+ * POST /api/calendar
+ * Body: { from, to, products, cadence?, events?, audiences?, language?, name? }
+ * products: "PMS:2,MTF,SGB,AIF" or [{ name, weight }]; cadence: { linkedin: 3, instagram: 5 };
+ * events: [{ date, name, products?, platforms? }]. Plans and saves the calendar.
+ */
+export async function POST(request: NextRequest) {
+  try {
+    const body = await request.json()
+    const calendar: ContentCalendar = await getCalendarStore().generate(
+      {
+        from: body?.from,
+        to: body?.to,
+        products: body?.products,
+        cadence: body?.cadence,
+        events: body?.events,
+        audiences: body?.audiences,
+        language: body?.language,
+        name: body?.name,
+      },
+      { referencePath: getReferencePath() }
+    )
+    return NextResponse.json({ calendar }, { status: 201 })
+  } catch (error: any) {
+    return calendarErrorResponse(error, 'Failed to generate calendar')
+  }
+}
@@ -0,0 +1,63 @@
+import path from 'path'
+import { NextResponse } from 'next/server'
+
+// Use CommonJS export to avoid bundler issues with shared backend code
+// eslint-disable-next-line @typescript-eslint/no-var-requires
+const CalendarStore = require('../../../backend/core/content-calendar')
+
+export type CalendarSlot = {
+  id: string
+  date: string
+  platform: string
+  campaignType: string
+  product: string | null
+  productName: string | null
+  audience: string
+  purpose: string
+  event: string | null
+  topic: string
+  topicSource: 'ai' | 'reference' | 'template' | 'manual'
+  status: 'planned' | 'created' | 'skipped'
+  campaignId: string | null
+  notes: string
+}
+
+export type ContentCalendar = {
+  id: string
+  name: string
+  from: string
+  to: string
+  brief: Record<string, any>
+  slots: CalendarSlot[]
+  warnings: string[]
+  createdAt: string
+  updatedAt: string
+}
+
+let store: any = null
+
+/**
+ * Content calendar store (backend/data/content-calendar.db) shared with `main.js calendar`
+ */
+export function getCalendarStore() {
+  if (!store) store = new CalendarStore(path.join(process.cwd(), 'backend', 'data'))
+  return store
+}
+
+export function getReferencePath(): string {
+  return path.join(process.cwd(), 'public', 'pl-products-reference.md')
+}
+
+/**
+ * INVALID_CALENDAR is a bad brief or edit (400), or `conflictStatus` for state conflicts
+ */
+export function calendarErrorResponse(error: any, fallback: string, conflictStatus = 400) {
+  if (error?.code === 'INVALID_CALENDAR') {
+    return NextResponse.json({ error: error.message }, { status: conflictStatus })
+  }
+  console.error(`${fallback}:`, error)
+  return NextResponse.json(
+    { error: error instanceof Error ? error.message : fallback },
+    { status: 500 }
+  )
+}
@@ -0,0 +1,13 @@
+import { NextResponse } from 'next/server'
+import { listCampaignTypes } from './utils'
+
+export const runtime = 'nodejs'
+export const dynamic = 'force-dynamic'
+
+/**
+ * GET /api/campaign-types
+ * Campaign types the backend can run, with platforms, aspect ratios, defaults and form schema.
+ */
+export async function GET() {
+  return NextResponse.json({ campaignTypes: listCampaignTypes() })
+}
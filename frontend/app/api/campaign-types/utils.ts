@@ -0,0 +1,33 @@
+// Use CommonJS export to avoid bundler issues with shared backend code
+// eslint-disable-next-line @typescript-eslint/no-var-requires
+const campaignTypes = require('../../../backend/core/campaign-types')
+
+export type CampaignFormField = {
+  name: string
+  label: string
+  type?: 'text' | 'textarea' | 'number' | 'select' | 'checkbox'
+  options?: { value: string; label: string }[]
+  required?: boolean
+  placeholder?: string
+}
+
+export type CampaignTypeInfo = {
+  id: string
+  name: string
+  icon: string
+  description: string
+  platforms: string[]
+  aspectRatios: string[]
+  defaults: Record<string, unknown>
+  form: CampaignFormField[]
+  stages: string[]
+  planned: boolean
+  source: 'built-in' | 'plugin'
+}
+
+/**
+ * Campaign types registered with the backend (built-ins plus campaigns/ plugins)
+ */
+export function listCampaignTypes(): CampaignTypeInfo[] {
+  return campaignTypes.listCampaignTypes().map(campaignTypes.describeCampaignType)
+}
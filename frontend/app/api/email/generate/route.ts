@@ -1,46 +1,31 @@
-import { GoogleGenAI } from "@google/genai";
 import { NextRequest, NextResponse } from "next/server";
+import { resolveBrand } from "../../brands/utils";
+import { withGenerationCache } from "../../generation-cache";
+import { getTextClient } from "../../text-client";
 
 export const runtime = "nodejs";
 
 const MODEL = "gemini-3-flash-preview";
 
-const HEADER_IMAGE_URL =
-  "https://d314e77m1bz5zy.cloudfront.net/bee/Images/bmsx/p7orqos0/xtp/w8t/1aj/Asset%201.png";
-const FOOTER_IMAGE_URL =
-  "https://d314e77m1bz5zy.cloudfront.net/bee/Images/bmsx/p7orqos0/9wn/vw0/ds6/Asset%202.png";
 const BEE_SOCIAL_ICON_BASE =
   "https://app-rsrc.getbee.io/public/resources/social-networks-icon-sets/circle-color/";
 
-async function getGeminiText(response: any) {
-  if (!response) return "";
-
-  try {
-    if (typeof response.text === "function") {
-      const maybe = response.text();
-      if (maybe && typeof maybe.then === "function") return await maybe;
-      return maybe || "";
-    }
-  } catch {
-    // ignore and fall back
-  }
-
-  if (typeof response.text === "string") return response.text;
-
-  const parts = response?.candidates?.[0]?.content?.parts;
-  if (Array.isArray(parts)) {
-    return parts
-      .map((p: any) => (typeof p?.text === "string" ? p.text : ""))
-      .filter(Boolean)
-      .join("");
-  }
-
-  return "";
-}
+const EMAIL_SCHEMA = {
+  type: "object",
+  required: ["subject", "html"],
+  properties: {
+    subject: { type: "string", minLength: 1 },
+    preheader: { type: "string" },
+    subjectVariations: { type: "array", items: { type: "string" } },
+    html: { type: "string", minLength: 1 },
+    plainText: { type: "string" },
+  },
+};
 
 // Strips disallowed <img> tags while preserving inline <svg> elements (used for card icons).
-function sanitizeNewsletterHtml(html: string) {
-  const allowlistedBases = [HEADER_IMAGE_URL, FOOTER_IMAGE_URL, BEE_SOCIAL_ICON_BASE];
+// Only the brand's header/footer artwork and the social icon set are allowed.
+function sanitizeNewsletterHtml(html: string, headerImageUrl: string, footerImageUrl: string) {
+  const allowlistedBases = [headerImageUrl, footerImageUrl, BEE_SOCIAL_ICON_BASE].filter(Boolean);
   const isAllowed = (src: string) => allowlistedBases.some((base) => src.startsWith(base));
 
   let headerCount = 0;
@@ -56,12 +41,12 @@ function sanitizeNewsletterHtml(html: string) {
       if (!src) return "";
       if (!isAllowed(src)) return "";
 
-      if (src === HEADER_IMAGE_URL) {
+      if (src === headerImageUrl) {
         headerCount += 1;
         return headerCount === 1 ? tag : "";
       }
 
-      if (src === FOOTER_IMAGE_URL) {
+      if (src === footerImageUrl) {
         footerCount += 1;
         return footerCount === 1 ? tag : "";
       }
@@ -76,15 +61,15 @@ function sanitizeNewsletterHtml(html: string) {
  * Generate HTML email newsletter with subject line using best practices
  * Follows subjectline.com guidelines and email marketing best practices
  */
-export async function POST(request: NextRequest) {
+async function generate(request: NextRequest) {
   try {
-    const geminiApiKey = process.env.GEMINI_API_KEY || "";
-    if (!geminiApiKey) {
+    const textClient = getTextClient();
+    if (!textClient.isAvailable("email")) {
       return NextResponse.json(
         {
           error: "GEMINI_API_KEY is not set",
           details:
-            "Set GEMINI_API_KEY in your environment (e.g., Railway variables) to generate newsletters with Gemini.",
+            "Set GEMINI_API_KEY in your environment (e.g., Railway variables) to generate newsletters with Gemini, or GROQ_API_KEY / OPENAI_API_KEY for text-only newsletters.",
         },
         { status: 500 },
       );
@@ -101,21 +86,38 @@ export async function POST(request: NextRequest) {
       referenceExamples, // From examples/newsletter-reference.md
       referenceImageBase64, // Base64-encoded PNG from examples folder
       referenceImageMime = "image/png",
+      brandId,
     } = body;
 
     if (!topic) {
       return NextResponse.json({ error: "Topic is required" }, { status: 400 });
     }
 
-    // Build brand guidelines — handle both default PL Capital and custom overrides
+    let brand: any;
+    try {
+      brand = resolveBrand(brandId);
+    } catch (error: any) {
+      return NextResponse.json({ error: error?.message || "Unknown brand" }, { status: 400 });
+    }
+    const brandName: string = brand.company.shortName;
+    const brandFont: string = brand.helpers.getFontFamily();
+    const roles = brand.helpers.getColorRoles();
+    const logo = brand.helpers.getLogo();
+    // Header artwork: the brand's email header, else its hosted logo, else a text header
+    const headerImageUrl: string = brand.assets?.email?.headerImage ||
+      (/^https?:\/\//.test(logo?.url || "") ? logo.url : "");
+    const footerImageUrl: string = brand.assets?.email?.footerImage || "";
+    const socialLinks = Object.entries(brand.company.social || {}) as [string, string][];
+
+    // Build brand guidelines — handle both the selected brand profile and custom overrides
     const bs = brandSettings || {};
     let brandGuidance = "";
     if (bs.useBrandGuidelines) {
       brandGuidance = `
-**PL Capital Brand Guidelines:**
-- **Primary Colors**: Navy (#0e0e6a), Blue (#3c3cf8)
-- **Accent Colors**: Teal (#00d084), Green (#66e766)
-- **Typography**: Figtree font family, professional sans-serif fallbacks
+**${brandName} Brand Guidelines:**
+- **Primary Colors**: ${brand.helpers.describePalette("primary")}
+- **Accent Colors**: ${brand.helpers.describePalette("secondary") || brand.helpers.describePalette("primary")}
+- **Typography**: ${brandFont} font family, professional sans-serif fallbacks
 - **Tone & Voice**: Professional, trustworthy, data-driven yet approachable
 - **Visual Style**: Clean, modern, corporate with subtle tech motifs
 - **Key Values**: Trust, Innovation, Performance, Client-First
@@ -142,6 +144,26 @@ export async function POST(request: NextRequest) {
       }
     }
 
+    const [heroStart, heroEnd = heroStart] = brand.helpers.getPaletteHexes();
+    const websiteHost = String(brand.company.website || "").replace(/^https?:\/\//, "").replace(/\/$/, "");
+    const headerInstruction = headerImageUrl
+      ? `- Header section (DO NOT change): keep exactly this header image${websiteHost ? ` linked to ${websiteHost}` : ""} — it must be inside the width="600" container so it aligns perfectly with the hero below it
+  * Header image: ${headerImageUrl}
+  * Image tag must have: width="600" style="width:100%; max-width:600px; display:block;"`
+      : `- Header section: a text-only header bar inside the width="600" container — "${brand.company.name}" in white, ${brandFont} bold 20px, on a solid ${roles.dark} background, padding 20px 30px`;
+    const footerInstruction = footerImageUrl
+      ? `- Closing tagline and footer image (DO NOT change): keep exactly this footer image
+  * Footer image: ${footerImageUrl}`
+      : `- Closing tagline ("${brand.company.tagline || brandName}") and a text footer with ${brand.company.name}`;
+    const socialInstruction = socialLinks.length > 0
+      ? `- Social icons bar (below footer image): centered row of circular color icons linking to:
+${socialLinks.map(([network, url]) => `  * ${network === "twitter" ? "X/Twitter" : network.charAt(0).toUpperCase() + network.slice(1)}: ${url}`).join("\n")}
+  Use 32px circle-color icons (e.g., https://app-rsrc.getbee.io/public/resources/social-networks-icon-sets/circle-color/linkedin@2x.png etc.) in a single horizontal row (centered) — use a table with inline-block cells and equal padding so icons do NOT stack vertically on desktop or mobile.`
+      : "- No social icons bar";
+    const allowedImages = [headerImageUrl && "the provided header image", footerImageUrl && "the provided footer image", socialLinks.length > 0 && "the social icon set"]
+      .filter(Boolean)
+      .join(", ") || "none (no <img> tags at all)";
+
     const systemPrompt = `You are an expert email marketing specialist and HTML email designer.
 
 Your task is to generate a complete, production-ready HTML email newsletter following industry best practices.
@@ -149,10 +171,8 @@ Your task is to generate a complete, production-ready HTML email newsletter foll
 Layout reference (use this structure and styling cues):
 - CRITICAL: The main content table MUST have width="600" as an HTML attribute (not just CSS). This ensures the header image, hero, content, and footer all render at exactly the same width with no gaps or misalignment.
 - Structure: <table role="presentation" width="600" style="max-width:600px; width:100%;" ...> wrapping ALL sections including header, hero, content, and footer.
-- Header section (DO NOT change): keep exactly this header image linked to plindia.com — it must be inside the width="600" container so it aligns perfectly with the hero below it
-  * Header image: https://d314e77m1bz5zy.cloudfront.net/bee/Images/bmsx/p7orqos0/xtp/w8t/1aj/Asset%201.png
-  * Image tag must have: width="600" style="width:100%; max-width:600px; display:block;"
-- Hero section: Two-column table layout inside a solid/gradient brand-color background (use gradient from brand guidelines if provided, otherwise default linear-gradient 135deg, #0e0e6a → #3c3cf8), padding 40px 30px:
+${headerInstruction}
+- Hero section: Two-column table layout inside a solid/gradient brand-color background (use gradient from brand guidelines if provided, otherwise default linear-gradient 135deg, ${heroStart} → ${heroEnd}), padding 40px 30px:
   * Left cell (width="60%" valign="middle"): white h1 headline (28–32px, bold, line-height 1.2, margin-bottom 12px) + white subtitle p (16–18px, normal, margin-bottom 0, opacity 0.9). If grounded facts contain specific key details (NFO dates, minimum investment, NAV price), add 1–2 short bold fact lines in white below the subtitle.
   * Right cell (width="40%" valign="middle" align="center"): A decorative inline <svg> (width="120" height="120" viewBox="0 0 120 120") with a multi-path illustration relevant to the campaign topic. Use white strokes (stroke="white" stroke-width="2.5" fill="none") with semi-transparent white fills where appropriate. Pick EXACTLY one illustration from the list below based on the closest matching keyword in the topic:
 
@@ -190,27 +210,20 @@ Layout reference (use this structure and styling cues):
 - Intro paragraph and section dividers
 - One main content section (TEXT-ONLY) with a heading and body that is directly relevant to the campaign purpose and target audience. Choose a section title and content focus that fits the purpose (e.g. "Key Insights", "What You Need to Know", "Strategies for [audience]", "Why This Matters for You") and write for the specified target audience. No images in this section.
 - 3-column content grid: Each card must have:
-  * A small inline <svg> icon (36×36px viewBox="0 0 24 24", aria-hidden="true", fill="none", stroke="#0000a0" or stroke="#00b34e", stroke-width="1.5") that is visually relevant to the card topic. Draw a simple, recognizable single-path icon (e.g. a chart, coin, shield, calendar, growth arrow). Do NOT use <img> for these icons.
+  * A small inline <svg> icon (36×36px viewBox="0 0 24 24", aria-hidden="true", fill="none", stroke="${roles.line}" or stroke="${roles.cta}", stroke-width="1.5") that is visually relevant to the card topic. Draw a simple, recognizable single-path icon (e.g. a chart, coin, shield, calendar, growth arrow). Do NOT use <img> for these icons.
   * headline
   * 1–2 sentence description
-  * "Read more" button (rounded 24px, #00b34e background, white text, Figtree bold 12px, generous horizontal padding)
-- CTA section to visit PL Capital News
-- Closing tagline and footer image (DO NOT change): keep exactly this footer image
-  * Footer image: https://d314e77m1bz5zy.cloudfront.net/bee/Images/bmsx/p7orqos0/9wn/vw0/ds6/Asset%202.png
-- Fonts: Figtree (load via Google Fonts); Colors: Navy/Blue (#0000a0 accents), CTA buttons #00b34e, body text #000
-- Dividers: 1px solid #0000a0 consistent throughout sections
-- Social icons bar (below footer image): centered row of circular color icons linking to:
-  * LinkedIn: https://www.linkedin.com/company/prabhudaslilladher/
-  * Instagram: https://www.instagram.com/prabhudaslilladher/
-  * X/Twitter: https://x.com/PLIndiaOnline
-  * YouTube: https://www.youtube.com/@PrabhudasLilladherIndia
-  * Telegram: https://t.me/PLIndiaOnline
-  Use 32px circle-color icons (e.g., https://app-rsrc.getbee.io/public/resources/social-networks-icon-sets/circle-color/linkedin@2x.png etc.) in a single horizontal row (centered) — use a table with inline-block cells and equal padding so icons do NOT stack vertically on desktop or mobile.
+  * "Read more" button (rounded 24px, ${roles.cta} background, white text, ${brandFont} bold 12px, generous horizontal padding)
+- CTA section to visit ${brandName} News
+${footerInstruction}
+- Fonts: ${brandFont} (load via Google Fonts); Colors: ${roles.line} accents, CTA buttons ${roles.cta}, body text #000
+- Dividers: 1px solid ${roles.line} consistent throughout sections
+${socialInstruction}
 
 CRITICAL CONSTRAINTS:
 - Do NOT add any logos/brand marks beyond the provided header + footer images (do not introduce a new logo, watermark, or badge).
 - Do NOT use any placeholder images/URLs (no via.placeholder.com, no dummy banners).
-- The ONLY <img> tags allowed in the entire email are: the provided header image, the provided footer image, and the social icon set.
+- The ONLY <img> tags allowed in the entire email are: ${allowedImages}.
 - Inline <svg> elements ARE allowed and encouraged — use them for the hero illustration and card icons. No external <img> for illustrations.
 - Do NOT repeat the header image anywhere else (especially not as a hero image).
 
@@ -319,28 +332,17 @@ Make the HTML production-ready - it should render beautifully in all email clien
 
     const hasRefImage = typeof referenceImageBase64 === "string" && referenceImageBase64.length > 0;
 
-    const ai = new GoogleGenAI({ apiKey: geminiApiKey });
-
     // Step 1: Grounding search — fetch current, verified facts about the topic.
-    // NOTE: grounding and responseMimeType:"application/json" are mutually exclusive,
+    // NOTE: grounding and a JSON response type are mutually exclusive,
     // so this runs as a separate call before the main JSON generation.
     let groundedContext = "";
     try {
-      const groundingRes = await ai.models.generateContent({
-        model: MODEL,
-        contents: [{
-          role: "user",
-          parts: [{
-            text: `Search the web for current, accurate information about: "${topic}". Focus on: key dates (NFO open/close dates, subscription period), fund details (minimum investment, benchmark index, fund category), fund manager name and experience, investment objective, risk level, any recent news or analyst opinions. Be factual and specific. Summarize in 200–300 words.`,
-          }],
-        }],
-        config: {
-          tools: [{ googleSearch: {} }],
-          temperature: 0.1,
-          maxOutputTokens: 600,
-        },
+      const groundingRes = await textClient.generate("web-research", {
+        prompt: `Search the web for current, accurate information about: "${topic}". Focus on: key dates (NFO open/close dates, subscription period), fund details (minimum investment, benchmark index, fund category), fund manager name and experience, investment objective, risk level, any recent news or analyst opinions. Be factual and specific. Summarize in 200–300 words.`,
+        models: { gemini: MODEL },
+        webSearch: true,
       });
-      groundedContext = await getGeminiText(groundingRes);
+      groundedContext = groundingRes.text;
       console.log(`Grounding search done (${groundedContext.length} chars)`);
     } catch (groundingErr) {
       console.warn("Grounding search failed, proceeding without:", groundingErr instanceof Error ? groundingErr.message : groundingErr);
@@ -372,38 +374,22 @@ Make the HTML production-ready - it should render beautifully in all email clien
         ]
       : [{ text: userText }];
 
-    const response = await ai.models.generateContent({
-      model: MODEL,
-      contents: [{ role: "user", parts: contentParts }],
-      config: {
-        systemInstruction: systemPrompt,
-        temperature: 0.7,
-        maxOutputTokens: 8000,
-        responseMimeType: "application/json",
-      },
-    });
-
-    const generatedContent = await getGeminiText(response);
-
-    if (!generatedContent) {
-      throw new Error(`No email content generated from ${MODEL}`);
-    }
-
-    // Try to parse as JSON first
+    // Schema-checked JSON with one repair round; if the output is still unusable, salvage
+    // the fields from the raw text
     let emailData;
+    let response: any = null;
     try {
-      // Extract JSON from markdown code blocks if present
-      const jsonMatch = generatedContent.match(/```json\n([\s\S]*?)\n```/) ||
-        generatedContent.match(/```\n([\s\S]*?)\n```/) || [
-          null,
-          generatedContent,
-        ];
-
-      const jsonContent = jsonMatch[1] || generatedContent;
-      emailData = JSON.parse(jsonContent);
-    } catch (parseError) {
-      // If not valid JSON, try to extract components manually
-      console.warn("Failed to parse as JSON, attempting manual extraction");
+      response = await textClient.generateJson("email", {
+        system: systemPrompt,
+        messages: [{ role: "user", content: contentParts }],
+        models: { gemini: MODEL },
+        schema: EMAIL_SCHEMA,
+      });
+      emailData = response.data;
+    } catch (generationError: any) {
+      const generatedContent: string = generationError?.raw || "";
+      if (!generatedContent) throw generationError;
+      console.warn("Email JSON unusable after repair, attempting manual extraction");
 
       const subjectMatch =
         generatedContent.match(/"subject":\s*"([^"]+)"/) ||
@@ -441,10 +427,10 @@ Make the HTML production-ready - it should render beautifully in all email clien
       ...emailData,
       html:
         typeof emailData?.html === "string"
-          ? sanitizeNewsletterHtml(emailData.html)
+          ? sanitizeNewsletterHtml(emailData.html, headerImageUrl, footerImageUrl)
           : emailData?.html,
-      model: MODEL,
-      usage: (response as any)?.usageMetadata || null,
+      model: response?.model || MODEL,
+      usage: response?.usage || null,
       groundedContext: groundedContext || null,
     });
   } catch (error) {
@@ -458,3 +444,5 @@ Make the HTML production-ready - it should render beautifully in all email clien
     );
   }
 }
+
+export const POST = withGenerationCache('email-content', generate, { model: MODEL });
@@ -0,0 +1,65 @@
+import path from 'path'
+import { NextRequest, NextResponse } from 'next/server'
+
+// Use CommonJS export to avoid bundler issues with shared backend code
+// eslint-disable-next-line @typescript-eslint/no-var-requires
+const GenerationCache = require('../../backend/core/generation-cache')
+
+type RouteHandler = (request: NextRequest) => Promise<Response>
+
+let cache: any = null
+
+/**
+ * Generation cache (backend/data/generation-cache.db) shared with the backend CLI
+ */
+export function getGenerationCache() {
+  if (!cache) cache = GenerationCache.open(path.join(process.cwd(), 'backend', 'data'))
+  return cache
+}
+
+/**
+ * Wrap a generate route so an identical request body (same model) is answered from the
+ * generation cache. Only successful JSON responses are cached; `bypassCache: true` in the
+ * body regenerates and refreshes the entry. Responses carry `x-generation-cache: hit|miss`.
+ * Routes built on live data pass `daily: true` (the UTC date joins the key) and a short `ttlHours`.
+ */
+export function withGenerationCache(
+  kind: string,
+  handler: RouteHandler,
+  options: { model?: string; ttlHours?: number; daily?: boolean } = {}
+): (request: NextRequest) => Promise<Response> {
+  return async (request: NextRequest) => {
+    let body: Record<string, unknown>
+    try {
+      body = await request.clone().json()
+    } catch {
+      return handler(request)
+    }
+    if (!getGenerationCache().enabled) return handler(request)
+
+    const { bypassCache, ...params } = body
+    const key = GenerationCache.key({
+      kind,
+      model: options.model,
+      prompt: params,
+      ...(options.daily ? { config: { date: new Date().toISOString().slice(0, 10) } } : {})
+    })
+    const cached = bypassCache ? null : getGenerationCache().get(key)
+    if (cached) {
+      console.log(`♻️  Cache hit: ${kind} (${key.slice(0, 12)})`)
+      return NextResponse.json(cached, { headers: { 'x-generation-cache': 'hit' } })
+    }
+
+    const response = await handler(request)
+    const isJson = (response.headers.get('content-type') || '').includes('application/json')
+    if (response.ok && isJson) {
+      try {
+        getGenerationCache().set(key, await response.clone().json(), { kind, model: options.model, ttlHours: options.ttlHours })
+      } catch (error: any) {
+        console.warn(`⚠️  Could not cache ${kind}: ${error?.message || error}`)
+      }
+    }
+    response.headers.set('x-generation-cache', 'miss')
+    return response
+  }
+}
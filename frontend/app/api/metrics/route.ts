@@ -0,0 +1,57 @@
+import path from 'path'
+import { NextRequest, NextResponse } from 'next/server'
+
+// Use CommonJS export to avoid bundler issues with shared backend code
+// eslint-disable-next-line @typescript-eslint/no-var-requires
+const MetricsStore = require('../../../backend/core/metrics-store')
+
+export const runtime = 'nodejs'
+export const dynamic = 'force-dynamic'
+
+let store: any = null
+
+/**
+ * Metrics time series (backend/data/metrics.db), filled by Stage 6 and `main.js metrics pull|worker`
+ */
+function getStore() {
+  if (!store) store = new MetricsStore(path.join(process.cwd(), 'backend', 'data'))
+  return store
+}
+
+/**
+ * GET /api/metrics?platform=&campaignId=&contentId=&topic=&seriesId=&from=&to=
+ * Latest counts per platform (`totals`) and per published post or A/B variant (`items`), and
+ * per platform at the end of each day (`daily`, for trend charts).
+ * With seriesId or contentId, also every snapshot of the matching posts, oldest first (`series`).
+ * from/to are ISO dates bounding when the counts were pulled.
+ */
+export async function GET(request: NextRequest) {
+  try {
+    const { searchParams } = new URL(request.url)
+    const filters = {
+      platform: searchParams.get('platform') || undefined,
+      campaignId: searchParams.get('campaignId') || undefined,
+      contentId: searchParams.get('contentId') || undefined,
+      topic: searchParams.get('topic') || undefined,
+      seriesId: searchParams.get('seriesId') || undefined,
+      from: searchParams.get('from') || undefined,
+      to: searchParams.get('to') || undefined,
+    }
+    const metrics = getStore()
+    return NextResponse.json({
+      totals: metrics.totals(filters),
+      items: metrics.latest(filters),
+      daily: metrics.daily(filters),
+      ...(filters.seriesId || filters.contentId ? { series: metrics.series(filters) } : {}),
+    })
+  } catch (error: any) {
+    if (error?.code === 'INVALID_METRICS') {
+      return NextResponse.json({ error: error.message }, { status: 400 })
+    }
+    console.error('Error reading metrics:', error)
+    return NextResponse.json(
+      { error: error instanceof Error ? error.message : 'Unknown error' },
+      { status: 500 }
+    )
+  }
+}
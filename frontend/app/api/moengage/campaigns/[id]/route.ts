@@ -0,0 +1,63 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { getStateManager } from '../../../workflow/state'
+import {
+  getNewsletterCampaignStore,
+  newsletterCampaignErrorResponse,
+  newsletterCampaigns,
+  type NewsletterCampaign,
+} from '../utils'
+
+export const runtime = 'nodejs'
+export const dynamic = 'force-dynamic'
+
+type Params = { params: { id: string } }
+
+const actions = ['test', 'approve', 'reject', 'launch']
+
+/**
+ * GET /api/moengage/campaigns/:id — one newsletter campaign with its segments and review history
+ */
+export async function GET(_request: NextRequest, { params }: Params) {
+  const campaign: NewsletterCampaign | null = getNewsletterCampaignStore().get(String(params?.id || '').trim())
+  if (!campaign) {
+    return NextResponse.json({ error: 'Newsletter campaign not found' }, { status: 404 })
+  }
+  return NextResponse.json({ campaign })
+}
+
+/**
+ * POST /api/moengage/campaigns/:id
+ * Body: { action: 'test' | 'approve' | 'reject' | 'launch', testEmails?, reviewer?, comment? }
+ * test sends the newsletter to testEmails (default MOENGAGE_DEFAULT_TEST_EMAIL) and opens the
+ * review; launch activates every segment's campaign once approved.
+ */
+export async function POST(request: NextRequest, { params }: Params) {
+  try {
+    const id = String(params?.id || '').trim()
+    const { action, testEmails, reviewer, comment } = await request.json() as {
+      action: string
+      testEmails?: string[] | string
+      reviewer?: string
+      comment?: string
+    }
+    if (!actions.includes(action)) {
+      return NextResponse.json({ error: `Missing or invalid action (${actions.join(', ')})` }, { status: 400 })
+    }
+
+    const store = getNewsletterCampaignStore()
+    if (!store.get(id)) {
+      return NextResponse.json({ error: 'Newsletter campaign not found' }, { status: 404 })
+    }
+
+    if (action === 'launch') {
+      const result = await newsletterCampaigns.launchNewsletterCampaign({ stateManager: await getStateManager(), store }, id)
+      return NextResponse.json({ campaign: store.get(id), result })
+    }
+    const campaign: NewsletterCampaign = action === 'test'
+      ? await newsletterCampaigns.sendTestEmails({ store }, id, { testEmails })
+      : newsletterCampaigns.reviewNewsletterCampaign({ store }, id, action, { reviewer, comment })
+    return NextResponse.json({ campaign })
+  } catch (error: any) {
+    return newsletterCampaignErrorResponse(error, 'Failed to update newsletter campaign', 409)
+  }
+}
@@ -0,0 +1,62 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { getStateManager } from '../../workflow/state'
+import { resolveBrand } from '../../brands/utils'
+import {
+  getNewsletterCampaignStore,
+  newsletterCampaignErrorResponse,
+  newsletterCampaigns,
+  type NewsletterCampaign,
+} from './utils'
+
+export const runtime = 'nodejs'
+export const dynamic = 'force-dynamic'
+
+/**
+ * GET /api/moengage/campaigns?status=&topic=&brandId=
+ * Newsletter campaigns, newest first, and the brand's target audiences with the MoEngage
+ * segments MOENGAGE_AUDIENCE_SEGMENTS maps them to (`audiences`)
+ */
+export async function GET(request: NextRequest) {
+  try {
+    const { searchParams } = new URL(request.url)
+    const campaigns: NewsletterCampaign[] = getNewsletterCampaignStore().list({
+      status: searchParams.get('status') || undefined,
+      topic: searchParams.get('topic') || undefined,
+    })
+    const audiences = newsletterCampaigns.audienceSegments(resolveBrand(searchParams.get('brandId')))
+    return NextResponse.json({ campaigns, audiences })
+  } catch (error: any) {
+    return newsletterCampaignErrorResponse(error, 'Failed to list newsletter campaigns')
+  }
+}
+
+/**
+ * POST /api/moengage/campaigns
+ * Body: { contentId?, topic?, audiences?, segmentIds?, sendAt?, bestTime?, timeZone?, campaignId?, brandId? }
+ * Creates one draft MoEngage campaign per segment for an approved newsletter (the topic's latest
+ * without contentId). audiences: ["hni", "uhni"]; sendAt: "2026-10-20 09:30" in timeZone
+ * (default Asia/Kolkata); bestTime: true or a date. Send a test next (POST /api/moengage/campaigns/:id).
+ */
+export async function POST(request: NextRequest) {
+  try {
+    const body = await request.json()
+    const brand = resolveBrand(body?.brandId)
+    const campaign: NewsletterCampaign = await newsletterCampaigns.createNewsletterCampaign(
+      { stateManager: await getStateManager(), store: getNewsletterCampaignStore(), brand },
+      {
+        contentId: body?.contentId,
+        topic: body?.topic,
+        audiences: body?.audiences,
+        segmentIds: body?.segmentIds,
+        sendAt: body?.sendAt,
+        bestTime: body?.bestTime,
+        timeZone: body?.timeZone,
+        campaignId: body?.campaignId,
+        brandId: body?.brandId,
+      }
+    )
+    return NextResponse.json({ campaign }, { status: 201 })
+  } catch (error: any) {
+    return newsletterCampaignErrorResponse(error, 'Failed to create newsletter campaign')
+  }
+}
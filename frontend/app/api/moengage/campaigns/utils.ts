@@ -0,0 +1,55 @@
+import path from 'path'
+import { NextResponse } from 'next/server'
+
+// Use CommonJS export to avoid bundler issues with shared backend code
+// eslint-disable-next-line @typescript-eslint/no-var-requires
+const NewsletterCampaignStore = require('../../../../backend/core/newsletter-campaigns')
+
+export const newsletterCampaigns = NewsletterCampaignStore
+
+export type SendSchedule =
+  | { type: 'immediate' }
+  | { type: 'fixed_time'; sendAt: string; localTime: string; timeZone: string }
+  | { type: 'best_time'; date: string; fallbackTime: string | null; timeZone: string }
+
+export type NewsletterCampaign = {
+  id: string
+  status: 'draft' | 'in_review' | 'approved' | 'rejected' | 'launched'
+  contentId: string
+  topic: string
+  subject: string
+  brandId: string | null
+  campaignId: string | null
+  schedule: SendSchedule
+  segments: { segmentId: string; audience: string | null; moengageCampaignId: string; launchedAt?: string }[]
+  history: { action: string; at: string; reviewer?: string; comment?: string; testEmails?: string[] }[]
+  publishedIds?: string[]
+  launchedAt?: string
+  createdAt: string
+  updatedAt: string
+}
+
+let store: any = null
+
+/**
+ * Newsletter campaign store (backend/data/newsletter-campaigns.db) shared with `main.js newsletter`
+ */
+export function getNewsletterCampaignStore() {
+  if (!store) store = new NewsletterCampaignStore(path.join(process.cwd(), 'backend', 'data'))
+  return store
+}
+
+/**
+ * INVALID_NEWSLETTER_CAMPAIGN/INVALID_BRAND are bad input (400), or `conflictStatus` for review
+ * and launch steps taken in the wrong state
+ */
+export function newsletterCampaignErrorResponse(error: any, fallback: string, conflictStatus = 400) {
+  if (error?.code === 'INVALID_NEWSLETTER_CAMPAIGN' || error?.code === 'INVALID_BRAND') {
+    return NextResponse.json({ error: error.message }, { status: conflictStatus })
+  }
+  console.error(`${fallback}:`, error)
+  return NextResponse.json(
+    { error: error instanceof Error ? error.message : fallback },
+    { status: 500 }
+  )
+}
@@ -1,5 +1,7 @@
 import Groq from 'groq-sdk'
 import { NextRequest, NextResponse } from 'next/server'
+import { resolveBrand } from '../../brands/utils'
+import { withGenerationCache } from '../../generation-cache'
 
 export const runtime = 'nodejs'
 
@@ -37,6 +39,7 @@ function enforceDirectImagePromptBrandAnchors(
     platforms?: string[]
     aspectRatio?: string
     brandSettings?: any
+    brand: any
   }
 ): string {
   if (!rawPrompt || options.contentType !== 'image') return rawPrompt
@@ -45,18 +48,22 @@ function enforceDirectImagePromptBrandAnchors(
   const isWhatsAppImage = options.platforms?.some((platform: string) => /whatsapp/i.test(platform))
 
   const useDefaultBrand = options.brandSettings?.useBrandGuidelines !== false
+  const brandPalette = options.brand.helpers.describePalette()
+  const brandAccents = options.brand.helpers.describePalette('secondary') || brandPalette
+  const brandFont = options.brand.helpers.getFontFamily()
+  const [gradientStart, gradientEnd = gradientStart] = options.brand.helpers.getPaletteHexes()
   const palette = useDefaultBrand
-    ? 'Navy #0e0e6a, Blue #3c3cf8, Teal #00d084, Green #66e766'
-    : (options.brandSettings?.customColors || 'Navy #0e0e6a, Blue #3c3cf8, Teal #00d084, Green #66e766')
+    ? brandPalette
+    : (options.brandSettings?.customColors || brandPalette)
   const accents = useDefaultBrand
-    ? 'Teal #00d084, Green #66e766'
-    : (options.brandSettings?.accentColors || 'Teal #00d084, Green #66e766')
+    ? brandAccents
+    : (options.brandSettings?.accentColors || brandAccents)
   const bodyTextColor = useDefaultBrand
     ? '#000000'
     : (options.brandSettings?.bodyTextColor || '#000000')
   const typography = useDefaultBrand
-    ? 'Figtree'
-    : (options.brandSettings?.font || 'Figtree')
+    ? brandFont
+    : (options.brandSettings?.font || brandFont)
   const tone = useDefaultBrand
     ? 'professional, trustworthy, data-driven'
     : (options.brandSettings?.customTone || 'professional, trustworthy, data-driven')
@@ -66,7 +73,7 @@ function enforceDirectImagePromptBrandAnchors(
         options.brandSettings.gradientEndColor,
         options.brandSettings.gradientDirection
       )
-    : 'Navy #0e0e6a to Blue #3c3cf8 diagonal gradient'
+    : `${gradientStart} to ${gradientEnd} diagonal gradient`
 
   const anchorSentence = isWhatsAppImage
     ? ` Brand anchor requirements: use primary palette ${palette}; accent colors ${accents}; body text color ${bodyTextColor}; typography ${typography}; tone ${tone}; background gradient ${gradient}; explicitly render in ${aspect} aspect ratio with a text-first mobile WhatsApp hierarchy, strong readable headline, one short support line, and a single high-contrast CTA button. Keep the layout clean, premium, and finance-corporate rather than generic social media.`
@@ -142,7 +149,7 @@ function keepOnlyDirectImagePromptSection(rawPrompt: string): string {
 /**
  * Generate creative prompt for content generation using Groq Compound
  */
-export async function POST(request: NextRequest) {
+async function generate(request: NextRequest) {
   try {
     const body = await request.json()
     const {
@@ -157,7 +164,8 @@ export async function POST(request: NextRequest) {
       aspectRatio = '16:9',
       brandSettings,
       referenceImageUrls,
-      referenceImagesProvided
+      referenceImagesProvided,
+      brandId
     } = body
 
     if (!topic || !campaignType) {
@@ -167,6 +175,15 @@ export async function POST(request: NextRequest) {
       )
     }
 
+    let brand: any
+    try {
+      brand = resolveBrand(brandId)
+    } catch (error: any) {
+      return NextResponse.json({ error: error?.message || 'Unknown brand' }, { status: 400 })
+    }
+    const brandName: string = brand.company.shortName
+    const roles = brand.helpers.getColorRoles()
+
     const isLiveNewsCampaign = campaignType === 'live-news'
 
     // Build platform-specific guidance
@@ -202,7 +219,7 @@ Also provide one **Direct image prompt** paragraph (narrative, 2–4 sentences)
       } else {
         contentGuidance = `Generate a detailed image generation prompt with visual descriptions, composition, colors, mood, and style.
 ${geminiImageBestPractices}
-You MUST also provide one **Direct image prompt** paragraph: a single narrative scene description (2–5 sentences) that can be used directly with Gemini image models. It should describe the scene (shot type, subject, action, environment, lighting, camera/lens, aspect ratio), reflect brand colors and tone from the guidelines, and state context/intent (platform and audience). For WhatsApp creatives, this paragraph MUST be text-heavy and image-light: headline as the dominant visual element, one short support line, and one clear CTA button; keep background visuals subtle, minimal, and non-distracting (no complex scenic compositions). Do NOT describe a phone/smartphone held in hand or any device mockup unless explicitly requested; describe the final creative canvas itself. The CTA must be action-specific and brand-linked (must include "PL Capital"), and you must avoid generic CTA text like "Learn More". Do not use bullet lists in this paragraph—use flowing prose.`
+You MUST also provide one **Direct image prompt** paragraph: a single narrative scene description (2–5 sentences) that can be used directly with Gemini image models. It should describe the scene (shot type, subject, action, environment, lighting, camera/lens, aspect ratio), reflect brand colors and tone from the guidelines, and state context/intent (platform and audience). For WhatsApp creatives, this paragraph MUST be text-heavy and image-light: headline as the dominant visual element, one short support line, and one clear CTA button; keep background visuals subtle, minimal, and non-distracting (no complex scenic compositions). Do NOT describe a phone/smartphone held in hand or any device mockup unless explicitly requested; describe the final creative canvas itself. The CTA must be action-specific and brand-linked (must include "${brandName}"), and you must avoid generic CTA text like "Learn More". Do not use bullet lists in this paragraph—use flowing prose.`
       }
     } else if (contentType === 'faceless-video') {
       // Veo 3.1-optimized: output a single prompt (or timestamped segments) for direct use by Veo 3.1
@@ -214,12 +231,12 @@ You MUST also provide one **Direct image prompt** paragraph: a single narrative
     // Build brand guidelines section
     let brandGuidance = ''
     if (brandSettings?.useBrandGuidelines !== false) {
-      // Use PL Capital default brand guidelines
+      // Use the selected brand profile's guidelines
       brandGuidance = `
-**PL Capital Brand Guidelines:**
-- **Primary Colors**: Navy (#0e0e6a), Blue (#3c3cf8)
-- **Accent Colors**: Teal (#00d084), Green (#66e766)
-- **Typography**: Figtree font family
+**${brandName} Brand Guidelines:**
+- **Primary Colors**: ${brand.helpers.describePalette('primary')}
+- **Accent Colors**: ${brand.helpers.describePalette('secondary') || brand.helpers.describePalette('primary')}
+- **Typography**: ${brand.helpers.getFontFamily()} font family
 - **Tone & Voice**: Professional, trustworthy, data-driven yet approachable
 - **Visual Style**: Clean, modern, corporate with subtle tech motifs
 - **Key Values**: Trust, Innovation, Performance, Client-First
@@ -271,7 +288,7 @@ Viral reel optimization (when platform is Instagram Reels or YouTube Shorts): Bu
 
 Campaign context: Topic: ${topic}. Duration: ${duration} seconds. Platforms: ${platforms?.join(', ')}.${purpose ? ` Purpose: ${purpose}.` : ''}
 ${brandGuidance ? `\nBrand (reflect in Style & Ambiance): ${brandGuidance.replace(/\*\*/g, '').replace(/\n/g, ' ').trim()}` : ''}`
-      : `You are an expert creative director and prompt engineer for PL Capital's marketing campaigns.
+      : `You are an expert creative director and prompt engineer for ${brandName}'s marketing campaigns.
 
 🚨 CRITICAL INSTRUCTION: Your output MUST be a detailed CREATIVE BRIEF for generating actual ${contentType} content (images, videos, graphics).
 
@@ -358,7 +375,7 @@ Example format (for reference - adapt to your specific content type):
 Core Message: "[Actual message text]"
 
 Visual Direction:
-- Color Palette: Primary Navy (#0e0e6a), Accent Teal (#00d084)
+- Color Palette: Primary ${roles.dark}, Accent ${roles.accent}
 - Composition: Left third shows [specific element], center displays [specific element]
 - Lighting: Soft natural light from top-right, cool backlight on subject
 - Style: Clean corporate with subtle motion graphics
@@ -400,7 +417,8 @@ Make the prompt so detailed and specific that a designer or video editor could e
       contentType,
       platforms,
       aspectRatio,
-      brandSettings
+      brandSettings,
+      brand
     })
     const cleanedPrompt = stripLogoWatermarkMentions(anchoredPrompt)
     const finalPrompt = isWhatsAppImage
@@ -423,3 +441,5 @@ Make the prompt so detailed and specific that a designer or video editor could e
     )
   }
 }
+
+export const POST = withGenerationCache('creative-prompt', generate, { model: MODEL })
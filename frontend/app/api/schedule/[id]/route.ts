@@ -0,0 +1,58 @@
+import path from 'path'
+import { NextRequest, NextResponse } from 'next/server'
+
+// Use CommonJS export to avoid bundler issues with shared backend code
+// eslint-disable-next-line @typescript-eslint/no-var-requires
+const ScheduleStore = require('../../../../backend/core/schedule-store')
+
+export const runtime = 'nodejs'
+export const dynamic = 'force-dynamic'
+
+let store: any = null
+
+/**
+ * Scheduled publishes (backend/data/publish-schedule.db), shared with `main.js schedule`
+ */
+function getStore() {
+  if (!store) store = new ScheduleStore(path.join(process.cwd(), 'backend', 'data'))
+  return store
+}
+
+/**
+ * GET /api/schedule/:id — one scheduled publish with its attempt history
+ */
+export async function GET(
+  _request: NextRequest,
+  { params }: { params: { id: string } }
+) {
+  const id = String(params?.id || '').trim()
+  const item = id ? await getStore().get(id) : null
+  if (!item) {
+    return NextResponse.json({ error: 'Schedule not found' }, { status: 404 })
+  }
+  return NextResponse.json({ item })
+}
+
+/**
+ * DELETE /api/schedule/:id — cancel a pending or retrying publish
+ */
+export async function DELETE(
+  _request: NextRequest,
+  { params }: { params: { id: string } }
+) {
+  try {
+    const item = await getStore().cancel(String(params?.id || '').trim())
+    if (!item) {
+      return NextResponse.json({ error: 'Schedule not found' }, { status: 404 })
+    }
+    return NextResponse.json({ item })
+  } catch (error: any) {
+    if (error?.code === 'INVALID_SCHEDULE') {
+      return NextResponse.json({ error: error.message }, { status: 409 })
+    }
+    return NextResponse.json(
+      { error: error instanceof Error ? error.message : 'Unknown error' },
+      { status: 500 }
+    )
+  }
+}
@@ -0,0 +1,72 @@
+import path from 'path'
+import { NextRequest, NextResponse } from 'next/server'
+
+// Use CommonJS export to avoid bundler issues with shared backend code
+// eslint-disable-next-line @typescript-eslint/no-var-requires
+const ScheduleStore = require('../../../backend/core/schedule-store')
+
+export const runtime = 'nodejs'
+export const dynamic = 'force-dynamic'
+
+let store: any = null
+
+/**
+ * Scheduled publishes (backend/data/publish-schedule.db), shared with `main.js schedule`
+ */
+function getStore() {
+  if (!store) store = new ScheduleStore(path.join(process.cwd(), 'backend', 'data'))
+  return store
+}
+
+/**
+ * GET /api/schedule?status=&platform=&from=&to=
+ * Calendar view of scheduled publishes (from/to are ISO instants), ordered by publish time.
+ */
+export async function GET(request: NextRequest) {
+  try {
+    const { searchParams } = new URL(request.url)
+    const items = await getStore().list({
+      status: searchParams.get('status') || undefined,
+      platform: searchParams.get('platform') || undefined,
+      from: searchParams.get('from') || undefined,
+      to: searchParams.get('to') || undefined,
+    })
+    return NextResponse.json({ items })
+  } catch (error) {
+    console.error('Error reading schedule:', error)
+    return NextResponse.json(
+      { error: error instanceof Error ? error.message : 'Unknown error' },
+      { status: 500 }
+    )
+  }
+}
+
+/**
+ * POST /api/schedule
+ * Body: { platform, topic, at, format?, timeZone?, maxAttempts?, options? }
+ * `at` is wall-clock time in the platform's time zone (IST by default), e.g. "2026-10-20 09:30".
+ */
+export async function POST(request: NextRequest) {
+  try {
+    const body = await request.json()
+    const item = await getStore().add({
+      platform: body?.platform,
+      topic: body?.topic,
+      at: body?.at,
+      format: body?.format,
+      timeZone: body?.timeZone,
+      maxAttempts: body?.maxAttempts,
+      options: body?.options,
+    })
+    return NextResponse.json({ item }, { status: 201 })
+  } catch (error: any) {
+    if (error?.code === 'INVALID_SCHEDULE') {
+      return NextResponse.json({ error: error.message }, { status: 400 })
+    }
+    console.error('Error adding schedule:', error)
+    return NextResponse.json(
+      { error: error instanceof Error ? error.message : 'Unknown error' },
+      { status: 500 }
+    )
+  }
+}
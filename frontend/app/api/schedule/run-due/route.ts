@@ -0,0 +1,37 @@
+import { spawn } from 'child_process'
+import path from 'path'
+import { NextResponse } from 'next/server'
+
+export const runtime = 'nodejs'
+export const dynamic = 'force-dynamic'
+
+/**
+ * POST /api/schedule/run-due
+ * Starts one detached `main.js schedule run-due` pass (for cron pings when no worker is running).
+ */
+export async function POST() {
+  try {
+    const projectRoot = process.cwd()
+    const backendRoot = path.join(projectRoot, 'backend')
+    const parentNodeModules = path.join(projectRoot, 'node_modules')
+    const env = {
+      ...process.env,
+      NODE_PATH: parentNodeModules + (process.env.NODE_PATH ? `:${process.env.NODE_PATH}` : ''),
+    } as NodeJS.ProcessEnv
+
+    const child = spawn('node', [path.join(backendRoot, 'main.js'), 'schedule', 'run-due'], {
+      cwd: backendRoot,
+      env,
+      detached: true,
+      stdio: 'ignore',
+    })
+    child.unref()
+
+    return NextResponse.json({ ok: true })
+  } catch (error) {
+    return NextResponse.json(
+      { error: error instanceof Error ? error.message : 'Failed to start schedule run' },
+      { status: 500 }
+    )
+  }
+}
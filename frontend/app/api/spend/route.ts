@@ -0,0 +1,35 @@
+import path from 'path'
+import { NextRequest, NextResponse } from 'next/server'
+
+// Use CommonJS export to avoid bundler issues with shared backend code
+// eslint-disable-next-line @typescript-eslint/no-var-requires
+const ProviderUsageStore = require('../../../backend/core/provider-usage')
+
+export const runtime = 'nodejs'
+export const dynamic = 'force-dynamic'
+
+/**
+ * GET /api/spend?campaignId=&since=
+ * Image and text provider spend per campaign (backend/data/provider-usage.db), same as `main.js spend`.
+ */
+export async function GET(request: NextRequest) {
+  try {
+    const { searchParams } = new URL(request.url)
+    const since = searchParams.get('since') || undefined
+    if (since && Number.isNaN(Date.parse(since))) {
+      return NextResponse.json({ error: `Invalid since date: ${since}` }, { status: 400 })
+    }
+    const store = ProviderUsageStore.open(path.join(process.cwd(), 'backend', 'data'))
+    const campaigns = store.spendReport({
+      campaignId: searchParams.get('campaignId') || undefined,
+      since,
+    })
+    return NextResponse.json({ campaigns })
+  } catch (error) {
+    console.error('Error reading provider spend:', error)
+    return NextResponse.json(
+      { error: error instanceof Error ? error.message : 'Unknown error' },
+      { status: 500 }
+    )
+  }
+}
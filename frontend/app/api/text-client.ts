@@ -0,0 +1,51 @@
+import path from 'path'
+
+// Use CommonJS export to avoid bundler issues with shared backend code
+// eslint-disable-next-line @typescript-eslint/no-var-requires
+const TextClient = require('../../backend/text/text-client')
+
+export type TextMessage = {
+  role: 'user' | 'assistant'
+  content: string | Array<Record<string, unknown>>
+}
+
+export type TextRequest = {
+  system?: string
+  prompt?: string
+  messages?: TextMessage[]
+  temperature?: number
+  maxTokens?: number
+  models?: Record<string, string>
+  provider?: string
+  webSearch?: boolean
+  seed?: number
+  timeoutMs?: number
+  schema?: Record<string, unknown>
+  maxRepairs?: number
+}
+
+export type TextResult = {
+  text: string
+  provider: string
+  model: string
+  finishReason: string | null
+  reasoning: string | null
+  usage: { inputTokens: number; outputTokens: number; costUsd: number; latencyMs: number }
+  raw: any
+  data?: any
+}
+
+let client: any = null
+
+/**
+ * Text generation client shared with the backend CLI; calls are booked to
+ * backend/data/provider-usage.db with their tokens and estimated cost
+ */
+export function getTextClient(): {
+  isAvailable: (task: string, request?: TextRequest) => boolean
+  generate: (task: string, request: TextRequest) => Promise<TextResult>
+  generateJson: (task: string, request: TextRequest) => Promise<TextResult & { data: any }>
+} {
+  if (!client) client = new TextClient({ dataDir: path.join(process.cwd(), 'backend', 'data') })
+  return client
+}
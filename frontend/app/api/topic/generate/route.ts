@@ -1,7 +1,13 @@
 import fs from 'fs'
-import { GoogleGenAI } from '@google/genai'
 import { NextRequest, NextResponse } from 'next/server'
 import path from 'path'
+import { resolveBrand } from '../../brands/utils'
+import { getTextClient } from '../../text-client'
+
+// Use CommonJS export to avoid bundler issues with shared backend code
+// eslint-disable-next-line @typescript-eslint/no-var-requires
+const topicHistory = require('../../../../backend/core/topic-history')
+const { normalizeTopicForSimilarity, topicSimilarityScore, isTooSimilarToRecent } = topicHistory
 
 export const runtime = 'nodejs'
 export const dynamic = 'force-dynamic'
@@ -13,100 +19,29 @@ type GenerateBody = {
   platforms?: string[]
   language?: string
   seedTheme?: string
+  brandId?: string
 }
 
 const MODEL_PRIMARY = process.env.GROQ_TOPIC_MODEL || 'llama-3.3-70b-versatile'
 const MODEL_FALLBACK = 'llama-3.3-70b-versatile'
-const GROQ_API_URL = 'https://api.groq.com/openai/v1/chat/completions'
 const REFERENCE_FILENAME = 'pl-products-reference.md'
 const LIVE_NEWS_MODEL = 'gemini-3-flash-preview'
-const TOPIC_HISTORY_FILENAME = 'topic-history.json'
 
-function getTopicHistoryPath(): string {
-  return path.join(process.cwd(), 'backend', 'data', TOPIC_HISTORY_FILENAME)
+function getDataDir(): string {
+  return path.join(process.cwd(), 'backend', 'data')
 }
 
 function loadRecentTopics(limit = 8): string[] {
-  try {
-    const filePath = getTopicHistoryPath()
-    if (!fs.existsSync(filePath)) return []
-    const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'))
-    const entries = Array.isArray(parsed?.entries) ? parsed.entries : []
-    return entries
-      .map((e: any) => String(e?.topic || '').trim())
-      .filter(Boolean)
-      .slice(-limit)
-      .reverse()
-  } catch {
-    return []
-  }
+  return topicHistory.loadRecentTopics(getDataDir(), limit)
 }
 
 function saveTopicToHistory(topic: string): void {
-  try {
-    const filePath = getTopicHistoryPath()
-    fs.mkdirSync(path.dirname(filePath), { recursive: true })
-    const existing = fs.existsSync(filePath)
-      ? JSON.parse(fs.readFileSync(filePath, 'utf8'))
-      : { entries: [] }
-    const entries = Array.isArray(existing?.entries) ? existing.entries : []
-    entries.push({ topic, createdAt: new Date().toISOString() })
-    const trimmed = entries.slice(-60)
-    fs.writeFileSync(filePath, JSON.stringify({ entries: trimmed }, null, 2))
-  } catch {
-    // ignore persistence errors
-  }
-}
-
-function normalizeTopicForSimilarity(text: string): string[] {
-  const stopWords = new Set([
-    'the', 'a', 'an', 'in', 'on', 'for', 'to', 'of', 'and', 'with', 'as', 'by', 'at',
-    'is', 'are', 'was', 'were', 'this', 'that', 'these', 'those', 'india', 'indian',
-    'market', 'markets', 'stock', 'stocks'
-  ])
-  return text
-    .toLowerCase()
-    .replace(/[^a-z0-9\s]/g, ' ')
-    .split(/\s+/)
-    .filter(Boolean)
-    .filter((t) => !stopWords.has(t))
-}
-
-function topicSimilarityScore(a: string, b: string): number {
-  const ta = new Set(normalizeTopicForSimilarity(a))
-  const tb = new Set(normalizeTopicForSimilarity(b))
-  if (ta.size === 0 || tb.size === 0) return 0
-  let inter = 0
-  Array.from(ta).forEach((tok) => {
-    if (tb.has(tok)) inter += 1
-  })
-  return inter / Math.max(ta.size, tb.size)
-}
-
-function isTooSimilarToRecent(topic: string, recentTopics: string[]): boolean {
-  const t = topic.toLowerCase()
-  return recentTopics.some((recent) => {
-    const r = recent.toLowerCase()
-    if (!r) return false
-    if (t === r) return true
-    if (t.includes(r) || r.includes(t)) return true
-    const ta = new Set(normalizeTopicForSimilarity(topic))
-    const tb = new Set(normalizeTopicForSimilarity(recent))
-    let shared = 0
-    Array.from(ta).forEach((tok) => {
-      if (tb.has(tok)) shared += 1
-    })
-    // Stronger de-dup for short campaign lines:
-    // - 3+ shared core tokens is usually just a paraphrase
-    // - lower Jaccard threshold prevents same-angle rewrites
-    if (shared >= 3) return true
-    return topicSimilarityScore(topic, recent) >= 0.38
-  })
+  topicHistory.saveTopicToHistory(getDataDir(), topic)
 }
 
 function normalizeThemeTokens(text: string): string[] {
   return normalizeTopicForSimilarity(text)
-    .filter((t) => t.length >= 4)
+    .filter((t: string) => t.length >= 4)
     .slice(0, 8)
 }
 
@@ -129,32 +64,6 @@ function candidateIncludesSeed(candidate: string | undefined, seedTheme: string
   return words.every((word) => lower.includes(word.toLowerCase()))
 }
 
-async function getGeminiText(response: any): Promise<string> {
-  if (!response) return ''
-
-  try {
-    if (typeof response.text === 'function') {
-      const maybe = response.text()
-      if (maybe && typeof maybe.then === 'function') return await maybe
-      return maybe || ''
-    }
-  } catch {
-    // ignore and fall back
-  }
-
-  if (typeof response.text === 'string') return response.text
-
-  const parts = response?.candidates?.[0]?.content?.parts
-  if (Array.isArray(parts)) {
-    return parts
-      .map((p: any) => (typeof p?.text === 'string' ? p.text : ''))
-      .filter(Boolean)
-      .join('')
-  }
-
-  return ''
-}
-
 /** Returns true if the text looks like our instruction (echo) rather than a topic */
 function isEchoOrInvalid(text: string | undefined, userPrompt: string): boolean {
   if (!text || text.length < 10) return true
@@ -190,9 +99,14 @@ export async function POST(request: NextRequest) {
     })
     const body: GenerateBody = await request.json()
     const seedTheme = String(body.seedTheme ?? '').trim().slice(0, 140)
+    let brandName: string
+    try {
+      brandName = resolveBrand(body.brandId).company.shortName
+    } catch (error: any) {
+      return NextResponse.json({ error: error?.message || 'Unknown brand' }, { status: 400 })
+    }
     console.log('[API /topic/generate] campaignType:', body.campaignType, '| seedTheme received:', seedTheme ? JSON.stringify(seedTheme) : '(empty)')
-    const groqKey = process.env.GROQ_API_KEY
-    const geminiKey = process.env.GEMINI_API_KEY
+    const textClient = getTextClient()
 
     const fillerPatterns = [
       /^So something like[:\s]+/i,
@@ -277,14 +191,13 @@ export async function POST(request: NextRequest) {
     }
 
     if (body.campaignType === 'live-news') {
-      if (!geminiKey) {
+      if (!textClient.isAvailable('live-news-topic', { webSearch: true })) {
         return NextResponse.json(
           { error: 'GEMINI_API_KEY is required for live-news topic generation' },
           { status: 500 }
         )
       }
 
-      const ai = new GoogleGenAI({ apiKey: geminiKey })
       const recentTopics = loadRecentTopics(10)
       const avoidLine = recentTopics.length > 0
         ? `Avoid near-duplicates/paraphrases of these recent generated topics: ${recentTopics.join(' | ')}`
@@ -299,7 +212,7 @@ export async function POST(request: NextRequest) {
       ]
 
       const prompts = angleHints.map((angle) => [
-        'Use Google Search to find current, trending finance or markets news relevant to PL Capital audiences in India.',
+        `Use Google Search to find current, trending finance or markets news relevant to ${brandName} audiences in India.`,
         `Today is ${currentDateIso}. Prioritize very recent developments and high-interest stories.`,
         `If you include a year, it must be ${currentYear} (never older years).`,
         body.purpose ? `Purpose: ${body.purpose}` : '',
@@ -325,15 +238,10 @@ export async function POST(request: NextRequest) {
         for (const prompt of prompts) {
           let response: any
           try {
-            response = await ai.models.generateContent({
-              model: LIVE_NEWS_MODEL,
-              contents: [{ text: prompt }],
-              config: {
-                temperature: 0.4,
-                maxOutputTokens: 512,
-                responseMimeType: 'text/plain',
-                tools: [{ googleSearch: {} }],
-              },
+            response = await textClient.generate('live-news-topic', {
+              prompt,
+              models: { gemini: LIVE_NEWS_MODEL },
+              webSearch: true,
             })
           } catch (error) {
             const message = error instanceof Error ? error.message : String(error || '')
@@ -344,9 +252,9 @@ export async function POST(request: NextRequest) {
           }
 
           try {
-            const rawTopic = await getGeminiText(response)
+            const rawTopic = response.text
             const extracted = extractBestTopic(rawTopic)
-            const finishReason = response?.candidates?.[0]?.finishReason || ''
+            const finishReason = response.finishReason || ''
             const cleaned = sanitizeNewsHeadline(extracted)
             const wordCount = cleaned ? cleaned.split(/\s+/).filter(Boolean).length : 0
             const looksTruncated = /[-:;,]$/.test(cleaned)
@@ -391,16 +299,13 @@ export async function POST(request: NextRequest) {
             `If you include a year, it must be ${currentYear}.`,
             'Return only one complete headline, 5 to 15 words, no advice.',
           ].filter(Boolean).join('\n')
-          const fallbackResponse = await ai.models.generateContent({
-            model: LIVE_NEWS_MODEL,
-            contents: [{ text: fallbackPrompt }],
-            config: {
-              temperature: 0.35,
-              maxOutputTokens: 128,
-              responseMimeType: 'text/plain',
-            },
+          const fallbackResponse = await textClient.generate('live-news-topic', {
+            prompt: fallbackPrompt,
+            models: { gemini: LIVE_NEWS_MODEL },
+            temperature: 0.35,
+            maxTokens: 128,
           })
-          const fallbackRaw = await getGeminiText(fallbackResponse)
+          const fallbackRaw = fallbackResponse.text
           const fallbackClean = sanitizeNewsHeadline(extractBestTopic(fallbackRaw))
           if (
             fallbackClean &&
@@ -454,8 +359,8 @@ export async function POST(request: NextRequest) {
       })
     }
 
-    if (!groqKey) {
-      return NextResponse.json({ error: 'GROQ_API_KEY is not configured' }, { status: 500 })
+    if (!textClient.isAvailable('topic')) {
+      return NextResponse.json({ error: 'No text provider is configured (GROQ_API_KEY, OPENAI_API_KEY or GEMINI_API_KEY)' }, { status: 500 })
     }
 
     const referencePath = path.join(process.cwd(), 'public', REFERENCE_FILENAME)
@@ -484,7 +389,7 @@ export async function POST(request: NextRequest) {
     ]
 
     const userPrompt = [
-      'Generate exactly one short campaign topic for PL Capital (finance). Max 15 words.',
+      `Generate exactly one short campaign topic for ${brandName} (finance). Max 15 words.`,
       `Today is ${currentDateHuman}. Keep the topic current.`,
       `If you include a year, use ${currentYear} only.`,
       'Do NOT use generic taglines like "80 years of wealth creation", "PL Capital solutions", or "expertise with PL Capital". Give a specific, campaign-style topic (e.g. tax-saving strategies, mutual fund basics, IPO investing).',
@@ -505,7 +410,6 @@ export async function POST(request: NextRequest) {
     }
     for (let attempt = 0; attempt < 4 && !topic; attempt += 1) {
       const model = attempt < 2 ? MODEL_PRIMARY : MODEL_FALLBACK
-      modelUsed = model
       const angle = nonLiveAngles[attempt % nonLiveAngles.length]
       const attemptPrompt = [
         userPrompt,
@@ -513,55 +417,24 @@ export async function POST(request: NextRequest) {
         attempt > 0 ? 'Must be materially different from recent topics and prior attempts.' : '',
       ].filter(Boolean).join('\n')
 
-      console.log('Making request to Groq API with model:', model, 'attempt:', attempt + 1)
-      const controller = new AbortController()
-      const timeout = setTimeout(() => controller.abort(), 15000) // 15 second timeout
-      let response: Response
+      console.log('Generating topic with model:', model, 'attempt:', attempt + 1)
       try {
-        response = await fetch(
-          GROQ_API_URL,
-          {
-            method: 'POST',
-            headers: {
-              'Authorization': `Bearer ${groqKey}`,
-              'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-              model,
-              messages: [
-                {
-                  role: 'system',
-                  content: `You are a creative marketing expert for PL Capital (financial services). Today is ${currentDateIso}. Your reply must be ONLY one short, specific campaign topic (max 15 words). Do NOT use generic taglines like "80 years of wealth creation" or "PL Capital solutions". Prefer concrete topics: tax saving, mutual funds, IPO, options, portfolio tips, market outlook, etc. If you include a year, use ${currentYear} only. ${seedTheme ? `CRITICAL: The topic MUST include or clearly reflect the user's keyword/theme "${seedTheme}"—do not return a topic that ignores it.` : ''} No labels, no "Topic:", no quotes.`
-                },
-                {
-                  role: 'user',
-                  content: attemptPrompt
-                }
-              ],
-              temperature: 0.9,
-              max_tokens: 80
-            }),
-            signal: controller.signal
-          }
-        )
-      } finally {
-        clearTimeout(timeout)
-      }
-
-      if (!response!.ok) {
-        const errorText = await response!.text()
-        console.error('Groq API error:', response!.status, errorText)
+        result = await textClient.generate('topic', {
+          system: `You are a creative marketing expert for ${brandName} (financial services). Today is ${currentDateIso}. Your reply must be ONLY one short, specific campaign topic (max 15 words). Do NOT use generic taglines like "80 years of wealth creation" or "PL Capital solutions". Prefer concrete topics: tax saving, mutual funds, IPO, options, portfolio tips, market outlook, etc. If you include a year, use ${currentYear} only. ${seedTheme ? `CRITICAL: The topic MUST include or clearly reflect the user's keyword/theme "${seedTheme}"—do not return a topic that ignores it.` : ''} No labels, no "Topic:", no quotes.`,
+          prompt: attemptPrompt,
+          models: { groq: model },
+        })
+      } catch (error) {
+        console.error('Topic generation error:', error instanceof Error ? error.message : error)
         continue
       }
 
-      result = await response!.json()
-      const rawContent = result?.choices?.[0]?.message?.content?.slice(0, 200)
-      console.log('[API /topic/generate] Groq raw candidate:', rawContent)
-      const message = result?.choices?.[0]?.message
-      let candidate = message?.content?.trim()
+      modelUsed = result.model
+      console.log('[API /topic/generate] Raw candidate:', result.text.slice(0, 200))
+      let candidate = result.text
 
-      if (!candidate && message?.reasoning) {
-        const reasoning = message.reasoning.trim()
+      if (!candidate && result.reasoning) {
+        const reasoning = result.reasoning.trim()
         const quoteMatch = reasoning.match(/"([^"]+)"/)
         if (quoteMatch) candidate = quoteMatch[1]
         else {
@@ -634,7 +507,7 @@ export async function POST(request: NextRequest) {
     if (!topic || topic.length < 5) {
       console.error('Failed to extract valid topic from response:', result)
       return NextResponse.json(
-        { error: 'No valid topic generated from Groq response', debug: result },
+        { error: 'No valid topic generated', debug: result?.raw || null },
         { status: 500 }
       )
     }
@@ -652,13 +525,6 @@ export async function POST(request: NextRequest) {
   } catch (error) {
     console.error('Topic generation error:', error)
 
-    if (error instanceof Error && error.name === 'AbortError') {
-      return NextResponse.json(
-        { error: 'Request timed out after 15 seconds. Please try again.' },
-        { status: 504 }
-      )
-    }
-
     const message = error instanceof Error ? error.message : 'Unknown error'
     const friendlyMessage = /fetch failed/i.test(message)
       ? 'Google API is temporarily unreachable. Check network and GEMINI_API_KEY, or try again shortly.'
@@ -1,5 +1,5 @@
 import { NextRequest, NextResponse } from 'next/server'
-import { getVideoJob } from '../utils'
+import { ensureJobWorker, getJobQueue, getVideoJob } from '../utils'
 
 export const runtime = 'nodejs'
 export const dynamic = 'force-dynamic'
@@ -18,6 +18,31 @@ export async function GET(
     return NextResponse.json({ error: 'Job not found' }, { status: 404 })
   }
 
+  // Polling doubles as a restart check: picks up queued or interrupted jobs if no worker is alive
+  ensureJobWorker()
   return NextResponse.json({ job })
 }
 
+/**
+ * DELETE /api/video-jobs/:jobId — cancel a queued, retrying or running job
+ */
+export async function DELETE(
+  _request: NextRequest,
+  { params }: { params: { jobId: string } }
+) {
+  try {
+    const job = getJobQueue().cancel(String(params?.jobId || '').trim())
+    if (!job) {
+      return NextResponse.json({ error: 'Job not found' }, { status: 404 })
+    }
+    return NextResponse.json({ job })
+  } catch (error: any) {
+    if (error?.code === 'INVALID_JOB') {
+      return NextResponse.json({ error: error.message }, { status: 409 })
+    }
+    return NextResponse.json(
+      { error: error instanceof Error ? error.message : 'Unknown error' },
+      { status: 500 }
+    )
+  }
+}
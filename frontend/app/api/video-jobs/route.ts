@@ -1,12 +1,15 @@
-import { randomUUID } from 'crypto'
-import { spawn } from 'child_process'
-import path from 'path'
 import { NextRequest, NextResponse } from 'next/server'
-import { upsertVideoJob, type VideoJobRecord } from './utils'
+import { ensureJobWorker, getJobQueue, type VideoJobRecord } from './utils'
 
 export const runtime = 'nodejs'
 export const dynamic = 'force-dynamic'
 
+/**
+ * POST /api/video-jobs
+ * Queues a Stage 4 video job. Jobs run in the job worker within the provider's concurrency
+ * limit (JOB_CONCURRENCY) and are retried on transient provider errors. An unknown or
+ * non-video `provider` is rejected with 400.
+ */
 export async function POST(request: NextRequest) {
   try {
     const body = await request.json()
@@ -20,36 +23,14 @@ export async function POST(request: NextRequest) {
       return NextResponse.json({ error: 'Only stageId=4 is supported for video jobs' }, { status: 400 })
     }
 
-    const jobId = `video-${Date.now()}-${randomUUID().slice(0, 8)}`
-    const job: VideoJobRecord = {
-      id: jobId,
-      status: 'queued',
-      createdAt: new Date().toISOString(),
-      request: body,
-      logs: ['Queued video job'],
-    }
-    upsertVideoJob(job)
-
-    const projectRoot = process.cwd()
-    const backendRoot = path.join(projectRoot, 'backend')
-    const runnerPath = path.join(backendRoot, 'scripts', 'run-video-job.js')
-    const parentNodeModules = path.join(projectRoot, 'node_modules')
-    const env = {
-      ...process.env,
-      NODE_PATH: parentNodeModules + (process.env.NODE_PATH ? `:${process.env.NODE_PATH}` : ''),
-      VIDEO_JOB_ID: jobId,
-    } as NodeJS.ProcessEnv
-
-    const child = spawn('node', [runnerPath], {
-      cwd: backendRoot,
-      env,
-      detached: true,
-      stdio: 'ignore',
-    })
-    child.unref()
+    const job: VideoJobRecord = getJobQueue().enqueue({ type: 'video', request: body })
+    ensureJobWorker()
 
-    return NextResponse.json({ ok: true, jobId })
-  } catch (error) {
+    return NextResponse.json({ ok: true, jobId: job.id, provider: job.provider })
+  } catch (error: any) {
+    if (error?.code === 'INVALID_JOB') {
+      return NextResponse.json({ error: error.message }, { status: 400 })
+    }
     return NextResponse.json(
       { error: error instanceof Error ? error.message : 'Failed to enqueue video job' },
       { status: 500 }
@@ -57,3 +38,17 @@ export async function POST(request: NextRequest) {
   }
 }
 
+/**
+ * GET /api/video-jobs?status=&type=&limit=
+ * Lists jobs, newest first (logs omitted).
+ */
+export async function GET(request: NextRequest) {
+  const { searchParams } = new URL(request.url)
+  const jobs: VideoJobRecord[] = getJobQueue().list({
+    status: searchParams.get('status') || undefined,
+    type: searchParams.get('type') || undefined,
+    limit: parseInt(searchParams.get('limit') || '50', 10) || 50,
+  })
+  ensureJobWorker()
+  return NextResponse.json({ jobs: jobs.map(({ logs: _logs, ...job }) => job) })
+}
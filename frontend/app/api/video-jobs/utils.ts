@@ -1,55 +1,70 @@
-import fs from 'fs'
+import { spawn } from 'child_process'
 import path from 'path'
 
-export type VideoJobStatus = 'queued' | 'running' | 'completed' | 'error'
+// Use CommonJS export to avoid bundler issues with shared backend code
+// eslint-disable-next-line @typescript-eslint/no-var-requires
+const JobQueue = require('../../../backend/core/job-queue')
+
+export type VideoJobStatus = 'queued' | 'running' | 'retrying' | 'completed' | 'error' | 'cancelled'
 
 export type VideoJobRecord = {
   id: string
+  type: 'video' | 'image'
+  provider: string
   status: VideoJobStatus
   createdAt: string
   startedAt?: string
   finishedAt?: string
+  nextAttemptAt?: string
+  cancelRequestedAt?: string
   request: Record<string, any>
+  attempts: { attempt: number; startedAt: string; finishedAt?: string; status?: string; error?: string }[]
+  maxAttempts: number
   logs: string[]
   result?: Record<string, any>
   error?: string
 }
 
 const backendRoot = path.join(process.cwd(), 'backend')
-const jobsFilePath = path.join(backendRoot, 'data', 'video-jobs.json')
-
-function ensureJobsFile() {
-  const jobsDir = path.dirname(jobsFilePath)
-  if (!fs.existsSync(jobsDir)) fs.mkdirSync(jobsDir, { recursive: true })
-  if (!fs.existsSync(jobsFilePath)) {
-    fs.writeFileSync(jobsFilePath, JSON.stringify({ jobs: {} }, null, 2))
-  }
-}
 
-export function readVideoJobs(): Record<string, VideoJobRecord> {
-  ensureJobsFile()
-  try {
-    const raw = fs.readFileSync(jobsFilePath, 'utf-8')
-    const parsed = JSON.parse(raw)
-    return parsed?.jobs && typeof parsed.jobs === 'object' ? parsed.jobs : {}
-  } catch {
-    return {}
-  }
-}
+let queue: any = null
+let lastWorkerSpawnAt = 0
 
-export function writeVideoJobs(jobs: Record<string, VideoJobRecord>) {
-  ensureJobsFile()
-  fs.writeFileSync(jobsFilePath, JSON.stringify({ jobs }, null, 2))
+/**
+ * Durable job queue (backend/data/job-queue.db) shared with `main.js jobs`
+ */
+export function getJobQueue() {
+  if (!queue) queue = new JobQueue(path.join(backendRoot, 'data'))
+  return queue
 }
 
-export function getVideoJob(jobId: string): VideoJobRecord | null {
-  const jobs = readVideoJobs()
-  return jobs[jobId] || null
-}
+/**
+ * Start a detached `main.js jobs worker --exit-when-idle` when there is work and no live
+ * worker. The worker also recovers jobs left running by a previous server or worker.
+ */
+export function ensureJobWorker() {
+  const jobQueue = getJobQueue()
+  if (jobQueue.countActive() === 0 || jobQueue.hasActiveWorker()) return false
+  // A worker spawned moments ago may not have sent its first heartbeat yet
+  if (Date.now() - lastWorkerSpawnAt < 10000) return false
+  lastWorkerSpawnAt = Date.now()
+
+  const parentNodeModules = path.join(process.cwd(), 'node_modules')
+  const env = {
+    ...process.env,
+    NODE_PATH: parentNodeModules + (process.env.NODE_PATH ? `:${process.env.NODE_PATH}` : ''),
+  } as NodeJS.ProcessEnv
 
-export function upsertVideoJob(job: VideoJobRecord) {
-  const jobs = readVideoJobs()
-  jobs[job.id] = job
-  writeVideoJobs(jobs)
+  const child = spawn('node', [path.join(backendRoot, 'main.js'), 'jobs', 'worker', '--exit-when-idle'], {
+    cwd: backendRoot,
+    env,
+    detached: true,
+    stdio: 'ignore',
+  })
+  child.unref()
+  return true
 }
 
+export function getVideoJob(jobId: string): VideoJobRecord | null {
+  return getJobQueue().get(jobId)
+}
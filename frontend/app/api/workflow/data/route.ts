@@ -0,0 +1,32 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { getStateManager, stageKeys } from '../state'
+
+export const runtime = 'nodejs'
+export const dynamic = 'force-dynamic'
+
+/**
+ * GET /api/workflow/data?stage=1..6
+ * Returns the workflow state records for the given stage (used after stage completion for edit popup).
+ */
+export async function GET(request: NextRequest) {
+  try {
+    const { searchParams } = new URL(request.url)
+    const stageParam = searchParams.get('stage')
+    const stageId = stageParam ? parseInt(stageParam, 10) : NaN
+
+    if (!Number.isInteger(stageId) || stageId < 1 || stageId > 6) {
+      return NextResponse.json({ error: 'Invalid or missing stage (use 1–6)' }, { status: 400 })
+    }
+
+    const stateManager = await getStateManager()
+    const data = stateManager.getEntries(stageKeys[stageId]) as Record<string, unknown>
+
+    return NextResponse.json({ data })
+  } catch (error) {
+    console.error('Error reading workflow data:', error)
+    return NextResponse.json(
+      { error: error instanceof Error ? error.message : 'Unknown error' },
+      { status: 500 }
+    )
+  }
+}
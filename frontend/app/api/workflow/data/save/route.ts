@@ -0,0 +1,38 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { getStateManager } from '../../state'
+
+export const runtime = 'nodejs'
+export const dynamic = 'force-dynamic'
+
+/**
+ * POST /api/workflow/data/save
+ * Body: { stageId, dataId, editedData }
+ * Updates one stage entry in the workflow state. Approved content/visuals go back to draft when edited.
+ */
+export async function POST(request: NextRequest) {
+  try {
+    const body = await request.json()
+    const { stageId, dataId, editedData } = body as { stageId: number; dataId: string; editedData: any }
+
+    if (!Number.isInteger(stageId) || stageId < 1 || stageId > 6 || !dataId || editedData === undefined) {
+      return NextResponse.json(
+        { error: 'Missing or invalid stageId, dataId, or editedData' },
+        { status: 400 }
+      )
+    }
+
+    const stateManager = await getStateManager()
+    const entry = await stateManager.updateStageEntry(stageId, dataId, editedData)
+    if (!entry) {
+      return NextResponse.json({ error: 'Stage entry not found' }, { status: 404 })
+    }
+
+    return NextResponse.json({ ok: true, review: entry.review || null })
+  } catch (error) {
+    console.error('Error saving workflow data:', error)
+    return NextResponse.json(
+      { error: error instanceof Error ? error.message : 'Unknown error' },
+      { status: 500 }
+    )
+  }
+}
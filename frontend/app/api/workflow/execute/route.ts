@@ -1,60 +1,18 @@
 import { spawn } from 'child_process'
-import fs from 'fs'
 import { NextRequest } from 'next/server'
 import path from 'path'
+import { getStateManager } from '../state'
 
 export const runtime = 'nodejs'
 export const dynamic = 'force-dynamic'
 export const maxDuration = 900
 
 // Helper function to save stage data
-function saveStageData(stageId: number, data: any) {
+async function saveStageData(stageId: number, data: any) {
   try {
-    const backendRoot = path.join(process.cwd(), 'backend')
-    const stateFilePath = path.join(backendRoot, 'data', 'workflow-state.json')
-
-    // Read existing state
-    let state: any = {
-      campaigns: {},
-      content: {},
-      visuals: {},
-      videos: {},
-      published: {},
-      metrics: {}
-    }
-
-    if (fs.existsSync(stateFilePath)) {
-      const stateContent = fs.readFileSync(stateFilePath, 'utf-8')
-      state = JSON.parse(stateContent)
-    }
-
-    // Generate unique ID
-    const timestamp = Date.now()
-    const id = `${stageId}-${timestamp}`
-
-    // Save data based on stage
-    const stageKeys: Record<number, string> = {
-      1: 'campaigns',
-      2: 'content',
-      3: 'visuals',
-      4: 'videos',
-      5: 'published',
-      6: 'metrics'
-    }
-
-    const key = stageKeys[stageId]
-    if (key) {
-      state[key][id] = {
-        id,
-        ...data,
-        stageId,
-        completedAt: new Date().toISOString()
-      }
-    }
-
-    // Write updated state
-    fs.writeFileSync(stateFilePath, JSON.stringify(state, null, 2))
-    console.log(`Saved stage ${stageId} data:`, id)
+    const stateManager = await getStateManager()
+    const entry = await stateManager.addStageEntry(stageId, data)
+    console.log(`Saved stage ${stageId} data:`, entry.id)
   } catch (error) {
     console.error('Error saving stage data:', error)
   }
@@ -76,7 +34,11 @@ export async function POST(request: NextRequest) {
     autoPublish = false,
     contentType,
     aspectRatio = '16:9',
-    language = 'english'
+    language = 'english',
+    brandId,
+    bypassCache = false,
+    campaignId,
+    campaignOptions = {}
   } = body
 
   // Sync useAvatar with contentType if contentType is explicitly set
@@ -130,6 +92,14 @@ export async function POST(request: NextRequest) {
           args.push('--no-avatar')  // Explicitly disable avatar for faceless videos
         }
         if (autoPublish) args.push('--auto-publish')
+        if (brandId) args.push('--brand', String(brandId))
+        if (bypassCache) args.push('--no-cache')
+        // Stage 1 record from a content calendar slot (see /api/calendar)
+        if (campaignId) args.push('--campaign-id', String(campaignId))
+        // Form fields of registered campaign types (see GET /api/campaign-types)
+        Object.entries(campaignOptions as Record<string, unknown>).forEach(([key, value]) => {
+          if (value !== '' && value !== null && value !== undefined) args.push('--option', `${key}=${value}`)
+        })
 
         if (campaignType === 'infographic') {
           const primary =
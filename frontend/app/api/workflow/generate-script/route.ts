@@ -1,9 +1,11 @@
 import { NextRequest, NextResponse } from 'next/server'
+import { resolveBrand } from '../../brands/utils'
+import { withGenerationCache } from '../../generation-cache'
+import { getTextClient } from '../../text-client'
 
 export const runtime = 'nodejs'
 export const dynamic = 'force-dynamic'
 
-const GROQ_API_URL = 'https://api.groq.com/openai/v1/chat/completions'
 const DEFAULT_MODEL = 'llama-3.3-70b-versatile'
 const WORDS_PER_SECOND_TARGET = 2.2
 const WORDS_PER_SECOND_MIN = 1.8
@@ -30,6 +32,14 @@ function getLanguageName(code: string): string {
   return LANGUAGE_NAMES[code?.toLowerCase() || ''] ?? 'English'
 }
 
+function cleanScript(text: string): string {
+  return String(text || '').trim()
+    .replace(/^```[\s\S]*?$/gm, '')
+    .replace(/^\s*script\s*:\s*/i, '')
+    .replace(/^["']|["']$/g, '')
+    .trim()
+}
+
 type GenerateScriptBody = {
   topic: string
   duration?: number
@@ -37,22 +47,29 @@ type GenerateScriptBody = {
   format?: string
   language?: string
   planningContext?: string
+  brandId?: string
 }
 
-export async function POST(request: NextRequest) {
+async function generate(request: NextRequest) {
   try {
     const body: GenerateScriptBody = await request.json()
-    const topic = (body.topic || '').trim() || 'PL Capital investing insights'
+    let brandName: string
+    try {
+      brandName = resolveBrand(body.brandId).company.shortName
+    } catch (error: any) {
+      return NextResponse.json({ error: error?.message || 'Unknown brand' }, { status: 400 })
+    }
+    const topic = (body.topic || '').trim() || `${brandName} investing insights`
     const platform = body.platform || 'instagram'
     const format = body.format || 'reel'
     const duration = Math.max(8, Number(body.duration) || 8)
     const language = body.language || 'english'
     const planningText = (body.planningContext || '').trim()
 
-    const groqKey = process.env.GROQ_API_KEY
-    if (!groqKey) {
+    const textClient = getTextClient()
+    if (!textClient.isAvailable('avatar-script')) {
       const hook = platform === 'instagram' ? 'Stop scrolling—quick money tip.' : 'Quick update.'
-      const fallback = `${hook} ${topic}. Want a simple plan? Talk to PL Capital today.`.trim()
+      const fallback = `${hook} ${topic}. Want a simple plan? Talk to ${brandName} today.`.trim()
       return NextResponse.json({ script: fallback })
     }
 
@@ -96,40 +113,28 @@ Output rules:
 - Output ONLY the script text the avatar should speak.
 - Do NOT include quotation marks or labels like "Script:".`
 
-    const model = process.env.GROQ_HEYGEN_SCRIPT_MODEL || DEFAULT_MODEL
-
-    const response = await fetch(GROQ_API_URL, {
-      method: 'POST',
-      headers: {
-        Authorization: `Bearer ${groqKey}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        model,
-        messages: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user', content: userPrompt }
-        ],
-        temperature: 0.6,
-        max_tokens: Math.min(700, Math.max(200, Math.round(maxWords * 1.8)))
-      })
-    })
-
-    if (!response.ok) {
-      const text = await response.text().catch(() => '')
-      console.error('Groq generate-script error:', response.status, text)
-      return NextResponse.json(
-        { error: text || `Groq API error: ${response.status}` },
-        { status: 502 }
-      )
+    const maxTokens = Math.min(700, Math.max(200, Math.round(maxWords * 1.8)))
+    let script: string
+    try {
+      const result = await textClient.generate('avatar-script', { system: systemPrompt, prompt: userPrompt, maxTokens })
+      script = cleanScript(result.text)
+    } catch (error: any) {
+      console.error('generate-script error:', error?.message || error)
+      return NextResponse.json({ error: error?.message || 'Script generation failed' }, { status: 502 })
     }
 
-    const data = await response.json()
-    let script = (data.choices?.[0]?.message?.content || '').trim()
-
-    script = script.replace(/^```[\s\S]*?$/gm, '').trim()
-    script = script.replace(/^\s*script\s*:\s*/i, '').trim()
-    script = script.replace(/^["']|["']$/g, '').trim()
+    // Rewrite passes are best effort: keep the current script when one fails
+    const regenerate = async (prompt: string, temperature: number) => {
+      try {
+        const result = await textClient.generate('avatar-script', { system: systemPrompt, prompt, temperature, maxTokens })
+        return cleanScript(result.text)
+          .replace(/\bmarket risks apply\.?/gi, '')
+          .replace(/\s+/g, ' ')
+          .trim()
+      } catch {
+        return ''
+      }
+    }
 
     const wordCount = (text: string) => String(text || '').trim().split(/\s+/).filter(Boolean).length
     const trimToWords = (text: string, n: number) => {
@@ -156,36 +161,10 @@ Hard constraints:
 Original script:
 ${script}`
 
-      const rewriteResponse = await fetch(GROQ_API_URL, {
-        method: 'POST',
-        headers: {
-          Authorization: `Bearer ${groqKey}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          model,
-          messages: [
-            { role: 'system', content: systemPrompt },
-            { role: 'user', content: rewritePrompt }
-          ],
-          temperature: 0.3,
-          max_tokens: Math.min(700, Math.max(200, Math.round(maxWords * 1.8)))
-        })
-      })
-
-      if (rewriteResponse.ok) {
-        const rewriteData = await rewriteResponse.json()
-        const rewritten = (rewriteData.choices?.[0]?.message?.content || '').trim()
-          .replace(/^```[\s\S]*?$/gm, '')
-          .replace(/^\s*script\s*:\s*/i, '')
-          .replace(/^["']|["']$/g, '')
-          .replace(/\bmarket risks apply\.?/gi, '')
-          .replace(/\s+/g, ' ')
-          .trim()
-        if (rewritten) {
-          script = rewritten
-          words = wordCount(script)
-        }
+      const rewritten = await regenerate(rewritePrompt, 0.3)
+      if (rewritten) {
+        script = rewritten
+        words = wordCount(script)
       }
 
       // If still too short, do one targeted expansion pass.
@@ -202,36 +181,10 @@ Hard constraints:
 Script:
 ${script}`
 
-        const expandResponse = await fetch(GROQ_API_URL, {
-          method: 'POST',
-          headers: {
-            Authorization: `Bearer ${groqKey}`,
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({
-            model,
-            messages: [
-              { role: 'system', content: systemPrompt },
-              { role: 'user', content: expandPrompt }
-            ],
-            temperature: 0.35,
-            max_tokens: Math.min(700, Math.max(200, Math.round(maxWords * 1.8)))
-          })
-        })
-
-        if (expandResponse.ok) {
-          const expandData = await expandResponse.json()
-          const expanded = (expandData.choices?.[0]?.message?.content || '').trim()
-            .replace(/^```[\s\S]*?$/gm, '')
-            .replace(/^\s*script\s*:\s*/i, '')
-            .replace(/^["']|["']$/g, '')
-            .replace(/\bmarket risks apply\.?/gi, '')
-            .replace(/\s+/g, ' ')
-            .trim()
-          if (expanded) {
-            script = expanded
-            words = wordCount(script)
-          }
+        const expanded = await regenerate(expandPrompt, 0.35)
+        if (expanded) {
+          script = expanded
+          words = wordCount(script)
         }
       }
 
@@ -276,3 +229,5 @@ ${script}`
     )
   }
 }
+
+export const POST = withGenerationCache('avatar-script', generate, { model: process.env.GROQ_HEYGEN_SCRIPT_MODEL || DEFAULT_MODEL })
@@ -0,0 +1,81 @@
+import { NextRequest, NextResponse } from 'next/server'
+import { getStateManager } from '../state'
+
+export const runtime = 'nodejs'
+export const dynamic = 'force-dynamic'
+
+// Stage 2 content, Stage 3 visuals and Stage 4 videos go through review
+const reviewableStageKeys: Record<number, string> = {
+  2: 'content',
+  3: 'visuals',
+  4: 'videos'
+}
+
+const reviewActions = ['submit', 'approve', 'reject', 'comment']
+
+/**
+ * GET /api/workflow/review?stage=2|3|4&dataId=...
+ * Returns the review status and comment history of a stage entry.
+ */
+export async function GET(request: NextRequest) {
+  const { searchParams } = new URL(request.url)
+  const key = reviewableStageKeys[parseInt(searchParams.get('stage') || '', 10)]
+  const dataId = searchParams.get('dataId')
+
+  if (!key || !dataId) {
+    return NextResponse.json({ error: 'Missing or invalid stage (use 2, 3 or 4) or dataId' }, { status: 400 })
+  }
+
+  const stateManager = await getStateManager()
+  const item = stateManager.state[key]?.[dataId]
+  if (!item) {
+    return NextResponse.json({ error: 'Stage entry not found' }, { status: 404 })
+  }
+
+  return NextResponse.json({
+    status: stateManager.getReviewStatus(item),
+    review: item.review || { status: 'draft', history: [] }
+  })
+}
+
+/**
+ * POST /api/workflow/review
+ * Body: { stageId, dataId, action: 'submit' | 'approve' | 'reject' | 'comment', reviewer?, comment? }
+ * Moves a content, visuals or videos entry through draft → in_review → approved/rejected.
+ */
+export async function POST(request: NextRequest) {
+  try {
+    const { stageId, dataId, action, reviewer, comment } = await request.json() as {
+      stageId: number
+      dataId: string
+      action: string
+      reviewer?: string
+      comment?: string
+    }
+
+    const key = reviewableStageKeys[stageId]
+    if (!key || !dataId || !reviewActions.includes(action)) {
+      return NextResponse.json(
+        { error: `Missing or invalid stageId (2, 3 or 4), dataId, or action (${reviewActions.join(', ')})` },
+        { status: 400 }
+      )
+    }
+
+    const stateManager = await getStateManager()
+    if (!stateManager.state[key]?.[dataId]) {
+      return NextResponse.json({ error: 'Stage entry not found' }, { status: 404 })
+    }
+
+    const item = await stateManager.reviewItem(key, dataId, action, { reviewer, comment })
+    return NextResponse.json({ ok: true, status: item.review.status, item })
+  } catch (error: any) {
+    if (error?.code === 'INVALID_REVIEW') {
+      return NextResponse.json({ error: error.message }, { status: 409 })
+    }
+    console.error('Error updating review:', error)
+    return NextResponse.json(
+      { error: error instanceof Error ? error.message : 'Unknown error' },
+      { status: 500 }
+    )
+  }
+}
@@ -1,14 +1,21 @@
 import { spawn } from 'child_process'
 import { randomUUID } from 'crypto'
 import fs from 'fs'
-import { NextRequest } from 'next/server'
+import { NextRequest, NextResponse } from 'next/server'
 import os from 'os'
 import path from 'path'
+import { DEFAULT_BRAND_ID, resolveBrand } from '../../brands/utils'
+import { getTextClient } from '../../text-client'
+import { getStateManager } from '../state'
+
+// Use CommonJS export to avoid bundler issues with shared backend code
+// eslint-disable-next-line @typescript-eslint/no-var-requires
+const { checkEntry, extractCopy, formatReport } = require('../../../../backend/core/compliance-checker')
 
 /**
- * Download PDFs from R2, extract key facts via Gemini, clean up R2 refs, and return
- * a concise text summary. Used to inject reference context into non-live-news Stage 2
- * content generation (carousel, thread, avatar script, etc.).
+ * Download PDFs from R2, extract key facts (text client task 'document-summary'), clean up
+ * R2 refs, and return a concise text summary. Used to inject reference context into
+ * non-live-news Stage 2 content generation (carousel, thread, avatar script, etc.).
  */
 async function buildPdfContextForBackend(
   refs: Array<{ fileId?: string; bucket?: string; name?: string; size?: number; url?: string }>
@@ -16,12 +23,11 @@ async function buildPdfContextForBackend(
   const r2AccessKey = (process.env.R2_ACCESS_KEY_ID || '').trim()
   const r2SecretKey = (process.env.R2_SECRET_ACCESS_KEY || '').trim()
   const r2Endpoint = (process.env.R2_ENDPOINT || '').trim()
-  const geminiKey = (process.env.GEMINI_API_KEY || '').trim()
-  if (!r2AccessKey || !r2SecretKey || !r2Endpoint || !geminiKey) return ''
+  const textClient = getTextClient()
+  if (!r2AccessKey || !r2SecretKey || !r2Endpoint || !textClient.isAvailable('document-summary')) return ''
   if (!Array.isArray(refs) || refs.length === 0) return ''
 
   const { S3Client, GetObjectCommand, DeleteObjectCommand } = await import('@aws-sdk/client-s3')
-  const { GoogleGenAI } = await import('@google/genai')
 
   const s3 = new S3Client({
     region: 'auto',
@@ -48,19 +54,16 @@ async function buildPdfContextForBackend(
   if (pdfParts.length === 0) return ''
 
   try {
-    const ai = new GoogleGenAI({ apiKey: geminiKey })
-    const response = await ai.models.generateContent({
-      model: 'gemini-3-flash-preview',
-      contents: [{
-        role: 'user' as const,
-        parts: [
+    const { text } = await textClient.generate('document-summary', {
+      messages: [{
+        role: 'user',
+        content: [
           { text: 'Extract key facts, financial metrics, data points, company details, and important insights from this document. Return a concise bullet-point summary (max 400 words) to use as reference context when generating social media content.' },
           ...pdfParts
         ]
-      }],
-      config: { temperature: 0.1, maxOutputTokens: 600 }
+      }]
     })
-    return (response.text || '').trim()
+    return text
   } catch {
     return ''
   }
@@ -132,57 +135,28 @@ async function fetchInternalApiJson(
   return await response.json()
 }
 
-// Helper function to save stage data
-function saveStageData(stageId: number, data: any) {
-  try {
-    const backendRoot = path.join(process.cwd(), 'backend')
-    const stateFilePath = path.join(backendRoot, 'data', 'workflow-state.json')
-
-    // Read existing state
-    let state: any = {
-      campaigns: {},
-      content: {},
-      visuals: {},
-      videos: {},
-      published: {},
-      metrics: {}
-    }
-
-    if (fs.existsSync(stateFilePath)) {
-      const stateContent = fs.readFileSync(stateFilePath, 'utf-8')
-      state = JSON.parse(stateContent)
-    }
-
-    // Generate unique ID
-    const timestamp = Date.now()
-    const id = `${stageId}-${timestamp}`
-
-    // Save data based on stage
-    const stageKeys: Record<number, string> = {
-      1: 'campaigns',
-      2: 'content',
-      3: 'visuals',
-      4: 'videos',
-      5: 'published',
-      6: 'metrics'
-    }
-
-    const key = stageKeys[stageId]
-    if (key) {
-      state[key][id] = {
-        id,
-        ...data,
-        stageId,
-        completedAt: new Date().toISOString()
-      }
-    }
+// Helper function to save stage data.
+// Stage 2 copy and Stage 4 scripts get a compliance report stored with them (also set on data),
+// checked against the disclaimer rules of the brand the entry was generated for.
+async function saveStageData(
+  stageId: number,
+  data: any,
+  { targetAudience, brand, brandId }: { targetAudience?: string; brand?: any; brandId?: string } = {}
+) {
+  if (brandId) data.brandId = brandId
+  if ((stageId === 2 || stageId === 4) && extractCopy(data).length > 0) {
+    if (targetAudience) data.targetAudience = targetAudience
+    data.compliance = checkEntry(data, { brand })
+  }
 
-    // Write updated state
-    fs.writeFileSync(stateFilePath, JSON.stringify(state, null, 2))
-    console.log(`Saved stage ${stageId} data:`, id)
+  try {
+    const stateManager = await getStateManager()
+    const entry = await stateManager.addStageEntry(stageId, data)
+    console.log(`Saved stage ${stageId} data:`, entry.id)
   } catch (error) {
     console.error('Error saving stage data:', error)
   }
+  return data.compliance || null
 }
 
 /**
@@ -218,9 +192,19 @@ export async function POST(request: NextRequest) {
     seedFaqSchema,
     avatarId,
     avatarScriptText,
-    avatarVoiceId
+    avatarVoiceId,
+    brandId = DEFAULT_BRAND_ID,
+    bypassCache = false
   } = body
 
+  let brand: any
+  try {
+    brand = resolveBrand(brandId)
+  } catch (error: any) {
+    return NextResponse.json({ error: error?.message || 'Unknown brand' }, { status: 400 })
+  }
+  const brandContext = { brand, brandId }
+
   // Keep uploaded PDF refs for Stage 2 generation (any campaign type).
   const researchPdfRefs =
     stageId === 2 && Array.isArray(files?.researchPdfRefs)
@@ -299,6 +283,10 @@ export async function POST(request: NextRequest) {
         }
       }
 
+      const logCompliance = (report: any) => {
+        if (report) formatReport(report).forEach((line: string) => sendEvent({ log: line }))
+      }
+
       try {
         sendEvent({ log: `🚀 Starting Stage ${stageId}: ${stageName}...` })
         sendEvent({ stage: stageId, status: 'running', message: `Executing ${stageName}...` })
@@ -342,6 +330,8 @@ export async function POST(request: NextRequest) {
                 language,
                 aspectRatio,
                 brandSettings,
+                brandId,
+                bypassCache,
                 referenceImageUrls: referenceImageUrls.length > 0 ? referenceImageUrls : undefined,
                 referenceImagesProvided: files?.referenceImages?.length > 0
               },
@@ -364,7 +354,7 @@ export async function POST(request: NextRequest) {
               ...(referenceImageUrls.length > 0 && { referenceImageUrls })
             }
 
-            saveStageData(stageId, stageData)
+            await saveStageData(stageId, stageData, brandContext)
             sendEvent({ stage: stageId, status: 'completed', message: 'Creative prompt generated', data: stageData })
             sendEvent({ log: '✅ Stage 1 completed successfully!' })
             controller.close()
@@ -373,8 +363,8 @@ export async function POST(request: NextRequest) {
           } catch (error) {
             sendEvent({ log: `⚠️ Prompt generation failed: ${error instanceof Error ? error.message : 'Unknown error'}` })
             // Fallback prompt so the UI still has editable content
-            const brand = brandSettings?.useBrandGuidelines
-              ? 'Use PL Capital colors (Navy #0e0e6a, Blue #3c3cf8, Teal #00d084, Green #66e766) and Figtree typography.'
+            const brandLine = brandSettings?.useBrandGuidelines
+              ? `Use ${brand.company.shortName} colors (${brand.helpers.describePalette()}) and ${brand.helpers.getFontFamily()} typography.`
               : (() => {
                   const parts: string[] = []
                   if (brandSettings?.customColors) parts.push(`Primary colors: ${brandSettings.customColors}`)
@@ -393,7 +383,7 @@ export async function POST(request: NextRequest) {
                   return parts.length ? parts.join('. ') : 'Use brand-safe colors and professional tone.'
                 })()
 
-            const fallbackPrompt = `Create a WhatsApp static creative for "${topic || 'the campaign'}". Focus on a bold headline, single CTA, high contrast, and mobile-friendly 1080x1920 layout. ${brand}`;
+            const fallbackPrompt = `Create a WhatsApp static creative for "${topic || 'the campaign'}". Focus on a bold headline, single CTA, high contrast, and mobile-friendly 1080x1920 layout. ${brandLine}`;
 
             const stageData = {
               topic,
@@ -405,7 +395,7 @@ export async function POST(request: NextRequest) {
               promptModel: 'fallback'
             }
 
-            saveStageData(stageId, stageData)
+            await saveStageData(stageId, stageData, brandContext)
             sendEvent({ stage: stageId, status: 'completed', message: 'Creative prompt generated (fallback)', data: stageData })
             sendEvent({ log: '✅ Stage 1 completed with fallback prompt' })
             controller.close()
@@ -458,24 +448,18 @@ export async function POST(request: NextRequest) {
             }
 
             // Get creative prompt from Stage 1 if available
-            const backendRoot = path.join(process.cwd(), 'backend')
-            const stateFilePath = path.join(backendRoot, 'data', 'workflow-state.json')
             let creativePrompt = ''
+            const { state } = await getStateManager()
 
-            if (fs.existsSync(stateFilePath)) {
-              const stateContent = fs.readFileSync(stateFilePath, 'utf-8')
-              const state = JSON.parse(stateContent)
-
-              // Find the most recent campaign with matching topic
-              const campaigns = Object.values(state.campaigns || {}) as any[]
-              const matchingCampaign = campaigns
-                .filter((c: any) => c.topic === topic)
-                .sort((a: any, b: any) => new Date(b.completedAt).getTime() - new Date(a.completedAt).getTime())[0]
+            // Find the most recent campaign with matching topic
+            const campaigns = Object.values(state.campaigns || {}) as any[]
+            const matchingCampaign = campaigns
+              .filter((c: any) => c.topic === topic)
+              .sort((a: any, b: any) => new Date(b.completedAt).getTime() - new Date(a.completedAt).getTime())[0]
 
-              if (matchingCampaign?.creativePrompt) {
-                creativePrompt = matchingCampaign.creativePrompt
-                sendEvent({ log: '📋 Using creative prompt from Stage 1' })
-              }
+            if (matchingCampaign?.creativePrompt) {
+              creativePrompt = matchingCampaign.creativePrompt
+              sendEvent({ log: '📋 Using creative prompt from Stage 1' })
             }
 
             // Load newsletter reference from examples folder (tone/structure inspiration)
@@ -496,6 +480,8 @@ export async function POST(request: NextRequest) {
                 targetAudience,
                 creativePrompt,
                 brandSettings,
+                brandId,
+                bypassCache,
                 language,
                 referenceExamples: referenceExamples || undefined,
                 referenceImageBase64: referenceImageBase64 || undefined,
@@ -526,7 +512,7 @@ export async function POST(request: NextRequest) {
               model: emailData.model
             }
 
-            saveStageData(stageId, stageData)
+            logCompliance(await saveStageData(stageId, stageData, { ...brandContext, targetAudience }))
             sendEvent({ stage: stageId, status: 'completed', message: 'Email newsletter generated', data: stageData })
             sendEvent({ log: '✅ Stage 2 completed successfully!' })
             controller.close()
@@ -575,7 +561,8 @@ export async function POST(request: NextRequest) {
               seedSeo,
               seedFaqSchema,
               researchPdfRefs,
-              researchPDFs
+              researchPDFs,
+              bypassCache
             }
 
             let articleResponse: Response | null = null
@@ -673,7 +660,7 @@ export async function POST(request: NextRequest) {
               generatedAt: article.generatedAt
             }
 
-            saveStageData(stageId, stageData)
+            logCompliance(await saveStageData(stageId, stageData, { ...brandContext, targetAudience }))
             sendEvent({ stage: stageId, status: 'completed', message: 'Live-news article generated', data: stageData })
             sendEvent({ log: '✅ Stage 2 completed successfully!' })
             clearInterval(keepaliveTimer)
@@ -710,6 +697,14 @@ export async function POST(request: NextRequest) {
           args.push('--language', language)
         }
 
+        // Compliance checks need the audience to know whether the disclaimer is mandatory
+        if (targetAudience) {
+          args.push('--audience', targetAudience)
+        }
+
+        args.push('--brand', brandId)
+        if (bypassCache) args.push('--no-cache')
+
         if (campaignType) {
           args.push('--type', campaignType)
 
@@ -860,24 +855,19 @@ export async function POST(request: NextRequest) {
           let effectiveLongCatEnabled = longCatConfig?.enabled ?? false
           let effectiveLongCatPrompt = longCatConfig?.prompt ?? ''
           if (contentType === 'faceless-video' && !effectiveLongCatPrompt) {
-            const backendRoot = path.join(process.cwd(), 'backend')
-            const stateFilePath = path.join(backendRoot, 'data', 'workflow-state.json')
-            if (fs.existsSync(stateFilePath)) {
-              try {
-                const stateContent = fs.readFileSync(stateFilePath, 'utf-8')
-                const state = JSON.parse(stateContent)
-                const campaigns = Object.values(state.campaigns || {}) as any[]
-                const matching = campaigns
-                  .filter((c: any) => c.topic === topic)
-                  .sort((a: any, b: any) => new Date(b.completedAt || 0).getTime() - new Date(a.completedAt || 0).getTime())[0]
-                if (matching?.creativePrompt?.trim()) {
-                  effectiveLongCatPrompt = matching.creativePrompt.trim()
-                  effectiveLongCatEnabled = true
-                  sendEvent({ log: '📋 Using Stage 1 Veo 3.1 prompt for faceless video' })
-                }
-              } catch (_) {
-                // ignore
+            try {
+              const { state } = await getStateManager()
+              const campaigns = Object.values(state.campaigns || {}) as any[]
+              const matching = campaigns
+                .filter((c: any) => c.topic === topic)
+                .sort((a: any, b: any) => new Date(b.completedAt || 0).getTime() - new Date(a.completedAt || 0).getTime())[0]
+              if (matching?.creativePrompt?.trim()) {
+                effectiveLongCatPrompt = matching.creativePrompt.trim()
+                effectiveLongCatEnabled = true
+                sendEvent({ log: '📋 Using Stage 1 Veo 3.1 prompt for faceless video' })
               }
+            } catch (_) {
+              // ignore
             }
           }
           if (effectiveLongCatEnabled || longCatConfig) {
@@ -927,7 +917,7 @@ export async function POST(request: NextRequest) {
         })
 
         // Handle process completion
-        backendProcess.on('close', (code) => {
+        backendProcess.on('close', async (code) => {
           if (code === 0) {
             let parsedVideoResult: {
               hostedUrl?: string | null
@@ -985,9 +975,14 @@ export async function POST(request: NextRequest) {
               const whatsappMatch = outputBuffer.match(/__STAGE2_WHATSAPP_IMAGE__([^\n]+)/)
               if (whatsappMatch) {
                 try {
-                  const parsed = JSON.parse(whatsappMatch[1]) as { imageUrl?: string; images?: Array<{ path?: string; url?: string; hostedUrl?: string }> }
+                  const parsed = JSON.parse(whatsappMatch[1]) as {
+                    imageUrl?: string
+                    images?: Array<{ path?: string; url?: string; hostedUrl?: string }>
+                    whatsappCopy?: { headline: string; body: string; cta: string }
+                  }
                   if (parsed.imageUrl) stageData.imageUrl = parsed.imageUrl
                   if (Array.isArray(parsed.images) && parsed.images.length > 0) stageData.images = parsed.images
+                  if (parsed.whatsappCopy) stageData.whatsappCopy = parsed.whatsappCopy
                 } catch (_) { /* ignore */ }
               }
             } else if (stageId === 3) {
@@ -1011,6 +1006,24 @@ export async function POST(request: NextRequest) {
               }
             } else if (stageId === 5) {
               stageData.type = 'publishing'
+              // Native publishers emit the live post URL so PublishingQueue can link to it
+              const publishedMatch = outputBuffer.match(/__PUBLISHED_URLS__([^\n]+)/)
+              if (publishedMatch) {
+                try {
+                  const publishedUrls = JSON.parse(publishedMatch[1]) as Record<string, string>
+                  stageData.publishedUrls = publishedUrls
+                  sendEvent({ campaignData: { publishedUrls } })
+                } catch (_) { /* ignore */ }
+              }
+              // Status per platform (published / scheduled / failed) for the PublishingQueue badges
+              const statusMatch = outputBuffer.match(/__PUBLISH_STATUS__([^\n]+)/)
+              if (statusMatch) {
+                try {
+                  const publishStatuses = JSON.parse(statusMatch[1]) as Record<string, { status: string; url?: string | null; scheduledAt?: string | null; error?: string | null }>
+                  stageData.publishStatuses = publishStatuses
+                  sendEvent({ campaignData: { publishStatuses } })
+                } catch (_) { /* ignore */ }
+              }
             } else if (stageId === 6) {
               stageData.type = 'analytics'
             }
@@ -1030,10 +1043,19 @@ export async function POST(request: NextRequest) {
                   // ignore parse errors
                 }
               }
+              // Combined PDF of template-rendered carousel slides (LinkedIn document post)
+              const documentMatch = outputBuffer.match(/__STAGE3_DOCUMENT__([^\n]+)/)
+              if (documentMatch) {
+                try {
+                  stageData.document = JSON.parse(documentMatch[1])
+                } catch (_) {
+                  // ignore parse errors
+                }
+              }
             }
 
             // Save to workflow state file
-            saveStageData(stageId, stageData)
+            logCompliance(await saveStageData(stageId, stageData, { ...brandContext, targetAudience }))
 
             sendEvent({ stage: stageId, status: 'completed', message: `${stageName} completed`, data: stageData })
             sendEvent({ log: `✅ Stage ${stageId} completed successfully!` })
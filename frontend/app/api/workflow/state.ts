@@ -0,0 +1,19 @@
+import path from 'path'
+
+// Use CommonJS export to avoid bundler issues with shared backend code
+// eslint-disable-next-line @typescript-eslint/no-var-requires
+const StateManager = require('../../../backend/core/state-manager')
+
+export type StageBucket = 'campaigns' | 'content' | 'visuals' | 'videos' | 'published' | 'metrics'
+
+export const stageKeys: Record<number, StageBucket> = StateManager.STAGE_BUCKETS
+
+/**
+ * Workflow state (SQLite, backend/data/workflow-state.db) shared with the backend CLI.
+ * Reloaded on every call so routes always see what other processes wrote.
+ */
+export async function getStateManager() {
+  const stateManager = new StateManager(path.join(process.cwd(), 'backend', 'data'))
+  await stateManager.initialize()
+  return stateManager
+}
@@ -0,0 +1,355 @@
+'use client'
+
+import { useEffect, useState } from 'react'
+
+export type CalendarSlot = {
+  id: string
+  date: string
+  platform: string
+  campaignType: string
+  product: string | null
+  productName: string | null
+  audience: string
+  purpose: string
+  event: string | null
+  topic: string
+  topicSource: string
+  status: 'planned' | 'created' | 'skipped'
+  campaignId: string | null
+  notes: string
+}
+
+type CalendarSummary = {
+  id: string
+  name: string
+  from: string
+  to: string
+  slotCount: number
+  campaignsCreated: number
+}
+
+type Calendar = CalendarSummary & {
+  slots: CalendarSlot[]
+  warnings: string[]
+}
+
+type ContentCalendarProps = {
+  // Called once the slot's campaign record exists, to load it into the campaign form
+  onCreateCampaign: (slot: CalendarSlot, campaignId: string) => void
+  disabled?: boolean
+}
+
+const CADENCE_PLATFORMS: { value: string; label: string }[] = [
+  { value: 'linkedin', label: 'LinkedIn' },
+  { value: 'instagram', label: 'Instagram' },
+  { value: 'twitter', label: 'Twitter/X' },
+  { value: 'facebook', label: 'Facebook' },
+  { value: 'youtube', label: 'YouTube' },
+  { value: 'whatsapp', label: 'WhatsApp' },
+  { value: 'email', label: 'Email' },
+]
+
+function isoDate(date: Date) {
+  return date.toISOString().slice(0, 10)
+}
+
+export default function ContentCalendar({ onCreateCampaign, disabled = false }: ContentCalendarProps) {
+  const [isOpen, setIsOpen] = useState(false)
+  const [from, setFrom] = useState(() => isoDate(new Date()))
+  const [to, setTo] = useState(() => isoDate(new Date(Date.now() + 27 * 24 * 60 * 60 * 1000)))
+  const [products, setProducts] = useState('PMS:2,MTF,SGB,AIF')
+  const [cadence, setCadence] = useState<Record<string, number>>({ linkedin: 3, instagram: 3, twitter: 3 })
+  const [events, setEvents] = useState<{ date: string; name: string }[]>([])
+  const [calendars, setCalendars] = useState<CalendarSummary[]>([])
+  const [calendar, setCalendar] = useState<Calendar | null>(null)
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState<string | null>(null)
+
+  const loadCalendars = async () => {
+    const response = await fetch('/api/calendar')
+    const data = await response.json()
+    setCalendars(Array.isArray(data.calendars) ? data.calendars : [])
+  }
+
+  useEffect(() => {
+    if (isOpen) loadCalendars().catch(() => setCalendars([]))
+  }, [isOpen])
+
+  const request = async (url: string, init?: RequestInit) => {
+    setError(null)
+    const response = await fetch(url, {
+      ...init,
+      headers: { 'Content-Type': 'application/json' },
+    })
+    const data = await response.json().catch(() => ({}))
+    if (!response.ok) throw new Error(data.error || `Request failed (${response.status})`)
+    return data
+  }
+
+  const run = async (action: () => Promise<void>) => {
+    setBusy(true)
+    try {
+      await action()
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Request failed')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const openCalendar = (id: string) => run(async () => {
+    if (!id) {
+      setCalendar(null)
+      return
+    }
+    const data = await request(`/api/calendar/${id}`)
+    setCalendar(data.calendar)
+  })
+
+  const generate = () => run(async () => {
+    const data = await request('/api/calendar', {
+      method: 'POST',
+      body: JSON.stringify({
+        from,
+        to,
+        products,
+        cadence: Object.fromEntries(Object.entries(cadence).filter(([, perWeek]) => perWeek > 0)),
+        events: events.filter(event => event.date && event.name.trim()),
+      }),
+    })
+    setCalendar(data.calendar)
+    await loadCalendars()
+  })
+
+  const replaceSlot = (slot: CalendarSlot) => {
+    setCalendar(current => current && {
+      ...current,
+      slots: current.slots.map(item => (item.id === slot.id ? slot : item)),
+    })
+  }
+
+  const updateSlot = (slot: CalendarSlot, changes: Partial<CalendarSlot>) => run(async () => {
+    if (!calendar) return
+    const data = await request(`/api/calendar/${calendar.id}/slots/${slot.id}`, {
+      method: 'PATCH',
+      body: JSON.stringify(changes),
+    })
+    replaceSlot(data.slot)
+  })
+
+  const deleteSlot = (slot: CalendarSlot) => run(async () => {
+    if (!calendar) return
+    await request(`/api/calendar/${calendar.id}/slots/${slot.id}`, { method: 'DELETE' })
+    setCalendar({ ...calendar, slots: calendar.slots.filter(item => item.id !== slot.id) })
+  })
+
+  const createCampaign = (slot: CalendarSlot) => run(async () => {
+    if (!calendar) return
+    const data = await request(`/api/calendar/${calendar.id}/slots/${slot.id}/campaign`, { method: 'POST' })
+    replaceSlot(data.slot)
+    onCreateCampaign(data.slot, data.campaign.id)
+  })
+
+  const slotsByDate = (calendar?.slots || []).reduce<Record<string, CalendarSlot[]>>((groups, slot) => {
+    (groups[slot.date] = groups[slot.date] || []).push(slot)
+    return groups
+  }, {})
+
+  return (
+    <div>
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="w-full flex items-center justify-between"
+      >
+        <h2 className="text-2xl font-semibold text-gray-800">📅 Content Calendar</h2>
+        <span className="text-sm text-gray-500">{isOpen ? 'Hide' : 'Plan a month of topics'}</span>
+      </button>
+
+      {isOpen && (
+        <div className="mt-6 space-y-6">
+          {/* Strategy Brief */}
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">From:</label>
+              <input
+                type="date"
+                value={from}
+                onChange={(e) => setFrom(e.target.value)}
+                className="w-full px-3 py-2 border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none text-sm text-gray-800"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">To (max 92 days):</label>
+              <input
+                type="date"
+                value={to}
+                onChange={(e) => setTo(e.target.value)}
+                className="w-full px-3 py-2 border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none text-sm text-gray-800"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Product mix (name:weight):</label>
+              <input
+                type="text"
+                value={products}
+                onChange={(e) => setProducts(e.target.value)}
+                placeholder="PMS:2,MTF,SGB,AIF"
+                className="w-full px-3 py-2 border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none text-sm text-gray-800"
+              />
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Posts per week:</label>
+            <div className="grid grid-cols-2 md:grid-cols-7 gap-2">
+              {CADENCE_PLATFORMS.map(platform => (
+                <label key={platform.value} className="text-xs text-gray-600">
+                  {platform.label}
+                  <input
+                    type="number"
+                    min={0}
+                    max={7}
+                    value={cadence[platform.value] || 0}
+                    onChange={(e) => setCadence({ ...cadence, [platform.value]: Number(e.target.value) })}
+                    className="w-full mt-1 px-2 py-1 border-2 border-gray-300 rounded focus:border-blue-500 focus:outline-none text-sm text-gray-800"
+                  />
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Market events:</label>
+            <div className="space-y-2">
+              {events.map((event, index) => (
+                <div key={index} className="flex gap-2">
+                  <input
+                    type="date"
+                    value={event.date}
+                    onChange={(e) => setEvents(events.map((item, i) => (i === index ? { ...item, date: e.target.value } : item)))}
+                    className="px-3 py-1 border-2 border-gray-300 rounded-lg text-sm text-gray-800"
+                  />
+                  <input
+                    type="text"
+                    value={event.name}
+                    placeholder="e.g. Muhurat Trading, RBI policy, Union Budget"
+                    onChange={(e) => setEvents(events.map((item, i) => (i === index ? { ...item, name: e.target.value } : item)))}
+                    className="flex-1 px-3 py-1 border-2 border-gray-300 rounded-lg text-sm text-gray-800"
+                  />
+                  <button
+                    onClick={() => setEvents(events.filter((_, i) => i !== index))}
+                    className="px-3 py-1 text-sm text-red-600 hover:text-red-800"
+                  >
+                    ✕
+                  </button>
+                </div>
+              ))}
+              <button
+                onClick={() => setEvents([...events, { date: from, name: '' }])}
+                className="text-sm text-blue-600 hover:text-blue-800"
+              >
+                + Add event
+              </button>
+            </div>
+          </div>
+
+          <div className="flex flex-wrap items-center gap-3">
+            <button
+              onClick={generate}
+              disabled={busy || disabled}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg font-semibold hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {busy ? 'Working...' : '✨ Generate Calendar'}
+            </button>
+            <select
+              value={calendar?.id || ''}
+              onChange={(e) => openCalendar(e.target.value)}
+              className="px-3 py-2 border-2 border-gray-300 rounded-lg text-sm text-gray-800"
+            >
+              <option value="">Saved calendars ({calendars.length})</option>
+              {calendars.map(item => (
+                <option key={item.id} value={item.id}>
+                  {item.name} · {item.campaignsCreated}/{item.slotCount} created
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {error && <p className="text-sm text-red-600">❌ {error}</p>}
+          {calendar?.warnings?.map(warning => (
+            <p key={warning} className="text-xs text-yellow-700">⚠️ {warning}</p>
+          ))}
+
+          {/* Slots */}
+          {calendar && (
+            <div className="space-y-4">
+              {Object.entries(slotsByDate).map(([date, slots]) => (
+                <div key={date} className="border-2 border-gray-200 rounded-lg">
+                  <div className="px-4 py-2 bg-gray-50 text-sm font-semibold text-gray-700">
+                    {new Date(`${date}T00:00:00Z`).toLocaleDateString('en-IN', { weekday: 'short', day: 'numeric', month: 'short', timeZone: 'UTC' })}
+                    {slots.find(slot => slot.event) && (
+                      <span className="ml-2 text-xs px-2 py-0.5 rounded-full bg-amber-100 text-amber-700">
+                        📌 {slots.find(slot => slot.event)?.event}
+                      </span>
+                    )}
+                  </div>
+                  {slots.map(slot => (
+                    <div
+                      key={slot.id}
+                      className={`px-4 py-3 border-t border-gray-100 grid grid-cols-1 md:grid-cols-12 gap-2 items-center ${
+                        slot.status === 'skipped' ? 'opacity-50' : ''
+                      }`}
+                    >
+                      <div className="md:col-span-3 text-xs text-gray-600">
+                        <div className="font-semibold text-gray-800">{slot.platform} · {slot.campaignType}</div>
+                        <div>{slot.productName || slot.product || '—'} · {slot.audience}</div>
+                      </div>
+                      <input
+                        key={`${slot.id}-${slot.topic}`}
+                        defaultValue={slot.topic}
+                        disabled={busy || slot.status === 'created'}
+                        onBlur={(e) => {
+                          if (e.target.value.trim() && e.target.value !== slot.topic) updateSlot(slot, { topic: e.target.value })
+                        }}
+                        className="md:col-span-6 px-3 py-1 border-2 border-gray-200 rounded text-sm text-gray-800 focus:border-blue-500 focus:outline-none disabled:bg-gray-50"
+                      />
+                      <div className="md:col-span-3 flex gap-2 justify-end">
+                        {slot.status === 'created' ? (
+                          <span className="text-xs px-2 py-1 rounded-full bg-green-100 text-green-700">✅ {slot.campaignId}</span>
+                        ) : (
+                          <>
+                            <button
+                              onClick={() => createCampaign(slot)}
+                              disabled={busy || disabled || slot.status === 'skipped'}
+                              className="text-xs px-3 py-1 bg-green-600 text-white rounded hover:bg-green-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                            >
+                              🚀 Create campaign
+                            </button>
+                            <button
+                              onClick={() => updateSlot(slot, { status: slot.status === 'skipped' ? 'planned' : 'skipped' })}
+                              disabled={busy}
+                              className="text-xs px-2 py-1 text-gray-600 hover:text-gray-900"
+                            >
+                              {slot.status === 'skipped' ? 'Restore' : 'Skip'}
+                            </button>
+                            <button
+                              onClick={() => deleteSlot(slot)}
+                              disabled={busy}
+                              className="text-xs px-2 py-1 text-red-600 hover:text-red-800"
+                            >
+                              ✕
+                            </button>
+                          </>
+                        )}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -1,11 +1,19 @@
 'use client'
 
+export type PublishStatus = {
+  status: 'published' | 'scheduled' | 'failed' | string
+  url?: string | null
+  scheduledAt?: string | null
+  error?: string | null
+}
+
 type PublishingQueueProps = {
   publishedUrls: Record<string, string>
+  publishStatuses?: Record<string, PublishStatus>
   platforms: string[]
 }
 
-export default function PublishingQueue({ publishedUrls, platforms }: PublishingQueueProps) {
+export default function PublishingQueue({ publishedUrls, publishStatuses = {}, platforms }: PublishingQueueProps) {
   const platformConfig: Record<string, { icon: string; color: string; label: string }> = {
     linkedin: { icon: '🔗', color: 'bg-blue-500', label: 'LinkedIn' },
     instagram: { icon: '📸', color: 'bg-pink-500', label: 'Instagram' },
@@ -14,6 +22,11 @@ export default function PublishingQueue({ publishedUrls, platforms }: Publishing
     twitter: { icon: '🐦', color: 'bg-sky-500', label: 'Twitter/X' },
   }
 
+  // A platform is done once it is published, scheduled or has failed
+  const completedCount = platforms.filter(platform =>
+    publishedUrls[platform] || ['published', 'scheduled', 'failed'].includes(publishStatuses[platform]?.status)
+  ).length
+
   return (
     <div className="space-y-4">
       <h3 className="text-lg font-semibold text-gray-800 mb-4">📤 Publishing Queue</h3>
@@ -22,8 +35,11 @@ export default function PublishingQueue({ publishedUrls, platforms }: Publishing
       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
         {platforms.map(platform => {
           const config = platformConfig[platform]
-          const url = publishedUrls[platform]
-          const isPublished = !!url
+          const publishStatus = publishStatuses[platform]
+          const url = publishedUrls[platform] || publishStatus?.url || undefined
+          const isScheduled = publishStatus?.status === 'scheduled'
+          const isFailed = publishStatus?.status === 'failed'
+          const isPublished = !!url && !isScheduled
 
           return (
             <div
@@ -31,7 +47,11 @@ export default function PublishingQueue({ publishedUrls, platforms }: Publishing
               className={`p-4 rounded-lg border-2 transition-all ${
                 isPublished
                   ? 'border-green-300 bg-green-50'
-                  : 'border-gray-300 bg-gray-50'
+                  : isScheduled
+                    ? 'border-indigo-300 bg-indigo-50'
+                    : isFailed
+                      ? 'border-red-300 bg-red-50'
+                      : 'border-gray-300 bg-gray-50'
               }`}
             >
               <div className="flex items-center justify-between mb-3">
@@ -42,13 +62,35 @@ export default function PublishingQueue({ publishedUrls, platforms }: Publishing
                 <span className={`text-xs px-2 py-1 rounded-full font-medium ${
                   isPublished
                     ? 'bg-green-100 text-green-700'
-                    : 'bg-yellow-100 text-yellow-700'
+                    : isScheduled
+                      ? 'bg-indigo-100 text-indigo-700'
+                      : isFailed
+                        ? 'bg-red-100 text-red-700'
+                        : 'bg-yellow-100 text-yellow-700'
                 }`}>
-                  {isPublished ? 'Published' : 'Uploading...'}
+                  {isPublished ? 'Published' : isScheduled ? 'Scheduled' : isFailed ? 'Failed' : 'Uploading...'}
                 </span>
               </div>
 
-              {isPublished ? (
+              {isScheduled ? (
+                <div className="space-y-1">
+                  <p className="text-xs text-indigo-700">
+                    🗓️ Goes live {publishStatus?.scheduledAt ? new Date(publishStatus.scheduledAt).toLocaleString() : 'at the scheduled time'}
+                  </p>
+                  {url && (
+                    <a
+                      href={url}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="block text-xs text-blue-600 hover:text-blue-800 hover:underline break-all"
+                    >
+                      🔗 {url}
+                    </a>
+                  )}
+                </div>
+              ) : isFailed ? (
+                <p className="text-xs text-red-700 break-words">❌ {publishStatus?.error || 'Publishing failed'}</p>
+              ) : isPublished && url ? (
                 <div className="space-y-2">
                   <a
                     href={url}
@@ -95,17 +137,17 @@ export default function PublishingQueue({ publishedUrls, platforms }: Publishing
           <div>
             <p className="text-sm font-semibold text-gray-800">Publishing Progress</p>
             <p className="text-xs text-gray-600 mt-1">
-              {Object.keys(publishedUrls).length} of {platforms.length} platforms complete
+              {completedCount} of {platforms.length} platforms complete
             </p>
           </div>
           <div className="text-2xl">
-            {Object.keys(publishedUrls).length === platforms.length ? '✅' : '⏳'}
+            {completedCount === platforms.length ? '✅' : '⏳'}
           </div>
         </div>
         <div className="w-full bg-gray-200 rounded-full h-2 mt-3 overflow-hidden">
           <div
             className="bg-blue-500 h-2 rounded-full transition-all duration-500"
-            style={{ width: `${(Object.keys(publishedUrls).length / platforms.length) * 100}%` }}
+            style={{ width: `${(completedCount / platforms.length) * 100}%` }}
           />
         </div>
       </div>
@@ -4,6 +4,25 @@ import { useEffect, useState } from 'react'
 import ReactMarkdown from 'react-markdown'
 import remarkGfm from 'remark-gfm'
 
+export type ReviewAction = 'submit' | 'approve' | 'reject' | 'comment'
+
+type ReviewEntry = {
+  action: ReviewAction | 'edit'
+  from: string
+  to: string
+  reviewer?: string | null
+  comment?: string
+  at: string
+}
+
+type ComplianceFinding = {
+  rule: string
+  severity: 'error' | 'warning'
+  field?: string | null
+  message: string
+  excerpt?: string
+}
+
 type StageDataModalProps = {
   isOpen: boolean
   stageId: number
@@ -11,6 +30,25 @@ type StageDataModalProps = {
   data: any
   onClose: () => void
   onSave: (stageId: number, editedData: any) => Promise<void>
+  onReview?: (action: ReviewAction, details: { reviewer: string; comment: string }) => Promise<void>
+}
+
+// Stage 2 content and Stage 3 visuals must be approved before Stage 5 will publish them
+const REVIEWABLE_STAGES = [2, 3, 4]
+
+const reviewStatusStyles: Record<string, { label: string; className: string }> = {
+  draft: { label: 'Draft', className: 'bg-gray-100 text-gray-700' },
+  in_review: { label: 'In Review', className: 'bg-yellow-100 text-yellow-800' },
+  approved: { label: 'Approved', className: 'bg-green-100 text-green-700' },
+  rejected: { label: 'Rejected', className: 'bg-red-100 text-red-700' }
+}
+
+const reviewActionLabels: Record<string, string> = {
+  submit: 'submitted for review',
+  approve: 'approved',
+  reject: 'rejected',
+  comment: 'commented',
+  edit: 'edited (approval reset)'
 }
 
 export default function StageDataModal({
@@ -19,7 +57,8 @@ export default function StageDataModal({
   stageName,
   data,
   onClose,
-  onSave
+  onSave,
+  onReview
 }: StageDataModalProps) {
   const [formData, setFormData] = useState<Record<string, any>>({})
   const [isSaving, setIsSaving] = useState(false)
@@ -36,6 +75,12 @@ export default function StageDataModal({
   // Stage 1: toggle between rich text (markdown rendered) and edit (textarea)
   const [isEditingCreativePrompt, setIsEditingCreativePrompt] = useState(false)
 
+  // Review workflow state (Stage 2/3/4)
+  const [reviewer, setReviewer] = useState('')
+  const [reviewComment, setReviewComment] = useState('')
+  const [reviewingAction, setReviewingAction] = useState<ReviewAction | null>(null)
+  const [reviewError, setReviewError] = useState<string | null>(null)
+
   useEffect(() => {
     if (isOpen && data) {
       // Initialize form data from the data object
@@ -51,6 +96,8 @@ export default function StageDataModal({
       setSaveSuccess(false)
       setPreviewingVideoUrl(null) // Reset video preview when modal opens
       setIsEditingCreativePrompt(false) // Reset to rich text view when modal opens
+      setReviewComment('')
+      setReviewError(null)
     }
   }, [isOpen, data])
 
@@ -129,7 +176,11 @@ export default function StageDataModal({
       setSaveError(null)
       setSaveSuccess(false)
 
-      const unflattenedData = unflattenObject(formData)
+      // Review state and compliance reports are managed by the backend, never saved as edited data
+      const editableData = Object.fromEntries(
+        Object.entries(formData).filter(([key]) => !key.startsWith('review.') && !key.startsWith('compliance.'))
+      )
+      const unflattenedData = unflattenObject(editableData)
       await onSave(stageId, unflattenedData)
 
       setSaveSuccess(true)
@@ -143,6 +194,142 @@ export default function StageDataModal({
     }
   }
 
+  const handleReview = async (action: ReviewAction) => {
+    if (!onReview) return
+    if ((action === 'reject' || action === 'comment') && !reviewComment.trim()) {
+      setReviewError(action === 'reject' ? 'Add a comment explaining the rejection' : 'Comment cannot be empty')
+      return
+    }
+
+    try {
+      setReviewingAction(action)
+      setReviewError(null)
+      await onReview(action, { reviewer: reviewer.trim(), comment: reviewComment.trim() })
+      setReviewComment('')
+    } catch (error) {
+      setReviewError(error instanceof Error ? error.message : 'Failed to update review')
+    } finally {
+      setReviewingAction(null)
+    }
+  }
+
+  const renderReviewPanel = () => {
+    const reviewStatus: string = data?.review?.status || 'draft'
+    const history: ReviewEntry[] = data?.review?.history || []
+    const compliance = data?.compliance
+    const statusStyle = reviewStatusStyles[reviewStatus] || reviewStatusStyles.draft
+    const actions: { action: ReviewAction; label: string; className: string }[] =
+      reviewStatus === 'in_review'
+        ? [
+          { action: 'approve', label: '✅ Approve', className: 'bg-green-600 hover:bg-green-700' },
+          { action: 'reject', label: '❌ Reject', className: 'bg-red-600 hover:bg-red-700' }
+        ]
+        : reviewStatus === 'approved'
+          ? []
+          : [{ action: 'submit', label: '📨 Submit for Review', className: 'bg-blue-600 hover:bg-blue-700' }]
+
+    return (
+      <div className="mb-6 p-4 bg-gray-50 border-2 border-gray-200 rounded-xl">
+        <div className="flex items-center justify-between mb-3">
+          <div className="flex items-center gap-2">
+            <span className="text-xl">🛡️</span>
+            <h3 className="text-base font-bold text-gray-800">Compliance Review</h3>
+          </div>
+          <span className={`text-xs px-2 py-1 rounded-full font-medium ${statusStyle.className}`}>
+            {statusStyle.label}
+          </span>
+        </div>
+
+        {reviewStatus !== 'approved' && (
+          <p className="text-xs text-gray-600 mb-3">
+            Only approved items can be published in Stage 5.
+          </p>
+        )}
+
+        {compliance && (
+          <div className={`mb-4 p-3 rounded-lg border ${
+            compliance.errors > 0 ? 'bg-red-50 border-red-200' : compliance.warnings > 0 ? 'bg-yellow-50 border-yellow-200' : 'bg-green-50 border-green-200'
+          }`}>
+            <p className="text-xs font-semibold text-gray-800">
+              {compliance.errors > 0
+                ? `SEBI check: ${compliance.errors} error(s) block publishing`
+                : compliance.warnings > 0
+                  ? `SEBI check passed with ${compliance.warnings} warning(s)`
+                  : 'SEBI check passed'}
+            </p>
+            {(compliance.findings || []).length > 0 && (
+              <ul className="mt-2 space-y-1">
+                {(compliance.findings as ComplianceFinding[]).map((finding, index) => (
+                  <li key={`${finding.rule}-${index}`} className="text-xs text-gray-700">
+                    {finding.severity === 'error' ? '❌' : '⚠️'} {finding.message}
+                    {finding.excerpt && <span className="text-gray-500"> — “{finding.excerpt}”</span>}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+
+        {history.length > 0 && (
+          <ul className="mb-4 space-y-2 max-h-48 overflow-y-auto">
+            {history.map((entry, index) => (
+              <li key={`${entry.at}-${index}`} className="text-xs bg-white border border-gray-200 rounded-lg px-3 py-2">
+                <div className="flex items-center justify-between gap-2 text-gray-500">
+                  <span>
+                    <span className="font-semibold text-gray-700">{entry.reviewer || 'Someone'}</span>{' '}
+                    {reviewActionLabels[entry.action] || entry.action}
+                  </span>
+                  <span className="whitespace-nowrap">{new Date(entry.at).toLocaleString()}</span>
+                </div>
+                {entry.comment && <p className="mt-1 text-gray-800 whitespace-pre-wrap">{entry.comment}</p>}
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {reviewError && (
+          <p className="mb-3 text-xs text-red-700 font-semibold">❌ {reviewError}</p>
+        )}
+
+        <div className="space-y-2">
+          <input
+            type="text"
+            value={reviewer}
+            onChange={(e) => setReviewer(e.target.value)}
+            placeholder="Reviewer name"
+            className="w-full px-3 py-2 border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none text-sm"
+          />
+          <textarea
+            value={reviewComment}
+            onChange={(e) => setReviewComment(e.target.value)}
+            placeholder="Comment (required to reject)"
+            rows={2}
+            className="w-full px-3 py-2 border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none text-sm resize-vertical"
+          />
+          <div className="flex flex-wrap gap-2 justify-end">
+            <button
+              onClick={() => handleReview('comment')}
+              disabled={reviewingAction !== null}
+              className="px-3 py-1.5 text-sm border-2 border-gray-300 text-gray-700 rounded-lg hover:bg-gray-100 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              💬 Comment
+            </button>
+            {actions.map(({ action, label, className }) => (
+              <button
+                key={action}
+                onClick={() => handleReview(action)}
+                disabled={reviewingAction !== null}
+                className={`px-3 py-1.5 text-sm text-white rounded-lg font-semibold transition-colors disabled:opacity-50 disabled:cursor-not-allowed ${className}`}
+              >
+                {reviewingAction === action ? 'Saving...' : label}
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+    )
+  }
+
   const getFieldLabel = (key: string): string => {
     // Convert key to readable label
     return key
@@ -728,6 +915,9 @@ export default function StageDataModal({
             </div>
           )}
 
+          {/* For Stage 2/3/4: Review status, comment history and approve/reject controls */}
+          {REVIEWABLE_STAGES.includes(stageId) && onReview && renderReviewPanel()}
+
           {/* For Stage 1: Display creative prompt prominently */}
           {stageId === 1 && formData['creativePrompt'] && (
             <>
@@ -759,6 +949,7 @@ export default function StageDataModal({
             {Object.entries(formData)
               .filter(([key]) => {
                 // Don't render these fields twice in special sections
+                if (key.startsWith('review.') || key.startsWith('compliance.')) return false
                 if (key === 'creativePrompt' && stageId === 1) return false
                 if (stageId === 2 && formData['contentType'] === 'email-newsletter') {
                   return !['html', 'subject', 'preheader', 'plainText', 'subjectVariations', 'contentType'].includes(key)
@@ -3,11 +3,14 @@
 import { useEffect, useState } from 'react'
 import ReactMarkdown from 'react-markdown'
 import remarkGfm from 'remark-gfm'
+import ContentCalendar, { type CalendarSlot } from './components/ContentCalendar'
 import FileUpload from './components/FileUpload'
 import PromptEditor from './components/PromptEditor'
-import PublishingQueue from './components/PublishingQueue'
-import StageDataModal from './components/StageDataModal'
+import PublishingQueue, { type PublishStatus } from './components/PublishingQueue'
+import StageDataModal, { type ReviewAction } from './components/StageDataModal'
 import VideoProducer from './components/VideoProducer'
+import type { BrandProfile } from './api/brands/utils'
+import type { CampaignTypeInfo } from './api/campaign-types/utils'
 
 type WorkflowStage = {
   id: number
@@ -24,6 +27,7 @@ type CampaignData = {
   assets?: any[]
   videoData?: any
   publishedUrls?: Record<string, string>
+  publishStatuses?: Record<string, PublishStatus>
 }
 
 type StageData = {
@@ -66,6 +70,12 @@ function LogEntry({ text, index }: { text: string; index: number }) {
   );
 }
 
+// Campaign types with dedicated UI flows; other registered backend types are appended to the selector
+const builtInCampaignTypeIds = [
+  'linkedin-carousel', 'instagram-reel', 'instagram-carousel', 'youtube-explainer', 'youtube-short',
+  'facebook-reel', 'twitter-thread', 'whatsapp-creative', 'email-newsletter', 'live-news', 'infographic',
+]
+
 export default function Home() {
   const [isRunning, setIsRunning] = useState(false)
   const [stages, setStages] = useState<WorkflowStage[]>([
@@ -81,12 +91,15 @@ export default function Home() {
   const [campaignData, setCampaignData] = useState<CampaignData>({})
   const [executionMode, setExecutionMode] = useState<'full' | 'staged'>('staged')
   const [executingStage, setExecutingStage] = useState<number | null>(null)
+  const [videoJobId, setVideoJobId] = useState<string | null>(null)
   const [expandedStage, setExpandedStage] = useState<number | null>(null)
   const [showDataModal, setShowDataModal] = useState(false)
   const [selectedStageData, setSelectedStageData] = useState<{ stageId: number; stageName: string; data: any; dataId: string } | null>(null)
 
   // Campaign configuration
   const [campaignType, setCampaignType] = useState<string>('linkedin-carousel')
+  const [registeredCampaignTypes, setRegisteredCampaignTypes] = useState<CampaignTypeInfo[]>([])
+  const [campaignOptions, setCampaignOptions] = useState<Record<string, string | number | boolean>>({})
   const [purpose, setPurpose] = useState<string>('brand-awareness')
   const [selectedPlatforms, setSelectedPlatforms] = useState<string[]>(['linkedin'])
   const [topic, setTopic] = useState<string>('')
@@ -99,9 +112,12 @@ export default function Home() {
   const [useVeo, setUseVeo] = useState<boolean>(true)
   const [useAvatar, setUseAvatar] = useState<boolean>(true)
   const [autoPublish, setAutoPublish] = useState<boolean>(false)
+  const [reuseCache, setReuseCache] = useState<boolean>(true)
   // Aspect ratio: For images (16:9, 9:16, 1:1), For videos (16:9, 9:16)
   const [aspectRatio, setAspectRatio] = useState<string>('16:9')
   const [targetAudience, setTargetAudience] = useState<string>('all_clients')
+  // Stage 1 record created from a content calendar slot; the next run books generation to it
+  const [calendarCampaignId, setCalendarCampaignId] = useState<string | null>(null)
   const [language, setLanguage] = useState<string>('english')
 
   // Avatar Video Configuration
@@ -123,6 +139,8 @@ export default function Home() {
   // Brand Guidelines
   const [showBrandGuidelines, setShowBrandGuidelines] = useState<boolean>(false)
   const [useBrandGuidelines, setUseBrandGuidelines] = useState<boolean>(true)
+  const [brands, setBrands] = useState<BrandProfile[]>([])
+  const [selectedBrandId, setSelectedBrandId] = useState<string>('pl-capital')
   const [customColors, setCustomColors] = useState<string>('')
   const [accentColors, setAccentColors] = useState<string>('')
   const [bodyTextColor, setBodyTextColor] = useState<string>('')
@@ -186,7 +204,17 @@ export default function Home() {
     { value: 'email-newsletter', label: 'Email Newsletter', platforms: ['email'] },
     { value: 'live-news', label: 'Live News Update', platforms: ['linkedin', 'twitter', 'youtube'] },
     { value: 'infographic', label: 'Infographic', platforms: ['linkedin', 'instagram', 'facebook', 'twitter'] },
+    // Types registered with the backend that the list above does not cover (e.g. campaigns/ plugins)
+    ...registeredCampaignTypes
+      .filter(type => !type.planned && !builtInCampaignTypeIds.includes(type.id))
+      .map(type => ({ value: type.id, label: type.name, platforms: type.platforms })),
   ]
+  const selectedCampaignType = builtInCampaignTypeIds.includes(campaignType)
+    ? null
+    : registeredCampaignTypes.find(type => type.id === campaignType) || null
+  // Form fields of a registered type that the standard controls (topic, duration, language, aspect ratio, platforms) don't cover
+  const campaignOptionFields = (selectedCampaignType?.form || [])
+    .filter(field => !['topic', 'duration', 'language', 'aspectRatio', 'platform'].includes(field.name))
 
   const purposeOptions = [
     // Products
@@ -271,6 +299,43 @@ export default function Home() {
     loadAvatars()
   }, [])
 
+  // Load registered campaign types on component mount
+  useEffect(() => {
+    const loadCampaignTypes = async () => {
+      try {
+        const response = await fetch('/api/campaign-types')
+        if (response.ok) {
+          const data = await response.json()
+          setRegisteredCampaignTypes(data.campaignTypes || [])
+        }
+      } catch (error) {
+        console.error('Failed to load campaign types:', error)
+      }
+    }
+    loadCampaignTypes()
+  }, [])
+
+  // Load brand profiles on component mount
+  useEffect(() => {
+    const loadBrands = async () => {
+      try {
+        const response = await fetch('/api/brands')
+        if (response.ok) {
+          const data = await response.json()
+          setBrands(data.brands || [])
+        }
+      } catch (error) {
+        console.error('Failed to load brand profiles:', error)
+      }
+    }
+    loadBrands()
+  }, [])
+
+  const selectedBrand = brands.find(brand => brand.id === selectedBrandId) || null
+  const brandName = selectedBrand?.company.shortName || 'PL Capital'
+  const brandLogo = selectedBrand?.assets?.logos?.primary
+  const brandLogoUrl = brandLogo?.file ? `/${brandLogo.file}` : (brandLogo?.url || (selectedBrand ? null : '/pl-capital-logo.svg'))
+
   const updateStage = async (stageId: number, status: WorkflowStage['status'], message: string) => {
     setStages(prev => prev.map(stage =>
       stage.id === stageId ? { ...stage, status, message } : stage
@@ -289,6 +354,36 @@ export default function Home() {
     }
   }
 
+  const handleCancelVideoJob = async () => {
+    if (!videoJobId) return
+    try {
+      const response = await fetch(`/api/video-jobs/${videoJobId}`, { method: 'DELETE' })
+      const data = await response.json()
+      if (!response.ok) throw new Error(data?.error || `Cancel failed (${response.status})`)
+      addLog(data.job?.status === 'cancelled' ? `Video job ${videoJobId} cancelled` : `Cancelling video job ${videoJobId}...`)
+    } catch (error) {
+      addLog(`Could not cancel video job: ${error instanceof Error ? error.message : 'Unknown error'}`)
+    }
+  }
+
+  // Load a calendar slot's campaign into the form so it runs with one click on Execute
+  const loadCalendarSlot = (slot: CalendarSlot, campaignId: string) => {
+    setCampaignType(slot.campaignType)
+    if (slot.campaignType === 'infographic') {
+      setContentType('image')
+    }
+    setCampaignOptions({})
+    setSelectedPlatforms([slot.platform])
+    setTopic(slot.topic)
+    setTargetAudience(slot.audience)
+    if (purposeOptions.some(option => option.value === slot.purpose)) {
+      setPurpose(slot.purpose)
+    }
+    setCalendarCampaignId(campaignId)
+    addLog(`📅 Loaded calendar slot ${slot.id} (${slot.date}) as campaign ${campaignId}`)
+    window.scrollTo({ top: 0, behavior: 'smooth' })
+  }
+
   const addLog = (message: string) => {
     const timestamp = new Date().toLocaleTimeString()
     setLogs(prev => [...prev, `[${timestamp}] ${message}`])
@@ -333,6 +428,8 @@ export default function Home() {
           headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify({
             stageId,
+            brandId: selectedBrandId,
+            bypassCache: !reuseCache,
             campaignType,
             purpose,
             platforms: selectedPlatforms,
@@ -352,7 +449,7 @@ export default function Home() {
             brandSettings: {
               useBrandGuidelines,
               logoPlacement: useBrandGuidelines ? 'top-right' : null,
-              logoUrl: useBrandGuidelines ? '/pl-capital-logo.svg' : null,
+              logoUrl: useBrandGuidelines ? brandLogoUrl : null,
               customColors: useBrandGuidelines ? null : customColors,
               accentColors: useBrandGuidelines ? null : accentColors,
               bodyTextColor: useBrandGuidelines ? null : bodyTextColor,
@@ -376,8 +473,9 @@ export default function Home() {
         const jobId = String(enqueueData?.jobId || '').trim()
         if (!jobId) throw new Error('Video job ID was not returned')
 
+        setVideoJobId(jobId)
         await updateStage(stageId, 'running', 'Video job queued')
-        addLog(`Stage 4 job queued: ${jobId}`)
+        addLog(`Stage 4 job queued: ${jobId}${enqueueData?.provider ? ` (${enqueueData.provider})` : ''}`)
 
         const pollStartedAt = Date.now()
         const maxPollMs = 35 * 60 * 1000 // 35 minutes safety timeout
@@ -413,6 +511,13 @@ export default function Home() {
             addLog(`Stage 4 failed: ${job?.error || 'video job failed'}`)
             break
           }
+
+          if (jobStatus === 'cancelled') {
+            await updateStage(stageId, 'error', 'video job cancelled')
+            terminalStatus = 'error'
+            addLog(`Stage 4 cancelled (job: ${jobId})`)
+            break
+          }
         }
 
         if (!terminalStatus) {
@@ -429,6 +534,8 @@ export default function Home() {
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
           stageId,
+          brandId: selectedBrandId,
+          bypassCache: !reuseCache,
           campaignType,
           purpose,
           platforms: selectedPlatforms,
@@ -456,7 +563,7 @@ export default function Home() {
           brandSettings: {
             useBrandGuidelines,
             logoPlacement: useBrandGuidelines ? 'top-right' : null,
-            logoUrl: useBrandGuidelines ? '/pl-capital-logo.svg' : null,
+            logoUrl: useBrandGuidelines ? brandLogoUrl : null,
             customColors: useBrandGuidelines ? null : customColors,
             accentColors: useBrandGuidelines ? null : accentColors,
             bodyTextColor: useBrandGuidelines ? null : bodyTextColor,
@@ -568,6 +675,7 @@ export default function Home() {
       console.error('Stage error:', error)
     } finally {
       setExecutingStage(null)
+      setVideoJobId(null)
     }
   }
 
@@ -590,6 +698,10 @@ export default function Home() {
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
           campaignType,
+          campaignOptions,
+          campaignId: calendarCampaignId,
+          brandId: selectedBrandId,
+          bypassCache: !reuseCache,
           purpose,
           platforms: selectedPlatforms,
           topic,
@@ -608,7 +720,7 @@ export default function Home() {
           brandSettings: {
             useBrandGuidelines,
             logoPlacement: useBrandGuidelines ? 'top-right' : null,
-            logoUrl: useBrandGuidelines ? '/pl-capital-logo.svg' : null,
+            logoUrl: useBrandGuidelines ? brandLogoUrl : null,
             customColors: useBrandGuidelines ? null : customColors,
             accentColors: useBrandGuidelines ? null : accentColors,
             bodyTextColor: useBrandGuidelines ? null : bodyTextColor,
@@ -754,6 +866,7 @@ export default function Home() {
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
           campaignType,
+          brandId: selectedBrandId,
           purpose,
           targetAudience,
           platforms: selectedPlatforms,
@@ -1010,6 +1123,41 @@ export default function Home() {
     addLog(`Stage ${stageId} data updated successfully`)
   }
 
+  const handleReviewStageData = async (action: ReviewAction, details: { reviewer: string; comment: string }) => {
+    if (!selectedStageData) return
+
+    const response = await fetch('/api/workflow/review', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        stageId: selectedStageData.stageId,
+        dataId: selectedStageData.dataId,
+        action,
+        ...details
+      })
+    })
+
+    const result = await response.json()
+    if (!response.ok) {
+      throw new Error(result.error || 'Failed to update review')
+    }
+
+    setSelectedStageData(prev => prev ? { ...prev, data: result.item } : prev)
+    setStageData(prev => {
+      const current = prev[selectedStageData.stageId]
+      if (!current?.data) return prev
+      return {
+        ...prev,
+        [selectedStageData.stageId]: {
+          ...current,
+          data: { ...current.data, [selectedStageData.dataId]: result.item }
+        }
+      }
+    })
+
+    addLog(`Stage ${selectedStageData.stageId} ${selectedStageData.dataId}: review ${result.status.replace('_', ' ')}`)
+  }
+
   const handleCloseModal = () => {
     setShowDataModal(false)
     setSelectedStageData(null)
@@ -1085,9 +1233,23 @@ export default function Home() {
               <span className="text-sm text-gray-600">Goal:</span>
               <span className="ml-2 font-semibold text-purple-600">10M+ Reach/Month</span>
             </div>
+            <a
+              href="/analytics"
+              className="ml-auto px-4 py-2 bg-blue-600 text-white rounded-lg font-semibold hover:bg-blue-700 transition-colors"
+            >
+              📊 Analytics
+            </a>
           </div>
         </div>
 
+        {/* Content Calendar */}
+        <div className="bg-white rounded-lg shadow-lg p-8 mb-8">
+          <ContentCalendar
+            onCreateCampaign={loadCalendarSlot}
+            disabled={isRunning || executingStage !== null}
+          />
+        </div>
+
         {/* Main Control Panel */}
         <div className="bg-white rounded-lg shadow-lg p-8 mb-8">
           <h2 className="text-2xl font-semibold text-gray-800 mb-6">
@@ -1142,6 +1304,16 @@ export default function Home() {
                   if (e.target.value === 'infographic') {
                     setContentType('image')
                   }
+                  const registered = registeredCampaignTypes.find(type => type.id === e.target.value)
+                  if (registered && !builtInCampaignTypeIds.includes(registered.id)) {
+                    if (registered.aspectRatios.length > 0 && !registered.aspectRatios.includes(aspectRatio)) {
+                      setAspectRatio(registered.aspectRatios[0])
+                    }
+                    if (registered.platforms.length > 0) {
+                      setSelectedPlatforms(registered.platforms.slice(0, 1))
+                    }
+                  }
+                  setCampaignOptions({})
                 }}
                 disabled={isRunning || executingStage !== null}
                 className="w-full px-3 py-2 border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none text-sm text-gray-800 disabled:bg-gray-100 disabled:cursor-not-allowed"
@@ -1193,6 +1365,44 @@ export default function Home() {
             </div>
           </div>
 
+          {/* Campaign Type Options (form schema of the selected registered type) */}
+          {campaignOptionFields.length > 0 && (
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
+              {campaignOptionFields.map(field => {
+                const value = campaignOptions[field.name] ?? (selectedCampaignType?.defaults[field.name] as string | number | boolean | undefined) ?? ''
+                const setValue = (next: string | number | boolean) => setCampaignOptions(prev => ({ ...prev, [field.name]: next }))
+                const inputClass = 'w-full px-3 py-2 border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none text-sm text-gray-800 disabled:bg-gray-100 disabled:cursor-not-allowed'
+                return (
+                  <div key={field.name}>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      {field.label}{field.required ? ' *' : ''}:
+                    </label>
+                    {field.type === 'select' ? (
+                      <select value={String(value)} onChange={(e) => setValue(e.target.value)} disabled={isRunning || executingStage !== null} className={inputClass}>
+                        {(field.options || []).map(option => (
+                          <option key={option.value} value={option.value}>{option.label}</option>
+                        ))}
+                      </select>
+                    ) : field.type === 'checkbox' ? (
+                      <input type="checkbox" checked={Boolean(value)} onChange={(e) => setValue(e.target.checked)} disabled={isRunning || executingStage !== null} className="w-4 h-4" />
+                    ) : field.type === 'textarea' ? (
+                      <textarea value={String(value)} onChange={(e) => setValue(e.target.value)} placeholder={field.placeholder} rows={4} disabled={isRunning || executingStage !== null} className={inputClass} />
+                    ) : (
+                      <input
+                        type={field.type === 'number' ? 'number' : 'text'}
+                        value={String(value)}
+                        onChange={(e) => setValue(field.type === 'number' ? Number(e.target.value) : e.target.value)}
+                        placeholder={field.placeholder}
+                        disabled={isRunning || executingStage !== null}
+                        className={inputClass}
+                      />
+                    )}
+                  </div>
+                )
+              })}
+            </div>
+          )}
+
           {/* Topic and Platform Row */}
           <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
             {/* Campaign Topic Input */}
@@ -1920,11 +2130,13 @@ export default function Home() {
                             method: 'POST',
                             headers: { 'Content-Type': 'application/json' },
                             body: JSON.stringify({
-                              topic: topic.trim() || 'PL Capital investing insights',
+                              topic: topic.trim() || `${brandName} investing insights`,
                               duration,
                               platform: selectedPlatforms?.[0] || 'instagram',
                               format: 'reel',
-                              language
+                              language,
+                              brandId: selectedBrandId,
+                              bypassCache: !reuseCache
                             })
                           })
                           const data = await res.json()
@@ -2066,6 +2278,32 @@ export default function Home() {
             </div>
           </div>
 
+          {/* Generation Cache Toggle */}
+          <div className="mb-6 p-4 bg-gradient-to-br from-amber-50 to-yellow-50 rounded-lg border-2 border-amber-200">
+            <div className="flex items-center justify-between">
+              <div>
+                <h3 className="text-md font-semibold text-gray-800">
+                  Reuse Cached Generations
+                </h3>
+                <p className="text-xs text-gray-600 mt-1">
+                  Re-running with the same topic, prompt and settings reuses earlier AI output instead of paying again
+                </p>
+              </div>
+              <label className="flex items-center cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={reuseCache}
+                  onChange={(e) => setReuseCache(e.target.checked)}
+                  disabled={isRunning || executingStage !== null}
+                  className="w-4 h-4 text-amber-600 rounded focus:ring-amber-500 disabled:cursor-not-allowed"
+                />
+                <span className="ml-2 text-sm font-medium text-gray-700">
+                  Use Cache
+                </span>
+              </label>
+            </div>
+          </div>
+
           {/* Brand Guidelines Section - Collapsed by default */}
           <div className="mb-6 p-4 bg-gradient-to-br from-indigo-50 to-purple-50 rounded-lg border-2 border-indigo-200">
             <div className="flex items-center justify-between">
@@ -2096,36 +2334,57 @@ export default function Home() {
                   className="w-4 h-4 text-indigo-600 rounded focus:ring-indigo-500 disabled:cursor-not-allowed"
                 />
                 <span className="ml-2 text-sm font-medium text-gray-700">
-                  Use PL Capital Brand Guidelines
+                  Use {brandName} Brand Guidelines
                 </span>
               </label>
             </div>
 
             {showBrandGuidelines && (
               <div className="mt-4 pt-4 border-t border-indigo-200">
+                {brands.length > 1 && (
+                  <div className="mb-4">
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Brand Profile
+                    </label>
+                    <select
+                      value={selectedBrandId}
+                      onChange={(e) => setSelectedBrandId(e.target.value)}
+                      disabled={isRunning || executingStage !== null}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-indigo-500 disabled:bg-gray-100"
+                    >
+                      {brands.map(brand => (
+                        <option key={brand.id} value={brand.id}>
+                          {brand.company.name}{brand.builtIn ? ' (default)' : ''}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                )}
                 {useBrandGuidelines ? (
                   <div className="bg-white rounded-lg p-4 border-2 border-green-300">
                     <p className="text-sm font-semibold text-green-700 mb-2">
-                      PL Capital Brand Guidelines Active
+                      {brandName} Brand Guidelines Active
                     </p>
                     <div className="grid grid-cols-2 gap-3 text-xs">
                       <div className="flex items-center gap-2">
                         <span className="font-semibold text-gray-600">Primary Colors:</span>
                         <div className="flex gap-1">
-                          <div className="w-4 h-4 rounded" style={{ backgroundColor: '#0e0e6a' }} title="Navy"></div>
-                          <div className="w-4 h-4 rounded" style={{ backgroundColor: '#3c3cf8' }} title="Blue"></div>
+                          {Object.entries(selectedBrand?.colors.primary || { navy: '#0e0e6a', blue: '#3c3cf8' }).map(([name, hex]) => (
+                            <div key={name} className="w-4 h-4 rounded" style={{ backgroundColor: hex }} title={name}></div>
+                          ))}
                         </div>
                       </div>
                       <div className="flex items-center gap-2">
                         <span className="font-semibold text-gray-600">Accent Colors:</span>
                         <div className="flex gap-1">
-                          <div className="w-4 h-4 rounded" style={{ backgroundColor: '#00d084' }} title="Teal"></div>
-                          <div className="w-4 h-4 rounded" style={{ backgroundColor: '#66e766' }} title="Green"></div>
+                          {Object.entries(selectedBrand?.colors.secondary || { teal: '#00d084', green: '#66e766' }).map(([name, hex]) => (
+                            <div key={name} className="w-4 h-4 rounded" style={{ backgroundColor: hex }} title={name}></div>
+                          ))}
                         </div>
                       </div>
                       <div>
                         <span className="font-semibold text-gray-600">Font:</span>
-                        <span className="ml-2 text-gray-800">Figtree</span>
+                        <span className="ml-2 text-gray-800">{selectedBrand?.typography?.primary?.family || 'Figtree'}</span>
                       </div>
                       <div>
                         <span className="font-semibold text-gray-600">Tone:</span>
@@ -2133,7 +2392,11 @@ export default function Home() {
                       </div>
                       <div className="col-span-2 flex items-center gap-2">
                         <span className="font-semibold text-gray-600">Logo:</span>
-                        <img src="/pl-capital-logo.svg" alt="PL Capital" className="h-6 w-auto" />
+                        {brandLogoUrl ? (
+                          <img src={brandLogoUrl} alt={brandName} className="h-6 w-auto" />
+                        ) : (
+                          <span className="text-gray-500">None</span>
+                        )}
                       </div>
                     </div>
                   </div>
@@ -2404,6 +2667,15 @@ export default function Home() {
                         </div>
                       )}
 
+                      {stage.id === 4 && stage.status === 'running' && videoJobId && (
+                        <button
+                          onClick={handleCancelVideoJob}
+                          className="text-sm px-3 py-1 bg-red-600 text-white rounded hover:bg-red-700 transition-colors"
+                        >
+                          Cancel Job
+                        </button>
+                      )}
+
                       {/* Stage Execution Button (staged mode) */}
                       {executionMode === 'staged' && (
                         <>
@@ -2473,9 +2745,13 @@ export default function Home() {
                   </div>
                 )}
 
-                {stage.id === 5 && (stage.status === 'running' || stage.status === 'completed') && campaignData.publishedUrls && (
+                {stage.id === 5 && (stage.status === 'running' || stage.status === 'completed') && (campaignData.publishedUrls || campaignData.publishStatuses) && (
                   <div className="border-t-2 border-green-200 p-4 bg-white">
-                    <PublishingQueue publishedUrls={campaignData.publishedUrls} platforms={selectedPlatforms} />
+                    <PublishingQueue
+                      publishedUrls={campaignData.publishedUrls || {}}
+                      publishStatuses={campaignData.publishStatuses}
+                      platforms={selectedPlatforms}
+                    />
                   </div>
                 )}
 
@@ -2527,6 +2803,7 @@ export default function Home() {
             data={selectedStageData.data}
             onClose={handleCloseModal}
             onSave={handleSaveStageData}
+            onReview={handleReviewStageData}
           />
         )}
       </div>
@@ -11,7 +11,14 @@ const brandConfig = {
     name: 'Prabhudas Lilladher Private Limited',
     shortName: 'PL Capital',
     website: 'https://www.plindia.com',
-    tagline: 'Power your financial growth with wisdom and precision'
+    tagline: 'Power your financial growth with wisdom and precision',
+    social: {
+      linkedin: 'https://www.linkedin.com/company/prabhudaslilladher/',
+      instagram: 'https://www.instagram.com/prabhudaslilladher/',
+      twitter: 'https://x.com/PLIndiaOnline',
+      youtube: 'https://www.youtube.com/@PrabhudasLilladherIndia',
+      telegram: 'https://t.me/PLIndiaOnline'
+    }
   },
 
   // Brand Colors
@@ -28,6 +35,15 @@ const brandConfig = {
       white: '#ffffff',     // White - clarity, transparency
       black: '#000000',     // Black - text, sophistication
     },
+    // Roles used by prompt builders (derived from primary/secondary when a profile omits them)
+    roles: {
+      dark: '#0e0e6a',
+      vivid: '#1a1aff',
+      highlight: '#66e766',
+      accent: '#00d084',
+      cta: '#00b34e',
+      line: '#0000a0'       // Dividers and icon strokes in emails
+    },
     // Derived colors for different contexts
     gradients: {
       primary: 'linear-gradient(135deg, #0e0e6a 0%, #3c3cf8 100%)',
@@ -48,7 +64,15 @@ const brandConfig = {
         bold: 700,
         extrabold: 800
       },
-      fallback: 'Inter, system-ui, -apple-system, sans-serif'
+      fallback: 'Inter, system-ui, -apple-system, sans-serif',
+      // Font files (under frontend/public) registered by the canvas carousel renderer
+      files: {
+        400: 'fonts/Figtree-Regular.ttf',
+        500: 'fonts/Figtree-Medium.ttf',
+        600: 'fonts/Figtree-SemiBold.ttf',
+        700: 'fonts/Figtree-Bold.ttf',
+        800: 'fonts/Figtree-ExtraBold.ttf'
+      }
     },
     sizes: {
       h1: '48px',
@@ -162,6 +186,7 @@ const brandConfig = {
     logos: {
       primary: {
         url: 'https://www.plindia.com/wp-content/uploads/2024/10/PL-Capital-Logo.svg',
+        file: 'pl-capital-logo.svg',   // In frontend/public; composited onto creatives
         description: 'Primary PL Capital logo',
         usage: 'Main brand identity for all communications',
         minSize: '120px',
@@ -174,6 +199,12 @@ const brandConfig = {
       }
     },
 
+    // Email newsletter header/footer artwork (kept exactly as designed)
+    email: {
+      headerImage: 'https://d314e77m1bz5zy.cloudfront.net/bee/Images/bmsx/p7orqos0/xtp/w8t/1aj/Asset%201.png',
+      footerImage: 'https://d314e77m1bz5zy.cloudfront.net/bee/Images/bmsx/p7orqos0/9wn/vw0/ds6/Asset%202.png'
+    },
+
     // Icon library
     icons: {
       check: '✓',
@@ -282,6 +313,42 @@ const brandConfig = {
       }
     },
 
+    // Carousel Slide Template (drawn with canvas by image/carousel-renderer.js)
+    carouselSlide: {
+      dimensions: { width: 1080, height: 1080 },
+      background: {
+        type: 'gradient',
+        value: 'linear-gradient(135deg, #0e0e6a 0%, #3c3cf8 100%)'
+      },
+      contentBackground: {
+        type: 'solid',
+        value: '#ffffff'
+      },
+      logo: {
+        position: 'top-left',
+        size: 'small',
+        margin: 60
+      },
+      content: {
+        padding: 80,
+        alignment: 'left',
+        titleSize: 68,
+        bodySize: 38,
+        highlightSize: 28,
+        lineHeight: 1.25
+      },
+      // Reserved region for an optional AI illustration; text narrows to the left of it
+      illustration: {
+        region: { x: 600, y: 300, width: 400, height: 460 },
+        radius: 24
+      },
+      footer: {
+        height: 110,
+        disclaimer: true,
+        pageNumber: true
+      }
+    },
+
     // Investment Insight Card
     insightCard: {
       dimensions: { width: 1200, height: 628 },
@@ -414,29 +481,29 @@ const brandConfig = {
 
     // Template-specific prompts
     templates: {
-      marketUpdate: (audience) => `
+      marketUpdate: (audience, brand = brandConfig) => `
         Create a professional financial market update image.
         Target audience: ${audience}
-        Style: ${brandConfig.geminiPrompts.audienceModifiers[audience]}
-        ${brandConfig.geminiPrompts.brandRequirements}
+        Style: ${brand.geminiPrompts.audienceModifiers[audience]}
+        ${brand.geminiPrompts.brandRequirements}
         Include: Charts/graphs, data visualization, market indicators
         Mood: Authoritative, expert, data-driven
       `,
 
-      investmentTip: (audience) => `
+      investmentTip: (audience, brand = brandConfig) => `
         Create an educational investment tip graphic.
         Target audience: ${audience}
-        Style: ${brandConfig.geminiPrompts.audienceModifiers[audience]}
-        ${brandConfig.geminiPrompts.brandRequirements}
+        Style: ${brand.geminiPrompts.audienceModifiers[audience]}
+        ${brand.geminiPrompts.brandRequirements}
         Include: Key insight, visual metaphor for growth/prosperity
         Mood: Empowering, informative, trustworthy
       `,
 
-      productPromo: (audience, product) => `
+      productPromo: (audience, product, brand = brandConfig) => `
         Create a promotional image for ${product}.
         Target audience: ${audience}
-        Style: ${brandConfig.geminiPrompts.audienceModifiers[audience]}
-        ${brandConfig.geminiPrompts.brandRequirements}
+        Style: ${brand.geminiPrompts.audienceModifiers[audience]}
+        ${brand.geminiPrompts.brandRequirements}
         Include: Product benefits, compelling visuals
         Mood: Professional, value-focused, aspirational
       `
@@ -444,67 +511,146 @@ const brandConfig = {
   }
 };
 
-// Helper Functions
-brandConfig.helpers = {
-  /**
-   * Get color palette for specific audience
-   */
-  getAudiencePalette: (audienceType) => {
-    const audience = brandConfig.targetAudiences[audienceType];
-    return audience ? audience.colorPalette : brandConfig.targetAudiences.allClients.colorPalette;
-  },
+function titleCase(key) {
+  return String(key).replace(/[-_]+/g, ' ').replace(/\b\w/g, (c) => c.toUpperCase());
+}
 
-  /**
-   * Get template configuration for image generation
-   */
-  getTemplate: (templateName) => {
-    return brandConfig.imageTemplates[templateName] || brandConfig.imageTemplates.socialPost;
-  },
+/**
+ * Helper functions bound to one brand profile (brandConfig or a stored brand profile).
+ * Prompt builders use these instead of hard-coding colors, fonts, names and disclaimers.
+ */
+function createBrandHelpers(brand) {
+  const audienceKey = (audienceType) => Object.keys(brand.targetAudiences || {})
+    .find((key) => key === audienceType || brand.targetAudiences[key].value === audienceType);
 
-  /**
-   * Check if disclaimer is required for audience
-   */
-  requiresDisclaimer: (audienceType) => {
-    return brandConfig.compliance.requiredForAudiences[audienceType] || false;
-  },
+  const helpers = {
+    /**
+     * Get color palette for specific audience
+     */
+    getAudiencePalette: (audienceType) => {
+      const audience = brand.targetAudiences?.[audienceKey(audienceType)];
+      return audience?.colorPalette || brand.targetAudiences?.allClients?.colorPalette || helpers.getPaletteHexes();
+    },
 
-  /**
-   * Get appropriate avatar for audience
-   */
-  getAvatarForAudience: (audienceType) => {
-    return brandConfig.avatars.publicAvatars.filter(avatar =>
-      avatar.suitable.includes(audienceType)
-    );
-  },
+    /**
+     * Get template configuration for image generation
+     */
+    getTemplate: (templateName) => {
+      return brand.imageTemplates[templateName] || brand.imageTemplates.socialPost;
+    },
 
-  /**
-   * Generate Gemini prompt for specific use case
-   */
-  generateGeminiPrompt: (templateType, audience, additionalContext = '') => {
-    const promptTemplate = brandConfig.geminiPrompts.templates[templateType];
-    if (!promptTemplate) {
-      return `${brandConfig.geminiPrompts.brandRequirements}\n${additionalContext}`;
-    }
-    return promptTemplate(audience) + '\n' + additionalContext;
-  },
+    /**
+     * Check if disclaimer is required for audience
+     */
+    requiresDisclaimer: (audienceType) => {
+      return brand.compliance.requiredForAudiences[audienceType] || false;
+    },
+
+    /**
+     * Disclaimer text (short, medium or long)
+     */
+    getDisclaimer: (length = 'short') => {
+      return brand.compliance.disclaimer?.[length] || brand.compliance.standardDisclaimer;
+    },
+
+    /**
+     * Get appropriate avatar for audience
+     */
+    getAvatarForAudience: (audienceType) => {
+      return (brand.avatars?.publicAvatars || []).filter(avatar =>
+        avatar.suitable.includes(audienceType)
+      );
+    },
+
+    /**
+     * Generate Gemini prompt for specific use case
+     */
+    generateGeminiPrompt: (templateType, audience, additionalContext = '') => {
+      const promptTemplate = brandConfig.geminiPrompts.templates[templateType];
+      if (!promptTemplate) {
+        return `${brand.geminiPrompts.brandRequirements}\n${additionalContext}`;
+      }
+      const prompt = templateType === 'productPromo'
+        ? promptTemplate(audience, additionalContext, brand)
+        : promptTemplate(audience, brand);
+      return prompt + '\n' + additionalContext;
+    },
 
-  /**
-   * Get all brand colors as CSS variables
-   */
-  getCSSVariables: () => {
-    return `
-      --pl-navy: ${brandConfig.colors.primary.navy};
-      --pl-blue: ${brandConfig.colors.primary.blue};
-      --pl-green: ${brandConfig.colors.secondary.green};
-      --pl-teal: ${brandConfig.colors.secondary.teal};
-      --pl-white: ${brandConfig.colors.neutral.white};
-      --pl-black: ${brandConfig.colors.neutral.black};
-      --pl-gradient-primary: ${brandConfig.colors.gradients.primary};
-      --pl-gradient-success: ${brandConfig.colors.gradients.success};
-      --pl-gradient-premium: ${brandConfig.colors.gradients.premium};
-      --pl-font-family: ${brandConfig.typography.primary.family}, ${brandConfig.typography.primary.fallback};
+    /**
+     * Named brand colors, primary first: [{ name: 'Navy', hex: '#0e0e6a' }, ...]
+     */
+    getNamedColors: () => {
+      return ['primary', 'secondary'].flatMap((group) =>
+        Object.entries(brand.colors?.[group] || {}).map(([name, hex]) => ({ name: titleCase(name), hex }))
+      );
+    },
+
+    getPaletteHexes: () => helpers.getNamedColors().map((color) => color.hex),
+
+    /**
+     * Colors by role: dark (backgrounds), vivid (gradient partner), accent, highlight (numbers), cta, line.
+     * Derived from the primary/secondary groups unless the profile sets colors.roles.
+     */
+    getColorRoles: () => {
+      const primary = Object.values(brand.colors?.primary || {});
+      const secondary = Object.values(brand.colors?.secondary || {});
+      const dark = primary[0] || '#000000';
+      const vivid = primary[1] || dark;
+      const accent = secondary[1] || secondary[0] || vivid;
+      return {
+        dark,
+        vivid,
+        highlight: secondary[0] || vivid,
+        accent,
+        cta: accent,
+        line: dark,
+        ...(brand.colors?.roles || {})
+      };
+    },
+
+    /**
+     * "Navy (#0e0e6a), Blue (#3c3cf8), ..." for prompts
+     */
+    describePalette: (group) => {
+      const colors = group
+        ? Object.entries(brand.colors?.[group] || {}).map(([name, hex]) => ({ name: titleCase(name), hex }))
+        : helpers.getNamedColors();
+      return colors.map((color) => `${color.name} (${color.hex})`).join(', ');
+    },
+
+    getFontFamily: () => brand.typography?.primary?.family || 'Inter',
+
+    /**
+     * One-line brand style for image prompts
+     */
+    getStylePrompt: () => {
+      return `${brand.company.shortName} brand: ${helpers.describePalette()}, ${helpers.getFontFamily()} typography. Professional, clean, no exaggerated claims.`;
+    },
+
+    /**
+     * Primary logo: { url, file, description }
+     */
+    getLogo: () => brand.assets?.logos?.primary || null,
+
+    /**
+     * Get all brand colors as CSS variables
+     */
+    getCSSVariables: () => {
+      const colors = helpers.getNamedColors()
+        .map((color) => `--brand-${color.name.toLowerCase().replace(/\s+/g, '-')}: ${color.hex};`);
+      const gradients = Object.entries(brand.colors?.gradients || {})
+        .map(([name, value]) => `--brand-gradient-${name}: ${value};`);
+      const fallback = brand.typography?.primary?.fallback;
+      return `
+      ${[...colors, ...gradients].join('\n      ')}
+      --brand-font-family: ${helpers.getFontFamily()}${fallback ? `, ${fallback}` : ''};
     `;
-  }
-};
+    }
+  };
+  return helpers;
+}
+
+brandConfig.helpers = createBrandHelpers(brandConfig);
 
 module.exports = brandConfig;
+module.exports.createBrandHelpers = createBrandHelpers;
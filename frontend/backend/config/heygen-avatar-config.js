@@ -418,7 +418,7 @@ const heygenAvatarConfig = {
       recommendedAvatar: 'Arjun_public_v2',
       duration: '30-60 seconds',
       script: {
-        intro: 'Hello team, here's an important update.',
+        intro: "Hello team, here's an important update.",
         body: 'Key information and action items',
         outro: 'Thank you for your attention.'
       }
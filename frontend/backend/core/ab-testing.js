@@ -0,0 +1,757 @@
+/**
+ * A/B Variants
+ *
+ * Turns one Stage 2 asset into an A/B test (`node main.js variants create <id>`, or
+ * `--variants <n>` on a content stage):
+ *
+ *   carousel            cover line and final-slide CTA
+ *   thread              opening tweet
+ *   infographic         title and footer CTA
+ *   whatsapp-creative   headline, body and CTA, re-rendered with a different visual treatment
+ *   email-newsletter    subject line (the newsletter's subjectVariations are used first)
+ *
+ * The original record is the control (variant A). Every other variant is a sibling content
+ * record ({ variantOf, variantKey, abTestId, treatment }) that starts as a draft and is reviewed
+ * like any other entry; the publishers' "latest record" picks ignore siblings. Tests are kept in
+ * data/ab-tests.db: draft → running (split test launched through MoEngage; email variants are one
+ * createEmailCampaign each, WhatsApp variants one tagged event each) → decided.
+ *
+ * Stage 6 pulls per-variant counts, saves them to the metrics bucket and declares a winner once
+ * every variant has AB_TEST_MIN_SAMPLE sends and the leader's click rate beats the runner-up's
+ * (two-proportion z-test, AB_TEST_Z_SCORE). Winners feed the style notes that stagePlanning adds
+ * to future creative briefs.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { checkEntry } = require('./compliance-checker');
+const { getMoengageClient } = require('../integrations/moengage-client');
+const { getMoengageEmailPublisher } = require('../integrations/moengage-email-publisher');
+const { emailReportCounts } = require('./metrics-collector');
+
+const VARIANT_KEYS = ['A', 'B', 'C', 'D', 'E'];
+const DEFAULT_VARIANT_COUNT = 3;
+const SPLIT_TEST_CHANNELS = ['email', 'whatsapp'];
+const TEST_STATUSES = ['draft', 'running', 'decided'];
+const DEFAULT_MIN_SAMPLE = 200;
+const DEFAULT_Z_SCORE = 1.96;
+
+// What a variant changes per asset kind; `visual` assets are re-rendered per variant
+const ASSET_KINDS = {
+  carousel: { label: 'Carousel cover line', hookLimit: 'at most 10 words', cta: true },
+  thread: { label: 'Opening tweet', hookLimit: 'at most 260 characters', cta: false },
+  infographic: { label: 'Infographic title', hookLimit: 'at most 10 words', cta: true },
+  'whatsapp-creative': { label: 'WhatsApp creative headline', hookLimit: '4-7 words', cta: true, body: true, visual: true },
+  'email-newsletter': { label: 'Email subject line', hookLimit: 'at most 60 characters', cta: false }
+};
+
+// The visual styles the Stage 2 WhatsApp prompt offers; each variant is locked to one
+const WHATSAPP_VISUAL_STYLES = {
+  'gradient-drama': 'Option A (Gradient Drama)',
+  'split-layout': 'Option B (Split Layout)',
+  'neon-accent': 'Option C (Neon Accent)'
+};
+
+function invalidAbTest(message) {
+  return Object.assign(new Error(message), { code: 'INVALID_AB_TEST' });
+}
+
+/**
+ * Number of variants including the control (2-5)
+ */
+function parseVariantCount(value) {
+  const count = Number(value ?? DEFAULT_VARIANT_COUNT);
+  if (!Number.isInteger(count) || count < 2 || count > VARIANT_KEYS.length) {
+    throw invalidAbTest(`Variant count must be a whole number from 2 to ${VARIANT_KEYS.length} (got ${value})`);
+  }
+  return count;
+}
+
+/**
+ * Which asset of a content record can be varied, or null
+ * @param {Object} record - Stage 2 content record
+ * @param {string} [platform] - Only consider this platform's asset
+ * @returns {{kind: string, platform: string}|null}
+ */
+function detectAsset(record, platform = null) {
+  if (!record) return null;
+  if (record.contentType === 'email-newsletter') {
+    return !platform || platform === 'email' ? { kind: 'email-newsletter', platform: 'email' } : null;
+  }
+  for (const [name, pack] of Object.entries(record.contentPack?.platforms || {})) {
+    if (platform && name !== platform) continue;
+    if (pack?.carousel) return { kind: 'carousel', platform: name };
+    if (Array.isArray(pack?.thread?.tweets) && pack.thread.tweets.length > 0) return { kind: 'thread', platform: name };
+    if (pack?.infographic) return { kind: 'infographic', platform: name };
+  }
+  const platforms = [record.platform, ...[].concat(record.platforms || [])].map((p) => String(p || ''));
+  const isWhatsApp = platforms.some((p) => p.includes('whatsapp')) || record.campaignType === 'whatsapp-creative';
+  if (isWhatsApp && (!platform || platform === 'whatsapp') && (record.imageUrl || record.images?.length)) {
+    return { kind: 'whatsapp-creative', platform: 'whatsapp' };
+  }
+  return null;
+}
+
+/**
+ * Copy the control already has for the fields a variant changes
+ */
+function controlTreatment(record, asset) {
+  const pack = record.contentPack?.platforms?.[asset.platform];
+  const fields = {
+    carousel: () => ({ hook: pack.carousel.coverText, cta: pack.carousel.finalSlideCta }),
+    thread: () => ({ hook: pack.thread.tweets[0] }),
+    infographic: () => ({ hook: pack.infographic.title, cta: pack.infographic.footerCta }),
+    'whatsapp-creative': () => ({ hook: record.whatsappCopy?.headline, body: record.whatsappCopy?.body, cta: record.whatsappCopy?.cta }),
+    'email-newsletter': () => ({ hook: record.subject })
+  }[asset.kind]();
+  return Object.fromEntries(Object.entries({ angle: 'original', ...fields }).filter(([, value]) => typeof value === 'string' && value.trim()));
+}
+
+/**
+ * The control record with a variant's copy swapped in
+ */
+function applyTreatment(record, asset, treatment) {
+  const copy = JSON.parse(JSON.stringify(record));
+  const pack = copy.contentPack?.platforms?.[asset.platform];
+  switch (asset.kind) {
+    case 'carousel':
+      Object.assign(pack.carousel, { coverText: treatment.hook }, treatment.cta ? { finalSlideCta: treatment.cta } : {});
+      break;
+    case 'thread':
+      pack.thread.tweets[0] = treatment.hook.slice(0, 280);
+      break;
+    case 'infographic':
+      Object.assign(pack.infographic, { title: treatment.hook }, treatment.cta ? { footerCta: treatment.cta } : {});
+      break;
+    case 'whatsapp-creative':
+      copy.whatsappCopy = { headline: treatment.hook, body: treatment.body || '', cta: treatment.cta || '' };
+      break;
+    case 'email-newsletter':
+      copy.subject = treatment.hook;
+      break;
+  }
+  return copy;
+}
+
+/**
+ * Alternative hooks/CTAs from the text client (task 'ab-variants'); a newsletter's own
+ * subjectVariations come first
+ * @private
+ */
+async function generateTreatments(orchestrator, { record, asset, control, count, language }) {
+  const spec = ASSET_KINDS[asset.kind];
+  const needed = count - 1;
+  const clean = (value) => String(value || '').replace(/\*+/g, '').replace(/^["'“]+|["'”]+$/g, '').trim();
+  const seeded = asset.kind === 'email-newsletter'
+    ? [...new Set((record.subjectVariations || []).map(clean))]
+      .filter((hook) => hook && hook !== control.hook)
+      .slice(0, needed)
+      .map((hook) => ({ angle: 'subject variation', hook }))
+    : [];
+  if (seeded.length >= needed) return seeded;
+
+  const textClient = orchestrator._getTextClient();
+  if (!textClient.isAvailable('ab-variants')) {
+    throw invalidAbTest('No text provider configured (GROQ_API_KEY, OPENAI_API_KEY or GEMINI_API_KEY) to write variants');
+  }
+
+  const missing = needed - seeded.length;
+  const fields = ['"angle": short name of the angle', `"hook": the ${spec.label.toLowerCase()} (${spec.hookLimit})`];
+  if (spec.body) fields.push('"body": 8-12 word supporting line');
+  if (spec.cta) fields.push('"cta": 2-4 word call to action');
+  const current = [
+    `${spec.label}: ${control.hook || '(none)'}`,
+    ...(control.body ? [`Body: ${control.body}`] : []),
+    ...(control.cta ? [`CTA: ${control.cta}`] : [])
+  ].join('\n');
+
+  const { data } = await textClient.generateJson('ab-variants', {
+    system: `You write A/B test variants of finance marketing copy for ${orchestrator.brand.company.shortName}. Output valid JSON only: {"variants": [{ ${fields.join(', ')} }]}.
+Rules: every variant tests a clearly different angle (question, number or statistic, benefit, urgency, curiosity, social proof) and differs from the current copy and from the other variants. Keep the facts and figures of the current copy, add none. No guaranteed returns, no "sure-shot", no exaggerated claims, no hashtags, no markdown. Language: ${language || 'english'}.`,
+    prompt: `Platform: ${asset.platform}
+Topic: ${record.topic || ''}
+Current copy (variant A):
+${current}
+${seeded.length ? `Already used: ${seeded.map((t) => t.hook).join(' | ')}\n` : ''}
+Write ${missing} variant(s).`,
+    schema: {
+      type: 'object',
+      required: ['variants'],
+      properties: {
+        variants: {
+          type: 'array',
+          minItems: missing,
+          items: {
+            type: 'object',
+            required: ['angle', 'hook', ...(spec.body ? ['body'] : []), ...(spec.cta ? ['cta'] : [])],
+            properties: {
+              angle: { type: 'string' },
+              hook: { type: 'string', minLength: 1 },
+              body: { type: 'string' },
+              cta: { type: 'string' }
+            }
+          }
+        }
+      }
+    }
+  });
+
+  const generated = data.variants.slice(0, missing).map((variant) => Object.fromEntries(Object.entries({
+    angle: clean(variant.angle) || 'alternative',
+    hook: clean(variant.hook),
+    body: spec.body ? clean(variant.body) || control.body : undefined,
+    cta: spec.cta ? clean(variant.cta) || control.cta : undefined
+  }).filter(([, value]) => value)));
+
+  // A repeated hook would test nothing; fewer variants are better than duplicates
+  const seen = new Set([control.hook, ...seeded.map((t) => t.hook)].map((hook) => String(hook || '').toLowerCase()));
+  const distinct = generated.filter((t) => t.hook && !seen.has(t.hook.toLowerCase()) && seen.add(t.hook.toLowerCase()));
+  return [...seeded, ...distinct];
+}
+
+/**
+ * Equal audience shares in whole percent; the control absorbs the rounding
+ */
+function splitShares(count) {
+  const share = Math.floor(100 / count);
+  return Array.from({ length: count }, (_, index) => (index === 0 ? 100 - share * (count - 1) : share));
+}
+
+/**
+ * z statistic for the difference between two click rates
+ */
+function twoProportionZ(a, b) {
+  if (!a.sent || !b.sent) return 0;
+  const pooled = (a.clicks + b.clicks) / (a.sent + b.sent);
+  const se = Math.sqrt(pooled * (1 - pooled) * (1 / a.sent + 1 / b.sent));
+  return se > 0 ? (a.clicks / a.sent - b.clicks / b.sent) / se : 0;
+}
+
+function percent(rate) {
+  return `${(rate * 100).toFixed(2)}%`;
+}
+
+/**
+ * Winner by click rate, once every variant has `minSample` sends and the leader beats the
+ * runner-up at `zScore`
+ * @param {Array} variants - Test variants with `metrics` ({ sent, clicks, clickRate })
+ * @returns {{winner: string|null, leader?: string, z?: number, lift?: number, reason: string}}
+ */
+function pickWinner(variants, { minSample = DEFAULT_MIN_SAMPLE, zScore = DEFAULT_Z_SCORE } = {}) {
+  const ranked = variants.filter((v) => v.metrics).sort((a, b) => b.metrics.clickRate - a.metrics.clickRate);
+  if (ranked.length < 2) return { winner: null, reason: 'no metrics yet' };
+
+  const [leader, runnerUp] = ranked;
+  const short = ranked.filter((v) => v.metrics.sent < minSample);
+  if (short.length > 0) {
+    return {
+      winner: null,
+      leader: leader.key,
+      reason: `waiting for ${minSample} sends per variant (${short.map((v) => `${v.key}: ${v.metrics.sent}`).join(', ')})`
+    };
+  }
+
+  const z = twoProportionZ(leader.metrics, runnerUp.metrics);
+  const rates = `${percent(leader.metrics.clickRate)} vs ${percent(runnerUp.metrics.clickRate)} click rate`;
+  if (z < zScore) {
+    return { winner: null, leader: leader.key, z, reason: `${leader.key} leads ${runnerUp.key} (${rates}) but not significantly yet (z=${z.toFixed(2)})` };
+  }
+  const lift = runnerUp.metrics.clickRate > 0 ? leader.metrics.clickRate / runnerUp.metrics.clickRate - 1 : null;
+  return { winner: leader.key, z, lift, reason: `${leader.key} beat ${runnerUp.key} (${rates}, z=${z.toFixed(2)})` };
+}
+
+/**
+ * Per-variant counts for a running split test, keyed by variant key
+ * @private
+ */
+async function fetchVariantCounts(test) {
+  const client = getMoengageClient();
+  if (test.platform === 'email') {
+    const counts = {};
+    for (const variant of test.variants) {
+      if (!variant.moengageCampaignId) continue;
+      const { sends, opens, clicks } = emailReportCounts(await client.getCampaignReport(variant.moengageCampaignId));
+      counts[variant.key] = { sent: sends, opens, clicks };
+    }
+    return counts;
+  }
+
+  // WhatsApp: the Interakt journey reports sends and clicks as business events tagged with the
+  // abTestId/variantKey attributes of the WhatsAppCreativeReady push
+  const tally = async (eventName) => {
+    const data = await client.getBusinessEvents({
+      event_name: eventName,
+      from: Date.parse(test.launchedAt),
+      to: Date.now(),
+      limit: 1000
+    });
+    const byKey = {};
+    for (const event of Array.isArray(data?.data) ? data.data : []) {
+      const attributes = event.attributes || event.event_attributes || {};
+      if (attributes.abTestId !== test.id) continue;
+      byKey[attributes.variantKey] = (byKey[attributes.variantKey] || 0) + 1;
+    }
+    return byKey;
+  };
+  const sent = await tally(process.env.MOENGAGE_WHATSAPP_SENT_EVENT || 'WhatsAppCreativeSent');
+  const clicks = await tally(process.env.MOENGAGE_WHATSAPP_CLICK_EVENT || 'WhatsAppCreativeClicked');
+  return Object.fromEntries(test.variants.map((v) => [v.key, { sent: sent[v.key] || 0, opens: 0, clicks: clicks[v.key] || 0 }]));
+}
+
+/**
+ * A/B tests (data/ab-tests.db)
+ */
+class ABTestStore {
+  constructor(dataDir) {
+    this.dataDir = dataDir;
+    this.dbFile = path.join(dataDir, 'ab-tests.db');
+
+    fs.mkdirSync(dataDir, { recursive: true });
+    this.db = new Database(this.dbFile);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('busy_timeout = 5000');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS ab_tests (
+        id TEXT PRIMARY KEY,
+        data TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      )
+    `);
+  }
+
+  _put(test) {
+    this.db.prepare(`
+      INSERT INTO ab_tests (id, data, created_at, updated_at) VALUES (@id, @data, @createdAt, @updatedAt)
+      ON CONFLICT(id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at
+    `).run({ id: test.id, data: JSON.stringify(test), createdAt: test.createdAt, updatedAt: test.updatedAt });
+    return test;
+  }
+
+  create(test) {
+    const now = new Date().toISOString();
+    return this._put({
+      id: `AB-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`,
+      ...test,
+      status: 'draft',
+      createdAt: now,
+      updatedAt: now
+    });
+  }
+
+  get(id) {
+    const row = this.db.prepare('SELECT data FROM ab_tests WHERE id = ?').get(id);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  /**
+   * Tests, newest first
+   * @param {Object} [filters] - { status, platform, topic }
+   */
+  list({ status, platform, topic } = {}) {
+    if (status && !TEST_STATUSES.includes(status)) {
+      throw invalidAbTest(`Unknown test status: ${status} (expected ${TEST_STATUSES.join(', ')})`);
+    }
+    return this.db.prepare('SELECT data FROM ab_tests ORDER BY created_at DESC').all()
+      .map((row) => JSON.parse(row.data))
+      .filter((test) => (!status || test.status === status) &&
+        (!platform || test.platform === platform) &&
+        (!topic || (test.topic || '').trim() === topic.trim()));
+  }
+
+  /**
+   * Apply fn(test) to a saved test and store the result
+   * @returns {Object|null} Updated test, or null when it does not exist
+   */
+  update(id, fn) {
+    const run = this.db.transaction(() => {
+      const current = this.get(id);
+      if (!current) return null;
+      return this._put({ ...fn(current), id, updatedAt: new Date().toISOString() });
+    });
+    return run.immediate();
+  }
+
+  remove(id) {
+    return this.db.prepare('DELETE FROM ab_tests WHERE id = ?').run(id).changes > 0;
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+/**
+ * Control record for a content id, or for `content`/`2` the topic's latest record with an asset
+ * that can be varied
+ * @returns {{control: Object, asset: {kind, platform}}}
+ */
+function findControl(orchestrator, ref, { topic, platform } = {}) {
+  const { stateManager } = orchestrator;
+  if (['content', '2'].includes(String(ref || '').toLowerCase())) {
+    const entries = Object.values(stateManager.getEntries('content')).filter((e) => !e.variantOf && detectAsset(e, platform));
+    const control = orchestrator._pickLatestForTopic(entries, topic);
+    if (!control) throw invalidAbTest(`No content record with a variable asset${topic ? ` for "${topic}"` : ''}`);
+    return { control, asset: detectAsset(control, platform) };
+  }
+
+  const control = stateManager.getEntry('content', ref);
+  if (!control) throw invalidAbTest(`No content record with id ${ref}`);
+  if (control.variantOf) {
+    throw invalidAbTest(`${ref} is variant ${control.variantKey} of ${control.variantOf}; create variants from the control`);
+  }
+  const asset = detectAsset(control, platform);
+  if (!asset) {
+    throw invalidAbTest(`${ref} has no carousel, thread, infographic, WhatsApp creative or newsletter to vary`);
+  }
+  return { control, asset };
+}
+
+/**
+ * Write and save the variants of a control record and open a draft test for them
+ * @param {SocialMediaOrchestrator} orchestrator
+ * @param {Object} control - Stage 2 content record (variant A)
+ * @param {Object} asset - detectAsset() result
+ * @param {Object} [options] - { variants, language, targetAudience, aspectRatio, brandCheck }
+ * @returns {Promise<Object|null>} The test, or null in simulation or when fewer than two variants exist
+ */
+async function generateVariants(orchestrator, control, asset, options = {}) {
+  const count = parseVariantCount(options.variants);
+  const store = orchestrator._getAbTestStore();
+  const existing = control.abTestId ? store.get(control.abTestId) : null;
+  if (existing?.status === 'running') {
+    throw invalidAbTest(`${control.id} is already in running A/B test ${existing.id}`);
+  }
+
+  const spec = ASSET_KINDS[asset.kind];
+  const baseline = controlTreatment(control, asset);
+  console.log(`   🧪 Writing ${count - 1} ${spec.label.toLowerCase()} variant(s) for ${control.id}...`);
+  const treatments = await generateTreatments(orchestrator, {
+    record: control,
+    asset,
+    control: baseline,
+    count,
+    language: options.language || control.language
+  });
+
+  const styles = Object.keys(WHATSAPP_VISUAL_STYLES);
+  const variants = [{ key: 'A', bucket: 'content', id: control.id, control: true, treatment: baseline }];
+  console.log(`   A: "${baseline.hook || '(current)'}"${baseline.cta ? ` · CTA "${baseline.cta}"` : ''} (control)`);
+
+  for (const [index, generated] of treatments.entries()) {
+    const key = VARIANT_KEYS[index + 1];
+    const treatment = spec.visual ? { ...generated, visualStyle: styles[index % styles.length] } : generated;
+    console.log(`   ${key}: "${treatment.hook}"${treatment.cta ? ` · CTA "${treatment.cta}"` : ''}${treatment.visualStyle ? ` · ${treatment.visualStyle}` : ''} (${treatment.angle})`);
+    if (orchestrator.simulate) continue;
+
+    const { review: _review, compliance: _compliance, variants: _variants, abTestId: _abTestId, abOutcome: _abOutcome, ...fields } =
+      applyTreatment(control, asset, treatment);
+    const record = {
+      ...fields,
+      id: `${control.id}-v${key}`,
+      variantOf: control.id,
+      variantKey: key,
+      treatment,
+      status: 'completed',
+      completedAt: new Date().toISOString()
+    };
+
+    if (spec.visual) {
+      const images = await orchestrator._generateWhatsAppVariantCreative({
+        topic: control.topic,
+        copy: record.whatsappCopy,
+        visualStyle: WHATSAPP_VISUAL_STYLES[treatment.visualStyle],
+        options
+      });
+      if (images.length === 0) {
+        console.log(`   ⚠️  Variant ${key} skipped: the creative could not be generated`);
+        continue;
+      }
+      record.images = images;
+      record.imageUrl = images[0].hostedUrl || null;
+    }
+
+    variants.push({ key, bucket: 'content', id: record.id, treatment, record });
+  }
+
+  if (orchestrator.simulate) {
+    console.log('   [SIMULATED] Variants not saved');
+    return null;
+  }
+  if (variants.length < 2) {
+    console.log('   ⚠️  No variants were generated; A/B test not created');
+    return null;
+  }
+
+  if (existing?.status === 'draft') {
+    store.remove(existing.id);
+    console.log(`   ♻️  Replacing draft A/B test ${existing.id}`);
+  }
+  const test = store.create({
+    topic: control.topic || '',
+    platform: asset.platform,
+    assetKind: asset.kind,
+    brandId: orchestrator.brandId || control.brandId || null,
+    controlId: control.id,
+    metric: 'clickRate',
+    variants: variants.map(({ record: _record, ...variant }) => variant)
+  });
+
+  for (const { record } of variants.filter((v) => v.record)) {
+    await orchestrator.stateManager.addContent(orchestrator._withComplianceReport({ ...record, abTestId: test.id }, options));
+  }
+  await orchestrator.stateManager.updateEntry('content', control.id, (current) => ({
+    ...current,
+    abTestId: test.id,
+    variantKey: 'A'
+  }));
+
+  console.log(`   🔗 A/B test ${test.id}: ${variants.length} variants of ${control.id} (review the siblings before launching)`);
+  return test;
+}
+
+/**
+ * Create variants for a content record id, or for `content` the topic's latest variable asset
+ * @param {SocialMediaOrchestrator} orchestrator
+ * @param {string} ref
+ * @param {Object} [options] - { variants, topic, platform, language, targetAudience, brandId, campaignId, bypassCache }
+ */
+async function runVariants(orchestrator, ref, options = {}) {
+  await orchestrator.stateManager.initialize();
+  const { control, asset } = findControl(orchestrator, ref, options);
+  orchestrator.useBrand(options.brandId || control.brandId);
+  orchestrator._setUsageContext({ ...options, topic: control.topic }, 'variants');
+  console.log(`🧪 A/B variants for ${asset.platform} ${asset.kind} ${control.id}${control.topic ? ` (${control.topic})` : ''}\n`);
+  return generateVariants(orchestrator, control, asset, options);
+}
+
+/**
+ * Launch a draft test as a MoEngage split test: one email campaign per variant on an equal share
+ * of the segment, or one WhatsApp creative push per variant. Every variant must be approved and
+ * pass the compliance check.
+ * @param {SocialMediaOrchestrator} orchestrator
+ * @param {Object} test
+ * @param {Object} [options] - { segmentId, targetAudience, cta }
+ * @returns {Promise<Object>} Stage 5 style result
+ */
+async function launchSplitTest(orchestrator, test, options = {}) {
+  if (!SPLIT_TEST_CHANNELS.includes(test.platform)) {
+    throw invalidAbTest(`Split tests run on ${SPLIT_TEST_CHANNELS.join(' and ')}; ${test.platform} variants are published individually`);
+  }
+  if (test.status !== 'draft') {
+    throw invalidAbTest(`${test.id} is already ${test.status}`);
+  }
+
+  const { stateManager } = orchestrator;
+  const entries = test.variants.map((variant) => ({ variant, record: stateManager.getEntry(variant.bucket, variant.id) }));
+  const missing = entries.filter((e) => !e.record).map((e) => e.variant.id);
+  if (missing.length > 0) {
+    throw invalidAbTest(`${test.id} variant record(s) no longer exist: ${missing.join(', ')}`);
+  }
+
+  const unapproved = entries
+    .filter((e) => stateManager.getReviewStatus(e.record) !== 'approved')
+    .map((e) => ({ bucket: e.variant.bucket, id: e.variant.id, status: stateManager.getReviewStatus(e.record) }));
+  if (unapproved.length > 0) {
+    const pending = unapproved.map((e) => `${e.id} (${e.status.replace('_', ' ')})`).join(', ');
+    console.log(`   ⛔ Split test blocked: awaiting approval for ${pending}`);
+    return { success: false, platform: test.platform, status: 'failed', blocked: true, unapproved, error: `Awaiting approval: ${pending}` };
+  }
+  const failing = entries
+    .map((e) => ({ bucket: e.variant.bucket, id: e.variant.id, report: checkEntry(e.record, { audience: options.targetAudience, brand: orchestrator.brand }) }))
+    .filter((e) => !e.report.passed);
+  if (failing.length > 0) {
+    console.log(`   ⛔ Split test blocked: compliance errors in ${failing.map((e) => e.id).join(', ')}`);
+    return { success: false, platform: test.platform, status: 'failed', blocked: true, compliance: failing, error: 'Compliance check failed' };
+  }
+
+  const shares = splitShares(entries.length);
+  const publisher = getMoengageEmailPublisher();
+  let launched;
+  if (test.platform === 'email') {
+    launched = await publisher.publishNewsletterSplitTest(entries.map(({ variant, record }, index) => ({
+      key: variant.key,
+      percentage: shares[index],
+      newsletter: { ...record, topic: record.topic || test.topic }
+    })), { testId: test.id, segmentId: options.segmentId });
+  } else {
+    launched = [];
+    for (const [index, { variant, record }] of entries.entries()) {
+      const creativeUrl = record.imageUrl || record.images?.find((img) => img?.hostedUrl)?.hostedUrl;
+      if (!creativeUrl) throw invalidAbTest(`${variant.id} has no hosted creative URL (set IMGBB_API_KEY and regenerate)`);
+      console.log(`   💬 Variant ${variant.key} (${shares[index]}%): ${creativeUrl.substring(0, 60)}...`);
+      await publisher.publishWhatsAppCreative({
+        topic: record.topic || test.topic,
+        creativeUrl,
+        cta: record.whatsappCopy?.cta || options.cta,
+        abTestId: test.id,
+        variantKey: variant.key,
+        audiencePercentage: shares[index]
+      });
+      launched.push({ key: variant.key, percentage: shares[index] });
+    }
+  }
+
+  const launchedAt = new Date().toISOString();
+  const byKey = Object.fromEntries(launched.map((item) => [item.key, item]));
+  const updated = orchestrator._getAbTestStore().update(test.id, (current) => ({
+    ...current,
+    status: 'running',
+    launchedAt,
+    variants: current.variants.map((variant) => ({
+      ...variant,
+      percentage: byKey[variant.key]?.percentage ?? null,
+      ...(byKey[variant.key]?.campaignId ? { moengageCampaignId: byKey[variant.key].campaignId } : {})
+    }))
+  }));
+
+  const publishedId = `${test.platform}-ab-${Date.now()}`;
+  await stateManager.addPublished({
+    id: publishedId,
+    platform: test.platform,
+    topic: test.topic,
+    status: 'published',
+    abTestId: test.id,
+    variants: updated.variants.map(({ key, id, percentage, moengageCampaignId }) => ({ key, id, percentage, moengageCampaignId: moengageCampaignId || null }))
+  });
+  console.log(`   ✅ Split test ${test.id} launched: ${updated.variants.map((v) => `${v.key} ${v.percentage}%`).join(', ')}`);
+  return { success: true, platform: test.platform, id: publishedId, status: 'published', abTestId: test.id, variants: updated.variants };
+}
+
+/**
+ * Mark the winning variant on the test and on every variant record
+ * @param {SocialMediaOrchestrator} orchestrator
+ * @param {string} testId
+ * @param {string} key - Winning variant key
+ * @param {Object} [details] - { reason, z, lift, manual }
+ * @returns {Promise<Object>} Updated test
+ */
+async function declareWinner(orchestrator, testId, key, details = {}) {
+  const store = orchestrator._getAbTestStore();
+  const test = store.get(testId);
+  if (!test) throw invalidAbTest(`A/B test not found: ${testId}`);
+  const winner = test.variants.find((v) => v.key === String(key || '').toUpperCase());
+  if (!winner) throw invalidAbTest(`${testId} has no variant ${key} (expected ${test.variants.map((v) => v.key).join(', ')})`);
+
+  const decidedAt = new Date().toISOString();
+  const updated = store.update(testId, (current) => ({
+    ...current,
+    status: 'decided',
+    winner: {
+      key: winner.key,
+      id: winner.id,
+      reason: details.reason || null,
+      ...(details.z != null ? { z: Number(details.z.toFixed(3)) } : {}),
+      ...(details.lift != null ? { lift: Number(details.lift.toFixed(4)) } : {}),
+      manual: Boolean(details.manual),
+      decidedAt
+    }
+  }));
+
+  for (const variant of test.variants) {
+    if (!orchestrator.stateManager.getEntry(variant.bucket, variant.id)) continue;
+    await orchestrator.stateManager.updateEntry(variant.bucket, variant.id, (current) => ({
+      ...current,
+      abOutcome: variant.key === winner.key ? 'winner' : 'loser'
+    }));
+  }
+  console.log(`   🏆 ${testId}: variant ${winner.key} wins${details.reason ? ` (${details.reason})` : ''}`);
+  return updated;
+}
+
+/**
+ * Pull per-variant counts for a running test, save them to the metrics bucket and declare a
+ * winner when the result is significant
+ * @param {SocialMediaOrchestrator} orchestrator
+ * @param {Object} test
+ * @returns {Promise<Object>} The test after this pull
+ */
+async function trackTest(orchestrator, test) {
+  if (!SPLIT_TEST_CHANNELS.includes(test.platform)) {
+    console.log(`   ⚠️  ${test.id}: no per-variant metrics source for ${test.platform}; pick a winner with "variants winner ${test.id} <key>"`);
+    return test;
+  }
+
+  const counts = await fetchVariantCounts(test);
+  const fetchedAt = new Date().toISOString();
+  const variants = test.variants.map((variant) => {
+    const c = counts[variant.key];
+    if (!c) return variant;
+    return {
+      ...variant,
+      metrics: {
+        ...c,
+        openRate: c.sent ? c.opens / c.sent : 0,
+        clickRate: c.sent ? c.clicks / c.sent : 0,
+        fetchedAt
+      }
+    };
+  });
+
+  console.log(`   🧪 ${test.id} (${test.platform} ${test.assetKind}, "${test.topic}")`);
+  for (const variant of variants) {
+    const m = variant.metrics;
+    console.log(m
+      ? `      ${variant.key}: ${m.sent} sent, ${m.clicks} click(s) (${percent(m.clickRate)})${test.platform === 'email' ? `, ${percent(m.openRate)} opened` : ''}`
+      : `      ${variant.key}: no report yet`);
+  }
+
+  await orchestrator.stateManager.addStageEntry(6, {
+    type: 'ab-test-metrics',
+    abTestId: test.id,
+    topic: test.topic,
+    platform: test.platform,
+    variants: variants.map(({ key, id, metrics }) => ({ key, id, metrics: metrics || null }))
+  });
+
+  const store = orchestrator._getAbTestStore();
+  const decision = pickWinner(variants, {
+    minSample: Number(process.env.AB_TEST_MIN_SAMPLE) || DEFAULT_MIN_SAMPLE,
+    zScore: Number(process.env.AB_TEST_Z_SCORE) || DEFAULT_Z_SCORE
+  });
+  store.update(test.id, (current) => ({ ...current, variants, lastTrackedAt: fetchedAt }));
+  if (!decision.winner) {
+    console.log(`      ⏳ ${decision.reason}`);
+    return store.get(test.id);
+  }
+  return declareWinner(orchestrator, test.id, decision.winner, decision);
+}
+
+/**
+ * Prompt lines describing recent A/B winners, for creative briefs
+ * @param {ABTestStore} store
+ * @param {Object} [filters] - { platform, brandId, limit }
+ * @returns {string[]}
+ */
+function winningStyleNotes(store, { platform, brandId, limit = 5 } = {}) {
+  return store.list({ status: 'decided' })
+    .filter((test) => (!platform || test.platform === platform) && (!brandId || !test.brandId || test.brandId === brandId))
+    .slice(0, limit)
+    .map((test) => {
+      const treatment = test.variants.find((v) => v.key === test.winner?.key)?.treatment || {};
+      const traits = [
+        treatment.angle && treatment.angle !== 'original' && `${treatment.angle} angle`,
+        treatment.hook && `hook "${treatment.hook}"`,
+        treatment.cta && `CTA "${treatment.cta}"`,
+        treatment.visualStyle && `${treatment.visualStyle} visual style`
+      ].filter(Boolean);
+      const outcome = test.winner.manual ? 'chosen as winner' : `won against ${test.variants.length - 1} other variant(s)`;
+      return `- ${ASSET_KINDS[test.assetKind]?.label || test.assetKind} on ${test.platform} ("${test.topic}"): ${traits.join(', ') || `variant ${test.winner.key}`} ${outcome}`;
+    });
+}
+
+module.exports = ABTestStore;
+module.exports.runVariants = runVariants;
+module.exports.generateVariants = generateVariants;
+module.exports.launchSplitTest = launchSplitTest;
+module.exports.trackTest = trackTest;
+module.exports.declareWinner = declareWinner;
+module.exports.pickWinner = pickWinner;
+module.exports.splitShares = splitShares;
+module.exports.winningStyleNotes = winningStyleNotes;
+module.exports.detectAsset = detectAsset;
+module.exports.parseVariantCount = parseVariantCount;
+module.exports.ASSET_KINDS = ASSET_KINDS;
+module.exports.SPLIT_TEST_CHANNELS = SPLIT_TEST_CHANNELS;
+module.exports.WHATSAPP_VISUAL_STYLES = WHATSAPP_VISUAL_STYLES;
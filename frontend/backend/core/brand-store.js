@@ -0,0 +1,318 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const brandConfig = require('../config/brand-config');
+const { createBrandHelpers } = brandConfig;
+
+// config/brand-config.js is always available under this id; editing it stores an override
+const DEFAULT_BRAND_ID = 'pl-capital';
+const HEX_COLOR = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+const BRAND_ID = /^[a-z0-9][a-z0-9-]{1,47}$/;
+
+function invalidBrand(message) {
+  return Object.assign(new Error(message), { code: 'INVALID_BRAND' });
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function slugify(value) {
+  return String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 48);
+}
+
+/**
+ * Deep merge for profile edits: objects merge, arrays and scalars replace, null removes a key
+ */
+function mergeProfile(base, changes) {
+  const result = { ...base };
+  for (const [key, value] of Object.entries(changes || {})) {
+    if (value === null) {
+      delete result[key];
+    } else if (isPlainObject(value) && isPlainObject(result[key])) {
+      result[key] = mergeProfile(result[key], value);
+    } else {
+      result[key] = value;
+    }
+  }
+  return result;
+}
+
+/**
+ * brandConfig as plain data (without helpers and prompt template functions)
+ */
+function defaultProfileData() {
+  const { helpers: _helpers, geminiPrompts, ...data } = brandConfig;
+  const { templates: _templates, ...prompts } = geminiPrompts;
+  return JSON.parse(JSON.stringify({ ...data, geminiPrompts: prompts }));
+}
+
+/**
+ * Structure a new profile inherits: audiences, templates, tone and compliance rules from
+ * brandConfig, with PL Capital's identity (colors, fonts, logos, avatars) left out.
+ */
+function neutralBase() {
+  const base = defaultProfileData();
+  delete base.company;
+  delete base.colors;
+  delete base.assets.logos;
+  delete base.assets.email;
+  delete base.assets.websiteImages;
+  delete base.geminiPrompts.brandRequirements;
+  base.typography.primary = { ...base.typography.primary, family: 'Inter', fallback: 'system-ui, -apple-system, sans-serif' };
+  delete base.typography.primary.files;
+  // Template backgrounds are PL colors; renderers fall back to the profile's color roles
+  for (const template of Object.values(base.imageTemplates || {})) {
+    delete template.background;
+  }
+  base.avatars = { ...base.avatars, enabled: false, publicAvatars: [] };
+  for (const audience of Object.values(base.targetAudiences)) {
+    delete audience.colorPalette;
+  }
+  return base;
+}
+
+function brandRequirementsFor(brand, helpers) {
+  const roles = helpers.getColorRoles();
+  return `
+      - Use ${roles.dark} as primary color
+      - Include ${roles.accent} or ${roles.vivid} as accents
+      - Maintain high contrast for readability
+      - Professional, modern corporate aesthetic
+      - Include ${brand.company.shortName} logo placement
+      - Use ${helpers.getFontFamily()} font for text elements
+      - Ensure sophisticated and established look
+    `;
+}
+
+/**
+ * Full brand profile (brandConfig shape, helpers attached) from a stored record
+ */
+function buildProfile(record) {
+  const isDefault = record.id === DEFAULT_BRAND_ID;
+  const profile = mergeProfile(isDefault ? defaultProfileData() : neutralBase(), record);
+  profile.geminiPrompts = { ...profile.geminiPrompts, templates: brandConfig.geminiPrompts.templates };
+
+  const helpers = createBrandHelpers(profile);
+  if (!profile.geminiPrompts.brandRequirements) {
+    profile.geminiPrompts.brandRequirements = brandRequirementsFor(profile, helpers);
+  }
+  for (const audience of Object.values(profile.targetAudiences || {})) {
+    audience.colorPalette = audience.colorPalette || helpers.getPaletteHexes();
+  }
+  profile.helpers = helpers;
+  return profile;
+}
+
+function validateProfile(profile) {
+  if (!BRAND_ID.test(profile.id || '')) {
+    throw invalidBrand('id must be 2-48 lowercase letters, digits or dashes');
+  }
+  if (!String(profile.company?.name || '').trim()) throw invalidBrand('company.name is required');
+  if (!String(profile.company?.shortName || '').trim()) throw invalidBrand('company.shortName is required');
+  if (!isPlainObject(profile.colors?.primary) || Object.keys(profile.colors.primary).length === 0) {
+    throw invalidBrand('colors.primary needs at least one color');
+  }
+  for (const group of ['primary', 'secondary', 'neutral', 'roles']) {
+    for (const [name, value] of Object.entries(profile.colors?.[group] || {})) {
+      if (!HEX_COLOR.test(String(value))) {
+        throw invalidBrand(`colors.${group}.${name} must be a hex color (got ${value})`);
+      }
+    }
+  }
+  const logoUrl = profile.assets?.logos?.primary?.url;
+  if (logoUrl && !/^(?:https?:\/\/|\/)/.test(logoUrl)) {
+    throw invalidBrand('assets.logos.primary.url must be an http(s) URL or a path under /public');
+  }
+  const logoFile = profile.assets?.logos?.primary?.file;
+  if (logoFile && (path.isAbsolute(logoFile) || logoFile.split(/[\\/]/).includes('..'))) {
+    throw invalidBrand('assets.logos.primary.file must be a file name in frontend/public');
+  }
+}
+
+/**
+ * Brand Profile Store
+ *
+ * Brand profiles (data/brand-profiles.db) have the same shape as config/brand-config.js, so a
+ * sub-brand (AQUA PMS, MADP) or partner brand can replace PL Capital in every prompt, logo
+ * composite and disclaimer. The built-in `pl-capital` profile comes from brandConfig; edits to
+ * it are stored as a record that is merged over brandConfig.
+ */
+class BrandStore {
+  constructor(dataDir) {
+    this.dataDir = dataDir;
+    this.dbFile = path.join(dataDir, 'brand-profiles.db');
+
+    fs.mkdirSync(dataDir, { recursive: true });
+    this.db = new Database(this.dbFile);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('busy_timeout = 5000');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS brands (
+        id TEXT PRIMARY KEY,
+        data TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      )
+    `);
+  }
+
+  _row(id) {
+    const row = this.db.prepare('SELECT data FROM brands WHERE id = ?').get(id);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  _put(record) {
+    this.db.prepare(`
+      INSERT INTO brands (id, data, created_at, updated_at) VALUES (@id, @data, @now, @now)
+      ON CONFLICT(id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at
+    `).run({ id: record.id, data: JSON.stringify(record), now: record.updatedAt });
+    return record;
+  }
+
+  _transaction(fn) {
+    if (this.db.inTransaction) return fn();
+    return this.db.transaction(fn).immediate();
+  }
+
+  /**
+   * All profiles (built-in first) as stored records
+   */
+  list() {
+    const rows = this.db.prepare('SELECT data FROM brands ORDER BY created_at').all().map((row) => JSON.parse(row.data));
+    const builtIn = rows.find((record) => record.id === DEFAULT_BRAND_ID) || { id: DEFAULT_BRAND_ID };
+    return [
+      this._describe(builtIn),
+      ...rows.filter((record) => record.id !== DEFAULT_BRAND_ID).map((record) => this._describe(record))
+    ];
+  }
+
+  _describe(record) {
+    const { helpers: _helpers, geminiPrompts, ...profile } = buildProfile(record);
+    const { templates: _templates, ...prompts } = geminiPrompts;
+    return { ...profile, geminiPrompts: prompts, builtIn: record.id === DEFAULT_BRAND_ID };
+  }
+
+  /**
+   * One profile (without helpers), or null when it does not exist
+   */
+  get(id) {
+    const brandId = id || DEFAULT_BRAND_ID;
+    const record = this._row(brandId);
+    if (!record && brandId !== DEFAULT_BRAND_ID) return null;
+    return this._describe(record || { id: DEFAULT_BRAND_ID });
+  }
+
+  /**
+   * Create a profile. `id` defaults to a slug of company.shortName.
+   * @param {Object} profile - brandConfig-shaped data (company, colors, typography, assets, compliance, ...)
+   */
+  create(profile) {
+    if (!isPlainObject(profile)) throw invalidBrand('Brand profile must be an object');
+    const { builtIn: _builtIn, helpers: _helpers, ...data } = profile;
+    const id = data.id || slugify(data.company?.shortName || data.company?.name);
+    const now = new Date().toISOString();
+    const record = { ...data, id, createdAt: now, updatedAt: now };
+
+    return this._transaction(() => {
+      if (id === DEFAULT_BRAND_ID || this._row(id)) {
+        throw invalidBrand(`Brand already exists: ${id}`);
+      }
+      validateProfile(buildProfile(record));
+      return this._put(record);
+    });
+  }
+
+  /**
+   * Deep-merge changes into a profile (null removes a field)
+   * @returns {Object|null} Updated profile, or null when it does not exist
+   */
+  update(id, changes) {
+    if (!isPlainObject(changes)) throw invalidBrand('Brand changes must be an object');
+    const { id: _id, builtIn: _builtIn, helpers: _helpers, createdAt: _createdAt, ...edits } = changes;
+
+    const record = this._transaction(() => {
+      const current = this._row(id) || (id === DEFAULT_BRAND_ID ? { id, createdAt: new Date().toISOString() } : null);
+      if (!current) return null;
+      const next = { ...mergeProfile(current, edits), id, updatedAt: new Date().toISOString() };
+      validateProfile(buildProfile(next));
+      return this._put(next);
+    });
+    return record ? this.get(id) : null;
+  }
+
+  /**
+   * Work that will still generate or publish with a brand: scheduled publishes, queued jobs,
+   * and newsletter campaigns and A/B tests that have not finished
+   * @param {string} id
+   * @returns {Array<string>} e.g. ["schedule SCHED-…", "job video-…"]
+   */
+  findReferences(id) {
+    const ScheduleStore = require('./schedule-store');
+    const JobQueue = require('./job-queue');
+    const NewsletterCampaignStore = require('./newsletter-campaigns');
+    const ABTestStore = require('./ab-testing');
+
+    const references = [];
+    const check = (Store, label, find) => {
+      const store = new Store(this.dataDir);
+      try {
+        references.push(...find(store).map((item) => `${label} ${item.id}`));
+      } finally {
+        store.close();
+      }
+    };
+    check(ScheduleStore, 'schedule', (store) => store.listActiveForBrand(id));
+    check(JobQueue, 'job', (queue) => queue.list()
+      .filter((job) => ['queued', 'retrying', 'running'].includes(job.status) && job.request?.brandId === id));
+    check(NewsletterCampaignStore, 'newsletter campaign', (store) => store.list()
+      .filter((campaign) => ['draft', 'in_review', 'approved'].includes(campaign.status) && campaign.brandId === id));
+    check(ABTestStore, 'A/B test', (store) => store.list()
+      .filter((test) => ['draft', 'running'].includes(test.status) && test.brandId === id));
+    return references;
+  }
+
+  /**
+   * Delete a profile. The built-in profile, and profiles still used by scheduled or queued
+   * work (see findReferences), cannot be deleted. The reference check and the delete run in
+   * one IMMEDIATE transaction, so no other brand write lands between them.
+   * @returns {boolean} Whether a profile was deleted
+   */
+  delete(id) {
+    if (id === DEFAULT_BRAND_ID) {
+      throw invalidBrand(`${DEFAULT_BRAND_ID} is built in and cannot be deleted`);
+    }
+    return this._transaction(() => {
+      if (!this._row(id)) return false;
+      const references = this.findReferences(id);
+      if (references.length > 0) {
+        const shown = references.slice(0, 5).join(', ');
+        const more = references.length > 5 ? ` and ${references.length - 5} more` : '';
+        throw invalidBrand(`Brand ${id} is still used by ${shown}${more}; cancel or finish them first`);
+      }
+      return this.db.prepare('DELETE FROM brands WHERE id = ?').run(id).changes > 0;
+    });
+  }
+
+  /**
+   * Profile to generate with (brandConfig shape with helpers); defaults to the built-in brand
+   * @param {string} [id]
+   */
+  resolve(id) {
+    const brandId = id || DEFAULT_BRAND_ID;
+    const record = this._row(brandId);
+    if (!record) {
+      if (brandId === DEFAULT_BRAND_ID) return brandConfig;
+      throw invalidBrand(`Unknown brand: ${brandId}`);
+    }
+    return buildProfile(record);
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+module.exports = BrandStore;
+module.exports.DEFAULT_BRAND_ID = DEFAULT_BRAND_ID;
+module.exports.buildProfile = buildProfile;
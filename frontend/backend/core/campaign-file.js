@@ -0,0 +1,355 @@
+/**
+ * Campaign Definition Files
+ *
+ * Loads a declarative campaign (JSON, YAML or a CommonJS module such as
+ * campaigns/aqua-pms-campaign.js), validates it and runs every stage it implies
+ * (`node main.js run-file <path>`):
+ *
+ *   id, name          identifier (required) and display name
+ *   topic             campaign topic (required)
+ *   platform(s)       one platform or a list (linkedin, instagram, youtube, facebook, twitter, email, whatsapp)
+ *   format            content format (default: testimonial when there is a video, otherwise post)
+ *   language          content language
+ *   description       used as the post caption when `caption` is not given
+ *   caption           post caption
+ *   prompts           Stage 4 scene prompts (Veo scene extension, 8s + 7s per extra scene)
+ *   script            avatar script (HeyGen) and YouTube description
+ *   visuals           Stage 3 image { prompt, aspectRatio }
+ *   captions          video captions: strings (spread evenly) or { text, start, duration }
+ *   hashtags          appended to the caption, passed to the publishers
+ *   cta               { text, url, buttonText } appended to the caption
+ *   config            { duration, aspectRatio, provider, useAvatar, avatarId }
+ *   autoPublish       publish after generation (also --auto-publish)
+ *   variables         { name: value } substituted for {{name}} in every string (--var name=value wins)
+ *   overrides         { <platform>: partial definition } merged over the rest for that platform
+ *
+ * Other keys (e.g. campaign type plugin fields) are ignored.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const VideoEditor = require('../video/video-editor');
+
+const PLATFORMS = ['linkedin', 'instagram', 'youtube', 'facebook', 'twitter', 'email', 'whatsapp'];
+const IMAGE_FORMATS = /carousel|infographic|image|post/i;
+const VARIABLE = /\{\{\s*([\w.-]+)\s*\}\}/g;
+
+function invalidCampaignFile(errors) {
+  const error = new Error(`Invalid campaign file:\n   - ${errors.join('\n   - ')}`);
+  return Object.assign(error, { code: 'INVALID_CAMPAIGN_FILE', errors });
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isStringArray(value) {
+  return Array.isArray(value) && value.every((item) => typeof item === 'string' && item.trim());
+}
+
+/**
+ * Read a campaign file (.json, .yaml/.yml or .js)
+ */
+function readCampaignFile(filePath) {
+  const absolute = path.resolve(filePath);
+  if (!fs.existsSync(absolute)) {
+    throw invalidCampaignFile([`file not found: ${absolute}`]);
+  }
+  const ext = path.extname(absolute).toLowerCase();
+  if (ext === '.js' || ext === '.cjs') {
+    return require(absolute);
+  }
+
+  const text = fs.readFileSync(absolute, 'utf8');
+  try {
+    if (ext === '.yaml' || ext === '.yml') {
+      return require('yaml').parse(text);
+    }
+    return JSON.parse(text);
+  } catch (error) {
+    throw invalidCampaignFile([`could not parse ${path.basename(absolute)}: ${error.message}`]);
+  }
+}
+
+/**
+ * Replace {{name}} in every string; unknown names are collected in `missing`
+ */
+function interpolate(value, variables, missing) {
+  if (typeof value === 'string') {
+    return value.replace(VARIABLE, (match, name) => {
+      if (variables[name] === undefined) {
+        missing.add(name);
+        return match;
+      }
+      return String(variables[name]);
+    });
+  }
+  if (Array.isArray(value)) return value.map((item) => interpolate(item, variables, missing));
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, interpolate(item, variables, missing)]));
+  }
+  return value;
+}
+
+function mergeDefinition(base, override) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override || {})) {
+    merged[key] = isPlainObject(value) && isPlainObject(base[key]) ? mergeDefinition(base[key], value) : value;
+  }
+  return merged;
+}
+
+function validateFields(definition, errors, where = '') {
+  const at = (field) => `${where}${field}`;
+  if (definition.topic !== undefined && (typeof definition.topic !== 'string' || !definition.topic.trim())) {
+    errors.push(`${at('topic')} must be a non-empty string`);
+  }
+  for (const field of ['name', 'format', 'language', 'description', 'caption', 'script']) {
+    if (definition[field] !== undefined && typeof definition[field] !== 'string') {
+      errors.push(`${at(field)} must be a string`);
+    }
+  }
+  for (const field of ['prompts', 'hashtags', 'keyPoints']) {
+    if (definition[field] !== undefined && !isStringArray(definition[field])) {
+      errors.push(`${at(field)} must be a list of non-empty strings`);
+    }
+  }
+  if (definition.captions !== undefined) {
+    const valid = Array.isArray(definition.captions) && definition.captions.every((caption) =>
+      (typeof caption === 'string' && caption.trim()) ||
+      (isPlainObject(caption) && typeof caption.text === 'string' &&
+        (caption.start === undefined || Number(caption.start) >= 0) &&
+        (caption.duration === undefined || Number(caption.duration) > 0)));
+    if (!valid) errors.push(`${at('captions')} must be a list of strings or { text, start, duration }`);
+  }
+  if (definition.visuals !== undefined && !(isPlainObject(definition.visuals) && typeof definition.visuals.prompt === 'string')) {
+    errors.push(`${at('visuals')} must be { prompt, aspectRatio }`);
+  }
+  if (definition.cta !== undefined && !(isPlainObject(definition.cta) && typeof definition.cta.text === 'string')) {
+    errors.push(`${at('cta')} must be { text, url, buttonText }`);
+  }
+  if (definition.config !== undefined) {
+    if (!isPlainObject(definition.config)) {
+      errors.push(`${at('config')} must be an object`);
+    } else if (definition.config.duration !== undefined && !(Number(definition.config.duration) > 0)) {
+      errors.push(`${at('config.duration')} must be a positive number of seconds`);
+    }
+  }
+  if (definition.autoPublish !== undefined && typeof definition.autoPublish !== 'boolean') {
+    errors.push(`${at('autoPublish')} must be true or false`);
+  }
+}
+
+/**
+ * Validate a campaign definition, apply variables and resolve one definition per platform
+ * @param {Object} raw - Parsed file
+ * @param {Object} [options] - { variables, platform (only this one) }
+ * @returns {{ id, name, platforms: Array<{ platform, definition }> }}
+ */
+function resolveCampaignFile(raw, options = {}) {
+  if (!isPlainObject(raw)) {
+    throw invalidCampaignFile(['the file must contain an object']);
+  }
+  const errors = [];
+  if (raw.variables !== undefined && !isPlainObject(raw.variables)) {
+    errors.push('variables must be an object');
+  }
+
+  const variables = { ...(isPlainObject(raw.variables) ? raw.variables : {}), ...options.variables };
+  const missing = new Set();
+  const { variables: _variables, ...body } = raw;
+  const definition = interpolate(body, variables, missing);
+  if (missing.size > 0) {
+    errors.push(`undefined variable(s): ${[...missing].join(', ')} (add them to "variables" or pass --var name=value)`);
+  }
+
+  if (typeof definition.id !== 'string' || !definition.id.trim()) errors.push('id is required');
+  if (definition.topic === undefined) errors.push('topic is required');
+  validateFields(definition, errors);
+
+  const platforms = definition.platforms ?? (definition.platform ? [definition.platform] : []);
+  if (!Array.isArray(platforms) || platforms.length === 0) {
+    errors.push(`platform or platforms is required (${PLATFORMS.join(', ')})`);
+  } else {
+    for (const platform of platforms.filter((name) => !PLATFORMS.includes(name))) {
+      errors.push(`unknown platform "${platform}" (use ${PLATFORMS.join(', ')})`);
+    }
+  }
+
+  if (definition.overrides !== undefined) {
+    if (!isPlainObject(definition.overrides)) {
+      errors.push('overrides must map platforms to partial definitions');
+    } else {
+      for (const [platform, override] of Object.entries(definition.overrides)) {
+        if (!PLATFORMS.includes(platform) || !isPlainObject(override)) {
+          errors.push(`overrides.${platform} must be a partial definition for a known platform`);
+        } else {
+          validateFields(override, errors, `overrides.${platform}.`);
+        }
+      }
+    }
+  }
+
+  const selected = options.platform ? [options.platform] : platforms;
+  if (options.platform && Array.isArray(platforms) && !platforms.includes(options.platform)) {
+    errors.push(`--platform ${options.platform} is not one of the file's platforms (${platforms.join(', ')})`);
+  }
+  if (errors.length > 0) throw invalidCampaignFile(errors);
+
+  const { overrides = {}, platform: _platform, platforms: _platforms, ...shared } = definition;
+  return {
+    id: definition.id,
+    name: definition.name || definition.id,
+    platforms: selected.map((platform) => ({ platform, definition: mergeDefinition(shared, overrides[platform]) }))
+  };
+}
+
+/**
+ * Load, validate and resolve a campaign file
+ */
+function loadCampaignFile(filePath, options = {}) {
+  return resolveCampaignFile(readCampaignFile(filePath), options);
+}
+
+/**
+ * Captions with timings; plain strings are spread evenly over the video
+ */
+function timedCaptions(captions, totalSeconds) {
+  const slot = totalSeconds / captions.length;
+  return captions.map((caption, index) => (typeof caption === 'string'
+    ? { text: caption, start: Number((index * slot).toFixed(2)), duration: Number(slot.toFixed(2)) }
+    : { text: caption.text, start: Number(caption.start ?? index * slot), duration: Number(caption.duration ?? slot) }));
+}
+
+function buildCaption(definition) {
+  const hashtags = (definition.hashtags || []).map((tag) => (tag.startsWith('#') ? tag : `#${tag}`));
+  const cta = definition.cta ? [definition.cta.text, definition.cta.url].filter(Boolean).join(': ') : null;
+  return [(definition.caption || definition.description || '').trim(), cta, hashtags.join(' ')]
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+/**
+ * Run a resolved campaign file: for each platform Stage 2 content, Stage 3 visuals (image
+ * formats or `visuals`), Stage 4 video (`prompts` or `script`), captions, then Stage 5 publishing.
+ * @param {SocialMediaOrchestrator} orchestrator
+ * @param {Object} campaign - resolveCampaignFile() result
+ * @param {Object} [options] - { autoPublish, waitForCompletion, brandId, bypassCache }
+ * @returns {Promise<Array>} Stage results per platform
+ */
+async function runCampaignFile(orchestrator, campaign, options = {}) {
+  orchestrator.useBrand(options.brandId);
+  orchestrator._setUsageContext({ ...options, campaignId: options.campaignId || campaign.id }, 'run-file');
+  const runs = [];
+
+  for (const { platform, definition } of campaign.platforms) {
+    const config = definition.config || {};
+    const prompts = definition.prompts || [];
+    const hasVideo = prompts.length > 0 || Boolean(definition.script);
+    const format = definition.format || (hasVideo ? 'testimonial' : 'post');
+    const aspectRatio = config.aspectRatio || '16:9';
+    const hashtags = definition.hashtags || [];
+    const results = { platform };
+
+    console.log(`\n📄 ${campaign.name} → ${platform} (${format})`);
+    console.log(`   Topic: ${definition.topic}\n`);
+
+    results.content = await orchestrator.stageContent({
+      platform,
+      format: format === 'testimonial' ? 'video-testimonial' : format,
+      topic: definition.topic,
+      language: definition.language
+    });
+
+    if (definition.visuals || IMAGE_FORMATS.test(format)) {
+      results.visuals = await orchestrator.stageVisuals({
+        platform,
+        format,
+        topic: definition.topic,
+        language: definition.language,
+        prompt: definition.visuals?.prompt,
+        aspectRatio: definition.visuals?.aspectRatio || aspectRatio
+      });
+    }
+
+    let videoUrl = null;
+    if (hasVideo) {
+      const useAvatar = config.useAvatar ?? prompts.length === 0;
+      // Scene extension: 8s base clip plus 7s per extra prompt (Veo limit 148s)
+      const duration = prompts.length > 1 ? Math.min(8 + (prompts.length - 1) * 7, 148) : Number(config.duration) || 8;
+      results.video = await orchestrator.stageVideo({
+        platform,
+        format,
+        topic: definition.topic,
+        language: definition.language,
+        aspectRatio,
+        duration,
+        useVeo: prompts.length > 0,
+        useAvatar,
+        avatarId: config.avatarId,
+        scenePrompts: prompts.length > 0 ? prompts : undefined,
+        scriptText: definition.script?.trim(),
+        waitForCompletion: options.waitForCompletion
+      });
+      videoUrl = results.video?.hostedUrl || results.video?.videoUrl || null;
+
+      if (definition.captions?.length > 0) {
+        results.captions = await addVideoCaptions(orchestrator, definition, {
+          videoUrl,
+          duration: results.video?.duration || duration,
+          waitForCompletion: options.waitForCompletion
+        });
+        videoUrl = results.captions?.url || videoUrl;
+      }
+    }
+
+    if (options.autoPublish || definition.autoPublish) {
+      results.publishing = await orchestrator.stagePublishing({
+        platform,
+        format,
+        topic: definition.topic,
+        caption: buildCaption(definition),
+        hashtags,
+        cta: definition.cta?.url,
+        scriptText: definition.script?.trim(),
+        aspectRatio,
+        videoUrl: videoUrl || undefined,
+        images: results.visuals?.images
+      });
+    } else {
+      console.log('   ⏭️  Publishing skipped (set autoPublish in the file or pass --auto-publish)');
+    }
+
+    runs.push(results);
+  }
+
+  console.log(`\n✅ ${campaign.name} ready!`);
+  return runs;
+}
+
+/**
+ * Burn the file's captions into the generated video with Shotstack
+ * @private
+ */
+async function addVideoCaptions(orchestrator, definition, { videoUrl, duration, waitForCompletion }) {
+  if (!videoUrl && !orchestrator.simulate) {
+    console.log('   ⚠️  Captions skipped: Shotstack needs a hosted video URL');
+    return null;
+  }
+  const editor = new VideoEditor({ simulate: orchestrator.simulate });
+  const render = await editor.addCaptions({
+    videoUrl: videoUrl || 'simulated://video',
+    captions: timedCaptions(definition.captions, duration)
+  });
+  if (!waitForCompletion || !render?.renderId) return render;
+  return await editor.waitForCompletion(render.renderId);
+}
+
+module.exports = {
+  readCampaignFile,
+  resolveCampaignFile,
+  loadCampaignFile,
+  runCampaignFile,
+  timedCaptions,
+  PLATFORMS
+};
@@ -0,0 +1,457 @@
+/**
+ * Campaign Type Registry
+ *
+ * Every campaign type (`node main.js campaign <id>`) is a declaration the orchestrator runs:
+ *
+ * - id, name, icon, description  → CLI help and the UI selector
+ * - platforms, aspectRatios      → what the UI offers for the type
+ * - defaults                     → options filled in when not given (CLI, UI or API)
+ * - form                         → UI form schema: [{ name, label, type, options?, required?, placeholder? }]
+ *                                  (type: text | textarea | number | select | checkbox)
+ * - stages                       → ordered steps [{ stage, with?(options, results), when?(options) }];
+ *                                  `with` builds the stage options (default: the campaign options)
+ *                                  and `results` holds the return values of earlier stages by name
+ * - summary(options)             → extra header lines (default: topic)
+ * - run(orchestrator, options)   → custom flow instead of `stages`
+ * - planned: true                → listed, but only reports "Not yet implemented"
+ *
+ * Built-in types are registered below. More are loaded from campaigns/ folders: every .js file
+ * in frontend/backend/campaigns/ and in the directories listed in CAMPAIGN_PLUGIN_DIRS
+ * (path-delimited) that exports an `id` plus `stages` or `run` is registered; other files
+ * (e.g. generate-video presets) are ignored.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const STAGES = ['planning', 'content', 'visuals', 'video', 'publishing', 'tracking'];
+const FIELD_TYPES = ['text', 'textarea', 'number', 'select', 'checkbox'];
+const CAMPAIGN_ID = /^[a-z0-9][a-z0-9-]{1,47}$/;
+
+const TOPIC_FIELD = { name: 'topic', label: 'Campaign Topic', type: 'text', required: true };
+const DURATION_FIELD = { name: 'duration', label: 'Duration (seconds)', type: 'number' };
+const LANGUAGE_FIELD = { name: 'language', label: 'Language', type: 'text' };
+
+const types = new Map();
+let pluginsLoaded = false;
+
+function invalidCampaignType(message) {
+  return Object.assign(new Error(message), { code: 'INVALID_CAMPAIGN_TYPE' });
+}
+
+/**
+ * Register (or replace) a campaign type
+ * @param {Object} definition - See module docs
+ * @returns {Object} The normalized definition
+ */
+function registerCampaignType(definition) {
+  if (!definition || !CAMPAIGN_ID.test(String(definition.id || ''))) {
+    throw invalidCampaignType(`Campaign type id must be lowercase letters, digits and dashes (got "${definition?.id}")`);
+  }
+  const { id } = definition;
+  const stages = definition.stages || [];
+  if (!definition.planned && typeof definition.run !== 'function' && stages.length === 0) {
+    throw invalidCampaignType(`Campaign type "${id}" needs stages or a run() function`);
+  }
+  for (const step of stages) {
+    if (!STAGES.includes(step?.stage)) {
+      throw invalidCampaignType(`Campaign type "${id}" has an unknown stage "${step?.stage}" (use ${STAGES.join(', ')})`);
+    }
+  }
+  for (const field of definition.form || []) {
+    if (!field?.name || !FIELD_TYPES.includes(field.type || 'text')) {
+      throw invalidCampaignType(`Campaign type "${id}" has an invalid form field ${JSON.stringify(field)}`);
+    }
+  }
+
+  const campaignType = {
+    icon: '🎯',
+    description: '',
+    platforms: [],
+    aspectRatios: [],
+    defaults: {},
+    form: [TOPIC_FIELD],
+    planned: false,
+    source: 'built-in',
+    ...definition,
+    name: definition.name || id,
+    stages
+  };
+  types.set(id, campaignType);
+  return campaignType;
+}
+
+/**
+ * Register the campaign type plugins in a directory
+ * @returns {string[]} Registered type ids
+ */
+function loadCampaignPlugins(dir) {
+  if (!fs.existsSync(dir)) return [];
+  const loaded = [];
+  for (const file of fs.readdirSync(dir).filter((name) => name.endsWith('.js')).sort()) {
+    const filePath = path.join(dir, file);
+    try {
+      const plugin = require(filePath);
+      if (!plugin?.id || (!Array.isArray(plugin.stages) && typeof plugin.run !== 'function')) continue;
+      registerCampaignType({ ...plugin, source: filePath });
+      loaded.push(plugin.id);
+    } catch (error) {
+      console.warn(`⚠️  Skipping campaign plugin ${filePath}: ${error.message}`);
+    }
+  }
+  return loaded;
+}
+
+function pluginDirs() {
+  const extra = (process.env.CAMPAIGN_PLUGIN_DIRS || '').split(path.delimiter).filter(Boolean);
+  return [path.join(__dirname, '..', 'campaigns'), ...extra.map((dir) => path.resolve(dir))];
+}
+
+function ensurePluginsLoaded() {
+  if (pluginsLoaded) return;
+  pluginsLoaded = true;
+  for (const dir of pluginDirs()) loadCampaignPlugins(dir);
+}
+
+function getCampaignType(id) {
+  ensurePluginsLoaded();
+  return types.get(id) || null;
+}
+
+function listCampaignTypes() {
+  ensurePluginsLoaded();
+  return [...types.values()];
+}
+
+/**
+ * Options with the type's defaults filled in where no value was given
+ */
+function withCampaignDefaults(campaignType, options = {}) {
+  const given = Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined && value !== null && value !== ''));
+  return { ...campaignType.defaults, ...given };
+}
+
+/**
+ * JSON-safe description of a type for the UI (no functions)
+ */
+function describeCampaignType(campaignType) {
+  return {
+    id: campaignType.id,
+    name: campaignType.name,
+    icon: campaignType.icon,
+    description: campaignType.description,
+    platforms: campaignType.platforms,
+    aspectRatios: campaignType.aspectRatios,
+    defaults: campaignType.defaults,
+    form: campaignType.form,
+    stages: campaignType.stages.map((step) => step.stage),
+    planned: campaignType.planned,
+    source: campaignType.source === 'built-in' ? 'built-in' : 'plugin'
+  };
+}
+
+// Built-in campaign types
+
+registerCampaignType({
+  id: 'linkedin-carousel',
+  name: 'LinkedIn Carousel',
+  icon: '📊',
+  description: 'Multi-slide carousel post',
+  platforms: ['linkedin'],
+  aspectRatios: ['1:1', '3:4'],
+  form: [
+    TOPIC_FIELD,
+    { name: 'type', label: 'Carousel Type', type: 'text', placeholder: 'myth-busting' },
+    LANGUAGE_FIELD
+  ],
+  summary: (options) => [`Topic: ${options.topic}`, `Type: ${options.type || 'myth-busting'}`],
+  stages: [
+    {
+      stage: 'content',
+      with: (options) => ({ platform: 'linkedin', format: 'carousel', topic: options.topic, type: options.type, language: options.language, variants: options.variants })
+    },
+    {
+      stage: 'visuals',
+      with: (options) => ({
+        platform: 'linkedin',
+        format: 'carousel',
+        language: options.language,
+        carouselRenderer: options.carouselRenderer,
+        slideIllustrations: options.slideIllustrations
+      })
+    },
+    {
+      stage: 'publishing',
+      when: (options) => options.autoPublish,
+      with: (options, results) => ({ platform: 'linkedin', format: 'carousel', topic: options.topic, images: results.visuals?.images })
+    }
+  ]
+});
+
+registerCampaignType({
+  id: 'linkedin-testimonial',
+  name: 'LinkedIn Video Testimonial',
+  icon: '🎥',
+  description: 'AI avatar testimonial video',
+  platforms: ['linkedin'],
+  aspectRatios: ['16:9', '9:16'],
+  form: [TOPIC_FIELD, DURATION_FIELD, LANGUAGE_FIELD],
+  summary: (options) => [`Topic: ${options.topic}`, `Duration: ${options.duration}s`],
+  stages: [
+    {
+      stage: 'content',
+      with: (options) => ({ platform: 'linkedin', format: 'video-testimonial', topic: options.topic, duration: options.duration, language: options.language })
+    },
+    {
+      stage: 'video',
+      with: (options) => ({
+        platform: 'linkedin',
+        format: 'testimonial',
+        duration: options.duration,
+        useVeo: options.useVeo,
+        useAvatar: options.useAvatar,
+        waitForCompletion: options.waitForCompletion,
+        language: options.language,
+        aspectRatio: options.aspectRatio
+      })
+    },
+    {
+      stage: 'publishing',
+      when: (options) => options.autoPublish,
+      with: (options, results) => ({ platform: 'linkedin', format: 'testimonial', topic: options.topic, videoUrl: results.video?.hostedUrl })
+    }
+  ]
+});
+
+registerCampaignType({
+  id: 'linkedin-data-viz',
+  name: 'LinkedIn Data Viz',
+  icon: '📊',
+  description: 'Data visualization post',
+  platforms: ['linkedin'],
+  planned: true
+});
+
+/**
+ * Short-form vertical video (Instagram and Facebook reels share the flow)
+ */
+function reelStages(platform) {
+  return [
+    {
+      stage: 'content',
+      with: (options) => ({ platform, format: 'reel', topic: options.topic, duration: options.duration, language: options.language })
+    },
+    {
+      stage: 'video',
+      with: (options) => ({
+        platform,
+        format: 'reel',
+        aspectRatio: options.aspectRatio || '9:16',
+        duration: options.duration,
+        useVeo: options.useVeo,
+        useAvatar: options.useAvatar,
+        language: options.language,
+        waitForCompletion: options.waitForCompletion
+      })
+    },
+    {
+      stage: 'publishing',
+      when: (options) => options.autoPublish,
+      with: (options, results) => ({
+        platform,
+        format: 'reel',
+        topic: options.topic,
+        videoUrl: results.video?.hostedUrl,
+        ...(platform === 'facebook' ? { publishAt: options.publishAt } : {})
+      })
+    }
+  ];
+}
+
+registerCampaignType({
+  id: 'instagram-reel',
+  name: 'Instagram Reel',
+  icon: '📱',
+  description: 'Short-form video (60-90s)',
+  platforms: ['instagram'],
+  aspectRatios: ['9:16'],
+  form: [TOPIC_FIELD, DURATION_FIELD, LANGUAGE_FIELD],
+  summary: (options) => [`Topic: ${options.topic}`, `Duration: ${options.duration}s`],
+  stages: reelStages('instagram')
+});
+
+registerCampaignType({
+  id: 'instagram-carousel',
+  name: 'Instagram Carousel',
+  icon: '📸',
+  description: 'Image carousel post',
+  platforms: ['instagram'],
+  aspectRatios: ['1:1', '3:4'],
+  planned: true
+});
+
+registerCampaignType({
+  id: 'youtube-explainer',
+  name: 'YouTube Explainer',
+  icon: '📺',
+  description: 'Long-form educational video',
+  platforms: ['youtube'],
+  aspectRatios: ['16:9'],
+  form: [TOPIC_FIELD, DURATION_FIELD, LANGUAGE_FIELD],
+  summary: (options) => [`Topic: ${options.topic}`, `Duration: ${options.duration}s (${Math.floor(options.duration / 60)} min)`],
+  stages: [
+    {
+      stage: 'content',
+      with: (options) => ({ platform: 'youtube', format: 'explainer', topic: options.topic, duration: options.duration })
+    },
+    {
+      stage: 'video',
+      with: (options) => ({
+        platform: 'youtube',
+        format: 'explainer',
+        aspectRatio: '16:9',
+        duration: options.duration,
+        useVeo: options.useVeo || (options.duration > 60), // Auto-use Veo for 60s+
+        useAvatar: options.useAvatar,
+        waitForCompletion: options.waitForCompletion
+      })
+    },
+    {
+      stage: 'publishing',
+      when: (options) => options.autoPublish,
+      with: (options, results) => ({
+        platform: 'youtube',
+        format: 'explainer',
+        topic: options.topic,
+        language: options.language,
+        aspectRatio: '16:9',
+        duration: results.video?.duration || options.duration,
+        videoPath: results.video?.localPath,
+        videoUrl: results.video?.hostedUrl
+      })
+    }
+  ]
+});
+
+registerCampaignType({
+  id: 'youtube-short',
+  name: 'YouTube Short',
+  icon: '📱',
+  description: '60s vertical video',
+  platforms: ['youtube'],
+  aspectRatios: ['9:16'],
+  planned: true
+});
+
+registerCampaignType({
+  id: 'facebook-reel',
+  name: 'Facebook Reel',
+  icon: '📱',
+  description: 'Short-form vertical video (same flow as Instagram Reel)',
+  platforms: ['facebook'],
+  aspectRatios: ['9:16'],
+  form: [TOPIC_FIELD, DURATION_FIELD, LANGUAGE_FIELD],
+  summary: (options) => [`Topic: ${options.topic}`, `Duration: ${options.duration}s`],
+  stages: reelStages('facebook')
+});
+
+registerCampaignType({
+  id: 'facebook-community',
+  name: 'Facebook Community',
+  icon: '👥',
+  description: 'Community engagement post',
+  platforms: ['facebook'],
+  planned: true
+});
+
+registerCampaignType({
+  id: 'twitter-thread',
+  name: 'Twitter/X Thread',
+  icon: '🐦',
+  description: 'Educational thread',
+  platforms: ['twitter'],
+  form: [TOPIC_FIELD, LANGUAGE_FIELD, { name: 'tweetImages', label: 'Tweet Images (tweet:image, e.g. 1:1,4:2)', type: 'text' }],
+  summary: (options) => [`Topic: ${options.topic}`, ...(options.language ? [`Language: ${options.language}`] : [])],
+  stages: [
+    {
+      stage: 'content',
+      with: (options) => ({ platform: 'twitter', format: 'thread', topic: options.topic, language: options.language, variants: options.variants })
+    },
+    {
+      stage: 'publishing',
+      when: (options) => options.autoPublish,
+      with: (options) => ({ platform: 'twitter', format: 'thread', topic: options.topic, tweetImages: options.tweetImages })
+    }
+  ]
+});
+
+registerCampaignType({
+  id: 'email-newsletter',
+  name: 'Email Newsletter',
+  icon: '📧',
+  description: 'Newsletter sent through MoEngage',
+  platforms: ['email'],
+  form: [TOPIC_FIELD, LANGUAGE_FIELD],
+  stages: [
+    {
+      stage: 'content',
+      with: (options) => ({ platform: 'email', format: 'newsletter', topic: options.topic, type: 'email-newsletter', language: options.language })
+    },
+    {
+      stage: 'publishing',
+      with: (options) => ({ platform: 'email', type: 'email-newsletter', topic: options.topic })
+    }
+  ]
+});
+
+registerCampaignType({
+  id: 'infographic',
+  name: 'Infographic',
+  icon: '📊',
+  description: 'Single infographic image (Stage 2 blueprint + Stage 3 visual)',
+  platforms: ['linkedin', 'instagram', 'facebook', 'twitter'],
+  aspectRatios: ['1:1', '3:4', '16:9', '9:16'],
+  defaults: { platform: 'linkedin', type: 'infographic' },
+  form: [TOPIC_FIELD, LANGUAGE_FIELD],
+  summary: (options) => [`Topic: ${options.topic}`, `Platform: ${options.platform}`],
+  stages: [
+    {
+      stage: 'content',
+      with: (options) => ({
+        platform: options.platform,
+        format: 'infographic',
+        topic: options.topic,
+        type: options.type,
+        language: options.language,
+        aspectRatio: options.aspectRatio,
+        variants: options.variants
+      })
+    },
+    {
+      stage: 'visuals',
+      with: (options) => ({
+        platform: options.platform,
+        format: 'infographic',
+        topic: options.topic,
+        language: options.language,
+        aspectRatio: options.aspectRatio,
+        useGrounding: false
+      })
+    },
+    {
+      stage: 'publishing',
+      when: (options) => options.autoPublish,
+      with: (options, results) => ({ platform: options.platform, format: 'infographic', topic: options.topic, images: results.visuals?.images })
+    }
+  ]
+});
+
+module.exports = {
+  registerCampaignType,
+  loadCampaignPlugins,
+  getCampaignType,
+  listCampaignTypes,
+  withCampaignDefaults,
+  describeCampaignType,
+  STAGES
+};
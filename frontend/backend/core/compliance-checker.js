@@ -0,0 +1,300 @@
+/**
+ * SEBI Compliance Checker
+ *
+ * Shared rules for every piece of generated copy (newsletters, threads, carousels,
+ * WhatsApp copy, HeyGen scripts, articles). Produces a findings report that is stored
+ * with the content; reports with errors block Stage 5 publishing.
+ *
+ * Rules:
+ * - prohibited-claim (error): guaranteed/assured returns, sure-shot, risk-free, ... (negated
+ *   phrases such as "we do not guarantee returns" are allowed)
+ * - missing-disclaimer (error): audience requires the market-risk disclaimer and none is present
+ * - unverifiable-return (error): return figures with no source attribution; a warning when the
+ *   figure is past performance over a stated period ("delivered 12% CAGR over the last 20 years")
+ * - performance-without-period (error): past performance quoted without a time period
+ * - advisory-language (warning): buy/sell/recommendation language
+ */
+
+const brandConfig = require('../config/brand-config');
+
+const DEFAULT_AUDIENCE = 'all_clients';
+
+const PROHIBITED_CLAIMS = [
+  { label: 'guaranteed returns', pattern: /\bguarantee(?:d|s)?\s+(?:\w+\s+){0,2}(?:returns?|profits?|income|gains?)\b/i },
+  { label: 'guaranteed returns', pattern: /\b(?:returns?|profits?|income|gains?)\s+(?:are\s+|is\s+)?guaranteed\b/i },
+  { label: 'assured returns', pattern: /\bassured\s+(?:returns?|profits?|income|gains?)\b/i },
+  { label: 'sure-shot', pattern: /\bsure[-\s]?shot\b/i },
+  { label: 'risk-free', pattern: /\brisk[-\s]?free\b(?!\s+rates?\b)/i },
+  { label: 'no risk', pattern: /\b(?:no|zero)\s+risk\b/i },
+  { label: '100% safe', pattern: /\b100\s?%\s+(?:safe|secure|guaranteed|returns?)\b/i },
+  { label: 'double your money', pattern: /\bdouble\s+your\s+(?:money|investment|wealth)\b/i },
+  { label: "can't lose", pattern: /\b(?:can'?t|cannot|can not)\s+lose\b/i }
+];
+
+// "18% returns", "12% p.a.", "returns of 15%", "earn up to 9%", "3x returns"
+const RETURN_FIGURE_PATTERNS = [
+  /\d+(?:\.\d+)?\s?%\s*(?:p\.?\s?a\.?|per annum|annual(?:ised|ized)?|cagr|xirr|returns?|gains?|yield|profits?)/i,
+  /\b(?:returns?|yield|cagr|xirr|gains?)\s+(?:of\s+)?(?:up to\s+|over\s+|nearly\s+|around\s+)?\d+(?:\.\d+)?\s?%/i,
+  /\b(?:earn|make|grow|gain|generate[sd]?|deliver(?:ed|s)?)\s+(?:up to\s+|over\s+)?\d+(?:\.\d+)?\s?%/i,
+  /\b\d+(?:\.\d+)?\s?x\s+returns?\b/i
+];
+
+// Past performance: "delivered 24%", "the fund returned 18%", "outperformed the Nifty by 6%"
+const PERFORMANCE_CLAIM_PATTERN = /\b(?:delivered|generated|returned|gave|outperformed|beat|rallied|surged|gained|grew|rose|posted|clocked|compounded)\b[^.!?]{0,60}?\d+(?:\.\d+)?\s?(?:%|x\b)/i;
+
+const PERIOD_PATTERNS = [
+  /\b(?:in|over|during|since|for|across)\s+(?:the\s+)?(?:last|past|previous)?\s*(?:\d+|one|two|three|four|five|six|seven|eight|nine|ten)?\s*(?:years?|yrs?|months?|quarters?|weeks?|days?|sessions?)\b/i,
+  /\b\d+\s*[-\s]?(?:years?|yrs?|months?|quarters?|weeks?|days?)\b/i,
+  /\b(?:fy|cy|q[1-4])\s?'?\d{2,4}\b/i,
+  /\b(?:19|20)\d{2}\b/,
+  /\b(?:ytd|mtd|since inception|today|yesterday|this (?:week|month|quarter|year)|intraday|[135]y)\b/i
+];
+
+// A negation shortly before a phrase in the same clause: "do not guarantee returns", "is never risk-free".
+// An intensifier after it keeps the claim ("not only risk-free", "not just sure-shot gains").
+const NEGATION_BEFORE_PATTERN = /\b(?:not|no|never|nor|without|don'?t|doesn'?t|isn'?t|aren'?t|won'?t|cannot|can'?t)(?:\s+(?!(?:and|but|or|yet|only|just|merely|simply)\b)[\w']+){0,2}\s+$/i;
+
+const SOURCE_PATTERN = /\b(?:source[sd]?\s*:|as per|according to|data from|based on (?:data|figures) from|(?:per|from)\s+(?:nse|bse|amfi|sebi|rbi|value research|morningstar|crisil))/i;
+
+// Kept in sync with the Stage 2 article generator's retry check
+const ADVISORY_PATTERNS = [
+  /\b(buy|sell|hold|invest|accumulate|book profits?)\b/,
+  /\b(should you|what should investors|our recommendation|recommend(ed|ation)?)\b/,
+  /\b(strategy|strategies|tips?|how to profit|trading call)\b/
+];
+
+/**
+ * True when text contains advisory or investment recommendation language
+ * @param {string} text
+ * @returns {boolean}
+ */
+function hasAdvisoryLanguage(text) {
+  const t = String(text || '').toLowerCase();
+  return ADVISORY_PATTERNS.some((pattern) => pattern.test(t));
+}
+
+/**
+ * First match of pattern in text that is not negated, or null
+ */
+function findAffirmed(text, pattern) {
+  const global = new RegExp(pattern.source, pattern.flags.includes('g') ? pattern.flags : `${pattern.flags}g`);
+  for (const match of String(text).matchAll(global)) {
+    if (!NEGATION_BEFORE_PATTERN.test(text.slice(0, match.index))) return match;
+  }
+  return null;
+}
+
+function stripHtml(html) {
+  return String(html || '')
+    .replace(/<(script|style)[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<br\s*\/?>|<\/(p|div|li|h[1-6]|tr)>/gi, '\n')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&#39;|&rsquo;/g, "'")
+    .replace(/&quot;/g, '"')
+    .replace(/[ \t]+/g, ' ')
+    .trim();
+}
+
+function splitSentences(text) {
+  return String(text || '')
+    .split(/(?<=[.!?])\s+|\n+/)
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+function excerpt(text, max = 160) {
+  const clean = String(text).replace(/\s+/g, ' ').trim();
+  return clean.length > max ? `${clean.slice(0, max - 1)}…` : clean;
+}
+
+/**
+ * Collect string leaves of a nested object as { field, text } sections (URLs are skipped)
+ */
+function collectStrings(value, field, sections) {
+  if (typeof value === 'string') {
+    if (value.trim() && !/^https?:\/\/\S+$/i.test(value.trim())) sections.push({ field, text: value });
+  } else if (Array.isArray(value)) {
+    value.forEach((item, index) => collectStrings(item, `${field}.${index}`, sections));
+  } else if (value && typeof value === 'object') {
+    for (const [key, child] of Object.entries(value)) {
+      collectStrings(child, `${field}.${key}`, sections);
+    }
+  }
+  return sections;
+}
+
+/**
+ * Pull the publishable copy out of a Stage 2 content entry or Stage 4 video entry.
+ * @param {Object} entry
+ * @returns {Array<{field: string, text: string, spoken?: boolean}>}
+ */
+function extractCopy(entry) {
+  if (!entry || typeof entry !== 'object') return [];
+  const sections = [];
+  const add = (field, text) => {
+    if (typeof text === 'string' && text.trim()) sections.push({ field, text });
+  };
+
+  // Email newsletter
+  add('subject', entry.subject);
+  add('preheader', entry.preheader);
+  if (Array.isArray(entry.subjectVariations)) {
+    entry.subjectVariations.forEach((s, i) => add(`subjectVariations.${i}`, typeof s === 'string' ? s : s?.subject));
+  }
+  if (entry.plainText) add('plainText', entry.plainText);
+  else if (entry.html) add('html', stripHtml(entry.html));
+
+  // Live-news article
+  add('headline', entry.headline);
+  add('subheadline', entry.subheadline);
+  add('summary', entry.summary);
+  if (entry.articleText) add('articleText', entry.articleText);
+  else if (entry.articleHtml) add('articleHtml', stripHtml(entry.articleHtml));
+
+  // Threads, carousels and infographics
+  if (entry.contentPack?.platforms) {
+    collectStrings(entry.contentPack.platforms, 'contentPack.platforms', sections);
+  }
+
+  // HeyGen scripts are spoken; the disclaimer goes in the caption, not the script
+  for (const key of ['avatarScriptText', 'scriptText', 'script']) {
+    if (typeof entry[key] === 'string' && entry[key].trim()) sections.push({ field: key, text: entry[key], spoken: true });
+  }
+
+  // WhatsApp / social copy
+  for (const key of ['caption', 'cta', 'whatsappCta', 'whatsappCopy', 'message']) {
+    add(key, entry[key]);
+  }
+
+  return sections;
+}
+
+/**
+ * Whether an audience needs the market-risk disclaimer (unknown audiences do)
+ */
+function requiresDisclaimer(audience, brand = brandConfig) {
+  const required = brand.compliance.requiredForAudiences || {};
+  return Object.prototype.hasOwnProperty.call(required, audience) ? Boolean(required[audience]) : true;
+}
+
+function hasDisclaimer(text, brand = brandConfig) {
+  const t = String(text || '').toLowerCase().replace(/\s+/g, ' ');
+  const standard = brand.compliance.standardDisclaimer.toLowerCase();
+  return t.includes(standard) || /subject to market risks?|market risks? apply/.test(t);
+}
+
+/**
+ * Run every rule over a set of copy sections
+ * @param {Array<{field: string, text: string, spoken?: boolean}>} sections
+ * @param {Object} [options]
+ * @param {string} [options.audience] - Target audience key (brandConfig.compliance.requiredForAudiences)
+ * @param {boolean} [options.hasSources] - Copy is grounded in cited sources (articles)
+ * @param {boolean} [options.disclaimerAppended] - The publisher appends the disclaimer itself
+ * @param {Object} [options.brand] - Brand profile whose disclaimer rules apply (default brandConfig)
+ * @returns {Object} Report: { passed, status, audience, errors, warnings, findings, checkedAt }
+ */
+function checkCopy(sections, options = {}) {
+  const audience = options.audience || DEFAULT_AUDIENCE;
+  const brand = options.brand || brandConfig;
+  const findings = [];
+  const addFinding = (rule, severity, field, message, text) => {
+    findings.push({ rule, severity, field, message, ...(text ? { excerpt: excerpt(text) } : {}) });
+  };
+
+  for (const { field, text } of sections) {
+    for (const { label, pattern } of PROHIBITED_CLAIMS) {
+      const match = findAffirmed(text, pattern);
+      if (match) {
+        addFinding('prohibited-claim', 'error', field, `Prohibited claim "${label}"`, match[0]);
+      }
+    }
+
+    for (const sentence of splitSentences(text)) {
+      const hasReturnFigure = RETURN_FIGURE_PATTERNS.some((pattern) => findAffirmed(sentence, pattern));
+      const isPerformanceClaim = Boolean(findAffirmed(sentence, PERFORMANCE_CLAIM_PATTERN)) ||
+        (hasReturnFigure && /\b(?:delivered|returned|generated|gave|past|historical(?:ly)?)\b/i.test(sentence));
+      const hasPeriod = PERIOD_PATTERNS.some((pattern) => pattern.test(sentence));
+      if (hasReturnFigure && !options.hasSources && !SOURCE_PATTERN.test(sentence)) {
+        if (isPerformanceClaim && hasPeriod) {
+          addFinding('unverifiable-return', 'warning', field, 'Past return figure without a source; cite it before publishing', sentence);
+        } else {
+          addFinding('unverifiable-return', 'error', field, 'Return figure without a source', sentence);
+        }
+      }
+      if (isPerformanceClaim && !hasPeriod) {
+        addFinding('performance-without-period', 'error', field, 'Performance claim without a time period', sentence);
+      }
+    }
+
+    if (hasAdvisoryLanguage(text)) {
+      addFinding('advisory-language', 'warning', field, 'Advisory or recommendation language; check it is not personalised advice');
+    }
+  }
+
+  const disclaimerRequired = requiresDisclaimer(audience, brand);
+  const writtenSections = sections.filter((section) => !section.spoken);
+  if (writtenSections.length > 0 && disclaimerRequired && !options.disclaimerAppended &&
+    !writtenSections.some(({ text }) => hasDisclaimer(text, brand))) {
+    addFinding(
+      'missing-disclaimer',
+      'error',
+      null,
+      `Missing market-risk disclaimer required for audience "${audience}": ${brand.compliance.disclaimer?.short || brand.compliance.standardDisclaimer}`
+    );
+  }
+
+  const errors = findings.filter((f) => f.severity === 'error').length;
+  const warnings = findings.length - errors;
+  return {
+    passed: errors === 0,
+    status: errors > 0 ? 'failed' : warnings > 0 ? 'warnings' : 'passed',
+    audience,
+    disclaimerRequired,
+    errors,
+    warnings,
+    findings,
+    checkedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Check a stored content/video entry (audience falls back to the entry's own or its last report's)
+ * @param {Object} entry
+ * @param {Object} [options] - Same as checkCopy
+ */
+function checkEntry(entry, options = {}) {
+  const hasSources = (Array.isArray(entry?.sources) && entry.sources.length > 0) ||
+    Number(entry?.factCheck?.sourceCount) > 0;
+  return checkCopy(extractCopy(entry), {
+    hasSources,
+    ...options,
+    audience: options.audience || entry?.targetAudience || entry?.compliance?.audience
+  });
+}
+
+/**
+ * Console lines for a report (one summary line, then one per finding)
+ */
+function formatReport(report) {
+  if (!report) return [];
+  const summary = report.passed
+    ? `🛡️  Compliance ${report.status === 'passed' ? 'passed' : `passed with ${report.warnings} warning(s)`}`
+    : `🛡️  Compliance failed: ${report.errors} error(s), ${report.warnings} warning(s)`;
+  return [
+    summary,
+    ...report.findings.map((f) => `   ${f.severity === 'error' ? '❌' : '⚠️ '} [${f.rule}]${f.field ? ` ${f.field}:` : ''} ${f.message}${f.excerpt ? ` — "${f.excerpt}"` : ''}`)
+  ];
+}
+
+module.exports = {
+  checkCopy,
+  checkEntry,
+  extractCopy,
+  formatReport,
+  hasAdvisoryLanguage,
+  hasDisclaimer,
+  requiresDisclaimer,
+  PROHIBITED_CLAIMS
+};
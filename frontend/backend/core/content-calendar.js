@@ -0,0 +1,795 @@
+/**
+ * Content Calendar
+ *
+ * Plans a date range of campaigns from a content strategy brief:
+ *
+ *   from/to    date range (YYYY-MM-DD, up to 92 days)
+ *   products   product mix with optional weights, e.g. "PMS:2,MTF,SGB,AIF"; each entry is matched
+ *              against pl-products-reference.md by name or type (PMS → AQUA PMS and MADP)
+ *   cadence    posts per week per platform, e.g. { linkedin: 3, instagram: 5 }
+ *   events     market events pinned to dates, e.g. { date: '2026-11-01', name: 'Muhurat Trading' }
+ *
+ * Every slot gets a date, platform, format (a registered campaign type for that platform), product,
+ * audience and topic. Products are spread by weight (the one furthest behind its share goes next,
+ * never twice on one day when there is a choice), formats and audiences rotate, and topics are
+ * de-duplicated against each other, other saved calendars and topic-history.json with the same
+ * similarity check as /api/topic/generate. Topics come from the text client (task
+ * 'calendar-topics') in batches, falling back to the reference's campaign ideas and then to templates.
+ *
+ * Calendars are saved in data/content-calendar.db; slots can be edited, added and removed, and
+ * `createCampaign` turns a slot into a Stage 1 campaign record linked back to the slot.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { getCampaignType, listCampaignTypes } = require('./campaign-types');
+const { loadRecentTopics, isTooSimilarToRecent } = require('./topic-history');
+const TextClient = require('../text/text-client');
+
+const DEFAULT_REFERENCE_PATH = path.join(__dirname, '..', '..', 'public', 'pl-products-reference.md');
+const CALENDAR_PLATFORMS = ['linkedin', 'instagram', 'youtube', 'facebook', 'twitter', 'whatsapp', 'email'];
+const SLOT_STATUSES = ['planned', 'created', 'skipped'];
+const DEFAULT_CADENCE = { linkedin: 3, instagram: 3, twitter: 3 };
+const MAX_DAYS = 92;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TOPIC_BATCH_SIZE = 30;
+
+// Publishing weekdays (0 = Sunday) for a number of posts per week
+const WEEKDAY_PATTERNS = {
+  1: [2],
+  2: [2, 4],
+  3: [1, 3, 5],
+  4: [1, 2, 4, 5],
+  5: [1, 2, 3, 4, 5],
+  6: [1, 2, 3, 4, 5, 6],
+  7: [0, 1, 2, 3, 4, 5, 6]
+};
+
+// Formats for platforms without a registered campaign type (the UI runs these itself)
+const FALLBACK_FORMATS = { whatsapp: 'whatsapp-creative', email: 'email-newsletter' };
+
+// Product lines a mix can name: display name and the audiences (UI audience keys) slots rotate through
+const PRODUCT_LINES = {
+  PMS: { name: 'PMS', audiences: ['hni', '1cr_plus', 'uhni'] },
+  MTF: { name: 'MTF', audiences: ['non_mtf', 'fno_traders', 'dormant', 'cash'] },
+  SGB: { name: 'Sovereign Gold Bonds', audiences: ['mass_affluent', 'all_clients', 'hni'] },
+  AIF: { name: 'AIF', audiences: ['uhni', 'hni'] },
+  FALCON: { name: 'FALCON Advisory', audiences: ['more_than_10l_dp', 'mass_affluent'] },
+  COMMODITY: { name: 'Commodity Trading', audiences: ['commodity', 'fno_traders', 'semi_active'] },
+  LAS: { name: 'Loan Against Securities', audiences: ['more_than_10l_dp', 'hni'] },
+  APP: { name: 'Mobile App', audiences: ['lead_gen', 'semi_active', 'dormant'] }
+};
+const DEFAULT_AUDIENCES = ['all_clients', 'mass_affluent'];
+
+// UI "purpose" for an offering, by name
+const PURPOSES = [
+  [/\bAQUA\b/i, 'aqua'],
+  [/\bMADP\b/i, 'madp'],
+  [/\bFALCON\b/i, 'falcon'],
+  [/\bMobile App\b/i, 'mobile-app'],
+  [/\bMTF\b/i, 'mtf-activation'],
+  [/\bCommodity\b/i, 'commodity-activation'],
+  [/\bLoan\b/i, 'loan-tieups'],
+  [/\bAIF\b|Alternative Investment/i, 'aif']
+];
+
+const TOPIC_TEMPLATES = [
+  '{product}: 5 Questions to Ask Before You Invest',
+  '{product}, Explained in 60 Seconds',
+  'Myths About {product}, Busted',
+  'Is {product} Right for {audience}?',
+  '3 Mistakes Investors Make with {product}',
+  '{product} vs the Alternatives: Which Fits Your Goals?',
+  'The {month} {product} Checklist',
+  '{product}: Costs, Risks and Who It Suits',
+  'A First-Timer\'s Guide to {product}',
+  'What Changed in {month}, and What It Means for {product}'
+];
+const EVENT_TEMPLATES = [
+  '{event}: What It Means for Your {product} Strategy',
+  'Before {event}: A {product} Checklist'
+];
+
+const AUDIENCE_LABELS = {
+  all_clients: 'Every Investor',
+  lead_gen: 'New Investors',
+  mass_affluent: 'Young Professionals',
+  hni: 'HNIs',
+  uhni: 'UHNIs',
+  more_than_10l_dp: '10L+ Portfolios',
+  '1cr_plus': '1Cr+ Portfolios',
+  semi_active: 'Occasional Traders',
+  dormant: 'Returning Investors',
+  inactive: 'Returning Investors',
+  in_loss: 'Investors in the Red',
+  fno_traders: 'F&O Traders',
+  commodity: 'Commodity Traders',
+  non_mtf: 'Cash Traders',
+  cash: 'Cash Traders'
+};
+
+function invalidCalendar(message) {
+  return Object.assign(new Error(message), { code: 'INVALID_CALENDAR' });
+}
+
+function parseDate(value, field) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value || '').trim());
+  const date = match ? new Date(Date.UTC(match[1], match[2] - 1, match[3])) : null;
+  if (!date || date.toISOString().slice(0, 10) !== match[0]) {
+    throw invalidCalendar(`${field} must be a date (YYYY-MM-DD), got "${value ?? ''}"`);
+  }
+  return date;
+}
+
+function formatDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Product mix from "PMS:2,MTF,SGB" or [{ name, weight }] / ['PMS', 'MTF']
+ * @returns {{ key: string, weight: number }[]}
+ */
+function parseProductMix(value) {
+  const entries = typeof value === 'string' ? value.split(',') : (Array.isArray(value) ? value : []);
+  const mix = [];
+  for (const entry of entries) {
+    const [name, weight] = typeof entry === 'string' ? entry.split(':') : [entry?.name, entry?.weight];
+    const key = String(name || '').trim().toUpperCase();
+    if (!key) continue;
+    const parsedWeight = weight === undefined || weight === '' ? 1 : Number(weight);
+    if (!Number.isFinite(parsedWeight) || parsedWeight <= 0) {
+      throw invalidCalendar(`Product weight must be a positive number: ${key}:${weight}`);
+    }
+    if (!mix.some((item) => item.key === key)) mix.push({ key, weight: parsedWeight });
+  }
+  if (mix.length === 0) throw invalidCalendar('products must name at least one product, e.g. "PMS,MTF,SGB,AIF"');
+  return mix;
+}
+
+/**
+ * Posts per week per platform from "linkedin:3,instagram:5" or { linkedin: 3 }
+ */
+function parseCadence(value) {
+  const pairs = typeof value === 'string'
+    ? value.split(',').filter((part) => part.trim()).map((part) => part.split(':'))
+    : Object.entries(value || {});
+  const cadence = {};
+  for (const [name, perWeek] of pairs) {
+    const platform = String(name || '').trim().toLowerCase();
+    if (!CALENDAR_PLATFORMS.includes(platform)) {
+      throw invalidCalendar(`Unknown cadence platform "${platform}" (use: ${CALENDAR_PLATFORMS.join(', ')})`);
+    }
+    const count = Number(perWeek);
+    if (!Number.isInteger(count) || count < 1 || count > 7) {
+      throw invalidCalendar(`${platform} cadence must be 1-7 posts per week, got "${perWeek ?? ''}"`);
+    }
+    cadence[platform] = count;
+  }
+  return Object.keys(cadence).length > 0 ? cadence : { ...DEFAULT_CADENCE };
+}
+
+/**
+ * Market events from [{ date, name, products?, platforms? }] or CLI "2026-11-01=Muhurat Trading"
+ */
+function parseEvents(value, from, to) {
+  const entries = Array.isArray(value) ? value : (value ? [value] : []);
+  return entries.map((entry) => {
+    let event = entry;
+    if (typeof entry === 'string') {
+      const [date, ...name] = entry.split('=');
+      event = { date, name: name.join('=') };
+    }
+    const date = parseDate(event?.date, 'Event date');
+    const name = String(event?.name || '').trim();
+    if (!name) throw invalidCalendar(`Event on ${formatDate(date)} needs a name (YYYY-MM-DD=Name)`);
+    if (date < from || date > to) {
+      throw invalidCalendar(`Event "${name}" (${formatDate(date)}) is outside ${formatDate(from)} – ${formatDate(to)}`);
+    }
+    const platforms = (event.platforms || []).map((platform) => String(platform).toLowerCase());
+    const unknown = platforms.find((platform) => !CALENDAR_PLATFORMS.includes(platform));
+    if (unknown) throw invalidCalendar(`Event "${name}" has an unknown platform: ${unknown}`);
+    return {
+      date: formatDate(date),
+      name,
+      products: (event.products || []).map((product) => String(product).trim().toUpperCase()).filter(Boolean),
+      platforms
+    };
+  });
+}
+
+/**
+ * Products and campaign ideas from pl-products-reference.md
+ * @returns {{ name: string, type: string|null, details: string, ideas: string[] }[]}
+ */
+function parseProductReference(markdown) {
+  const products = [];
+  const sections = String(markdown || '').split(/^(?=##+ )/m);
+  let part = null;
+  let ideaHeading = null;
+
+  for (const section of sections) {
+    const heading = /^(##+) (.+)$/m.exec(section);
+    if (!heading) continue;
+    if (heading[1] === '##') {
+      part = heading[2].trim();
+      continue;
+    }
+
+    if (part === 'Key Products') {
+      const name = heading[2].replace(/^\d+\.\s*/, '').trim();
+      const type = /\*\*Type\*\*:\s*(.+)/.exec(section)?.[1].trim() || null;
+      products.push({ name, type, details: section.slice(heading[0].length).trim(), ideas: [] });
+    } else if (part === 'Campaign Content Ideas') {
+      ideaHeading = heading[2];
+      for (const [, idea] of section.matchAll(/^\d+\.\s*"(.+)"\s*$/gm)) {
+        // The heading names the product ("AQUA PMS Campaigns"); activation ideas name it in the text
+        const owner = products.find((product) => productTokens(product.name).some((token) => wordIn(token, ideaHeading)))
+          || products.find((product) => productTokens(product.name).some((token) => wordIn(token, idea)));
+        if (owner) owner.ideas.push(idea);
+      }
+    }
+  }
+  return products;
+}
+
+// Distinctive words of a product name: the first word and any acronym ("Commodity & MTF" → Commodity, MTF)
+function productTokens(name) {
+  const words = String(name).replace(/\(.*?\)/g, ' ').split(/[^A-Za-z0-9]+/).filter(Boolean);
+  return [...new Set([words[0], ...words.filter((word) => /^[A-Z]{3,}$/.test(word))].filter(Boolean))];
+}
+
+function wordIn(word, text) {
+  return new RegExp(`\\b${word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'i').test(String(text || ''));
+}
+
+function loadReference(referencePath) {
+  try {
+    return parseProductReference(fs.readFileSync(referencePath, 'utf8'));
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * A reference product as planned for one mix entry. Headings lose their expansion ("MADP (Multi-Asset
+ * Dynamic Portfolio)" → MADP); a combined section ("Commodity & MTF Services") is narrowed to the
+ * entry and the ideas that name it. Ideas with placeholders ("₹X Lakh") are left out.
+ */
+function offeringFor(product, key, line) {
+  const combined = product.name.includes('&');
+  const ideas = product.ideas.filter((idea) => !/₹X\b/.test(idea) && (!combined || wordIn(key, idea)));
+  return {
+    ...product,
+    name: combined ? (line?.name || key) : product.name.replace(/\s*\(.*\)\s*$/, ''),
+    ideas
+  };
+}
+
+/**
+ * Resolve each mix entry to the reference products it covers (by name or type); entries the
+ * reference doesn't describe are planned by name with a warning
+ */
+function resolveProducts(mix, reference, warnings) {
+  return mix.map(({ key, weight }) => {
+    const line = PRODUCT_LINES[key];
+    const offerings = reference.filter((product) => wordIn(key, product.name) || wordIn(key, product.type));
+    if (offerings.length === 0) {
+      warnings.push(`${key} is not in pl-products-reference.md; its topics are based on the product name only`);
+    }
+    return {
+      key,
+      weight,
+      name: line?.name || key,
+      audiences: line?.audiences || DEFAULT_AUDIENCES,
+      offerings: offerings.length > 0
+        ? offerings.map((product) => offeringFor(product, key, line))
+        : [{ name: line?.name || key, type: null, details: '', ideas: [] }],
+      inReference: offerings.length > 0
+    };
+  });
+}
+
+/**
+ * Campaign types a platform can publish, in rotation order
+ */
+function formatsFor(platform) {
+  const formats = listCampaignTypes()
+    .filter((type) => !type.planned && type.platforms.includes(platform))
+    .map((type) => type.id);
+  if (formats.length > 0) return formats;
+  if (FALLBACK_FORMATS[platform]) return [FALLBACK_FORMATS[platform]];
+  throw invalidCalendar(`No campaign type publishes to ${platform}`);
+}
+
+function purposeFor(offeringName) {
+  return PURPOSES.find(([pattern]) => pattern.test(offeringName))?.[1] || 'brand-awareness';
+}
+
+/**
+ * Dated platform slots for the cadence, with events pinned: every slot on an event day carries
+ * the event, and an event day without one gets a slot on the busiest platform
+ */
+function buildSlots(from, to, cadence, events) {
+  const slots = [];
+  for (let time = from.getTime(); time <= to.getTime(); time += DAY_MS) {
+    const day = new Date(time);
+    for (const [platform, perWeek] of Object.entries(cadence)) {
+      if (WEEKDAY_PATTERNS[perWeek].includes(day.getUTCDay())) {
+        slots.push({ date: formatDate(day), platform, event: null });
+      }
+    }
+  }
+
+  const busiest = Object.entries(cadence).sort((a, b) => b[1] - a[1])[0][0];
+  for (const event of events) {
+    const eventPlatforms = event.platforms.length > 0 ? event.platforms : Object.keys(cadence);
+    const onDay = slots.filter((slot) => slot.date === event.date && eventPlatforms.includes(slot.platform));
+    if (onDay.length === 0) {
+      const slot = { date: event.date, platform: event.platforms[0] || busiest, event: null };
+      slots.push(slot);
+      onDay.push(slot);
+    }
+    for (const slot of onDay) {
+      slot.event = slot.event || { name: event.name, products: event.products };
+    }
+  }
+
+  const platformOrder = (platform) => CALENDAR_PLATFORMS.indexOf(platform);
+  return slots.sort((a, b) => a.date.localeCompare(b.date) || platformOrder(a.platform) - platformOrder(b.platform));
+}
+
+/**
+ * Spread products over the slots by weight, then rotate each product's offerings and audiences
+ * and each platform's formats
+ */
+function assignSlots(slots, products, brief) {
+  const totalWeight = products.reduce((sum, product) => sum + product.weight, 0);
+  const counts = new Map(products.map((product) => [product.key, 0]));
+  const lastUsed = new Map(products.map((product) => [product.key, -1]));
+  const rotation = new Map();
+  const next = (key, list) => {
+    const index = rotation.get(key) || 0;
+    rotation.set(key, index + 1);
+    return list[index % list.length];
+  };
+
+  slots.forEach((slot, index) => {
+    const usedToday = new Set(slots.slice(0, index).filter((other) => other.date === slot.date).map((other) => other.product));
+    const pinned = products.filter((product) => slot.event?.products.includes(product.key));
+    const candidates = pinned.length > 0 ? pinned : products;
+
+    // Furthest behind its weighted share goes next; a product already on today's plan waits
+    const score = (product) => (product.weight / totalWeight) * (index + 1) - counts.get(product.key)
+      - (usedToday.has(product.key) && candidates.length > 1 ? 1 : 0);
+    const product = candidates.reduce((best, candidate) => {
+      const diff = score(candidate) - score(best);
+      if (Math.abs(diff) > 1e-9) return diff > 0 ? candidate : best;
+      return lastUsed.get(candidate.key) < lastUsed.get(best.key) ? candidate : best;
+    });
+    counts.set(product.key, counts.get(product.key) + 1);
+    lastUsed.set(product.key, index);
+
+    const offering = next(`offering:${product.key}`, product.offerings);
+    const audiences = brief.audiences?.length > 0
+      ? product.audiences.filter((audience) => brief.audiences.includes(audience))
+      : product.audiences;
+    Object.assign(slot, {
+      product: product.key,
+      productName: offering.name,
+      campaignType: next(`format:${slot.platform}`, formatsFor(slot.platform)),
+      audience: next(`audience:${product.key}`, audiences.length > 0 ? audiences : brief.audiences),
+      purpose: purposeFor(offering.name)
+    });
+  });
+  return slots;
+}
+
+const TOPICS_SCHEMA = {
+  type: 'object',
+  required: ['topics'],
+  properties: {
+    topics: {
+      type: 'array',
+      items: { type: 'object', required: ['slot', 'topic'], properties: { slot: { type: ['integer', 'string'] }, topic: { type: 'string' } } }
+    }
+  }
+};
+
+async function generateSlotTopics(textClient, slots, products, avoid, language) {
+  const context = products
+    .flatMap((product) => product.offerings.map((offering) => `### ${offering.name}${offering.type ? ` (${offering.type})` : ''}\n${offering.details.slice(0, 700)}`))
+    .join('\n\n');
+  const lines = slots.map((slot, index) => [
+    `${index + 1}. ${slot.date}`,
+    slot.platform,
+    slot.campaignType,
+    slot.productName,
+    `audience: ${slot.audience}`,
+    slot.event ? `event: ${slot.event.name}` : null
+  ].filter(Boolean).join(' | '));
+
+  const { data } = await textClient.generateJson('calendar-topics', {
+    system: 'You plan social media content calendars for PL Capital, an Indian financial services firm. Output valid JSON only, no markdown.',
+    prompt: `Write one campaign topic per slot below. Output {"topics":[{"slot":1,"topic":"..."}]}.
+
+Rules:
+- A topic is a headline of at most 12 words that fits the format and the audience.
+- Every topic takes a different angle; never paraphrase another slot or a topic in the avoid list.
+- Slots with an event tie the product to that event.
+- Use only facts from the product notes. No guaranteed returns, no "sure-shot", no exaggerated claims.
+- Language: ${language || 'english'}.
+
+Product notes:
+${context || '(none)'}
+
+Avoid (already used):
+${avoid.slice(0, 80).map((topic) => `- ${topic}`).join('\n') || '(none)'}
+
+Slots:
+${lines.join('\n')}`,
+    schema: TOPICS_SCHEMA
+  });
+  const bySlot = [];
+  for (const item of data.topics) {
+    const index = Number(item?.slot) - 1;
+    const topic = String(item?.topic || '').replace(/^["']|["']$/g, '').trim();
+    if (index >= 0 && index < slots.length && topic) bySlot[index] = topic;
+  }
+  return bySlot;
+}
+
+function fillTemplate(template, slot) {
+  const month = new Date(`${slot.date}T00:00:00Z`).toLocaleString('en-US', { month: 'long', timeZone: 'UTC' });
+  return template
+    .replace('{product}', slot.productName)
+    .replace('{audience}', AUDIENCE_LABELS[slot.audience] || 'You')
+    .replace('{event}', slot.event?.name || '')
+    .replace('{month}', month);
+}
+
+/**
+ * First candidate that isn't too similar to an accepted topic: the AI topic, event templates on
+ * event days, the product's reference ideas, then templates
+ */
+function pickTopic(slot, aiTopic, offering, accepted) {
+  const templates = [...(slot.event ? EVENT_TEMPLATES : []), ...TOPIC_TEMPLATES].map((template) => fillTemplate(template, slot));
+  const candidates = [
+    ...(aiTopic ? [{ topic: aiTopic, source: 'ai' }] : []),
+    ...templates.slice(0, slot.event ? EVENT_TEMPLATES.length : 0).map((topic) => ({ topic, source: 'template' })),
+    ...(offering?.ideas || []).map((topic) => ({ topic, source: 'reference' })),
+    ...templates.map((topic) => ({ topic, source: 'template' }))
+  ];
+  const pick = candidates.find((candidate) => candidate.topic.length <= 120 && !isTooSimilarToRecent(candidate.topic, accepted))
+    // Long calendars with one product can exhaust the angles; fall back to any unused line
+    || candidates.find((candidate) => !accepted.includes(candidate.topic))
+    || { topic: `${templates[0]} (${slot.date})`, source: 'template' };
+  return pick;
+}
+
+async function assignTopics(slots, products, avoid, options) {
+  const accepted = [...avoid];
+  let aiTopics = [];
+  const textClient = options.textClient || new TextClient();
+  if (!options.simulate && textClient.isAvailable('calendar-topics')) {
+    for (let start = 0; start < slots.length; start += TOPIC_BATCH_SIZE) {
+      const batch = slots.slice(start, start + TOPIC_BATCH_SIZE);
+      try {
+        const topics = await generateSlotTopics(textClient, batch, products, [...aiTopics.filter(Boolean), ...avoid], options.language);
+        batch.forEach((_slot, index) => { aiTopics[start + index] = topics[index]; });
+      } catch (err) {
+        console.log(`   ⚠️ Calendar topic generation failed: ${err instanceof Error ? err.message.split('\n')[0] : 'unknown'}`);
+        break;
+      }
+    }
+  }
+
+  const offerings = new Map(products.flatMap((product) => product.offerings.map((offering) => [offering.name, offering])));
+  for (const [index, slot] of slots.entries()) {
+    const { topic, source } = pickTopic(slot, aiTopics[index], offerings.get(slot.productName), accepted);
+    slot.topic = topic;
+    slot.topicSource = source;
+    accepted.push(topic);
+  }
+  return slots;
+}
+
+/**
+ * Plan a content calendar from a strategy brief (not saved; see CalendarStore#generate)
+ * @param {Object} brief - { from, to, products, cadence?, events?, audiences?, language?, name? }
+ * @param {Object} [options] - { referencePath, avoidTopics: string[], simulate, textClient }
+ * @returns {Promise<Object>} { name, from, to, brief, slots, warnings }
+ */
+async function generateCalendar(brief, options = {}) {
+  const from = parseDate(brief?.from, 'from');
+  const to = parseDate(brief?.to, 'to');
+  if (to < from) throw invalidCalendar('to must be on or after from');
+  const days = Math.round((to - from) / DAY_MS) + 1;
+  if (days > MAX_DAYS) throw invalidCalendar(`A calendar covers at most ${MAX_DAYS} days (got ${days})`);
+
+  const mix = parseProductMix(brief.products);
+  const cadence = parseCadence(brief.cadence);
+  const events = parseEvents(brief.events, from, to);
+  const audiences = (brief.audiences || []).map((audience) => String(audience).trim()).filter(Boolean);
+  const unknownEventProduct = events.flatMap((event) => event.products).find((key) => !mix.some((item) => item.key === key));
+  if (unknownEventProduct) throw invalidCalendar(`Event product ${unknownEventProduct} is not in the product mix`);
+
+  const warnings = [];
+  const products = resolveProducts(mix, loadReference(options.referencePath || DEFAULT_REFERENCE_PATH), warnings);
+  const slots = assignSlots(buildSlots(from, to, cadence, events), products, { audiences });
+  if (slots.length === 0) throw invalidCalendar('The cadence leaves no publishing days in this date range');
+
+  await assignTopics(slots, products, options.avoidTopics || [], {
+    simulate: options.simulate,
+    language: brief.language,
+    textClient: options.textClient
+  });
+
+  return {
+    name: String(brief.name || '').trim() || `Content calendar ${formatDate(from)} – ${formatDate(to)}`,
+    from: formatDate(from),
+    to: formatDate(to),
+    brief: { products: mix, cadence, events, audiences, language: brief.language || 'english' },
+    slots: slots.map((slot, index) => ({
+      id: `S${String(index + 1).padStart(3, '0')}`,
+      date: slot.date,
+      platform: slot.platform,
+      campaignType: slot.campaignType,
+      product: slot.product,
+      productName: slot.productName,
+      audience: slot.audience,
+      purpose: slot.purpose,
+      event: slot.event?.name || null,
+      topic: slot.topic,
+      topicSource: slot.topicSource,
+      status: 'planned',
+      campaignId: null,
+      notes: ''
+    })),
+    warnings
+  };
+}
+
+/**
+ * Validate slot edits (date, platform, campaignType, product, productName, audience, purpose,
+ * event, topic, notes, status)
+ */
+function sanitizeSlotChanges(changes) {
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+    throw invalidCalendar('Slot changes must be an object');
+  }
+  const result = {};
+  if (changes.date !== undefined) result.date = formatDate(parseDate(changes.date, 'date'));
+  if (changes.platform !== undefined) {
+    const platform = String(changes.platform).toLowerCase();
+    if (!CALENDAR_PLATFORMS.includes(platform)) {
+      throw invalidCalendar(`platform must be one of: ${CALENDAR_PLATFORMS.join(', ')}`);
+    }
+    result.platform = platform;
+  }
+  if (changes.campaignType !== undefined) {
+    const campaignType = String(changes.campaignType);
+    if (!getCampaignType(campaignType) && !Object.values(FALLBACK_FORMATS).includes(campaignType)) {
+      throw invalidCalendar(`Unknown campaign type: ${campaignType}`);
+    }
+    result.campaignType = campaignType;
+  }
+  if (changes.topic !== undefined) {
+    const topic = String(changes.topic).trim();
+    if (!topic) throw invalidCalendar('topic cannot be empty');
+    result.topic = topic;
+    result.topicSource = 'manual';
+  }
+  if (changes.status !== undefined) {
+    if (!SLOT_STATUSES.includes(changes.status) || changes.status === 'created') {
+      throw invalidCalendar('status can be set to planned or skipped');
+    }
+    result.status = changes.status;
+  }
+  for (const field of ['product', 'productName', 'audience', 'purpose', 'notes', 'event']) {
+    if (changes[field] !== undefined) result[field] = changes[field] === null ? null : String(changes[field]).trim();
+  }
+  return result;
+}
+
+/**
+ * Saved calendars (SQLite, data/content-calendar.db), one JSON document per calendar
+ */
+class CalendarStore {
+  constructor(dataDir) {
+    this.dataDir = dataDir;
+    this.dbFile = path.join(dataDir, 'content-calendar.db');
+
+    fs.mkdirSync(dataDir, { recursive: true });
+    this.db = new Database(this.dbFile);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('busy_timeout = 5000');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS calendars (
+        id TEXT PRIMARY KEY,
+        data TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      )
+    `);
+  }
+
+  _row(id) {
+    const row = this.db.prepare('SELECT data FROM calendars WHERE id = ?').get(id);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  _put(record) {
+    this.db.prepare(`
+      INSERT INTO calendars (id, data, created_at, updated_at) VALUES (@id, @data, @createdAt, @updatedAt)
+      ON CONFLICT(id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at
+    `).run({ id: record.id, data: JSON.stringify(record), createdAt: record.createdAt, updatedAt: record.updatedAt });
+    return record;
+  }
+
+  _transaction(fn) {
+    if (this.db.inTransaction) return fn();
+    return this.db.transaction(fn).immediate();
+  }
+
+  /**
+   * Apply fn(calendar) to a saved calendar and store it
+   * @returns {*} fn's result, or null when the calendar does not exist
+   */
+  _mutate(id, fn) {
+    return this._transaction(() => {
+      const calendar = this._row(id);
+      if (!calendar) return null;
+      const result = fn(calendar);
+      calendar.updatedAt = new Date().toISOString();
+      this._put(calendar);
+      return result === undefined ? calendar : result;
+    });
+  }
+
+  /**
+   * Plan and save a calendar; topics avoid recent topic history and every other saved calendar
+   * @param {Object} brief - See generateCalendar
+   * @param {Object} [options] - { referencePath, simulate, textClient }
+   */
+  async generate(brief, options = {}) {
+    const avoidTopics = [
+      ...loadRecentTopics(this.dataDir, 60),
+      ...this.list().flatMap((calendar) => this._row(calendar.id).slots.map((slot) => slot.topic))
+    ];
+    const textClient = options.textClient || new TextClient({ dataDir: this.dataDir, usage: { stage: 'calendar' } });
+    const calendar = await generateCalendar(brief, { ...options, avoidTopics, textClient });
+    const now = new Date().toISOString();
+    return this._put({
+      id: `CAL-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`,
+      ...calendar,
+      createdAt: now,
+      updatedAt: now
+    });
+  }
+
+  /**
+   * Calendar summaries, newest first
+   */
+  list() {
+    return this.db.prepare('SELECT data FROM calendars ORDER BY created_at DESC').all().map((row) => {
+      const { slots, ...calendar } = JSON.parse(row.data);
+      const created = slots.filter((slot) => slot.status === 'created').length;
+      return { ...calendar, slotCount: slots.length, campaignsCreated: created };
+    });
+  }
+
+  get(id) {
+    return this._row(id);
+  }
+
+  delete(id) {
+    return this.db.prepare('DELETE FROM calendars WHERE id = ?').run(id).changes > 0;
+  }
+
+  /**
+   * Edit one slot
+   * @returns {Object|null} Updated slot, or null when the calendar or slot does not exist
+   */
+  updateSlot(id, slotId, changes) {
+    const edits = sanitizeSlotChanges(changes);
+    return this._mutate(id, (calendar) => {
+      const slot = calendar.slots.find((item) => item.id === slotId);
+      if (!slot) return null;
+      if (slot.status === 'created' && edits.status) {
+        throw invalidCalendar(`Slot ${slotId} already has campaign ${slot.campaignId}`);
+      }
+      Object.assign(slot, edits);
+      calendar.slots.sort((a, b) => a.date.localeCompare(b.date) || a.id.localeCompare(b.id));
+      return slot;
+    });
+  }
+
+  /**
+   * Add a slot (date, platform and topic are required)
+   * @returns {Object|null} New slot, or null when the calendar does not exist
+   */
+  addSlot(id, slot) {
+    const edits = sanitizeSlotChanges(slot);
+    for (const field of ['date', 'platform', 'topic']) {
+      if (!edits[field]) throw invalidCalendar(`${field} is required`);
+    }
+    return this._mutate(id, (calendar) => {
+      const lastNumber = Math.max(0, ...calendar.slots.map((item) => Number(item.id.slice(1)) || 0));
+      const created = {
+        id: `S${String(lastNumber + 1).padStart(3, '0')}`,
+        campaignType: formatsFor(edits.platform)[0],
+        product: null,
+        productName: null,
+        audience: 'all_clients',
+        purpose: 'brand-awareness',
+        event: null,
+        status: 'planned',
+        campaignId: null,
+        notes: '',
+        ...edits
+      };
+      calendar.slots.push(created);
+      calendar.slots.sort((a, b) => a.date.localeCompare(b.date) || a.id.localeCompare(b.id));
+      return created;
+    });
+  }
+
+  /**
+   * Remove a slot
+   * @returns {boolean|null} Whether a slot was removed, or null when the calendar does not exist
+   */
+  deleteSlot(id, slotId) {
+    return this._mutate(id, (calendar) => {
+      const before = calendar.slots.length;
+      calendar.slots = calendar.slots.filter((slot) => slot.id !== slotId);
+      return calendar.slots.length < before;
+    });
+  }
+
+  /**
+   * Turn a slot into a Stage 1 campaign record (linked both ways) that the workflow runs with
+   * --campaign-id, so generation and spend are booked to it
+   * @param {StateManager} stateManager
+   * @returns {Promise<{ campaign: Object, slot: Object }|null>} null when the calendar or slot does not exist
+   */
+  async createCampaign(id, slotId, stateManager) {
+    const calendar = this.get(id);
+    const slot = calendar?.slots.find((item) => item.id === slotId);
+    if (!slot) return null;
+    if (slot.campaignId) throw invalidCalendar(`Slot ${slotId} already has campaign ${slot.campaignId}`);
+
+    const campaign = await stateManager.addStageEntry(1, {
+      type: 'calendar-slot',
+      topic: slot.topic,
+      campaignType: slot.campaignType,
+      platforms: [slot.platform],
+      targetAudience: slot.audience,
+      purpose: slot.purpose,
+      product: slot.productName || slot.product,
+      event: slot.event,
+      scheduledFor: slot.date,
+      calendarId: calendar.id,
+      slotId: slot.id,
+      status: 'planned'
+    });
+    const updated = this._mutate(id, (current) => {
+      const target = current.slots.find((item) => item.id === slotId);
+      if (!target) return null;
+      Object.assign(target, { campaignId: campaign.id, status: 'created' });
+      return target;
+    });
+    return { campaign, slot: updated };
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+module.exports = CalendarStore;
+module.exports.generateCalendar = generateCalendar;
+module.exports.parseProductReference = parseProductReference;
+module.exports.parseProductMix = parseProductMix;
+module.exports.parseCadence = parseCadence;
+module.exports.CALENDAR_PLATFORMS = CALENDAR_PLATFORMS;
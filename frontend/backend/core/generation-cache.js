@@ -0,0 +1,236 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Database = require('better-sqlite3');
+
+const DEFAULT_TTL_HOURS = 7 * 24;
+const DEFAULT_MAX_MB = 1024;
+
+const openCaches = new Map();
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function isLocalFile(value) {
+  if (typeof value !== 'string' || !path.isAbsolute(value) || value.length > 1024) return false;
+  try {
+    return fs.statSync(value).isFile();
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Key material with local files and buffers replaced by content hashes, so a regenerated
+ * reference image with the same bytes still hits. Functions are dropped.
+ */
+function fingerprint(value) {
+  if (Buffer.isBuffer(value)) return `sha256:${sha256(value)}`;
+  if (isLocalFile(value)) return `file:${sha256(fs.readFileSync(value))}`;
+  if (Array.isArray(value)) return value.map(fingerprint);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value).sort()
+      .filter((key) => value[key] !== undefined && typeof value[key] !== 'function')
+      .map((key) => [key, fingerprint(value[key])]));
+  }
+  return value;
+}
+
+/**
+ * Generation Cache
+ *
+ * Content-addressed cache for AI generations (data/generation-cache.db, media files in
+ * data/generation-cache/). Entries are keyed by a hash of provider, model, prompt, reference
+ * inputs and config; local files in a cached result are copied into the cache directory so
+ * they outlive /tmp. Entries expire after GENERATION_CACHE_TTL_HOURS and the least recently
+ * used are evicted once the media exceeds GENERATION_CACHE_MAX_MB. GENERATION_CACHE=off
+ * disables caching; `bypass` skips the lookup for one call and refreshes the entry.
+ */
+class GenerationCache {
+  constructor(dataDir, options = {}) {
+    this.dataDir = dataDir;
+    this.mediaDir = path.join(dataDir, 'generation-cache');
+    this.enabled = options.enabled ?? process.env.GENERATION_CACHE !== 'off';
+    this.ttlHours = options.ttlHours || Number(process.env.GENERATION_CACHE_TTL_HOURS) || DEFAULT_TTL_HOURS;
+    this.maxBytes = (options.maxMb || Number(process.env.GENERATION_CACHE_MAX_MB) || DEFAULT_MAX_MB) * 1024 * 1024;
+
+    fs.mkdirSync(this.mediaDir, { recursive: true });
+    this.db = new Database(path.join(dataDir, 'generation-cache.db'));
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('busy_timeout = 5000');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS entries (
+        key TEXT PRIMARY KEY,
+        kind TEXT NOT NULL,
+        provider TEXT,
+        model TEXT,
+        value TEXT NOT NULL,
+        files TEXT NOT NULL,
+        bytes INTEGER NOT NULL,
+        hits INTEGER NOT NULL DEFAULT 0,
+        created_at TEXT NOT NULL,
+        expires_at TEXT NOT NULL,
+        last_used_at TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS entries_last_used ON entries (last_used_at);
+    `);
+  }
+
+  /**
+   * Shared cache per data directory
+   */
+  static open(dataDir) {
+    const key = path.resolve(dataDir);
+    if (!openCaches.has(key)) {
+      openCaches.set(key, new GenerationCache(key));
+    }
+    return openCaches.get(key);
+  }
+
+  /**
+   * Cache key for a generation
+   * @param {Object} parts - { kind, provider, model, prompt, inputs, config }
+   */
+  static key(parts) {
+    return sha256(JSON.stringify(fingerprint(parts)));
+  }
+
+  /**
+   * Cached value for a key, or null (expired entries and entries whose files are gone miss)
+   */
+  get(key) {
+    const row = this.db.prepare('SELECT value, files, expires_at AS expiresAt FROM entries WHERE key = ?').get(key);
+    if (!row) return null;
+    if (new Date(row.expiresAt) <= new Date() || !JSON.parse(row.files).every((file) => fs.existsSync(file))) {
+      this._delete([key]);
+      return null;
+    }
+    this.db.prepare('UPDATE entries SET hits = hits + 1, last_used_at = ? WHERE key = ?').run(new Date().toISOString(), key);
+    return JSON.parse(row.value);
+  }
+
+  /**
+   * Store a generation result. Local file paths anywhere in the value are copied into the
+   * cache directory and the stored value points at the copies.
+   * @param {string} key
+   * @param {*} value - JSON-serializable result
+   * @param {Object} [meta] - { kind, provider, model, ttlHours }
+   */
+  set(key, value, meta = {}) {
+    const files = [];
+    let bytes = 0;
+    const json = JSON.stringify(value, (_name, field) => {
+      if (!isLocalFile(field) || field.startsWith(this.mediaDir + path.sep)) return field;
+      const target = path.join(this.mediaDir, `${key}-${files.length}${path.extname(field)}`);
+      fs.copyFileSync(field, target);
+      bytes += fs.statSync(target).size;
+      files.push(target);
+      return target;
+    });
+
+    const now = new Date();
+    const ttlHours = meta.ttlHours || this.ttlHours;
+    this.db.prepare(`
+      INSERT INTO entries (key, kind, provider, model, value, files, bytes, created_at, expires_at, last_used_at)
+      VALUES (@key, @kind, @provider, @model, @value, @files, @bytes, @now, @expiresAt, @now)
+      ON CONFLICT(key) DO UPDATE SET value = excluded.value, files = excluded.files, bytes = excluded.bytes,
+        created_at = excluded.created_at, expires_at = excluded.expires_at, last_used_at = excluded.last_used_at
+    `).run({
+      key,
+      kind: meta.kind || 'generation',
+      provider: meta.provider || null,
+      model: meta.model || null,
+      value: json,
+      files: JSON.stringify(files),
+      bytes,
+      now: now.toISOString(),
+      expiresAt: new Date(now.getTime() + ttlHours * 3600 * 1000).toISOString()
+    });
+    this.evict();
+  }
+
+  /**
+   * Return the cached result for `parts`, or run `produce` and cache what it returns.
+   * Nothing is cached for null or simulated results, or when the cache is disabled.
+   * @param {Object} parts - Key material (see key())
+   * @param {Function} produce - async () => result
+   * @param {Object} [options] - { bypass, ttlHours }
+   */
+  async remember(parts, produce, options = {}) {
+    if (!this.enabled) return produce();
+    const key = GenerationCache.key(parts);
+    const label = `${parts.kind || 'generation'}${parts.provider ? ` ${parts.provider}` : ''}`;
+
+    if (!options.bypass) {
+      const hit = this.get(key);
+      if (hit !== null) {
+        console.log(`   ♻️  Cache hit: ${label} (${key.slice(0, 12)})`);
+        return hit;
+      }
+    }
+
+    const value = await produce();
+    if (value === null || value === undefined || value.simulated) return value;
+    try {
+      this.set(key, value, { kind: parts.kind, provider: parts.provider, model: parts.model, ttlHours: options.ttlHours });
+    } catch (error) {
+      console.log(`   ⚠️  Could not cache ${label}: ${error.message}`);
+    }
+    return value;
+  }
+
+  /**
+   * Drop expired entries, then the least recently used until media fits in maxBytes
+   * @returns {number} Entries removed
+   */
+  evict() {
+    const expired = this.db.prepare('SELECT key FROM entries WHERE expires_at <= ?').all(new Date().toISOString()).map((row) => row.key);
+    this._delete(expired);
+
+    let total = this.db.prepare('SELECT COALESCE(SUM(bytes), 0) AS total FROM entries').get().total;
+    const lru = [];
+    if (total > this.maxBytes) {
+      for (const row of this.db.prepare('SELECT key, bytes FROM entries ORDER BY last_used_at').all()) {
+        if (total <= this.maxBytes) break;
+        lru.push(row.key);
+        total -= row.bytes;
+      }
+      this._delete(lru);
+    }
+    return expired.length + lru.length;
+  }
+
+  _delete(keys) {
+    for (const key of keys) {
+      const row = this.db.prepare('SELECT files FROM entries WHERE key = ?').get(key);
+      for (const file of row ? JSON.parse(row.files) : []) {
+        fs.rmSync(file, { force: true });
+      }
+      this.db.prepare('DELETE FROM entries WHERE key = ?').run(key);
+    }
+  }
+
+  /**
+   * Entry count, media size and hits per kind
+   */
+  stats() {
+    return this.db.prepare(`
+      SELECT kind, COUNT(*) AS entries, SUM(bytes) AS bytes, SUM(hits) AS hits FROM entries GROUP BY kind ORDER BY kind
+    `).all();
+  }
+
+  /**
+   * Remove every entry
+   */
+  clear() {
+    this._delete(this.db.prepare('SELECT key FROM entries').all().map((row) => row.key));
+  }
+
+  close() {
+    this.db.close();
+    openCaches.delete(path.resolve(this.dataDir));
+  }
+}
+
+module.exports = GenerationCache;
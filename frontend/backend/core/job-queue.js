@@ -0,0 +1,510 @@
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const Database = require('better-sqlite3');
+const { providerChain } = require('../image/image-providers');
+
+const JOB_TYPES = ['video', 'image'];
+// Providers each job type can run on
+const JOB_TYPE_PROVIDERS = {
+  video: ['veo', 'longcat', 'heygen', 'shotstack'],
+  image: ['gemini', 'replicate', 'fal']
+};
+const JOB_PROVIDERS = [...JOB_TYPE_PROVIDERS.video, ...JOB_TYPE_PROVIDERS.image];
+const DEFAULT_CONCURRENCY = { veo: 2, longcat: 1, heygen: 2, shotstack: 2, gemini: 3, replicate: 2, fal: 2 };
+const DEFAULT_MAX_ATTEMPTS = 3;
+const DEFAULT_RETRY_BASE_MS = 30 * 1000;
+const MAX_RETRY_DELAY_MS = 15 * 60 * 1000;
+const MAX_LOG_LINES = 500;
+// Workers heartbeat their running jobs; a job silent for longer than this was interrupted
+const STALE_HEARTBEAT_MS = 60 * 1000;
+// A worker counts as active while its heartbeat is fresher than this
+const WORKER_HEARTBEAT_TTL_MS = 20 * 1000;
+
+// Provider failures worth retrying: rate limits, 5xx, timeouts and dropped connections
+const TRANSIENT_ERROR_PATTERNS = [
+  /\((?:408|429|50[0234])\)/,
+  /\b(?:HTTP|status|error|code)\D{0,10}(?:408|429|50[0234])\b/i,
+  /rate.?limit|too many requests|quota exceeded for .*per minute/i,
+  /\b(?:ETIMEDOUT|ECONNRESET|ECONNREFUSED|EAI_AGAIN|EPIPE|UND_ERR_SOCKET)\b/,
+  /socket hang up|network error|fetch failed|timed out|timeout exceeded/i,
+  /temporarily unavailable|service unavailable|overloaded|RESOURCE_EXHAUSTED|\bUNAVAILABLE\b/i
+];
+
+function invalidJob(message) {
+  return Object.assign(new Error(message), { code: 'INVALID_JOB' });
+}
+
+/**
+ * Whether a failure (error message or the tail of the job output) looks transient
+ * @param {string} text
+ * @returns {boolean}
+ */
+function isTransientError(text) {
+  const value = String(text || '');
+  return TRANSIENT_ERROR_PATTERNS.some((pattern) => pattern.test(value));
+}
+
+function isHeyGenAvatarId(value) {
+  return typeof value === 'string' && (value === 'siddharth-vora' || /^[a-f0-9]{32}$/i.test(value.trim()));
+}
+
+/**
+ * Provider a Stage 4 request will occupy (same rules as stageVideo / VideoCoordinator._selectProvider)
+ * @param {Object} request - Video job request body
+ * @returns {string}
+ */
+function resolveVideoProvider(request = {}) {
+  if (request.provider) return String(request.provider).toLowerCase();
+  if (request.useAvatar && (isHeyGenAvatarId(request.avatarId) || request.heygenAvatarId || request.heygenAvatarGroupId)) {
+    return 'heygen';
+  }
+  if (request.longCatConfig?.enabled || Number(request.duration) > 148) return 'longcat';
+  return 'veo';
+}
+
+/**
+ * Provider a Stage 3 request will start with (the head of the default image provider chain)
+ * @param {Object} request - Image job request body
+ * @returns {string}
+ */
+function resolveImageProvider(request = {}) {
+  if (request.provider) return String(request.provider).toLowerCase();
+  return providerChain('default').find((provider) => JOB_TYPE_PROVIDERS.image.includes(provider)) || 'gemini';
+}
+
+/**
+ * Whether a process id is alive on this machine
+ */
+function isProcessAlive(pid) {
+  if (!pid) return false;
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Start time of a process ("<boot id>:<start ticks>" from /proc, else `ps` lstart), or null.
+ * Saved with a job's child pid so a pid reused after a restart or reboot is never signalled.
+ */
+function processStartTime(pid) {
+  if (!pid) return null;
+  if (fs.existsSync('/proc/self/stat')) {
+    try {
+      const stat = fs.readFileSync(`/proc/${pid}/stat`, 'utf8');
+      // Fields after the command name (which may contain spaces); starttime is field 22
+      const startTicks = stat.slice(stat.lastIndexOf(')') + 2).split(' ')[19];
+      const bootId = fs.readFileSync('/proc/sys/kernel/random/boot_id', 'utf8').trim();
+      return `${bootId}:${startTicks}`;
+    } catch {
+      return null;
+    }
+  }
+  try {
+    return execFileSync('ps', ['-o', 'lstart=', '-p', String(pid)], { encoding: 'utf8' }).trim() || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Stop a job's child process group when it is still the process recorded by setChildPid
+ * @returns {boolean} Whether a signal was sent
+ */
+function killJobChild(job, signal = 'SIGTERM') {
+  if (!job.childPid || !job.childStartedAt) return false;
+  if (processStartTime(job.childPid) !== job.childStartedAt) return false;
+  return killProcessGroup(job.childPid, signal);
+}
+
+/**
+ * Stop a job's child process group (children are spawned detached, so -pid reaches ffmpeg etc.)
+ */
+function killProcessGroup(pid, signal = 'SIGTERM') {
+  if (!pid) return false;
+  try {
+    process.kill(-pid, signal);
+    return true;
+  } catch {
+    try {
+      process.kill(pid, signal);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+}
+
+/**
+ * Durable queue for long-running generation jobs (data/job-queue.db).
+ *
+ * Jobs move queued → running → completed | error | cancelled; failed attempts with transient
+ * provider errors go to `retrying` with exponential backoff. Claims run inside IMMEDIATE
+ * transactions and count running jobs per provider, so any number of workers (and the Next.js
+ * routes) can share the queue without exceeding a provider's concurrency limit.
+ */
+class JobQueue {
+  constructor(dataDir, options = {}) {
+    this.dataDir = dataDir;
+    this.dbFile = path.join(dataDir, 'job-queue.db');
+    this.maxAttempts = options.maxAttempts || Number(process.env.JOB_MAX_ATTEMPTS) || DEFAULT_MAX_ATTEMPTS;
+    this.retryBaseMs = options.retryBaseMs ??
+      ((Number(process.env.JOB_RETRY_BASE_SECONDS) || 0) * 1000 || DEFAULT_RETRY_BASE_MS);
+    this.concurrency = { ...DEFAULT_CONCURRENCY, ...this._loadConcurrency(), ...(options.concurrency || {}) };
+
+    fs.mkdirSync(dataDir, { recursive: true });
+    this.db = new Database(this.dbFile);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('busy_timeout = 5000');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS jobs (
+        id TEXT PRIMARY KEY,
+        type TEXT NOT NULL,
+        provider TEXT NOT NULL,
+        status TEXT NOT NULL,
+        next_attempt_at TEXT NOT NULL,
+        data TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS jobs_status ON jobs (status, next_attempt_at);
+      CREATE TABLE IF NOT EXISTS workers (pid INTEGER PRIMARY KEY, heartbeat_at TEXT NOT NULL);
+    `);
+  }
+
+  _loadConcurrency() {
+    const raw = process.env.JOB_CONCURRENCY;
+    if (!raw) return {};
+    try {
+      return JSON.parse(raw);
+    } catch {
+      console.warn('⚠️  JOB_CONCURRENCY is not valid JSON; using default provider limits');
+      return {};
+    }
+  }
+
+  _transaction(fn) {
+    if (this.db.inTransaction) return fn();
+    return this.db.transaction(fn).immediate();
+  }
+
+  _read(id) {
+    const row = this.db.prepare('SELECT data FROM jobs WHERE id = ?').get(id);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  _write(job) {
+    job.updatedAt = new Date().toISOString();
+    this.db.prepare(`
+      INSERT INTO jobs (id, type, provider, status, next_attempt_at, data, created_at, updated_at)
+      VALUES (@id, @type, @provider, @status, @nextAttemptAt, @data, @createdAt, @updatedAt)
+      ON CONFLICT(id) DO UPDATE SET status = excluded.status, next_attempt_at = excluded.next_attempt_at,
+        data = excluded.data, updated_at = excluded.updated_at
+    `).run({
+      id: job.id,
+      type: job.type,
+      provider: job.provider,
+      status: job.status,
+      nextAttemptAt: job.nextAttemptAt || job.createdAt,
+      data: JSON.stringify(job),
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt
+    });
+    return job;
+  }
+
+  _mutate(id, mutator) {
+    return this._transaction(() => {
+      const job = this._read(id);
+      if (!job) return null;
+      mutator(job);
+      return this._write(job);
+    });
+  }
+
+  /**
+   * Add a job
+   * @param {Object} entry
+   * @param {string} entry.type - video or image
+   * @param {Object} entry.request - Request body the handler runs with
+   * @param {string} [entry.provider] - Defaults to the provider the request resolves to
+   * @param {string} [entry.id]
+   * @param {number} [entry.maxAttempts]
+   */
+  enqueue(entry) {
+    if (!JOB_TYPES.includes(entry.type)) {
+      throw invalidJob(`type must be one of: ${JOB_TYPES.join(', ')}`);
+    }
+    const request = entry.request && typeof entry.request === 'object' ? entry.request : {};
+    const provider = entry.provider || (entry.type === 'video' ? resolveVideoProvider(request) : resolveImageProvider(request));
+    if (!JOB_TYPE_PROVIDERS[entry.type].includes(provider)) {
+      throw invalidJob(`provider for ${entry.type} jobs must be one of: ${JOB_TYPE_PROVIDERS[entry.type].join(', ')}`);
+    }
+
+    const now = new Date().toISOString();
+    return this._transaction(() => this._write({
+      id: entry.id || `${entry.type}-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`,
+      type: entry.type,
+      provider,
+      status: 'queued',
+      request,
+      maxAttempts: Number(entry.maxAttempts) || this.maxAttempts,
+      attempts: [],
+      logs: [`Queued ${entry.type} job (${provider})`],
+      createdAt: now,
+      nextAttemptAt: now
+    }));
+  }
+
+  get(id) {
+    return this._read(id);
+  }
+
+  /**
+   * List jobs, newest first
+   * @param {Object} [filters] - { status, type, provider, limit }
+   */
+  list(filters = {}) {
+    const rows = this.db.prepare('SELECT data FROM jobs ORDER BY created_at DESC').all();
+    return rows
+      .map((row) => JSON.parse(row.data))
+      .filter((job) => !filters.status || job.status === filters.status)
+      .filter((job) => !filters.type || job.type === filters.type)
+      .filter((job) => !filters.provider || job.provider === filters.provider)
+      .slice(0, filters.limit || undefined);
+  }
+
+  /**
+   * Queued/retrying jobs plus running jobs (used to decide whether a worker is needed)
+   */
+  countActive() {
+    return this.db.prepare("SELECT COUNT(*) AS n FROM jobs WHERE status IN ('queued', 'retrying', 'running')").get().n;
+  }
+
+  /**
+   * Cancel a job. Queued and retrying jobs stop immediately; running jobs are flagged and
+   * their worker stops the process (or, if the worker is gone, the process is stopped here).
+   * Returns null when the id is unknown.
+   */
+  cancel(id) {
+    return this._transaction(() => {
+      const job = this._read(id);
+      if (!job) return null;
+      if (!['queued', 'retrying', 'running'].includes(job.status)) {
+        throw invalidJob(`Cannot cancel ${job.status} job ${id}`);
+      }
+
+      const now = new Date().toISOString();
+      job.cancelRequestedAt = job.cancelRequestedAt || now;
+      if (job.status === 'running' && isProcessAlive(job.workerPid)) {
+        job.logs = [...job.logs, 'Cancellation requested'];
+        return this._write(job);
+      }
+
+      if (job.status === 'running') killJobChild(job);
+      this._finishAttempt(job, { status: 'cancelled', error: 'Cancelled' });
+      job.status = 'cancelled';
+      job.finishedAt = now;
+      job.logs = [...job.logs, 'Job cancelled'];
+      return this._write(job);
+    });
+  }
+
+  /**
+   * Running jobs whose worker stopped (crash or server restart) go back to the queue as an
+   * interrupted attempt, or fail when they are out of attempts. Cancel requests win.
+   * @returns {Array} Recovered jobs
+   */
+  recoverInterrupted(now = new Date()) {
+    return this._transaction(() => {
+      const rows = this.db.prepare("SELECT data FROM jobs WHERE status = 'running'").all();
+      const recovered = [];
+      for (const job of rows.map((row) => JSON.parse(row.data))) {
+        const silentFor = now.getTime() - new Date(job.heartbeatAt || job.startedAt || job.createdAt).getTime();
+        const workerGone = job.workerPid !== process.pid && !isProcessAlive(job.workerPid);
+        if (!workerGone && silentFor < STALE_HEARTBEAT_MS) continue;
+
+        killJobChild(job);
+        if (job.cancelRequestedAt) {
+          this._finishAttempt(job, { status: 'cancelled', error: 'Cancelled' });
+          job.status = 'cancelled';
+          job.finishedAt = now.toISOString();
+        } else {
+          this._scheduleRetry(job, 'Interrupted (worker stopped mid-job)', now);
+        }
+        job.logs = [...job.logs, `Recovered interrupted job → ${job.status}`];
+        recovered.push(this._write(job));
+      }
+      return recovered;
+    });
+  }
+
+  /**
+   * Claim due jobs and mark them running, without going over any provider's limit
+   * @param {Object} [options] - { workerPid, max, now }
+   * @returns {Array} Claimed jobs
+   */
+  claim({ workerPid = process.pid, max = Infinity, now = new Date() } = {}) {
+    return this._transaction(() => {
+      const running = Object.fromEntries(this.db.prepare(
+        "SELECT provider, COUNT(*) AS n FROM jobs WHERE status = 'running' GROUP BY provider"
+      ).all().map((row) => [row.provider, row.n]));
+      const due = this.db.prepare(`
+        SELECT data FROM jobs WHERE status IN ('queued', 'retrying') AND next_attempt_at <= ?
+        ORDER BY next_attempt_at, created_at
+      `).all(now.toISOString()).map((row) => JSON.parse(row.data));
+
+      const claimed = [];
+      for (const job of due) {
+        if (claimed.length >= max) break;
+        const limit = Number(this.concurrency[job.provider]) || 1;
+        if ((running[job.provider] || 0) >= limit) continue;
+
+        running[job.provider] = (running[job.provider] || 0) + 1;
+        job.status = 'running';
+        job.workerPid = workerPid;
+        job.childPid = null;
+        job.childStartedAt = null;
+        job.startedAt = job.startedAt || now.toISOString();
+        job.heartbeatAt = now.toISOString();
+        job.attempts = [...job.attempts, { attempt: job.attempts.length + 1, startedAt: now.toISOString() }];
+        job.logs = [...job.logs, `Attempt ${job.attempts.length}/${job.maxAttempts} started (${job.provider})`];
+        claimed.push(this._write(job));
+      }
+      return claimed;
+    });
+  }
+
+  /**
+   * Record the child process running a job, with its start time (see processStartTime)
+   */
+  setChildPid(id, childPid) {
+    const childStartedAt = processStartTime(childPid);
+    return this._mutate(id, (job) => {
+      job.childPid = childPid;
+      job.childStartedAt = childStartedAt;
+    });
+  }
+
+  /**
+   * Worker heartbeat for its running jobs
+   * @returns {Array<string>} Ids of those jobs that have a pending cancel request
+   */
+  heartbeat(workerPid = process.pid, now = new Date()) {
+    return this._transaction(() => {
+      this.db.prepare('INSERT OR REPLACE INTO workers (pid, heartbeat_at) VALUES (?, ?)').run(workerPid, now.toISOString());
+      const cancelRequested = [];
+      const rows = this.db.prepare("SELECT data FROM jobs WHERE status = 'running'").all();
+      for (const job of rows.map((row) => JSON.parse(row.data))) {
+        if (job.workerPid !== workerPid) continue;
+        job.heartbeatAt = now.toISOString();
+        if (job.cancelRequestedAt) cancelRequested.push(job.id);
+        this._write(job);
+      }
+      return cancelRequested;
+    });
+  }
+
+  /**
+   * Whether some worker process is alive and polling the queue
+   */
+  hasActiveWorker(now = new Date()) {
+    const cutoff = new Date(now.getTime() - WORKER_HEARTBEAT_TTL_MS).toISOString();
+    const workers = this.db.prepare('SELECT pid FROM workers WHERE heartbeat_at >= ?').all(cutoff);
+    return workers.some((worker) => isProcessAlive(worker.pid));
+  }
+
+  removeWorker(workerPid = process.pid) {
+    this.db.prepare('DELETE FROM workers WHERE pid = ?').run(workerPid);
+  }
+
+  appendLog(id, lines) {
+    const messages = (Array.isArray(lines) ? lines : [lines]).map((line) => String(line || '').trim()).filter(Boolean);
+    if (messages.length === 0) return null;
+    return this._mutate(id, (job) => {
+      job.logs = [...job.logs, ...messages].slice(-MAX_LOG_LINES);
+    });
+  }
+
+  /**
+   * Record the outcome of the current attempt.
+   * Failures are retried with backoff when `transient` is set and attempts remain.
+   * @param {string} id
+   * @param {Object} outcome - { success, cancelled, error, transient, result }
+   */
+  recordAttempt(id, outcome) {
+    return this._mutate(id, (job) => {
+      const now = new Date();
+      job.childPid = null;
+      job.childStartedAt = null;
+      if (outcome.result !== undefined) job.result = outcome.result;
+
+      if (outcome.success) {
+        this._finishAttempt(job, { status: 'succeeded' });
+        job.status = 'completed';
+        job.error = undefined;
+        job.finishedAt = now.toISOString();
+        return;
+      }
+      if (outcome.cancelled || job.cancelRequestedAt) {
+        this._finishAttempt(job, { status: 'cancelled', error: 'Cancelled' });
+        job.status = 'cancelled';
+        job.finishedAt = now.toISOString();
+        return;
+      }
+      if (outcome.transient) {
+        this._scheduleRetry(job, outcome.error, now);
+        return;
+      }
+      this._finishAttempt(job, { status: 'failed', error: outcome.error });
+      job.status = 'error';
+      job.error = outcome.error || 'Unknown error';
+      job.finishedAt = now.toISOString();
+    });
+  }
+
+  _finishAttempt(job, { status, error }) {
+    const attempt = job.attempts[job.attempts.length - 1];
+    if (!attempt || attempt.finishedAt) return;
+    Object.assign(attempt, {
+      finishedAt: new Date().toISOString(),
+      status,
+      ...(error ? { error } : {})
+    });
+  }
+
+  _scheduleRetry(job, error, now) {
+    this._finishAttempt(job, { status: 'failed', error });
+    job.error = error || 'Unknown error';
+    job.workerPid = null;
+    job.childPid = null;
+    job.childStartedAt = null;
+    if (job.attempts.length >= job.maxAttempts) {
+      job.status = 'error';
+      job.finishedAt = now.toISOString();
+      return;
+    }
+    const delay = Math.min(this.retryBaseMs * 2 ** (job.attempts.length - 1), MAX_RETRY_DELAY_MS);
+    job.status = 'retrying';
+    job.nextAttemptAt = new Date(now.getTime() + delay).toISOString();
+    job.logs = [...job.logs, `🔁 Retrying at ${job.nextAttemptAt}: ${job.error}`];
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+module.exports = JobQueue;
+module.exports.isTransientError = isTransientError;
+module.exports.resolveVideoProvider = resolveVideoProvider;
+module.exports.resolveImageProvider = resolveImageProvider;
+module.exports.processStartTime = processStartTime;
+module.exports.killProcessGroup = killProcessGroup;
+module.exports.JOB_TYPES = JOB_TYPES;
+module.exports.JOB_PROVIDERS = JOB_PROVIDERS;
+module.exports.JOB_TYPE_PROVIDERS = JOB_TYPE_PROVIDERS;
+module.exports.DEFAULT_CONCURRENCY = DEFAULT_CONCURRENCY;
@@ -0,0 +1,321 @@
+const path = require('path');
+const { spawn } = require('child_process');
+const StateStore = require('./state-store');
+const { isTransientError, killProcessGroup } = require('./job-queue');
+
+const backendRoot = path.join(__dirname, '..');
+
+function parseCampaignType(campaignType) {
+  const ct = String(campaignType || 'instagram-reel');
+  const parts = ct.split('-');
+  const platform = parts[0] || 'instagram';
+  const format = parts.slice(1).join('-') || 'reel';
+  return { platform, format };
+}
+
+function isPlayableVideoUrl(url) {
+  const s = String(url || '').trim();
+  return /^https?:\/\//i.test(s) && /(\.mp4|\.mov|\.webm)(\?|$)/i.test(s);
+}
+
+function parseMarker(output, marker) {
+  const match = output.match(new RegExp(`${marker}(.+)`));
+  if (!match) return null;
+  try {
+    return JSON.parse(match[1].trim());
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Job handlers: how to run a job type with main.js and what counts as success.
+ * `save` stores the stage record the UI reads once the job completes.
+ */
+const JOB_HANDLERS = {
+  video: {
+    args(req) {
+      const { platform, format } = parseCampaignType(req.campaignType);
+      const args = [
+        'stage', 'video',
+        '--topic', String(req.topic || 'PL Capital market update'),
+        '--language', String(req.language || 'english'),
+        '--type', String(req.campaignType || 'instagram-reel'),
+        '--platform', platform,
+        '--format', format,
+        '--duration', String(Number(req.duration || 15)),
+        '--aspect-ratio', String(req.aspectRatio || '9:16'),
+        '--wait-for-completion'
+      ];
+      if (req.useVeo) args.push('--use-veo');
+      if (req.useAvatar) args.push('--use-avatar');
+      else args.push('--no-avatar');
+      if (req.useAvatar && req.avatarId) args.push('--avatar-id', String(req.avatarId));
+      if (req.useAvatar && req.avatarVoiceId) args.push('--avatar-voice-id', String(req.avatarVoiceId));
+      if (req.useAvatar && req.avatarScriptText) args.push('--avatar-script', String(req.avatarScriptText));
+      if (req.brandId) args.push('--brand', String(req.brandId));
+      if (req.bypassCache) args.push('--no-cache');
+      return args;
+    },
+    env(req) {
+      const longCat = req.longCatConfig;
+      if (!longCat?.enabled) return {};
+      return {
+        LONGCAT_ENABLED: 'true',
+        LONGCAT_MODE: longCat.mode || 'text-to-video',
+        ...(longCat.prompt ? { LONGCAT_PROMPT: longCat.prompt } : {})
+      };
+    },
+    evaluate(code, output) {
+      const result = parseMarker(output, '__VIDEO_RESULT__');
+      const direct = result?.directVideoUrl || result?.videoUrl || '';
+      if (code === 0 && isPlayableVideoUrl(direct)) {
+        return { success: true, result };
+      }
+      return {
+        success: false,
+        result: result || undefined,
+        error: result?.dashboardUrl
+          ? `Video URL not ready yet. Track status: ${result.dashboardUrl}`
+          : `Video generation failed (exit code ${code})`
+      };
+    },
+    save(req, result, output) {
+      StateStore.open(path.join(backendRoot, 'data')).put('videos', {
+        id: `4-${Date.now()}`,
+        stageId: 4,
+        type: 'video-production',
+        topic: req.topic,
+        campaignType: req.campaignType,
+        platforms: req.platforms || [],
+        ...(req.brandId ? { brandId: req.brandId } : {}),
+        duration: req.duration,
+        useVeo: req.useVeo,
+        useAvatar: req.useAvatar,
+        avatarId: req.avatarId || undefined,
+        avatarScriptText: req.avatarScriptText || undefined,
+        avatarVoiceId: req.avatarVoiceId || undefined,
+        status: 'completed',
+        output,
+        hostedUrl: result?.hostedUrl || undefined,
+        videoUrl: result?.videoUrl || undefined,
+        directVideoUrl: result?.directVideoUrl || undefined,
+        dashboardUrl: result?.dashboardUrl || undefined,
+        videoId: result?.videoId || undefined,
+        videoStatus: result?.status || undefined,
+        completedAt: new Date().toISOString()
+      });
+    }
+  },
+
+  image: {
+    args(req) {
+      const { platform, format } = parseCampaignType(req.campaignType || 'linkedin-carousel');
+      const args = [
+        'stage', 'visuals',
+        '--topic', String(req.topic || 'PL Capital market update'),
+        '--language', String(req.language || 'english'),
+        '--type', String(req.campaignType || 'linkedin-carousel'),
+        '--platform', platform,
+        '--format', format
+      ];
+      if (req.brandId) args.push('--brand', String(req.brandId));
+      if (req.bypassCache) args.push('--no-cache');
+      return args;
+    },
+    env() {
+      return {};
+    },
+    evaluate(code, output) {
+      const images = parseMarker(output, '__STAGE3_IMAGES__');
+      if (code === 0 && Array.isArray(images) && images.length > 0) {
+        const document = parseMarker(output, '__STAGE3_DOCUMENT__');
+        return { success: true, result: { images, ...(document ? { document } : {}) } };
+      }
+      return { success: false, error: `Image generation failed (exit code ${code})` };
+    },
+    save(req, result, output) {
+      StateStore.open(path.join(backendRoot, 'data')).put('visuals', {
+        id: `3-${Date.now()}`,
+        stageId: 3,
+        type: 'visual-assets',
+        topic: req.topic,
+        campaignType: req.campaignType,
+        platforms: req.platforms || [],
+        ...(req.brandId ? { brandId: req.brandId } : {}),
+        status: 'completed',
+        output,
+        images: result.images,
+        ...(result.document ? { document: result.document } : {}),
+        completedAt: new Date().toISOString()
+      });
+    }
+  }
+};
+
+/**
+ * Job Worker
+ *
+ * Worker pool for the JobQueue: claims jobs up to each provider's concurrency limit and runs
+ * each one as a `main.js stage ...` child process. Transient provider failures are retried by
+ * the queue, cancel requests stop the child, and jobs left running by a stopped worker are
+ * recovered on every pass.
+ */
+class JobWorker {
+  constructor({ queue, pollMs = 2000, exitWhenIdle = false }) {
+    this.queue = queue;
+    this.pollMs = pollMs;
+    this.exitWhenIdle = exitWhenIdle;
+    this.stopped = false;
+    this.active = new Map();
+    this._wake = null;
+    this._timer = null;
+  }
+
+  /**
+   * One pass: recover interrupted jobs, stop cancelled ones, start what the limits allow
+   * @returns {Array} Jobs started in this pass
+   */
+  poll() {
+    for (const job of this.queue.recoverInterrupted()) {
+      console.log(`   ♻️  ${job.id}: recovered interrupted job → ${job.status}`);
+    }
+
+    for (const id of this.queue.heartbeat()) {
+      const running = this.active.get(id);
+      if (running && !running.cancelled) {
+        running.cancelled = true;
+        console.log(`   🛑 ${id}: cancelling`);
+        killProcessGroup(running.child.pid);
+      }
+    }
+
+    if (this.stopped) return [];
+    const claimed = this.queue.claim();
+    for (const job of claimed) {
+      const running = { child: null, cancelled: false, interrupted: false, done: null };
+      this.active.set(job.id, running);
+      running.done = this._run(job, running);
+    }
+    return claimed;
+  }
+
+  _run(job, running) {
+    const handler = JOB_HANDLERS[job.type];
+    const attempt = job.attempts.length;
+    console.log(`\n⚙️  ${job.id}: ${job.type} via ${job.provider} (attempt ${attempt}/${job.maxAttempts})`);
+
+    return new Promise((resolve) => {
+      const args = [path.join(backendRoot, 'main.js'), ...handler.args(job.request)];
+      this.queue.appendLog(job.id, `Running: node ${args.slice(1).join(' ')}`);
+
+      // Own process group so cancel can stop main.js and anything it spawned
+      const child = spawn('node', args, {
+        cwd: backendRoot,
+        env: { ...process.env, ...handler.env(job.request) },
+        detached: true
+      });
+      running.child = child;
+      this.queue.setChildPid(job.id, child.pid);
+
+      let output = '';
+      const onData = (prefix) => (data) => {
+        const text = data.toString();
+        output += text;
+        this.queue.appendLog(job.id, text.split('\n').map((line) => line.trim()).filter(Boolean).map((line) => prefix + line));
+      };
+      child.stdout.on('data', onData(''));
+      child.stderr.on('data', onData('⚠️ '));
+
+      child.on('error', (error) => {
+        output += `\n${error.message}`;
+      });
+
+      child.on('close', (code) => {
+        this.active.delete(job.id);
+        let outcome;
+
+        if (running.cancelled) {
+          outcome = { success: false, cancelled: true };
+        } else if (running.interrupted) {
+          outcome = { success: false, transient: true, error: 'Interrupted (worker stopped mid-job)' };
+        } else {
+          outcome = handler.evaluate(code, output);
+          if (outcome.success) {
+            try {
+              handler.save(job.request, outcome.result, output);
+              outcome.result = { ...outcome.result, stageSaved: true };
+            } catch (error) {
+              outcome = { success: false, error: `Failed to save stage data: ${error.message}` };
+            }
+          } else {
+            // Judge retryability on the failure itself, not on warnings logged earlier in the run
+            outcome.transient = isTransientError(`${outcome.error}\n${output.slice(-4000)}`) &&
+              !/Video URL not ready/.test(outcome.error);
+          }
+        }
+
+        const updated = this.queue.recordAttempt(job.id, outcome);
+        if (updated?.status === 'completed') {
+          console.log(`   ✅ ${job.id} completed`);
+          this.queue.appendLog(job.id, `${job.type === 'video' ? 'Video' : 'Image'} job completed successfully`);
+        } else if (updated?.status === 'retrying') {
+          console.log(`   🔁 ${job.id} failed (${outcome.error}); retrying at ${updated.nextAttemptAt}`);
+        } else if (updated?.status === 'cancelled') {
+          console.log(`   🛑 ${job.id} cancelled`);
+        } else {
+          console.log(`   ❌ ${job.id} failed: ${outcome.error}`);
+        }
+        resolve(updated);
+      });
+    });
+  }
+
+  /**
+   * Run until stop() is called, or until the queue is empty when exitWhenIdle is set.
+   * On SIGINT/SIGTERM running jobs are stopped and go back to the queue for a retry.
+   */
+  async start() {
+    const limits = Object.entries(this.queue.concurrency).map(([provider, n]) => `${provider}:${n}`).join(' ');
+    console.log(`⚙️  Job worker ${process.pid} running (limits ${limits}${this.exitWhenIdle ? ', exits when idle' : ', Ctrl+C to stop'})`);
+    const stop = () => this.stop();
+    process.once('SIGINT', stop);
+    process.once('SIGTERM', stop);
+
+    try {
+      while (!this.stopped) {
+        try {
+          this.poll();
+        } catch (error) {
+          console.error(`   ❌ Job worker pass failed: ${error.message}`);
+        }
+        if (this.exitWhenIdle && this.active.size === 0 && this.queue.countActive() === 0) break;
+        if (this.stopped) break;
+        await new Promise((resolve) => {
+          this._wake = resolve;
+          this._timer = setTimeout(resolve, this.pollMs);
+        });
+      }
+
+      for (const running of this.active.values()) {
+        running.interrupted = true;
+        if (running.child) killProcessGroup(running.child.pid);
+      }
+      await Promise.all([...this.active.values()].map((running) => running.done));
+    } finally {
+      this.queue.removeWorker();
+      process.removeListener('SIGINT', stop);
+      process.removeListener('SIGTERM', stop);
+    }
+    console.log('🛑 Job worker stopped');
+  }
+
+  stop() {
+    this.stopped = true;
+    clearTimeout(this._timer);
+    if (this._wake) this._wake();
+  }
+}
+
+module.exports = JobWorker;
+module.exports.JOB_HANDLERS = JOB_HANDLERS;
@@ -0,0 +1,283 @@
+/**
+ * Metrics Collector
+ *
+ * Pulls performance counts for published posts into the MetricsStore:
+ *
+ *   linkedin   share statistics (organization authors) or reaction/comment totals (members)
+ *   instagram  Media Insights (views, reach, likes, comments, shares, saves, interactions)
+ *   facebook   Page post insights, reel plays
+ *   twitter    public metrics summed over the thread's tweets
+ *   youtube    video statistics (views, likes, comments)
+ *   email      MoEngage campaign reports, per variant for A/B split tests
+ *
+ * Each pull is a snapshot in data/metrics.db, and the latest counts of every post are kept in
+ * the workflow's metrics bucket (`metrics-<series id>`), keyed to the content id the post was
+ * published from. Posts older than METRICS_LOOKBACK_DAYS (default 30) are no longer pulled.
+ * Stage 6 runs one pass for its platform and topic; `metrics worker` runs a pass every
+ * --interval seconds.
+ */
+
+const { normalizeMetrics } = require('./metrics-store');
+const { getLinkedInPublisher } = require('../integrations/linkedin-publisher');
+const { getInstagramPublisher } = require('../integrations/instagram-publisher');
+const { getFacebookPublisher } = require('../integrations/facebook-publisher');
+const { getTwitterPublisher } = require('../integrations/twitter-publisher');
+const { getYouTubePublisher } = require('../integrations/youtube-publisher');
+const { getMoengageClient } = require('../integrations/moengage-client');
+
+const DEFAULT_LOOKBACK_DAYS = 30;
+
+/**
+ * Send/open/click counts from a MoEngage campaign report (flat or under data/stats)
+ * @returns {{sends: number, opens: number, clicks: number}}
+ */
+function emailReportCounts(report) {
+  const stats = report?.data?.stats || report?.stats || report?.data || report || {};
+  const pick = (...keys) => {
+    for (const key of keys) {
+      const value = Number(stats[key]);
+      if (Number.isFinite(value)) return value;
+    }
+    return 0;
+  };
+  return {
+    sends: pick('delivered', 'sent', 'total_sent'),
+    opens: pick('unique_opens', 'opens'),
+    clicks: pick('unique_clicks', 'clicks')
+  };
+}
+
+// Per platform: the API client and how to read one published record's counts with it
+const SOURCES = {
+  linkedin: {
+    client: getLinkedInPublisher,
+    ready: (record) => record.postUrn,
+    fetch: (client, record) => client.getPostMetrics(record.postUrn)
+  },
+  instagram: {
+    client: getInstagramPublisher,
+    ready: (record) => record.mediaId,
+    fetch: (client, record) => client.getMediaMetrics(record.mediaId, record.mediaType)
+  },
+  facebook: {
+    client: getFacebookPublisher,
+    ready: (record) => record.postId || record.videoId,
+    fetch: (client, record) => client.getPostMetrics({ postId: record.postId, videoId: record.videoId })
+  },
+  twitter: {
+    client: getTwitterPublisher,
+    ready: (record) => Array.isArray(record.tweetIds) && record.tweetIds.length > 0,
+    fetch: (client, record) => client.getThreadMetrics(record.tweetIds)
+  },
+  youtube: {
+    client: getYouTubePublisher,
+    ready: (record) => record.videoId,
+    fetch: (client, record) => client.getVideoMetrics(record.videoId)
+  },
+  email: {
+    client: getMoengageClient,
+    ready: (record) => record.moengageCampaignId,
+    fetch: async (client, record) => emailReportCounts(await client.getCampaignReport(record.moengageCampaignId))
+  }
+};
+
+class MetricsCollector {
+  /**
+   * @param {Object} params
+   * @param {StateManager} params.stateManager - Published records are read from, and latest counts written to, its state
+   * @param {MetricsStore} params.store
+   * @param {number} [params.intervalMs] - Pause between passes in start() (default one hour)
+   * @param {number} [params.lookbackDays] - Only pull posts published this recently
+   */
+  constructor({ stateManager, store, intervalMs = 60 * 60 * 1000, lookbackDays }) {
+    this.stateManager = stateManager;
+    this.store = store;
+    this.intervalMs = intervalMs;
+    this.lookbackDays = lookbackDays || Number(process.env.METRICS_LOOKBACK_DAYS) || DEFAULT_LOOKBACK_DAYS;
+    this.stopped = false;
+    this._wake = null;
+    this._timer = null;
+  }
+
+  /**
+   * Series to pull: one per published post, one per variant for A/B email split tests
+   * @param {Object} [filters] - { platform, topic, since }
+   * @returns {Array<{seriesId, platform, record, variantKey, contentId}>}
+   */
+  targets({ platform, topic, since } = {}) {
+    const cutoff = since
+      ? new Date(since).getTime()
+      : Date.now() - this.lookbackDays * 24 * 60 * 60 * 1000;
+    const now = Date.now();
+    const normalizedTopic = (topic || '').trim();
+
+    const targets = [];
+    for (const record of Object.values(this.stateManager.getEntries('published'))) {
+      if (!record?.platform || !SOURCES[record.platform]) continue;
+      if (platform && record.platform !== platform) continue;
+      if (normalizedTopic && (record.topic || '').trim() !== normalizedTopic) continue;
+      if (new Date(record.publishedAt || 0).getTime() < cutoff) continue;
+      // Scheduled Facebook posts only have insights once they have gone out
+      const live = record.status === 'published' ||
+        (record.status === 'scheduled' && new Date(record.scheduledAt || 0).getTime() <= now);
+      if (!live) continue;
+
+      if (Array.isArray(record.variants) && record.abTestId) {
+        for (const variant of record.variants) {
+          if (!variant.moengageCampaignId) continue;
+          targets.push({
+            seriesId: `${record.id}:${variant.key}`,
+            platform: record.platform,
+            record: { ...record, moengageCampaignId: variant.moengageCampaignId },
+            variantKey: variant.key,
+            contentId: variant.id
+          });
+        }
+        continue;
+      }
+      if (!SOURCES[record.platform].ready(record)) continue;
+      targets.push({ seriesId: record.id, platform: record.platform, record, variantKey: null, contentId: record.contentId || null });
+    }
+    return targets;
+  }
+
+  /**
+   * Pull every target once
+   * @param {Object} [filters] - { platform, topic, since }
+   * @returns {Promise<{collected: number, failed: number, skipped: number, snapshots: Array}>}
+   */
+  async collect(filters = {}) {
+    const targets = this.targets(filters);
+    const summary = { collected: 0, failed: 0, skipped: 0, snapshots: [] };
+    if (targets.length === 0) {
+      console.log('   ℹ️  No published posts to pull metrics for');
+      return summary;
+    }
+
+    console.log(`   📈 Pulling metrics for ${targets.length} published post(s)...`);
+    const clients = new Map();
+    for (const target of targets) {
+      const source = SOURCES[target.platform];
+      if (!clients.has(target.platform)) {
+        try {
+          clients.set(target.platform, source.client());
+        } catch (error) {
+          console.log(`   ⚠️  ${target.platform}: ${error.message}`);
+          clients.set(target.platform, null);
+        }
+      }
+      const client = clients.get(target.platform);
+      if (!client) {
+        summary.skipped += 1;
+        continue;
+      }
+
+      try {
+        const counts = await source.fetch(client, target.record);
+        const snapshot = this.store.record({
+          ...counts,
+          seriesId: target.seriesId,
+          publishedId: target.record.id,
+          contentId: target.contentId,
+          campaignId: target.record.campaignId || null,
+          platform: target.platform,
+          topic: target.record.topic,
+          variantKey: target.variantKey
+        });
+        await this._saveLatest(snapshot);
+        summary.collected += 1;
+        summary.snapshots.push(snapshot);
+        console.log(`   ${target.platform.padEnd(9)} ${target.seriesId}: ${this._describe(snapshot)}`);
+      } catch (error) {
+        summary.failed += 1;
+        console.log(`   ⚠️  ${target.platform} ${target.seriesId}: ${error.message}`);
+      }
+    }
+
+    console.log(`   ✅ Metrics: ${summary.collected} pulled${summary.failed ? `, ${summary.failed} failed` : ''}${summary.skipped ? `, ${summary.skipped} skipped (not configured)` : ''}`);
+    return summary;
+  }
+
+  /**
+   * Keep the latest counts of a series in the workflow's metrics bucket
+   * @private
+   */
+  async _saveLatest(snapshot) {
+    const { seriesId, publishedId, contentId, campaignId, platform, topic, variantKey, fetchedAt, ...metrics } = snapshot;
+    await this.stateManager.putEntry('metrics', {
+      id: `metrics-${seriesId}`,
+      type: 'post-metrics',
+      stageId: 6,
+      seriesId,
+      publishedId,
+      contentId,
+      campaignId,
+      platform,
+      topic,
+      variantKey,
+      metrics: normalizeMetrics(metrics),
+      completedAt: fetchedAt
+    });
+  }
+
+  /**
+   * One-line summary of the counts a snapshot has
+   * @private
+   */
+  _describe(snapshot) {
+    const labels = {
+      impressions: 'impressions',
+      videoViews: 'views',
+      sends: 'sent',
+      opens: 'opened',
+      clicks: 'clicks',
+      engagements: 'engagements'
+    };
+    const parts = Object.entries(labels)
+      .filter(([field]) => snapshot[field] !== null)
+      .map(([field, label]) => `${snapshot[field]} ${label}`);
+    if (snapshot.ctr !== null) parts.push(`${(snapshot.ctr * 100).toFixed(2)}% CTR`);
+    return parts.join(', ') || 'no counts reported';
+  }
+
+  /**
+   * Pull on every interval until stop() is called (SIGINT/SIGTERM stop after the current pass)
+   * @param {Object} [filters] - Same as collect()
+   */
+  async start(filters = {}) {
+    console.log(`📈 Metrics collector running (every ${Math.round(this.intervalMs / 1000)}s, Ctrl+C to stop)`);
+    const stop = () => this.stop();
+    process.once('SIGINT', stop);
+    process.once('SIGTERM', stop);
+
+    try {
+      while (!this.stopped) {
+        try {
+          await this.stateManager.initialize();
+          await this.collect(filters);
+        } catch (error) {
+          console.error(`   ❌ Metrics pass failed: ${error.message}`);
+        }
+        if (this.stopped) break;
+        await new Promise((resolve) => {
+          this._wake = resolve;
+          this._timer = setTimeout(resolve, this.intervalMs);
+        });
+      }
+    } finally {
+      process.removeListener('SIGINT', stop);
+      process.removeListener('SIGTERM', stop);
+    }
+    console.log('🛑 Metrics collector stopped');
+  }
+
+  stop() {
+    this.stopped = true;
+    clearTimeout(this._timer);
+    if (this._wake) this._wake();
+  }
+}
+
+module.exports = MetricsCollector;
+module.exports.emailReportCounts = emailReportCounts;
+module.exports.METRIC_SOURCES = Object.keys(SOURCES);
@@ -0,0 +1,251 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+// Normalized counts every source maps onto; a source leaves out what its API doesn't report
+const METRIC_FIELDS = {
+  impressions: 'impressions',
+  reach: 'reach',
+  clicks: 'clicks',
+  engagements: 'engagements',
+  likes: 'likes',
+  comments: 'comments',
+  shares: 'shares',
+  saves: 'saves',
+  videoViews: 'video_views',
+  sends: 'sends',
+  opens: 'opens'
+};
+
+// Counts that add up to engagements when a platform doesn't report a total
+const ENGAGEMENT_FIELDS = ['likes', 'comments', 'shares', 'saves', 'clicks'];
+
+function invalidMetrics(message) {
+  return Object.assign(new Error(message), { code: 'INVALID_METRICS' });
+}
+
+function toCount(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? Math.max(0, Math.round(number)) : null;
+}
+
+function ratio(numerator, denominator) {
+  return numerator != null && denominator ? Number((numerator / denominator).toFixed(4)) : null;
+}
+
+/**
+ * Map raw counts onto the common schema and add the derived rates:
+ * ctr (clicks per impression, or per send for email), engagementRate and openRate
+ * @param {Object} counts - Any of METRIC_FIELDS
+ * @returns {Object}
+ */
+function normalizeMetrics(counts = {}) {
+  const metrics = Object.fromEntries(Object.keys(METRIC_FIELDS).map((field) => [field, toCount(counts[field])]));
+  if (metrics.engagements === null) {
+    const parts = ENGAGEMENT_FIELDS.map((field) => metrics[field]).filter((value) => value !== null);
+    metrics.engagements = parts.length > 0 ? parts.reduce((sum, value) => sum + value, 0) : null;
+  }
+  return {
+    ...metrics,
+    ctr: ratio(metrics.clicks, metrics.impressions ?? metrics.sends),
+    engagementRate: ratio(metrics.engagements, metrics.impressions ?? metrics.reach),
+    openRate: ratio(metrics.opens, metrics.sends)
+  };
+}
+
+function toIso(value, label) {
+  if (!value) return null;
+  const ms = new Date(value).getTime();
+  if (!Number.isFinite(ms)) throw invalidMetrics(`Invalid ${label} date: ${value}`);
+  return new Date(ms).toISOString();
+}
+
+/**
+ * Performance metrics time series (data/metrics.db).
+ *
+ * Every pull of a published post's counts is one snapshot. A series is one published post
+ * (`seriesId` = published record id), or one variant of an A/B split test
+ * (`<published id>:<variant key>`); snapshots keep the content id, campaign and topic they
+ * belong to so the dashboard can group by any of them.
+ */
+class MetricsStore {
+  constructor(dataDir) {
+    this.dataDir = dataDir;
+    this.dbFile = path.join(dataDir, 'metrics.db');
+
+    fs.mkdirSync(dataDir, { recursive: true });
+    this.db = new Database(this.dbFile);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('busy_timeout = 5000');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS snapshots (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        series_id TEXT NOT NULL,
+        published_id TEXT NOT NULL,
+        content_id TEXT,
+        campaign_id TEXT,
+        platform TEXT NOT NULL,
+        topic TEXT,
+        variant_key TEXT,
+        fetched_at TEXT NOT NULL,
+        ${Object.values(METRIC_FIELDS).map((column) => `${column} INTEGER`).join(',\n        ')}
+      );
+      CREATE INDEX IF NOT EXISTS snapshots_series ON snapshots (series_id, fetched_at);
+      CREATE INDEX IF NOT EXISTS snapshots_content ON snapshots (content_id, fetched_at);
+      CREATE INDEX IF NOT EXISTS snapshots_campaign ON snapshots (campaign_id, fetched_at);
+    `);
+  }
+
+  _fromRow(row) {
+    const counts = Object.fromEntries(Object.entries(METRIC_FIELDS).map(([field, column]) => [field, row[column]]));
+    return {
+      seriesId: row.series_id,
+      publishedId: row.published_id,
+      contentId: row.content_id,
+      campaignId: row.campaign_id,
+      platform: row.platform,
+      topic: row.topic,
+      variantKey: row.variant_key,
+      fetchedAt: row.fetched_at,
+      ...normalizeMetrics(counts)
+    };
+  }
+
+  /**
+   * WHERE clause for the common filters: { seriesId, platform, campaignId, contentId, topic, from, to }
+   * @private
+   */
+  _where(filters = {}) {
+    const clauses = [];
+    const params = {};
+    const equals = { seriesId: 'series_id', platform: 'platform', campaignId: 'campaign_id', contentId: 'content_id', topic: 'topic' };
+    for (const [key, column] of Object.entries(equals)) {
+      if (!filters[key]) continue;
+      clauses.push(`${column} = @${key}`);
+      params[key] = String(filters[key]).trim();
+    }
+    const from = toIso(filters.from, 'from');
+    const to = toIso(filters.to, 'to');
+    if (from) {
+      clauses.push('fetched_at >= @from');
+      params.from = from;
+    }
+    if (to) {
+      clauses.push('fetched_at <= @to');
+      params.to = to;
+    }
+    return { sql: clauses.length ? `WHERE ${clauses.join(' AND ')}` : '', params };
+  }
+
+  /**
+   * Save one pull of a series' counts
+   * @param {Object} snapshot - { seriesId, publishedId, contentId, campaignId, platform, topic, variantKey, fetchedAt, ...counts }
+   * @returns {Object} The stored snapshot, normalized
+   */
+  record(snapshot) {
+    if (!snapshot?.seriesId || !snapshot.publishedId || !snapshot.platform) {
+      throw invalidMetrics('A metrics snapshot needs seriesId, publishedId and platform');
+    }
+    const metrics = normalizeMetrics(snapshot);
+    const row = {
+      series_id: snapshot.seriesId,
+      published_id: snapshot.publishedId,
+      content_id: snapshot.contentId || null,
+      campaign_id: snapshot.campaignId || null,
+      platform: snapshot.platform,
+      topic: snapshot.topic || null,
+      variant_key: snapshot.variantKey || null,
+      fetched_at: snapshot.fetchedAt || new Date().toISOString(),
+      ...Object.fromEntries(Object.entries(METRIC_FIELDS).map(([field, column]) => [column, metrics[field]]))
+    };
+    const columns = Object.keys(row);
+    this.db.prepare(`INSERT INTO snapshots (${columns.join(', ')}) VALUES (${columns.map((c) => `@${c}`).join(', ')})`).run(row);
+    return this._fromRow(row);
+  }
+
+  /**
+   * Snapshots, oldest first
+   * @param {Object} [filters] - { seriesId, platform, campaignId, contentId, topic, from, to }
+   */
+  series(filters = {}) {
+    const { sql, params } = this._where(filters);
+    return this.db.prepare(`SELECT * FROM snapshots ${sql} ORDER BY fetched_at ASC, id ASC`).all(params)
+      .map((row) => this._fromRow(row));
+  }
+
+  /**
+   * The most recent snapshot of every series, newest first
+   * @param {Object} [filters] - Same as series(); from/to bound the snapshots considered
+   */
+  latest(filters = {}) {
+    const { sql, params } = this._where(filters);
+    return this.db.prepare(`
+      SELECT * FROM snapshots WHERE id IN (
+        SELECT MAX(id) FROM snapshots ${sql} GROUP BY series_id
+      ) ORDER BY fetched_at DESC
+    `).all(params).map((row) => this._fromRow(row));
+  }
+
+  /**
+   * Latest counts added up per platform, with rates recomputed from the totals
+   * @param {Object} [filters] - Same as series()
+   * @returns {Array<Object>} [{ platform, posts, ...metrics }]
+   */
+  totals(filters = {}) {
+    const byPlatform = new Map();
+    for (const snapshot of this.latest(filters)) {
+      const total = byPlatform.get(snapshot.platform) || { posts: 0 };
+      total.posts += 1;
+      for (const field of Object.keys(METRIC_FIELDS)) {
+        if (snapshot[field] !== null) total[field] = (total[field] || 0) + snapshot[field];
+      }
+      byPlatform.set(snapshot.platform, total);
+    }
+    return [...byPlatform.entries()]
+      .map(([platform, { posts, ...counts }]) => ({ platform, posts, ...normalizeMetrics(counts) }))
+      .sort((a, b) => a.platform.localeCompare(b.platform));
+  }
+
+  /**
+   * Counts per platform at the end of each day with snapshots: every series' latest counts
+   * up to that day, added up (for trend charts)
+   * @param {Object} [filters] - Same as series()
+   * @returns {Array<Object>} [{ date: 'YYYY-MM-DD', platform, posts, ...metrics }], oldest first
+   */
+  daily(filters = {}) {
+    const days = [];
+    const current = {};
+    let day = null;
+    const flush = () => {
+      const byPlatform = {};
+      for (const snapshot of Object.values(current)) {
+        const total = byPlatform[snapshot.platform] || { posts: 0 };
+        total.posts += 1;
+        for (const field of Object.keys(METRIC_FIELDS)) {
+          if (snapshot[field] !== null) total[field] = (total[field] || 0) + snapshot[field];
+        }
+        byPlatform[snapshot.platform] = total;
+      }
+      for (const [platform, { posts, ...counts }] of Object.entries(byPlatform).sort(([a], [b]) => a.localeCompare(b))) {
+        days.push({ date: day, platform, posts, ...normalizeMetrics(counts) });
+      }
+    };
+    for (const snapshot of this.series(filters)) {
+      const date = snapshot.fetchedAt.slice(0, 10);
+      if (day && date !== day) flush();
+      day = date;
+      current[snapshot.seriesId] = snapshot;
+    }
+    if (day) flush();
+    return days;
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+module.exports = MetricsStore;
+module.exports.METRIC_FIELDS = Object.keys(METRIC_FIELDS);
+module.exports.normalizeMetrics = normalizeMetrics;
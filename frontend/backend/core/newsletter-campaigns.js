@@ -0,0 +1,514 @@
+/**
+ * Newsletter Campaigns
+ *
+ * Sends an approved Stage 2 email newsletter to one or more MoEngage segments as explicit steps
+ * (`node main.js newsletter ...`, POST /api/moengage/campaigns):
+ *
+ *   create    one draft MoEngage email campaign per segment, scheduled immediately, at a fixed
+ *             time (IST by default) or at each recipient's best time on a date
+ *   test      test send to MOENGAGE_DEFAULT_TEST_EMAIL or --test-email addresses → in_review
+ *   approve   in_review → approved (reject → rejected; a new test send reopens the review)
+ *   launch    approved → launched: every draft goes active and one published record per segment
+ *             is written, so Stage 6 pulls its campaign report
+ *
+ * Segments come from --segment ids or from target audiences (brandConfig.targetAudiences keys or
+ * values), mapped to segment ids by MOENGAGE_AUDIENCE_SEGMENTS, e.g.
+ * {"hni": ["seg_hni"], "uhni": "seg_uhni", "mass_affluent": ["seg_ma_1", "seg_ma_2"]}.
+ * Campaigns are kept in data/newsletter-campaigns.db.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const brandConfig = require('../config/brand-config');
+const { checkEntry } = require('./compliance-checker');
+const { zonedTimeToUtc, formatInTimeZone, DEFAULT_TIME_ZONE } = require('./schedule-store');
+const { getMoengageEmailPublisher } = require('../integrations/moengage-email-publisher');
+
+const CAMPAIGN_STATUSES = ['draft', 'in_review', 'approved', 'rejected', 'launched'];
+
+// Review steps after create: which statuses each action may start from, and where it leads
+const CAMPAIGN_TRANSITIONS = {
+  test: { from: ['draft', 'in_review', 'rejected'], to: 'in_review' },
+  approve: { from: ['in_review'], to: 'approved' },
+  reject: { from: ['in_review'], to: 'rejected' }
+};
+
+function invalidNewsletterCampaign(message) {
+  return Object.assign(new Error(message), { code: 'INVALID_NEWSLETTER_CAMPAIGN' });
+}
+
+function toList(value) {
+  return [].concat(value ?? [])
+    .flatMap((item) => String(item).split(','))
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * MOENGAGE_AUDIENCE_SEGMENTS as { audience key or value: [segment ids] }
+ */
+function audienceSegmentMap() {
+  const raw = process.env.MOENGAGE_AUDIENCE_SEGMENTS;
+  if (!raw) return {};
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch {
+    throw invalidNewsletterCampaign('MOENGAGE_AUDIENCE_SEGMENTS must be JSON, e.g. {"hni": ["seg_hni"], "uhni": "seg_uhni"}');
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw invalidNewsletterCampaign('MOENGAGE_AUDIENCE_SEGMENTS must map audiences to segment ids');
+  }
+  return Object.fromEntries(Object.entries(parsed).map(([audience, ids]) => [audience, toList(ids)]));
+}
+
+/**
+ * The brand's target audiences with the MoEngage segments each is mapped to
+ * @param {Object} [brand] - Brand profile (brandConfig shape)
+ * @returns {Array<{key: string, audience: string, label: string, description: string, segmentIds: string[]}>}
+ */
+function audienceSegments(brand = brandConfig) {
+  const map = audienceSegmentMap();
+  return Object.entries(brand.targetAudiences || {}).map(([key, audience]) => ({
+    key,
+    audience: audience.value || key,
+    label: audience.label || key,
+    description: audience.description || '',
+    segmentIds: [...new Set([...(map[key] || []), ...(map[audience.value] || [])])]
+  }));
+}
+
+/**
+ * Segments to send to: explicit segment ids, then the segments of each audience; the default
+ * segment when neither is given. Duplicates are sent once.
+ * @param {Object} options
+ * @param {string|string[]} [options.audiences] - Audience keys or values (comma list or array)
+ * @param {string|string[]} [options.segmentIds] - MoEngage segment ids (comma list or array)
+ * @param {Object} [options.brand]
+ * @param {string} [options.defaultSegmentId] - MOENGAGE_DEFAULT_SEGMENT_ID
+ * @returns {Array<{segmentId: string, audience: string|null}>}
+ */
+function resolveSegments({ audiences, segmentIds, brand = brandConfig, defaultSegmentId } = {}) {
+  const known = audienceSegments(brand);
+  const segments = toList(segmentIds).map((segmentId) => ({ segmentId, audience: null }));
+
+  for (const name of toList(audiences)) {
+    const audience = known.find((a) => a.key === name || a.audience === name);
+    if (!audience) {
+      throw invalidNewsletterCampaign(`Unknown audience: ${name} (expected ${known.map((a) => a.audience).join(', ')})`);
+    }
+    if (audience.segmentIds.length === 0) {
+      throw invalidNewsletterCampaign(`No MoEngage segment mapped to audience "${audience.audience}" (set MOENGAGE_AUDIENCE_SEGMENTS)`);
+    }
+    segments.push(...audience.segmentIds.map((segmentId) => ({ segmentId, audience: audience.audience })));
+  }
+
+  if (segments.length === 0 && defaultSegmentId) {
+    segments.push({ segmentId: defaultSegmentId, audience: null });
+  }
+  if (segments.length === 0) {
+    throw invalidNewsletterCampaign('No segment to send to: pass segment ids or audiences, or set MOENGAGE_DEFAULT_SEGMENT_ID');
+  }
+
+  const seen = new Set();
+  return segments.filter((s) => !seen.has(s.segmentId) && seen.add(s.segmentId));
+}
+
+/**
+ * When the campaign goes out once launched
+ * @param {Object} [options]
+ * @param {string} [options.sendAt] - Wall-clock time in timeZone ("2026-10-20 09:30") or ISO with offset
+ * @param {boolean|string} [options.bestTime] - Each recipient's best time; a date ("2026-10-20") picks
+ *   the day (default today), and sendAt, when also given, is the fallback time of day
+ * @param {string} [options.timeZone] - IANA zone (default Asia/Kolkata)
+ * @returns {Object} { type: 'immediate' } | { type: 'fixed_time', sendAt, localTime, timeZone } |
+ *   { type: 'best_time', date, fallbackTime, timeZone }
+ */
+function parseSendSchedule({ sendAt, bestTime, timeZone = DEFAULT_TIME_ZONE } = {}) {
+  const zone = timeZone || DEFAULT_TIME_ZONE;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: zone });
+  } catch {
+    throw invalidNewsletterCampaign(`Unknown time zone: ${zone}`);
+  }
+
+  if (bestTime) {
+    const today = formatInTimeZone(new Date(), zone).slice(0, 10);
+    const date = typeof bestTime === 'string' && bestTime !== 'true' ? bestTime.trim() : today;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      throw invalidNewsletterCampaign(`Invalid best-time date "${bestTime}" (use YYYY-MM-DD)`);
+    }
+    if (date < today) throw invalidNewsletterCampaign(`Best-time date ${date} is in the past`);
+    let fallbackTime = null;
+    if (sendAt) {
+      fallbackTime = String(sendAt).trim();
+      if (!/^\d{2}:\d{2}$/.test(fallbackTime)) {
+        throw invalidNewsletterCampaign(`With best time, the send time is the fallback time of day (HH:mm), got "${sendAt}"`);
+      }
+    }
+    return { type: 'best_time', date, fallbackTime, timeZone: zone };
+  }
+
+  if (sendAt) {
+    let at;
+    try {
+      at = zonedTimeToUtc(sendAt, zone);
+    } catch (error) {
+      throw error.code === 'INVALID_SCHEDULE' ? invalidNewsletterCampaign(error.message) : error;
+    }
+    if (at.getTime() <= Date.now()) {
+      throw invalidNewsletterCampaign(`Send time ${sendAt} (${zone}) is in the past`);
+    }
+    return { type: 'fixed_time', sendAt: at.toISOString(), localTime: formatInTimeZone(at, zone), timeZone: zone };
+  }
+
+  return { type: 'immediate' };
+}
+
+/**
+ * "immediately", "at 2026-10-20 09:30 Asia/Kolkata", ...
+ */
+function describeSchedule(schedule) {
+  switch (schedule?.type) {
+    case 'fixed_time':
+      return `at ${schedule.localTime} ${schedule.timeZone}`;
+    case 'best_time':
+      return `at each recipient's best time on ${schedule.date}${schedule.fallbackTime ? ` (fallback ${schedule.fallbackTime})` : ''} ${schedule.timeZone}`;
+    default:
+      return 'immediately';
+  }
+}
+
+/**
+ * Newsletter campaigns (data/newsletter-campaigns.db)
+ */
+class NewsletterCampaignStore {
+  constructor(dataDir) {
+    this.dataDir = dataDir;
+    this.dbFile = path.join(dataDir, 'newsletter-campaigns.db');
+
+    fs.mkdirSync(dataDir, { recursive: true });
+    this.db = new Database(this.dbFile);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('busy_timeout = 5000');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS newsletter_campaigns (
+        id TEXT PRIMARY KEY,
+        data TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      )
+    `);
+  }
+
+  _put(campaign) {
+    this.db.prepare(`
+      INSERT INTO newsletter_campaigns (id, data, created_at, updated_at) VALUES (@id, @data, @createdAt, @updatedAt)
+      ON CONFLICT(id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at
+    `).run({ id: campaign.id, data: JSON.stringify(campaign), createdAt: campaign.createdAt, updatedAt: campaign.updatedAt });
+    return campaign;
+  }
+
+  create(campaign) {
+    const now = new Date().toISOString();
+    return this._put({
+      id: `NL-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`,
+      ...campaign,
+      status: 'draft',
+      history: [{ action: 'create', at: now }],
+      createdAt: now,
+      updatedAt: now
+    });
+  }
+
+  get(id) {
+    const row = this.db.prepare('SELECT data FROM newsletter_campaigns WHERE id = ?').get(id);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  /**
+   * Campaigns, newest first
+   * @param {Object} [filters] - { status, topic }
+   */
+  list({ status, topic } = {}) {
+    if (status && !CAMPAIGN_STATUSES.includes(status)) {
+      throw invalidNewsletterCampaign(`Unknown campaign status: ${status} (expected ${CAMPAIGN_STATUSES.join(', ')})`);
+    }
+    return this.db.prepare('SELECT data FROM newsletter_campaigns ORDER BY created_at DESC').all()
+      .map((row) => JSON.parse(row.data))
+      .filter((campaign) => (!status || campaign.status === status) &&
+        (!topic || (campaign.topic || '').trim() === topic.trim()));
+  }
+
+  /**
+   * Apply fn(campaign) to a saved campaign and store the result
+   * @returns {Object|null} Updated campaign, or null when it does not exist
+   */
+  update(id, fn) {
+    const run = this.db.transaction(() => {
+      const current = this.get(id);
+      if (!current) return null;
+      return this._put({ ...fn(current), id, updatedAt: new Date().toISOString() });
+    });
+    return run.immediate();
+  }
+
+  remove(id) {
+    return this.db.prepare('DELETE FROM newsletter_campaigns WHERE id = ?').run(id).changes > 0;
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+/**
+ * The newsletter record for a content id, or the topic's latest newsletter (the latest of any
+ * topic when no topic is given)
+ * @private
+ */
+function findNewsletter(stateManager, { contentId, topic }) {
+  if (contentId) {
+    const record = stateManager.getEntry('content', contentId);
+    if (!record) throw invalidNewsletterCampaign(`No content record with id ${contentId}`);
+    if (record.contentType !== 'email-newsletter') {
+      throw invalidNewsletterCampaign(`${contentId} is a ${record.contentType || 'content'} record, not an email newsletter`);
+    }
+    return record;
+  }
+  const newsletters = Object.values(stateManager.getEntries('content'))
+    .filter((e) => e?.contentType === 'email-newsletter' && !e.variantOf)
+    .sort((a, b) => new Date(b.completedAt || 0).getTime() - new Date(a.completedAt || 0).getTime());
+  const wanted = (topic || '').trim().toLowerCase();
+  if (!wanted) {
+    if (!newsletters[0]) throw invalidNewsletterCampaign('No email newsletter in the workflow state (run the email-newsletter content stage first)');
+    return newsletters[0];
+  }
+  // Never another topic's newsletter: it would go out to real segments under the wrong topic
+  const record = newsletters.find((e) => (e.topic || '').trim().toLowerCase() === wanted);
+  if (!record) throw invalidNewsletterCampaign(`No email newsletter for topic "${topic.trim()}" (run the email-newsletter content stage for it, or pass a content id)`);
+  return record;
+}
+
+/**
+ * Create the draft MoEngage campaigns for a newsletter. The newsletter must be approved and pass
+ * the compliance check for every audience it goes to.
+ * @param {Object} context - { stateManager, store, brand }
+ * @param {Object} options
+ * @param {string} [options.contentId] - Newsletter content record (default: the topic's latest)
+ * @param {string} [options.topic]
+ * @param {string|string[]} [options.audiences] - Target audiences (see resolveSegments)
+ * @param {string|string[]} [options.segmentIds] - MoEngage segment ids
+ * @param {string} [options.sendAt] - See parseSendSchedule
+ * @param {boolean|string} [options.bestTime]
+ * @param {string} [options.timeZone]
+ * @param {string} [options.campaignId] - Planning campaign the sends belong to
+ * @param {string} [options.brandId]
+ * @returns {Promise<Object>} The draft campaign
+ */
+async function createNewsletterCampaign({ stateManager, store, brand = brandConfig }, options = {}) {
+  const record = findNewsletter(stateManager, options);
+  if (!record.html || !record.subject) {
+    throw invalidNewsletterCampaign(`${record.id} has no html or subject to send`);
+  }
+  const reviewStatus = stateManager.getReviewStatus(record);
+  if (reviewStatus !== 'approved') {
+    throw invalidNewsletterCampaign(`${record.id} is ${reviewStatus.replace('_', ' ')}; approve the newsletter before creating a campaign`);
+  }
+
+  const publisher = getMoengageEmailPublisher();
+  const segments = resolveSegments({
+    audiences: options.audiences,
+    segmentIds: options.segmentIds,
+    brand,
+    defaultSegmentId: publisher.defaultSegmentId
+  });
+  const schedule = parseSendSchedule(options);
+
+  // Every requested audience is checked (a shared segment is only sent once); unmapped segments
+  // against the newsletter's own audience
+  const requested = toList(options.audiences);
+  const audiences = [...new Set([
+    ...audienceSegments(brand).filter((a) => requested.includes(a.key) || requested.includes(a.audience)).map((a) => a.audience),
+    ...segments.map((s) => s.audience || record.targetAudience || undefined)
+  ])];
+  const failing = audiences
+    .map((audience) => checkEntry(record, { audience, brand }))
+    .filter((report) => !report.passed);
+  if (failing.length > 0) {
+    const errors = failing.flatMap((report) => report.findings
+      .filter((f) => f.severity === 'error')
+      .map((f) => `${report.audience}: ${f.message}`));
+    throw invalidNewsletterCampaign(`${record.id} fails the compliance check: ${errors.join('; ')}`);
+  }
+
+  const topic = record.topic || options.topic || '';
+  const draft = store.create({
+    contentId: record.id,
+    topic,
+    subject: record.subject,
+    brandId: options.brandId || record.brandId || null,
+    campaignId: options.campaignId || record.campaignId || null,
+    schedule,
+    segments: []
+  });
+
+  console.log(`   📧 Newsletter campaign ${draft.id}: "${record.subject}" to ${segments.length} segment(s), sending ${describeSchedule(schedule)}`);
+  let created;
+  try {
+    created = await publisher.createNewsletterDrafts({ ...record, topic }, { segments, schedule, campaignId: draft.id });
+  } catch (error) {
+    store.remove(draft.id);
+    throw error;
+  }
+  return store.update(draft.id, (current) => ({ ...current, segments: created }));
+}
+
+function getCampaign(store, id) {
+  const campaign = id && store.get(id);
+  if (!campaign) throw invalidNewsletterCampaign(`Newsletter campaign not found: ${id || '(none)'}`);
+  return campaign;
+}
+
+function assertTransition(campaign, action) {
+  const { from } = CAMPAIGN_TRANSITIONS[action];
+  if (!from.includes(campaign.status)) {
+    throw invalidNewsletterCampaign(`Cannot ${action} ${campaign.id}: it is ${campaign.status.replace('_', ' ')} (expected ${from.join(' or ')})`);
+  }
+}
+
+/**
+ * Send the newsletter to test addresses (through the first segment's campaign) and open the review
+ * @param {Object} context - { store }
+ * @param {string} id
+ * @param {Object} [options] - { testEmails }
+ */
+async function sendTestEmails({ store }, id, { testEmails } = {}) {
+  const campaign = getCampaign(store, id);
+  assertTransition(campaign, 'test');
+  const first = campaign.segments[0];
+  if (!first?.moengageCampaignId) throw invalidNewsletterCampaign(`${id} has no MoEngage campaign to test`);
+
+  const recipients = await getMoengageEmailPublisher().sendTestEmail(first.moengageCampaignId, toList(testEmails));
+  console.log(`   🧪 Test email for ${id} sent to ${recipients.join(', ')}`);
+  return store.update(id, (current) => ({
+    ...current,
+    status: CAMPAIGN_TRANSITIONS.test.to,
+    history: [...current.history, { action: 'test', at: new Date().toISOString(), testEmails: recipients }]
+  }));
+}
+
+/**
+ * Approve or reject a tested campaign
+ * @param {Object} context - { store }
+ * @param {string} id
+ * @param {'approve'|'reject'} action
+ * @param {Object} [options] - { reviewer, comment }
+ */
+function reviewNewsletterCampaign({ store }, id, action, { reviewer, comment } = {}) {
+  if (!['approve', 'reject'].includes(action)) {
+    throw invalidNewsletterCampaign(`Unknown review action: ${action} (expected approve or reject)`);
+  }
+  const campaign = getCampaign(store, id);
+  assertTransition(campaign, action);
+  return store.update(id, (current) => ({
+    ...current,
+    status: CAMPAIGN_TRANSITIONS[action].to,
+    history: [...current.history, {
+      action,
+      at: new Date().toISOString(),
+      ...(reviewer ? { reviewer } : {}),
+      ...(comment ? { comment } : {})
+    }]
+  }));
+}
+
+/**
+ * Activate every segment's draft and record one Stage 5 published entry per segment
+ * @param {Object} context - { stateManager, store }
+ * @param {string} id
+ * @returns {Promise<Object>} Stage 5 style result
+ */
+async function launchNewsletterCampaign({ stateManager, store }, id) {
+  const campaign = getCampaign(store, id);
+  if (campaign.status !== 'approved') {
+    const hint = campaign.status === 'launched' ? '' : ' (send a test and approve it first)';
+    throw invalidNewsletterCampaign(`Cannot launch ${id}: it is ${campaign.status.replace('_', ' ')}${hint}`);
+  }
+  const { schedule } = campaign;
+  if (schedule.type === 'fixed_time' && new Date(schedule.sendAt).getTime() <= Date.now()) {
+    throw invalidNewsletterCampaign(`Cannot launch ${id}: its send time ${schedule.localTime} (${schedule.timeZone}) has passed; create a new campaign`);
+  }
+  if (schedule.type === 'best_time' && schedule.date < formatInTimeZone(new Date(), schedule.timeZone).slice(0, 10)) {
+    throw invalidNewsletterCampaign(`Cannot launch ${id}: its best-time date ${schedule.date} has passed; create a new campaign`);
+  }
+
+  const publisher = getMoengageEmailPublisher();
+  const launched = [];
+  for (const segment of campaign.segments) {
+    if (segment.launchedAt) {
+      launched.push(segment);
+      continue;
+    }
+    await publisher.launchCampaign(segment.moengageCampaignId);
+    launched.push({ ...segment, launchedAt: new Date().toISOString() });
+    // Saved per segment so a retry after a failure does not launch a segment twice
+    store.update(id, (current) => ({ ...current, segments: launched.concat(current.segments.slice(launched.length)) }));
+    console.log(`   🚀 ${segment.segmentId}${segment.audience ? ` (${segment.audience})` : ''}: campaign ${segment.moengageCampaignId} live`);
+  }
+
+  const scheduledAt = schedule.type === 'fixed_time'
+    ? schedule.sendAt
+    : schedule.type === 'best_time'
+      ? zonedTimeToUtc(`${schedule.date} ${schedule.fallbackTime || '00:00'}`, schedule.timeZone).toISOString()
+      : null;
+  const published = [];
+  for (const [index, segment] of launched.entries()) {
+    const publishedId = `email-${Date.now()}-${index + 1}`;
+    await stateManager.addPublished({
+      id: publishedId,
+      platform: 'email',
+      topic: campaign.topic,
+      status: scheduledAt ? 'scheduled' : 'published',
+      ...(scheduledAt ? { scheduledAt } : {}),
+      subject: campaign.subject,
+      contentId: campaign.contentId,
+      campaignId: campaign.campaignId,
+      newsletterCampaignId: id,
+      moengageCampaignId: segment.moengageCampaignId,
+      segmentId: segment.segmentId,
+      audience: segment.audience
+    });
+    published.push(publishedId);
+  }
+
+  const launchedAt = new Date().toISOString();
+  store.update(id, (current) => ({
+    ...current,
+    status: 'launched',
+    launchedAt,
+    publishedIds: published,
+    history: [...current.history, { action: 'launch', at: launchedAt }]
+  }));
+  console.log(`   ✅ ${id} launched to ${launched.length} segment(s), sending ${describeSchedule(schedule)}`);
+  return {
+    success: true,
+    platform: 'email',
+    status: scheduledAt ? 'scheduled' : 'published',
+    newsletterCampaignId: id,
+    publishedIds: published,
+    ...(scheduledAt ? { scheduledAt } : {})
+  };
+}
+
+module.exports = NewsletterCampaignStore;
+module.exports.createNewsletterCampaign = createNewsletterCampaign;
+module.exports.sendTestEmails = sendTestEmails;
+module.exports.reviewNewsletterCampaign = reviewNewsletterCampaign;
+module.exports.launchNewsletterCampaign = launchNewsletterCampaign;
+module.exports.audienceSegments = audienceSegments;
+module.exports.resolveSegments = resolveSegments;
+module.exports.parseSendSchedule = parseSendSchedule;
+module.exports.describeSchedule = describeSchedule;
+module.exports.CAMPAIGN_STATUSES = CAMPAIGN_STATUSES;
@@ -1,10 +1,87 @@
 const fs = require('fs');
 const path = require('path');
 const StateManager = require('./state-manager');
+const { checkEntry, formatReport } = require('./compliance-checker');
 const ImageGenerator = require('../image/image-generator');
+const CarouselRenderer = require('../image/carousel-renderer');
 const VideoCoordinator = require('../video/video-coordinator');
 const { getMoengageEmailPublisher } = require('../integrations/moengage-email-publisher');
 const { getMoengageClient } = require('../integrations/moengage-client');
+const { getLinkedInPublisher } = require('../integrations/linkedin-publisher');
+const { getInstagramPublisher, MAX_CAROUSEL_CHILDREN } = require('../integrations/instagram-publisher');
+const { getYouTubePublisher } = require('../integrations/youtube-publisher');
+const { getTwitterPublisher, prepareThread, MAX_IMAGES_PER_TWEET } = require('../integrations/twitter-publisher');
+const { getFacebookPublisher } = require('../integrations/facebook-publisher');
+const brandConfig = require('../config/brand-config');
+const BrandStore = require('./brand-store');
+const GenerationCache = require('./generation-cache');
+const TextClient = require('../text/text-client');
+const ABTestStore = require('./ab-testing');
+const NewsletterCampaignStore = require('./newsletter-campaigns');
+const MetricsStore = require('./metrics-store');
+const MetricsCollector = require('./metrics-collector');
+
+// Hard constraints for WhatsApp image generation:
+// 1) keep rendered text to headline + CTA only, since smaller subtitle text tends to degrade
+// 2) never render faces/people even if Stage 1 described them
+const TEXT_LOCK_SUFFIX = '\n\nTEXT LOCK: Render ONLY these text elements in the final image: (1) the main headline and (2) the CTA button text. Do NOT render any subtitle, supporting line, body copy, caption, disclaimer, footer text, or any extra text anywhere else in the creative.';
+const NO_FACES_SUFFIX = '\n\nHARD CONSTRAINT: ABSOLUTELY NO human faces, people, persons, or body parts anywhere in the image. Use only abstract finance visuals: charts, ₹ symbols, geometric shapes, icons, gradients.';
+
+// Response shapes for TextClient#generateJson; the call sites still clamp lengths and fill defaults
+const THREAD_SCHEMA = {
+  type: 'object',
+  required: ['tweets'],
+  properties: { tweets: { type: 'array', minItems: 2, items: { type: 'string', minLength: 1 } } }
+};
+const CAROUSEL_SCHEMA = {
+  type: 'object',
+  required: ['coverText', 'slides'],
+  properties: {
+    slideCount: { type: ['number', 'string'] },
+    coverText: { type: 'string', minLength: 1 },
+    slides: {
+      type: 'array',
+      minItems: 3,
+      items: {
+        type: 'object',
+        required: ['title', 'body'],
+        properties: { title: { type: 'string' }, body: { type: 'string' }, highlight: { type: 'string' }, visualCue: { type: 'string' } }
+      }
+    },
+    finalSlideCta: { type: 'string' },
+    disclaimerLine: { type: 'string' }
+  }
+};
+const INFOGRAPHIC_SCHEMA = {
+  type: 'object',
+  required: ['title', 'sections'],
+  properties: {
+    title: { type: 'string', minLength: 1 },
+    subtitle: { type: 'string' },
+    layoutStyle: { type: 'string' },
+    sections: {
+      type: 'array',
+      minItems: 3,
+      items: {
+        type: 'object',
+        required: ['heading', 'body'],
+        properties: { heading: { type: 'string' }, body: { type: 'string' }, statOrNumber: { type: ['string', 'number'] }, visualCue: { type: 'string' } }
+      }
+    },
+    footerCta: { type: 'string' },
+    disclaimerLine: { type: 'string' }
+  }
+};
+const WHATSAPP_SCHEMA = {
+  type: 'object',
+  required: ['headline', 'body', 'cta'],
+  properties: {
+    headline: { type: 'string', minLength: 1 },
+    body: { type: 'string', minLength: 1 },
+    cta: { type: 'string', minLength: 1 }
+  }
+};
+const { getCampaignType, withCampaignDefaults } = require('./campaign-types');
 
 class SocialMediaOrchestrator {
   constructor(options = {}) {
@@ -13,6 +90,83 @@ class SocialMediaOrchestrator {
     this.limit = options.limit || null;
 
     this.stateManager = new StateManager(path.join(this.projectRoot, 'data'));
+    this.brandStore = null;
+    this.brand = brandConfig;
+    this.usageContext = { dataDir: path.join(this.projectRoot, 'data') };
+    this.bypassCache = false;
+  }
+
+  /**
+   * Campaign and stage that image and text provider spend is booked to
+   * (options.campaignId, else the topic), and whether this run skips the generation cache
+   */
+  _setUsageContext(options, stage) {
+    const campaignId = options.campaignId || (options.topic ? `topic:${options.topic}` : 'unassigned');
+    this.usageContext = { ...this.usageContext, campaignId, stage };
+    this.bypassCache = Boolean(options.bypassCache);
+  }
+
+  /**
+   * Select the brand profile that prompts, logos and disclaimers are built from
+   * @param {string} [brandId] - Brand profile id (defaults to BRAND_ID, then the built-in profile)
+   * @returns {Object} Resolved profile (brandConfig shape)
+   */
+  useBrand(brandId) {
+    const id = brandId || process.env.BRAND_ID || BrandStore.DEFAULT_BRAND_ID;
+    this.brandStore = this.brandStore || new BrandStore(path.join(this.projectRoot, 'data'));
+    this.brand = this.brandStore.resolve(id);
+    this.brandId = id;
+    if (this.brand.company.shortName !== brandConfig.company.shortName) {
+      console.log(`🏷️  Brand: ${this.brand.company.name} (${id})`);
+    }
+    return this.brand;
+  }
+
+  /**
+   * Run a generation through the GenerationCache (skipped when this run bypasses the cache)
+   * @param {Object} parts - Cache key material: { kind, provider, model, prompt, config }
+   * @param {Function} produce - async () => result; null results are not cached
+   */
+  _cachedGeneration(parts, produce) {
+    this.generationCache = this.generationCache || GenerationCache.open(path.join(this.projectRoot, 'data'));
+    return this.generationCache.remember(parts, produce, { bypass: this.bypassCache });
+  }
+
+  /**
+   * Performance metrics time series (data/metrics.db)
+   */
+  _getMetricsStore() {
+    this.metricsStore = this.metricsStore || new MetricsStore(path.join(this.projectRoot, 'data'));
+    return this.metricsStore;
+  }
+
+  /**
+   * A/B tests of Stage 2 variants (data/ab-tests.db)
+   */
+  _getAbTestStore() {
+    this.abTestStore = this.abTestStore || new ABTestStore(path.join(this.projectRoot, 'data'));
+    return this.abTestStore;
+  }
+
+  /**
+   * Segment-targeted newsletter sends awaiting test, review and launch (data/newsletter-campaigns.db)
+   */
+  _getNewsletterCampaignStore() {
+    this.newsletterCampaignStore = this.newsletterCampaignStore || new NewsletterCampaignStore(path.join(this.projectRoot, 'data'));
+    return this.newsletterCampaignStore;
+  }
+
+  /**
+   * Text generation client for copy; calls are booked to the current usage context and, when a
+   * request sets `cache: true`, go through the generation cache
+   */
+  _getTextClient() {
+    this.textClient = this.textClient || new TextClient({
+      dataDir: path.join(this.projectRoot, 'data'),
+      usage: () => this.usageContext,
+      cache: (parts, produce) => this._cachedGeneration(parts, produce)
+    });
+    return this.textClient;
   }
 
   _getLatestCampaignPlanningEntry(topic, options = {}) {
@@ -93,22 +247,22 @@ class SocialMediaOrchestrator {
   }
 
   async _generateHeyGenScript(options) {
-    const topic = options.topic || 'PL Capital investing insights';
+    const topic = options.topic || `${this.brand.company.shortName} investing insights`;
     const platform = options.platform || 'instagram';
     const format = options.format || 'reel';
     const duration = Number(options.duration || 8);
     const language = options.language || 'english';
 
     const wordsTarget = Math.max(12, Math.round(duration * 2.2)); // ~2.2 wps for clear speech
-    const groqKey = process.env.GROQ_API_KEY;
+    const textClient = this._getTextClient();
 
     const planning = this._getLatestCampaignPlanningEntry(topic);
     const planningText = (planning?.creativePrompt || planning?.output || '').trim();
     const pdfContext = (process.env.RESEARCH_PDF_CONTEXT || '').trim().slice(0, 2000);
 
-    if (!groqKey) {
+    if (!textClient.isAvailable('avatar-script')) {
       const hook = platform === 'instagram' ? 'Stop scrolling—quick money tip.' : 'Quick update.';
-      return `${hook} ${topic}. Want a simple plan? Talk to PL Capital today.`.trim();
+      return `${hook} ${topic}. Want a simple plan? Talk to ${this.brand.company.shortName} today.`.trim();
     }
 
     const systemPrompt = `You write short, natural spoken scripts for a financial services video avatar.
@@ -145,32 +299,8 @@ Output rules:
 - Output ONLY the script text the avatar should speak.
 - Do NOT include quotation marks or labels like "Script:".`;
 
-    const model = process.env.GROQ_HEYGEN_SCRIPT_MODEL || 'llama-3.3-70b-versatile';
-
-    const response = await fetch('https://api.groq.com/openai/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        Authorization: `Bearer ${groqKey}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        model,
-        messages: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user', content: userPrompt }
-        ],
-        temperature: 0.6,
-        max_tokens: 400
-      })
-    });
-
-    if (!response.ok) {
-      const text = await response.text().catch(() => '');
-      throw new Error(text || `Groq API error: ${response.status}`);
-    }
-
-    const data = await response.json();
-    let script = (data.choices?.[0]?.message?.content || '').trim();
+    const { text } = await textClient.generate('avatar-script', { system: systemPrompt, prompt: userPrompt });
+    let script = text;
 
     script = script.replace(/^```[\s\S]*?$/gm, '').trim();
     script = script.replace(/^\s*script\s*:\s*/i, '').trim();
@@ -188,7 +318,7 @@ Output rules:
 
   /**
    * Generate Twitter/X thread content (array of tweets, each ≤280 chars).
-   * Uses Gemini gemini-3-flash-preview when GEMINI_API_KEY is set; otherwise falls back to Groq.
+   * TextClient task 'thread-content' (Gemini first, then Groq).
    * @private
    */
   async _generateThreadContent(options) {
@@ -208,7 +338,7 @@ Output rules:
       ]
     };
 
-    const systemPrompt = `You are an expert at creating Twitter/X thread content for PL Capital (finance). Your output MUST be valid JSON only, no markdown or explanation.
+    const systemPrompt = `You are an expert at creating Twitter/X thread content for ${this.brand.company.shortName} (finance). Your output MUST be valid JSON only, no markdown or explanation.
 
 Output a single JSON object with exactly one key:
 - "tweets": array of strings. Each string is ONE tweet (max 280 characters). Typically 5–12 tweets for a thread.
@@ -223,73 +353,21 @@ Language: ${language}
 ${planningText ? `Optional creative direction from planning:\n${planningText}\n` : ''}${pdfContext ? `Reference document context (use specific facts/data where relevant):\n${pdfContext}\n` : ''}
 Output ONLY the JSON object, no other text.`;
 
-    const parseAndNormalize = (raw) => {
-      raw = (raw || '').trim().replace(/^```(?:json)?\s*|\s*```$/g, '').trim();
-      const parsed = JSON.parse(raw);
-      const tweets = Array.isArray(parsed.tweets) ? parsed.tweets : defaults.tweets;
-      return {
-        tweets: tweets.slice(0, 15).map((t) => {
-          const s = typeof t === 'string' ? t.trim() : String(t).trim();
-          return s.length > 280 ? s.slice(0, 277) + '...' : s;
-        }).filter(Boolean)
-      };
-    };
-
-    const geminiKey = process.env.GEMINI_API_KEY;
-    if (geminiKey) {
-      try {
-        const { GoogleGenAI } = await import('@google/genai');
-        const ai = new GoogleGenAI({ apiKey: geminiKey });
-        const model = 'gemini-3-flash-preview';
-        const fullPrompt = `${systemPrompt}\n\n${userPrompt}`;
-        const response = await ai.models.generateContent({
-          model,
-          contents: fullPrompt,
-          config: { temperature: 0.6, maxOutputTokens: 2000 }
-        });
-        let raw = (response?.text ?? '').trim();
-        if (!raw && response?.candidates?.[0]?.content?.parts) {
-          const textPart = response.candidates[0].content.parts.find((p) => p.text != null);
-          raw = (textPart?.text ?? '').trim();
-        }
-        if (!raw) {
-          console.log('   ⚠️ Gemini thread: empty response');
-          return defaults;
-        }
-        return parseAndNormalize(raw);
-      } catch (err) {
-        console.log(`   ⚠️ Gemini thread failed: ${err instanceof Error ? err.message : 'unknown'}`);
-      }
-    }
-
-    const groqKey = process.env.GROQ_API_KEY;
-    if (!groqKey) return defaults;
+    const textClient = this._getTextClient();
+    if (!textClient.isAvailable('thread-content')) return defaults;
 
     try {
-      const response = await fetch('https://api.groq.com/openai/v1/chat/completions', {
-        method: 'POST',
-        headers: {
-          Authorization: `Bearer ${groqKey}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          model: process.env.GROQ_THREAD_MODEL || 'llama-3.3-70b-versatile',
-          messages: [
-            { role: 'system', content: systemPrompt },
-            { role: 'user', content: userPrompt }
-          ],
-          temperature: 0.6,
-          max_tokens: 2000
-        })
+      const { data } = await textClient.generateJson('thread-content', {
+        system: systemPrompt,
+        prompt: userPrompt,
+        schema: THREAD_SCHEMA,
+        cache: true
       });
-      if (!response.ok) {
-        const text = await response.text().catch(() => '');
-        console.log(`   ⚠️ Groq thread API error: ${response.status} ${text}`);
-        return defaults;
-      }
-      const data = await response.json();
-      const raw = (data.choices?.[0]?.message?.content || '').trim();
-      return parseAndNormalize(raw);
+      const tweets = data.tweets.slice(0, 15).map((t) => {
+        const text = t.trim();
+        return text.length > 280 ? text.slice(0, 277) + '...' : text;
+      }).filter(Boolean);
+      return tweets.length > 0 ? { tweets } : defaults;
     } catch (err) {
       console.log(`   ⚠️ Thread content generation failed: ${err instanceof Error ? err.message : 'unknown'}`);
       return defaults;
@@ -297,7 +375,7 @@ Output ONLY the JSON object, no other text.`;
   }
 
   /**
-   * Generate carousel content (slide count, cover, slides) for LinkedIn/Instagram using Groq.
+   * Generate carousel content (slide count, cover, slides) for LinkedIn/Instagram (TextClient task 'carousel-content').
    * Returns { slideCount, coverText, slides: [{ title, body, highlight, visualCue }], finalSlideCta, disclaimerLine }.
    * @private
    */
@@ -309,6 +387,7 @@ Output ONLY the JSON object, no other text.`;
     const planningText = (planning?.creativePrompt || planning?.output || '').trim().slice(0, 2000);
     const pdfContext = (process.env.RESEARCH_PDF_CONTEXT || '').trim().slice(0, 2000);
 
+    const brandCta = `Save this checklist • Follow ${this.brand.company.shortName}`;
     const defaults = {
       slideCount: 7,
       coverText: topic || 'Quick Investing Checklist',
@@ -318,24 +397,24 @@ Output ONLY the JSON object, no other text.`;
         { title: 'Myth 3', body: 'One actionable step.', highlight: 'Tip', visualCue: 'Checklist icon' },
         { title: 'Myth 4', body: 'One clear takeaway.', highlight: 'Key idea', visualCue: 'Simple icon' },
         { title: 'Myth 5', body: 'One actionable step.', highlight: 'Tip', visualCue: 'Mini chart' },
-        { title: 'Quick recap', body: 'Save this checklist • Follow PL Capital', highlight: 'Save', visualCue: 'Checklist icons + CTA' }
+        { title: 'Quick recap', body: brandCta, highlight: 'Save', visualCue: 'Checklist icons + CTA' }
       ],
-      finalSlideCta: 'Save this checklist • Follow PL Capital',
+      finalSlideCta: brandCta,
       disclaimerLine: 'Market risks apply.'
     };
 
-    const groqKey = process.env.GROQ_API_KEY;
-    if (!groqKey) {
+    const textClient = this._getTextClient();
+    if (!textClient.isAvailable('carousel-content')) {
       return defaults;
     }
 
-    const systemPrompt = `You are an expert at creating carousel post content for financial services (PL Capital). Your output MUST be valid JSON only, no markdown or explanation.
+    const systemPrompt = `You are an expert at creating carousel post content for financial services (${this.brand.company.shortName}). Your output MUST be valid JSON only, no markdown or explanation.
 
 Output a single JSON object with exactly these keys:
 - "slideCount": number between 5 and 12 (total slides including cover and final)
 - "coverText": string, punchy headline for the cover slide (max 6 words)
 - "slides": array of objects. Each object has: "title" (short headline, max 6 words), "body" (1-2 lines, very short), "highlight" (one word or short badge, e.g. "Tip", "Busted"), "visualCue" (short description for the image, e.g. "Simple icon + mini chart"). Length of slides array should equal slideCount (cover = index 0, final = last index). Cover slide: title = coverText, body = "Swipe →" or "Swipe →\\nSave later" for Instagram. Final slide: CTA and disclaimer.
-- "finalSlideCta": string, call-to-action for last slide (e.g. "Save this checklist • Follow PL Capital")
+- "finalSlideCta": string, call-to-action for last slide (e.g. "${brandCta}")
 - "disclaimerLine": string, exact compliance line (e.g. "Market risks apply.")
 
 Rules: No guaranteed returns, no "sure-shot" claims. Professional, compliant, scroll-stopping. Platform: ${platform}.
@@ -350,34 +429,13 @@ ${planningText ? `Optional creative direction from planning:\n${planningText}\n`
 Output ONLY the JSON object, no other text.`;
 
     try {
-      const response = await fetch('https://api.groq.com/openai/v1/chat/completions', {
-        method: 'POST',
-        headers: {
-          Authorization: `Bearer ${groqKey}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          model: process.env.GROQ_CAROUSEL_MODEL || 'llama-3.3-70b-versatile',
-          messages: [
-            { role: 'system', content: systemPrompt },
-            { role: 'user', content: userPrompt }
-          ],
-          temperature: 0.6,
-          max_tokens: 2000
-        })
+      const { data: parsed } = await textClient.generateJson('carousel-content', {
+        system: systemPrompt,
+        prompt: userPrompt,
+        schema: CAROUSEL_SCHEMA,
+        cache: true
       });
 
-      if (!response.ok) {
-        const text = await response.text().catch(() => '');
-        console.log(`   ⚠️ Groq carousel API error: ${response.status} ${text}`);
-        return defaults;
-      }
-
-      const data = await response.json();
-      let raw = (data.choices?.[0]?.message?.content || '').trim();
-      raw = raw.replace(/^```(?:json)?\s*|\s*```$/g, '').trim();
-      const parsed = JSON.parse(raw);
-
       const slideCount = Math.min(12, Math.max(5, Number(parsed.slideCount) || 7));
       const coverText = typeof parsed.coverText === 'string' ? parsed.coverText.trim() : defaults.coverText;
       const slides = Array.isArray(parsed.slides) ? parsed.slides.slice(0, slideCount) : defaults.slides;
@@ -414,7 +472,7 @@ Output ONLY the JSON object, no other text.`;
 
 
   /**
-   * Generate structured infographic blueprint (title, sections, CTA) via Groq JSON.
+   * Generate structured infographic blueprint (title, sections, CTA) via TextClient JSON.
    * @private
    */
   async _generateInfographicBlueprint(options) {
@@ -435,16 +493,16 @@ Output ONLY the JSON object, no other text.`;
         { heading: 'Common mistake', body: 'One pitfall to avoid (compliant, no fear-mongering).', statOrNumber: '', visualCue: 'Warning stripe + icon' },
         { heading: 'Next step', body: 'One actionable step (not personalized advice).', statOrNumber: '', visualCue: 'Arrow + calendar icon' }
       ],
-      footerCta: 'Follow PL Capital for more insights',
+      footerCta: `Follow ${this.brand.company.shortName} for more insights`,
       disclaimerLine: 'Investments are subject to market risks. Read all documents carefully.'
     };
 
-    const groqKey = process.env.GROQ_API_KEY;
-    if (!groqKey) {
+    const textClient = this._getTextClient();
+    if (!textClient.isAvailable('infographic-blueprint')) {
       return defaults;
     }
 
-    const systemPrompt = `You are an expert infographic content designer for PL Capital (Indian wealth management). Output MUST be valid JSON only — no markdown, no code fences.
+    const systemPrompt = `You are an expert infographic content designer for ${this.brand.company.shortName} (Indian wealth management). Output MUST be valid JSON only — no markdown, no code fences.
 
 Return one JSON object with keys:
 - "title": string, max 8 words, punchy headline for the top of the infographic
@@ -455,7 +513,7 @@ Return one JSON object with keys:
   - "body": 1–2 short sentences OR a single line with " • " separators (no long paragraphs)
   - "statOrNumber": string, optional (e.g. "₹500", "7 yrs", "12% CAGR example") — must not imply guaranteed returns
   - "visualCue": string, what simple flat icon or mini chart to illustrate this block
-- "footerCta": string, CTA line (e.g. "Save & follow PL Capital")
+- "footerCta": string, CTA line (e.g. "Save & follow ${this.brand.company.shortName}")
 - "disclaimerLine": string, one compliant line (e.g. "Market risks apply.")
 
 Rules: No guaranteed returns, no personalized advice, no sensational claims. Language: ${this._getLanguageName(language)}. Platform tone: ${platform}.`;
@@ -466,35 +524,12 @@ ${planningText ? `Creative direction from planning:\n${planningText}\n` : ''}${p
 Output ONLY the JSON object.`;
 
     try {
-      const response = await fetch('https://api.groq.com/openai/v1/chat/completions', {
-        method: 'POST',
-        headers: {
-          Authorization: `Bearer ${groqKey}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          model: process.env.GROQ_INFOGRAPHIC_MODEL || 'llama-3.3-70b-versatile',
-          messages: [
-            { role: 'system', content: systemPrompt },
-            { role: 'user', content: userPrompt }
-          ],
-          temperature: 0.55,
-          max_tokens: 1800,
-          response_format: { type: 'json_object' }
-        })
+      const { data: parsed } = await textClient.generateJson('infographic-blueprint', {
+        system: systemPrompt,
+        prompt: userPrompt,
+        schema: INFOGRAPHIC_SCHEMA
       });
 
-      if (!response.ok) {
-        const t = await response.text().catch(() => '');
-        console.log(`   ⚠️ Groq infographic API error: ${response.status} ${t}`);
-        return defaults;
-      }
-
-      const data = await response.json();
-      let raw = (data.choices?.[0]?.message?.content || '').trim();
-      raw = raw.replace(/^```(?:json)?\s*|\s*```$/g, '').trim();
-      const parsed = JSON.parse(raw);
-
       const title = typeof parsed.title === 'string' ? parsed.title.trim() : defaults.title;
       const subtitle = typeof parsed.subtitle === 'string' ? parsed.subtitle.trim() : defaults.subtitle;
       const layoutStyle = typeof parsed.layoutStyle === 'string' ? parsed.layoutStyle.trim() : defaults.layoutStyle;
@@ -505,7 +540,7 @@ Output ONLY the JSON object.`;
       sections = sections.slice(0, 8).map((s) => ({
         heading: typeof s?.heading === 'string' ? s.heading.trim() : 'Point',
         body: typeof s?.body === 'string' ? s.body.trim() : 'Short takeaway.',
-        statOrNumber: typeof s?.statOrNumber === 'string' ? s.statOrNumber.trim() : '',
+        statOrNumber: s?.statOrNumber != null ? String(s.statOrNumber).trim() : '',
         visualCue: typeof s?.visualCue === 'string' ? s.visualCue.trim() : 'Flat icon'
       }));
       if (sections.length < 3) {
@@ -594,6 +629,7 @@ Output ONLY the JSON object.`;
     // API Configuration
     console.log('\n🔑 API CONFIGURATION:');
     console.log(`   Groq (Content):    ${process.env.GROQ_API_KEY ? '✅' : '❌'}`);
+    console.log(`   OpenAI (Content):  ${process.env.OPENAI_API_KEY ? '✅' : '⚠️  Optional (any OpenAI-compatible endpoint)'}`);
     console.log(`   HeyGen (Avatar):   ${process.env.HEYGEN_API_KEY ? '✅' : '❌'}`);
     console.log(`   Gemini (VEO):      ${process.env.GEMINI_API_KEY ? '✅' : '❌'}`);
     console.log(`   fal.ai (LongCat):  ${process.env.FAL_KEY ? '✅' : '⚠️  Optional (for videos >148s)'}`);
@@ -605,210 +641,72 @@ Output ONLY the JSON object.`;
   }
 
   /**
-   * Run specific campaign type
+   * Run a registered campaign type (see core/campaign-types.js)
    */
   async runCampaign(campaignType, options = {}) {
-    const campaignHandlers = {
-      'linkedin-carousel': this.runLinkedInCarousel.bind(this),
-      'instagram-reel': this.runInstagramReel.bind(this),
-      'instagram-carousel': this.runInstagramCarousel.bind(this),
-      'youtube-explainer': this.runYouTubeExplainer.bind(this),
-      'youtube-short': this.runYouTubeShort.bind(this),
-      'facebook-reel': this.runFacebookReel.bind(this),
-      'twitter-thread': this.runTwitterThread.bind(this),
-      'email-newsletter': this.runEmailNewsletter.bind(this),
-      'infographic': this.runInfographicCampaign.bind(this)
-    };
-
-    const handler = campaignHandlers[campaignType];
-    if (!handler) {
+    const campaign = getCampaignType(campaignType);
+    if (!campaign) {
       throw new Error(`Unknown campaign type: ${campaignType}`);
     }
 
-    return await handler(options);
+    this.useBrand(options.brandId);
+    this._setUsageContext(options, campaignType);
+    return await this._runCampaignType(campaign, withCampaignDefaults(campaign, options));
   }
 
   /**
-   * Run specific workflow stage
+   * Run a campaign type's stages in order; each stage sees the results of the earlier ones
+   * @private
    */
-  async runStage(stageName, options = {}) {
-    const stageHandlers = {
-      planning: this.stagePlanning.bind(this),
-      content: this.stageContent.bind(this),
-      visuals: this.stageVisuals.bind(this),
-      video: this.stageVideo.bind(this),
-      publishing: this.stagePublishing.bind(this),
-      tracking: this.stageTracking.bind(this)
-    };
-
-    const handler = stageHandlers[stageName];
-    if (!handler) {
-      throw new Error(`Unknown stage: ${stageName}`);
+  async _runCampaignType(campaign, options) {
+    if (campaign.planned) {
+      console.log(`${campaign.icon} ${campaign.name} - Not yet implemented`);
+      return null;
     }
-
-    return await handler(options);
-  }
-
-  /**
-   * CAMPAIGN HANDLERS
-   */
-
-  async runLinkedInCarousel(options) {
-    console.log('📊 LinkedIn Carousel Campaign');
-    console.log(`   Topic: ${options.topic}`);
-    console.log(`   Type: ${options.type || 'myth-busting'}\n`);
-
-    // Stage 1: Generate content
-    await this.stageContent({
-      platform: 'linkedin',
-      format: 'carousel',
-      topic: options.topic,
-      type: options.type,
-      language: options.language
-    });
-
-    // Stage 2: Generate images
-    await this.stageVisuals({
-      platform: 'linkedin',
-      format: 'carousel',
-      language: options.language
-    });
-
-    // Stage 3: Auto-publish if requested
-    if (options.autoPublish) {
-      await this.stagePublishing({ platform: 'linkedin' });
+    if (campaign.run) {
+      return await campaign.run(this, options);
     }
 
-    console.log('\n✅ LinkedIn carousel ready!');
-  }
-
-  async runInfographicCampaign(options) {
-    const platform = (options.platform || 'linkedin').toString().trim() || 'linkedin';
-    console.log('📊 Infographic Campaign');
-    console.log(`   Topic: ${options.topic}`);
-    console.log(`   Platform: ${platform}\n`);
-
-    await this.stageContent({
-      platform,
-      format: 'infographic',
-      topic: options.topic,
-      type: options.type || 'infographic',
-      language: options.language,
-      aspectRatio: options.aspectRatio
-    });
-
-    await this.stageVisuals({
-      platform,
-      format: 'infographic',
-      topic: options.topic,
-      language: options.language,
-      aspectRatio: options.aspectRatio,
-      useGrounding: false
-    });
+    console.log(`${campaign.icon} ${campaign.name} Campaign`);
+    const summary = campaign.summary ? campaign.summary(options) : [`Topic: ${options.topic}`];
+    summary.forEach((line, index) => console.log(`   ${line}${index === summary.length - 1 ? '\n' : ''}`));
 
-    if (options.autoPublish) {
-      await this.stagePublishing({ platform });
+    const stageHandlers = this._stageHandlers();
+    const results = {};
+    for (const step of campaign.stages) {
+      if (step.when && !step.when(options)) continue;
+      results[step.stage] = await stageHandlers[step.stage](step.with ? step.with(options, results) : options);
     }
 
-    console.log('\n✅ Infographic ready!');
+    console.log(`\n✅ ${campaign.name} ready!`);
+    return results;
   }
 
-
-  async runLinkedInTestimonial(options) {
-    console.log('🎥 LinkedIn Video Testimonial Campaign');
-    console.log(`   Topic: ${options.topic}`);
-    console.log(`   Duration: ${options.duration}s\n`);
-
-    // Stage 1: Generate script
-    await this.stageContent({
-      platform: 'linkedin',
-      format: 'video-testimonial',
-      topic: options.topic,
-      duration: options.duration,
-      language: options.language
-    });
-
-    // Stage 2: Generate video
-    await this.stageVideo({
-      platform: 'linkedin',
-      format: 'testimonial',
-      duration: options.duration,
-      useVeo: options.useVeo,
-      useAvatar: options.useAvatar,
-      waitForCompletion: options.waitForCompletion,
-      language: options.language,
-      aspectRatio: options.aspectRatio
-    });
-
-    // Stage 3: Auto-publish if requested
-    if (options.autoPublish) {
-      await this.stagePublishing({ platform: 'linkedin' });
+  /**
+   * Run specific workflow stage
+   */
+  async runStage(stageName, options = {}) {
+    const handler = this._stageHandlers()[stageName];
+    if (!handler) {
+      throw new Error(`Unknown stage: ${stageName}`);
     }
 
-    console.log('\n✅ LinkedIn video testimonial ready!');
+    this.useBrand(options.brandId);
+    this._setUsageContext(options, stageName);
+    return await handler(options);
   }
 
-  async runInstagramReel(options) {
-    console.log('📱 Instagram Reel Campaign');
-    console.log(`   Topic: ${options.topic}`);
-    console.log(`   Duration: ${options.duration}s\n`);
-
-    // Generate short-form vertical video
-    await this.stageContent({
-      platform: 'instagram',
-      format: 'reel',
-      topic: options.topic,
-      duration: options.duration,
-      language: options.language
-    });
-
-    await this.stageVideo({
-      platform: 'instagram',
-      format: 'reel',
-      aspectRatio: options.aspectRatio || '9:16',
-      duration: options.duration,
-      useVeo: options.useVeo,
-      useAvatar: options.useAvatar,
-      language: options.language,
-      waitForCompletion: options.waitForCompletion
-    });
-
-    if (options.autoPublish) {
-      await this.stagePublishing({ platform: 'instagram' });
-    }
-
-    console.log('\n✅ Instagram reel ready!');
+  _stageHandlers() {
+    return {
+      planning: this.stagePlanning.bind(this),
+      content: this.stageContent.bind(this),
+      visuals: this.stageVisuals.bind(this),
+      video: this.stageVideo.bind(this),
+      publishing: this.stagePublishing.bind(this),
+      tracking: this.stageTracking.bind(this)
+    };
   }
 
-  async runYouTubeExplainer(options) {
-    console.log('📺 YouTube Explainer Campaign');
-    console.log(`   Topic: ${options.topic}`);
-    console.log(`   Duration: ${options.duration}s (${Math.floor(options.duration / 60)} min)\n`);
-
-    // Generate long-form educational content
-    await this.stageContent({
-      platform: 'youtube',
-      format: 'explainer',
-      topic: options.topic,
-      duration: options.duration
-    });
-
-    await this.stageVideo({
-      platform: 'youtube',
-      format: 'explainer',
-      aspectRatio: '16:9',
-      duration: options.duration,
-      useVeo: options.useVeo || (options.duration > 60), // Auto-use Veo for 60s+
-      useAvatar: options.useAvatar,
-      waitForCompletion: options.waitForCompletion
-    });
-
-    if (options.autoPublish) {
-      await this.stagePublishing({ platform: 'youtube' });
-    }
-
-    console.log('\n✅ YouTube explainer ready!');
-  }
 
   /**
    * WORKFLOW STAGE IMPLEMENTATIONS
@@ -824,17 +722,17 @@ Output ONLY the JSON object.`;
       return;
     }
 
-    // Generate creative prompt using Groq
-    const groqKey = process.env.GROQ_API_KEY;
-    if (!groqKey) {
-      console.log('   ⚠️  GROQ_API_KEY not set. Skipping AI creative brief generation.');
+    // Generate creative prompt
+    const textClient = this._getTextClient();
+    if (!textClient.isAvailable('creative-brief')) {
+      console.log('   ⚠️  No text provider configured (GROQ_API_KEY, OPENAI_API_KEY or GEMINI_API_KEY). Skipping AI creative brief generation.');
       return;
     }
 
     try {
       console.log('   🤖 Generating AI creative brief...\n');
 
-      const systemPrompt = `You are a creative director for PL Capital, a financial services company. Generate a comprehensive creative brief for a social media campaign. Format your response in clean, readable markdown with proper headings and bullet points.`;
+      const systemPrompt = `You are a creative director for ${this.brand.company.shortName}, a financial services company. Generate a comprehensive creative brief for a social media campaign. Format your response in clean, readable markdown with proper headings and bullet points.`;
 
       const userPrompt = `Generate a creative brief for this campaign:
 
@@ -855,29 +753,14 @@ Include:
 
 Make it specific, actionable, and optimized for ${options.platform || 'the platform'}.`;
 
-      const response = await fetch('https://api.groq.com/openai/v1/chat/completions', {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${groqKey}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          model: 'llama-3.3-70b-versatile',
-          messages: [
-            { role: 'system', content: systemPrompt },
-            { role: 'user', content: userPrompt }
-          ],
-          temperature: 0.7,
-          max_tokens: 2000
-        })
-      });
-
-      if (!response.ok) {
-        throw new Error(`Groq API error: ${response.status}`);
-      }
+      // Decided A/B tests (core/ab-testing.js) steer the brief towards what has won before
+      const styleNotes = ABTestStore.winningStyleNotes(this._getAbTestStore(), { platform: options.platform, brandId: this.brandId });
+      const briefPrompt = styleNotes.length > 0
+        ? `${userPrompt}\n\n**Style preferences from past A/B tests** (lean towards these angles and treatments):\n${styleNotes.join('\n')}`
+        : userPrompt;
+      if (styleNotes.length > 0) console.log(`   🧪 Applying ${styleNotes.length} A/B test winner(s) to the brief`);
 
-      const data = await response.json();
-      const creativeBrief = data.choices[0]?.message?.content || '';
+      const { text: creativeBrief } = await textClient.generate('creative-brief', { system: systemPrompt, prompt: briefPrompt });
 
       if (creativeBrief) {
         console.log('   ✅ Creative Brief Generated:\n');
@@ -951,7 +834,7 @@ Make it specific, actionable, and optimized for ${options.platform || 'the platf
     if (isWhatsAppImage) {
       console.log('   📷 Generating WhatsApp static creative with Gemini 3 Pro Image Preview...');
       const effectiveBrandSettings = this._getEffectiveBrandSettings(options);
-      const whatsappSystemInstruction = `You are generating a single premium WhatsApp ad creative for PL Capital. Follow the user prompt exactly for the campaign message and rendered text, but keep these rules stable: produce one polished static finance creative, optimize for mobile readability, preserve strong visual hierarchy, keep the design text-forward and high-contrast, avoid clutter, do not add disclaimers or extra copy beyond what the user prompt requests, and never show human faces, people, body parts, or photoreal subjects. If a reference image is attached, use it for layout, spacing, and visual hierarchy while still obeying the text and brand instructions from the user prompt.`;
+      const whatsappSystemInstruction = `You are generating a single premium WhatsApp ad creative for ${this.brand.company.shortName}. Follow the user prompt exactly for the campaign message and rendered text, but keep these rules stable: produce one polished static finance creative, optimize for mobile readability, preserve strong visual hierarchy, keep the design text-forward and high-contrast, avoid clutter, do not add disclaimers or extra copy beyond what the user prompt requests, and never show human faces, people, body parts, or photoreal subjects. If a reference image is attached, use it for layout, spacing, and visual hierarchy while still obeying the text and brand instructions from the user prompt.`;
       const envDirectPrompt = (process.env.STAGE2_DIRECT_PROMPT || '').trim();
       const rawPromptMode = String(process.env.STAGE2_RAW_PROMPT_MODE || '').toLowerCase() === 'true';
       let prompt = options.prompt || envDirectPrompt || null;
@@ -979,10 +862,11 @@ Make it specific, actionable, and optimized for ${options.platform || 'the platf
           console.log('   ⚠️ No Stage 1 planning found for topic; using fallback prompt.');
         }
       }
+      let waCopy = null;
       if (!prompt) {
         // Generate topic-specific copy before building the visual prompt
         console.log('   ✍️  Generating topic-specific copy from topic...');
-        const waCopy = await this._generateWhatsAppCopy(options.topic, options.language);
+        waCopy = await this._generateWhatsAppCopy(options.topic, options.language);
         console.log(`   📝 Headline: "${waCopy.headline}" | Body: "${waCopy.body}" | CTA: "${waCopy.cta}"`);
         prompt = this._buildVisualPrompt({
           platform: 'whatsapp',
@@ -1005,16 +889,8 @@ Make it specific, actionable, and optimized for ${options.platform || 'the platf
         console.log(`   🖼️  Applying reference image: ${referenceImagePath || referenceImageUrl}`);
       }
 
-      // Hard constraints for WhatsApp image generation:
-      // 1) keep rendered text to headline + CTA only, since smaller subtitle text tends to degrade
-      // 2) never render faces/people even if Stage 1 described them
-      const TEXT_LOCK_SUFFIX = '\n\nTEXT LOCK: Render ONLY these text elements in the final image: (1) the main headline and (2) the CTA button text. Do NOT render any subtitle, supporting line, body copy, caption, disclaimer, footer text, or any extra text anywhere else in the creative.';
-      const NO_FACES_SUFFIX = '\n\nHARD CONSTRAINT: ABSOLUTELY NO human faces, people, persons, or body parts anywhere in the image. Use only abstract finance visuals: charts, ₹ symbols, geometric shapes, icons, gradients.';
-      if (!rawPromptMode && prompt && !prompt.includes('TEXT LOCK: Render ONLY these text elements')) {
-        prompt = prompt + TEXT_LOCK_SUFFIX;
-      }
-      if (!rawPromptMode && prompt && !prompt.includes('ABSOLUTELY NO human faces')) {
-        prompt = prompt + NO_FACES_SUFFIX;
+      if (!rawPromptMode && prompt) {
+        prompt = this._appendWhatsAppHardConstraints(prompt);
       }
 
       const visualsOptions = {
@@ -1026,7 +902,8 @@ Make it specific, actionable, and optimized for ${options.platform || 'the platf
         brandSettings: effectiveBrandSettings,
         useGrounding: rawPromptMode ? false : true,
         aspectRatio: options.aspectRatio,  // Pass aspectRatio from options
-        language: options.language  // Pass language from options
+        language: options.language,  // Pass language from options
+        brandCheck: options.brandCheck
       };
 
       let result;
@@ -1034,7 +911,9 @@ Make it specific, actionable, and optimized for ${options.platform || 'the platf
         // Use editImage to guide generation with reference
         const generator = new ImageGenerator({
           apiKey: process.env.GEMINI_API_KEY,
-          provider: 'gemini'
+          provider: 'gemini',
+          usage: this.usageContext,
+          bypassCache: this.bypassCache
         });
 
         const refInput = referenceImagePath || referenceImageUrl;
@@ -1044,7 +923,8 @@ Make it specific, actionable, and optimized for ${options.platform || 'the platf
           systemInstruction: whatsappSystemInstruction,
           imageOnly: true,
           useGrounding: rawPromptMode ? false : true,
-          language: options.language  // Pass language for text generation
+          language: options.language,  // Pass language for text generation
+          brandCheck: this._brandCheckConfig(options, effectiveBrandSettings, 'clear')
         });
         result = {
           success: true,
@@ -1055,14 +935,14 @@ Make it specific, actionable, and optimized for ${options.platform || 'the platf
       }
 
       if (result?.success) {
-        // Composite the real PL Capital SVG logo onto the image first, then upload.
+        // Composite the brand's real logo onto the image first, then upload.
         // This guarantees hostedUrl points to the final branded creative.
         if (result.images && result.images.length > 0) {
           try {
             const composited = await this._compositeLogoOntoImage(result.images[0]);
             if (composited) {
               result.images[0] = { ...result.images[0], ...composited };
-              console.log('   🏷️  PL Capital logo composited onto creative');
+              console.log(`   🏷️  ${this.brand.company.shortName} logo composited onto creative`);
             }
           } catch (logoErr) {
             console.warn('   ⚠️ Logo compositing failed (non-fatal):', logoErr.message);
@@ -1071,7 +951,7 @@ Make it specific, actionable, and optimized for ${options.platform || 'the platf
 
         let hostedUrl = null;
 
-        // Upload after compositing so share URL always includes the real PL logo.
+        // Upload after compositing so share URL always includes the real brand logo.
         if (process.env.IMGBB_API_KEY && result.images && result.images.length > 0) {
           const firstImage = result.images[0];
           const imagePath = firstImage.path || firstImage.url;
@@ -1110,6 +990,8 @@ Make it specific, actionable, and optimized for ${options.platform || 'the platf
           console.log('   ℹ️  ImgBB upload skipped (no API key or image path missing)');
         }
 
+        // Kept on the content record so A/B variants (core/ab-testing.js) know the control's copy
+        if (waCopy) result.whatsappCopy = waCopy;
         console.log('   ✅ WhatsApp creative generated');
         return result;
       }
@@ -1146,18 +1028,20 @@ Make it specific, actionable, and optimized for ${options.platform || 'the platf
       };
 
       const contentId = `CONT-carousel-${Date.now()}`;
-      await this.stateManager.addContent({
+      await this.stateManager.addContent(this._withComplianceReport({
         id: contentId,
         topic: (options.topic || '').trim() || 'Carousel',
         contentPack,
         status: 'completed',
         completedAt: new Date().toISOString()
-      });
+      }, options));
 
       console.log(`   ✅ Carousel content saved (${carousel.slideCount} slides) — ready for Stage 3 visuals`);
+      const abTest = await this._createContentVariants(contentId, options);
       return {
         success: true,
         contentId,
+        abTestId: abTest?.id || null,
         slideCount: carousel.slideCount,
         coverText: carousel.coverText,
         message: `${platformLabel} carousel content generated`
@@ -1185,18 +1069,20 @@ Make it specific, actionable, and optimized for ${options.platform || 'the platf
       };
 
       const contentId = `CONT-thread-${Date.now()}`;
-      await this.stateManager.addContent({
+      await this.stateManager.addContent(this._withComplianceReport({
         id: contentId,
         topic: (options.topic || '').trim() || 'Twitter Thread',
         contentPack,
         status: 'completed',
         completedAt: new Date().toISOString()
-      });
+      }, options));
 
       console.log(`   ✅ Thread content saved (${thread.tweets.length} tweets) — ready to copy or publish`);
+      const abTest = await this._createContentVariants(contentId, options);
       return {
         success: true,
         contentId,
+        abTestId: abTest?.id || null,
         tweetCount: thread.tweets.length,
         tweets: thread.tweets,
         message: 'Twitter/X thread content generated'
@@ -1225,18 +1111,20 @@ Make it specific, actionable, and optimized for ${options.platform || 'the platf
       };
 
       const contentId = `CONT-infographic-${Date.now()}`;
-      await this.stateManager.addContent({
+      await this.stateManager.addContent(this._withComplianceReport({
         id: contentId,
         topic: (options.topic || '').trim() || 'Infographic',
         contentPack,
         status: 'completed',
         completedAt: new Date().toISOString()
-      });
+      }, options));
 
       console.log('   ✅ Infographic blueprint saved — ready for Stage 3 visuals');
+      const abTest = await this._createContentVariants(contentId, options);
       return {
         success: true,
         contentId,
+        abTestId: abTest?.id || null,
         message: 'Infographic blueprint generated'
       };
     }
@@ -1245,6 +1133,25 @@ Make it specific, actionable, and optimized for ${options.platform || 'the platf
     console.log('   ⚠️  Content generation not yet implemented for this platform');
   }
 
+  /**
+   * With --variants <n>, turn a just-saved Stage 2 record into an A/B test (core/ab-testing.js).
+   * A failure here is logged and leaves the saved control untouched.
+   * @private
+   * @returns {Promise<Object|null>} The test
+   */
+  async _createContentVariants(contentId, options) {
+    if (!options.variants) return null;
+    const control = this.stateManager.getEntry('content', contentId);
+    const asset = ABTestStore.detectAsset(control, options.platform);
+    if (!asset) return null;
+    try {
+      return await ABTestStore.generateVariants(this, control, asset, options);
+    } catch (error) {
+      console.log(`   ⚠️  A/B variants not created: ${error.message}`);
+      return null;
+    }
+  }
+
   async stageVisuals(options) {
     console.log('🎨 Stage 3: Visual Asset Production');
     console.log(`   Platform: ${options.platform}`);
@@ -1280,46 +1187,21 @@ Make it specific, actionable, and optimized for ${options.platform || 'the platf
       return { success: true, simulated: true };
     }
 
-    // Check for API key
-    if (!process.env.GEMINI_API_KEY) {
-      console.log('   ⚠️  GEMINI_API_KEY not set. Set it with: export GEMINI_API_KEY="your-key"');
-      return { success: false, error: 'Missing GEMINI_API_KEY' };
+    // Initialize ImageGenerator with Gemini 3 Pro as primary (other providers as fallbacks)
+    const generator = new ImageGenerator({
+      apiKey: process.env.GEMINI_API_KEY,
+      provider: 'gemini',
+      usage: this.usageContext,
+      bypassCache: this.bypassCache
+    });
+
+    // Check for an image provider
+    if (generator.configuredProviders().length === 0) {
+      console.log('   ⚠️  No image provider configured. Set GEMINI_API_KEY (or FAL_KEY / REPLICATE_API_TOKEN)');
+      return { success: false, error: 'No image provider configured' };
     }
 
     try {
-      // Initialize ImageGenerator with Gemini 3 Pro as primary
-      const generator = new ImageGenerator({
-        apiKey: process.env.GEMINI_API_KEY,
-        provider: 'gemini'
-      });
-
-      const uploadToImgBB = async (imagePath) => {
-        if (!process.env.IMGBB_API_KEY) return null;
-        if (!imagePath || !fs.existsSync(imagePath)) return null;
-        try {
-          const imgBuffer = fs.readFileSync(imagePath);
-          const b64 = imgBuffer.toString('base64');
-          const payload = new URLSearchParams();
-          payload.append('key', process.env.IMGBB_API_KEY);
-          payload.append('image', b64);
-          const uploadResp = await fetch('https://api.imgbb.com/1/upload', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-            body: payload
-          });
-          if (!uploadResp.ok) {
-            const text = await uploadResp.text().catch(() => '');
-            console.log(`   ⚠️ ImgBB upload failed: ${uploadResp.status} ${text}`);
-            return null;
-          }
-          const json = await uploadResp.json();
-          return json?.data?.url || null;
-        } catch (err) {
-          console.log(`   ⚠️ ImgBB upload error: ${err instanceof Error ? err.message : 'unknown'}`);
-          return null;
-        }
-      };
-
       // Carousel (LinkedIn/Instagram): generate one image per slide, then upload each to ImgBB
       const isCarousel = options.format === 'carousel' && (options.platform === 'linkedin' || options.platform === 'instagram');
       if (isCarousel) {
@@ -1327,7 +1209,7 @@ Make it specific, actionable, and optimized for ${options.platform || 'the platf
         const platformLabel = carouselPlatform === 'instagram' ? 'Instagram' : 'LinkedIn';
         console.log(`   🧩 ${platformLabel} carousel detected — generating slide images...`);
 
-        const contentEntries = Object.values(this.stateManager?.state?.content || {}).filter(Boolean);
+        const contentEntries = Object.values(this.stateManager?.state?.content || {}).filter((e) => e && !e.variantOf);
         const byCompletedAtDesc = (a, b) => {
           const aTs = new Date(a?.completedAt || a?.updatedAt || a?.createdAt || 0).getTime();
           const bTs = new Date(b?.completedAt || b?.updatedAt || b?.createdAt || 0).getTime();
@@ -1344,7 +1226,7 @@ Make it specific, actionable, and optimized for ${options.platform || 'the platf
         const slideCount = Math.min(12, Math.max(5, Number(carousel?.slideCount || 7)));
         const coverText = carousel?.coverText || options.topic || 'Quick Investing Checklist';
         const slides = Array.isArray(carousel?.slides) ? carousel.slides : [];
-        const finalSlideCta = carousel?.finalSlideCta || 'Save this checklist • Follow PL Capital';
+        const finalSlideCta = carousel?.finalSlideCta || `Save this checklist • Follow ${this.brand.company.shortName}`;
         const disclaimerLine = carousel?.disclaimerLine || 'Market risks apply.';
 
         const clampWords = (text, maxWords) => {
@@ -1368,7 +1250,37 @@ Make it specific, actionable, and optimized for ${options.platform || 'the platf
           return { title: s.title || `Point ${idx}`, body: s.body || 'One clear takeaway.', highlight: s.highlight || 'Key idea', visualCue: s.visualCue || 'Simple icon + mini chart' };
         });
 
-        const brandStyle = 'PL Capital brand: Navy (#0e0e6a), Blue (#3c3cf8), Teal (#00d084), Green (#66e766), Figtree typography. Professional, clean, no exaggerated claims.';
+        // Template renderer draws the copy exactly; the image model path is the fallback
+        const renderer = options.carouselRenderer || process.env.CAROUSEL_RENDERER || 'template';
+        if (renderer === 'template') {
+          try {
+            const rendered = await this._renderTemplateCarousel(resolvedSlides, {
+              generator,
+              platform: carouselPlatform,
+              language: options.language,
+              finalSlideCta,
+              disclaimerLine: carousel?.disclaimerLine,
+              illustrations: options.slideIllustrations
+            });
+            if (process.env.IMGBB_API_KEY) {
+              console.log('   ☁️  Uploading carousel slides to ImgBB...');
+              for (const img of rendered.images) {
+                const hostedUrl = await this._uploadToImgBB(img.path);
+                if (hostedUrl) img.hostedUrl = hostedUrl;
+              }
+            }
+            return {
+              success: true,
+              images: rendered.images,
+              document: rendered.pdf,
+              features: ['carousel', 'multi-slide', 'template-rendered']
+            };
+          } catch (err) {
+            console.log(`   ⚠️ Template carousel rendering failed, using image model: ${err.message}`);
+          }
+        }
+
+        const brandStyle = this.brand.helpers.getStylePrompt();
         const generatedImages = [];
         for (let i = 0; i < resolvedSlides.length; i++) {
           const slide = resolvedSlides[i];
@@ -1383,8 +1295,8 @@ Make it specific, actionable, and optimized for ${options.platform || 'the platf
 
           if (i === 0) {
             const slidePrompt = carouselPlatform === 'instagram'
-              ? `Design ONE Instagram carousel slide (1:1) for PL Capital (India, finance). Slide ${slideNumber}/${total}. Headline: ${safeTitle}. Body: ${safeBody}. Highlight: ${safeHighlight}. Visual: ${safeVisualCue}. ${brandStyle}`
-              : `Design ONE LinkedIn carousel slide (1:1) for PL Capital (India, finance). Slide ${slideNumber}/${total}. Headline: ${safeTitle}. Body: ${safeBody}. Highlight: ${safeHighlight}. Visual: ${safeVisualCue}. ${brandStyle}`;
+              ? `Design ONE Instagram carousel slide (1:1) for ${this.brand.company.shortName} (India, finance). Slide ${slideNumber}/${total}. Headline: ${safeTitle}. Body: ${safeBody}. Highlight: ${safeHighlight}. Visual: ${safeVisualCue}. ${brandStyle}`
+              : `Design ONE LinkedIn carousel slide (1:1) for ${this.brand.company.shortName} (India, finance). Slide ${slideNumber}/${total}. Headline: ${safeTitle}. Body: ${safeBody}. Highlight: ${safeHighlight}. Visual: ${safeVisualCue}. ${brandStyle}`;
 
             console.log(`   ⏳ Generating carousel slide ${slideNumber}/${total} (first slide)...`);
             const slideResult = await generator.generateSocialGraphic(slidePrompt, carouselPlatform, {
@@ -1405,8 +1317,8 @@ Make it specific, actionable, and optimized for ${options.platform || 'the platf
             if (!prevPath) {
               console.log(`   ⚠️ No previous slide image; generating slide ${slideNumber} standalone.`);
               const fallbackPrompt = carouselPlatform === 'instagram'
-                ? `Design ONE Instagram carousel slide (1:1) for PL Capital (India, finance). Slide ${slideNumber}/${total}. Headline: ${safeTitle}. Body: ${safeBody}. Highlight: ${safeHighlight}. Visual: ${safeVisualCue}. ${brandStyle}`
-                : `Design ONE LinkedIn carousel slide (1:1) for PL Capital (India, finance). Slide ${slideNumber}/${total}. Headline: ${safeTitle}. Body: ${safeBody}. Highlight: ${safeHighlight}. Visual: ${safeVisualCue}. ${brandStyle}`;
+                ? `Design ONE Instagram carousel slide (1:1) for ${this.brand.company.shortName} (India, finance). Slide ${slideNumber}/${total}. Headline: ${safeTitle}. Body: ${safeBody}. Highlight: ${safeHighlight}. Visual: ${safeVisualCue}. ${brandStyle}`
+                : `Design ONE LinkedIn carousel slide (1:1) for ${this.brand.company.shortName} (India, finance). Slide ${slideNumber}/${total}. Headline: ${safeTitle}. Body: ${safeBody}. Highlight: ${safeHighlight}. Visual: ${safeVisualCue}. ${brandStyle}`;
               const fallbackResult = await generator.generateSocialGraphic(fallbackPrompt, carouselPlatform, {
                 imageSize: 'HD',
                 useGrounding: false,
@@ -1419,7 +1331,7 @@ Make it specific, actionable, and optimized for ${options.platform || 'the platf
               continue;
             }
 
-            const continuationPrompt = `Create the NEXT ${platformLabel} carousel slide (1:1). Match the exact visual style, color palette, typography, and brand look of the reference image (same PL Capital branding). This is slide ${slideNumber} of ${total}. New content for THIS slide only: Headline: "${safeTitle}". Body: "${safeBody}". Highlight: "${safeHighlight}". Visual: ${safeVisualCue}. Do not copy the reference image; create a new slide that continues the carousel with the same theme and brand guidelines.`;
+            const continuationPrompt = `Create the NEXT ${platformLabel} carousel slide (1:1). Match the exact visual style, color palette, typography, and brand look of the reference image (same ${this.brand.company.shortName} branding). This is slide ${slideNumber} of ${total}. New content for THIS slide only: Headline: "${safeTitle}". Body: "${safeBody}". Highlight: "${safeHighlight}". Visual: ${safeVisualCue}. Do not copy the reference image; create a new slide that continues the carousel with the same theme and brand guidelines.`;
 
             console.log(`   ⏳ Generating carousel slide ${slideNumber}/${total} (continuation from previous)...`);
             let editResult;
@@ -1433,8 +1345,8 @@ Make it specific, actionable, and optimized for ${options.platform || 'the platf
             } catch (err) {
               console.log(`   ⚠️ Continuation edit failed for slide ${slideNumber}, generating standalone: ${err.message}`);
               const fallbackPrompt = carouselPlatform === 'instagram'
-                ? `Design ONE Instagram carousel slide (1:1) for PL Capital (India, finance). Slide ${slideNumber}/${total}. Headline: ${safeTitle}. Body: ${safeBody}. Highlight: ${safeHighlight}. Visual: ${safeVisualCue}. ${brandStyle}`
-                : `Design ONE LinkedIn carousel slide (1:1) for PL Capital (India, finance). Slide ${slideNumber}/${total}. Headline: ${safeTitle}. Body: ${safeBody}. Highlight: ${safeHighlight}. Visual: ${safeVisualCue}. ${brandStyle}`;
+                ? `Design ONE Instagram carousel slide (1:1) for ${this.brand.company.shortName} (India, finance). Slide ${slideNumber}/${total}. Headline: ${safeTitle}. Body: ${safeBody}. Highlight: ${safeHighlight}. Visual: ${safeVisualCue}. ${brandStyle}`
+                : `Design ONE LinkedIn carousel slide (1:1) for ${this.brand.company.shortName} (India, finance). Slide ${slideNumber}/${total}. Headline: ${safeTitle}. Body: ${safeBody}. Highlight: ${safeHighlight}. Visual: ${safeVisualCue}. ${brandStyle}`;
               const fallbackResult = await generator.generateSocialGraphic(fallbackPrompt, carouselPlatform, {
                 imageSize: 'HD',
                 useGrounding: false,
@@ -1458,7 +1370,7 @@ Make it specific, actionable, and optimized for ${options.platform || 'the platf
           console.log('   ☁️  Uploading carousel slides to ImgBB...');
           for (const img of generatedImages) {
             const imagePath = img.path || img.url;
-            const hostedUrl = await uploadToImgBB(imagePath);
+            const hostedUrl = await this._uploadToImgBB(imagePath);
             if (hostedUrl) {
               img.hostedUrl = hostedUrl;
               console.log(`   ✅ Uploaded to ImgBB: ${hostedUrl}`);
@@ -1485,7 +1397,7 @@ Make it specific, actionable, and optimized for ${options.platform || 'the platf
         console.log(`   📊 ${platformLabel} infographic — generating single composite visual...`);
 
         await this.stateManager.initialize();
-        const contentEntries = Object.values(this.stateManager?.state?.content || {}).filter(Boolean);
+        const contentEntries = Object.values(this.stateManager?.state?.content || {}).filter((e) => e && !e.variantOf);
         const byCompletedAtDesc = (a, b) => {
           const aTs = new Date(a?.completedAt || a?.updatedAt || a?.createdAt || 0).getTime();
           const bTs = new Date(b?.completedAt || b?.updatedAt || b?.createdAt || 0).getTime();
@@ -1503,7 +1415,7 @@ Make it specific, actionable, and optimized for ${options.platform || 'the platf
         const effectiveBrandSettings = this._getEffectiveBrandSettings(options);
         const brandStyle = effectiveBrandSettings
           ? this._buildBrandConstraintBlock(effectiveBrandSettings)
-          : 'PL Capital brand: Navy (#0e0e6a), Blue (#3c3cf8), Teal (#00d084), Green (#66e766), Figtree typography. Professional, clean, no exaggerated claims.';
+          : this.brand.helpers.getStylePrompt();
 
         let bp = blueprint;
         if (!bp || !Array.isArray(bp.sections) || bp.sections.length === 0) {
@@ -1522,7 +1434,7 @@ Make it specific, actionable, and optimized for ${options.platform || 'the platf
           })
           .join('\n');
 
-        const infographicPrompt = `Design ONE complete vertical infographic image (single static graphic, not multiple panels) for PL Capital — Indian wealth management audience.
+        const infographicPrompt = `Design ONE complete vertical infographic image (single static graphic, not multiple panels) for ${this.brand.company.shortName} — Indian wealth management audience.
 
 LAYOUT: ${bp.layoutStyle || 'Portrait infographic with clear header, 4–6 stacked sections with icons, footer CTA.'}
 MAIN TITLE (top, largest): "${bp.title}"
@@ -1537,7 +1449,7 @@ SMALL COMPLIANCE LINE (bottom, subtle): "${bp.disclaimerLine}"
 VISUAL RULES:
 - Flat vector / modern fintech infographic style; cohesive color system; strong spacing and alignment
 - Simple icons, thin line charts or bar micro-charts where helpful — NO photorealistic people or faces
-- NO watermarks except subtle "PL Capital" wordmark if it fits brand
+- NO watermarks except subtle "${this.brand.company.shortName}" wordmark if it fits brand
 - All text must be sharp and legible; avoid cramming; prefer fewer words per block
 - Single cohesive canvas — not a photo collage
 
@@ -1550,7 +1462,8 @@ ${brandStyle}`;
           useGrounding: false,
           aspectRatio: aspect,
           language: options.language,
-          numberOfImages: 1
+          numberOfImages: 1,
+          brandCheck: this._brandCheckConfig(options, effectiveBrandSettings)
         });
 
         const images = igResult?.images || [];
@@ -1558,7 +1471,7 @@ ${brandStyle}`;
           console.log('   ☁️  Uploading infographic to ImgBB...');
           for (const img of images) {
             const imagePath = img.path || img.url;
-            const hostedUrl = await uploadToImgBB(imagePath);
+            const hostedUrl = await this._uploadToImgBB(imagePath);
             if (hostedUrl) {
               img.hostedUrl = hostedUrl;
               console.log(`   ✅ Uploaded to ImgBB: ${hostedUrl}`);
@@ -1582,7 +1495,9 @@ ${brandStyle}`;
         imageSize: 'HD',
         useGrounding: options.useGrounding !== false,
         aspectRatio: options.aspectRatio || this._getAspectRatioForFormat(options.format),
-        language: options.language  // Pass language for text generation
+        language: options.language,  // Pass language for text generation
+        // WhatsApp creatives get the real logo composited afterwards, so the corner must be empty
+        brandCheck: this._brandCheckConfig(options, options.brandSettings, options.platform === 'whatsapp' ? 'clear' : 'ignore')
       });
 
       console.log(`   ✅ Visual generated: ${result.images[0]?.path || 'success'}`);
@@ -1592,7 +1507,7 @@ ${brandStyle}`;
         console.log('   ☁️  Uploading visual(s) to ImgBB...');
         for (const img of result.images) {
           const imagePath = img.path || img.url;
-          const hostedUrl = await uploadToImgBB(imagePath);
+          const hostedUrl = await this._uploadToImgBB(imagePath);
           if (hostedUrl) {
             img.hostedUrl = hostedUrl;
             console.log(`   ✅ Uploaded to ImgBB: ${hostedUrl}`);
@@ -1616,6 +1531,93 @@ ${brandStyle}`;
   /**
    * Get language name from language code
    */
+  /**
+   * Upload a local image to ImgBB for platforms that fetch media by URL
+   * @private
+   * @returns {Promise<string|null>} Hosted URL, or null without IMGBB_API_KEY or on failure
+   */
+  async _uploadToImgBB(imagePath) {
+    if (!process.env.IMGBB_API_KEY) return null;
+    if (!imagePath || !fs.existsSync(imagePath)) return null;
+    try {
+      const imgBuffer = fs.readFileSync(imagePath);
+      const b64 = imgBuffer.toString('base64');
+      const payload = new URLSearchParams();
+      payload.append('key', process.env.IMGBB_API_KEY);
+      payload.append('image', b64);
+      const uploadResp = await fetch('https://api.imgbb.com/1/upload', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: payload
+      });
+      if (!uploadResp.ok) {
+        const text = await uploadResp.text().catch(() => '');
+        console.log(`   ⚠️ ImgBB upload failed: ${uploadResp.status} ${text}`);
+        return null;
+      }
+      const json = await uploadResp.json();
+      return json?.data?.url || null;
+    } catch (err) {
+      console.log(`   ⚠️ ImgBB upload error: ${err instanceof Error ? err.message : 'unknown'}`);
+      return null;
+    }
+  }
+
+  /**
+   * Append the WhatsApp text-lock and no-faces constraints unless the prompt already has them
+   * @private
+   */
+  _appendWhatsAppHardConstraints(prompt) {
+    let result = prompt;
+    if (!result.includes('TEXT LOCK: Render ONLY these text elements')) result += TEXT_LOCK_SUFFIX;
+    if (!result.includes('ABSOLUTELY NO human faces')) result += NO_FACES_SUFFIX;
+    return result;
+  }
+
+  /**
+   * Render a WhatsApp creative for an A/B variant: the variant's copy in one fixed visual style,
+   * logo composited and uploaded like the Stage 2 creative
+   * @private
+   * @param {Object} params - { topic, copy: { headline, body, cta }, visualStyle, options }
+   * @returns {Promise<Array>} Images ([] when generation fails)
+   */
+  async _generateWhatsAppVariantCreative({ topic, copy, visualStyle, options = {} }) {
+    const brandSettings = this._getEffectiveBrandSettings(options);
+    const prompt = this._appendWhatsAppHardConstraints(this._appendBrandConstraintsToPrompt(this._buildVisualPrompt({
+      platform: 'whatsapp',
+      format: 'image',
+      topic,
+      language: options.language,
+      brandSettings,
+      whatsapp: copy,
+      visualStyle
+    }), brandSettings));
+
+    const result = await this.stageVisuals({
+      platform: 'whatsapp',
+      format: 'image',
+      topic,
+      prompt,
+      brandSettings,
+      useGrounding: true,
+      aspectRatio: options.aspectRatio,
+      language: options.language,
+      brandCheck: options.brandCheck
+    });
+    const images = result?.success && Array.isArray(result.images) ? result.images : [];
+    if (images.length === 0) return [];
+
+    try {
+      const composited = await this._compositeLogoOntoImage(images[0]);
+      if (composited) images[0] = { ...images[0], ...composited };
+    } catch (logoErr) {
+      console.warn('   ⚠️ Logo compositing failed (non-fatal):', logoErr.message);
+    }
+    const hostedUrl = await this._uploadToImgBB(images[0].path || images[0].url);
+    if (hostedUrl) images[0].hostedUrl = hostedUrl;
+    return images;
+  }
+
   _getLanguageName(languageCode) {
     const languageMap = {
       'english': 'English',
@@ -1664,10 +1666,10 @@ ${brandStyle}`;
     const gradientEnd = String(brandSettings?.gradientEndColor || '').trim();
     const gradientDir = String(brandSettings?.gradientDirection || '').trim();
 
-    const defaultColors = 'Navy #0e0e6a, Blue #3c3cf8, Teal #00d084, Green #66e766';
-    const palette = usingCustom && customColors ? customColors : defaultColors;
+    const brandFont = this.brand.helpers.getFontFamily();
+    const palette = usingCustom && customColors ? customColors : this.brand.helpers.describePalette();
     const tone = usingCustom && customTone ? customTone : 'professional, trustworthy, data-driven';
-    const extra = usingCustom && customInstructions ? customInstructions : 'Maintain PL Capital look-and-feel across color, typography, and hierarchy.';
+    const extra = usingCustom && customInstructions ? customInstructions : `Maintain ${this.brand.company.shortName} look-and-feel across color, typography, and hierarchy.`;
 
     const lines = [
       'Brand requirements (must follow exactly):',
@@ -1676,8 +1678,8 @@ ${brandStyle}`;
     if (usingCustom && accentColors) lines.push(`- Accent colors: ${accentColors}.`);
     if (usingCustom && bodyTextColor) lines.push(`- Body text color: ${bodyTextColor}.`);
     const typography = usingCustom && (font || fontSize || fontWeight)
-      ? [font || 'Figtree', fontSize, fontWeight].filter(Boolean).join(', ')
-      : 'Figtree or close geometric sans-serif';
+      ? [font || brandFont, fontSize, fontWeight].filter(Boolean).join(', ')
+      : `${brandFont} or close geometric sans-serif`;
     lines.push(`- Typography: ${typography}.`);
     lines.push(`- Tone: ${tone}.`);
     if (usingCustom && gradientStart && gradientEnd) {
@@ -1705,23 +1707,16 @@ ${brandStyle}`;
   }
 
   /**
-   * Generate topic-specific WhatsApp copy (headline, body, CTA) via Groq.
-   * Falls back to simple string derivation if Groq is unavailable.
+   * Generate topic-specific WhatsApp copy (headline, body, CTA) via TextClient.
+   * Falls back to simple string derivation if no text provider is available.
    */
   async _generateWhatsAppCopy(topic, language = 'english') {
     const languageName = this._getLanguageName(language);
-    const groqKey = process.env.GROQ_API_KEY;
-    if (groqKey) {
+    const textClient = this._getTextClient();
+    if (textClient.isAvailable('whatsapp-copy')) {
       try {
-        const resp = await fetch('https://api.groq.com/openai/v1/chat/completions', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${groqKey}` },
-          body: JSON.stringify({
-            model: 'llama-3.3-70b-versatile',
-            messages: [
-              {
-                role: 'system',
-                content: `You write high-impact WhatsApp ad copy for PL Capital (Indian fintech/wealth management).
+        const { data } = await textClient.generateJson('whatsapp-copy', {
+          system: `You write high-impact WhatsApp ad copy for ${this.brand.company.shortName} (Indian fintech/wealth management).
 Output ONLY valid JSON: {"headline": "...", "body": "...", "cta": "..."}.
 Rules:
 - headline: 4-7 words MAX. Punchy, emotional benefit or bold hook. Include specific ₹ amounts/numbers from the topic if present. Plain text only — NO markdown, NO asterisks, NO bold markers, NO quotes.
@@ -1729,70 +1724,144 @@ Rules:
 - cta: 2-3 words. Strong action verb. (e.g. "Start Now", "Begin SIP", "Explore Plans", "Get Started")
 - language: ${languageName}
 - NO hashtags. NO exclamation marks. NO guaranteed returns. NO markdown formatting.
-Examples of great headlines: "Start SIP at Just ₹500", "Your ₹500 Can Grow Big", "Wealth Starts at ₹500"`
-              },
-              { role: 'user', content: `Topic: ${topic}` }
-            ],
-            temperature: 0.5,
-            max_tokens: 120,
-            response_format: { type: 'json_object' }
-          })
+Examples of great headlines: "Start SIP at Just ₹500", "Your ₹500 Can Grow Big", "Wealth Starts at ₹500"`,
+          prompt: `Topic: ${topic}`,
+          schema: WHATSAPP_SCHEMA
         });
-        if (resp.ok) {
-          const json = await resp.json();
-          const raw = JSON.parse(json.choices?.[0]?.message?.content || '{}');
-          // Strip any markdown bold/italic markers that Groq might add
-          const strip = (s) => (s || '').replace(/\*+/g, '').replace(/^["']|["']$/g, '').trim();
-          const parsed = { headline: strip(raw.headline), body: strip(raw.body), cta: strip(raw.cta) };
-          if (parsed.headline && parsed.body && parsed.cta) return parsed;
-        }
+        // Strip any markdown bold/italic markers the model might add
+        const strip = (s) => (s || '').replace(/\*+/g, '').replace(/^["']|["']$/g, '').trim();
+        const parsed = { headline: strip(data.headline), body: strip(data.body), cta: strip(data.cta) };
+        if (parsed.headline && parsed.body && parsed.cta) return parsed;
       } catch {}
     }
     // Simple fallback
     const clean = (topic || 'Invest Smarter').replace(/\s+/g, ' ').trim();
     return {
       headline: clean.length <= 35 ? clean : clean.slice(0, 33) + '…',
-      body: 'Smart investing made simple with PL Capital.',
+      body: `Smart investing made simple with ${this.brand.company.shortName}.`,
       cta: 'Start Now'
     };
   }
 
   /**
-   * Composite the real PL Capital SVG logo onto a generated image using sharp.
-   * Places the logo in the top-right corner with a semi-transparent white pill background.
-   * Returns { path } with the updated file path, or null if compositing is not possible.
+   * ImageGenerator brandCheck config for a visual, or null when scoring is off (--no-brand-check)
+   * or the user replaced the brand guidelines with custom colors
+   * @param {string} [logoZone] - 'clear' when the real logo is composited afterwards
    */
-  async _compositeLogoOntoImage(imageEntry) {
-    const imagePath = imageEntry?.path;
-    if (!imagePath || !fs.existsSync(imagePath)) return null;
+  _brandCheckConfig(options, brandSettings, logoZone = 'ignore') {
+    if (options.brandCheck === false || brandSettings?.useBrandGuidelines === false) return null;
+    return { brand: this.brand, logoZone };
+  }
 
-    // Locate the SVG logo — look relative to this file's location and common public dirs
-    const candidatePaths = [
-      path.join(__dirname, '../../public/pl-capital-logo.svg'),
-      path.join(__dirname, '../../../public/pl-capital-logo.svg'),
-      path.join(this.projectRoot, 'public/pl-capital-logo.svg'),
-      path.join(this.projectRoot, 'frontend/public/pl-capital-logo.svg'),
+  /**
+   * Logo of the selected brand as a file path or buffer: assets.logos.primary.file from the
+   * public dirs, else its URL (a /public path or a remote image). Null when there is none.
+   */
+  async _loadBrandLogo() {
+    const logo = this.brand.helpers.getLogo();
+    if (!logo) return null;
+
+    const publicDirs = [
+      path.join(__dirname, '../../public'),
+      path.join(__dirname, '../../../public'),
+      path.join(this.projectRoot, 'public'),
+      path.join(this.projectRoot, 'frontend/public'),
     ];
-    const logoSvgPath = candidatePaths.find(p => fs.existsSync(p));
-    if (!logoSvgPath) {
-      console.warn('   ⚠️ pl-capital-logo.svg not found, skipping logo compositing');
-      return null;
+    const localName = logo.file || (String(logo.url || '').startsWith('/') ? logo.url.slice(1) : null);
+    if (localName) {
+      const localPath = publicDirs.map((dir) => path.join(dir, localName)).find((p) => fs.existsSync(p));
+      if (localPath) return localPath;
     }
 
-    let sharp;
-    try { sharp = require('sharp'); } catch { return null; }
+    if (/^https?:\/\//.test(logo.url || '')) {
+      const response = await fetch(logo.url);
+      if (!response.ok) {
+        throw new Error(`Logo download failed (${response.status}): ${logo.url}`);
+      }
+      return Buffer.from(await response.arrayBuffer());
+    }
+    return null;
+  }
 
-    // Get base image dimensions
-    const baseMeta = await sharp(imagePath).metadata();
-    const imgW = baseMeta.width || 1080;
+  /**
+   * Render carousel slides with the brand's carouselSlide template (PNG per slide + PDF).
+   * With `illustrations`, each slide's visualCue is generated as a text-free illustration and
+   * placed into the template's reserved region; a failed illustration leaves the slide text-only.
+   */
+  async _renderTemplateCarousel(slides, { generator, platform, language, finalSlideCta, disclaimerLine, illustrations = false }) {
+    const renderer = new CarouselRenderer({ brand: this.brand });
+    console.log(`   🖌️  Rendering ${slides.length} slides from the ${this.brand.company.shortName} carousel template...`);
+
+    const illustrationPaths = [];
+    if (illustrations) {
+      const { width, height } = renderer.template.illustration?.region || { width: 1, height: 1 };
+      const aspectRatio = width >= height * 1.2 ? '4:3' : (height >= width * 1.2 ? '3:4' : '1:1');
+      for (let i = 0; i < slides.length; i++) {
+        const cue = slides[i].visualCue || slides[i].title;
+        console.log(`   ⏳ Generating illustration ${i + 1}/${slides.length}...`);
+        try {
+          const result = await generator.generateSocialGraphic(
+            `Flat vector illustration for a finance carousel slide: ${cue}. No text, letters, numbers or logos. ${this.brand.helpers.describePalette()} palette, clean background.`,
+            platform,
+            { imageSize: 'HD', useGrounding: false, aspectRatio, language, numberOfImages: 1 }
+          );
+          illustrationPaths.push(result?.images?.[0]?.path || null);
+        } catch (err) {
+          console.log(`   ⚠️ Illustration ${i + 1} failed: ${err.message}`);
+          illustrationPaths.push(null);
+        }
+      }
+    }
+
+    let logo = null;
+    try {
+      logo = await this._loadBrandLogo();
+    } catch (err) {
+      console.log(`   ⚠️ ${err.message}; rendering without logo`);
+    }
+
+    const rendered = await renderer.render(slides, {
+      finalSlideCta,
+      disclaimerLine,
+      illustrations: illustrationPaths,
+      logo,
+      prefix: `${platform}-carousel`
+    });
+    rendered.images.forEach((img) => console.log(`   ✅ Slide ${img.slideNumber} rendered: ${img.path}`));
+    console.log(`   📄 Carousel PDF: ${rendered.pdf.path}`);
+    return rendered;
+  }
+
+  /**
+   * Composite the selected brand's real logo onto a generated image using sharp.
+   * Places the logo in the top-right corner with a semi-transparent white pill background.
+   * Returns { path } with the updated file path, or null if compositing is not possible.
+   */
+  async _compositeLogoOntoImage(imageEntry) {
+    const imagePath = imageEntry?.path;
+    if (!imagePath || !fs.existsSync(imagePath)) return null;
+
+    let sharp;
+    try { sharp = require('sharp'); } catch { return null; }
+
+    const logoSource = await this._loadBrandLogo();
+    if (!logoSource) {
+      console.warn(`   ⚠️ No logo found for ${this.brand.company.shortName}, skipping logo compositing`);
+      return null;
+    }
+
+    // Get base image dimensions
+    const baseMeta = await sharp(imagePath).metadata();
+    const imgW = baseMeta.width || 1080;
     const imgH = baseMeta.height || 1920;
 
     // Target logo width: ~10% of image width, max 120px (reduced to avoid overlap)
     const logoW = Math.min(Math.round(imgW * 0.10), 120);
-    const logoH = Math.round(logoW * (85 / 247.2)); // maintain SVG aspect ratio 247.2:85
+    const logoMeta = await sharp(logoSource).metadata();
+    const logoH = Math.round(logoW * ((logoMeta.height || 85) / (logoMeta.width || 247.2))); // keep the logo's aspect ratio
 
-    // Render SVG to PNG buffer at target size
-    const logoPng = await sharp(logoSvgPath)
+    // Render logo to PNG buffer at target size
+    const logoPng = await sharp(logoSource)
       .resize(logoW, logoH, { fit: 'contain', background: { r: 0, g: 0, b: 0, alpha: 0 } })
       .png()
       .toBuffer();
@@ -1841,11 +1910,14 @@ Examples of great headlines: "Start SIP at Just ₹500", "Your ₹500 Can Grow B
    * Build visual prompt based on options
    */
   _buildVisualPrompt(options) {
-    const { platform, format, topic, type, language = 'english', whatsapp } = options;
+    const { platform, format, topic, type, language = 'english', whatsapp, visualStyle } = options;
     const brandSettings = this._getEffectiveBrandSettings(options) || options.brandSettings;
     const languageName = this._getLanguageName(language);
 
-    const defaultBrand = 'PL Capital brand palette: Navy (#0e0e6a), Blue (#3c3cf8), Teal (#00d084), Green (#66e766); typography: Figtree; tone: professional, trustworthy, data-driven.';
+    const brandName = this.brand.company.shortName;
+    const brandFont = this.brand.helpers.getFontFamily();
+    const roles = this.brand.helpers.getColorRoles();
+    const defaultBrand = `${brandName} brand palette: ${this.brand.helpers.describePalette()}; typography: ${brandFont}; tone: professional, trustworthy, data-driven.`;
     const parts = [];
     if (brandSettings?.customColors) parts.push(`Primary colors: ${brandSettings.customColors}`);
     if (brandSettings?.accentColors) parts.push(`Accent colors: ${brandSettings.accentColors}`);
@@ -1869,11 +1941,11 @@ Examples of great headlines: "Start SIP at Just ₹500", "Your ₹500 Can Grow B
       ? ` All text, labels, and content must be in ${languageName}.`
       : '';
 
-    const exampleStyle = 'Style reference: PL Capital example creatives with high-contrast navy/blue gradient background, modern geometric shapes (blue/green accents), big bold white headline, 2–4 supporting bullets with checkmark icons OR a simple numbered step row, and a single green rounded CTA button. Clean whitespace, crisp typography (Figtree-like), modern corporate aesthetic.';
-    const usePlCapitalLogo = brandSettings?.useBrandGuidelines !== false;
+    const exampleStyle = `Style reference: ${brandName} example creatives with high-contrast ${roles.dark} to ${roles.vivid} gradient background, modern geometric shapes (${roles.vivid}/${roles.accent} accents), big bold white headline, 2–4 supporting bullets with checkmark icons OR a simple numbered step row, and a single ${roles.cta} rounded CTA button. Clean whitespace, crisp typography (${brandFont}-like), modern corporate aesthetic.`;
+    const useBrandLogo = brandSettings?.useBrandGuidelines !== false;
     // For non-whatsapp platforms: ask Gemini to draw logo. For WhatsApp: real SVG is composited afterwards, so leave space clean.
-    const logoInstruction = usePlCapitalLogo
-      ? 'Place the PL Capital logo in the top-right corner of the creative (use the official PL Capital wordmark: navy #0e0e6a background, white "PL Capital" text, clean sans-serif).'
+    const logoInstruction = useBrandLogo
+      ? `Place the ${brandName} logo in the top-right corner of the creative (use the official ${brandName} wordmark: ${roles.dark} background, white "${brandName}" text, clean sans-serif).`
       : 'Do NOT add any logo/watermark/brand mark. If branding is needed later, reserve clean empty space in the top-right.';
     // WhatsApp-specific: real SVG logo is composited post-generation — keep corner clear
     const whatsappLogoInstruction = 'Leave the top-right corner completely clean and empty (no logo, no text, no icon). A brand logo will be added in post-production.';
@@ -1896,19 +1968,27 @@ Body: ${body || 'One clear benefit.\nOne clear next step.'}
 CTA: ${cta || 'Learn more'}`
           : `Text-forward layout with a bold headline and a single CTA.`;
 
-        return `Create a BOLD, HIGH-ENERGY premium WhatsApp ad creative for PL Capital — India's modern wealth platform. Make it look like a top-tier fintech ad (Groww / Zerodha / ET Money level quality).
+        const styleOptions = [
+          `Option A (Gradient Drama): Deep diagonal gradient (${roles.dark} → ${roles.vivid}) full bleed. Add 2–3 large semi-transparent geometric shapes (circles, polygons, slanted lines) in ${roles.accent} as layered accents. Bold white typography dominates 50% of the canvas.`,
+          `Option B (Split Layout): Top 60% = bold ${roles.dark} to ${roles.vivid} gradient zone with oversized headline text. Bottom 40% = slightly lighter ${roles.dark} with body text and a vivid ${roles.cta} CTA pill. A strong diagonal or curved divider separates the zones.`,
+          `Option C (Neon Accent): Dark ${roles.dark} background with glowing ${roles.highlight} accent elements — a bold highlighted number/amount badge, rising chart line, or floating ₹ symbol. High contrast. Electric feel.`
+        ];
+        // A/B variants lock the treatment so each variant tests one style
+        const lockedStyle = visualStyle && styleOptions.find((line) => line.startsWith(visualStyle));
+        const styleSpec = lockedStyle
+          ? `VISUAL STYLE — use this treatment:\n${lockedStyle}`
+          : `VISUAL STYLE — pick ONE dramatic treatment:\n${styleOptions.join('\n')}`;
+
+        return `Create a BOLD, HIGH-ENERGY premium WhatsApp ad creative for ${brandName} — India's modern wealth platform. Make it look like a top-tier fintech ad (Groww / Zerodha / ET Money level quality).
 
 Canvas: 1080×1080 square. Full-bleed design — no white borders, no plain card-on-background. The design must fill every pixel edge-to-edge with intention.
 
-VISUAL STYLE — pick ONE dramatic treatment:
-Option A (Gradient Drama): Deep navy-to-electric-blue diagonal gradient (#0e0e6a → #1a1aff) full bleed. Add 2–3 large semi-transparent geometric shapes (circles, polygons, slanted lines) in teal/green (#00d084) as layered accents. Bold white typography dominates 50% of the canvas.
-Option B (Split Layout): Top 60% = bold navy/blue gradient zone with oversized headline text. Bottom 40% = slightly lighter navy with body text and a vivid green CTA pill. A strong diagonal or curved divider separates the zones.
-Option C (Neon Accent): Dark navy background with glowing neon-green (#66e766) accent elements — a bold highlighted number/amount badge, rising chart line, or floating ₹ symbol. High contrast. Electric feel.
+${styleSpec}
 
 TYPOGRAPHY (most important element):
 - Headline: MASSIVE. 72–96px. Bold/Black weight. White. Takes up 40–50% of canvas. If there's a ₹ amount, make it the BIGGEST element on screen.
 - Body: 28–34px. Regular weight. White or light grey (#e0e0ff).
-- CTA button: Bold pill shape. Solid #00b34e fill. White text 26–30px. Centered, lower third.
+- CTA button: Bold pill shape. Solid ${roles.cta} fill. White text 26–30px. Centered, lower third.
 
 COPY (render EXACTLY as written, no changes):
 ${contentSpec}
@@ -1975,6 +2055,7 @@ ${brandGuidance}`;
       // Initialize video coordinator
       const coordinator = new VideoCoordinator({
         simulate: this.simulate,
+        bypassCache: this.bypassCache,
         outputDir: path.join(this.projectRoot, 'output', 'videos')
       });
 
@@ -2002,6 +2083,11 @@ ${brandGuidance}`;
           console.log(`   ⚠️  Invalid JSON prompt, falling back to default: ${error.message}`);
           prompt = longCatPrompt || this._buildVideoPrompt(options);
         }
+      } else if (Array.isArray(options.scenePrompts) && options.scenePrompts.length > 0) {
+        // Scene prompts given directly (e.g. a campaign file's prompts)
+        scenePrompts = options.scenePrompts;
+        prompt = scenePrompts[0];
+        console.log(`   🎬 Using ${scenePrompts.length} provided scene prompt(s)`);
       } else {
         prompt = longCatPrompt || this._buildVideoPrompt(options);
       }
@@ -2110,12 +2196,16 @@ ${brandGuidance}`;
             });
           } catch (error) {
             console.log(`   ⚠️  Script generation failed; using fallback: ${error.message}`);
-            const topic = options.topic || 'PL Capital investing insights';
-            scriptText = `Hi, quick update from PL Capital. ${topic}. If you want a portfolio review or a plan, talk to us today.`;
+            const topic = options.topic || `${this.brand.company.shortName} investing insights`;
+            scriptText = `Hi, quick update from ${this.brand.company.shortName}. ${topic}. If you want a portfolio review or a plan, talk to us today.`;
           }
           console.log(`   📝 Script: ${scriptText.substring(0, 60)}...`);
         }
 
+        // Scripts are checked before rendering; errors block publishing of the video later
+        const scriptCompliance = checkEntry({ avatarScriptText: scriptText }, { audience: options.targetAudience, brand: this.brand });
+        formatReport(scriptCompliance).forEach((line) => console.log(`   ${line}`));
+
         // Avatar/voice resolution aligned with martech (multiple HeyGen avatars + mapped voices)
         // - Siddharth Vora: env or hardcoded Siddharth defaults
         // - Other HeyGen avatars (32-char groupId): options.avatarId + options.avatarVoiceId or voice from mapping
@@ -2201,7 +2291,8 @@ ${brandGuidance}`;
               videoId: apiResult.video_id,
               status: 'pending',
               avatar: 'siddharth-vora',
-              message: 'Video generation started. Check status with video ID or at https://app.heygen.com/home'
+              message: 'Video generation started. Check status with video ID or at https://app.heygen.com/home',
+              compliance: scriptCompliance
             }
           };
 
@@ -2293,7 +2384,8 @@ ${brandGuidance}`;
         const VideoGenerator = require('../video/video-generator');
         const veoGenerator = new VideoGenerator({
           apiKey: process.env.GEMINI_API_KEY,
-          simulate: this.simulate
+          simulate: this.simulate,
+          bypassCache: this.bypassCache
         });
 
         const veoConfig = {
@@ -2338,7 +2430,8 @@ ${brandGuidance}`;
         const VideoGenerator = require('../video/video-generator');
         const veoGenerator = new VideoGenerator({
           apiKey: process.env.GEMINI_API_KEY,
-          simulate: this.simulate
+          simulate: this.simulate,
+          bypassCache: this.bypassCache
         });
 
         const veoConfig = {
@@ -2636,7 +2729,63 @@ ${brandGuidance}`;
 
     if (this.simulate) {
       console.log('   [SIMULATED] Content published');
-      return;
+      return { success: true, platform: options.platform || null, status: 'simulated', simulated: true };
+    }
+
+    // Compliance gate: only approved content, visuals and videos may be published
+    await this.stateManager.initialize();
+    const captionVariant = options.caption ? null : this._getCaptionVariant(options.platform, options.topic);
+    if (captionVariant) {
+      console.log(`   ✍️  Using repurposed ${options.platform} caption (${captionVariant.id})`);
+      options = { ...options, caption: captionVariant.caption };
+    }
+    const unapproved = this._getUnapprovedForPublishing(options);
+    if (unapproved.length > 0) {
+      const pending = unapproved.map((e) => `${e.bucket} ${e.id} (${e.status.replace('_', ' ')})`).join(', ');
+      console.log(`   ⛔ Publishing blocked: awaiting approval for ${pending}`);
+      console.log('   💡 Tip: Approve the items from the stage data popup or POST /api/workflow/review');
+      return {
+        success: false,
+        platform: options.platform || null,
+        status: 'failed',
+        blocked: true,
+        unapproved,
+        error: `Awaiting approval: ${pending}`
+      };
+    }
+
+    // Compliance gate: copy with SEBI compliance errors is never published
+    const complianceFailures = await this._getComplianceFailuresForPublishing(options);
+    if (complianceFailures.length > 0) {
+      console.log('   ⛔ Publishing blocked: compliance errors');
+      for (const failure of complianceFailures) {
+        console.log(`   ${failure.bucket} ${failure.id}:`);
+        formatReport(failure.report).slice(1).forEach((line) => console.log(`   ${line}`));
+      }
+      const errorCount = complianceFailures.reduce((sum, f) => sum + f.report.errors, 0);
+      return {
+        success: false,
+        platform: options.platform || null,
+        status: 'failed',
+        blocked: true,
+        compliance: complianceFailures,
+        error: `Compliance check failed (${errorCount} error${errorCount === 1 ? '' : 's'})`
+      };
+    }
+
+    // Native social platform publishers
+    const socialPublishers = {
+      linkedin: this._publishToLinkedIn.bind(this),
+      instagram: this._publishToInstagram.bind(this),
+      youtube: this._publishToYouTube.bind(this),
+      twitter: this._publishToTwitter.bind(this),
+      facebook: this._publishToFacebook.bind(this)
+    };
+    const socialPublisher = socialPublishers[options.platform];
+    if (socialPublisher) {
+      const result = await socialPublisher(options);
+      if (result?.success) await this._linkPublishedRecord(result.id, options);
+      return result;
     }
 
     // Email newsletter publishing via MoEngage
@@ -2645,23 +2794,35 @@ ${brandGuidance}`;
 
     const isWhatsApp = options.platform && options.platform.includes('whatsapp');
 
+    // A drafted A/B test (core/ab-testing.js) for this channel and topic goes out as a split test
+    const splitChannel = isEmailNewsletter ? 'email' : isWhatsApp ? 'whatsapp' : null;
+    const splitTest = splitChannel && options.abTest !== false
+      ? (options.abTestId
+        ? this._getAbTestStore().get(options.abTestId)
+        : this._getAbTestStore().list({ status: 'draft', platform: splitChannel, topic: options.topic })[0])
+      : null;
+    if (splitTest) {
+      console.log(`   🧪 Launching A/B split test ${splitTest.id} (${splitTest.variants.length} variants)`);
+      try {
+        const result = await ABTestStore.launchSplitTest(this, splitTest, options);
+        if (result.success) await this._linkPublishedRecord(result.id, options);
+        return result;
+      } catch (error) {
+        console.error(`   ❌ A/B split test launch failed: ${error.message}`);
+        return { success: false, platform: splitChannel, status: 'failed', abTestId: splitTest.id, error: error.message };
+      }
+    }
+
     try {
       const publisher = getMoengageEmailPublisher();
       const newsletter = publisher.loadLatestNewsletter(options.topic);
 
-      if (isEmailNewsletter || newsletter) {
-        if (!newsletter) {
-          console.log('   ⚠️  No email newsletter content found in workflow-state.json');
-          return;
+      if (isEmailNewsletter || (newsletter && !isWhatsApp)) {
+        if (!newsletter && !options.newsletterCampaignId) {
+          console.log('   ⚠️  No email newsletter content found in workflow state');
+          return { success: false, platform: 'email', status: 'failed', error: 'No email newsletter content found in workflow state' };
         }
-
-        console.log(`   📧 Publishing newsletter via MoEngage (subject: ${newsletter.subject})...`);
-        await publisher.publishNewsletter({
-          ...newsletter,
-          topic: newsletter.topic || options.topic
-        });
-        console.log('   ✅ Newsletter push sent to MoEngage (SendGrid-backed campaign)');
-        return;
+        return await this._publishNewsletterCampaign(options);
       }
 
       if (isWhatsApp) {
@@ -2673,7 +2834,7 @@ ${brandGuidance}`;
           console.log('   💡 Tip: For images, pass options.whatsappImageUrl (from stageContent result)');
           console.log('   💡 Tip: For videos, pass options.whatsappVideoUrl (from stageVideo hostedUrl)');
           console.log('   💡 Example: await stagePublishing({ platform: "whatsapp", whatsappVideoUrl: videoResult.hostedUrl })');
-          return;
+          return { success: false, platform: 'whatsapp', status: 'failed', error: 'No WhatsApp creative URL provided' };
         }
 
         const isVideo = creativeUrl.includes('.mp4') || creativeUrl.includes('video') || options.whatsappVideoUrl;
@@ -2688,15 +2849,765 @@ ${brandGuidance}`;
           cta
         });
         console.log(`   ✅ WhatsApp ${mediaType} push sent to MoEngage (Interakt-backed campaign expected)`);
-        return;
+        return { success: true, platform: 'whatsapp', status: 'published', mediaType, creativeUrl };
       }
     } catch (error) {
       console.error(`   ❌ MoEngage publish failed: ${error.message}`);
-      return;
+      return { success: false, platform: options.platform || null, status: 'failed', error: error.message };
     }
 
     // TODO: Implement other platform publishing integrations
     console.log('   ⚠️  Publishing not yet implemented for non-email platforms');
+    return {
+      success: false,
+      platform: options.platform || null,
+      status: 'failed',
+      error: `Publishing not implemented for ${options.platform || 'this platform'}`
+    };
+  }
+
+  /**
+   * Newsletters go out as a newsletter campaign (core/newsletter-campaigns.js): without
+   * options.newsletterCampaignId the segment drafts are created and a test is sent for review;
+   * with it, the approved campaign is launched. Nothing is sent until the launch, so the draft
+   * path reports `awaiting_launch` rather than success.
+   * @private
+   */
+  async _publishNewsletterCampaign(options) {
+    const context = { stateManager: this.stateManager, store: this._getNewsletterCampaignStore(), brand: this.brand };
+    try {
+      if (options.newsletterCampaignId) {
+        return await NewsletterCampaignStore.launchNewsletterCampaign(context, options.newsletterCampaignId);
+      }
+
+      // Without explicit segments or audiences, the content's target audience picks the segments
+      // when MOENGAGE_AUDIENCE_SEGMENTS maps it
+      const targetAudience = NewsletterCampaignStore.audienceSegments(this.brand)
+        .find((a) => (a.key === options.targetAudience || a.audience === options.targetAudience) && a.segmentIds.length > 0);
+      const campaign = await NewsletterCampaignStore.createNewsletterCampaign(context, {
+        topic: options.topic,
+        segmentIds: options.segmentId,
+        audiences: options.audiences || (options.segmentId ? null : targetAudience?.audience),
+        sendAt: options.sendAt,
+        bestTime: options.bestTime,
+        timeZone: options.timeZone,
+        campaignId: options.campaignId || this.usageContext?.campaignId,
+        brandId: this.brandId
+      });
+      const tested = await NewsletterCampaignStore.sendTestEmails(context, campaign.id, { testEmails: options.testEmails });
+      console.log(`   ✅ ${tested.id} is in review; check the test email, then:`);
+      console.log(`      node main.js newsletter approve ${tested.id}`);
+      console.log(`      node main.js newsletter launch ${tested.id}`);
+      return { success: false, platform: 'email', status: 'awaiting_launch', newsletterCampaignId: tested.id };
+    } catch (error) {
+      if (error.code !== 'INVALID_NEWSLETTER_CAMPAIGN') throw error;
+      console.log(`   ⛔ ${error.message}`);
+      return { success: false, platform: 'email', status: 'failed', error: error.message };
+    }
+  }
+
+  /**
+   * Stamp a published record with the campaign it belongs to and, when the publisher didn't
+   * record it, the topic's latest content for the platform, so metrics can be grouped by either.
+   * @private
+   */
+  async _linkPublishedRecord(publishedId, options) {
+    const record = publishedId && this.stateManager.getEntry('published', publishedId);
+    if (!record) return;
+    const topic = (record.topic || options.topic || '').trim();
+    const sameTopic = Object.values(this.stateManager.getEntries('content'))
+      .filter((e) => e && (e.topic || '').trim() === topic && e.type !== 'creative-brief');
+    const content = record.contentId ? null : (
+      this._pickLatestForTopic(sameTopic.filter((e) => e.contentPack?.platforms?.[record.platform]), topic, record.platform) ||
+      this._pickLatestForTopic(sameTopic, topic, record.platform)
+    );
+    await this.stateManager.updateEntry('published', publishedId, (current) => ({
+      ...current,
+      contentId: current.contentId || content?.id || null,
+      campaignId: current.campaignId || options.campaignId || this.usageContext?.campaignId || null
+    }));
+  }
+
+  /**
+   * Attach a compliance report to a Stage 2 entry before it is saved, logging the findings.
+   * @private
+   */
+  _withComplianceReport(entry, options = {}) {
+    const targetAudience = options.targetAudience || entry.targetAudience;
+    const withAudience = targetAudience ? { ...entry, targetAudience } : entry;
+    const compliance = checkEntry(withAudience, { brand: this.brand });
+    formatReport(compliance).forEach((line) => console.log(`   ${line}`));
+    return { ...withAudience, compliance };
+  }
+
+  /**
+   * Re-run the compliance check on everything this publish would send (stored copy may have
+   * been edited since generation). Reports are saved back onto the entries.
+   * @private
+   * @returns {Promise<Array<{bucket: string, id: string, report: Object}>>} Entries with errors
+   */
+  async _getComplianceFailuresForPublishing(options) {
+    const { state } = this.stateManager;
+    const topic = options.topic;
+    const contentEntries = Object.values(state.content || {});
+    const isVideo = options.platform === 'youtube' ||
+      /video|testimonial|reel|explainer|short/i.test(String(options.format || ''));
+    // YouTube appends the standard disclaimer to the description itself
+    const checkOptions = {
+      audience: options.targetAudience,
+      disclaimerAppended: options.platform === 'youtube',
+      brand: this.brand
+    };
+
+    const candidates = [
+      ['content', this._pickLatestForTopic(contentEntries, topic, options.platform)],
+      ['content', this._pickLatestForTopic(contentEntries
+        .filter((e) => e?.contentPack?.platforms?.[options.platform]), topic, options.platform)]
+    ];
+    if (!['linkedin', 'instagram', 'youtube', 'twitter', 'facebook'].includes(options.platform)) {
+      candidates.push(['content', this._pickLatestForTopic(contentEntries
+        .filter((e) => e?.contentType === 'email-newsletter'), topic, options.platform)]);
+    }
+    if (isVideo) {
+      candidates.push(['videos', this._pickLatestForTopic(Object.values(state.videos || {})
+        .filter((e) => e?.avatarScriptText || e?.scriptText), topic, options.platform)]);
+    }
+
+    const failures = [];
+    const seen = new Set();
+    for (const [bucket, entry] of candidates) {
+      if (!entry?.id || seen.has(`${bucket}:${entry.id}`)) continue;
+      seen.add(`${bucket}:${entry.id}`);
+      const report = checkEntry(entry, checkOptions);
+      if (report.findings.length === 0 && !entry.compliance) continue;
+      await this.stateManager.updateEntry(bucket, entry.id, (current) => ({ ...current, compliance: report }));
+      if (!report.passed) failures.push({ bucket, id: entry.id, report });
+    }
+
+    // Copy passed in directly for this publish (captions, WhatsApp CTA); the disclaimer is
+    // already enforced on the stored copy above
+    const adHocCopy = checkEntry({ caption: options.caption, whatsappCta: options.cta || options.whatsappCta }, {
+      ...checkOptions,
+      disclaimerAppended: true
+    });
+    if (!adHocCopy.passed) failures.push({ bucket: 'options', id: 'caption', report: adHocCopy });
+
+    return failures;
+  }
+
+  /**
+   * Stage 2/3/4 entries the publishers would send for this run that are not approved yet.
+   * Media passed in options (images, videoUrl, videoPath) is matched to its Stage 3/4 entry;
+   * media that no entry holds was never reviewed and is reported as `unreviewed`.
+   * @private
+   * @returns {Array<{bucket: string, id: string, status: string}>}
+   */
+  _getUnapprovedForPublishing(options) {
+    const { state } = this.stateManager;
+    const topic = options.topic;
+    const contentEntries = Object.values(state.content || {});
+    const isSocial = ['linkedin', 'instagram', 'youtube', 'twitter', 'facebook'].includes(options.platform);
+    // Twitter attaches Stage 3 images by index (tweetImages) and ignores options.images
+    const explicitImages = (isSocial && options.platform !== 'twitter' && Array.isArray(options.images) ? options.images : [])
+      .map((img) => (typeof img === 'string' ? img : img?.path || img?.hostedUrl || img?.url))
+      .filter(Boolean);
+    const explicitVideos = isSocial ? [options.videoPath, options.videoUrl].filter(Boolean) : [];
+    const sendsVideo = explicitVideos.length > 0 || options.platform === 'youtube' ||
+      (isSocial && /video|testimonial|reel|explainer|short/i.test(String(options.format || '')));
+
+    const candidates = [
+      ['content', this._pickLatestForTopic(contentEntries, topic, options.platform)],
+      ['content', this._pickLatestForTopic(contentEntries
+        .filter((e) => e?.contentPack?.platforms?.[options.platform]?.carousel), topic, options.platform)]
+    ];
+    const unreviewed = [];
+    if (sendsVideo && explicitVideos.length === 0) {
+      candidates.push(['videos', this._getLatestStageVideoEntry(topic, options.platform)]);
+    } else if (sendsVideo) {
+      for (const video of explicitVideos) {
+        const entry = this._findMediaEntry('videos', video);
+        if (entry) candidates.push(['videos', entry]);
+        else unreviewed.push(video);
+      }
+    } else if (explicitImages.length > 0) {
+      for (const image of explicitImages) {
+        const entry = this._findMediaEntry('visuals', image);
+        if (entry) candidates.push(['visuals', entry]);
+        else unreviewed.push(image);
+      }
+    } else {
+      candidates.push(['visuals', this._pickLatestForTopic(Object.values(state.visuals || {})
+        .filter((e) => Array.isArray(e?.images) && e.images.length > 0), topic, options.platform)]);
+    }
+    // MoEngage pushes send the latest newsletter whatever the platform flag says
+    if (!isSocial) {
+      candidates.push(['content', this._pickLatestForTopic(contentEntries
+        .filter((e) => e?.contentType === 'email-newsletter'), topic, options.platform)]);
+    }
+
+    const seen = new Set();
+    return candidates
+      .filter(([bucket, entry]) => entry?.id && !seen.has(`${bucket}:${entry.id}`) && seen.add(`${bucket}:${entry.id}`))
+      .map(([bucket, entry]) => ({ bucket, id: entry.id, status: this.stateManager.getReviewStatus(entry) }))
+      .filter((e) => e.status !== 'approved')
+      .concat([...new Set(unreviewed)].map((ref) => ({ bucket: 'media', id: ref, status: 'unreviewed' })));
+  }
+
+  /**
+   * Stage 3 (visuals) or Stage 4 (videos) entry that holds a media path or URL, or null.
+   * @private
+   */
+  _findMediaEntry(bucket, ref) {
+    const refsOf = bucket === 'visuals'
+      ? (e) => (Array.isArray(e?.images) ? e.images : []).flatMap((img) => [img?.path, img?.hostedUrl, img?.url])
+      : (e) => [e?.hostedUrl, e?.directVideoUrl, e?.videoUrl, e?.localPath, e?.path];
+    return Object.values(this.stateManager.state[bucket] || {})
+      .find((e) => e && refsOf(e).includes(ref)) || null;
+  }
+
+  /**
+   * Pick the most recent entry for a topic; without a topic, the most recent entry overall.
+   * Entries of other topics are never picked for a topic (null when it has none).
+   * Repurposed variants (core/repurpose.js) only compete for their own platform, and of image
+   * variants only the platform's primary ratio does. A/B siblings (core/ab-testing.js) never do.
+   * @private
+   */
+  _pickLatestForTopic(entries, topic, platform = null) {
+    const byCompletedAtDesc = (a, b) => {
+      const aTs = new Date(a?.completedAt || a?.updatedAt || a?.createdAt || 0).getTime();
+      const bTs = new Date(b?.completedAt || b?.updatedAt || b?.createdAt || 0).getTime();
+      return bTs - aTs;
+    };
+    const normalizedTopic = (topic || '').trim();
+    const sorted = entries
+      .filter((e) => e && !e.variantOf && (!e.parentId || (e.platform === platform && e.primary !== false)))
+      .sort(byCompletedAtDesc);
+    if (!normalizedTopic) return sorted[0] || null;
+    return sorted.find((e) => (e?.topic || '').trim() === normalizedTopic) || null;
+  }
+
+  /**
+   * Stage 3 images saved for a topic, as publishable inputs (local path when present, else hosted URL).
+   * Pass { hostedOnly: true } for platforms that fetch media by URL (Instagram, Facebook);
+   * { platform } picks up that platform's repurposed variant.
+   * @private
+   * @returns {string[]}
+   */
+  _getLatestStageImages(topic, { hostedOnly = false, platform = null } = {}) {
+    const isHttp = (value) => typeof value === 'string' && /^https?:\/\//i.test(value);
+    const entries = Object.values(this.stateManager?.state?.visuals || {})
+      .filter((e) => Array.isArray(e?.images) && e.images.length > 0);
+    const latest = this._pickLatestForTopic(entries, topic, platform);
+    if (!latest) return [];
+
+    return latest.images
+      .map((img) => {
+        if (hostedOnly) {
+          return [img?.hostedUrl, img?.url].find(isHttp) || null;
+        }
+        if (img?.path && fs.existsSync(img.path)) return img.path;
+        return img?.hostedUrl || img?.url || null;
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Stage 4 video URL saved for a topic (hosted URL preferred), or the platform's repurposed render.
+   * @private
+   * @returns {string|null}
+   */
+  _getLatestStageVideo(topic, platform = null) {
+    const latest = this._getLatestStageVideoEntry(topic, platform);
+    if (!latest) return null;
+    return /^https?:\/\//i.test(latest.hostedUrl || '') ? latest.hostedUrl : latest.directVideoUrl;
+  }
+
+  /**
+   * Stage 4 entry whose video _getLatestStageVideo would publish, or null.
+   * @private
+   */
+  _getLatestStageVideoEntry(topic, platform = null) {
+    const isHttp = (value) => typeof value === 'string' && /^https?:\/\//i.test(value);
+    const entries = Object.values(this.stateManager?.state?.videos || {})
+      .filter((e) => isHttp(e?.hostedUrl) || isHttp(e?.directVideoUrl));
+    return this._pickLatestForTopic(entries, topic, platform);
+  }
+
+  /**
+   * Repurposed caption (core/repurpose.js) for a platform and exactly this topic, if any.
+   * @private
+   */
+  _getCaptionVariant(platform, topic) {
+    const normalizedTopic = (topic || '').trim();
+    if (!platform || !normalizedTopic) return null;
+    const entries = Object.values(this.stateManager?.state?.content || {})
+      .filter((e) => e?.contentType === 'caption-variant' && e.caption && (e.topic || '').trim() === normalizedTopic);
+    const latest = this._pickLatestForTopic(entries, normalizedTopic, platform);
+    return latest?.platform === platform ? latest : null;
+  }
+
+  /**
+   * Stage 2 carousel content for a platform and topic, if any.
+   * @private
+   */
+  _getLatestCarouselContent(platform, topic) {
+    const entries = Object.values(this.stateManager?.state?.content || {})
+      .filter((e) => e?.contentPack?.platforms?.[platform]?.carousel);
+    const latest = this._pickLatestForTopic(entries, topic, platform);
+    return latest?.contentPack?.platforms?.[platform]?.carousel || null;
+  }
+
+  /**
+   * Publish the latest Stage 3 images or Stage 4 video for a topic to LinkedIn.
+   * Carousels are posted as a multi-page document; the post URN/URL is written to state.published.
+   * @private
+   */
+  async _publishToLinkedIn(options) {
+    const topic = (options.topic || '').trim();
+    const format = String(options.format || '');
+    const isVideo = Boolean(options.videoUrl) || /video|testimonial|reel|explainer|short/i.test(format);
+    const isCarousel = /carousel/i.test(format);
+
+    // Reload so stage data written by the frontend routes after this process started is visible
+    await this.stateManager.initialize();
+
+    const carousel = this._getLatestCarouselContent('linkedin', topic);
+    const commentary = options.caption || (carousel
+      ? [
+        carousel.coverText,
+        (carousel.slides || []).slice(1, -1).map((s) => `• ${s.title}`).join('\n'),
+        carousel.finalSlideCta,
+        carousel.disclaimerLine
+      ].filter(Boolean).join('\n\n')
+      : topic);
+    const title = carousel?.coverText || topic || this.brand.company.shortName;
+
+    let mediaType = isVideo ? 'video' : (isCarousel ? 'document' : 'image');
+    try {
+      const publisher = getLinkedInPublisher();
+      let result;
+
+      if (isVideo) {
+        const videoUrl = options.videoUrl || this._getLatestStageVideo(topic, options.platform);
+        if (!videoUrl) {
+          throw new Error(`No hosted Stage 4 video found to publish${topic ? ` for "${topic}"` : ''}`);
+        }
+        console.log(`   🎥 Uploading video to LinkedIn: ${videoUrl.substring(0, 60)}...`);
+        result = await publisher.publishVideo({ video: videoUrl, title, commentary });
+      } else {
+        const images = Array.isArray(options.images) && options.images.length > 0
+          ? options.images.map((img) => img?.path || img?.hostedUrl || img?.url).filter(Boolean)
+          : this._getLatestStageImages(topic, { platform: 'linkedin' });
+        if (images.length === 0) {
+          throw new Error(`No Stage 3 images found to publish${topic ? ` for "${topic}"` : ''}`);
+        }
+        if (isCarousel && images.length > 1) {
+          console.log(`   🧩 Uploading ${images.length}-slide carousel to LinkedIn as a document...`);
+          result = await publisher.publishCarousel({ slides: images, title, commentary });
+        } else {
+          console.log('   🖼️  Uploading image to LinkedIn...');
+          result = await publisher.publishImage({ image: images[0], commentary, altText: title });
+        }
+      }
+      mediaType = result.mediaType;
+
+      const publishedId = `linkedin-${Date.now()}`;
+      await this.stateManager.addPublished({
+        id: publishedId,
+        platform: 'linkedin',
+        topic,
+        status: 'published',
+        mediaType,
+        postUrn: result.postUrn,
+        url: result.postUrl
+      });
+
+      console.log(`   ✅ Published to LinkedIn: ${result.postUrl}`);
+      return { success: true, platform: 'linkedin', id: publishedId, url: result.postUrl, postUrn: result.postUrn };
+    } catch (error) {
+      console.error(`   ❌ LinkedIn publish failed: ${error.message}`);
+      await this.stateManager.addPublished({
+        id: `linkedin-${Date.now()}`,
+        platform: 'linkedin',
+        topic,
+        status: 'failed',
+        mediaType,
+        error: error.message
+      });
+      return { success: false, platform: 'linkedin', error: error.message };
+    }
+  }
+
+  /**
+   * Publish the latest hosted Stage 4 video (reel) or Stage 3 images (carousel / feed image) to Instagram.
+   * Instagram pulls media from public URLs, so only Cloudinary/ImgBB-hosted assets are used.
+   * The permalink and media id (or the failure reason) are written to state.published.
+   * @private
+   */
+  async _publishToInstagram(options) {
+    const topic = (options.topic || '').trim();
+    const format = String(options.format || '');
+    const isReel = Boolean(options.videoUrl) || /video|reel|testimonial|short/i.test(format);
+    const isCarousel = /carousel/i.test(format);
+
+    // Reload so stage data written by the frontend routes after this process started is visible
+    await this.stateManager.initialize();
+
+    const carousel = this._getLatestCarouselContent('instagram', topic);
+    const caption = options.caption || (carousel
+      ? [carousel.coverText, carousel.finalSlideCta, carousel.disclaimerLine].filter(Boolean).join('\n\n')
+      : topic);
+
+    let mediaType = isReel ? 'reel' : (isCarousel ? 'carousel' : 'image');
+    try {
+      const publisher = getInstagramPublisher();
+      let result;
+
+      if (isReel) {
+        const videoUrl = options.videoUrl || this._getLatestStageVideo(topic, options.platform);
+        if (!videoUrl) {
+          throw new Error(`No hosted Stage 4 video found to publish${topic ? ` for "${topic}"` : ''}`);
+        }
+        console.log(`   🎬 Creating Instagram reel container: ${videoUrl.substring(0, 60)}...`);
+        result = await publisher.publishReel({ videoUrl, caption });
+      } else {
+        const isHttp = (value) => typeof value === 'string' && /^https?:\/\//i.test(value);
+        const imageUrls = Array.isArray(options.images) && options.images.length > 0
+          ? options.images.map((img) => [img?.hostedUrl, img?.url].find(isHttp)).filter(Boolean)
+          : this._getLatestStageImages(topic, { hostedOnly: true, platform: options.platform });
+        if (imageUrls.length === 0) {
+          throw new Error(`No hosted Stage 3 images found to publish${topic ? ` for "${topic}"` : ''} (Instagram needs public image URLs)`);
+        }
+        if (isCarousel && imageUrls.length > 1) {
+          if (imageUrls.length > MAX_CAROUSEL_CHILDREN) {
+            console.log(`   ⚠️  Instagram allows ${MAX_CAROUSEL_CHILDREN} carousel items; dropping ${imageUrls.length - MAX_CAROUSEL_CHILDREN}`);
+          }
+          console.log(`   🧩 Creating ${Math.min(imageUrls.length, MAX_CAROUSEL_CHILDREN)}-item Instagram carousel...`);
+          result = await publisher.publishCarousel({ imageUrls, caption });
+        } else {
+          console.log('   🖼️  Creating Instagram feed image container...');
+          result = await publisher.publishImage({ imageUrl: imageUrls[0], caption });
+        }
+      }
+      mediaType = result.mediaType;
+
+      const publishedId = `instagram-${Date.now()}`;
+      await this.stateManager.addPublished({
+        id: publishedId,
+        platform: 'instagram',
+        topic,
+        status: 'published',
+        mediaType,
+        mediaId: result.mediaId,
+        permalink: result.permalink,
+        url: result.permalink
+      });
+
+      console.log(`   ✅ Published to Instagram: ${result.permalink || result.mediaId}`);
+      return { success: true, platform: 'instagram', id: publishedId, url: result.permalink, mediaId: result.mediaId };
+    } catch (error) {
+      console.error(`   ❌ Instagram publish failed: ${error.message}`);
+      await this.stateManager.addPublished({
+        id: `instagram-${Date.now()}`,
+        platform: 'instagram',
+        topic,
+        status: 'failed',
+        mediaType,
+        error: error.message
+      });
+      return { success: false, platform: 'instagram', error: error.message };
+    }
+  }
+
+  /**
+   * Upload the latest Stage 4 video for a topic to YouTube (Shorts when vertical and ≤60s).
+   * Metadata comes from the avatar script and the Stage 1 campaign hashtags; the Stage 3 image
+   * is used as the thumbnail. The resumable session URI is stored in state.published while
+   * uploading so a later run can resume an interrupted upload.
+   * @private
+   */
+  async _publishToYouTube(options) {
+    const topic = (options.topic || '').trim();
+
+    // Reload so stage data written by the frontend routes after this process started is visible
+    await this.stateManager.initialize();
+
+    const videoEntry = this._pickLatestForTopic(Object.values(this.stateManager.state.videos || {})
+      .filter((e) => e?.hostedUrl || e?.directVideoUrl || e?.videoUrl), topic, 'youtube');
+    const videoSource = options.videoPath || options.videoUrl || this._getLatestStageVideo(topic, 'youtube');
+
+    const planning = this._getLatestCampaignPlanningEntry(topic);
+    const planningText = `${planning?.creativePrompt || ''}\n${planning?.output || ''}`;
+    const hashtags = Array.isArray(options.hashtags) && options.hashtags.length > 0
+      ? options.hashtags.map((tag) => (String(tag).startsWith('#') ? String(tag) : `#${tag}`))
+      : [...new Set(planningText.match(/#[\p{L}_][\p{L}\p{N}_]*/gu) || [])].slice(0, 15);
+    const script = (options.scriptText || options.avatarScriptText || videoEntry?.avatarScriptText || '').trim();
+    const description = [
+      script || topic,
+      hashtags.join(' '),
+      this.brand.compliance.standardDisclaimer
+    ].filter(Boolean).join('\n\n');
+
+    // Resume an interrupted upload of the same video (session URIs are valid for about a week)
+    const weekAgo = Date.now() - 7 * 24 * 60 * 60 * 1000;
+    const pendingUpload = Object.values(this.stateManager.state.published || {})
+      .find((e) => e?.platform === 'youtube' && e.status === 'uploading' && e.sessionUri &&
+        e.source === videoSource && new Date(e.publishedAt || 0).getTime() > weekAgo);
+    const publishedId = pendingUpload?.id || `youtube-${Date.now()}`;
+
+    try {
+      if (!videoSource) {
+        throw new Error(`No Stage 4 video found to publish${topic ? ` for "${topic}"` : ''}`);
+      }
+
+      const publisher = getYouTubePublisher();
+      const thumbnail = options.thumbnail || this._getLatestStageImages(topic, { platform: 'youtube' })[0] || null;
+
+      console.log(`   📺 Uploading video to YouTube: ${String(videoSource).substring(0, 60)}...`);
+      const result = await publisher.publishVideo({
+        video: videoSource,
+        title: options.title || topic,
+        description,
+        tags: [...hashtags, this.brand.company.shortName],
+        language: options.language,
+        thumbnail,
+        aspectRatio: options.aspectRatio,
+        durationSeconds: Number(options.duration || videoEntry?.duration) || undefined,
+        sessionUri: pendingUpload?.sessionUri,
+        onSession: (sessionUri) => this.stateManager.addPublished({
+          id: publishedId,
+          platform: 'youtube',
+          topic,
+          status: 'uploading',
+          source: videoSource,
+          sessionUri
+        })
+      });
+
+      await this.stateManager.addPublished({
+        id: publishedId,
+        platform: 'youtube',
+        topic,
+        status: 'published',
+        mediaType: result.mediaType,
+        videoId: result.videoId,
+        url: result.url,
+        isShort: result.isShort,
+        thumbnailSet: result.thumbnailSet,
+        ...(result.thumbnailError ? { thumbnailError: result.thumbnailError } : {})
+      });
+
+      console.log(`   ✅ Published to YouTube${result.isShort ? ' Shorts' : ''}: ${result.url}`);
+      return { success: true, platform: 'youtube', id: publishedId, url: result.url, videoId: result.videoId };
+    } catch (error) {
+      console.error(`   ❌ YouTube publish failed: ${error.message}`);
+      // Keep the session of an interrupted upload so the next run can resume it
+      const session = this.stateManager.state.published?.[publishedId];
+      await this.stateManager.addPublished({
+        id: publishedId,
+        platform: 'youtube',
+        topic,
+        status: session?.sessionUri ? 'uploading' : 'failed',
+        source: videoSource,
+        ...(session?.sessionUri ? { sessionUri: session.sessionUri } : {}),
+        error: error.message
+      });
+      return { success: false, platform: 'youtube', error: error.message };
+    }
+  }
+
+  /**
+   * Post the latest Stage 2 thread for a topic to X as a reply chain.
+   * Stage 3 images are attached per tweet via options.tweetImages ("tweet:image" pairs, 1-based,
+   * e.g. "1:1,4:2"); without a mapping the first image for the topic goes on the opening tweet.
+   * Progress is saved after every tweet so a failed run resumes from the last posted tweet id.
+   * @private
+   */
+  async _publishToTwitter(options) {
+    const topic = (options.topic || '').trim();
+
+    // Reload so stage data written by the frontend routes after this process started is visible
+    await this.stateManager.initialize();
+
+    const contentEntry = this._pickLatestForTopic(Object.values(this.stateManager.state.content || {})
+      .filter((e) => Array.isArray(e?.contentPack?.platforms?.twitter?.thread?.tweets)), topic, 'twitter');
+    const threadTweets = contentEntry?.contentPack?.platforms?.twitter?.thread?.tweets;
+    const sourceTweets = Array.isArray(options.tweets) && options.tweets.length > 0
+      ? options.tweets
+      : threadTweets || (options.caption ? [options.caption] : []);
+    if (sourceTweets.length === 0) {
+      console.log('   ⚠️  No Twitter/X thread content found in workflow state');
+      return { success: false, platform: 'twitter', error: 'No thread content found' };
+    }
+
+    const publishedId = `twitter-thread-${options.tweets || !threadTweets ? Date.now() : contentEntry.id}`;
+    const previous = this.stateManager.state.published?.[publishedId];
+    if (previous?.status === 'published') {
+      console.log(`   ℹ️  Thread already published: ${previous.url}`);
+      return { success: true, platform: 'twitter', id: publishedId, url: previous.url };
+    }
+
+    // Re-split overlong tweets; images follow the first part of their source tweet
+    const prepared = prepareThread(sourceTweets);
+    const stageImages = this._getLatestStageImages(topic, { platform: 'twitter' });
+    const imagesBySource = {};
+    const mapping = typeof options.tweetImages === 'string'
+      ? options.tweetImages.split(',').map((pair) => pair.split(':').map((n) => parseInt(n, 10)))
+      : Object.entries(options.tweetImages || {}).flatMap(([tweet, images]) =>
+        [].concat(images).map((image) => [parseInt(tweet, 10), parseInt(image, 10)]));
+    if (mapping.length === 0 && stageImages.length > 0) {
+      mapping.push([1, 1]);
+    }
+    for (const [tweetNumber, imageNumber] of mapping) {
+      const image = stageImages[imageNumber - 1];
+      if (!image || !(tweetNumber >= 1 && tweetNumber <= sourceTweets.length)) {
+        console.log(`   ⚠️  Ignoring tweet image mapping ${tweetNumber}:${imageNumber}`);
+        continue;
+      }
+      imagesBySource[tweetNumber - 1] = [...(imagesBySource[tweetNumber - 1] || []), image].slice(0, MAX_IMAGES_PER_TWEET);
+    }
+    const tweets = prepared.map((tweet, index) => ({
+      text: tweet.text,
+      images: index === prepared.findIndex((t) => t.sourceIndex === tweet.sourceIndex)
+        ? imagesBySource[tweet.sourceIndex] || []
+        : []
+    }));
+    if (tweets.length !== sourceTweets.length) {
+      console.log(`   ✂️  Re-split ${sourceTweets.length} tweets into ${tweets.length} to fit the character limit`);
+    }
+
+    const tweetIds = Array.isArray(previous?.tweetIds) ? [...previous.tweetIds] : [];
+    const record = (status, extra = {}) => this.stateManager.addPublished({
+      id: publishedId,
+      platform: 'twitter',
+      topic,
+      contentId: contentEntry?.id || null,
+      status,
+      mediaType: 'thread',
+      tweetIds,
+      lastTweetId: tweetIds[tweetIds.length - 1] || null,
+      totalTweets: tweets.length,
+      url: tweetIds.length > 0 ? `https://x.com/i/web/status/${tweetIds[0]}` : null,
+      ...extra
+    });
+
+    try {
+      const publisher = getTwitterPublisher();
+      if (tweetIds.length > 0) {
+        console.log(`   ↩️  Resuming thread at tweet ${tweetIds.length + 1}/${tweets.length}`);
+      }
+
+      await publisher.publishThread({
+        tweets,
+        startIndex: tweetIds.length,
+        replyToId: tweetIds[tweetIds.length - 1] || null,
+        onTweetPosted: async (index, tweetId) => {
+          tweetIds.push(tweetId);
+          await record(tweetIds.length < tweets.length ? 'partial' : 'published');
+        }
+      });
+
+      const url = `https://x.com/i/web/status/${tweetIds[0]}`;
+      console.log(`   ✅ Published to Twitter/X: ${url}`);
+      return { success: true, platform: 'twitter', id: publishedId, url, tweetIds };
+    } catch (error) {
+      console.error(`   ❌ Twitter/X publish failed after ${tweetIds.length}/${tweets.length} tweets: ${error.message}`);
+      await record(tweetIds.length > 0 ? 'partial' : 'failed', { error: error.message });
+      return { success: false, platform: 'twitter', id: publishedId, error: error.message };
+    }
+  }
+
+  /**
+   * Publish the latest hosted Stage 4 video (reel) or Stage 3 images (album / photo) to the Facebook Page.
+   * options.publishAt (ISO time) schedules the post instead of publishing it immediately.
+   * The post id, permalink and status ("published" / "scheduled" / "failed") go to state.published.
+   * @private
+   */
+  async _publishToFacebook(options) {
+    const topic = (options.topic || '').trim();
+    const format = String(options.format || '');
+    const isReel = Boolean(options.videoUrl || options.videoPath) || /video|reel|testimonial|short/i.test(format);
+    const isCarousel = /carousel|album/i.test(format);
+    const scheduledAt = options.publishAt || options.scheduledAt || null;
+
+    // Reload so stage data written by the frontend routes after this process started is visible
+    await this.stateManager.initialize();
+
+    const carousel = this._getLatestCarouselContent('facebook', topic) || this._getLatestCarouselContent('instagram', topic);
+    const message = options.caption || (carousel
+      ? [carousel.coverText, carousel.finalSlideCta, carousel.disclaimerLine].filter(Boolean).join('\n\n')
+      : topic);
+
+    let mediaType = isReel ? 'reel' : (isCarousel ? 'album' : 'photo');
+    try {
+      const publisher = getFacebookPublisher();
+      let result;
+
+      if (isReel) {
+        const video = options.videoUrl || options.videoPath || this._getLatestStageVideo(topic, 'facebook');
+        if (!video) {
+          throw new Error(`No Stage 4 video found to publish${topic ? ` for "${topic}"` : ''}`);
+        }
+        console.log(`   🎬 Uploading Facebook reel: ${video.substring(0, 60)}...`);
+        result = await publisher.publishReel({ video, description: message, scheduledAt });
+      } else {
+        const isHttp = (value) => typeof value === 'string' && /^https?:\/\//i.test(value);
+        const imageUrls = Array.isArray(options.images) && options.images.length > 0
+          ? options.images.map((img) => [img?.hostedUrl, img?.url].find(isHttp)).filter(Boolean)
+          : this._getLatestStageImages(topic, { hostedOnly: true, platform: options.platform });
+        if (imageUrls.length === 0) {
+          throw new Error(`No hosted Stage 3 images found to publish${topic ? ` for "${topic}"` : ''} (Facebook needs public image URLs)`);
+        }
+        if (isCarousel && imageUrls.length > 1) {
+          console.log(`   🧩 Posting ${imageUrls.length}-photo album to Facebook...`);
+          result = await publisher.publishAlbum({ imageUrls, message, scheduledAt });
+        } else {
+          console.log('   🖼️  Posting photo to Facebook...');
+          result = await publisher.publishPhoto({ imageUrl: imageUrls[0], message, scheduledAt });
+        }
+      }
+      mediaType = result.mediaType;
+
+      const publishedId = `facebook-${Date.now()}`;
+      await this.stateManager.addPublished({
+        id: publishedId,
+        platform: 'facebook',
+        topic,
+        status: result.status,
+        mediaType,
+        postId: result.postId,
+        ...(result.videoId ? { videoId: result.videoId } : {}),
+        permalink: result.permalink,
+        url: result.permalink,
+        ...(result.scheduledAt ? { scheduledAt: result.scheduledAt } : {})
+      });
+
+      if (result.status === 'scheduled') {
+        console.log(`   🗓️  Scheduled on Facebook for ${result.scheduledAt}: ${result.permalink || result.postId}`);
+      } else {
+        console.log(`   ✅ Published to Facebook: ${result.permalink || result.postId}`);
+      }
+      return {
+        success: true,
+        platform: 'facebook',
+        id: publishedId,
+        url: result.permalink,
+        postId: result.postId,
+        status: result.status,
+        scheduledAt: result.scheduledAt
+      };
+    } catch (error) {
+      console.error(`   ❌ Facebook publish failed: ${error.message}`);
+      await this.stateManager.addPublished({
+        id: `facebook-${Date.now()}`,
+        platform: 'facebook',
+        topic,
+        status: 'failed',
+        mediaType,
+        error: error.message
+      });
+      return { success: false, platform: 'facebook', status: 'failed', error: error.message };
+    }
   }
 
   async stageTracking(options) {
@@ -2735,101 +3646,29 @@ ${brandGuidance}`;
       } catch (error) {
         console.error(`   ❌ MoEngage tracking fetch failed: ${error.message}`);
       }
-    } else {
-      console.log('   ⚠️  Tracking not yet implemented for this platform');
-    }
-  }
-
-  /**
-   * Placeholder campaign handlers
-   */
-
-  async runLinkedInDataViz(options) {
-    console.log('📊 LinkedIn Data Viz - Not yet implemented');
-  }
-
-  async runInstagramCarousel(options) {
-    console.log('📸 Instagram Carousel - Not yet implemented');
-  }
-
-  async runYouTubeShort(options) {
-    console.log('📱 YouTube Short - Not yet implemented');
-  }
-
-  async runFacebookReel(options) {
-    console.log('📱 Facebook Reel Campaign');
-    console.log(`   Topic: ${options.topic}`);
-    console.log(`   Duration: ${options.duration}s\n`);
-
-    // Same flow as Instagram Reel: short-form vertical video for Facebook
-    await this.stageContent({
-      platform: 'facebook',
-      format: 'reel',
-      topic: options.topic,
-      duration: options.duration,
-      language: options.language
-    });
-
-    await this.stageVideo({
-      platform: 'facebook',
-      format: 'reel',
-      aspectRatio: options.aspectRatio || '9:16',
-      duration: options.duration,
-      useVeo: options.useVeo,
-      useAvatar: options.useAvatar,
-      language: options.language,
-      waitForCompletion: options.waitForCompletion
-    });
-
-    if (options.autoPublish) {
-      await this.stagePublishing({ platform: 'facebook' });
-    }
-
-    console.log('\n✅ Facebook reel ready!');
-  }
-
-  async runTwitterThread(options) {
-    console.log('🐦 Twitter/X Thread Campaign');
-    console.log(`   Topic: ${options.topic}`);
-    if (options.language) {
-      console.log(`   Language: ${this._getLanguageName(options.language)}`);
-    }
-    console.log('');
-
-    // Stage 2: Generate thread content (tweets), save to state
-    await this.stageContent({
-      platform: 'twitter',
-      format: 'thread',
-      topic: options.topic,
-      language: options.language
-    });
-
-    if (options.autoPublish) {
-      await this.stagePublishing({ platform: 'twitter' });
     }
 
-    console.log('\n✅ Twitter thread ready!');
-  }
-
-  async runEmailNewsletter(options) {
-    console.log('📧 Email Newsletter Campaign');
-    console.log(`   Topic: ${options.topic}\n`);
-
-    await this.stageContent({
-      platform: 'email',
-      format: 'newsletter',
-      topic: options.topic,
-      type: 'email-newsletter',
-      language: options.language
-    });
-
-    await this.stagePublishing({
-      platform: 'email',
-      type: 'email-newsletter',
+    // Post-level counts from the platform insights APIs and MoEngage campaign reports
+    await this.stateManager.initialize();
+    await new MetricsCollector({ stateManager: this.stateManager, store: this._getMetricsStore() }).collect({
+      platform: isEmail ? 'email' : options.platform,
       topic: options.topic
     });
 
-    console.log('\n✅ Email newsletter publishing trigger sent!\n');
+    // Running A/B split tests (core/ab-testing.js): per-variant metrics, winner once significant
+    const testPlatform = isWhatsApp ? 'whatsapp' : isEmail ? 'email' : options.platform;
+    const runningTests = this._getAbTestStore().list({ status: 'running', platform: testPlatform, topic: options.topic });
+    if (runningTests.length > 0) {
+      await this.stateManager.initialize();
+      console.log(`\n   🧪 Tracking ${runningTests.length} A/B test(s)...`);
+      for (const test of runningTests) {
+        try {
+          await ABTestStore.trackTest(this, test);
+        } catch (error) {
+          console.error(`   ❌ A/B test ${test.id} tracking failed: ${error.message}`);
+        }
+      }
+    }
   }
 
   /**
@@ -0,0 +1,201 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const DEFAULT_BREAKER_THRESHOLD = 3;
+const DEFAULT_BREAKER_COOLDOWN_MS = 5 * 60 * 1000;
+
+const openStores = new Map();
+
+/**
+ * Provider usage ledger (data/provider-usage.db).
+ *
+ * Records every image and text provider call (cost estimate, tokens for text, latency, outcome,
+ * campaign) and keeps a circuit breaker per provider: after `threshold` consecutive failures the
+ * provider is skipped for `cooldown`, then one trial call decides whether it closes again. Text
+ * calls use their own breakers (`text:<provider>`), so a Gemini text outage doesn't stop image
+ * generation. State is in SQLite so breakers hold across the separate main.js processes each
+ * stage runs in.
+ */
+class ProviderUsageStore {
+  constructor(dataDir, options = {}) {
+    this.dataDir = dataDir;
+    this.dbFile = path.join(dataDir, 'provider-usage.db');
+    this.breakerThreshold = options.breakerThreshold ||
+      Number(process.env.IMAGE_BREAKER_THRESHOLD) || DEFAULT_BREAKER_THRESHOLD;
+    this.breakerCooldownMs = options.breakerCooldownMs ??
+      ((Number(process.env.IMAGE_BREAKER_COOLDOWN_SECONDS) || 0) * 1000 || DEFAULT_BREAKER_COOLDOWN_MS);
+
+    fs.mkdirSync(dataDir, { recursive: true });
+    this.db = new Database(this.dbFile);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('busy_timeout = 5000');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS calls (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        provider TEXT NOT NULL,
+        model TEXT,
+        operation TEXT NOT NULL,
+        use_case TEXT,
+        campaign_id TEXT,
+        stage TEXT,
+        success INTEGER NOT NULL,
+        images INTEGER NOT NULL DEFAULT 0,
+        input_tokens INTEGER NOT NULL DEFAULT 0,
+        output_tokens INTEGER NOT NULL DEFAULT 0,
+        cost_usd REAL NOT NULL DEFAULT 0,
+        latency_ms INTEGER NOT NULL,
+        error TEXT,
+        created_at TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS calls_campaign ON calls (campaign_id, created_at);
+      CREATE TABLE IF NOT EXISTS breakers (
+        provider TEXT PRIMARY KEY,
+        failures INTEGER NOT NULL,
+        opened_until TEXT,
+        updated_at TEXT NOT NULL
+      );
+    `);
+
+    // Ledgers created before text calls were recorded have no token columns
+    const columns = this.db.prepare('PRAGMA table_info(calls)').all().map((column) => column.name);
+    for (const column of ['input_tokens', 'output_tokens']) {
+      if (!columns.includes(column)) {
+        this.db.exec(`ALTER TABLE calls ADD COLUMN ${column} INTEGER NOT NULL DEFAULT 0`);
+      }
+    }
+  }
+
+  /**
+   * Shared store per data directory
+   */
+  static open(dataDir) {
+    const key = path.resolve(dataDir);
+    if (!openStores.has(key)) {
+      openStores.set(key, new ProviderUsageStore(key));
+    }
+    return openStores.get(key);
+  }
+
+  /**
+   * Record one provider call and update its breaker
+   * @param {Object} call - { provider, model, operation, useCase, campaignId, stage, success, images, inputTokens, outputTokens, costUsd, latencyMs, error, breakerKey? }
+   */
+  record(call) {
+    const now = new Date();
+    const breakerKey = call.breakerKey || call.provider;
+    this.db.transaction(() => {
+      this.db.prepare(`
+        INSERT INTO calls (provider, model, operation, use_case, campaign_id, stage, success, images, input_tokens, output_tokens, cost_usd, latency_ms, error, created_at)
+        VALUES (@provider, @model, @operation, @useCase, @campaignId, @stage, @success, @images, @inputTokens, @outputTokens, @costUsd, @latencyMs, @error, @createdAt)
+      `).run({
+        provider: call.provider,
+        model: call.model || null,
+        operation: call.operation,
+        useCase: call.useCase || null,
+        campaignId: call.campaignId || null,
+        stage: call.stage || null,
+        success: call.success ? 1 : 0,
+        images: call.images || 0,
+        inputTokens: call.inputTokens || 0,
+        outputTokens: call.outputTokens || 0,
+        costUsd: call.costUsd || 0,
+        latencyMs: Math.round(call.latencyMs || 0),
+        error: call.error ? String(call.error).slice(0, 500) : null,
+        createdAt: now.toISOString()
+      });
+
+      if (call.success) {
+        this.db.prepare('DELETE FROM breakers WHERE provider = ?').run(breakerKey);
+        return;
+      }
+      const failures = (this._breaker(breakerKey)?.failures || 0) + 1;
+      const openedUntil = failures >= this.breakerThreshold
+        ? new Date(now.getTime() + this.breakerCooldownMs).toISOString()
+        : null;
+      this.db.prepare(`
+        INSERT INTO breakers (provider, failures, opened_until, updated_at) VALUES (?, ?, ?, ?)
+        ON CONFLICT(provider) DO UPDATE SET failures = excluded.failures, opened_until = excluded.opened_until, updated_at = excluded.updated_at
+      `).run(breakerKey, failures, openedUntil, now.toISOString());
+    }).immediate();
+  }
+
+  _breaker(provider) {
+    return this.db.prepare('SELECT failures, opened_until AS openedUntil FROM breakers WHERE provider = ?').get(provider) || null;
+  }
+
+  /**
+   * Whether a provider's breaker is open (skip it). Once the cooldown has passed the breaker is
+   * half-open: calls go through, and the next failure opens it again.
+   */
+  isOpen(provider, now = new Date()) {
+    const breaker = this._breaker(provider);
+    return Boolean(breaker?.openedUntil && new Date(breaker.openedUntil) > now);
+  }
+
+  /**
+   * Breaker state of every provider that has failed recently
+   */
+  breakers(now = new Date()) {
+    return this.db.prepare('SELECT provider, failures, opened_until AS openedUntil FROM breakers ORDER BY provider').all()
+      .map((row) => ({
+        ...row,
+        state: !row.openedUntil ? 'closed' : (new Date(row.openedUntil) > now ? 'open' : 'half-open')
+      }));
+  }
+
+  /**
+   * Spend per campaign and provider, with image and text calls (kind) reported apart
+   * @param {Object} [filters] - { campaignId, since (ISO date) }
+   * @returns {Array<{campaignId, totalUsd, calls, providers: Array}>}
+   */
+  spendReport({ campaignId, since } = {}) {
+    const where = [];
+    const params = {};
+    if (campaignId) {
+      where.push('campaign_id = @campaignId');
+      params.campaignId = campaignId;
+    }
+    if (since) {
+      where.push('created_at >= @since');
+      params.since = new Date(since).toISOString();
+    }
+    const rows = this.db.prepare(`
+      SELECT COALESCE(campaign_id, 'unassigned') AS campaignId, provider,
+        CASE WHEN operation = 'text' THEN 'text' ELSE 'image' END AS kind,
+        COUNT(*) AS calls, SUM(success) AS succeeded, SUM(images) AS images,
+        SUM(input_tokens) AS inputTokens, SUM(output_tokens) AS outputTokens,
+        SUM(cost_usd) AS costUsd, AVG(latency_ms) AS avgLatencyMs, MAX(created_at) AS lastCallAt
+      FROM calls ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+      GROUP BY campaignId, provider, kind
+      ORDER BY lastCallAt DESC
+    `).all(params);
+
+    const campaigns = new Map();
+    for (const row of rows) {
+      const campaign = campaigns.get(row.campaignId) || { campaignId: row.campaignId, totalUsd: 0, calls: 0, lastCallAt: row.lastCallAt, providers: [] };
+      campaign.totalUsd += row.costUsd;
+      campaign.calls += row.calls;
+      campaign.providers.push({
+        provider: row.provider,
+        kind: row.kind,
+        calls: row.calls,
+        failed: row.calls - row.succeeded,
+        images: row.images,
+        inputTokens: row.inputTokens,
+        outputTokens: row.outputTokens,
+        costUsd: Number(row.costUsd.toFixed(4)),
+        avgLatencyMs: Math.round(row.avgLatencyMs)
+      });
+      campaigns.set(row.campaignId, campaign);
+    }
+    return [...campaigns.values()].map((campaign) => ({ ...campaign, totalUsd: Number(campaign.totalUsd.toFixed(4)) }));
+  }
+
+  close() {
+    this.db.close();
+    openStores.delete(path.resolve(this.dataDir));
+  }
+}
+
+module.exports = ProviderUsageStore;
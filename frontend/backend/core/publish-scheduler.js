@@ -0,0 +1,106 @@
+/**
+ * Publish Scheduler
+ *
+ * Worker that publishes scheduled items from the ScheduleStore when they come due by
+ * calling orchestrator.stagePublishing. Failed attempts are retried with backoff by the
+ * store; every attempt is kept on the item as its history. Newsletters that were only drafted
+ * for review stay unpublished as `awaiting_launch`.
+ */
+class PublishScheduler {
+  constructor({ orchestrator, store, intervalMs = 60000 }) {
+    this.orchestrator = orchestrator;
+    this.store = store;
+    this.intervalMs = intervalMs;
+    this.stopped = false;
+    this._wake = null;
+    this._timer = null;
+  }
+
+  /**
+   * Publish everything that is due now (one pass)
+   * @returns {Promise<Array>} Updated items
+   */
+  async runDue() {
+    const dueItems = await this.store.claimDue();
+    if (dueItems.length === 0) {
+      console.log('   ℹ️  No scheduled posts due');
+      return [];
+    }
+
+    const results = [];
+    for (const item of dueItems) {
+      const attempt = item.attempts.length;
+      console.log(`\n⏰ ${item.id}: ${item.platform} "${item.topic}" (attempt ${attempt}/${item.maxAttempts}, due ${item.localTime} ${item.timeZone})`);
+
+      let outcome;
+      try {
+        const result = await this.orchestrator.stagePublishing({
+          ...item.options,
+          platform: item.platform,
+          topic: item.topic,
+          ...(item.format ? { format: item.format } : {})
+        });
+        // Only an explicit success counts; a publisher that reports nothing did not publish, and a
+        // newsletter drafted for review is left for its launch instead of being retried
+        outcome = result?.success
+          ? { success: true, url: result.url, publishedId: result.id }
+          : result?.status === 'awaiting_launch'
+            ? { success: false, awaitingLaunch: true, newsletterCampaignId: result.newsletterCampaignId }
+            : { success: false, error: result?.error || 'Publisher returned no result' };
+      } catch (error) {
+        outcome = { success: false, error: error.message };
+      }
+
+      const updated = await this.store.recordAttempt(item.id, outcome);
+      if (updated?.status === 'published') {
+        console.log(`   ✅ ${item.id} published${updated.url ? `: ${updated.url}` : ''}`);
+      } else if (updated?.status === 'awaiting_launch') {
+        console.log(`   ⏸️  ${item.id} not published: ${updated.newsletterCampaignId || 'the newsletter campaign'} awaits review and launch`);
+      } else if (updated?.status === 'retrying') {
+        console.log(`   🔁 ${item.id} failed (${outcome.error}); retrying at ${updated.nextAttemptAt}`);
+      } else {
+        console.log(`   ❌ ${item.id} failed after ${attempt} attempts: ${outcome.error}`);
+      }
+      results.push(updated);
+    }
+
+    return results;
+  }
+
+  /**
+   * Poll for due items until stop() is called (SIGINT/SIGTERM stop after the current item)
+   */
+  async start() {
+    console.log(`🗓️  Publish scheduler running (checking every ${Math.round(this.intervalMs / 1000)}s, Ctrl+C to stop)`);
+    const stop = () => this.stop();
+    process.once('SIGINT', stop);
+    process.once('SIGTERM', stop);
+
+    try {
+      while (!this.stopped) {
+        try {
+          await this.runDue();
+        } catch (error) {
+          console.error(`   ❌ Scheduler pass failed: ${error.message}`);
+        }
+        if (this.stopped) break;
+        await new Promise((resolve) => {
+          this._wake = resolve;
+          this._timer = setTimeout(resolve, this.intervalMs);
+        });
+      }
+    } finally {
+      process.removeListener('SIGINT', stop);
+      process.removeListener('SIGTERM', stop);
+    }
+    console.log('🛑 Publish scheduler stopped');
+  }
+
+  stop() {
+    this.stopped = true;
+    clearTimeout(this._timer);
+    if (this._wake) this._wake();
+  }
+}
+
+module.exports = PublishScheduler;
@@ -0,0 +1,517 @@
+/**
+ * Repurpose Pipeline
+ *
+ * Derives platform-native variants from one master asset — a Stage 2 content, Stage 3 visuals
+ * or Stage 4 video record (`node main.js repurpose <id>`):
+ *
+ *   copy     one caption per platform: LinkedIn long-form, X short post, Instagram caption with
+ *            a hashtag block, Facebook, YouTube description, WhatsApp message (Gemini, with a
+ *            rule-based fallback); the market-risk disclaimer is kept when the audience needs it
+ *   images   1:1 / 16:9 / 9:16 re-layouts of every master image (WhatsApp gets JPEG creatives)
+ *   video    a Shotstack render per platform ratio with the same layout
+ *
+ * Re-layout is not a blind crop: the whole master is fitted into the target's safe area (clear
+ * of story/status UI on 9:16) over a blurred fill of itself, so headlines, logos and
+ * disclaimers baked into the creative survive.
+ *
+ * Every variant is saved as a child record ({ parentId, parentBucket, platform, aspectRatio })
+ * — captions in content, images in visuals, renders in videos — and the master lists them in
+ * `variants`. Variants start as drafts and are reviewed like any other entry; Stage 5 prefers a
+ * platform's variant over the master.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const VideoEditor = require('../video/video-editor');
+const { extractCopy, hasDisclaimer, requiresDisclaimer } = require('./compliance-checker');
+
+// Copy limits and outputs per platform. The first image ratio is the one Stage 5 publishes.
+const TARGETS = {
+  linkedin: { label: 'LinkedIn', maxLength: 3000, hashtags: 5, images: ['1:1', '16:9'], video: '16:9' },
+  twitter: { label: 'X', maxLength: 280, hashtags: 2, images: ['16:9'], video: '16:9' },
+  instagram: { label: 'Instagram', maxLength: 2200, hashtags: 20, hashtagBlock: true, images: ['1:1', '9:16'], video: '9:16' },
+  facebook: { label: 'Facebook', maxLength: 2000, hashtags: 3, images: ['1:1'], video: '1:1' },
+  youtube: { label: 'YouTube', maxLength: 5000, hashtags: 3, images: ['16:9'], video: '16:9' },
+  whatsapp: { label: 'WhatsApp', maxLength: 1024, hashtags: 0, images: ['9:16', '1:1'], video: '9:16', sizes: { '1:1': [800, 800] }, imageType: 'jpeg' }
+};
+
+const SIZES = { '16:9': [1920, 1080], '1:1': [1080, 1080], '9:16': [1080, 1920] };
+
+// Fractions of the frame kept clear: profile bar and reply box on 9:16 stories/status, a margin elsewhere
+const SAFE_AREAS = {
+  '16:9': { top: 0.05, bottom: 0.05, left: 0.05, right: 0.05 },
+  '1:1': { top: 0.05, bottom: 0.05, left: 0.05, right: 0.05 },
+  '9:16': { top: 0.14, bottom: 0.2, left: 0.06, right: 0.06 }
+};
+
+const MASTER_BUCKETS = ['content', 'visuals', 'videos'];
+const BUCKET_ALIASES = { content: 'content', 2: 'content', visuals: 'visuals', 3: 'visuals', video: 'videos', videos: 'videos', 4: 'videos' };
+const HASHTAG = /#[\p{L}_][\p{L}\p{N}_]*/gu;
+
+function invalidRepurpose(message) {
+  return Object.assign(new Error(message), { code: 'INVALID_REPURPOSE' });
+}
+
+function loadCanvas() {
+  try {
+    return require('canvas');
+  } catch (error) {
+    throw new Error(`Image re-layout needs the canvas package (${error.message.split('\n')[0]})`);
+  }
+}
+
+/**
+ * Target platforms from a comma-separated list or array (default: all)
+ */
+function parsePlatforms(value) {
+  if (!value || value.length === 0) return Object.keys(TARGETS);
+  const platforms = (Array.isArray(value) ? value : String(value).split(','))
+    .map((platform) => platform.trim().toLowerCase())
+    .filter(Boolean);
+  const unknown = platforms.filter((platform) => !TARGETS[platform]);
+  if (unknown.length > 0) {
+    throw invalidRepurpose(`Unknown repurpose platform(s): ${unknown.join(', ')} (expected ${Object.keys(TARGETS).join(', ')})`);
+  }
+  return [...new Set(platforms)];
+}
+
+/**
+ * Master record for a record id, or for a stage alias (content/visuals/video or 2/3/4) the
+ * latest non-variant record of that stage for the topic
+ * @returns {{bucket: string, master: Object}}
+ */
+function findMaster(orchestrator, ref, topic) {
+  const { stateManager } = orchestrator;
+  const aliasBucket = BUCKET_ALIASES[String(ref || '').toLowerCase()];
+  if (aliasBucket) {
+    const master = orchestrator._pickLatestForTopic(Object.values(stateManager.getEntries(aliasBucket)), topic);
+    if (!master) throw invalidRepurpose(`No ${aliasBucket} record to repurpose${topic ? ` for "${topic}"` : ''}`);
+    return { bucket: aliasBucket, master };
+  }
+
+  for (const bucket of MASTER_BUCKETS) {
+    const master = stateManager.getEntry(bucket, ref);
+    if (!master) continue;
+    if (master.parentId) {
+      throw invalidRepurpose(`${ref} is a ${master.platform} variant of ${master.parentId}; repurpose the master instead`);
+    }
+    return { bucket, master };
+  }
+  throw invalidRepurpose(`No content, visuals or videos record with id ${ref}`);
+}
+
+/**
+ * Written copy of the master (spoken scripts last); visuals and videos without copy of their own
+ * borrow the latest Stage 2 copy for their topic
+ */
+function masterCopy(orchestrator, master) {
+  const sections = (entry) => {
+    // Image prompts and slide visual cues describe the creative, they are not copy
+    const all = extractCopy(entry).filter((s) => !/visualCue|prompt/i.test(s.field));
+    return [...all.filter((s) => !s.spoken), ...all.filter((s) => s.spoken)].map((s) => s.text.trim());
+  };
+  let texts = sections(master);
+  if (texts.length === 0 && master.topic) {
+    const content = orchestrator._pickLatestForTopic(Object.values(orchestrator.stateManager.getEntries('content'))
+      .filter((e) => (e.topic || '').trim() === master.topic.trim()), master.topic);
+    texts = content ? sections(content) : [];
+  }
+  return [...new Set(texts)].join('\n\n') || (master.topic || '').trim();
+}
+
+function toHashtag(text) {
+  const words = String(text).normalize('NFKC').match(/[\p{L}\p{N}]+/gu) || [];
+  const tag = words.map((word) => word[0].toUpperCase() + word.slice(1)).join('');
+  return tag && /^\p{L}/u.test(tag) && tag.length <= 30 ? `#${tag}` : null;
+}
+
+/**
+ * Hashtags already in the copy first, then the topic and its longer words, then the brand
+ */
+function collectHashtags(text, topic, brand) {
+  const words = String(topic || '').match(/[\p{L}]{5,}/gu) || [];
+  return [...new Set([
+    ...(String(text).match(HASHTAG) || []),
+    toHashtag(topic),
+    ...words.map(toHashtag),
+    toHashtag(brand.company.shortName)
+  ].filter(Boolean))];
+}
+
+/**
+ * Copy without hashtag-only lines (hashtags are re-added per platform)
+ */
+function stripHashtagLines(text) {
+  return String(text)
+    .split('\n')
+    .filter((line) => line.replace(HASHTAG, '').trim() || !line.trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Shorten to `limit` characters at a sentence end when possible, else a word boundary
+ */
+function fitText(text, limit) {
+  const clean = String(text).trim();
+  if (clean.length <= limit) return clean;
+  const cut = clean.slice(0, Math.max(limit - 1, 0));
+  const sentenceEnd = Math.max(cut.lastIndexOf('. '), cut.lastIndexOf('! '), cut.lastIndexOf('? '), cut.lastIndexOf('\n'));
+  if (sentenceEnd > limit * 0.4) return cut.slice(0, sentenceEnd + 1).trim();
+  const wordEnd = cut.lastIndexOf(' ');
+  return `${(wordEnd > 0 ? cut.slice(0, wordEnd) : cut).trim()}…`;
+}
+
+/**
+ * Caption for one platform: body within the platform limit, the disclaimer when it is required
+ * and missing, then the hashtags (a separate block on Instagram, none on WhatsApp)
+ * @param {string} text - Caption body
+ * @param {string} platform - TARGETS key
+ * @param {Object} [options] - { hashtags, disclaimer, brand }
+ */
+function adaptCopy(text, platform, { hashtags = [], disclaimer = null, brand } = {}) {
+  const spec = TARGETS[platform];
+  const tags = hashtags.slice(0, spec.hashtags).map((tag) => (tag.startsWith('#') ? tag : `#${tag}`)).join(' ');
+  const tagBlock = !tags ? '' : spec.hashtagBlock ? `\n.\n.\n.\n${tags}` : `\n\n${tags}`;
+  const separator = platform === 'twitter' ? ' ' : '\n\n';
+  const reserve = tagBlock.length + (disclaimer ? disclaimer.length + separator.length : 0);
+
+  let body = fitText(stripHashtagLines(text), spec.maxLength - reserve);
+  if (platform === 'twitter') body = body.replace(/\s*\n+\s*/g, ' ');
+  if (platform === 'whatsapp') body = body.replace(/^([^\n*]+)/, '*$1*');
+  if (disclaimer && !hasDisclaimer(body, brand)) body = `${body}${separator}${disclaimer}`;
+  return `${body}${tagBlock}`;
+}
+
+/**
+ * Platform rewrites of the master copy (TextClient task 'repurpose-copy'): { platform: { caption, hashtags } }.
+ * Null without a text provider, in simulation, or when the call fails (callers fall back to adaptCopy).
+ */
+async function generateCopyVariants(orchestrator, { text, topic, platforms, hashtags, language }) {
+  const textClient = orchestrator._getTextClient();
+  if (orchestrator.simulate || !textClient.isAvailable('repurpose-copy')) return null;
+
+  const limits = platforms.map((platform) => {
+    const spec = TARGETS[platform];
+    return `- "${platform}": ${spec.label}, caption body under ${spec.maxLength - 200} characters, up to ${spec.hashtags} hashtags`;
+  }).join('\n');
+  const prompt = `You adapt one piece of finance marketing copy for ${orchestrator.brand.company.shortName} into platform-native captions. Output valid JSON only, no markdown.
+
+Output one object keyed by platform; each value is { "caption": string, "hashtags": string[] }:
+${limits}
+
+Platform voice: LinkedIn is a professional long-form post with short paragraphs; X is one punchy post; Instagram is a conversational caption with line breaks (hashtags go in "hashtags", not the caption); Facebook is friendly and direct; YouTube is a video description; WhatsApp is a short personal message without hashtags.
+Rules: keep every fact and figure from the source, add none. No guaranteed returns, no "sure-shot", no exaggerated claims. Do not add a disclaimer (it is appended separately). Language: ${language || 'english'}.
+
+Topic: ${topic || ''}
+Suggested hashtags: ${hashtags.join(' ')}
+Source copy:
+${text.slice(0, 4000)}`;
+
+  const schema = {
+    type: 'object',
+    required: platforms,
+    properties: Object.fromEntries(platforms.map((platform) => [platform, {
+      type: 'object',
+      required: ['caption'],
+      properties: { caption: { type: 'string', minLength: 1 }, hashtags: { type: 'array', items: { type: 'string' } } }
+    }]))
+  };
+
+  try {
+    const { data } = await textClient.generateJson('repurpose-copy', { prompt, schema, cache: true });
+    return data;
+  } catch (err) {
+    console.log(`   ⚠️ Repurpose copy generation failed: ${err instanceof Error ? err.message : 'unknown'}`);
+    return null;
+  }
+}
+
+/**
+ * Re-lay an image out at a new size: cover-fit when the aspect ratio already matches,
+ * otherwise the whole image fitted into the safe area over a blurred, darkened fill of itself
+ * @param {string|Buffer} source - Path, URL or buffer
+ * @param {Object} target - { width, height, safeArea, type: 'png'|'jpeg' }
+ * @param {string} outputPath
+ */
+async function relayoutImage(source, { width, height, safeArea, type = 'png' }, outputPath) {
+  const { createCanvas, loadImage } = loadCanvas();
+  const image = await loadImage(source);
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  const coverScale = Math.max(width / image.width, height / image.height);
+  const drawCover = (context, w, h, scale) => context.drawImage(
+    image, (w - image.width * scale) / 2, (h - image.height * scale) / 2, image.width * scale, image.height * scale
+  );
+
+  const sameRatio = Math.abs(image.width / image.height - width / height) / (width / height) < 0.02;
+  if (sameRatio) {
+    drawCover(ctx, width, height, coverScale);
+  } else {
+    // Blur by drawing the cover fit at 1/24 size and scaling it back up
+    const fill = createCanvas(Math.max(1, Math.round(width / 24)), Math.max(1, Math.round(height / 24)));
+    drawCover(fill.getContext('2d'), fill.width, fill.height, coverScale / 24);
+    ctx.drawImage(fill, 0, 0, width, height);
+    ctx.fillStyle = 'rgba(0,0,0,0.35)';
+    ctx.fillRect(0, 0, width, height);
+
+    const box = {
+      x: width * safeArea.left,
+      y: height * safeArea.top,
+      width: width * (1 - safeArea.left - safeArea.right),
+      height: height * (1 - safeArea.top - safeArea.bottom)
+    };
+    const scale = Math.min(box.width / image.width, box.height / image.height);
+    const w = image.width * scale;
+    const h = image.height * scale;
+    ctx.drawImage(image, box.x + (box.width - w) / 2, box.y + (box.height - h) / 2, w, h);
+  }
+
+  const mimeType = type === 'jpeg' ? 'image/jpeg' : 'image/png';
+  const buffer = type === 'jpeg' ? canvas.toBuffer(mimeType, { quality: 0.9 }) : canvas.toBuffer(mimeType);
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  fs.writeFileSync(outputPath, buffer);
+  return {
+    path: outputPath,
+    filename: path.basename(outputPath),
+    size: buffer.length,
+    mimeType,
+    width,
+    height,
+    layout: sameRatio ? 'resize' : 'safe-area'
+  };
+}
+
+function targetSize(platform, ratio) {
+  const [width, height] = TARGETS[platform].sizes?.[ratio] || SIZES[ratio];
+  return { width, height, safeArea: SAFE_AREAS[ratio], type: TARGETS[platform].imageType || 'png' };
+}
+
+function variantRecord(master, bucket, platform, fields) {
+  return {
+    parentId: master.id,
+    parentBucket: bucket,
+    platform,
+    topic: master.topic,
+    ...(master.brandId ? { brandId: master.brandId } : {}),
+    ...(master.targetAudience ? { targetAudience: master.targetAudience } : {}),
+    ...fields,
+    status: fields.status || 'completed',
+    completedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Caption variants (content bucket)
+ * @private
+ */
+async function repurposeCopy(orchestrator, { master, bucket, platforms, options }) {
+  const brand = orchestrator.brand;
+  const text = masterCopy(orchestrator, master);
+  const hashtags = collectHashtags(text, master.topic, brand);
+  const audience = options.targetAudience || master.targetAudience;
+  const disclaimer = requiresDisclaimer(audience || 'all_clients', brand) ? brand.helpers.getDisclaimer('short') : null;
+
+  console.log('   ✍️  Adapting copy...');
+  const generated = await generateCopyVariants(orchestrator, {
+    text,
+    topic: master.topic,
+    platforms,
+    hashtags,
+    language: options.language || master.language
+  });
+
+  const records = [];
+  for (const platform of platforms) {
+    const rewrite = generated?.[platform];
+    const tags = Array.isArray(rewrite?.hashtags) && rewrite.hashtags.length > 0 ? rewrite.hashtags.map(String) : hashtags;
+    const caption = adaptCopy(typeof rewrite?.caption === 'string' && rewrite.caption.trim() ? rewrite.caption : text, platform, {
+      hashtags: tags,
+      disclaimer,
+      brand
+    });
+    console.log(`   ${TARGETS[platform].label}: ${caption.length}/${TARGETS[platform].maxLength} chars${rewrite ? '' : ' (rule-based)'}`);
+    if (orchestrator.simulate) continue;
+
+    const record = orchestrator._withComplianceReport(variantRecord(master, bucket, platform, {
+      id: `${master.id}-${platform}`,
+      contentType: 'caption-variant',
+      caption,
+      hashtags: tags.slice(0, TARGETS[platform].hashtags)
+    }), options);
+    await orchestrator.stateManager.addContent(record);
+    records.push({ bucket: 'content', id: record.id, platform });
+  }
+  return records;
+}
+
+/**
+ * Image variants (visuals bucket): one record per platform and ratio, all master images in each
+ * @private
+ */
+async function repurposeImages(orchestrator, { master, bucket, platforms }) {
+  const sources = (master.images || [])
+    .map((img) => (img?.path && fs.existsSync(img.path) ? img.path : img?.hostedUrl || img?.url))
+    .filter(Boolean);
+  if (sources.length === 0) {
+    console.log('   ⚠️  Image variants skipped: the master has no loadable images');
+    return [];
+  }
+
+  console.log(`   🖼️  Re-laying out ${sources.length} image(s)...`);
+  const outputDir = path.join(orchestrator.projectRoot, 'output', 'repurposed');
+  // 1:1 for LinkedIn, Instagram and Facebook is the same file; render and upload it once
+  const rendered = new Map();
+  const records = [];
+
+  for (const platform of platforms) {
+    for (const [index, ratio] of TARGETS[platform].images.entries()) {
+      const target = targetSize(platform, ratio);
+      const key = `${target.width}x${target.height}.${target.type}`;
+      console.log(`   ${TARGETS[platform].label} ${ratio}: ${target.width}x${target.height} ${target.type.toUpperCase()}`);
+      if (orchestrator.simulate) continue;
+
+      if (!rendered.has(key)) {
+        const images = [];
+        for (const [i, source] of sources.entries()) {
+          const outputPath = path.join(outputDir, `${master.id}-${key.replace('.', `-${i + 1}.`)}`);
+          try {
+            const image = await relayoutImage(source, target, outputPath);
+            const hostedUrl = await orchestrator._uploadToImgBB(image.path);
+            images.push(hostedUrl ? { ...image, hostedUrl } : image);
+          } catch (error) {
+            console.log(`   ⚠️  Image ${i + 1} could not be re-laid out: ${error.message}`);
+          }
+        }
+        rendered.set(key, images);
+      }
+
+      const images = rendered.get(key);
+      if (images.length === 0) continue;
+      const record = variantRecord(master, bucket, platform, {
+        id: `${master.id}-${platform}-${ratio.replace(':', 'x')}`,
+        type: 'visual-variant',
+        aspectRatio: ratio,
+        primary: index === 0,
+        layout: images[0].layout,
+        images
+      });
+      await orchestrator.stateManager.putEntry('visuals', record);
+      records.push({ bucket: 'visuals', id: record.id, platform, aspectRatio: ratio });
+    }
+  }
+  return records;
+}
+
+/**
+ * Video variants (videos bucket): one Shotstack render per distinct ratio
+ * @private
+ */
+async function repurposeVideo(orchestrator, { master, bucket, platforms, options }) {
+  const isHttp = (value) => typeof value === 'string' && /^https?:\/\//i.test(value);
+  const videoUrl = [master.hostedUrl, master.directVideoUrl, master.videoUrl].find(isHttp);
+  if (!videoUrl && !orchestrator.simulate) {
+    console.log('   ⚠️  Video variants skipped: Shotstack needs a hosted master video URL');
+    return [];
+  }
+  const editor = new VideoEditor({ simulate: orchestrator.simulate });
+  if (!editor.apiKey && !orchestrator.simulate) {
+    console.log('   ⚠️  Video variants skipped: SHOTSTACK_API_KEY is not set');
+    return [];
+  }
+
+  console.log('   🎬 Rendering video variants...');
+  const renders = new Map();
+  const records = [];
+  for (const platform of platforms) {
+    const ratio = TARGETS[platform].video;
+    if (!renders.has(ratio)) {
+      if (ratio === master.aspectRatio) {
+        renders.set(ratio, { url: videoUrl, layout: 'original' });
+      } else {
+        const [width, height] = SIZES[ratio];
+        let render = await editor.renderForPlatform(videoUrl || 'simulated://video', {
+          width,
+          height,
+          safeArea: SAFE_AREAS[ratio],
+          format: 'mp4',
+          quality: 'high'
+        });
+        if (options.waitForCompletion && render?.renderId) {
+          render = await editor.waitForCompletion(render.renderId);
+        }
+        renders.set(ratio, { ...render, layout: 'safe-area' });
+      }
+    }
+
+    const render = renders.get(ratio);
+    console.log(`   ${TARGETS[platform].label} ${ratio}: ${render.url || `render ${render.renderId} queued`}`);
+    if (orchestrator.simulate) continue;
+
+    const record = variantRecord(master, bucket, platform, {
+      id: `${master.id}-${platform}`,
+      type: 'video-variant',
+      aspectRatio: ratio,
+      layout: render.layout,
+      renderId: render.renderId || null,
+      hostedUrl: render.url || null,
+      status: render.url ? 'completed' : 'rendering'
+    });
+    await orchestrator.stateManager.putEntry('videos', record);
+    records.push({ bucket: 'videos', id: record.id, platform, aspectRatio: ratio });
+  }
+  return records;
+}
+
+/**
+ * Derive platform variants from one Stage 2/3/4 record and link them to it
+ * @param {SocialMediaOrchestrator} orchestrator
+ * @param {string} ref - Record id, or content/visuals/video for the topic's latest record
+ * @param {Object} [options] - { platforms, topic, targetAudience, language, waitForCompletion, brandId, bypassCache }
+ * @returns {Promise<{master: {bucket, id}, variants: Array<{bucket, id, platform, aspectRatio}>}>}
+ */
+async function runRepurpose(orchestrator, ref, options = {}) {
+  const platforms = parsePlatforms(options.platforms);
+  await orchestrator.stateManager.initialize();
+  const { bucket, master } = findMaster(orchestrator, ref, options.topic);
+  orchestrator.useBrand(options.brandId || master.brandId);
+  orchestrator._setUsageContext({ ...options, topic: master.topic }, 'repurpose');
+
+  console.log(`♻️  Repurposing ${bucket} ${master.id}${master.topic ? ` (${master.topic})` : ''}`);
+  console.log(`   Platforms: ${platforms.join(', ')}\n`);
+
+  const variants = [...await repurposeCopy(orchestrator, { master, bucket, platforms, options })];
+  if (bucket === 'visuals') {
+    variants.push(...await repurposeImages(orchestrator, { master, bucket, platforms }));
+  }
+  if (bucket === 'videos') {
+    variants.push(...await repurposeVideo(orchestrator, { master, bucket, platforms, options }));
+  }
+
+  if (orchestrator.simulate) {
+    console.log('\n   [SIMULATED] Variants not saved');
+  } else {
+    await orchestrator.stateManager.updateEntry(bucket, master.id, (current) => {
+      const ids = new Set(variants.map((v) => `${v.bucket}:${v.id}`));
+      const kept = (current.variants || []).filter((v) => !ids.has(`${v.bucket}:${v.id}`));
+      return {
+        ...current,
+        variants: [...kept, ...variants.map(({ bucket: b, id, platform }) => ({ bucket: b, id, platform }))],
+        repurposedAt: new Date().toISOString()
+      };
+    });
+    console.log(`\n   🔗 ${variants.length} variant(s) linked to ${master.id}`);
+  }
+
+  return { master: { bucket, id: master.id }, variants };
+}
+
+module.exports = {
+  runRepurpose,
+  parsePlatforms,
+  adaptCopy,
+  relayoutImage,
+  TARGETS,
+  SAFE_AREAS
+};
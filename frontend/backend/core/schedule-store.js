@@ -0,0 +1,402 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { processStartTime } = require('./job-queue');
+
+const DEFAULT_TIME_ZONE = 'Asia/Kolkata';
+const SCHEDULABLE_PLATFORMS = ['linkedin', 'instagram', 'youtube', 'facebook', 'twitter', 'email', 'whatsapp'];
+const DEFAULT_MAX_ATTEMPTS = 3;
+const DEFAULT_RETRY_BASE_MS = 5 * 60 * 1000;
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000;
+// Claims record their owner (pid and start time); one whose owner is gone was interrupted (worker
+// crash/restart) and is retried. Claims saved before owners were recorded go stale after this long.
+const STALE_RUN_MS = 30 * 60 * 1000;
+
+function invalid(message) {
+  return Object.assign(new Error(message), { code: 'INVALID_SCHEDULE' });
+}
+
+/**
+ * Whether the process that claimed an attempt is still running it (a reused pid has another start time)
+ */
+function isClaimOwnerAlive(attempt, now) {
+  if (attempt.ownerPid && attempt.ownerStartedAt) {
+    return processStartTime(attempt.ownerPid) === attempt.ownerStartedAt;
+  }
+  return now.getTime() - new Date(attempt.startedAt).getTime() <= STALE_RUN_MS;
+}
+
+function assertTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone }).format(new Date());
+  } catch {
+    throw invalid(`Unknown time zone: ${timeZone}`);
+  }
+}
+
+/**
+ * Offset (ms) of a time zone from UTC at a given instant
+ */
+function getTimeZoneOffsetMs(date, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date).map((p) => [p.type, p.value]));
+
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Convert a wall-clock time in a time zone ("2026-10-20 09:30") to a UTC Date.
+ * Inputs with an explicit offset or Z are parsed as-is.
+ * @param {string} value
+ * @param {string} timeZone - IANA zone, e.g. Asia/Kolkata
+ * @returns {Date}
+ */
+function zonedTimeToUtc(value, timeZone) {
+  const input = String(value || '').trim();
+  if (/(?:[zZ]|[+-]\d{2}:?\d{2})$/.test(input)) {
+    const date = new Date(input);
+    if (Number.isNaN(date.getTime())) throw invalid(`Invalid date/time: ${value}`);
+    return date;
+  }
+
+  const match = /^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2}))?)?$/.exec(input);
+  if (!match) {
+    throw invalid(`Invalid date/time "${value}" (use YYYY-MM-DD HH:mm)`);
+  }
+
+  const [, year, month, day, hour = '0', minute = '0', second = '0'] = match;
+  const wallClockAsUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  // Two passes settle the offset across DST transitions
+  let utc = wallClockAsUtc - getTimeZoneOffsetMs(new Date(wallClockAsUtc), timeZone);
+  utc = wallClockAsUtc - getTimeZoneOffsetMs(new Date(utc), timeZone);
+  return new Date(utc);
+}
+
+/**
+ * Format an instant as local wall-clock time in a time zone ("2026-10-20 09:30")
+ */
+function formatInTimeZone(date, timeZone) {
+  return new Intl.DateTimeFormat('sv-SE', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit'
+  }).format(new Date(date));
+}
+
+/**
+ * Persistent store for scheduled Stage 5 publishing (data/publish-schedule.db).
+ *
+ * Items are JSON records in SQLite (WAL), so the CLI worker, detached run-due processes and the
+ * Next.js routes share one schedule. Every mutation runs in an IMMEDIATE transaction, which takes
+ * the write lock before reading: concurrent adds never drop items and a due item is claimed once.
+ */
+class ScheduleStore {
+  constructor(dataDir, options = {}) {
+    this.dataDir = dataDir;
+    this.dbFile = path.join(dataDir, 'publish-schedule.db');
+    this.jsonFile = path.join(dataDir, 'publish-schedule.json');
+    this.maxAttempts = options.maxAttempts || Number(process.env.SCHEDULE_MAX_ATTEMPTS) || DEFAULT_MAX_ATTEMPTS;
+    this.retryBaseMs = options.retryBaseMs ??
+      ((Number(process.env.SCHEDULE_RETRY_BASE_MINUTES) || 0) * 60 * 1000 || DEFAULT_RETRY_BASE_MS);
+    this.platformTimeZones = options.platformTimeZones || this._loadPlatformTimeZones();
+
+    fs.mkdirSync(dataDir, { recursive: true });
+    this.db = new Database(this.dbFile);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('busy_timeout = 5000');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS publish_schedule (
+        id TEXT PRIMARY KEY,
+        status TEXT NOT NULL,
+        publish_at TEXT NOT NULL,
+        data TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_publish_schedule_status ON publish_schedule (status);
+    `);
+    this.migrateFromJson();
+  }
+
+  _loadPlatformTimeZones() {
+    const raw = process.env.SCHEDULE_PLATFORM_TIMEZONES;
+    if (!raw) return {};
+    try {
+      return JSON.parse(raw);
+    } catch {
+      console.warn('⚠️  SCHEDULE_PLATFORM_TIMEZONES is not valid JSON; using IST for all platforms');
+      return {};
+    }
+  }
+
+  /**
+   * One-time import of publish-schedule.json (the previous file-based store). The file is kept
+   * as publish-schedule.json.migrated.
+   * @returns {number} Items imported
+   */
+  migrateFromJson() {
+    if (!fs.existsSync(this.jsonFile)) return 0;
+
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(this.jsonFile, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to migrate publish-schedule.json: ${error.message}`);
+    }
+
+    const imported = this._transaction(() => {
+      let count = 0;
+      for (const [id, item] of Object.entries(data?.items || {})) {
+        if (!item || typeof item !== 'object' || this._get(item.id || id)) continue;
+        this._put({ ...item, id: item.id || id });
+        count++;
+      }
+      return count;
+    });
+
+    // Another process may have renamed it already
+    if (fs.existsSync(this.jsonFile)) {
+      fs.renameSync(this.jsonFile, `${this.jsonFile}.migrated`);
+    }
+    if (imported > 0) {
+      console.log(`📦 Migrated ${imported} scheduled publish(es) from publish-schedule.json to ${path.basename(this.dbFile)}`);
+    }
+    return imported;
+  }
+
+  /**
+   * Time zone for a platform: explicit value, then SCHEDULE_PLATFORM_TIMEZONES, then IST
+   */
+  resolveTimeZone(platform, timeZone) {
+    const resolved = timeZone || this.platformTimeZones[platform] || process.env.SCHEDULE_DEFAULT_TIMEZONE || DEFAULT_TIME_ZONE;
+    assertTimeZone(resolved);
+    return resolved;
+  }
+
+  _transaction(fn) {
+    if (this.db.inTransaction) return fn();
+    return this.db.transaction(fn).immediate();
+  }
+
+  _get(id) {
+    const row = this.db.prepare('SELECT data FROM publish_schedule WHERE id = ?').get(id);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  _put(item) {
+    this.db.prepare(`
+      INSERT INTO publish_schedule (id, status, publish_at, data, created_at, updated_at)
+      VALUES (@id, @status, @publishAt, @data, @createdAt, @updatedAt)
+      ON CONFLICT(id) DO UPDATE SET status = excluded.status, publish_at = excluded.publish_at,
+        data = excluded.data, updated_at = excluded.updated_at
+    `).run({
+      id: item.id,
+      status: item.status,
+      publishAt: item.publishAt,
+      data: JSON.stringify(item),
+      createdAt: item.createdAt || new Date().toISOString(),
+      updatedAt: item.updatedAt || new Date().toISOString()
+    });
+    return item;
+  }
+
+  /**
+   * Schedule a publish
+   * @param {Object} entry
+   * @param {string} entry.platform
+   * @param {string} entry.topic
+   * @param {string} entry.at - Local time in the platform's zone ("2026-10-20 09:30") or ISO with offset
+   * @param {string} [entry.format]
+   * @param {string} [entry.timeZone]
+   * @param {Object} [entry.options] - Extra stagePublishing options (caption, tweetImages, ...)
+   * @param {number} [entry.maxAttempts]
+   */
+  async add(entry) {
+    const platform = String(entry.platform || '').trim().toLowerCase();
+    const topic = String(entry.topic || '').trim();
+    if (!SCHEDULABLE_PLATFORMS.includes(platform)) {
+      throw invalid(`platform must be one of: ${SCHEDULABLE_PLATFORMS.join(', ')}`);
+    }
+    if (!topic) throw invalid('topic is required');
+    if (!entry.at) throw invalid('at (publish time) is required');
+
+    const timeZone = this.resolveTimeZone(platform, entry.timeZone);
+    const publishAt = zonedTimeToUtc(entry.at, timeZone);
+    if (publishAt.getTime() < Date.now() - 5 * 60 * 1000) {
+      throw invalid(`Publish time ${formatInTimeZone(publishAt, timeZone)} (${timeZone}) is in the past`);
+    }
+
+    const now = new Date().toISOString();
+    return this._put({
+      id: `SCHED-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`,
+      platform,
+      topic,
+      format: entry.format || null,
+      options: entry.options && typeof entry.options === 'object' ? entry.options : {},
+      timeZone,
+      localTime: formatInTimeZone(publishAt, timeZone),
+      publishAt: publishAt.toISOString(),
+      nextAttemptAt: publishAt.toISOString(),
+      status: 'pending',
+      maxAttempts: Number(entry.maxAttempts) || this.maxAttempts,
+      attempts: [],
+      createdAt: now,
+      updatedAt: now
+    });
+  }
+
+  /**
+   * List scheduled items ordered by publish time
+   * @param {Object} [filters] - { status, platform, from, to } (from/to are ISO instants)
+   */
+  async list(filters = {}) {
+    const from = filters.from ? new Date(filters.from).getTime() : -Infinity;
+    const to = filters.to ? new Date(filters.to).getTime() : Infinity;
+
+    return this.db.prepare('SELECT data FROM publish_schedule ORDER BY publish_at, created_at').all()
+      .map((row) => JSON.parse(row.data))
+      .filter((item) => !filters.status || item.status === filters.status)
+      .filter((item) => !filters.platform || item.platform === filters.platform)
+      .filter((item) => {
+        const ts = new Date(item.publishAt).getTime();
+        return ts >= from && ts <= to;
+      });
+  }
+
+  async get(id) {
+    return this._get(id);
+  }
+
+  /**
+   * Items still to publish (pending, retrying or running) with a brand profile in their options
+   * @param {string} brandId
+   * @returns {Array}
+   */
+  listActiveForBrand(brandId) {
+    return this.db.prepare(`
+      SELECT data FROM publish_schedule
+      WHERE status IN ('pending', 'retrying', 'running') AND json_extract(data, '$.options.brandId') = ?
+      ORDER BY publish_at
+    `).all(brandId).map((row) => JSON.parse(row.data));
+  }
+
+  /**
+   * Cancel a pending (or retrying) item. Returns null when the id is unknown.
+   */
+  async cancel(id) {
+    return this._transaction(() => {
+      const item = this._get(id);
+      if (!item) return null;
+      if (!['pending', 'retrying'].includes(item.status)) {
+        throw invalid(`Cannot cancel ${item.status} schedule ${id}`);
+      }
+      item.status = 'cancelled';
+      item.cancelledAt = new Date().toISOString();
+      item.updatedAt = item.cancelledAt;
+      return this._put(item);
+    });
+  }
+
+  /**
+   * Claim items that are due and mark them running (one attempt each), owned by this process.
+   * Interrupted runs ("running" items whose owner has exited) are recorded as failed attempts first.
+   * @param {Date} [now]
+   */
+  async claimDue(now = new Date()) {
+    const owner = { ownerPid: process.pid, ownerStartedAt: processStartTime(process.pid) };
+    return this._transaction(() => {
+      const rows = this.db.prepare(`
+        SELECT data FROM publish_schedule WHERE status IN ('pending', 'retrying', 'running') ORDER BY publish_at
+      `).all();
+
+      const claimed = [];
+      for (const item of rows.map((row) => JSON.parse(row.data))) {
+        const lastAttempt = item.attempts[item.attempts.length - 1];
+        if (item.status === 'running' && lastAttempt && !isClaimOwnerAlive(lastAttempt, now)) {
+          this._finishAttempt(item, { success: false, error: 'Interrupted (worker stopped mid-publish)' }, now);
+          this._put(item);
+        }
+
+        const isDue = ['pending', 'retrying'].includes(item.status) &&
+          new Date(item.nextAttemptAt).getTime() <= now.getTime();
+        if (!isDue) continue;
+
+        item.status = 'running';
+        item.updatedAt = now.toISOString();
+        item.attempts.push({ attempt: item.attempts.length + 1, startedAt: now.toISOString(), ...owner });
+        claimed.push(this._put(item));
+      }
+      return claimed;
+    });
+  }
+
+  /**
+   * Record the outcome of the current attempt; failures are retried with exponential backoff and
+   * drafts that still need a manual launch are parked as awaiting_launch
+   * @param {string} id
+   * @param {Object} outcome - { success, error, url, publishedId, awaitingLaunch, newsletterCampaignId }
+   */
+  async recordAttempt(id, outcome) {
+    return this._transaction(() => {
+      const item = this._get(id);
+      if (!item) return null;
+      this._finishAttempt(item, outcome, new Date());
+      return this._put(item);
+    });
+  }
+
+  _finishAttempt(item, outcome, now) {
+    const attempt = item.attempts[item.attempts.length - 1];
+    Object.assign(attempt, {
+      finishedAt: now.toISOString(),
+      status: outcome.success ? 'succeeded' : outcome.awaitingLaunch ? 'awaiting_launch' : 'failed',
+      ...(outcome.error ? { error: outcome.error } : {}),
+      ...(outcome.url ? { url: outcome.url } : {}),
+      ...(outcome.publishedId ? { publishedId: outcome.publishedId } : {})
+    });
+
+    item.updatedAt = now.toISOString();
+    if (outcome.success) {
+      item.status = 'published';
+      item.url = outcome.url || null;
+      item.publishedId = outcome.publishedId || null;
+      return;
+    }
+    if (outcome.awaitingLaunch) {
+      item.status = 'awaiting_launch';
+      item.newsletterCampaignId = outcome.newsletterCampaignId || null;
+      return;
+    }
+
+    item.lastError = outcome.error || 'Unknown error';
+    if (item.attempts.length >= item.maxAttempts) {
+      item.status = 'failed';
+      return;
+    }
+    const delay = Math.min(this.retryBaseMs * 2 ** (item.attempts.length - 1), MAX_RETRY_DELAY_MS);
+    item.status = 'retrying';
+    item.nextAttemptAt = new Date(now.getTime() + delay).toISOString();
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+module.exports = ScheduleStore;
+module.exports.zonedTimeToUtc = zonedTimeToUtc;
+module.exports.formatInTimeZone = formatInTimeZone;
+module.exports.DEFAULT_TIME_ZONE = DEFAULT_TIME_ZONE;
+module.exports.SCHEDULABLE_PLATFORMS = SCHEDULABLE_PLATFORMS;
@@ -1,60 +1,203 @@
-const fs = require('fs').promises;
 const path = require('path');
+const StateStore = require('./state-store');
+const { STATE_BUCKETS } = StateStore;
 
+// Workflow stage number → state bucket (as used by the Next.js stage routes)
+const STAGE_BUCKETS = {
+  1: 'campaigns',
+  2: 'content',
+  3: 'visuals',
+  4: 'videos',
+  5: 'published',
+  6: 'metrics'
+};
+
+// Review workflow for content, visuals and videos: draft → in_review → approved/rejected.
+// Rejected items go back to review once they are resubmitted.
+const REVIEWABLE_BUCKETS = ['content', 'visuals', 'videos'];
+const REVIEW_LABELS = { content: 'Content', visuals: 'Visual', videos: 'Video' };
+const REVIEW_TRANSITIONS = {
+  submit: { from: ['draft', 'rejected'], to: 'in_review' },
+  approve: { from: ['in_review'], to: 'approved' },
+  reject: { from: ['in_review'], to: 'rejected' }
+};
+
+function invalidReview(message) {
+  return Object.assign(new Error(message), { code: 'INVALID_REVIEW' });
+}
+
+function emptyState() {
+  return Object.fromEntries(STATE_BUCKETS.map((bucket) => [bucket, {}]));
+}
+
+/**
+ * Workflow state backed by the SQLite StateStore (data/workflow-state.db).
+ *
+ * `state` is an in-memory snapshot for reads; writes go to the store row by row, so
+ * concurrent processes only ever overwrite the records they changed.
+ */
 class StateManager {
   constructor(dataDir) {
     this.dataDir = dataDir;
-    this.stateFile = path.join(dataDir, 'workflow-state.json');
-    this.state = {
-      campaigns: {},
-      content: {},
-      visuals: {},
-      videos: {},
-      published: {},
-      metrics: {}
-    };
+    this.dbFile = path.join(dataDir, 'workflow-state.db');
+    this.store = null;
+    this.state = emptyState();
+    // JSON of each record as last loaded/saved, so save() can write only what changed
+    this._persisted = emptyState();
   }
 
   /**
-   * Initialize state management
+   * Initialize state management (also reloads the snapshot from the store)
    */
   async initialize() {
     try {
-      await fs.mkdir(this.dataDir, { recursive: true });
-
-      // Load existing state if it exists
-      try {
-        const data = await fs.readFile(this.stateFile, 'utf8');
-        this.state = JSON.parse(data);
-      } catch (err) {
-        // File doesn't exist, use default state
-        await this.save();
-      }
+      this.store = this.store || StateStore.open(this.dataDir);
+      this.state = this.store.loadState();
+      this._persisted = Object.fromEntries(STATE_BUCKETS.map((bucket) => [
+        bucket,
+        Object.fromEntries(Object.entries(this.state[bucket]).map(([id, record]) => [id, JSON.stringify(record)]))
+      ]));
     } catch (error) {
       throw new Error(`Failed to initialize state manager: ${error.message}`);
     }
   }
 
+  _getStore() {
+    if (!this.store) {
+      this.store = StateStore.open(this.dataDir);
+    }
+    return this.store;
+  }
+
+  /**
+   * Keep the snapshot in line with a record just written to the store
+   */
+  _track(bucket, record) {
+    this.state[bucket] = this.state[bucket] || {};
+    this.state[bucket][record.id] = record;
+    this._persisted[bucket] = this._persisted[bucket] || {};
+    this._persisted[bucket][record.id] = JSON.stringify(record);
+    return record;
+  }
+
   /**
-   * Save state to disk
+   * Save records changed in the snapshot (in one transaction)
    */
   async save() {
     try {
-      await fs.writeFile(this.stateFile, JSON.stringify(this.state, null, 2));
+      const store = this._getStore();
+      store.transaction(() => {
+        for (const bucket of STATE_BUCKETS) {
+          for (const [id, record] of Object.entries(this.state[bucket] || {})) {
+            if (!record || typeof record !== 'object') continue;
+            const stored = { ...record, id: record.id || id };
+            if (this._persisted[bucket]?.[id] === JSON.stringify(stored)) continue;
+            this._track(bucket, store.put(bucket, stored));
+          }
+        }
+      });
     } catch (error) {
       throw new Error(`Failed to save state: ${error.message}`);
     }
   }
 
+  /**
+   * Insert or replace a record in a bucket
+   */
+  async putEntry(bucket, record) {
+    return this._track(bucket, this._getStore().put(bucket, record));
+  }
+
+  /**
+   * Atomically merge updates into an existing record (the latest stored copy, not the snapshot).
+   * `updates` may be a function that receives the current record and returns the new one.
+   */
+  async updateEntry(bucket, id, updates, notFoundLabel = 'Record') {
+    const record = this._getStore().update(bucket, id, (current) => {
+      if (!current) throw new Error(`${notFoundLabel} not found: ${id}`);
+      return typeof updates === 'function'
+        ? updates(current)
+        : { ...current, ...updates, updatedAt: new Date().toISOString() };
+    });
+    return this._track(bucket, record);
+  }
+
+  /**
+   * Latest stored copy of a record
+   */
+  getEntry(bucket, id) {
+    return this._getStore().get(bucket, id);
+  }
+
+  /**
+   * All stored records of a bucket, keyed by id
+   */
+  getEntries(bucket) {
+    return this._getStore().getAll(bucket);
+  }
+
+  /**
+   * Save the output of a workflow stage as a new record ("<stageId>-<timestamp>")
+   * @param {number} stageId - 1..6
+   * @param {Object} data
+   * @returns {Object} Stored record
+   */
+  async addStageEntry(stageId, data) {
+    const bucket = STAGE_BUCKETS[stageId];
+    if (!bucket) throw new Error(`Invalid stage: ${stageId}`);
+    return this.putEntry(bucket, {
+      id: `${stageId}-${Date.now()}`,
+      ...data,
+      stageId,
+      completedAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Merge edits into a stage record. Review state is never taken from edits, and approved
+   * records go back to draft when their copy changes.
+   * @returns {Object|null} Updated record, or null when it does not exist
+   */
+  async updateStageEntry(stageId, id, edits) {
+    const bucket = STAGE_BUCKETS[stageId];
+    if (!bucket) throw new Error(`Invalid stage: ${stageId}`);
+    const { review: _review, ...safeEdits } = edits || {};
+    const record = this._getStore().update(bucket, id, (current) => {
+      if (!current) return undefined;
+
+      // Edited copy has to be reviewed again before it can be published
+      let review = current.review;
+      const changed = Object.entries(safeEdits)
+        .some(([field, value]) => JSON.stringify(current[field]) !== JSON.stringify(value));
+      if (review?.status === 'approved' && changed) {
+        const now = new Date().toISOString();
+        review = {
+          status: 'draft',
+          updatedAt: now,
+          history: [...(review.history || []), { action: 'edit', from: 'approved', to: 'draft', reviewer: null, at: now }]
+        };
+      }
+
+      return {
+        ...current,
+        ...safeEdits,
+        ...(review ? { review } : {}),
+        id,
+        stageId,
+        completedAt: current.completedAt || new Date().toISOString()
+      };
+    });
+    return record ? this._track(bucket, record) : null;
+  }
+
   /**
    * Add campaign
    */
   async addCampaign(campaign) {
-    this.state.campaigns[campaign.id] = {
+    await this.putEntry('campaigns', {
       ...campaign,
       createdAt: new Date().toISOString()
-    };
-    await this.save();
+    });
     return campaign.id;
   }
 
@@ -62,29 +205,18 @@ class StateManager {
    * Update campaign
    */
   async updateCampaign(campaignId, updates) {
-    if (!this.state.campaigns[campaignId]) {
-      throw new Error(`Campaign not found: ${campaignId}`);
-    }
-
-    this.state.campaigns[campaignId] = {
-      ...this.state.campaigns[campaignId],
-      ...updates,
-      updatedAt: new Date().toISOString()
-    };
-
-    await this.save();
+    await this.updateEntry('campaigns', campaignId, updates, 'Campaign');
   }
 
   /**
    * Add content piece
    */
   async addContent(content) {
-    this.state.content[content.id] = {
+    await this.putEntry('content', {
       ...content,
       createdAt: new Date().toISOString(),
       status: content.status || 'draft'
-    };
-    await this.save();
+    });
     return content.id;
   }
 
@@ -92,29 +224,17 @@ class StateManager {
    * Update content status
    */
   async updateContentStatus(contentId, status, metadata = {}) {
-    if (!this.state.content[contentId]) {
-      throw new Error(`Content not found: ${contentId}`);
-    }
-
-    this.state.content[contentId] = {
-      ...this.state.content[contentId],
-      status,
-      ...metadata,
-      updatedAt: new Date().toISOString()
-    };
-
-    await this.save();
+    await this.updateEntry('content', contentId, { status, ...metadata }, 'Content');
   }
 
   /**
    * Add video
    */
   async addVideo(video) {
-    this.state.videos[video.id] = {
+    await this.putEntry('videos', {
       ...video,
       createdAt: new Date().toISOString()
-    };
-    await this.save();
+    });
     return video.id;
   }
 
@@ -122,31 +242,83 @@ class StateManager {
    * Update video
    */
   async updateVideo(videoId, updates) {
-    if (!this.state.videos[videoId]) {
-      throw new Error(`Video not found: ${videoId}`);
-    }
-
-    this.state.videos[videoId] = {
-      ...this.state.videos[videoId],
-      ...updates,
-      updatedAt: new Date().toISOString()
-    };
-
-    await this.save();
+    await this.updateEntry('videos', videoId, updates, 'Video');
   }
 
   /**
    * Add published content
    */
   async addPublished(published) {
-    this.state.published[published.id] = {
+    await this.putEntry('published', {
       ...published,
       publishedAt: new Date().toISOString()
-    };
-    await this.save();
+    });
     return published.id;
   }
 
+  /**
+   * Review status of a content, visuals or videos entry (entries without a review are drafts)
+   */
+  getReviewStatus(item) {
+    return item?.review?.status || 'draft';
+  }
+
+  /**
+   * Move a content, visuals or videos entry through the review workflow
+   * @param {string} bucket - 'content', 'visuals' or 'videos'
+   * @param {string} id
+   * @param {string} action - submit, approve, reject or comment
+   * @param {Object} [details] - { reviewer, comment }; rejections need a comment
+   * @returns {Object} Updated entry
+   */
+  async reviewItem(bucket, id, action, { reviewer, comment } = {}) {
+    if (!REVIEWABLE_BUCKETS.includes(bucket)) {
+      throw invalidReview('Only content, visuals and videos can be reviewed');
+    }
+    const label = REVIEW_LABELS[bucket];
+    const note = String(comment || '').trim();
+
+    // Validate and apply against the latest stored copy so concurrent reviews are not lost
+    return this.updateEntry(bucket, id, (item) => {
+      const from = this.getReviewStatus(item);
+      let to = from;
+      if (action === 'comment') {
+        if (!note) throw invalidReview('comment is required');
+      } else {
+        const transition = REVIEW_TRANSITIONS[action];
+        if (!transition) {
+          throw invalidReview(`Unknown review action: ${action}`);
+        }
+        if (!transition.from.includes(from)) {
+          throw invalidReview(`Cannot ${action} ${id}: it is ${from.replace('_', ' ')}`);
+        }
+        if (action === 'reject' && !note) {
+          throw invalidReview('A comment is required when rejecting');
+        }
+        to = transition.to;
+      }
+
+      const now = new Date().toISOString();
+      const history = item.review?.history || [];
+      return {
+        ...item,
+        review: {
+          status: to,
+          updatedAt: now,
+          ...(to === 'approved' ? { approvedBy: reviewer || null, approvedAt: now } : {}),
+          history: [...history, {
+            action,
+            from,
+            to,
+            reviewer: reviewer || null,
+            ...(note ? { comment: note } : {}),
+            at: now
+          }]
+        }
+      };
+    }, label);
+  }
+
   /**
    * Get content by status
    */
@@ -163,3 +335,6 @@ class StateManager {
 }
 
 module.exports = StateManager;
+module.exports.STAGE_BUCKETS = STAGE_BUCKETS;
+module.exports.REVIEWABLE_BUCKETS = REVIEWABLE_BUCKETS;
+module.exports.REVIEW_TRANSITIONS = REVIEW_TRANSITIONS;
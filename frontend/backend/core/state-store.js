@@ -0,0 +1,221 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const STATE_BUCKETS = ['campaigns', 'content', 'visuals', 'videos', 'published', 'metrics'];
+
+// One store per database file per process; the CLI, workers and Next.js routes each open their own
+const openStores = new Map();
+
+/**
+ * SQLite storage for workflow state (data/workflow-state.db).
+ *
+ * Every bucket is a table of JSON records keyed by id, so writers update single rows instead
+ * of rewriting the whole state. WAL mode lets the CLI, video workers and Next.js routes read
+ * and write concurrently; read-modify-write helpers run inside IMMEDIATE transactions.
+ */
+class StateStore {
+  constructor(dataDir) {
+    this.dataDir = dataDir;
+    this.dbFile = path.join(dataDir, 'workflow-state.db');
+    this.jsonFile = path.join(dataDir, 'workflow-state.json');
+
+    fs.mkdirSync(dataDir, { recursive: true });
+    this.db = new Database(this.dbFile);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('busy_timeout = 5000');
+    this._createTables();
+    this._statements = {};
+    this.migrateFromJson();
+  }
+
+  /**
+   * Shared store for a data directory
+   * @param {string} dataDir
+   * @returns {StateStore}
+   */
+  static open(dataDir) {
+    const key = path.resolve(dataDir);
+    if (!openStores.has(key)) {
+      openStores.set(key, new StateStore(key));
+    }
+    return openStores.get(key);
+  }
+
+  _createTables() {
+    for (const bucket of STATE_BUCKETS) {
+      this.db.exec(`
+        CREATE TABLE IF NOT EXISTS ${bucket} (
+          id TEXT PRIMARY KEY,
+          data TEXT NOT NULL,
+          created_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL
+        )
+      `);
+    }
+    this.db.exec('CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT NOT NULL)');
+  }
+
+  _assertBucket(bucket) {
+    if (!STATE_BUCKETS.includes(bucket)) {
+      throw new Error(`Unknown state bucket: ${bucket}`);
+    }
+  }
+
+  _statement(name, sql) {
+    if (!this._statements[name]) {
+      this._statements[name] = this.db.prepare(sql);
+    }
+    return this._statements[name];
+  }
+
+  /**
+   * One-time import of workflow-state.json. The JSON file is kept as
+   * workflow-state.json.migrated so the import can be checked (or redone) by hand.
+   * @returns {number} Records imported (0 when there was nothing to migrate)
+   */
+  migrateFromJson() {
+    const getMeta = this._statement('getMeta', 'SELECT value FROM meta WHERE key = ?');
+    if (getMeta.get('json_migrated_at') || !fs.existsSync(this.jsonFile)) return 0;
+
+    let state;
+    try {
+      state = JSON.parse(fs.readFileSync(this.jsonFile, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to migrate workflow-state.json: ${error.message}`);
+    }
+
+    const imported = this.transaction(() => {
+      // Another process may have migrated while this one was reading the file
+      if (getMeta.get('json_migrated_at')) return 0;
+      let count = 0;
+      for (const bucket of STATE_BUCKETS) {
+        for (const [id, record] of Object.entries(state?.[bucket] || {})) {
+          if (!record || typeof record !== 'object') continue;
+          this.put(bucket, { ...record, id: record.id || id });
+          count++;
+        }
+      }
+      this._statement('setMeta', 'INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)')
+        .run('json_migrated_at', new Date().toISOString());
+      return count;
+    });
+
+    if (fs.existsSync(this.jsonFile)) {
+      fs.renameSync(this.jsonFile, `${this.jsonFile}.migrated`);
+    }
+    if (imported > 0) {
+      console.log(`📦 Migrated ${imported} records from workflow-state.json to ${path.basename(this.dbFile)}`);
+    }
+    return imported;
+  }
+
+  /**
+   * Import a workflow-state.json kept elsewhere (the root CLI's data/ from before both CLIs
+   * shared this store). Records whose id already exists here are left as they are; the file
+   * is kept as workflow-state.json.migrated.
+   * @param {string} file
+   * @returns {number} Records imported
+   */
+  importJsonFile(file) {
+    let state;
+    try {
+      state = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      // Another process imported and renamed it first
+      if (error.code === 'ENOENT') return 0;
+      throw new Error(`Failed to import ${file}: ${error.message}`);
+    }
+
+    const imported = this.transaction(() => {
+      let count = 0;
+      for (const bucket of STATE_BUCKETS) {
+        for (const [id, record] of Object.entries(state?.[bucket] || {})) {
+          if (!record || typeof record !== 'object' || this.get(bucket, record.id || id)) continue;
+          this.put(bucket, { ...record, id: record.id || id });
+          count++;
+        }
+      }
+      return count;
+    });
+
+    if (fs.existsSync(file)) {
+      fs.renameSync(file, `${file}.migrated`);
+    }
+    return imported;
+  }
+
+  /**
+   * Run fn in an IMMEDIATE transaction (takes the write lock up front so read-modify-write
+   * sequences from different processes cannot interleave). Nested calls join the outer one.
+   */
+  transaction(fn) {
+    if (this.db.inTransaction) return fn();
+    return this.db.transaction(fn).immediate();
+  }
+
+  get(bucket, id) {
+    this._assertBucket(bucket);
+    const row = this._statement(`get:${bucket}`, `SELECT data FROM ${bucket} WHERE id = ?`).get(id);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  /**
+   * All records of a bucket keyed by id (the shape the JSON state used)
+   */
+  getAll(bucket) {
+    this._assertBucket(bucket);
+    const rows = this._statement(`all:${bucket}`, `SELECT id, data FROM ${bucket} ORDER BY created_at`).all();
+    return Object.fromEntries(rows.map((row) => [row.id, JSON.parse(row.data)]));
+  }
+
+  /**
+   * Full state snapshot: { campaigns, content, visuals, videos, published, metrics }
+   */
+  loadState() {
+    return Object.fromEntries(STATE_BUCKETS.map((bucket) => [bucket, this.getAll(bucket)]));
+  }
+
+  /**
+   * Insert or replace a record (record.id is required)
+   */
+  put(bucket, record) {
+    this._assertBucket(bucket);
+    if (!record?.id) {
+      throw new Error(`Cannot store ${bucket} record without an id`);
+    }
+    const now = new Date().toISOString();
+    this._statement(`put:${bucket}`, `
+      INSERT INTO ${bucket} (id, data, created_at, updated_at) VALUES (@id, @data, @now, @now)
+      ON CONFLICT(id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at
+    `).run({ id: record.id, data: JSON.stringify(record), now });
+    return record;
+  }
+
+  /**
+   * Atomically update one record: mutator receives the current record (or null) and returns
+   * the new one. Returning undefined leaves the record unchanged.
+   * @returns {Object|null} The stored record
+   */
+  update(bucket, id, mutator) {
+    return this.transaction(() => {
+      const current = this.get(bucket, id);
+      const next = mutator(current);
+      if (next === undefined) return current;
+      return this.put(bucket, { ...next, id });
+    });
+  }
+
+  delete(bucket, id) {
+    this._assertBucket(bucket);
+    return this._statement(`delete:${bucket}`, `DELETE FROM ${bucket} WHERE id = ?`).run(id).changes > 0;
+  }
+
+  close() {
+    this.db.close();
+    openStores.delete(path.resolve(this.dataDir));
+  }
+}
+
+module.exports = StateStore;
+module.exports.STATE_BUCKETS = STATE_BUCKETS;
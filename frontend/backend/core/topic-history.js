@@ -0,0 +1,103 @@
+const fs = require('fs');
+const path = require('path');
+
+const TOPIC_HISTORY_FILENAME = 'topic-history.json';
+const MAX_HISTORY_ENTRIES = 60;
+
+const STOP_WORDS = new Set([
+  'the', 'a', 'an', 'in', 'on', 'for', 'to', 'of', 'and', 'with', 'as', 'by', 'at',
+  'is', 'are', 'was', 'were', 'this', 'that', 'these', 'those', 'india', 'indian',
+  'market', 'markets', 'stock', 'stocks'
+]);
+
+function getTopicHistoryPath(dataDir) {
+  return path.join(dataDir, TOPIC_HISTORY_FILENAME);
+}
+
+/**
+ * Most recent generated topics, newest first
+ * @param {string} dataDir - backend/data
+ * @param {number} [limit]
+ * @returns {string[]}
+ */
+function loadRecentTopics(dataDir, limit = 8) {
+  try {
+    const filePath = getTopicHistoryPath(dataDir);
+    if (!fs.existsSync(filePath)) return [];
+    const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const entries = Array.isArray(parsed?.entries) ? parsed.entries : [];
+    return entries
+      .map((e) => String(e?.topic || '').trim())
+      .filter(Boolean)
+      .slice(-limit)
+      .reverse();
+  } catch {
+    return [];
+  }
+}
+
+function saveTopicToHistory(dataDir, topic) {
+  try {
+    const filePath = getTopicHistoryPath(dataDir);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const existing = fs.existsSync(filePath)
+      ? JSON.parse(fs.readFileSync(filePath, 'utf8'))
+      : { entries: [] };
+    const entries = Array.isArray(existing?.entries) ? existing.entries : [];
+    entries.push({ topic, createdAt: new Date().toISOString() });
+    const trimmed = entries.slice(-MAX_HISTORY_ENTRIES);
+    fs.writeFileSync(filePath, JSON.stringify({ entries: trimmed }, null, 2));
+  } catch {
+    // ignore persistence errors
+  }
+}
+
+function normalizeTopicForSimilarity(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .filter((t) => !STOP_WORDS.has(t));
+}
+
+function topicSimilarityScore(a, b) {
+  const ta = new Set(normalizeTopicForSimilarity(a));
+  const tb = new Set(normalizeTopicForSimilarity(b));
+  if (ta.size === 0 || tb.size === 0) return 0;
+  let inter = 0;
+  ta.forEach((tok) => {
+    if (tb.has(tok)) inter += 1;
+  });
+  return inter / Math.max(ta.size, tb.size);
+}
+
+function isTooSimilarToRecent(topic, recentTopics) {
+  const t = String(topic || '').toLowerCase();
+  return recentTopics.some((recent) => {
+    const r = String(recent || '').toLowerCase();
+    if (!r) return false;
+    if (t === r) return true;
+    if (t.includes(r) || r.includes(t)) return true;
+    const ta = new Set(normalizeTopicForSimilarity(topic));
+    const tb = new Set(normalizeTopicForSimilarity(recent));
+    let shared = 0;
+    ta.forEach((tok) => {
+      if (tb.has(tok)) shared += 1;
+    });
+    // Stronger de-dup for short campaign lines:
+    // - 3+ shared core tokens is usually just a paraphrase
+    // - lower Jaccard threshold prevents same-angle rewrites
+    if (shared >= 3) return true;
+    return topicSimilarityScore(topic, recent) >= 0.38;
+  });
+}
+
+module.exports = {
+  loadRecentTopics,
+  saveTopicToHistory,
+  normalizeTopicForSimilarity,
+  topicSimilarityScore,
+  isTooSimilarToRecent,
+  TOPIC_HISTORY_FILENAME
+};
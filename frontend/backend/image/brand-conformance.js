@@ -0,0 +1,396 @@
+/**
+ * Brand Conformance Checker
+ *
+ * Scores a generated image against a brand profile after generation:
+ * - Palette: dominant colors vs brand colors (CIEDE2000 distance); neutrals count as on-brand
+ * - Logo zone: top-right corner is empty when a real logo is composited afterwards
+ * - Text contrast: WCAG contrast ratio of text-like (high-edge) tiles
+ * - Aspect ratio: image size vs the requested ratio (ImageGenerator.getAspectRatioInfo)
+ *
+ * check() returns a 0-100 score with findings; ImageGenerator regenerates below the threshold.
+ */
+
+const brandConfig = require('../config/brand-config');
+
+const SAMPLE_SIZE = 320;          // Longest side the image is scaled to before analysis
+const MAX_BRAND_DELTA_E = 15;     // Colors closer than this to a brand color are on-brand
+const NEUTRAL_CHROMA = 10;        // Lab chroma below this is white/gray/black
+const WEIGHTS = { palette: 0.45, logoZone: 0.2, contrast: 0.2, aspectRatio: 0.15 };
+
+// Top-right region _compositeLogoOntoImage draws the logo into (fractions of width/height)
+const LOGO_ZONE = { x: 0.78, y: 0, width: 0.22, height: 0.14 };
+
+let canvasWarningShown = false;
+
+function hexToRgb(hex) {
+  let value = String(hex).replace('#', '');
+  if (value.length === 3) value = value.split('').map((c) => c + c).join('');
+  const n = parseInt(value, 16);
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+}
+
+function rgbToHex([r, g, b]) {
+  return `#${[r, g, b].map((c) => Math.round(c).toString(16).padStart(2, '0')).join('')}`;
+}
+
+function srgbToLinear(c) {
+  const v = c / 255;
+  return v <= 0.04045 ? v / 12.92 : ((v + 0.055) / 1.055) ** 2.4;
+}
+
+/**
+ * WCAG relative luminance (0..1)
+ */
+function relativeLuminance([r, g, b]) {
+  return 0.2126 * srgbToLinear(r) + 0.7152 * srgbToLinear(g) + 0.0722 * srgbToLinear(b);
+}
+
+function contrastRatio(l1, l2) {
+  return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+}
+
+/**
+ * sRGB → CIE L*a*b* (D65)
+ */
+function rgbToLab([r, g, b]) {
+  const lr = srgbToLinear(r), lg = srgbToLinear(g), lb = srgbToLinear(b);
+  const x = (lr * 0.4124 + lg * 0.3576 + lb * 0.1805) / 0.95047;
+  const y = lr * 0.2126 + lg * 0.7152 + lb * 0.0722;
+  const z = (lr * 0.0193 + lg * 0.1192 + lb * 0.9505) / 1.08883;
+  const f = (t) => (t > 0.008856 ? Math.cbrt(t) : 7.787 * t + 16 / 116);
+  const fx = f(x), fy = f(y), fz = f(z);
+  return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+}
+
+/**
+ * CIEDE2000 color difference between two Lab colors
+ */
+function deltaE2000([L1, a1, b1], [L2, a2, b2]) {
+  const rad = Math.PI / 180;
+  const C1 = Math.hypot(a1, b1), C2 = Math.hypot(a2, b2);
+  const Cbar = (C1 + C2) / 2;
+  const G = 0.5 * (1 - Math.sqrt(Cbar ** 7 / (Cbar ** 7 + 25 ** 7)));
+  const a1p = (1 + G) * a1, a2p = (1 + G) * a2;
+  const C1p = Math.hypot(a1p, b1), C2p = Math.hypot(a2p, b2);
+  const hue = (b, a) => {
+    if (a === 0 && b === 0) return 0;
+    const h = Math.atan2(b, a) / rad;
+    return h < 0 ? h + 360 : h;
+  };
+  const h1p = hue(b1, a1p), h2p = hue(b2, a2p);
+
+  const dLp = L2 - L1;
+  const dCp = C2p - C1p;
+  let dhp = 0;
+  if (C1p * C2p !== 0) {
+    dhp = h2p - h1p;
+    if (dhp > 180) dhp -= 360;
+    else if (dhp < -180) dhp += 360;
+  }
+  const dHp = 2 * Math.sqrt(C1p * C2p) * Math.sin((dhp / 2) * rad);
+
+  const Lbarp = (L1 + L2) / 2;
+  const Cbarp = (C1p + C2p) / 2;
+  let hbarp = h1p + h2p;
+  if (C1p * C2p !== 0) {
+    if (Math.abs(h1p - h2p) > 180) hbarp += h1p + h2p < 360 ? 360 : -360;
+    hbarp /= 2;
+  }
+  const T = 1 - 0.17 * Math.cos((hbarp - 30) * rad) + 0.24 * Math.cos(2 * hbarp * rad) +
+    0.32 * Math.cos((3 * hbarp + 6) * rad) - 0.2 * Math.cos((4 * hbarp - 63) * rad);
+  const dTheta = 30 * Math.exp(-(((hbarp - 275) / 25) ** 2));
+  const Rc = 2 * Math.sqrt(Cbarp ** 7 / (Cbarp ** 7 + 25 ** 7));
+  const Sl = 1 + (0.015 * (Lbarp - 50) ** 2) / Math.sqrt(20 + (Lbarp - 50) ** 2);
+  const Sc = 1 + 0.045 * Cbarp;
+  const Sh = 1 + 0.015 * Cbarp * T;
+  const Rt = -Math.sin(2 * dTheta * rad) * Rc;
+
+  return Math.sqrt(
+    (dLp / Sl) ** 2 + (dCp / Sc) ** 2 + (dHp / Sh) ** 2 + Rt * (dCp / Sc) * (dHp / Sh)
+  );
+}
+
+/**
+ * Dominant colors of RGBA pixel data, largest share first
+ * @returns {Array<{hex, rgb, lab, share}>}
+ */
+function extractPalette(data, { maxColors = 6, minShare = 0.03 } = {}) {
+  const bins = new Map();
+  let total = 0;
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i + 3] < 128) continue;
+    const key = ((data[i] >> 4) << 8) | ((data[i + 1] >> 4) << 4) | (data[i + 2] >> 4);
+    const bin = bins.get(key) || { count: 0, r: 0, g: 0, b: 0 };
+    bin.count++;
+    bin.r += data[i];
+    bin.g += data[i + 1];
+    bin.b += data[i + 2];
+    bins.set(key, bin);
+    total++;
+  }
+  if (total === 0) return [];
+
+  // Merge perceptually close bins so gradients and anti-aliasing collapse into one color
+  const clusters = [];
+  const sorted = [...bins.values()].sort((a, b) => b.count - a.count);
+  for (const bin of sorted) {
+    const rgb = [bin.r / bin.count, bin.g / bin.count, bin.b / bin.count];
+    const lab = rgbToLab(rgb);
+    const near = clusters.find((cluster) => deltaE2000(cluster.lab, lab) < 10);
+    if (near) {
+      near.count += bin.count;
+    } else {
+      clusters.push({ rgb, lab, count: bin.count });
+    }
+  }
+
+  return clusters
+    .map((cluster) => ({ hex: rgbToHex(cluster.rgb), rgb: cluster.rgb, lab: cluster.lab, share: cluster.count / total }))
+    .filter((color) => color.share >= minShare)
+    .sort((a, b) => b.share - a.share)
+    .slice(0, maxColors);
+}
+
+function luminanceMap(data, width, height) {
+  const lum = new Float32Array(width * height);
+  for (let i = 0; i < width * height; i++) {
+    lum[i] = relativeLuminance([data[i * 4], data[i * 4 + 1], data[i * 4 + 2]]);
+  }
+  return lum;
+}
+
+/**
+ * Share of pixels in a rectangle that sit on a luminance edge
+ */
+function edgeDensity(lum, width, x0, y0, x1, y1) {
+  let edges = 0, count = 0;
+  for (let y = y0; y < y1 - 1; y++) {
+    for (let x = x0; x < x1 - 1; x++) {
+      const i = y * width + x;
+      if (Math.abs(lum[i] - lum[i + 1]) + Math.abs(lum[i] - lum[i + width]) > 0.1) edges++;
+      count++;
+    }
+  }
+  return count ? edges / count : 0;
+}
+
+function parseRatio(value) {
+  const match = String(value || '').match(/^(\d+(?:\.\d+)?)\s*[:x]\s*(\d+(?:\.\d+)?)$/);
+  return match ? Number(match[1]) / Number(match[2]) : null;
+}
+
+const clamp = (value) => Math.max(0, Math.min(100, Math.round(value)));
+
+class BrandConformanceChecker {
+  /**
+   * @param {Object} [config]
+   * @param {Object} [config.brand] - Brand profile (defaults to brandConfig)
+   * @param {number} [config.threshold] - Minimum passing score (default BRAND_CHECK_THRESHOLD or 70)
+   */
+  constructor(config = {}) {
+    this.brand = config.brand || brandConfig;
+    this.threshold = Number(config.threshold ?? process.env.BRAND_CHECK_THRESHOLD ?? 70);
+
+    const named = this.brand.helpers.getNamedColors();
+    const roles = this.brand.helpers.getColorRoles();
+    const primary = new Set([...Object.values(this.brand.colors.primary || {}), roles.dark, roles.vivid]);
+    this.brandColors = [...new Map(
+      [...Object.entries(roles).map(([name, hex]) => ({ name, hex })), ...named]
+        .map(({ name, hex }) => [hex.toLowerCase(), { name, hex, lab: rgbToLab(hexToRgb(hex)), primary: primary.has(hex) }])
+    ).values()];
+  }
+
+  /**
+   * Score an image file
+   * @param {string|Buffer} image - Path, URL or buffer
+   * @param {Object} [options]
+   * @param {string} [options.aspectRatio] - Requested ratio, e.g. "9:16"
+   * @param {Object} [options.aspectInfo] - getAspectRatioInfo() result for that ratio
+   * @param {string} [options.logoZone] - 'clear' when a logo is composited afterwards, else 'ignore'
+   * @returns {Promise<Object|null>} Report, or null when the image cannot be analysed here
+   */
+  async check(image, options = {}) {
+    let canvas;
+    try {
+      canvas = require('canvas');
+    } catch (error) {
+      if (!canvasWarningShown) {
+        console.log(`   ⚠️ Brand conformance check skipped: canvas is not available (${error.message.split('\n')[0]})`);
+        canvasWarningShown = true;
+      }
+      return null;
+    }
+
+    const img = await canvas.loadImage(image);
+    const scale = Math.min(1, SAMPLE_SIZE / Math.max(img.width, img.height));
+    const width = Math.max(1, Math.round(img.width * scale));
+    const height = Math.max(1, Math.round(img.height * scale));
+    const ctx = canvas.createCanvas(width, height).getContext('2d');
+    ctx.drawImage(img, 0, 0, width, height);
+    const { data } = ctx.getImageData(0, 0, width, height);
+
+    return this.checkPixels(data, width, height, { ...options, sourceWidth: img.width, sourceHeight: img.height });
+  }
+
+  /**
+   * Score RGBA pixel data (check() after decoding)
+   */
+  checkPixels(data, width, height, options = {}) {
+    const lum = luminanceMap(data, width, height);
+    const checks = {
+      palette: this._checkPalette(data),
+      logoZone: options.logoZone === 'clear' ? this._checkLogoZone(lum, width, height) : null,
+      contrast: this._checkContrast(lum, width, height),
+      aspectRatio: this._checkAspectRatio(options.sourceWidth || width, options.sourceHeight || height, options)
+    };
+
+    let weighted = 0, weights = 0;
+    for (const [name, result] of Object.entries(checks)) {
+      if (!result || result.score == null) continue;
+      weighted += result.score * WEIGHTS[name];
+      weights += WEIGHTS[name];
+    }
+    const score = weights ? clamp(weighted / weights) : 100;
+    const findings = Object.values(checks).filter(Boolean).flatMap((result) => result.findings);
+
+    return { score, threshold: this.threshold, passed: score >= this.threshold, findings, checks };
+  }
+
+  _nearestBrandColor(lab) {
+    let best = null;
+    for (const color of this.brandColors) {
+      const distance = deltaE2000(lab, color.lab);
+      if (!best || distance < best.distance) best = { ...color, distance };
+    }
+    return best;
+  }
+
+  _checkPalette(data) {
+    const palette = extractPalette(data);
+    const findings = [];
+    let onBrand = 0, primaryShare = 0;
+
+    const colors = palette.map((color) => {
+      const neutral = Math.hypot(color.lab[1], color.lab[2]) < NEUTRAL_CHROMA;
+      const nearest = this._nearestBrandColor(color.lab);
+      const matches = nearest && nearest.distance <= MAX_BRAND_DELTA_E;
+      if (neutral || matches) onBrand += color.share;
+      if (matches && nearest.primary) primaryShare += color.share;
+      if (!neutral && !matches && color.share >= 0.08) {
+        findings.push({
+          check: 'palette',
+          severity: color.share >= 0.2 ? 'error' : 'warning',
+          message: `Off-brand color ${color.hex} covers ${Math.round(color.share * 100)}% (closest ${nearest.name} ${nearest.hex}, ΔE ${nearest.distance.toFixed(1)})`
+        });
+      }
+      return {
+        hex: color.hex,
+        share: Number(color.share.toFixed(3)),
+        neutral,
+        nearest: nearest ? { name: nearest.name, hex: nearest.hex, deltaE: Number(nearest.distance.toFixed(1)) } : null
+      };
+    });
+
+    const covered = palette.reduce((sum, color) => sum + color.share, 0) || 1;
+    const onBrandShare = onBrand / covered;
+    const primaryPresence = Math.min(1, primaryShare / covered / 0.15);
+    if (primaryPresence < 1) {
+      findings.push({
+        check: 'palette',
+        severity: primaryPresence < 0.3 ? 'error' : 'warning',
+        message: `Brand primary colors cover only ${Math.round((primaryShare / covered) * 100)}% of the image (expected 15%+)`
+      });
+    }
+
+    return { score: clamp(100 * (0.7 * onBrandShare + 0.3 * primaryPresence)), colors, findings };
+  }
+
+  _checkLogoZone(lum, width, height) {
+    const x0 = Math.floor(width * LOGO_ZONE.x), y0 = Math.floor(height * LOGO_ZONE.y);
+    const x1 = Math.min(width, Math.ceil(width * (LOGO_ZONE.x + LOGO_ZONE.width)));
+    const y1 = Math.min(height, Math.ceil(height * (LOGO_ZONE.y + LOGO_ZONE.height)));
+    const density = edgeDensity(lum, width, x0, y0, x1, y1);
+    // ~3% edges is background texture; 12%+ means text, an icon or a drawn logo
+    const score = clamp(100 - ((density - 0.03) / 0.09) * 100);
+    const findings = score < 60
+      ? [{ check: 'logoZone', severity: 'error', message: `Top-right logo zone is not clear (${Math.round(density * 100)}% edge pixels) — likely a drawn logo, text or icon` }]
+      : [];
+    return { score, edgeDensity: Number(density.toFixed(3)), findings };
+  }
+
+  _checkContrast(lum, width, height) {
+    const tile = Math.max(8, Math.round(Math.max(width, height) / 20));
+    const ratios = [];
+    for (let y = 0; y + tile <= height; y += tile) {
+      for (let x = 0; x + tile <= width; x += tile) {
+        // Text-like tiles have many luminance edges
+        if (edgeDensity(lum, width, x, y, x + tile, y + tile) < 0.15) continue;
+        const values = [];
+        for (let ty = y; ty < y + tile; ty++) {
+          for (let tx = x; tx < x + tile; tx++) values.push(lum[ty * width + tx]);
+        }
+        values.sort((a, b) => a - b);
+        // 10th/90th percentiles ignore anti-aliased glyph edges
+        ratios.push(contrastRatio(values[Math.floor(values.length * 0.1)], values[Math.floor(values.length * 0.9)]));
+      }
+    }
+    if (ratios.length === 0) return { score: null, textTiles: 0, findings: [] };
+
+    ratios.sort((a, b) => a - b);
+    const median = ratios[Math.floor(ratios.length / 2)];
+    const lowShare = ratios.filter((ratio) => ratio < 3).length / ratios.length;
+    // WCAG AA: 4.5:1 for body text; 2:1 or less is unreadable
+    const score = clamp(((median - 2) / 2.5) * 100 - lowShare * 50);
+    const findings = [];
+    if (median < 4.5 || lowShare > 0.25) {
+      findings.push({
+        check: 'contrast',
+        severity: median < 3 ? 'error' : 'warning',
+        message: `Low text contrast: median ${median.toFixed(1)}:1, ${Math.round(lowShare * 100)}% of text areas below 3:1 (WCAG AA is 4.5:1)`
+      });
+    }
+    return { score, textTiles: ratios.length, medianRatio: Number(median.toFixed(2)), findings };
+  }
+
+  _checkAspectRatio(width, height, { aspectRatio, aspectInfo }) {
+    const [specW, specH] = String(aspectInfo?.resolution || '').split('x').map(Number);
+    const expected = [specW && specH ? specW / specH : null, parseRatio(aspectRatio)].filter(Boolean);
+    if (expected.length === 0) return null;
+
+    const actual = width / height;
+    const error = Math.min(...expected.map((ratio) => Math.abs(actual / ratio - 1)));
+    // Within 3% passes (Gemini resolutions are rounded); 10% off scores zero
+    const score = clamp(100 - ((error - 0.03) / 0.07) * 100);
+    const findings = error > 0.03
+      ? [{ check: 'aspectRatio', severity: 'error', message: `Image is ${width}x${height} (${actual.toFixed(2)}), expected ${aspectRatio || aspectInfo.resolution}` }]
+      : [];
+    return { score, actual: Number(actual.toFixed(3)), findings };
+  }
+
+  /**
+   * Prompt addendum that asks the model to fix what the last attempt got wrong
+   */
+  correctionPrompt(report) {
+    const roles = this.brand.helpers.getColorRoles();
+    const fixes = [];
+    if (report.findings.some((f) => f.check === 'palette')) {
+      fixes.push(`Use ONLY the ${this.brand.company.shortName} palette: ${this.brand.helpers.describePalette()}, with ${roles.dark} as the dominant color. No other hues.`);
+    }
+    if (report.findings.some((f) => f.check === 'logoZone')) {
+      fixes.push('Leave the top-right corner completely empty: no logo, wordmark, text or icon there.');
+    }
+    if (report.findings.some((f) => f.check === 'contrast')) {
+      fixes.push('All text must have strong contrast with its background (white on dark, or dark on light).');
+    }
+    if (report.findings.some((f) => f.check === 'aspectRatio')) {
+      fixes.push('Fill the full requested canvas; do not letterbox or crop.');
+    }
+    return fixes.length ? `\n\nCORRECTIONS (previous attempt was off-brand): ${fixes.join(' ')}` : '';
+  }
+}
+
+module.exports = BrandConformanceChecker;
+module.exports.deltaE2000 = deltaE2000;
+module.exports.rgbToLab = rgbToLab;
+module.exports.hexToRgb = hexToRgb;
+module.exports.extractPalette = extractPalette;
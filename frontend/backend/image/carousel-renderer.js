@@ -0,0 +1,358 @@
+/**
+ * Carousel Renderer
+ *
+ * Draws carousel slides from a brand image template (brandConfig.imageTemplates.carouselSlide)
+ * with canvas instead of an image model, so slide copy is spelled exactly as written and every
+ * slide shares the same fonts, colors, logo and disclaimer. An AI-generated illustration can be
+ * placed into the template's reserved region. Outputs one PNG per slide plus a combined PDF
+ * (LinkedIn document post).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const brandConfig = require('../config/brand-config');
+
+const PUBLIC_DIRS = [
+  path.join(__dirname, '../../public'),
+  path.join(__dirname, '../../../public')
+];
+
+// Used when a brand profile has no carouselSlide template
+const DEFAULT_TEMPLATE = {
+  dimensions: { width: 1080, height: 1080 },
+  logo: { position: 'top-left', size: 'small', margin: 60 },
+  content: { padding: 80, titleSize: 68, bodySize: 38, highlightSize: 28, lineHeight: 1.25 },
+  illustration: { region: { x: 600, y: 300, width: 400, height: 460 }, radius: 24 },
+  footer: { height: 110, disclaimer: true, pageNumber: true }
+};
+
+const LOGO_WIDTHS = { small: 150, medium: 200, large: 260 };
+const registeredFonts = new Set();
+
+function loadCanvas() {
+  try {
+    return require('canvas');
+  } catch (error) {
+    throw new Error(`Carousel renderer needs the canvas package (${error.message})`);
+  }
+}
+
+/**
+ * Gradient from a CSS value such as "linear-gradient(135deg, #0e0e6a 0%, #3c3cf8 100%)"
+ */
+function parseLinearGradient(value) {
+  const match = String(value || '').match(/linear-gradient\((\d+)deg\s*,(.+)\)/);
+  if (!match) return null;
+  const stops = [...match[2].matchAll(/(#[0-9a-f]{3,8})\s*(\d+)%/gi)]
+    .map(([, color, offset]) => ({ color, offset: Number(offset) / 100 }));
+  return stops.length >= 2 ? { angle: Number(match[1]), stops } : null;
+}
+
+/**
+ * Break text into lines that fit maxWidth (explicit newlines are kept)
+ */
+function wrapText(ctx, text, maxWidth) {
+  const lines = [];
+  for (const paragraph of String(text || '').split(/\r?\n/)) {
+    let line = '';
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (line && ctx.measureText(candidate).width > maxWidth) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    }
+    if (line) lines.push(line);
+  }
+  return lines;
+}
+
+class CarouselRenderer {
+  /**
+   * @param {Object} [config]
+   * @param {Object} [config.brand] - Brand profile (defaults to brandConfig)
+   * @param {string} [config.templateName] - Key in brand.imageTemplates (default carouselSlide)
+   * @param {string} [config.outputDir] - Where PNGs and the PDF are written (default /tmp)
+   */
+  constructor(config = {}) {
+    this.brand = config.brand || brandConfig;
+    this.template = this.brand.imageTemplates?.[config.templateName || 'carouselSlide'] || DEFAULT_TEMPLATE;
+    this.outputDir = config.outputDir || '/tmp';
+    this.roles = this.brand.helpers.getColorRoles();
+    this.fontFamily = this.brand.helpers.getFontFamily();
+  }
+
+  /**
+   * Render slides to PNG files and one PDF
+   * @param {Array<{title, body, highlight}>} slides - First slide is the cover, last the CTA slide
+   * @param {Object} [options]
+   * @param {string} [options.finalSlideCta] - CTA button text on the last slide
+   * @param {string} [options.disclaimerLine] - Footer disclaimer (defaults to the brand's short disclaimer)
+   * @param {Array<string|Buffer|null>} [options.illustrations] - Per-slide images for the reserved region
+   * @param {string|Buffer} [options.logo] - Logo file path or buffer
+   * @param {string} [options.prefix] - File name prefix
+   * @returns {Promise<{images: Array, pdf: Object}>}
+   */
+  async render(slides, options = {}) {
+    const { createCanvas, loadImage } = loadCanvas();
+    this._registerFonts();
+
+    const { width, height } = this.template.dimensions;
+    const prefix = `${options.prefix || 'carousel'}-${Date.now()}`;
+    const disclaimer = options.disclaimerLine || this.brand.helpers.getDisclaimer('short');
+
+    const logo = options.logo ? await loadImage(options.logo) : null;
+    const illustrations = await Promise.all(slides.map(async (_, i) => {
+      const source = options.illustrations?.[i];
+      if (!source) return null;
+      try {
+        return await loadImage(source);
+      } catch (error) {
+        console.log(`   ⚠️ Illustration for slide ${i + 1} could not be loaded: ${error.message}`);
+        return null;
+      }
+    }));
+
+    const draw = (ctx, i) => this._drawSlide(ctx, slides[i], {
+      index: i,
+      total: slides.length,
+      finalSlideCta: options.finalSlideCta,
+      disclaimer,
+      logo,
+      illustration: illustrations[i]
+    });
+
+    fs.mkdirSync(this.outputDir, { recursive: true });
+    const images = [];
+    for (let i = 0; i < slides.length; i++) {
+      const canvas = createCanvas(width, height);
+      draw(canvas.getContext('2d'), i);
+      const buffer = canvas.toBuffer('image/png');
+      const filename = `${prefix}-${i + 1}.png`;
+      const filepath = path.join(this.outputDir, filename);
+      fs.writeFileSync(filepath, buffer);
+      images.push({ path: filepath, filename, size: buffer.length, mimeType: 'image/png', slideNumber: i + 1 });
+    }
+
+    // Same drawing code on a PDF surface keeps text and shapes as vectors
+    const pdfCanvas = createCanvas(width, height, 'pdf');
+    const pdfCtx = pdfCanvas.getContext('2d');
+    for (let i = 0; i < slides.length; i++) {
+      if (i > 0) pdfCtx.addPage(width, height);
+      draw(pdfCtx, i);
+    }
+    const pdfBuffer = pdfCanvas.toBuffer('application/pdf', {
+      title: slides[0]?.title || 'Carousel',
+      author: this.brand.company.name
+    });
+    const pdfName = `${prefix}.pdf`;
+    const pdfPath = path.join(this.outputDir, pdfName);
+    fs.writeFileSync(pdfPath, pdfBuffer);
+
+    return {
+      images,
+      pdf: { path: pdfPath, filename: pdfName, size: pdfBuffer.length, mimeType: 'application/pdf', pages: slides.length }
+    };
+  }
+
+  /**
+   * Register typography.primary.files ({ weight: 'fonts/File.ttf' } under frontend/public) so
+   * canvas draws the brand font even when it is not installed on the machine
+   */
+  _registerFonts() {
+    const { registerFont } = loadCanvas();
+    const files = this.brand.typography?.primary?.files || {};
+    const missing = [];
+    for (const [weight, file] of Object.entries(files)) {
+      const key = `${this.fontFamily}:${weight}`;
+      if (registeredFonts.has(key)) continue;
+      const fontPath = PUBLIC_DIRS.map((dir) => path.join(dir, file)).find((p) => fs.existsSync(p));
+      if (fontPath) {
+        registerFont(fontPath, { family: this.fontFamily, weight: String(weight) });
+      } else {
+        missing.push(file);
+      }
+      registeredFonts.add(key);
+    }
+    if (missing.length > 0) {
+      console.log(`   ⚠️ Font files not found in public/: ${missing.join(', ')} (using installed ${this.fontFamily} or fallback)`);
+    }
+  }
+
+  _font(weight, size) {
+    const fallback = this.brand.typography?.primary?.fallback || 'sans-serif';
+    return `${weight} ${size}px "${this.fontFamily}", ${fallback}`;
+  }
+
+  _fillBackground(ctx, width, height, dark) {
+    if (!dark) {
+      ctx.fillStyle = this.template.contentBackground?.value || this.brand.colors.neutral?.white || '#ffffff';
+      ctx.fillRect(0, 0, width, height);
+      return;
+    }
+    const parsed = parseLinearGradient(this.template.background?.value) ||
+      { angle: 135, stops: [{ color: this.roles.dark, offset: 0 }, { color: this.roles.vivid, offset: 1 }] };
+    const radians = ((parsed.angle - 90) * Math.PI) / 180;
+    const dx = (Math.cos(radians) * width) / 2;
+    const dy = (Math.sin(radians) * height) / 2;
+    const gradient = ctx.createLinearGradient(width / 2 - dx, height / 2 - dy, width / 2 + dx, height / 2 + dy);
+    for (const stop of parsed.stops) gradient.addColorStop(stop.offset, stop.color);
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, width, height);
+  }
+
+  _roundedRect(ctx, x, y, w, h, r) {
+    ctx.beginPath();
+    ctx.moveTo(x + r, y);
+    ctx.arcTo(x + w, y, x + w, y + h, r);
+    ctx.arcTo(x + w, y + h, x, y + h, r);
+    ctx.arcTo(x, y + h, x, y, r);
+    ctx.arcTo(x, y, x + w, y, r);
+    ctx.closePath();
+  }
+
+  /**
+   * Draw text in a box, shrinking the font until it fits
+   * @returns {number} Bottom y of the drawn text
+   */
+  _drawTextBlock(ctx, text, { x, y, maxWidth, maxHeight, size, minSize, weight, color, lineHeight }) {
+    let fontSize = size;
+    let lines;
+    for (;;) {
+      ctx.font = this._font(weight, fontSize);
+      lines = wrapText(ctx, text, maxWidth);
+      if (lines.length * fontSize * lineHeight <= maxHeight || fontSize <= minSize) break;
+      fontSize -= 2;
+    }
+    ctx.fillStyle = color;
+    ctx.textBaseline = 'top';
+    ctx.textAlign = 'left';
+    lines.forEach((line, i) => ctx.fillText(line, x, y + i * fontSize * lineHeight));
+    return y + lines.length * fontSize * lineHeight;
+  }
+
+  _drawLogo(ctx, logo, width, dark) {
+    const config = this.template.logo || DEFAULT_TEMPLATE.logo;
+    const logoW = LOGO_WIDTHS[config.size] || LOGO_WIDTHS.small;
+    const logoH = Math.round(logoW * (logo.height / logo.width));
+    const margin = config.margin ?? 60;
+    const padX = 16, padY = 10;
+    const x = config.position === 'top-right' ? width - margin - logoW - padX * 2 : margin;
+
+    // Logo artwork is made for light backgrounds
+    if (dark) {
+      ctx.fillStyle = 'rgba(255,255,255,0.92)';
+      this._roundedRect(ctx, x, margin, logoW + padX * 2, logoH + padY * 2, (logoH + padY * 2) / 2);
+      ctx.fill();
+    }
+    ctx.drawImage(logo, x + padX, margin + padY, logoW, logoH);
+  }
+
+  _drawIllustration(ctx, image, region, radius) {
+    // Cover-fit the image into the region
+    const scale = Math.max(region.width / image.width, region.height / image.height);
+    const sw = region.width / scale;
+    const sh = region.height / scale;
+    ctx.save();
+    this._roundedRect(ctx, region.x, region.y, region.width, region.height, radius);
+    ctx.clip();
+    ctx.drawImage(image, (image.width - sw) / 2, (image.height - sh) / 2, sw, sh, region.x, region.y, region.width, region.height);
+    ctx.restore();
+  }
+
+  _drawSlide(ctx, slide, { index, total, finalSlideCta, disclaimer, logo, illustration }) {
+    const { width, height } = this.template.dimensions;
+    const content = { ...DEFAULT_TEMPLATE.content, ...this.template.content };
+    const footer = { ...DEFAULT_TEMPLATE.footer, ...this.template.footer };
+    const illustrationConfig = { ...DEFAULT_TEMPLATE.illustration, ...this.template.illustration };
+    const isCover = index === 0;
+    const isFinal = index === total - 1 && total > 1;
+    const dark = isCover || isFinal;
+    const textColor = dark ? (this.brand.colors.neutral?.white || '#ffffff') : this.roles.dark;
+    const pad = content.padding;
+
+    this._fillBackground(ctx, width, height, dark);
+    if (!dark) {
+      ctx.fillStyle = this.roles.accent;
+      ctx.fillRect(0, 0, 16, height);
+    }
+    if (logo) this._drawLogo(ctx, logo, width, dark);
+
+    const region = illustration ? illustrationConfig.region : null;
+    if (region) this._drawIllustration(ctx, illustration, region, illustrationConfig.radius);
+    const textWidth = (region ? region.x - 40 : width - pad) - pad;
+    const bottom = height - footer.height - 40;
+
+    let y = Math.round(height * (isCover ? 0.3 : 0.24));
+    if (slide.highlight) {
+      ctx.font = this._font(700, content.highlightSize);
+      const label = String(slide.highlight).toUpperCase();
+      const chipW = Math.min(ctx.measureText(label).width + 40, textWidth);
+      const chipH = content.highlightSize + 24;
+      ctx.fillStyle = this.roles.highlight;
+      this._roundedRect(ctx, pad, y, chipW, chipH, chipH / 2);
+      ctx.fill();
+      ctx.fillStyle = this.roles.dark;
+      ctx.textBaseline = 'middle';
+      ctx.textAlign = 'left';
+      ctx.fillText(label, pad + 20, y + chipH / 2, textWidth - 40);
+      y += chipH + 36;
+    }
+
+    const titleSize = isCover ? Math.round(content.titleSize * 1.2) : content.titleSize;
+    y = this._drawTextBlock(ctx, slide.title, {
+      x: pad, y, maxWidth: textWidth, maxHeight: (bottom - y) * 0.55,
+      size: titleSize, minSize: 36, weight: 800, color: textColor, lineHeight: 1.1
+    }) + 32;
+
+    // The CTA button replaces the body on the final slide when a CTA is given
+    const ctaText = isFinal ? finalSlideCta : null;
+    const bodyBottom = ctaText ? bottom - content.bodySize * 2 - 40 : bottom;
+    if (slide.body && bodyBottom > y) {
+      y = this._drawTextBlock(ctx, slide.body, {
+        x: pad, y, maxWidth: textWidth, maxHeight: bodyBottom - y,
+        size: content.bodySize, minSize: 22, weight: 500, color: textColor, lineHeight: content.lineHeight
+      }) + 32;
+    }
+
+    if (ctaText) {
+      ctx.font = this._font(700, content.bodySize);
+      const buttonW = Math.min(ctx.measureText(ctaText).width + 64, width - pad * 2);
+      const buttonH = content.bodySize + 40;
+      const buttonY = Math.min(y, bottom - buttonH);
+      ctx.fillStyle = this.roles.cta;
+      this._roundedRect(ctx, pad, buttonY, buttonW, buttonH, 12);
+      ctx.fill();
+      ctx.fillStyle = this.brand.colors.neutral?.white || '#ffffff';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(ctaText, pad + 32, buttonY + buttonH / 2, buttonW - 64);
+    }
+
+    // Footer: disclaimer on every slide, page number on the right
+    const footerY = height - footer.height;
+    ctx.fillStyle = dark ? 'rgba(255,255,255,0.25)' : this.roles.line;
+    ctx.fillRect(pad, footerY, width - pad * 2, 2);
+    ctx.textBaseline = 'top';
+    ctx.textAlign = 'left';
+    const pageLabel = footer.pageNumber ? `${index + 1}/${total}` : '';
+    ctx.font = this._font(600, 24);
+    const pageWidth = pageLabel ? ctx.measureText(pageLabel).width + 24 : 0;
+    if (footer.disclaimer && disclaimer) {
+      this._drawTextBlock(ctx, disclaimer, {
+        x: pad, y: footerY + 22, maxWidth: width - pad * 2 - pageWidth, maxHeight: footer.height - 34,
+        size: 20, minSize: 14, weight: 400, color: textColor, lineHeight: 1.3
+      });
+    }
+    if (pageLabel) {
+      ctx.font = this._font(600, 24);
+      ctx.fillStyle = textColor;
+      ctx.textAlign = 'right';
+      ctx.fillText(pageLabel, width - pad, footerY + 22);
+    }
+  }
+}
+
+module.exports = CarouselRenderer;
+module.exports.parseLinearGradient = parseLinearGradient;
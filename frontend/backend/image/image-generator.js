@@ -13,6 +13,11 @@
  * - Gemini 3 Pro Image Preview (Primary) - 4K native generation, text rendering, Google Search grounding
  * - Gemini 2.5 Flash Image (Fallback) - Fast generation for simpler tasks
  * - Fal AI - Fast generation with multiple models
+ * - Replicate (Flux) and a local placeholder stub
+ *
+ * Text-to-image and editing fail over along the use-case chain in image-providers.js;
+ * every provider call is recorded (cost, latency) in the ProviderUsageStore ledger. Repeated
+ * generations are served from the GenerationCache unless config.bypassCache is set.
  *
  * Features:
  * - Native 4K image generation (Gemini 3 Pro)
@@ -28,6 +33,10 @@
 const fs = require('fs').promises;
 const fsSync = require('fs');
 const path = require('path');
+const BrandConformanceChecker = require('./brand-conformance');
+const { getImageProvider, listImageProviders, providerChain, estimateCost } = require('./image-providers');
+const ProviderUsageStore = require('../core/provider-usage');
+const GenerationCache = require('../core/generation-cache');
 
 class ImageGenerator {
   constructor(options = {}) {
@@ -36,9 +45,18 @@ class ImageGenerator {
     this.falApiKey = options.falApiKey || process.env.FAL_KEY;
 
     // Provider selection
-    this.provider = options.provider || 'gemini'; // 'gemini' or 'fal'
+    this.provider = options.provider || 'gemini'; // preferred provider: 'gemini', 'fal', 'replicate' or 'local'
     this.simulate = options.simulate || false;
 
+    // Usage ledger context: { campaignId, stage, dataDir }
+    this.usage = options.usage || {};
+    this.usageStore = options.usageStore;
+    this.dataDir = options.dataDir || this.usage.dataDir || path.join(__dirname, '..', 'data');
+
+    // Generation cache (null disables); bypassCache regenerates and refreshes entries
+    this.cache = options.cache;
+    this.bypassCache = options.bypassCache || false;
+
     // Gemini Models (Primary: Gemini 3 Pro Image Preview for 4K native generation)
     this.geminiModels = {
       primary: "gemini-3.1-flash-image-preview", // Fast image generation
@@ -256,12 +274,10 @@ class ImageGenerator {
     console.log(`   Prompt: ${prompt.substring(0, 60)}...`);
     console.log(`   Aspect Ratio: ${finalConfig.aspectRatio}`);
 
-    // Route to appropriate provider
-    if (provider === 'fal') {
-      return await this._falTextToImage(prompt, finalConfig);
-    } else {
-      return await this._geminiTextToImage(prompt, finalConfig);
-    }
+    // Route along the provider chain
+    return this._cached('text-to-image', prompt, [], finalConfig, () => this._withBrandCheck(prompt, finalConfig,
+      (attemptPrompt) => this._runWithFailover(
+        'text-to-image', config, (adapter) => adapter.textToImage(this, attemptPrompt, finalConfig))));
   }
 
   /**
@@ -645,14 +661,180 @@ class ImageGenerator {
     console.log(`🎨 Image Editing (${provider.toUpperCase()})`);
     console.log(`   Instruction: ${prompt.substring(0, 60)}...`);
 
-    // Route to appropriate provider
-    if (provider === 'fal') {
-      return await this._falEditImage(prompt, inputImage, finalConfig);
-    } else {
-      return await this._geminiEditImage(prompt, inputImage, finalConfig);
+    // Route along the provider chain
+    return this._cached('image-editing', prompt, [inputImage], finalConfig, () => this._withBrandCheck(prompt, finalConfig,
+      (attemptPrompt) => this._runWithFailover(
+        'edit', config, (adapter) => adapter.editImage(this, attemptPrompt, inputImage, finalConfig))));
+  }
+
+  /**
+   * Serve a generation from the GenerationCache when the same provider, model, prompt, inputs
+   * and config ran before. config.bypassCache (or the generator's bypassCache) regenerates.
+   * @private
+   */
+  _cached(kind, prompt, inputs, config, generate) {
+    const cache = this._getGenerationCache();
+    if (!cache) return generate();
+
+    const { bypassCache, brandCheck, ...keyConfig } = config;
+    return cache.remember({
+      kind,
+      provider: config.provider || this.provider,
+      model: config.model || this.defaultModel,
+      prompt,
+      inputs,
+      config: {
+        ...keyConfig,
+        brandCheck: brandCheck ? {
+          brand: brandCheck.brand?.id || brandCheck.brand?.company?.shortName || null,
+          threshold: brandCheck.threshold,
+          logoZone: brandCheck.logoZone
+        } : null
+      }
+    }, generate, { bypass: bypassCache ?? this.bypassCache });
+  }
+
+  _getGenerationCache() {
+    if (this.cache === undefined) {
+      try {
+        this.cache = GenerationCache.open(this.dataDir);
+      } catch (error) {
+        console.log(`   ⚠️  Generation cache unavailable: ${error.message}`);
+        this.cache = null;
+      }
+    }
+    return this.cache;
+  }
+
+  /**
+   * Try providers in chain order until one returns images. The chain is config.provider (or
+   * the generator's provider when no config.useCase is given) followed by the use-case chain;
+   * providers that are not configured or whose circuit breaker is open are skipped. Each call
+   * is recorded with its estimated cost and latency, and the result carries `usage`.
+   * @private
+   */
+  async _runWithFailover(operation, config, run) {
+    const useCase = config.useCase || (operation === 'edit' ? 'editing' : 'default');
+    const chain = providerChain(useCase, config.provider || (config.useCase ? null : this.provider));
+    const store = this._getUsageStore();
+    const failures = [];
+
+    for (const name of chain) {
+      const adapter = getImageProvider(name);
+      if (!adapter || !adapter.operations.includes(operation) || !adapter.isConfigured(this)) continue;
+      if (store?.isOpen(name)) {
+        console.log(`   ⏭️  ${name}: circuit open after repeated failures, skipping`);
+        continue;
+      }
+
+      const started = Date.now();
+      try {
+        const result = await run(adapter);
+        if (!result?.images?.length) throw new Error(`${name} returned no images`);
+        const usage = {
+          provider: name,
+          model: result.model,
+          costUsd: estimateCost(name, result.model, result.images.length),
+          latencyMs: Date.now() - started,
+          ...(failures.length ? { failedOver: failures } : {})
+        };
+        this._recordUsage(store, { ...usage, operation, useCase, success: true, images: result.images.length });
+        console.log(`   💵 ${name}: ~$${usage.costUsd.toFixed(3)} in ${(usage.latencyMs / 1000).toFixed(1)}s`);
+        return { ...result, usage };
+      } catch (error) {
+        this._recordUsage(store, { provider: name, operation, useCase, success: false, latencyMs: Date.now() - started, error: error.message });
+        failures.push({ provider: name, error: error.message });
+        console.log(`   ⚠️  ${name} failed: ${error.message}`);
+      }
+    }
+
+    const tried = failures.map((f) => `${f.provider}: ${f.error}`).join('; ');
+    throw new Error(`No image provider succeeded for ${operation} (${tried || `none configured in chain ${chain.join(' → ')}`})`);
+  }
+
+  /**
+   * Providers that can run with the current keys and environment
+   * @returns {string[]}
+   */
+  configuredProviders() {
+    return listImageProviders().filter((adapter) => adapter.isConfigured(this)).map((adapter) => adapter.name);
+  }
+
+  _getUsageStore() {
+    if (this.usageStore === undefined) {
+      try {
+        this.usageStore = ProviderUsageStore.open(this.dataDir);
+      } catch (error) {
+        console.log(`   ⚠️  Provider usage ledger unavailable: ${error.message}`);
+        this.usageStore = null;
+      }
+    }
+    return this.usageStore;
+  }
+
+  _recordUsage(store, call) {
+    if (!store) return;
+    try {
+      store.record({ ...call, campaignId: this.usage.campaignId, stage: this.usage.stage });
+    } catch (error) {
+      console.log(`   ⚠️  Could not record provider usage: ${error.message}`);
     }
   }
 
+  /**
+   * Run a generation and score its first image with BrandConformanceChecker when
+   * config.brandCheck is set ({ brand, threshold, maxAttempts, logoZone }). Below the threshold
+   * the prompt is retried with corrections; the best-scoring attempt is returned with
+   * `conformance` on the result and on its first image.
+   * @private
+   */
+  async _withBrandCheck(prompt, config, generate) {
+    const brandCheck = config.brandCheck;
+    if (!brandCheck) return generate(prompt);
+
+    const checker = new BrandConformanceChecker(brandCheck);
+    const maxAttempts = Math.max(1, Number(brandCheck.maxAttempts || process.env.BRAND_CHECK_MAX_ATTEMPTS || 3));
+    let best = null;
+    let attemptPrompt = prompt;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const result = await generate(attemptPrompt);
+      const image = result?.images?.[0];
+      const source = image?.path || image?.url;
+      if (!source) return best?.result || result;
+
+      let report;
+      try {
+        report = await checker.check(source, {
+          aspectRatio: config.aspectRatio,
+          aspectInfo: this.getAspectRatioInfo(config.aspectRatio),
+          logoZone: brandCheck.logoZone
+        });
+      } catch (error) {
+        console.log(`   ⚠️ Brand conformance check failed: ${error.message}`);
+        report = null;
+      }
+      if (!report) return best?.result || result;
+
+      report.attempt = attempt;
+      result.conformance = report;
+      image.conformance = report;
+      if (!best || report.score > best.report.score) best = { result, report };
+
+      console.log(`   🎯 Brand conformance: ${report.score}/100 (threshold ${report.threshold})`);
+      report.findings.forEach((finding) => console.log(`      - ${finding.message}`));
+      if (report.passed) break;
+
+      if (attempt < maxAttempts) {
+        console.log(`   🔁 Below threshold — regenerating (attempt ${attempt + 1}/${maxAttempts})`);
+        attemptPrompt = prompt + checker.correctionPrompt(report);
+      } else {
+        console.log(`   ⚠️ Still below threshold after ${maxAttempts} attempts; keeping the best (${best.report.score}/100)`);
+      }
+    }
+    return best.result;
+  }
+
   /**
    * GEMINI: Image Editing
    * Supports both Gemini 3 Pro Image Preview (4K, grounding) and Gemini 2.5 Flash
@@ -1312,13 +1494,13 @@ class ImageGenerator {
   /**
    * 9. GENERATE BRAND-AWARE IMAGE
    *
-   * Generate images with PL Capital brand guidelines
+   * Generate images with brand guidelines (PL Capital unless config.brand is set)
    * Automatically applies brand colors, fonts, and audience-specific styling
    *
    * @param {string} prompt - Image description
    * @param {string} targetAudience - Target audience (internal, mass_affluent, hni, uhni, all_clients)
    * @param {string} templateType - Template type (marketUpdate, investmentTip, productPromo)
-   * @param {Object} config - Additional configuration
+   * @param {Object} config - Additional configuration ({ brand } selects a brand profile)
    * @returns {Object} Brand-aware image result
    *
    * @example
@@ -1330,18 +1512,19 @@ class ImageGenerator {
    * );
    */
   async generateBrandImage(prompt, targetAudience = 'all_clients', templateType = 'marketUpdate', config = {}) {
-    // Load brand config
+    // Load brand config (config.brand selects a brand profile)
     const brandConfig = require('../config/brand-config.js');
+    const { brand = brandConfig, ...imageConfig } = config;
 
-    console.log(`🎨 Brand-Aware Image Generation (PL Capital)`);
+    console.log(`🎨 Brand-Aware Image Generation (${brand.company.shortName})`);
     console.log(`   Target Audience: ${targetAudience}`);
     console.log(`   Template: ${templateType}`);
 
     // Get audience-specific configuration
-    const audienceConfig = brandConfig.targetAudiences[targetAudience] || brandConfig.targetAudiences.all_clients;
+    const audienceConfig = brand.targetAudiences[targetAudience] || brand.targetAudiences.all_clients;
 
     // Generate enhanced prompt with brand requirements
-    const brandPrompt = brandConfig.helpers.generateGeminiPrompt(
+    const brandPrompt = brand.helpers.generateGeminiPrompt(
       templateType,
       targetAudience,
       prompt
@@ -1356,18 +1539,18 @@ class ImageGenerator {
       model: this.geminiModels.primary,
       imageSize: "4K",
       useGrounding: true,
-      ...config
+      ...imageConfig
     };
 
     // Apply platform settings if specified
-    if (config.platform) {
+    if (imageConfig.platform) {
       const platformConfigs = {
         linkedin: { aspectRatio: "1:1" },
         "instagram-story": { aspectRatio: "9:16" },
         twitter: { aspectRatio: "16:9" },
         presentation: { aspectRatio: "16:9" }
       };
-      finalConfig = { ...finalConfig, ...(platformConfigs[config.platform] || {}) };
+      finalConfig = { ...finalConfig, ...(platformConfigs[imageConfig.platform] || {}) };
     }
 
     // Generate image with brand-enhanced prompt
@@ -1375,12 +1558,12 @@ class ImageGenerator {
 
     // Add brand metadata
     result.brand = {
-      company: brandConfig.company.name,
+      company: brand.company.name,
       audience: targetAudience,
       template: templateType,
       colorPalette: audienceConfig.colorPalette,
-      disclaimer: brandConfig.helpers.requiresDisclaimer(targetAudience)
-        ? brandConfig.compliance.disclaimer.medium
+      disclaimer: brand.helpers.requiresDisclaimer(targetAudience)
+        ? brand.helpers.getDisclaimer('medium')
         : null
     };
 
@@ -1395,13 +1578,13 @@ class ImageGenerator {
   /**
    * 10. GENERATE SOCIAL POST WITH BRAND
    *
-   * Generate social media post with PL Capital branding
+   * Generate social media post with brand profile branding (PL Capital unless config.brand is set)
    * Includes logo placement, brand colors, and compliance disclaimers
    *
    * @param {string} content - Post content/message
    * @param {string} targetAudience - Target audience
    * @param {string} platform - Social platform (linkedin, instagram, twitter)
-   * @param {Object} config - Additional configuration
+   * @param {Object} config - Additional configuration ({ brand } selects a brand profile)
    * @returns {Object} Branded social post image
    *
    * @example
@@ -1413,14 +1596,16 @@ class ImageGenerator {
    */
   async generateBrandedSocialPost(content, targetAudience = 'all_clients', platform = 'linkedin', config = {}) {
     const brandConfig = require('../config/brand-config.js');
+    const { brand = brandConfig, ...imageConfig } = config;
 
     console.log(`🎨 Branded Social Post`);
     console.log(`   Platform: ${platform}`);
     console.log(`   Audience: ${targetAudience}`);
 
-    const audienceConfig = brandConfig.targetAudiences[targetAudience];
+    const audienceConfig = brand.targetAudiences[targetAudience];
     const template = platform === 'instagram-story' ? 'story' : 'socialPost';
-    const templateConfig = brandConfig.imageTemplates[template];
+    const templateConfig = brand.imageTemplates[template];
+    const roles = brand.helpers.getColorRoles();
 
     // Build enhanced prompt with template specifications
     const brandPrompt = `
@@ -1429,42 +1614,42 @@ class ImageGenerator {
       Content: "${content}"
 
       Design Requirements:
-      - Use PL Capital brand colors: ${audienceConfig.colorPalette.join(', ')}
-      - Primary navy blue (#0e0e6a) background with modern corporate aesthetic
-      - Include space for PL Capital logo in ${templateConfig.logo.position} corner
-      - Font: Figtree (modern, professional sans-serif)
+      - Use ${brand.company.shortName} brand colors: ${audienceConfig.colorPalette.join(', ')}
+      - Primary ${roles.dark} background with modern corporate aesthetic
+      - Include space for ${brand.company.shortName} logo in ${templateConfig.logo.position} corner
+      - Font: ${brand.helpers.getFontFamily()} (modern, professional sans-serif)
       - Style: ${audienceConfig.contentStyle}
       - Tone: ${audienceConfig.tone}
       - High contrast, sophisticated, trustworthy design
-      - Include tagline: "${brandConfig.company.tagline}"
+      - Include tagline: "${brand.company.tagline}"
       - Aspect ratio: ${templateConfig.dimensions.width}x${templateConfig.dimensions.height}
 
       Additional Elements:
       - Modern financial graphics (charts, growth arrows, professional icons)
       - Clean, uncluttered layout with strong visual hierarchy
       - Ensure text is highly readable with proper contrast
-      ${brandConfig.helpers.requiresDisclaimer(targetAudience) ? '- Include space at bottom for compliance disclaimer' : ''}
+      ${brand.helpers.requiresDisclaimer(targetAudience) ? '- Include space at bottom for compliance disclaimer' : ''}
     `;
 
     const finalConfig = {
       aspectRatio: this._getDimensionsAsRatio(templateConfig.dimensions),
       imageSize: "4K",
       useGrounding: false,
-      ...config
+      ...imageConfig
     };
 
     const result = await this.textToImage(brandPrompt, finalConfig);
 
     // Add brand metadata
     result.brand = {
-      company: brandConfig.company.name,
+      company: brand.company.name,
       audience: targetAudience,
       platform: platform,
       template: template,
-      disclaimer: brandConfig.helpers.requiresDisclaimer(targetAudience)
-        ? brandConfig.compliance.disclaimer.short
+      disclaimer: brand.helpers.requiresDisclaimer(targetAudience)
+        ? brand.helpers.getDisclaimer('short')
         : null,
-      tagline: brandConfig.company.tagline
+      tagline: brand.company.tagline
     };
 
     return result;
@@ -1478,7 +1663,7 @@ class ImageGenerator {
    *
    * @param {string} insight - Investment insight or tip
    * @param {string} targetAudience - Target audience
-   * @param {Object} config - Additional configuration
+   * @param {Object} config - Additional configuration ({ brand } selects a brand profile)
    * @returns {Object} Investment insight card image
    *
    * @example
@@ -1489,8 +1674,10 @@ class ImageGenerator {
    */
   async generateInsightCard(insight, targetAudience = 'all_clients', config = {}) {
     const brandConfig = require('../config/brand-config.js');
-    const template = brandConfig.imageTemplates.insightCard;
-    const audienceConfig = brandConfig.targetAudiences[targetAudience];
+    const { brand = brandConfig, ...imageConfig } = config;
+    const template = brand.imageTemplates.insightCard;
+    const audienceConfig = brand.targetAudiences[targetAudience];
+    const roles = brand.helpers.getColorRoles();
 
     console.log(`🎨 Investment Insight Card`);
     console.log(`   Audience: ${targetAudience}`);
@@ -1501,17 +1688,17 @@ class ImageGenerator {
       Main Insight: "${insight}"
 
       Design Requirements:
-      - Background: Premium gradient from navy (#0e0e6a) to teal (#00d084)
-      - Brand: Prabhudas Lilladher (PL Capital)
+      - Background: Premium gradient from ${roles.dark} to ${roles.accent}
+      - Brand: ${brand.company.name} (${brand.company.shortName})
       - Logo placement: Top-right corner, subtle
-      - Font: Figtree (clean, modern, professional)
+      - Font: ${brand.helpers.getFontFamily()} (clean, modern, professional)
       - Style: ${audienceConfig.contentStyle}
       - Size: ${template.dimensions.width}x${template.dimensions.height}
 
       Layout:
       - Large, prominent insight text in white with excellent readability
-      - Key numbers or statistics highlighted in bright green (#66e766)
-      - Small watermark in center (PL Capital logo, very subtle, 10% opacity)
+      - Key numbers or statistics highlighted in ${roles.highlight}
+      - Small watermark in center (${brand.company.shortName} logo, very subtle, 10% opacity)
       - Modern financial iconography (subtle, not overwhelming)
       - High-contrast design for maximum impact
       - Professional, trustworthy, sophisticated aesthetic
@@ -1523,17 +1710,17 @@ class ImageGenerator {
       aspectRatio: "1200:628",
       imageSize: "4K",
       useGrounding: false,
-      ...config
+      ...imageConfig
     };
 
     const result = await this.textToImage(brandPrompt, finalConfig);
 
     result.brand = {
-      company: brandConfig.company.name,
+      company: brand.company.name,
       audience: targetAudience,
       template: 'insightCard',
-      disclaimer: brandConfig.helpers.requiresDisclaimer(targetAudience)
-        ? brandConfig.compliance.disclaimer.medium
+      disclaimer: brand.helpers.requiresDisclaimer(targetAudience)
+        ? brand.helpers.getDisclaimer('medium')
         : null
     };
 
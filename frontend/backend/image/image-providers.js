@@ -0,0 +1,225 @@
+/**
+ * Image Provider Registry
+ *
+ * Adapters that ImageGenerator fails over between. Each adapter declares the operations it
+ * supports ('text-to-image', 'edit'), whether it is configured, and how to run an operation
+ * with a generator instance. Use cases map to ordered fallback chains:
+ *
+ * - default      → gemini, fal, replicate, local
+ * - text-heavy   → gemini, fal, replicate, local (Gemini renders text best)
+ * - photorealism → fal, replicate, gemini, local
+ * - editing      → gemini, fal, replicate, local
+ *
+ * Chains and per-image costs can be overridden with IMAGE_PROVIDER_CHAINS and
+ * IMAGE_PROVIDER_COSTS (JSON). The local stub renders a flat brand-color placeholder and is
+ * only enabled with IMAGE_LOCAL_STUB=true, so a campaign can still be assembled offline.
+ */
+
+const fs = require('fs').promises;
+const zlib = require('zlib');
+
+const DEFAULT_CHAINS = {
+  default: ['gemini', 'fal', 'replicate', 'local'],
+  'text-heavy': ['gemini', 'fal', 'replicate', 'local'],
+  photorealism: ['fal', 'replicate', 'gemini', 'local'],
+  editing: ['gemini', 'fal', 'replicate', 'local']
+};
+
+// Estimated USD per generated image; `default` applies to models not listed
+const DEFAULT_COSTS = {
+  gemini: { default: 0.039, 'gemini-3-pro-image-preview': 0.134 },
+  fal: { default: 0.04 },
+  replicate: { default: 0.04, 'black-forest-labs/flux-schnell': 0.003 },
+  local: { default: 0 }
+};
+
+const REPLICATE_MODELS = {
+  textToImage: 'black-forest-labs/flux-schnell',
+  edit: 'black-forest-labs/flux-kontext-pro'
+};
+
+function loadJsonEnv(name, fallback) {
+  if (!process.env[name]) return fallback;
+  try {
+    return { ...fallback, ...JSON.parse(process.env[name]) };
+  } catch (error) {
+    console.warn(`⚠️  Ignoring invalid ${name} (${error.message})`);
+    return fallback;
+  }
+}
+
+/**
+ * Solid-color PNG (8-bit RGB) built with zlib, used by the local stub
+ */
+function solidPng(width, height, hex) {
+  const value = parseInt(String(hex).replace('#', ''), 16);
+  const pixel = [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+  const row = Buffer.alloc(1 + width * 3);
+  for (let x = 0; x < width; x++) row.set(pixel, 1 + x * 3);
+  const raw = Buffer.concat(Array.from({ length: height }, () => row));
+
+  const crcTable = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+  });
+  const crc32 = (buffer) => {
+    let c = 0xffffffff;
+    for (const byte of buffer) c = crcTable[(c ^ byte) & 255] ^ (c >>> 8);
+    return (c ^ 0xffffffff) >>> 0;
+  };
+  const chunk = (type, data) => {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+  };
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = 2; // RGB
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(raw)),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+async function replicateRun(model, input) {
+  const Replicate = require('replicate');
+  const replicate = new Replicate({ auth: process.env.REPLICATE_API_TOKEN });
+  const output = await replicate.run(model, { input });
+  return (Array.isArray(output) ? output : [output])
+    .map((item) => (typeof item === 'string' ? item : String(item?.url?.() || item)))
+    .filter(Boolean);
+}
+
+const providers = new Map();
+
+/**
+ * Register (or replace) a provider adapter
+ * @param {Object} adapter - { name, operations, isConfigured(generator), textToImage?(generator, prompt, config), editImage?(generator, prompt, inputImage, config) }
+ */
+function registerImageProvider(adapter) {
+  if (!adapter?.name || !Array.isArray(adapter.operations)) {
+    throw new Error('Image provider needs a name and an operations list');
+  }
+  providers.set(adapter.name, adapter);
+  return adapter;
+}
+
+function getImageProvider(name) {
+  return providers.get(name) || null;
+}
+
+function listImageProviders() {
+  return [...providers.values()];
+}
+
+/**
+ * Ordered provider names to try for a use case, with the preferred provider first
+ * @param {string} [useCase='default']
+ * @param {string} [preferred] - Provider requested explicitly (config.provider)
+ */
+function providerChain(useCase = 'default', preferred = null) {
+  const chains = loadJsonEnv('IMAGE_PROVIDER_CHAINS', DEFAULT_CHAINS);
+  const chain = chains[useCase] || chains.default || DEFAULT_CHAINS.default;
+  return [...new Set([preferred, ...chain].filter(Boolean))];
+}
+
+/**
+ * Estimated cost of a call in USD
+ */
+function estimateCost(provider, model, imageCount = 1) {
+  const costs = loadJsonEnv('IMAGE_PROVIDER_COSTS', DEFAULT_COSTS)[provider] || {};
+  const perImage = costs[model] ?? costs.default ?? 0;
+  return Number((perImage * imageCount).toFixed(4));
+}
+
+registerImageProvider({
+  name: 'gemini',
+  operations: ['text-to-image', 'edit'],
+  isConfigured: (generator) => Boolean(generator.geminiApiKey),
+  textToImage: (generator, prompt, config) => generator._geminiTextToImage(prompt, config),
+  editImage: (generator, prompt, inputImage, config) => generator._geminiEditImage(prompt, inputImage, config)
+});
+
+registerImageProvider({
+  name: 'fal',
+  operations: ['text-to-image', 'edit'],
+  isConfigured: (generator) => Boolean(generator.falApiKey),
+  textToImage: (generator, prompt, config) => generator._falTextToImage(prompt, config),
+  editImage: (generator, prompt, inputImage, config) => generator._falEditImage(prompt, inputImage, config)
+});
+
+registerImageProvider({
+  name: 'replicate',
+  operations: ['text-to-image', 'edit'],
+  isConfigured: () => Boolean(process.env.REPLICATE_API_TOKEN),
+  async textToImage(generator, prompt, config) {
+    console.log(`   Provider: Replicate (${REPLICATE_MODELS.textToImage})`);
+    const urls = await replicateRun(REPLICATE_MODELS.textToImage, {
+      prompt,
+      aspect_ratio: config.aspectRatio || '1:1',
+      num_outputs: config.numberOfImages || 1,
+      output_format: 'png'
+    });
+    const images = await generator._downloadFalImages({ images: urls }, 'replicate-text-to-image');
+    console.log(`   ✅ Generated ${images.length} image(s)`);
+    return { type: 'text-to-image', provider: 'replicate', model: REPLICATE_MODELS.textToImage, prompt, images, config };
+  },
+  async editImage(generator, prompt, inputImage, config) {
+    console.log(`   Provider: Replicate (${REPLICATE_MODELS.edit})`);
+    const isUrl = typeof inputImage === 'string' && /^https?:\/\//.test(inputImage);
+    const loaded = isUrl ? null : await generator._loadImage(inputImage);
+    const urls = await replicateRun(REPLICATE_MODELS.edit, {
+      prompt,
+      input_image: isUrl ? inputImage : `data:${loaded.mimeType};base64,${loaded.base64Data}`,
+      aspect_ratio: 'match_input_image',
+      output_format: 'png'
+    });
+    const images = await generator._downloadFalImages({ images: urls }, 'replicate-edited');
+    console.log(`   ✅ Image edited successfully`);
+    return { type: 'image-editing', provider: 'replicate', model: REPLICATE_MODELS.edit, prompt, images, config };
+  }
+});
+
+registerImageProvider({
+  name: 'local',
+  operations: ['text-to-image', 'edit'],
+  isConfigured: () => process.env.IMAGE_LOCAL_STUB === 'true',
+  async textToImage(generator, prompt, config) {
+    const brand = config.brandCheck?.brand || require('../config/brand-config');
+    const color = brand.helpers?.getColorRoles?.().dark || '#0e0e6a';
+    const [width, height] = (generator.getAspectRatioInfo(config.aspectRatio) || generator.aspectRatioSpecs['1:1']).resolution.split('x').map(Number);
+    const filename = `local-placeholder-${Date.now()}.png`;
+    const buffer = solidPng(width, height, color);
+    await fs.writeFile(`/tmp/${filename}`, buffer);
+    console.log(`   🧱 Local placeholder ${width}x${height} (${color})`);
+    return {
+      type: 'text-to-image',
+      provider: 'local',
+      model: 'placeholder',
+      prompt,
+      images: [{ path: `/tmp/${filename}`, filename, size: buffer.length, mimeType: 'image/png', placeholder: true }],
+      config
+    };
+  },
+  async editImage(generator, prompt, _inputImage, config) {
+    return { ...(await this.textToImage(generator, prompt, config)), type: 'image-editing' };
+  }
+});
+
+module.exports = {
+  registerImageProvider,
+  getImageProvider,
+  listImageProviders,
+  providerChain,
+  estimateCost,
+  DEFAULT_CHAINS
+};
@@ -0,0 +1,62 @@
+/**
+ * Social Media Engine
+ *
+ * Public API of the campaign engine. The backend CLI (main.js), the root CLI
+ * (../../main.js, legacy flags) and the Next.js API routes all run this one copy of the
+ * orchestrator, generators, stores and brand config.
+ *
+ * @example
+ * const { SocialMediaOrchestrator } = require('./frontend/backend');
+ */
+
+const { run, parseArgs } = require('./main');
+
+module.exports = {
+  // Orchestration
+  SocialMediaOrchestrator: require('./core/orchestrator'),
+  StateManager: require('./core/state-manager'),
+  StateStore: require('./core/state-store'),
+  BrandStore: require('./core/brand-store'),
+  ScheduleStore: require('./core/schedule-store'),
+  CalendarStore: require('./core/content-calendar'),
+  PublishScheduler: require('./core/publish-scheduler'),
+  JobQueue: require('./core/job-queue'),
+  JobWorker: require('./core/job-worker'),
+  ProviderUsageStore: require('./core/provider-usage'),
+  GenerationCache: require('./core/generation-cache'),
+  complianceChecker: require('./core/compliance-checker'),
+  campaignTypes: require('./core/campaign-types'),
+  campaignFile: require('./core/campaign-file'),
+  repurpose: require('./core/repurpose'),
+  ABTestStore: require('./core/ab-testing'),
+  NewsletterCampaignStore: require('./core/newsletter-campaigns'),
+  MetricsStore: require('./core/metrics-store'),
+  MetricsCollector: require('./core/metrics-collector'),
+  topicHistory: require('./core/topic-history'),
+
+  // Images
+  ImageGenerator: require('./image/image-generator'),
+  imageProviders: require('./image/image-providers'),
+  BrandConformanceChecker: require('./image/brand-conformance'),
+  CarouselRenderer: require('./image/carousel-renderer'),
+
+  // Text
+  TextClient: require('./text/text-client'),
+  textProviders: require('./text/text-providers'),
+
+  // Video
+  VideoGenerator: require('./video/video-generator'),
+  VideoCoordinator: require('./video/video-coordinator'),
+  LongCatGenerator: require('./video/longcat-generator'),
+  AvatarGenerator: require('./video/avatar-generator'),
+  HeyGenPhotoAvatar: require('./video/heygen-photo-avatar'),
+  VideoEditor: require('./video/video-editor'),
+
+  // Config
+  brandConfig: require('./config/brand-config'),
+  heygenAvatarConfig: require('./config/heygen-avatar-config'),
+
+  // CLI
+  run,
+  parseArgs
+};
@@ -0,0 +1,333 @@
+/**
+ * Facebook Page Publisher
+ *
+ * Publishes to a Facebook Page through the Graph API:
+ * - Reels via the video_reels flow (start → upload to rupload → finish → poll status)
+ * - Photo albums (multi-photo feed posts) for carousels, single photo posts otherwise
+ *
+ * Every flow accepts a scheduled publish time (10 minutes to 75 days ahead); scheduled
+ * posts come back with status "scheduled" instead of "published".
+ */
+
+const fs = require('fs');
+
+const DEFAULT_GRAPH_VERSION = 'v21.0';
+const MIN_SCHEDULE_LEAD_SECONDS = 10 * 60;
+const MAX_SCHEDULE_LEAD_SECONDS = 75 * 24 * 60 * 60;
+
+/**
+ * Normalize a schedule time (Date, ISO string, unix seconds or ms) to unix seconds and
+ * check it falls inside the window Facebook accepts.
+ * @param {Date|string|number|null} value
+ * @returns {number|null}
+ */
+function toScheduledPublishTime(value) {
+  if (value === null || value === undefined || value === '') return null;
+
+  let ms;
+  if (value instanceof Date) {
+    ms = value.getTime();
+  } else if (typeof value === 'number' || /^\d+$/.test(String(value))) {
+    const n = Number(value);
+    ms = n < 1e12 ? n * 1000 : n;
+  } else {
+    ms = new Date(value).getTime();
+  }
+  if (!Number.isFinite(ms)) {
+    throw new Error(`Invalid scheduled publish time: ${value}`);
+  }
+
+  const seconds = Math.floor(ms / 1000);
+  const lead = seconds - Math.floor(Date.now() / 1000);
+  if (lead < MIN_SCHEDULE_LEAD_SECONDS || lead > MAX_SCHEDULE_LEAD_SECONDS) {
+    throw new Error('Facebook scheduled publish time must be between 10 minutes and 75 days from now');
+  }
+  return seconds;
+}
+
+class FacebookPublisher {
+  constructor(options = {}) {
+    this.accessToken = options.accessToken;
+    this.pageId = options.pageId;
+    this.graphVersion = options.graphVersion || DEFAULT_GRAPH_VERSION;
+    this.baseUrl = (options.baseUrl || 'https://graph.facebook.com').replace(/\/$/, '');
+    this.ruploadBaseUrl = (options.ruploadBaseUrl || 'https://rupload.facebook.com').replace(/\/$/, '');
+    this.pollIntervalMs = options.pollIntervalMs ?? 5000;
+    this.pollAttempts = options.pollAttempts ?? 60;
+  }
+
+  _assertConfig() {
+    if (!this.accessToken || !this.pageId) {
+      throw new Error('Facebook credentials are missing (accessToken/pageId)');
+    }
+  }
+
+  async _request(pathname, params = {}, method = 'POST') {
+    this._assertConfig();
+
+    const query = new URLSearchParams({ ...params, access_token: this.accessToken });
+    const url = `${this.baseUrl}/${this.graphVersion}${pathname}`;
+    const response = method === 'GET'
+      ? await fetch(`${url}?${query.toString()}`)
+      : await fetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: query
+      });
+
+    const responseText = await response.text();
+    const data = responseText ? JSON.parse(responseText) : {};
+
+    if (!response.ok || data.error) {
+      const message = data.error?.error_user_msg || data.error?.message || responseText;
+      throw new Error(`Facebook Graph API error (${response.status}): ${message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Resolve a Graph object's permalink (relative permalinks are made absolute)
+   */
+  async getPermalink(objectId) {
+    try {
+      const data = await this._request(`/${objectId}`, { fields: 'permalink_url' }, 'GET');
+      const permalink = data.permalink_url || null;
+      return permalink && permalink.startsWith('/') ? `https://www.facebook.com${permalink}` : permalink;
+    } catch (error) {
+      console.log(`   ⚠️  Facebook permalink lookup failed: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Upload the reel bytes: hosted URLs are fetched by Facebook, local files are sent inline
+   */
+  async _uploadReelFile(videoId, uploadUrl, video) {
+    const headers = { Authorization: `OAuth ${this.accessToken}` };
+    let body;
+
+    if (/^https?:\/\//i.test(video)) {
+      headers.file_url = video;
+    } else {
+      if (!fs.existsSync(video)) {
+        throw new Error(`Video file not found: ${video}`);
+      }
+      body = fs.readFileSync(video);
+      headers.offset = '0';
+      headers.file_size = String(body.length);
+    }
+
+    const url = uploadUrl || `${this.ruploadBaseUrl}/video-upload/${this.graphVersion}/${videoId}`;
+    const response = await fetch(url, { method: 'POST', headers, body });
+    const responseText = await response.text();
+    if (!response.ok) {
+      throw new Error(`Facebook reel upload error (${response.status}): ${responseText}`);
+    }
+  }
+
+  /**
+   * Poll a reel until Facebook has processed it (or reports an error)
+   */
+  async waitForReel(videoId) {
+    for (let attempt = 0; attempt < this.pollAttempts; attempt++) {
+      const data = await this._request(`/${videoId}`, { fields: 'status' }, 'GET');
+      const status = data.status || {};
+      const errors = [status.uploading_phase, status.processing_phase, status.publishing_phase]
+        .flatMap((phase) => phase?.errors || []);
+
+      if (status.video_status === 'error' || errors.length > 0) {
+        throw new Error(`Facebook reel processing failed: ${errors[0]?.message || 'unknown error'}`);
+      }
+      if (status.video_status === 'ready' || status.publishing_phase?.status === 'complete') {
+        return status;
+      }
+      await new Promise(resolve => setTimeout(resolve, this.pollIntervalMs));
+    }
+    throw new Error(`Facebook reel ${videoId} still processing after ${this.pollAttempts} checks`);
+  }
+
+  /**
+   * Publish (or schedule) a reel from a hosted video URL or local file
+   * @param {Object} params
+   * @param {string} params.video - Hosted URL or local path
+   * @param {string} [params.description]
+   * @param {Date|string|number} [params.scheduledAt]
+   */
+  async publishReel({ video, description, scheduledAt }) {
+    const scheduledPublishTime = toScheduledPublishTime(scheduledAt);
+
+    const start = await this._request(`/${this.pageId}/video_reels`, { upload_phase: 'start' });
+    if (!start.video_id) {
+      throw new Error('Facebook reel upload session failed: No video_id in response');
+    }
+
+    await this._uploadReelFile(start.video_id, start.upload_url, video);
+
+    const finishParams = {
+      upload_phase: 'finish',
+      video_id: start.video_id,
+      video_state: scheduledPublishTime ? 'SCHEDULED' : 'PUBLISHED',
+      description: description || ''
+    };
+    if (scheduledPublishTime) {
+      finishParams.scheduled_publish_time = String(scheduledPublishTime);
+    }
+    await this._request(`/${this.pageId}/video_reels`, finishParams);
+
+    await this.waitForReel(start.video_id);
+
+    let postId = start.video_id;
+    try {
+      const data = await this._request(`/${start.video_id}`, { fields: 'post_id' }, 'GET');
+      postId = data.post_id || postId;
+    } catch (error) {
+      console.log(`   ⚠️  Facebook reel post id lookup failed: ${error.message}`);
+    }
+
+    return {
+      mediaType: 'reel',
+      videoId: start.video_id,
+      postId,
+      permalink: await this.getPermalink(start.video_id),
+      status: scheduledPublishTime ? 'scheduled' : 'published',
+      scheduledAt: scheduledPublishTime ? new Date(scheduledPublishTime * 1000).toISOString() : null
+    };
+  }
+
+  /**
+   * Publish (or schedule) a single photo post from a hosted image URL
+   */
+  async publishPhoto({ imageUrl, message, scheduledAt }) {
+    const scheduledPublishTime = toScheduledPublishTime(scheduledAt);
+    const params = { url: imageUrl, caption: message || '' };
+    if (scheduledPublishTime) {
+      params.published = 'false';
+      params.scheduled_publish_time = String(scheduledPublishTime);
+    }
+
+    const data = await this._request(`/${this.pageId}/photos`, params);
+    const postId = data.post_id || data.id;
+    if (!postId) {
+      throw new Error('Facebook photo post failed: No id in response');
+    }
+
+    return {
+      mediaType: 'photo',
+      postId,
+      permalink: await this.getPermalink(postId),
+      status: scheduledPublishTime ? 'scheduled' : 'published',
+      scheduledAt: scheduledPublishTime ? new Date(scheduledPublishTime * 1000).toISOString() : null
+    };
+  }
+
+  /**
+   * Publish (or schedule) a photo album: unpublished photos attached to one feed post
+   */
+  async publishAlbum({ imageUrls, message, scheduledAt }) {
+    if (!Array.isArray(imageUrls) || imageUrls.length < 2) {
+      throw new Error('Facebook albums need at least 2 images');
+    }
+    const scheduledPublishTime = toScheduledPublishTime(scheduledAt);
+
+    const photoIds = [];
+    for (const imageUrl of imageUrls) {
+      const photoParams = { url: imageUrl, published: 'false' };
+      // Scheduled posts need temporary photos so they are not garbage-collected before publish time
+      if (scheduledPublishTime) photoParams.temporary = 'true';
+      const photo = await this._request(`/${this.pageId}/photos`, photoParams);
+      photoIds.push(photo.id);
+    }
+
+    const params = { message: message || '' };
+    photoIds.forEach((id, index) => {
+      params[`attached_media[${index}]`] = JSON.stringify({ media_fbid: id });
+    });
+    if (scheduledPublishTime) {
+      params.published = 'false';
+      params.scheduled_publish_time = String(scheduledPublishTime);
+    }
+
+    const post = await this._request(`/${this.pageId}/feed`, params);
+    if (!post.id) {
+      throw new Error('Facebook album post failed: No id in response');
+    }
+
+    return {
+      mediaType: 'album',
+      postId: post.id,
+      photoIds,
+      permalink: await this.getPermalink(post.id),
+      status: scheduledPublishTime ? 'scheduled' : 'published',
+      scheduledAt: scheduledPublishTime ? new Date(scheduledPublishTime * 1000).toISOString() : null
+    };
+  }
+
+  /**
+   * Performance counts for a published post (Page Insights). Reels add their play count from
+   * the video insights.
+   * @param {Object} params
+   * @param {string} [params.postId] - Feed post id (page_post)
+   * @param {string} [params.videoId] - Reel video id
+   * @returns {Promise<Object>} { impressions, reach, clicks, likes, comments, shares, videoViews }
+   */
+  async getPostMetrics({ postId, videoId }) {
+    const insightValues = (data) => Object.fromEntries((data.data || []).map((item) => [item.name, item.values?.[0]?.value]));
+    const metrics = {};
+
+    if (postId && postId !== videoId) {
+      const insights = insightValues(await this._request(`/${postId}/insights`, {
+        metric: 'post_impressions,post_impressions_unique,post_clicks,post_reactions_by_type_total'
+      }, 'GET'));
+      const reactions = insights.post_reactions_by_type_total;
+      Object.assign(metrics, {
+        impressions: insights.post_impressions,
+        reach: insights.post_impressions_unique,
+        clicks: insights.post_clicks,
+        likes: reactions && typeof reactions === 'object'
+          ? Object.values(reactions).reduce((sum, count) => sum + (Number(count) || 0), 0)
+          : undefined
+      });
+      const post = await this._request(`/${postId}`, { fields: 'shares,comments.summary(true).limit(0)' }, 'GET');
+      metrics.shares = post.shares?.count ?? 0;
+      metrics.comments = post.comments?.summary?.total_count;
+    }
+
+    if (videoId) {
+      const insights = insightValues(await this._request(`/${videoId}/video_insights`, {
+        metric: 'blue_reels_play_count,post_impressions_unique,post_video_likes_by_reaction_type'
+      }, 'GET'));
+      const reactions = insights.post_video_likes_by_reaction_type;
+      metrics.videoViews = insights.blue_reels_play_count;
+      metrics.reach = metrics.reach ?? insights.post_impressions_unique;
+      if (metrics.likes === undefined && reactions && typeof reactions === 'object') {
+        metrics.likes = Object.values(reactions).reduce((sum, count) => sum + (Number(count) || 0), 0);
+      }
+    }
+
+    return metrics;
+  }
+}
+
+function getFacebookPublisher() {
+  const accessToken = process.env.FACEBOOK_PAGE_ACCESS_TOKEN;
+  const pageId = process.env.FACEBOOK_PAGE_ID;
+
+  if (!accessToken || !pageId) {
+    throw new Error('Facebook env vars missing. Set FACEBOOK_PAGE_ACCESS_TOKEN and FACEBOOK_PAGE_ID.');
+  }
+
+  return new FacebookPublisher({
+    accessToken,
+    pageId,
+    graphVersion: process.env.FACEBOOK_GRAPH_API_VERSION,
+    baseUrl: process.env.FACEBOOK_GRAPH_BASE_URL,
+    ruploadBaseUrl: process.env.FACEBOOK_RUPLOAD_BASE_URL
+  });
+}
+
+module.exports = {
+  FacebookPublisher,
+  getFacebookPublisher,
+  toScheduledPublishTime
+};
@@ -0,0 +1,210 @@
+/**
+ * Instagram Publisher
+ *
+ * Publishes reels, carousels and feed images through the Instagram Content Publishing
+ * API (Graph API). Media must already be publicly hosted (Cloudinary/ImgBB URLs from
+ * Stage 3/4): Instagram fetches it from the URL when the media container is created.
+ *
+ * Flow: create container(s) → poll status_code until FINISHED → media_publish → read permalink.
+ */
+
+const DEFAULT_GRAPH_VERSION = 'v21.0';
+const MAX_CAROUSEL_CHILDREN = 10;
+
+class InstagramPublisher {
+  constructor(options = {}) {
+    this.accessToken = options.accessToken;
+    this.igUserId = options.igUserId;
+    this.graphVersion = options.graphVersion || DEFAULT_GRAPH_VERSION;
+    this.baseUrl = (options.baseUrl || 'https://graph.facebook.com').replace(/\/$/, '');
+    this.pollIntervalMs = options.pollIntervalMs ?? 5000;
+    this.pollAttempts = options.pollAttempts ?? 60;
+  }
+
+  _assertConfig() {
+    if (!this.accessToken || !this.igUserId) {
+      throw new Error('Instagram credentials are missing (accessToken/igUserId)');
+    }
+  }
+
+  async _request(pathname, params = {}, method = 'POST') {
+    this._assertConfig();
+
+    const query = new URLSearchParams({ ...params, access_token: this.accessToken });
+    const url = `${this.baseUrl}/${this.graphVersion}${pathname}`;
+    const response = method === 'GET'
+      ? await fetch(`${url}?${query.toString()}`)
+      : await fetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: query
+      });
+
+    const responseText = await response.text();
+    const data = responseText ? JSON.parse(responseText) : {};
+
+    // Graph API returns { error: { message, code, error_subcode } } on failure
+    if (!response.ok || data.error) {
+      const message = data.error?.error_user_msg || data.error?.message || responseText;
+      throw new Error(`Instagram Graph API error (${response.status}): ${message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Create a media container and return its id
+   * @param {Object} params - Graph API container fields (image_url, video_url, media_type, caption, children...)
+   * @returns {Promise<string>}
+   */
+  async createContainer(params) {
+    const data = await this._request(`/${this.igUserId}/media`, params);
+    if (!data.id) {
+      throw new Error('Instagram container creation failed: No id in response');
+    }
+    return data.id;
+  }
+
+  /**
+   * Poll a container until Instagram has finished fetching/processing the media
+   * @param {string} containerId
+   */
+  async waitForContainer(containerId) {
+    for (let attempt = 0; attempt < this.pollAttempts; attempt++) {
+      const data = await this._request(`/${containerId}`, { fields: 'status_code,status' }, 'GET');
+      const statusCode = data.status_code;
+      if (statusCode === 'FINISHED' || statusCode === 'PUBLISHED') return;
+      if (statusCode === 'ERROR' || statusCode === 'EXPIRED') {
+        throw new Error(`Instagram container ${containerId} ${statusCode.toLowerCase()}: ${data.status || 'no details'}`);
+      }
+      await new Promise(resolve => setTimeout(resolve, this.pollIntervalMs));
+    }
+    throw new Error(`Instagram container ${containerId} still processing after ${this.pollAttempts} checks`);
+  }
+
+  /**
+   * Publish a finished container and return { mediaId, permalink }
+   * @param {string} containerId
+   */
+  async publishContainer(containerId) {
+    const published = await this._request(`/${this.igUserId}/media_publish`, { creation_id: containerId });
+    if (!published.id) {
+      throw new Error('Instagram publish failed: No media id in response');
+    }
+
+    let permalink = null;
+    try {
+      const media = await this._request(`/${published.id}`, { fields: 'permalink' }, 'GET');
+      permalink = media.permalink || null;
+    } catch (error) {
+      console.log(`   ⚠️  Instagram permalink lookup failed: ${error.message}`);
+    }
+
+    return { mediaId: published.id, permalink };
+  }
+
+  /**
+   * Publish a single feed image (JPEG URL)
+   */
+  async publishImage({ imageUrl, caption }) {
+    const containerId = await this.createContainer({ image_url: imageUrl, caption: caption || '' });
+    await this.waitForContainer(containerId);
+    const result = await this.publishContainer(containerId);
+    return { ...result, mediaType: 'image', containerId };
+  }
+
+  /**
+   * Publish a carousel of 2–10 image URLs
+   */
+  async publishCarousel({ imageUrls, caption }) {
+    const urls = (imageUrls || []).slice(0, MAX_CAROUSEL_CHILDREN);
+    if (urls.length < 2) {
+      throw new Error('Instagram carousels need at least 2 images');
+    }
+
+    const children = [];
+    for (const imageUrl of urls) {
+      children.push(await this.createContainer({ image_url: imageUrl, is_carousel_item: 'true' }));
+    }
+    for (const childId of children) {
+      await this.waitForContainer(childId);
+    }
+
+    const containerId = await this.createContainer({
+      media_type: 'CAROUSEL',
+      children: children.join(','),
+      caption: caption || ''
+    });
+    await this.waitForContainer(containerId);
+    const result = await this.publishContainer(containerId);
+    return { ...result, mediaType: 'carousel', containerId, children };
+  }
+
+  /**
+   * Publish a reel from a hosted video URL
+   */
+  async publishReel({ videoUrl, caption, coverUrl, shareToFeed = true }) {
+    const params = {
+      media_type: 'REELS',
+      video_url: videoUrl,
+      caption: caption || '',
+      share_to_feed: shareToFeed ? 'true' : 'false'
+    };
+    if (coverUrl) {
+      params.cover_url = coverUrl;
+    }
+
+    const containerId = await this.createContainer(params);
+    await this.waitForContainer(containerId);
+    const result = await this.publishContainer(containerId);
+    return { ...result, mediaType: 'reel', containerId };
+  }
+
+  /**
+   * Performance counts for a published media object (Media Insights API)
+   * @param {string} mediaId
+   * @param {string} [mediaType] - reel, carousel or image; reels also report views as video views
+   * @returns {Promise<Object>} { impressions, reach, likes, comments, shares, saves, engagements, videoViews }
+   */
+  async getMediaMetrics(mediaId, mediaType) {
+    const data = await this._request(`/${mediaId}/insights`, {
+      metric: 'views,reach,likes,comments,shares,saved,total_interactions'
+    }, 'GET');
+    const value = (name) => {
+      const metric = (data.data || []).find((item) => item.name === name);
+      return metric?.total_value?.value ?? metric?.values?.[0]?.value;
+    };
+    return {
+      impressions: value('views'),
+      reach: value('reach'),
+      likes: value('likes'),
+      comments: value('comments'),
+      shares: value('shares'),
+      saves: value('saved'),
+      engagements: value('total_interactions'),
+      ...(mediaType === 'reel' ? { videoViews: value('views') } : {})
+    };
+  }
+}
+
+function getInstagramPublisher() {
+  const accessToken = process.env.INSTAGRAM_ACCESS_TOKEN;
+  const igUserId = process.env.INSTAGRAM_BUSINESS_ACCOUNT_ID;
+
+  if (!accessToken || !igUserId) {
+    throw new Error('Instagram env vars missing. Set INSTAGRAM_ACCESS_TOKEN and INSTAGRAM_BUSINESS_ACCOUNT_ID.');
+  }
+
+  return new InstagramPublisher({
+    accessToken,
+    igUserId,
+    graphVersion: process.env.INSTAGRAM_GRAPH_API_VERSION,
+    baseUrl: process.env.INSTAGRAM_GRAPH_BASE_URL
+  });
+}
+
+module.exports = {
+  InstagramPublisher,
+  getInstagramPublisher,
+  MAX_CAROUSEL_CHILDREN
+};
@@ -0,0 +1,399 @@
+/**
+ * LinkedIn Publisher
+ *
+ * Posts Stage 3 images, multi-page document carousels and Stage 4 videos to a
+ * LinkedIn member or organization feed using the versioned REST Posts API.
+ *
+ * Media is uploaded first (Images / Documents / Videos API), then referenced by
+ * URN from a single POST /rest/posts call. The created post URN comes back in the
+ * x-restli-id response header.
+ */
+
+const { readMedia } = require('./media-input');
+
+const DEFAULT_API_VERSION = '202411';
+
+/**
+ * Escape LinkedIn "little text" reserved characters so commentary is not truncated
+ * or parsed as mentions/hashtags templates. Hashtags ("#SIP" at the start of a word, with a
+ * letter in the tag) become hashtag templates; every other "#" ("#1", "C#") is escaped.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeLittleText(text) {
+  return String(text || '').replace(
+    /(^|\s)#(?=[\p{N}_]*\p{L})([\p{L}\p{N}_]+)|[\\|{}@[\]()<>#*_~]/gu,
+    (match, lead, tag) => (tag ? `${lead}{hashtag|\\#|${tag.replace(/_/g, '\\_')}}` : `\\${match}`)
+  );
+}
+
+/**
+ * Build a multi-page PDF (one slide per page) from carousel slide images using canvas.
+ * Returns null if canvas is not available so callers can fall back to a multi-image post.
+ * @param {Array<string|Buffer>} images - Local paths, URLs or buffers, in slide order
+ * @returns {Promise<Buffer|null>}
+ */
+async function buildCarouselPdf(images) {
+  let canvasLib;
+  try { canvasLib = require('canvas'); } catch { return null; }
+  if (!Array.isArray(images) || images.length === 0) return null;
+
+  const { createCanvas, loadImage } = canvasLib;
+  let canvas = null;
+  let ctx = null;
+
+  for (const input of images) {
+    const source = Buffer.isBuffer(input) ? input : await readMedia(input);
+    const img = await loadImage(source);
+    if (!canvas) {
+      canvas = createCanvas(img.width, img.height, 'pdf');
+      ctx = canvas.getContext('2d');
+    } else {
+      ctx.addPage(img.width, img.height);
+    }
+    ctx.drawImage(img, 0, 0, img.width, img.height);
+  }
+
+  return canvas.toBuffer('application/pdf');
+}
+
+class LinkedInPublisher {
+  constructor(options = {}) {
+    this.accessToken = options.accessToken;
+    this.authorUrn = options.authorUrn;
+    this.apiVersion = options.apiVersion || DEFAULT_API_VERSION;
+    this.baseUrl = (options.baseUrl || 'https://api.linkedin.com').replace(/\/$/, '');
+    this.videoPollIntervalMs = options.videoPollIntervalMs ?? 5000;
+    this.videoPollAttempts = options.videoPollAttempts ?? 60;
+  }
+
+  _assertConfig() {
+    if (!this.accessToken || !this.authorUrn) {
+      throw new Error('LinkedIn credentials are missing (accessToken/authorUrn)');
+    }
+  }
+
+  _headers(extra = {}) {
+    return {
+      Authorization: `Bearer ${this.accessToken}`,
+      'LinkedIn-Version': this.apiVersion,
+      'X-Restli-Protocol-Version': '2.0.0',
+      ...extra
+    };
+  }
+
+  async _request(pathname, body = null, method = 'POST') {
+    this._assertConfig();
+
+    const requestOptions = {
+      method,
+      headers: this._headers(body ? { 'Content-Type': 'application/json' } : {})
+    };
+    if (body) {
+      requestOptions.body = JSON.stringify(body);
+    }
+
+    const response = await fetch(`${this.baseUrl}/rest${pathname}`, requestOptions);
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`LinkedIn API error (${response.status}): ${errorText}`);
+    }
+
+    // Create/finalize calls answer 201/200 with an empty body
+    const responseText = await response.text();
+    const data = responseText ? JSON.parse(responseText) : null;
+    return { data, headers: response.headers };
+  }
+
+  async _uploadBinary(uploadUrl, buffer, contentType = 'application/octet-stream') {
+    const response = await fetch(uploadUrl, {
+      method: 'PUT',
+      headers: this._headers({ 'Content-Type': contentType }),
+      body: buffer
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`LinkedIn upload error (${response.status}): ${errorText}`);
+    }
+
+    return response;
+  }
+
+  /**
+   * Upload an image and return its urn:li:image URN
+   * @param {string|Buffer} image - Local path, URL or buffer
+   * @returns {Promise<string>}
+   */
+  async uploadImage(image) {
+    const buffer = await readMedia(image);
+    const { data } = await this._request('/images?action=initializeUpload', {
+      initializeUploadRequest: { owner: this.authorUrn }
+    });
+
+    const uploadUrl = data?.value?.uploadUrl;
+    const imageUrn = data?.value?.image;
+    if (!uploadUrl || !imageUrn) {
+      throw new Error('LinkedIn image upload failed: No uploadUrl/image in response');
+    }
+
+    await this._uploadBinary(uploadUrl, buffer);
+    return imageUrn;
+  }
+
+  /**
+   * Upload a PDF document and return its urn:li:document URN
+   * @param {string|Buffer} document - Local path, URL or buffer
+   * @returns {Promise<string>}
+   */
+  async uploadDocument(document) {
+    const buffer = await readMedia(document);
+    const { data } = await this._request('/documents?action=initializeUpload', {
+      initializeUploadRequest: { owner: this.authorUrn }
+    });
+
+    const uploadUrl = data?.value?.uploadUrl;
+    const documentUrn = data?.value?.document;
+    if (!uploadUrl || !documentUrn) {
+      throw new Error('LinkedIn document upload failed: No uploadUrl/document in response');
+    }
+
+    await this._uploadBinary(uploadUrl, buffer, 'application/pdf');
+    return documentUrn;
+  }
+
+  /**
+   * Upload a video using the multi-part upload instructions, finalize it and
+   * wait until LinkedIn has processed it. Returns its urn:li:video URN.
+   * @param {string|Buffer} video - Local path, URL or buffer
+   * @returns {Promise<string>}
+   */
+  async uploadVideo(video) {
+    const buffer = await readMedia(video);
+    const { data } = await this._request('/videos?action=initializeUpload', {
+      initializeUploadRequest: {
+        owner: this.authorUrn,
+        fileSizeBytes: buffer.length,
+        uploadCaptions: false,
+        uploadThumbnail: false
+      }
+    });
+
+    const videoUrn = data?.value?.video;
+    const instructions = Array.isArray(data?.value?.uploadInstructions) ? data.value.uploadInstructions : [];
+    if (!videoUrn || instructions.length === 0) {
+      throw new Error('LinkedIn video upload failed: No video/uploadInstructions in response');
+    }
+
+    const uploadedPartIds = [];
+    for (const instruction of instructions) {
+      const chunk = buffer.subarray(instruction.firstByte, instruction.lastByte + 1);
+      const response = await this._uploadBinary(instruction.uploadUrl, chunk);
+      const etag = response.headers.get('etag');
+      if (!etag) {
+        throw new Error('LinkedIn video upload failed: Missing ETag for uploaded part');
+      }
+      uploadedPartIds.push(etag);
+    }
+
+    await this._request('/videos?action=finalizeUpload', {
+      finalizeUploadRequest: {
+        video: videoUrn,
+        uploadToken: data.value.uploadToken || '',
+        uploadedPartIds
+      }
+    });
+
+    await this.waitForVideo(videoUrn);
+    return videoUrn;
+  }
+
+  /**
+   * Poll the Videos API until the video is AVAILABLE
+   * @param {string} videoUrn
+   */
+  async waitForVideo(videoUrn) {
+    for (let attempt = 0; attempt < this.videoPollAttempts; attempt++) {
+      const { data } = await this._request(`/videos/${encodeURIComponent(videoUrn)}`, null, 'GET');
+      const status = data?.status;
+      if (status === 'AVAILABLE') return;
+      if (status === 'PROCESSING_FAILED') {
+        throw new Error(`LinkedIn video processing failed: ${data?.processingFailureReason || videoUrn}`);
+      }
+      await new Promise(resolve => setTimeout(resolve, this.videoPollIntervalMs));
+    }
+    throw new Error(`LinkedIn video still processing after ${this.videoPollAttempts} checks: ${videoUrn}`);
+  }
+
+  /**
+   * Create a feed post
+   * @param {Object} params
+   * @param {string} params.commentary - Post text (escaped for little text format)
+   * @param {Object} [params.content] - Posts API content block (media / multiImage)
+   * @returns {Promise<{postUrn: string, postUrl: string}>}
+   */
+  async createPost({ commentary, content }) {
+    const body = {
+      author: this.authorUrn,
+      commentary: escapeLittleText(commentary),
+      visibility: 'PUBLIC',
+      distribution: {
+        feedDistribution: 'MAIN_FEED',
+        targetEntities: [],
+        thirdPartyDistributionChannels: []
+      },
+      lifecycleState: 'PUBLISHED',
+      isReshareDisabledByAuthor: false
+    };
+    if (content) {
+      body.content = content;
+    }
+
+    const { headers } = await this._request('/posts', body);
+    const postUrn = headers.get('x-restli-id') || headers.get('x-linkedin-id');
+    if (!postUrn) {
+      throw new Error('LinkedIn post creation failed: No post URN in response');
+    }
+
+    return {
+      postUrn,
+      postUrl: `https://www.linkedin.com/feed/update/${postUrn}/`
+    };
+  }
+
+  /**
+   * Performance counts for a published post. Organization posts get share statistics
+   * (impressions, unique impressions, clicks, reactions, comments, reposts); member posts only
+   * expose reaction and comment totals.
+   * @param {string} postUrn - urn:li:share:… or urn:li:ugcPost:…
+   * @returns {Promise<Object>} { impressions, reach, clicks, likes, comments, shares } (missing counts omitted)
+   */
+  async getPostMetrics(postUrn) {
+    if (String(this.authorUrn).startsWith('urn:li:organization:')) {
+      const key = String(postUrn).startsWith('urn:li:ugcPost:') ? 'ugcPosts' : 'shares';
+      const { data } = await this._request(
+        `/organizationalEntityShareStatistics?q=organizationalEntity&organizationalEntity=${encodeURIComponent(this.authorUrn)}&${key}=List(${encodeURIComponent(postUrn)})`,
+        null,
+        'GET'
+      );
+      const stats = data?.elements?.[0]?.totalShareStatistics || {};
+      return {
+        impressions: stats.impressionCount,
+        reach: stats.uniqueImpressionsCount,
+        clicks: stats.clickCount,
+        likes: stats.likeCount,
+        comments: stats.commentCount,
+        shares: stats.shareCount
+      };
+    }
+
+    const { data } = await this._request(`/socialActions/${encodeURIComponent(postUrn)}`, null, 'GET');
+    return {
+      likes: data?.likesSummary?.totalLikes,
+      comments: data?.commentsSummary?.aggregatedTotalComments
+    };
+  }
+
+  /**
+   * Publish a single-image post
+   */
+  async publishImage({ image, commentary, altText }) {
+    const imageUrn = await this.uploadImage(image);
+    const post = await this.createPost({
+      commentary,
+      content: { media: { id: imageUrn, altText: altText || '' } }
+    });
+    return { ...post, mediaType: 'image', mediaUrns: [imageUrn] };
+  }
+
+  /**
+   * Publish a multi-image post (2–20 images)
+   */
+  async publishImages({ images, commentary, altText }) {
+    const imageUrns = [];
+    for (const image of images) {
+      imageUrns.push(await this.uploadImage(image));
+    }
+    const post = await this.createPost({
+      commentary,
+      content: {
+        multiImage: {
+          images: imageUrns.map((id) => ({ id, altText: altText || '' }))
+        }
+      }
+    });
+    return { ...post, mediaType: 'multi-image', mediaUrns: imageUrns };
+  }
+
+  /**
+   * Publish a PDF document post (rendered by LinkedIn as a swipeable carousel)
+   */
+  async publishDocument({ document, title, commentary }) {
+    const documentUrn = await this.uploadDocument(document);
+    const post = await this.createPost({
+      commentary,
+      content: { media: { id: documentUrn, title: title || 'Carousel' } }
+    });
+    return { ...post, mediaType: 'document', mediaUrns: [documentUrn] };
+  }
+
+  /**
+   * Publish a carousel from slide images: combine the slides into one PDF document post,
+   * or fall back to a multi-image post when the PDF cannot be built.
+   */
+  async publishCarousel({ slides, title, commentary }) {
+    if (!Array.isArray(slides) || slides.length === 0) {
+      throw new Error('Carousel slides are required');
+    }
+
+    let pdf = null;
+    try {
+      pdf = await buildCarouselPdf(slides);
+    } catch (error) {
+      console.log(`   ⚠️  Carousel PDF build failed: ${error.message}`);
+    }
+
+    if (pdf) {
+      return this.publishDocument({ document: pdf, title, commentary });
+    }
+
+    console.log('   ℹ️  Carousel PDF unavailable; posting slides as a multi-image post');
+    return this.publishImages({ images: slides.slice(0, 20), commentary, altText: title });
+  }
+
+  /**
+   * Publish a video post
+   */
+  async publishVideo({ video, title, commentary }) {
+    const videoUrn = await this.uploadVideo(video);
+    const post = await this.createPost({
+      commentary,
+      content: { media: { id: videoUrn, title: title || '' } }
+    });
+    return { ...post, mediaType: 'video', mediaUrns: [videoUrn] };
+  }
+}
+
+function getLinkedInPublisher() {
+  const accessToken = process.env.LINKEDIN_ACCESS_TOKEN;
+  const authorUrn = process.env.LINKEDIN_AUTHOR_URN;
+
+  if (!accessToken || !authorUrn) {
+    throw new Error('LinkedIn env vars missing. Set LINKEDIN_ACCESS_TOKEN and LINKEDIN_AUTHOR_URN.');
+  }
+
+  return new LinkedInPublisher({
+    accessToken,
+    authorUrn,
+    apiVersion: process.env.LINKEDIN_API_VERSION,
+    baseUrl: process.env.LINKEDIN_API_BASE_URL
+  });
+}
+
+module.exports = {
+  LinkedInPublisher,
+  getLinkedInPublisher,
+  buildCarouselPdf,
+  escapeLittleText
+};
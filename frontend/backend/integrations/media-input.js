@@ -0,0 +1,49 @@
+/**
+ * Media input helpers shared by the social publishers.
+ */
+
+const fs = require('fs');
+
+/**
+ * Read a media input (Buffer, local path or http(s) URL) into a Buffer.
+ * @param {string|Buffer} input
+ * @returns {Promise<Buffer>}
+ */
+async function readMedia(input) {
+  if (Buffer.isBuffer(input)) return input;
+  if (typeof input !== 'string' || !input.trim()) {
+    throw new Error('Media input must be a Buffer, file path or URL');
+  }
+
+  if (/^https?:\/\//i.test(input)) {
+    const response = await fetch(input);
+    if (!response.ok) {
+      throw new Error(`Failed to download media (${response.status}): ${input}`);
+    }
+    return Buffer.from(await response.arrayBuffer());
+  }
+
+  if (!fs.existsSync(input)) {
+    throw new Error(`Media file not found: ${input}`);
+  }
+  return fs.readFileSync(input);
+}
+
+/**
+ * Detect an image MIME type from its leading bytes (PNG/JPEG/WebP/GIF).
+ * @param {Buffer} buffer
+ * @returns {string|null}
+ */
+function detectImageMimeType(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null;
+  if (buffer[0] === 0x89 && buffer.toString('ascii', 1, 4) === 'PNG') return 'image/png';
+  if (buffer[0] === 0xff && buffer[1] === 0xd8) return 'image/jpeg';
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'image/webp';
+  if (buffer.toString('ascii', 0, 3) === 'GIF') return 'image/gif';
+  return null;
+}
+
+module.exports = {
+  readMedia,
+  detectImageMimeType
+};
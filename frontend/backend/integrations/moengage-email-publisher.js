@@ -1,6 +1,26 @@
-const fs = require('fs');
 const path = require('path');
 const { getMoengageClient } = require('./moengage-client');
+const StateStore = require('../core/state-store');
+
+/**
+ * Email Campaign API schedule for a send schedule (core/newsletter-campaigns.js parseSendSchedule)
+ * @param {Object} [schedule] - { type: 'immediate' | 'fixed_time' | 'best_time', sendAt, date, fallbackTime, timeZone }
+ */
+function toCampaignSchedule(schedule) {
+  switch (schedule?.type) {
+    case 'fixed_time':
+      return { type: 'fixed_time', send_time: schedule.sendAt, timezone: schedule.timeZone };
+    case 'best_time':
+      return {
+        type: 'best_time',
+        send_date: schedule.date,
+        timezone: schedule.timeZone,
+        ...(schedule.fallbackTime ? { fallback_time: schedule.fallbackTime } : {})
+      };
+    default:
+      return { type: 'immediate' };
+  }
+}
 
 class MoengageEmailPublisher {
   constructor() {
@@ -17,16 +37,11 @@ class MoengageEmailPublisher {
    * If a topic is provided, prefer entries matching that topic.
    */
   loadLatestNewsletter(topic) {
-    const statePath = path.join(__dirname, '..', 'data', 'workflow-state.json');
-    if (!fs.existsSync(statePath)) {
-      return null;
-    }
-
-    const state = JSON.parse(fs.readFileSync(statePath, 'utf8'));
-    const records = Object.values(state.content || {});
+    const store = StateStore.open(path.join(__dirname, '..', 'data'));
+    const records = Object.values(store.getAll('content'));
 
     const sorted = records
-      .filter((r) => r.contentType === 'email-newsletter')
+      .filter((r) => r.contentType === 'email-newsletter' && !r.variantOf)
       .sort((a, b) => new Date(b.completedAt).getTime() - new Date(a.completedAt).getTime());
 
     if (!sorted.length) return null;
@@ -78,6 +93,7 @@ class MoengageEmailPublisher {
    * @param {string} options.fromName - Sender name (defaults to MOENGAGE_DEFAULT_SENDER_NAME)
    * @param {string} options.testEmail - Test email address (optional, for testing)
    * @param {boolean} options.testOnly - If true, only send test email, don't create campaign
+   * @param {Object} options.schedule - Send schedule (default: immediately)
    * @returns {Promise<Object>} Campaign creation/test result
    */
   async publishNewsletterToSegment(newsletter, options = {}) {
@@ -93,31 +109,13 @@ class MoengageEmailPublisher {
 
     // First, create an email template (or use existing template ID if provided)
     // For now, we'll create a campaign with inline HTML content
-    const campaignName = `newsletter-${newsletter.topic || 'campaign'}-${Date.now()}`;
-
-    const campaignConfig = {
-      name: campaignName,
-      delivery_type: 'scheduled',
-      schedule: {
-        type: 'immediate'
-      },
-      target_audience: {
-        segment_id: segmentId
-      },
-      from_name: fromName,
-      from_email: fromEmail,
-      reply_to: fromEmail,
-      subject: newsletter.subject,
-      html_content: newsletter.html,
-      plain_text_content: newsletter.plainText || '',
-      preheader: newsletter.preheader || '',
-      metadata: {
-        topic: newsletter.topic || '',
-        source: 'social-media-automation',
-        campaignType: 'email-newsletter',
-        created_at: new Date().toISOString()
-      }
-    };
+    const campaignConfig = this._buildCampaignConfig(newsletter, {
+      name: `newsletter-${newsletter.topic || 'campaign'}-${Date.now()}`,
+      segmentId,
+      fromEmail,
+      fromName,
+      schedule: options.schedule
+    });
 
     try {
       if (testOnly && testEmail) {
@@ -169,6 +167,130 @@ class MoengageEmailPublisher {
     }
   }
 
+  /**
+   * Email Campaign API payload for a newsletter
+   * @private
+   * @param {Object} newsletter - Newsletter content (html, subject, preheader, plainText, topic)
+   * @param {Object} target - { name, segmentId, fromEmail, fromName, audiencePercentage, schedule, draft, metadata }
+   */
+  _buildCampaignConfig(newsletter, target) {
+    return {
+      name: target.name,
+      delivery_type: 'scheduled',
+      schedule: toCampaignSchedule(target.schedule),
+      ...(target.draft ? { status: 'draft' } : {}),
+      target_audience: {
+        segment_id: target.segmentId,
+        ...(target.audiencePercentage != null ? { audience_percentage: target.audiencePercentage } : {})
+      },
+      from_name: target.fromName,
+      from_email: target.fromEmail,
+      reply_to: target.fromEmail,
+      subject: newsletter.subject,
+      html_content: newsletter.html,
+      plain_text_content: newsletter.plainText || '',
+      preheader: newsletter.preheader || '',
+      metadata: {
+        topic: newsletter.topic || '',
+        source: 'social-media-automation',
+        campaignType: 'email-newsletter',
+        ...target.metadata,
+        created_at: new Date().toISOString()
+      }
+    };
+  }
+
+  /**
+   * Send A/B newsletter variants to one segment: one email campaign per variant, each on its
+   * share of the segment and tagged with the test id and variant key for reporting
+   * @param {Array<{key: string, percentage: number, newsletter: Object}>} variants
+   * @param {Object} options
+   * @param {string} options.testId - A/B test id (core/ab-testing.js)
+   * @param {string} options.segmentId - MoEngage segment ID (defaults to MOENGAGE_DEFAULT_SEGMENT_ID)
+   * @returns {Promise<Array<{key: string, percentage: number, campaignId: string}>>}
+   */
+  async publishNewsletterSplitTest(variants, options = {}) {
+    const segmentId = options.segmentId || this.defaultSegmentId;
+    const launched = [];
+    for (const { key, percentage, newsletter } of variants) {
+      if (!newsletter?.html || !newsletter?.subject) {
+        throw new Error(`Newsletter variant ${key} missing html or subject`);
+      }
+      console.log(`   📧 Creating variant ${key} campaign for ${percentage}% of segment ${segmentId} (subject: ${newsletter.subject})...`);
+      try {
+        const campaign = await this.client.createEmailCampaign(this._buildCampaignConfig(newsletter, {
+          name: `newsletter-${newsletter.topic || 'campaign'}-${options.testId}-${key}`,
+          segmentId,
+          fromEmail: this.defaultSenderEmail,
+          fromName: this.defaultSenderName,
+          audiencePercentage: percentage,
+          metadata: { abTestId: options.testId, variantKey: key }
+        }));
+        launched.push({ key, percentage, campaignId: campaign.id || campaign.campaign_id });
+      } catch (error) {
+        const created = launched.map((v) => `${v.key}: ${v.campaignId}`).join(', ');
+        throw new Error(`Failed to create newsletter variant ${key}: ${error.message}${created ? ` (already created ${created})` : ''}`);
+      }
+    }
+    return launched;
+  }
+
+  /**
+   * Create one draft email campaign per segment for a newsletter. Nothing is sent until
+   * launchCampaign(); test sends go through sendTestEmail().
+   * @param {Object} newsletter - Newsletter content (html, subject, preheader, plainText, topic)
+   * @param {Object} options
+   * @param {Array<{segmentId: string, audience: string|null}>} options.segments
+   * @param {Object} options.schedule - Send schedule applied at launch
+   * @param {string} options.campaignId - Newsletter campaign id (core/newsletter-campaigns.js), for naming and reporting
+   * @returns {Promise<Array<{segmentId: string, audience: string|null, moengageCampaignId: string}>>}
+   */
+  async createNewsletterDrafts(newsletter, { segments, schedule, campaignId }) {
+    if (!newsletter?.html || !newsletter?.subject) {
+      throw new Error('Newsletter payload missing html or subject');
+    }
+    const created = [];
+    for (const { segmentId, audience } of segments) {
+      console.log(`   📧 Creating draft campaign for segment ${segmentId}${audience ? ` (${audience})` : ''}...`);
+      try {
+        const campaign = await this.client.createEmailCampaign(this._buildCampaignConfig(newsletter, {
+          name: `newsletter-${newsletter.topic || 'campaign'}-${campaignId}-${segmentId}`,
+          segmentId,
+          fromEmail: this.defaultSenderEmail,
+          fromName: this.defaultSenderName,
+          schedule,
+          draft: true,
+          metadata: { newsletterCampaignId: campaignId, audience: audience || '' }
+        }));
+        created.push({ segmentId, audience, moengageCampaignId: campaign.id || campaign.campaign_id });
+      } catch (error) {
+        const done = created.map((c) => `${c.segmentId}: ${c.moengageCampaignId}`).join(', ');
+        throw new Error(`Failed to create campaign for segment ${segmentId}: ${error.message}${done ? ` (already created ${done})` : ''}`);
+      }
+    }
+    return created;
+  }
+
+  /**
+   * Send a campaign's email to test addresses
+   * @param {string} campaignId - MoEngage campaign ID
+   * @param {string[]} [testEmails] - Defaults to MOENGAGE_DEFAULT_TEST_EMAIL
+   * @returns {Promise<string[]>} The addresses it was sent to
+   */
+  async sendTestEmail(campaignId, testEmails = []) {
+    const recipients = testEmails.length > 0 ? testEmails : [this.defaultTestEmail];
+    await this.client.testEmailCampaign(campaignId, { test_emails: recipients });
+    return recipients;
+  }
+
+  /**
+   * Take a draft campaign live; MoEngage sends it on the schedule it was created with
+   * @param {string} campaignId - MoEngage campaign ID
+   */
+  async launchCampaign(campaignId) {
+    return this.client.updateEmailCampaign(campaignId, { status: 'active' });
+  }
+
   /**
    * Send email newsletter to a specific user (for testing)
    * @param {Object} newsletter - Newsletter content
@@ -187,6 +309,7 @@ class MoengageEmailPublisher {
   /**
    * Push a WhatsApp creative event to MoEngage Data API.
    * MoEngage/Interakt journey should map this event to an actual WhatsApp send.
+   * A/B variants also carry abTestId, variantKey and audiencePercentage for the journey's split.
    */
   async publishWhatsAppCreative(input) {
     if (!input?.creativeUrl) {
@@ -205,7 +328,12 @@ class MoengageEmailPublisher {
             creativeUrl: input.creativeUrl,
             cta: input.cta || '',
             source: 'social-media-automation',
-            channel: 'whatsapp'
+            channel: 'whatsapp',
+            ...(input.abTestId ? {
+              abTestId: input.abTestId,
+              variantKey: input.variantKey,
+              audiencePercentage: input.audiencePercentage
+            } : {})
           }
         }
       ]
@@ -221,5 +349,6 @@ function getMoengageEmailPublisher() {
 
 module.exports = {
   MoengageEmailPublisher,
-  getMoengageEmailPublisher
+  getMoengageEmailPublisher,
+  toCampaignSchedule
 };
@@ -0,0 +1,265 @@
+/**
+ * Twitter/X Publisher
+ *
+ * Posts a Stage 2 thread (contentPack.platforms.twitter.thread.tweets) through the
+ * X API v2 as a chain of replies, with optional Stage 3 images attached to specific
+ * tweets. Requires an OAuth 2.0 user-context token with tweet.write, users.read and
+ * media.write scopes.
+ *
+ * Tweets are measured with X's weighted length (URLs count 23, CJK/emoji count 2) and
+ * overlong tweets are re-split before posting, so a thread never fails half-way on a
+ * 403 "Tweet too long".
+ */
+
+const { readMedia, detectImageMimeType } = require('./media-input');
+
+const MAX_TWEET_LENGTH = 280;
+const MAX_IMAGES_PER_TWEET = 4;
+const URL_WEIGHT = 23;
+const URL_PATTERN = /https?:\/\/[^\s]+/gi;
+
+/**
+ * Weighted tweet length, following X's counting rules.
+ * Code points in Latin/Indic and general punctuation ranges weigh 1, everything else
+ * (CJK, emoji) weighs 2; every URL weighs 23 regardless of length.
+ * @param {string} text
+ * @returns {number}
+ */
+function tweetLength(text) {
+  const value = String(text || '');
+  let length = 0;
+  let lastIndex = 0;
+
+  for (const match of value.matchAll(URL_PATTERN)) {
+    length += weighCodePoints(value.slice(lastIndex, match.index)) + URL_WEIGHT;
+    lastIndex = match.index + match[0].length;
+  }
+
+  return length + weighCodePoints(value.slice(lastIndex));
+}
+
+function weighCodePoints(text) {
+  let length = 0;
+  for (const ch of text.normalize('NFC')) {
+    const cp = ch.codePointAt(0);
+    const light = cp <= 4351 ||
+      (cp >= 8192 && cp <= 8205) ||
+      (cp >= 8208 && cp <= 8223) ||
+      (cp >= 8242 && cp <= 8247);
+    length += light ? 1 : 2;
+  }
+  return length;
+}
+
+/**
+ * Split an overlong tweet into parts that fit the limit, breaking at sentence
+ * boundaries first, then words, then characters.
+ * @param {string} text
+ * @param {number} [limit]
+ * @returns {string[]}
+ */
+function splitTweet(text, limit = MAX_TWEET_LENGTH) {
+  const value = String(text || '').trim();
+  if (!value) return [];
+  if (tweetLength(value) <= limit) return [value];
+
+  const pieces = [];
+  let current = '';
+  const flush = () => {
+    if (current.trim()) pieces.push(current.trim());
+    current = '';
+  };
+  const append = (unit, joiner = ' ') => {
+    const candidate = current ? `${current}${joiner}${unit}` : unit;
+    if (tweetLength(candidate) > limit) return false;
+    current = candidate;
+    return true;
+  };
+
+  // Sentence ends only where punctuation is followed by whitespace, so "3.5%" stays intact
+  const sentences = value.split(/(?<=[.!?।])\s+|\n+/).map((s) => s.trim()).filter(Boolean);
+  for (const sentence of sentences) {
+    if (append(sentence)) continue;
+    flush();
+    if (append(sentence)) continue;
+
+    for (const word of sentence.split(/\s+/)) {
+      if (append(word)) continue;
+      flush();
+      if (append(word)) continue;
+
+      // A single word longer than the limit: hard-cut by characters
+      for (const ch of word) {
+        if (!append(ch, '')) {
+          flush();
+          current = ch;
+        }
+      }
+    }
+  }
+  flush();
+
+  return pieces;
+}
+
+/**
+ * Re-split a generated thread so every tweet fits, keeping track of which original
+ * tweet each part came from (images follow the first part of their source tweet).
+ * @param {string[]} tweets
+ * @param {number} [limit]
+ * @returns {Array<{ text: string, sourceIndex: number }>}
+ */
+function prepareThread(tweets, limit = MAX_TWEET_LENGTH) {
+  const prepared = [];
+  (tweets || []).forEach((tweet, sourceIndex) => {
+    for (const text of splitTweet(tweet, limit)) {
+      prepared.push({ text, sourceIndex });
+    }
+  });
+  return prepared;
+}
+
+class TwitterPublisher {
+  constructor(options = {}) {
+    this.accessToken = options.accessToken;
+    this.baseUrl = (options.baseUrl || 'https://api.x.com').replace(/\/$/, '');
+  }
+
+  _assertConfig() {
+    if (!this.accessToken) {
+      throw new Error('Twitter/X credentials are missing (accessToken)');
+    }
+  }
+
+  async _request(pathname, { body, form, method = 'POST' } = {}) {
+    this._assertConfig();
+
+    const headers = { Authorization: `Bearer ${this.accessToken}` };
+    if (body) headers['Content-Type'] = 'application/json';
+
+    const response = await fetch(`${this.baseUrl}${pathname}`, {
+      method,
+      headers,
+      ...(method === 'GET' ? {} : { body: form || JSON.stringify(body) })
+    });
+
+    const responseText = await response.text();
+    if (!response.ok) {
+      throw new Error(`X API error (${response.status}): ${responseText}`);
+    }
+    return responseText ? JSON.parse(responseText) : {};
+  }
+
+  /**
+   * Upload an image via the v2 media endpoint and return its media id
+   * @param {string|Buffer} image - Local path, URL or buffer
+   * @returns {Promise<string>}
+   */
+  async uploadImage(image) {
+    const buffer = await readMedia(image);
+    const mimeType = detectImageMimeType(buffer) || 'image/png';
+
+    const form = new FormData();
+    form.append('media', new Blob([buffer], { type: mimeType }), 'image');
+    form.append('media_category', 'tweet_image');
+    form.append('media_type', mimeType);
+
+    const data = await this._request('/2/media/upload', { form });
+    const mediaId = data.data?.id || data.media_id_string;
+    if (!mediaId) {
+      throw new Error('X media upload failed: No media id in response');
+    }
+    return mediaId;
+  }
+
+  /**
+   * Post a single tweet, optionally as a reply and with media
+   * @returns {Promise<string>} Tweet id
+   */
+  async postTweet({ text, replyToId, mediaIds }) {
+    const body = { text };
+    if (replyToId) body.reply = { in_reply_to_tweet_id: replyToId };
+    if (mediaIds && mediaIds.length > 0) body.media = { media_ids: mediaIds.slice(0, MAX_IMAGES_PER_TWEET) };
+
+    const data = await this._request('/2/tweets', { body });
+    if (!data.data?.id) {
+      throw new Error('X tweet creation failed: No id in response');
+    }
+    return data.data.id;
+  }
+
+  /**
+   * Post a thread as a reply chain, starting at `startIndex` (for resuming)
+   * @param {Object} params
+   * @param {Array<{ text: string, images?: Array<string|Buffer> }>} params.tweets - Already within the length limit
+   * @param {number} [params.startIndex] - First tweet to post
+   * @param {string} [params.replyToId] - Tweet to reply to when resuming
+   * @param {Function} [params.onTweetPosted] - Called with (index, tweetId) after each tweet
+   * @returns {Promise<{ tweetIds: string[] }>} Ids of the tweets posted by this call
+   */
+  async publishThread({ tweets, startIndex = 0, replyToId = null, onTweetPosted }) {
+    const tweetIds = [];
+    let previousId = replyToId;
+
+    for (let index = startIndex; index < tweets.length; index++) {
+      const tweet = tweets[index];
+      if (tweetLength(tweet.text) > MAX_TWEET_LENGTH) {
+        throw new Error(`Tweet ${index + 1} exceeds ${MAX_TWEET_LENGTH} characters`);
+      }
+
+      const mediaIds = [];
+      for (const image of (tweet.images || []).slice(0, MAX_IMAGES_PER_TWEET)) {
+        mediaIds.push(await this.uploadImage(image));
+      }
+
+      previousId = await this.postTweet({ text: tweet.text, replyToId: previousId, mediaIds });
+      tweetIds.push(previousId);
+      console.log(`   🐦 Posted tweet ${index + 1}/${tweets.length}${mediaIds.length ? ` (+${mediaIds.length} image${mediaIds.length > 1 ? 's' : ''})` : ''}`);
+      if (onTweetPosted) await onTweetPosted(index, previousId);
+    }
+
+    return { tweetIds };
+  }
+
+  /**
+   * Public metrics of a thread, summed over its tweets (up to 100 ids)
+   * @param {string[]} tweetIds
+   * @returns {Promise<Object>} { impressions, likes, comments, shares, saves }
+   */
+  async getThreadMetrics(tweetIds) {
+    const ids = (tweetIds || []).filter(Boolean).slice(0, 100);
+    if (ids.length === 0) return {};
+    const data = await this._request(`/2/tweets?ids=${ids.join(',')}&tweet.fields=public_metrics`, { method: 'GET' });
+    const sum = (key) => (data.data || []).reduce((total, tweet) => total + (Number(tweet.public_metrics?.[key]) || 0), 0);
+    return {
+      impressions: sum('impression_count'),
+      likes: sum('like_count'),
+      comments: sum('reply_count'),
+      shares: sum('retweet_count') + sum('quote_count'),
+      saves: sum('bookmark_count')
+    };
+  }
+}
+
+function getTwitterPublisher() {
+  const accessToken = process.env.TWITTER_ACCESS_TOKEN;
+
+  if (!accessToken) {
+    throw new Error('Twitter/X env vars missing. Set TWITTER_ACCESS_TOKEN (OAuth 2.0 user token with tweet.write and media.write).');
+  }
+
+  return new TwitterPublisher({
+    accessToken,
+    baseUrl: process.env.TWITTER_API_BASE_URL
+  });
+}
+
+module.exports = {
+  TwitterPublisher,
+  getTwitterPublisher,
+  tweetLength,
+  splitTweet,
+  prepareThread,
+  MAX_TWEET_LENGTH,
+  MAX_IMAGES_PER_TWEET
+};
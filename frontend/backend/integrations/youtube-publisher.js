@@ -0,0 +1,516 @@
+/**
+ * YouTube Publisher
+ *
+ * Uploads Stage 4 videos through the YouTube Data API v3 using resumable upload
+ * sessions: the session URI is created once, the file is sent in chunks, and after a
+ * network error or 5xx the uploader asks YouTube how many bytes it has and continues
+ * from there. Session URIs stay valid for about a week, so callers can persist them
+ * and resume an interrupted upload from a later run.
+ *
+ * Vertical (9:16) videos of 60s or less are published as Shorts.
+ */
+
+const { readMedia, detectImageMimeType } = require('./media-input');
+
+// Chunks must be a multiple of 256 KiB (except the last one)
+const UPLOAD_CHUNK_SIZE = 8 * 1024 * 1024;
+const SHORTS_MAX_DURATION_SECONDS = 60;
+const MAX_TITLE_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 5000;
+const MAX_TAGS_LENGTH = 500;
+const MAX_THUMBNAIL_BYTES = 2 * 1024 * 1024;
+
+// Backend language codes → BCP-47 codes for snippet.defaultLanguage
+const LANGUAGE_CODES = {
+  english: 'en',
+  hindi: 'hi',
+  bengali: 'bn',
+  telugu: 'te',
+  marathi: 'mr',
+  tamil: 'ta',
+  gujarati: 'gu',
+  kannada: 'kn',
+  malayalam: 'ml',
+  punjabi: 'pa',
+  urdu: 'ur',
+  odia: 'or',
+  assamese: 'as'
+};
+
+/**
+ * Read duration and frame size from an MP4/MOV buffer (mvhd + first video tkhd box).
+ * Returns null when the buffer is not an ISO BMFF file.
+ * @param {Buffer} buffer
+ * @returns {{ durationSeconds: number|null, width: number|null, height: number|null }|null}
+ */
+function probeMp4(buffer) {
+  const containers = new Set(['moov', 'trak']);
+  const result = { durationSeconds: null, width: null, height: null };
+  let found = false;
+
+  const walk = (start, end) => {
+    let offset = start;
+    while (offset + 8 <= end) {
+      let size = buffer.readUInt32BE(offset);
+      const type = buffer.toString('ascii', offset + 4, offset + 8);
+      let headerSize = 8;
+      if (size === 1) {
+        if (offset + 16 > end) return;
+        size = Number(buffer.readBigUInt64BE(offset + 8));
+        headerSize = 16;
+      } else if (size === 0) {
+        size = end - offset;
+      }
+      if (size < headerSize || offset + size > end) return;
+
+      const body = offset + headerSize;
+      if (containers.has(type)) {
+        found = true;
+        walk(body, offset + size);
+      } else if (type === 'mvhd') {
+        const version = buffer[body];
+        const timescale = buffer.readUInt32BE(body + (version === 1 ? 20 : 12));
+        const duration = version === 1
+          ? Number(buffer.readBigUInt64BE(body + 24))
+          : buffer.readUInt32BE(body + 16);
+        if (timescale > 0) result.durationSeconds = duration / timescale;
+      } else if (type === 'tkhd' && result.width === null) {
+        const version = buffer[body];
+        const dimsOffset = body + (version === 1 ? 88 : 76);
+        const width = buffer.readUInt32BE(dimsOffset) / 65536;
+        const height = buffer.readUInt32BE(dimsOffset + 4) / 65536;
+        // Audio tracks report 0x0
+        if (width > 0 && height > 0) {
+          result.width = width;
+          result.height = height;
+        }
+      }
+      offset += size;
+    }
+  };
+
+  if (!Buffer.isBuffer(buffer) || buffer.length < 8) return null;
+  try {
+    walk(0, buffer.length);
+  } catch {
+    // Truncated box: keep whatever was read before it
+  }
+  return found ? result : null;
+}
+
+/**
+ * Decide whether a video qualifies as a YouTube Short (vertical and at most 60s).
+ * @param {Object} params
+ * @param {number} [params.width]
+ * @param {number} [params.height]
+ * @param {string} [params.aspectRatio] - Fallback when frame size is unknown, e.g. '9:16'
+ * @param {number} [params.durationSeconds]
+ * @returns {boolean}
+ */
+function isShortsVideo({ width, height, aspectRatio, durationSeconds }) {
+  const duration = Number(durationSeconds);
+  if (!Number.isFinite(duration) || duration <= 0 || duration > SHORTS_MAX_DURATION_SECONDS) {
+    return false;
+  }
+  if (width > 0 && height > 0) {
+    return Math.abs(width / height - 9 / 16) < 0.02;
+  }
+  return String(aspectRatio || '').replace(/\s/g, '') === '9:16';
+}
+
+/**
+ * Normalize hashtags/keywords into YouTube tags within the 500-character budget.
+ * @param {string[]} values
+ * @returns {string[]}
+ */
+function buildTags(values) {
+  const tags = [];
+  const seen = new Set();
+  let used = 0;
+
+  for (const value of values || []) {
+    const tag = String(value || '').replace(/^#/, '').replace(/[<>,]/g, '').trim();
+    const key = tag.toLowerCase();
+    if (!tag || seen.has(key)) continue;
+    // YouTube counts separating commas and wraps tags containing spaces in quotes
+    const cost = tag.length + (tags.length > 0 ? 1 : 0) + (tag.includes(' ') ? 2 : 0);
+    if (used + cost > MAX_TAGS_LENGTH) break;
+    seen.add(key);
+    tags.push(tag);
+    used += cost;
+  }
+
+  return tags;
+}
+
+class YouTubePublisher {
+  constructor(options = {}) {
+    this.accessToken = options.accessToken || null;
+    this.clientId = options.clientId;
+    this.clientSecret = options.clientSecret;
+    this.refreshToken = options.refreshToken;
+    this.tokenUrl = options.tokenUrl || 'https://oauth2.googleapis.com/token';
+    this.baseUrl = (options.baseUrl || 'https://www.googleapis.com').replace(/\/$/, '');
+    this.privacyStatus = options.privacyStatus || 'public';
+    this.chunkSize = options.chunkSize || UPLOAD_CHUNK_SIZE;
+    this.maxRetries = options.maxRetries ?? 5;
+    this.retryDelayMs = options.retryDelayMs ?? 1000;
+    this.tokenExpiresAt = 0;
+  }
+
+  /**
+   * Return a valid OAuth access token, refreshing it when a refresh token is configured.
+   */
+  async getAccessToken() {
+    const canRefresh = this.clientId && this.clientSecret && this.refreshToken;
+    if (this.accessToken && (!canRefresh || Date.now() < this.tokenExpiresAt - 60000)) {
+      return this.accessToken;
+    }
+    if (!canRefresh) {
+      throw new Error('YouTube credentials are missing (accessToken or clientId/clientSecret/refreshToken)');
+    }
+
+    const response = await fetch(this.tokenUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        client_id: this.clientId,
+        client_secret: this.clientSecret,
+        refresh_token: this.refreshToken,
+        grant_type: 'refresh_token'
+      })
+    });
+
+    if (!response.ok) {
+      const text = await response.text();
+      throw new Error(`YouTube OAuth error (${response.status}): ${text}`);
+    }
+
+    const data = await response.json();
+    this.accessToken = data.access_token;
+    this.tokenExpiresAt = Date.now() + (Number(data.expires_in) || 3600) * 1000;
+    return this.accessToken;
+  }
+
+  async _authHeaders(extra = {}) {
+    return { Authorization: `Bearer ${await this.getAccessToken()}`, ...extra };
+  }
+
+  /**
+   * Start a resumable upload session and return its session URI
+   * @param {Object} params
+   * @param {Object} params.resource - Video resource ({ snippet, status })
+   * @param {number} params.size - Total bytes
+   * @param {string} [params.contentType]
+   * @returns {Promise<string>}
+   */
+  async createUploadSession({ resource, size, contentType = 'video/mp4' }) {
+    const url = `${this.baseUrl}/upload/youtube/v3/videos?uploadType=resumable&part=snippet,status`;
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: await this._authHeaders({
+        'Content-Type': 'application/json; charset=UTF-8',
+        'X-Upload-Content-Length': String(size),
+        'X-Upload-Content-Type': contentType
+      }),
+      body: JSON.stringify(resource)
+    });
+
+    if (!response.ok) {
+      const text = await response.text();
+      throw new Error(`YouTube API error (${response.status}): ${text}`);
+    }
+
+    const sessionUri = response.headers.get('location');
+    if (!sessionUri) {
+      throw new Error('YouTube upload session failed: No Location header in response');
+    }
+    return sessionUri;
+  }
+
+  /**
+   * Ask YouTube how much of a resumable upload it already has.
+   * @returns {Promise<{ offset: number, video?: Object }>} video is set when the upload already completed
+   */
+  async getUploadStatus(sessionUri, size) {
+    const response = await fetch(sessionUri, {
+      method: 'PUT',
+      headers: await this._authHeaders({ 'Content-Range': `bytes */${size}`, 'Content-Length': '0' })
+    });
+
+    if (response.status === 200 || response.status === 201) {
+      return { offset: size, video: await response.json() };
+    }
+    if (response.status === 308) {
+      return { offset: parseRangeEnd(response.headers.get('range')) };
+    }
+
+    const text = await response.text();
+    const error = new Error(`YouTube upload status error (${response.status}): ${text}`);
+    error.sessionExpired = response.status === 404 || response.status === 410;
+    throw error;
+  }
+
+  /**
+   * Upload a video buffer through a resumable session, resuming after interruptions.
+   * @param {Object} params
+   * @param {Buffer} params.buffer
+   * @param {Object} params.resource - Video resource ({ snippet, status })
+   * @param {string} [params.sessionUri] - Existing session to resume
+   * @param {Function} [params.onSession] - Called with the session URI once it is known (for persistence)
+   * @param {Function} [params.onProgress] - Called with (uploadedBytes, totalBytes)
+   * @returns {Promise<Object>} YouTube video resource
+   */
+  async uploadResumable({ buffer, resource, sessionUri, onSession, onProgress, contentType = 'video/mp4' }) {
+    const size = buffer.length;
+    let offset = 0;
+    let session = sessionUri || null;
+
+    if (session) {
+      try {
+        const status = await this.getUploadStatus(session, size);
+        if (status.video) return status.video;
+        offset = status.offset;
+        console.log(`   ↩️  Resuming YouTube upload at ${Math.round((offset / size) * 100)}%`);
+      } catch (error) {
+        if (!error.sessionExpired) throw error;
+        console.log('   ⚠️  Previous YouTube upload session expired; starting a new one');
+        session = null;
+      }
+    }
+
+    if (!session) {
+      session = await this.createUploadSession({ resource, size, contentType });
+      if (onSession) await onSession(session);
+    }
+
+    let retries = 0;
+    while (true) {
+      const end = Math.min(offset + this.chunkSize, size);
+      try {
+        const response = await fetch(session, {
+          method: 'PUT',
+          headers: await this._authHeaders({
+            'Content-Length': String(end - offset),
+            'Content-Range': `bytes ${offset}-${end - 1}/${size}`
+          }),
+          body: buffer.subarray(offset, end)
+        });
+
+        if (response.status === 200 || response.status === 201) {
+          if (onProgress) onProgress(size, size);
+          return await response.json();
+        }
+        if (response.status === 308) {
+          offset = parseRangeEnd(response.headers.get('range'));
+          retries = 0;
+          if (onProgress) onProgress(offset, size);
+          continue;
+        }
+
+        const text = await response.text();
+        const error = new Error(`YouTube upload error (${response.status}): ${text}`);
+        error.retryable = response.status >= 500 || response.status === 429;
+        throw error;
+      } catch (error) {
+        // fetch() rejects with a TypeError on network failures
+        const retryable = error.retryable || error instanceof TypeError;
+        if (!retryable || retries >= this.maxRetries) throw error;
+
+        retries++;
+        const delay = this.retryDelayMs * 2 ** (retries - 1);
+        console.log(`   ⚠️  YouTube upload interrupted (${error.message}); retry ${retries}/${this.maxRetries} in ${delay}ms`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+
+        const status = await this.getUploadStatus(session, size);
+        if (status.video) return status.video;
+        offset = status.offset;
+      }
+    }
+  }
+
+  /**
+   * Set a custom thumbnail (JPEG/PNG, max 2MB; requires a verified channel)
+   * @param {string} videoId
+   * @param {string|Buffer} image - Local path, URL or buffer
+   */
+  async setThumbnail(videoId, image) {
+    const buffer = await readMedia(image);
+    if (buffer.length > MAX_THUMBNAIL_BYTES) {
+      throw new Error(`Thumbnail is ${Math.round(buffer.length / 1024)}KB; YouTube allows at most 2MB`);
+    }
+
+    const url = `${this.baseUrl}/upload/youtube/v3/thumbnails/set?videoId=${encodeURIComponent(videoId)}&uploadType=media`;
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: await this._authHeaders({ 'Content-Type': detectImageMimeType(buffer) || 'image/png' }),
+      body: buffer
+    });
+
+    if (!response.ok) {
+      const text = await response.text();
+      throw new Error(`YouTube API error (${response.status}): ${text}`);
+    }
+    return await response.json();
+  }
+
+  /**
+   * Upload a video with metadata and optional thumbnail
+   * @param {Object} params
+   * @param {string|Buffer} params.video - Local path, URL or buffer
+   * @param {string} params.title
+   * @param {string} [params.description]
+   * @param {string[]} [params.tags]
+   * @param {string} [params.language] - Backend language name (english, hindi…) or BCP-47 code
+   * @param {string|Buffer} [params.thumbnail]
+   * @param {string} [params.aspectRatio] - Used for Shorts detection when the file cannot be probed
+   * @param {number} [params.durationSeconds] - Used for Shorts detection when the file cannot be probed
+   * @param {string} [params.categoryId] - Defaults to 27 (Education)
+   * @param {string} [params.privacyStatus] - public | unlisted | private
+   * @param {string} [params.sessionUri] - Resume an earlier upload session
+   * @param {Function} [params.onSession]
+   */
+  async publishVideo(params) {
+    const buffer = await readMedia(params.video);
+    const probe = probeMp4(buffer);
+    const isShort = isShortsVideo({
+      width: probe?.width,
+      height: probe?.height,
+      aspectRatio: params.aspectRatio,
+      durationSeconds: probe?.durationSeconds ?? params.durationSeconds
+    });
+
+    const clean = (text) => String(text || '').replace(/[<>]/g, '').trim();
+    let title = clean(params.title) || 'PL Capital';
+    let description = clean(params.description);
+    if (isShort) {
+      if (!/#shorts\b/i.test(title) && title.length + ' #Shorts'.length <= MAX_TITLE_LENGTH) {
+        title = `${title} #Shorts`;
+      }
+      if (!/#shorts\b/i.test(description)) {
+        description = `${description}\n\n#Shorts`.trim();
+      }
+    }
+
+    const language = LANGUAGE_CODES[params.language] || params.language || 'en';
+    const resource = {
+      snippet: {
+        title: title.slice(0, MAX_TITLE_LENGTH),
+        description: description.slice(0, MAX_DESCRIPTION_LENGTH),
+        tags: buildTags(params.tags),
+        categoryId: params.categoryId || '27',
+        defaultLanguage: language,
+        defaultAudioLanguage: language
+      },
+      status: {
+        privacyStatus: params.privacyStatus || this.privacyStatus,
+        selfDeclaredMadeForKids: false
+      }
+    };
+
+    let lastLoggedPercent = -1;
+    const video = await this.uploadResumable({
+      buffer,
+      resource,
+      sessionUri: params.sessionUri,
+      onSession: params.onSession,
+      onProgress: (uploaded, total) => {
+        const percent = Math.floor((uploaded / total) * 100 / 25) * 25;
+        if (percent > lastLoggedPercent) {
+          lastLoggedPercent = percent;
+          console.log(`   📶 YouTube upload ${percent}%`);
+        }
+      }
+    });
+
+    if (!video?.id) {
+      throw new Error('YouTube upload failed: No video id in response');
+    }
+
+    let thumbnailSet = false;
+    let thumbnailError = null;
+    if (params.thumbnail && isShort) {
+      // Shorts pick their cover from the video frames; the API thumbnail is not shown
+      console.log('   ℹ️  Skipping custom thumbnail for Short');
+    } else if (params.thumbnail) {
+      try {
+        await this.setThumbnail(video.id, params.thumbnail);
+        thumbnailSet = true;
+      } catch (error) {
+        thumbnailError = error.message;
+        console.log(`   ⚠️  Thumbnail upload failed: ${error.message}`);
+      }
+    }
+
+    return {
+      videoId: video.id,
+      url: isShort ? `https://www.youtube.com/shorts/${video.id}` : `https://www.youtube.com/watch?v=${video.id}`,
+      isShort,
+      mediaType: isShort ? 'short' : 'video',
+      durationSeconds: probe?.durationSeconds ?? params.durationSeconds ?? null,
+      thumbnailSet,
+      thumbnailError
+    };
+  }
+
+  /**
+   * View, like and comment counts of an uploaded video (Data API statistics)
+   * @param {string} videoId
+   * @returns {Promise<Object>} { videoViews, likes, comments }
+   */
+  async getVideoMetrics(videoId) {
+    const response = await fetch(`${this.baseUrl}/youtube/v3/videos?part=statistics&id=${encodeURIComponent(videoId)}`, {
+      headers: await this._authHeaders()
+    });
+    if (!response.ok) {
+      const text = await response.text();
+      throw new Error(`YouTube API error (${response.status}): ${text}`);
+    }
+    const data = await response.json();
+    const stats = data.items?.[0]?.statistics;
+    if (!stats) throw new Error(`YouTube video not found: ${videoId}`);
+    return {
+      videoViews: Number(stats.viewCount) || 0,
+      likes: Number(stats.likeCount) || 0,
+      comments: Number(stats.commentCount) || 0
+    };
+  }
+}
+
+/**
+ * Parse the last received byte from a resumable upload Range header ("bytes=0-1048575").
+ * @returns {number} Next byte offset to send
+ */
+function parseRangeEnd(rangeHeader) {
+  const match = /bytes=\d+-(\d+)/.exec(rangeHeader || '');
+  return match ? Number(match[1]) + 1 : 0;
+}
+
+function getYouTubePublisher() {
+  const accessToken = process.env.YOUTUBE_ACCESS_TOKEN;
+  const clientId = process.env.YOUTUBE_CLIENT_ID;
+  const clientSecret = process.env.YOUTUBE_CLIENT_SECRET;
+  const refreshToken = process.env.YOUTUBE_REFRESH_TOKEN;
+
+  if (!accessToken && !(clientId && clientSecret && refreshToken)) {
+    throw new Error('YouTube env vars missing. Set YOUTUBE_CLIENT_ID, YOUTUBE_CLIENT_SECRET and YOUTUBE_REFRESH_TOKEN (or YOUTUBE_ACCESS_TOKEN).');
+  }
+
+  return new YouTubePublisher({
+    accessToken,
+    clientId,
+    clientSecret,
+    refreshToken,
+    privacyStatus: process.env.YOUTUBE_PRIVACY_STATUS,
+    baseUrl: process.env.YOUTUBE_API_BASE_URL,
+    tokenUrl: process.env.YOUTUBE_OAUTH_TOKEN_URL
+  });
+}
+
+module.exports = {
+  YouTubePublisher,
+  getYouTubePublisher,
+  probeMp4,
+  isShortsVideo,
+  buildTags
+};
@@ -3,6 +3,20 @@
 const fs = require('fs');
 const path = require('path');
 const SocialMediaOrchestrator = require('./core/orchestrator');
+const ScheduleStore = require('./core/schedule-store');
+const PublishScheduler = require('./core/publish-scheduler');
+const JobQueue = require('./core/job-queue');
+const JobWorker = require('./core/job-worker');
+const ProviderUsageStore = require('./core/provider-usage');
+const GenerationCache = require('./core/generation-cache');
+const { getCampaignType, listCampaignTypes } = require('./core/campaign-types');
+const { loadCampaignFile, runCampaignFile } = require('./core/campaign-file');
+const { runRepurpose } = require('./core/repurpose');
+const ABTestStore = require('./core/ab-testing');
+const NewsletterCampaignStore = require('./core/newsletter-campaigns');
+const CalendarStore = require('./core/content-calendar');
+const MetricsStore = require('./core/metrics-store');
+const MetricsCollector = require('./core/metrics-collector');
 
 const ENV_FILES = ['.env'];
 
@@ -118,6 +132,16 @@ function parseArgs(argv) {
       case '--auto-publish':
         options.autoPublish = true;
         break;
+      case '--carousel-renderer':
+        options.carouselRenderer = argv[i + 1];
+        i++;
+        break;
+      case '--illustrations':
+        options.slideIllustrations = true;
+        break;
+      case '--no-brand-check':
+        options.brandCheck = false;
+        break;
       case '--wait':
       case '--wait-for-completion':
         options.waitForCompletion = true;
@@ -143,6 +167,137 @@ function parseArgs(argv) {
         options.heygenAvatarGroupId = argv[i + 1];
         i++;
         break;
+      case '--tweet-images':
+        options.tweetImages = argv[i + 1];
+        i++;
+        break;
+      case '--publish-at':
+        options.publishAt = argv[i + 1];
+        i++;
+        break;
+      case '--audience':
+        options.targetAudience = argv[i + 1];
+        i++;
+        break;
+      case '--at':
+        options.at = argv[i + 1];
+        i++;
+        break;
+      case '--timezone':
+        options.timeZone = argv[i + 1];
+        i++;
+        break;
+      case '--max-attempts':
+        options.maxAttempts = parseInt(argv[i + 1], 10);
+        i++;
+        break;
+      case '--status':
+        options.status = argv[i + 1];
+        i++;
+        break;
+      case '--interval':
+        options.interval = parseInt(argv[i + 1], 10);
+        i++;
+        break;
+      case '--provider':
+        options.provider = argv[i + 1];
+        i++;
+        break;
+      case '--brand':
+        options.brandId = argv[i + 1];
+        i++;
+        break;
+      case '--no-cache':
+        options.bypassCache = true;
+        break;
+      case '--var': {
+        const [key, ...valueParts] = String(argv[i + 1] || '').split('=');
+        options.variables = { ...options.variables, [key]: valueParts.join('=') };
+        i++;
+        break;
+      }
+      case '--option': {
+        const [key, ...valueParts] = String(argv[i + 1] || '').split('=');
+        options.campaignOptions = { ...options.campaignOptions, [key]: parseOptionValue(valueParts.join('=')) };
+        i++;
+        break;
+      }
+      case '--platforms':
+        options.platforms = argv[i + 1];
+        i++;
+        break;
+      case '--campaign-id':
+        options.campaignId = argv[i + 1];
+        i++;
+        break;
+      case '--since':
+        options.since = argv[i + 1];
+        i++;
+        break;
+      case '--from':
+        options.from = argv[i + 1];
+        i++;
+        break;
+      case '--to':
+        options.to = argv[i + 1];
+        i++;
+        break;
+      case '--products':
+        options.products = argv[i + 1];
+        i++;
+        break;
+      case '--cadence':
+        options.cadence = argv[i + 1];
+        i++;
+        break;
+      case '--event':
+        options.events = [...(options.events || []), argv[i + 1]];
+        i++;
+        break;
+      case '--variants':
+        options.variants = argv[i + 1];
+        i++;
+        break;
+      case '--segment':
+        options.segmentId = argv[i + 1];
+        i++;
+        break;
+      case '--audiences':
+        options.audiences = argv[i + 1];
+        i++;
+        break;
+      case '--send-at':
+        options.sendAt = argv[i + 1];
+        i++;
+        break;
+      case '--best-time':
+        // Optional date; today when it is left out
+        if (/^\d{4}-\d{2}-\d{2}$/.test(argv[i + 1] || '')) {
+          options.bestTime = argv[i + 1];
+          i++;
+        } else {
+          options.bestTime = true;
+        }
+        break;
+      case '--test-email':
+        options.testEmails = argv[i + 1];
+        i++;
+        break;
+      case '--newsletter':
+        options.newsletterCampaignId = argv[i + 1];
+        i++;
+        break;
+      case '--reviewer':
+        options.reviewer = argv[i + 1];
+        i++;
+        break;
+      case '--comment':
+        options.comment = argv[i + 1];
+        i++;
+        break;
+      case '--exit-when-idle':
+        options.exitWhenIdle = true;
+        break;
       case '--help':
       case '-h':
         options.help = true;
@@ -162,6 +317,15 @@ function parseArgs(argv) {
   return options;
 }
 
+/**
+ * --option values: numbers and true/false are converted, everything else stays a string
+ */
+function parseOptionValue(value) {
+  if (value === 'true' || value === 'false') return value === 'true';
+  if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+  return value;
+}
+
 /**
  * Display help information
  */
@@ -178,20 +342,46 @@ function printHelp() {
   console.log('  status                 - Show campaign status');
   console.log('  campaign <type>        - Execute specific campaign');
   console.log('  stage <name>           - Execute specific workflow stage');
+  console.log('  run-file <path>        - Validate and run a campaign file (JSON, YAML or .js; --var k=v)');
+  console.log('  repurpose <id|stage>   - Platform variants of a Stage 2/3/4 record (stage: content|visuals|video)');
   console.log('  publish                - Publish ready content to platforms');
+  console.log('  variants create <id>   - A/B variants of a Stage 2 record or "content" (--variants, default 3)');
+  console.log('  variants list          - List A/B tests (--status draft|running|decided, --platform, --topic)');
+  console.log('  variants show <id>     - Show an A/B test\'s variants and metrics');
+  console.log('  variants launch <id>   - Launch a draft email/WhatsApp test as a MoEngage split test (--segment)');
+  console.log('  variants track [id]    - Pull per-variant metrics of running tests and pick winners');
+  console.log('  variants winner <id> <key> - Declare the winning variant yourself');
+  console.log('  newsletter create [id]  - Draft MoEngage campaigns for an approved newsletter and send a test (--audiences, --send-at)');
+  console.log('  newsletter list        - List newsletter campaigns (--status draft|in_review|approved|rejected|launched, --topic)');
+  console.log('  newsletter show <id>   - Show a newsletter campaign\'s segments, schedule and review history');
+  console.log('  newsletter test <id>   - Send another test email (--test-email) and reopen the review');
+  console.log('  newsletter approve|reject <id> - Review a tested campaign (--reviewer, --comment)');
+  console.log('  newsletter launch <id> - Launch an approved campaign to its segments');
+  console.log('  calendar generate      - Plan a content calendar (--from, --to, --products, --cadence, --event)');
+  console.log('  calendar list          - List saved content calendars');
+  console.log('  calendar show <id>     - Show a calendar\'s slots');
+  console.log('  calendar create ...    - Create and run the campaign for a slot (<calendar-id> <slot-id>)');
+  console.log('  schedule add           - Schedule a Stage 5 publish (--platform, --topic, --at)');
+  console.log('  schedule list          - List scheduled publishes and their attempts');
+  console.log('  schedule cancel <id>   - Cancel a pending scheduled publish');
+  console.log('  schedule run-due       - Publish everything that is due now (one pass)');
+  console.log('  schedule worker        - Keep publishing due items (every --interval secs, default 60)');
+  console.log('  jobs add <video|image> - Queue a video or image generation job (--topic, --type, ...)');
+  console.log('  jobs list              - List queued/running/finished generation jobs');
+  console.log('  jobs cancel <id>       - Cancel a queued or running job');
+  console.log('  jobs worker            - Run queued jobs within per-provider limits (--exit-when-idle)');
+  console.log('  metrics pull           - Pull post metrics from platform insights and MoEngage reports (one pass)');
+  console.log('  metrics worker         - Keep pulling metrics (every --interval secs, default 3600)');
+  console.log('  metrics show [series]  - Latest metrics per platform and post, or one post\'s time series');
+  console.log('  spend                  - Image and text provider spend per campaign, and circuit breaker state');
+  console.log('  cache <action>         - Generation cache: stats, prune (expired/over size) or clear');
   console.log('  help                   - Show this help');
   console.log('');
   console.log('CAMPAIGN TYPES:');
-  console.log('  linkedin-carousel      - Multi-slide carousel post');
-  console.log('  linkedin-testimonial   - AI avatar testimonial video');
-  console.log('  linkedin-data-viz      - Data visualization post');
-  console.log('  instagram-reel         - Short-form video (60-90s)');
-  console.log('  instagram-carousel     - Image carousel post');
-  console.log('  youtube-explainer      - Long-form educational video');
-  console.log('  youtube-short          - 60s vertical video');
-  console.log('  facebook-reel         - Short-form vertical video (same flow as Instagram Reel)');
-  console.log('  twitter-thread         - Educational thread');
-  console.log('  infographic            - Single infographic image (Stage 2 blueprint + Stage 3 visual)');
+  for (const campaignType of listCampaignTypes()) {
+    const notes = [campaignType.planned && 'planned', campaignType.source !== 'built-in' && 'plugin'].filter(Boolean);
+    console.log(`  ${campaignType.id.padEnd(22)} - ${campaignType.description || campaignType.name}${notes.length ? ` (${notes.join(', ')})` : ''}`);
+  }
   console.log('');
   console.log('WORKFLOW STAGES:');
   console.log('  1. planning            - Campaign planning & topic selection');
@@ -211,12 +401,47 @@ function printHelp() {
   console.log('      --no-avatar            Explicitly disable avatar mode (faceless video)');
   console.log('      --auto-publish         Auto-publish after generation');
   console.log('      --wait                 Wait for video completion');
+  console.log('      --tweet-images <map>   Attach Stage 3 images to thread tweets, e.g. "1:1,4:2" (tweet:image)');
+  console.log('      --publish-at <iso>     Schedule the Facebook post (10 min to 75 days ahead)');
+  console.log('      --brand <id>           Brand profile to generate for (default: BRAND_ID or pl-capital)');
+  console.log('      --carousel-renderer <r> Carousel slides: template (canvas, default) or ai (image model)');
+  console.log('      --illustrations        Add an AI illustration to each template-rendered carousel slide');
+  console.log('      --no-brand-check       Skip brand-conformance scoring (and regeneration) of generated images');
+  console.log('      --no-cache             Regenerate instead of reusing cached AI generations (refreshes the cache)');
+  console.log('      --option <key=value>   Campaign type option (repeatable), e.g. --option tweetImages=1:1');
+  console.log('      --var <name=value>     Campaign file variable for {{name}} (repeatable, run-file)');
+  console.log('      --variants <n>         A/B variants per asset, control included (2-5; campaign, stage content)');
+  console.log('      --segment <id>         MoEngage segment for split tests (default: MOENGAGE_DEFAULT_SEGMENT_ID); comma list for newsletters');
+  console.log('      --audiences <list>     Newsletter target audiences, e.g. hni,uhni (segments from MOENGAGE_AUDIENCE_SEGMENTS)');
+  console.log('      --send-at <time>       Newsletter send time, e.g. "2026-10-20 09:30" (--timezone, default IST); HH:mm fallback with --best-time');
+  console.log('      --best-time [date]     Send each newsletter recipient at their best time on a date (default today)');
+  console.log('      --test-email <list>    Newsletter test recipients (default: MOENGAGE_DEFAULT_TEST_EMAIL)');
+  console.log('      --newsletter <id>      Launch this approved newsletter campaign (stage publishing --platform email)');
+  console.log('      --reviewer <name>      Reviewer recorded on newsletter approve/reject');
+  console.log('      --comment <text>       Review comment on newsletter approve/reject');
+  console.log('      --platforms <list>     Repurpose targets (default: linkedin,twitter,instagram,facebook,youtube,whatsapp)');
+  console.log('      --from <date>          Calendar start date (YYYY-MM-DD)');
+  console.log('      --to <date>            Calendar end date (YYYY-MM-DD, at most 92 days after --from)');
+  console.log('      --products <mix>       Calendar product mix with optional weights, e.g. "PMS:2,MTF,SGB,AIF"');
+  console.log('      --cadence <list>       Posts per week per platform (default: linkedin:3,instagram:3,twitter:3)');
+  console.log('      --event <date=name>    Market event to plan around (repeatable), e.g. "2026-11-08=Muhurat Trading"');
+  console.log('      --campaign-id <id>     Campaign that provider spend is booked to (default: topic); filters "spend"');
+  console.log('      --since <date>         Only report spend from this date on (spend), or pull posts published since (metrics)');
+  console.log('      --audience <key>       Target audience for compliance checks (all_clients, hni, internal, ...)');
+  console.log('      --at <time>            Schedule time, e.g. "2026-10-20 09:30" (platform time zone)');
+  console.log('      --timezone <zone>      IANA time zone for --at (default: IST, Asia/Kolkata)');
+  console.log('      --max-attempts <n>     Attempts before a schedule or job is marked failed (default 3)');
+  console.log('      --provider <name>      Job provider (veo, longcat, heygen, shotstack, gemini); auto-detected for video');
   console.log('      --simulate             Dry run without API calls');
   console.log('  -l, --limit <number>       Limit number of campaigns');
   console.log('  -h, --help                 Show this help');
   console.log('');
   console.log('EXAMPLES:');
   console.log('');
+  console.log('  🗓️  Schedule a LinkedIn carousel for Monday 9:30 IST:');
+  console.log('  node main.js schedule add --platform linkedin --format carousel \\');
+  console.log('    --topic "7 Money Myths Keeping You Poor" --at "2026-10-19 09:30"');
+  console.log('');
   console.log('  📸 Generate LinkedIn Carousel:');
   console.log('  node main.js campaign linkedin-carousel \\');
   console.log('    --topic "7 Money Myths Keeping You Poor" \\');
@@ -235,6 +460,34 @@ function printHelp() {
   console.log('    --duration 720 \\');
   console.log('    --use-avatar');
   console.log('');
+  console.log('  📄 Run a Campaign File (JSON, YAML or .js):');
+  console.log('  node main.js run-file ../../campaigns/sip-explainer.yaml \\');
+  console.log('    --var monthly=10000 --platform instagram');
+  console.log('');
+  console.log('  ♻️  Repurpose the latest Stage 3 visuals for X, Instagram and WhatsApp:');
+  console.log('  node main.js repurpose visuals --topic "SIP vs Lumpsum" \\');
+  console.log('    --platforms twitter,instagram,whatsapp');
+  console.log('');
+  console.log('  🧪 A/B test the latest newsletter subject line (approve B and C, then publish):');
+  console.log('  node main.js variants create content --platform email --topic "SIP vs Lumpsum" --variants 3');
+  console.log('  node main.js stage publishing --platform email --topic "SIP vs Lumpsum"');
+  console.log('  node main.js variants track');
+  console.log('');
+  console.log('  📧 Send the latest newsletter to HNIs and UHNIs at 9:30 IST on Monday (test, approve, launch):');
+  console.log('  node main.js newsletter create --topic "SIP vs Lumpsum" --audiences hni,uhni \\');
+  console.log('    --send-at "2026-10-19 09:30" --test-email marketing@example.com');
+  console.log('  node main.js newsletter approve NL-1760000000000-ab12 --reviewer "Compliance"');
+  console.log('  node main.js newsletter launch NL-1760000000000-ab12');
+  console.log('');
+  console.log('  📅 Plan November around Muhurat Trading:');
+  console.log('  node main.js calendar generate --from 2026-11-02 --to 2026-11-29 \\');
+  console.log('    --products "PMS:2,MTF,SGB,AIF" --cadence linkedin:3,instagram:5,twitter:2 \\');
+  console.log('    --event "2026-11-08=Muhurat Trading"');
+  console.log('');
+  console.log('  📈 Pull LinkedIn metrics every 30 minutes, then check the totals:');
+  console.log('  node main.js metrics worker --platform linkedin --interval 1800');
+  console.log('  node main.js metrics show --platform linkedin --from 2026-10-01');
+  console.log('');
   console.log('  🔄 Execute Specific Stage:');
   console.log('  node main.js stage video --limit 1');
   console.log('  node main.js stage publishing --platform linkedin');
@@ -248,6 +501,21 @@ function printHelp() {
   console.log('  REPLICATE_API_TOKEN       - Flux image generation');
   console.log('  SHOTSTACK_API_KEY         - Video editing & rendering');
   console.log('  IMGBB_API_KEY             - Image hosting');
+  console.log('  LINKEDIN_ACCESS_TOKEN     - LinkedIn publishing (w_member_social / w_organization_social)');
+  console.log('  LINKEDIN_AUTHOR_URN       - LinkedIn author (urn:li:person:… or urn:li:organization:…)');
+  console.log('  INSTAGRAM_ACCESS_TOKEN    - Instagram publishing (instagram_content_publish)');
+  console.log('  INSTAGRAM_BUSINESS_ACCOUNT_ID - Instagram Business/Creator account id');
+  console.log('  YOUTUBE_REFRESH_TOKEN     - YouTube uploads (with YOUTUBE_CLIENT_ID / YOUTUBE_CLIENT_SECRET)');
+  console.log('  TWITTER_ACCESS_TOKEN      - X API v2 OAuth 2.0 user token (tweet.write, media.write)');
+  console.log('  FACEBOOK_PAGE_ACCESS_TOKEN - Facebook Page publishing (with FACEBOOK_PAGE_ID)');
+  console.log('  SCHEDULE_PLATFORM_TIMEZONES - Per-platform schedule zones, JSON (default Asia/Kolkata)');
+  console.log('  JOB_CONCURRENCY           - Per-provider job limits, JSON (e.g. {"veo":2,"heygen":1})');
+  console.log('  IMAGE_PROVIDER_CHAINS     - Image provider fallback order per use case, JSON');
+  console.log('  AB_TEST_MIN_SAMPLE        - Sends per variant before an A/B winner is picked (default 200)');
+  console.log('  MOENGAGE_WHATSAPP_SENT_EVENT / _CLICK_EVENT - Per-variant WhatsApp events (WhatsAppCreativeSent/Clicked)');
+  console.log('  MOENGAGE_AUDIENCE_SEGMENTS - Segment ids per target audience, JSON (e.g. {"hni":["seg_hni"],"uhni":"seg_uhni"})');
+  console.log('  MOENGAGE_DEFAULT_TEST_EMAIL - Newsletter test send recipient');
+  console.log('  METRICS_LOOKBACK_DAYS     - Only pull metrics for posts published this many days back (default 30)');
   console.log('  ZAPIER_MCP_*              - Publishing integrations (optional)');
   console.log('');
   console.log('VIDEO PRODUCTION METHODS:');
@@ -259,10 +527,10 @@ function printHelp() {
 
 /**
  * Main execution
+ * @param {string[]} [argv] - CLI arguments (defaults to process.argv)
  */
-async function run() {
+async function run(argv = process.argv.slice(2)) {
   loadEnvFiles();
-  const argv = process.argv.slice(2);
   const options = parseArgs(argv);
 
   if (options.help || argv.length === 0) {
@@ -307,7 +575,14 @@ async function run() {
         autoPublish: options.autoPublish,
         waitForCompletion: options.waitForCompletion,
         aspectRatio: options.aspectRatio,
-        language: options.language
+        language: options.language,
+        brandId: options.brandId,
+        campaignId: options.campaignId,
+        bypassCache: options.bypassCache,
+        carouselRenderer: options.carouselRenderer,
+        slideIllustrations: options.slideIllustrations,
+        variants: options.variants,
+        ...options.campaignOptions
       });
       console.log(`\n✅ Campaign "${options.campaign}" completed!\n`);
       break;
@@ -340,12 +615,68 @@ async function run() {
       if (stageName === 'visuals' && stageResult?.images?.length > 0) {
         console.log('__STAGE3_IMAGES__' + JSON.stringify(stageResult.images));
       }
+      if (stageName === 'visuals' && stageResult?.document) {
+        console.log('__STAGE3_DOCUMENT__' + JSON.stringify(stageResult.document));
+      }
+      if (stageName === 'publishing' && stageResult?.url && stageResult.status !== 'scheduled') {
+        console.log('__PUBLISHED_URLS__' + JSON.stringify({ [stageResult.platform]: stageResult.url }));
+      }
+      if (stageName === 'publishing' && stageResult?.platform) {
+        console.log('__PUBLISH_STATUS__' + JSON.stringify({
+          [stageResult.platform]: {
+            status: stageResult.status || (stageResult.success ? 'published' : 'failed'),
+            url: stageResult.url || null,
+            scheduledAt: stageResult.scheduledAt || null,
+            error: stageResult.error || null
+          }
+        }));
+      }
       if (stageName === 'content' && stageResult?.images?.[0]?.hostedUrl) {
-        console.log('__STAGE2_WHATSAPP_IMAGE__' + JSON.stringify({ imageUrl: stageResult.images[0].hostedUrl, images: stageResult.images }));
+        console.log('__STAGE2_WHATSAPP_IMAGE__' + JSON.stringify({ imageUrl: stageResult.images[0].hostedUrl, images: stageResult.images, whatsappCopy: stageResult.whatsappCopy }));
       }
       console.log(`\n✅ Stage "${stageName}" completed!\n`);
       break;
 
+    case 'run-file':
+      await runCampaignFileCommand(argv[1], options, orchestrator);
+      break;
+
+    case 'repurpose':
+      await runRepurposeCommand(argv[1], options, orchestrator);
+      break;
+
+    case 'variants':
+      await runVariantsCommand(argv[1], argv.slice(2).filter((arg) => !arg.startsWith('-')), options, orchestrator);
+      break;
+
+    case 'newsletter':
+      await runNewsletterCommand(argv[1], argv.slice(2).filter((arg) => !arg.startsWith('-')), options, orchestrator);
+      break;
+
+    case 'calendar':
+      await runCalendarCommand(argv[1], argv.slice(2).filter((arg) => !arg.startsWith('-')), options, orchestrator);
+      break;
+
+    case 'schedule':
+      await runScheduleCommand(argv[1], argv[2], options, orchestrator);
+      break;
+
+    case 'jobs':
+      await runJobsCommand(argv[1], argv[2], options);
+      break;
+
+    case 'metrics':
+      await runMetricsCommand(argv[1], argv.slice(2).find((arg) => !arg.startsWith('-')), options, orchestrator);
+      break;
+
+    case 'spend':
+      printSpendReport(options);
+      break;
+
+    case 'cache':
+      runCacheCommand(argv[1]);
+      break;
+
     case 'publish':
       orchestrator.displayBanner();
       console.log('\n📤 PUBLISHING READY CONTENT...\n');
@@ -360,7 +691,781 @@ async function run() {
   }
 }
 
-run().catch((error) => {
-  console.error('❌ Social media workflow failed:', error);
-  process.exitCode = 1;
-});
+/**
+ * run-file <path>: validate a campaign definition file and run its stages
+ */
+async function runCampaignFileCommand(filePath, options, orchestrator) {
+  if (!filePath) {
+    console.error('❌ Please specify a campaign file');
+    console.error('   Example: node main.js run-file campaigns/aqua-pms-campaign.js');
+    process.exit(1);
+  }
+
+  let campaign;
+  try {
+    campaign = loadCampaignFile(filePath, { variables: options.variables, platform: options.platform });
+  } catch (error) {
+    if (error.code !== 'INVALID_CAMPAIGN_FILE') throw error;
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  orchestrator.displayBanner();
+  console.log(`\n📄 RUNNING CAMPAIGN FILE: ${filePath} (${campaign.platforms.map((run) => run.platform).join(', ')})`);
+  await runCampaignFile(orchestrator, campaign, {
+    autoPublish: options.autoPublish,
+    waitForCompletion: options.waitForCompletion,
+    brandId: options.brandId,
+    campaignId: options.campaignId,
+    bypassCache: options.bypassCache
+  });
+  console.log(`\n✅ Campaign file "${campaign.id}" completed!\n`);
+}
+
+/**
+ * repurpose <id|stage>: platform variants of one Stage 2/3/4 record
+ */
+async function runRepurposeCommand(ref, options, orchestrator) {
+  if (!ref || ref.startsWith('-')) {
+    console.error('❌ Please specify a record id or a stage (content, visuals, video)');
+    console.error('   Example: node main.js repurpose visuals --topic "SIP vs Lumpsum"');
+    process.exit(1);
+  }
+
+  orchestrator.displayBanner();
+  console.log('\n♻️  REPURPOSING FOR EVERY PLATFORM\n');
+  try {
+    await runRepurpose(orchestrator, ref, {
+      platforms: options.platforms,
+      topic: options.topic,
+      targetAudience: options.targetAudience,
+      language: options.language,
+      waitForCompletion: options.waitForCompletion,
+      brandId: options.brandId,
+      campaignId: options.campaignId,
+      bypassCache: options.bypassCache
+    });
+  } catch (error) {
+    if (error.code !== 'INVALID_REPURPOSE') throw error;
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+  console.log('\n✅ Repurposing completed!\n');
+}
+
+/**
+ * variants create|list|show|launch|track|winner
+ */
+async function runVariantsCommand(action, args, options, orchestrator) {
+  try {
+    await runVariantsAction(action, args, options, orchestrator);
+  } catch (error) {
+    if (error.code !== 'INVALID_AB_TEST') throw error;
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  } finally {
+    orchestrator.abTestStore?.close();
+  }
+}
+
+function printAbTest(test) {
+  const winner = test.winner ? `  🏆 ${test.winner.key}${test.winner.manual ? ' (manual)' : ''}` : '';
+  console.log(`${test.id}  ${test.status.padEnd(8)} ${test.platform.padEnd(9)} ${test.assetKind.padEnd(17)} ${test.variants.length} variants  "${test.topic}"${winner}`);
+}
+
+function getAbTestOrExit(store, id) {
+  const test = id && store.get(id);
+  if (!test) {
+    console.error(`❌ A/B test not found: ${id || '(none)'}`);
+    console.error('   Example: node main.js variants show AB-1760000000000-ab12');
+    process.exit(1);
+  }
+  return test;
+}
+
+async function runVariantsAction(action, args, options, orchestrator) {
+  const store = orchestrator._getAbTestStore();
+  switch (action) {
+    case 'create': {
+      if (!args[0]) {
+        console.error('❌ Please specify a content record id or "content" (latest for --topic)');
+        console.error('   Example: node main.js variants create content --platform email --topic "SIP vs Lumpsum"');
+        process.exit(1);
+      }
+      orchestrator.displayBanner();
+      console.log('\n🧪 CREATING A/B VARIANTS\n');
+      const test = await ABTestStore.runVariants(orchestrator, args[0], {
+        variants: options.variants,
+        topic: options.topic,
+        platform: options.platform,
+        targetAudience: options.targetAudience,
+        language: options.language,
+        aspectRatio: options.aspectRatio,
+        brandCheck: options.brandCheck,
+        brandId: options.brandId,
+        campaignId: options.campaignId,
+        bypassCache: options.bypassCache
+      });
+      if (test) {
+        console.log(`\n✅ Saved ${test.id}: approve the variants, then publish (email/WhatsApp run as a split test)`);
+      }
+      break;
+    }
+
+    case 'list': {
+      const tests = store.list({ status: options.status, platform: options.platform, topic: options.topic });
+      if (tests.length === 0) {
+        console.log('📭 No A/B tests');
+        break;
+      }
+      tests.forEach(printAbTest);
+      break;
+    }
+
+    case 'show': {
+      const test = getAbTestOrExit(store, args[0]);
+      printAbTest(test);
+      console.log('');
+      for (const variant of test.variants) {
+        const { treatment = {}, metrics } = variant;
+        const copy = [treatment.hook && `"${treatment.hook}"`, treatment.cta && `CTA "${treatment.cta}"`, treatment.visualStyle].filter(Boolean).join(' · ');
+        const stats = metrics ? `  ${metrics.sent} sent, ${metrics.clicks} click(s), ${(metrics.clickRate * 100).toFixed(2)}% CTR` : '';
+        console.log(`  ${variant.key}  ${variant.id.padEnd(34)} ${(treatment.angle || '').padEnd(18)} ${copy}${variant.percentage != null ? `  [${variant.percentage}%]` : ''}${stats}`);
+      }
+      if (test.winner?.reason) console.log(`\n  ${test.winner.reason}`);
+      break;
+    }
+
+    case 'launch': {
+      const test = getAbTestOrExit(store, args[0]);
+      await orchestrator.stateManager.initialize();
+      orchestrator.useBrand(options.brandId || test.brandId);
+      const result = await ABTestStore.launchSplitTest(orchestrator, test, {
+        segmentId: options.segmentId,
+        targetAudience: options.targetAudience
+      });
+      if (!result.success) process.exit(1);
+      break;
+    }
+
+    case 'track': {
+      const tests = args[0] ? [getAbTestOrExit(store, args[0])] : store.list({ status: 'running', platform: options.platform, topic: options.topic });
+      if (tests.length === 0) {
+        console.log('📭 No running A/B tests');
+        break;
+      }
+      await orchestrator.stateManager.initialize();
+      for (const test of tests) {
+        await ABTestStore.trackTest(orchestrator, test);
+      }
+      break;
+    }
+
+    case 'winner': {
+      const [testId, key] = args;
+      if (!testId || !key) {
+        console.error('❌ Please specify the test id and the winning variant key');
+        console.error('   Example: node main.js variants winner AB-1760000000000-ab12 B');
+        process.exit(1);
+      }
+      await orchestrator.stateManager.initialize();
+      await ABTestStore.declareWinner(orchestrator, testId, key, { manual: true, reason: 'chosen manually' });
+      break;
+    }
+
+    default:
+      console.error('❌ Unknown variants action:', action || '(none)');
+      console.error('   Use: variants create <id|content> | list | show <id> | launch <id> | track [id] | winner <id> <key>');
+      process.exit(1);
+  }
+}
+
+/**
+ * newsletter create|list|show|test|approve|reject|launch
+ */
+async function runNewsletterCommand(action, args, options, orchestrator) {
+  try {
+    await runNewsletterAction(action, args, options, orchestrator);
+  } catch (error) {
+    if (error.code !== 'INVALID_NEWSLETTER_CAMPAIGN') throw error;
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  } finally {
+    orchestrator.newsletterCampaignStore?.close();
+  }
+}
+
+function printNewsletterCampaign(campaign) {
+  const audiences = [...new Set(campaign.segments.map((s) => s.audience).filter(Boolean))];
+  console.log(`${campaign.id}  ${campaign.status.padEnd(9)} ${campaign.segments.length} segment(s)${audiences.length ? ` (${audiences.join(', ')})` : ''}  ${NewsletterCampaignStore.describeSchedule(campaign.schedule)}  "${campaign.subject}"`);
+}
+
+async function runNewsletterAction(action, args, options, orchestrator) {
+  const store = orchestrator._getNewsletterCampaignStore();
+  const id = args[0];
+  switch (action) {
+    case 'create': {
+      await orchestrator.stateManager.initialize();
+      orchestrator.useBrand(options.brandId);
+      console.log('\n📧 CREATING NEWSLETTER CAMPAIGN\n');
+      const context = { stateManager: orchestrator.stateManager, store, brand: orchestrator.brand };
+      const campaign = await NewsletterCampaignStore.createNewsletterCampaign(context, {
+        contentId: id,
+        topic: options.topic,
+        audiences: options.audiences,
+        segmentIds: options.segmentId,
+        sendAt: options.sendAt,
+        bestTime: options.bestTime,
+        timeZone: options.timeZone,
+        campaignId: options.campaignId,
+        brandId: orchestrator.brandId
+      });
+      const tested = await NewsletterCampaignStore.sendTestEmails(context, campaign.id, { testEmails: options.testEmails });
+      console.log(`\n✅ ${tested.id} is in review: check the test email, then "newsletter approve ${tested.id}" and "newsletter launch ${tested.id}"`);
+      break;
+    }
+
+    case 'list': {
+      const campaigns = store.list({ status: options.status, topic: options.topic });
+      if (campaigns.length === 0) {
+        console.log('📭 No newsletter campaigns');
+        break;
+      }
+      campaigns.forEach(printNewsletterCampaign);
+      break;
+    }
+
+    case 'show': {
+      const campaign = getNewsletterCampaignOrExit(store, id);
+      printNewsletterCampaign(campaign);
+      console.log(`\n  content ${campaign.contentId}  topic "${campaign.topic}"`);
+      for (const segment of campaign.segments) {
+        console.log(`  ${segment.segmentId.padEnd(24)} ${(segment.audience || '-').padEnd(14)} MoEngage ${segment.moengageCampaignId}${segment.launchedAt ? `  launched ${segment.launchedAt}` : ''}`);
+      }
+      console.log('');
+      for (const entry of campaign.history) {
+        const details = [entry.reviewer, entry.testEmails?.join(', '), entry.comment && `"${entry.comment}"`].filter(Boolean).join(' · ');
+        console.log(`  ${entry.at}  ${entry.action}${details ? `  ${details}` : ''}`);
+      }
+      break;
+    }
+
+    case 'test':
+      getNewsletterCampaignOrExit(store, id);
+      await NewsletterCampaignStore.sendTestEmails({ store }, id, { testEmails: options.testEmails });
+      break;
+
+    case 'approve':
+    case 'reject': {
+      getNewsletterCampaignOrExit(store, id);
+      const campaign = NewsletterCampaignStore.reviewNewsletterCampaign({ store }, id, action, {
+        reviewer: options.reviewer,
+        comment: options.comment
+      });
+      console.log(`${action === 'approve' ? '✅' : '🚫'} ${id} ${campaign.status}`);
+      break;
+    }
+
+    case 'launch': {
+      getNewsletterCampaignOrExit(store, id);
+      await orchestrator.stateManager.initialize();
+      await NewsletterCampaignStore.launchNewsletterCampaign({ stateManager: orchestrator.stateManager, store }, id);
+      break;
+    }
+
+    default:
+      console.error('❌ Unknown newsletter action:', action || '(none)');
+      console.error('   Use: newsletter create [content-id] | list | show <id> | test <id> | approve <id> | reject <id> | launch <id>');
+      process.exit(1);
+  }
+}
+
+function getNewsletterCampaignOrExit(store, id) {
+  const campaign = id && store.get(id);
+  if (!campaign) {
+    console.error(`❌ Newsletter campaign not found: ${id || '(none)'}`);
+    console.error('   Example: node main.js newsletter show NL-1760000000000-ab12');
+    process.exit(1);
+  }
+  return campaign;
+}
+
+/**
+ * calendar generate|list|show|create
+ */
+async function runCalendarCommand(action, args, options, orchestrator) {
+  const store = new CalendarStore(path.join(__dirname, 'data'));
+
+  try {
+    await runCalendarAction(store, action, args, options, orchestrator);
+  } catch (error) {
+    if (error.code !== 'INVALID_CALENDAR') throw error;
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  } finally {
+    store.close();
+  }
+}
+
+function printCalendarSlots(calendar) {
+  for (const slot of calendar.slots) {
+    const flags = [slot.event && `📌 ${slot.event}`, slot.campaignId && `→ ${slot.campaignId}`, slot.status === 'skipped' && 'skipped']
+      .filter(Boolean).join('  ');
+    console.log(`${slot.id}  ${slot.date}  ${slot.platform.padEnd(9)} ${slot.campaignType.padEnd(20)} ${String(slot.productName || '-').padEnd(20)} ${String(slot.audience).padEnd(16)} "${slot.topic}"${flags ? `  ${flags}` : ''}`);
+  }
+}
+
+async function runCalendarAction(store, action, args, options, orchestrator) {
+  switch (action) {
+    case 'generate': {
+      console.log('📅 Planning content calendar...\n');
+      const calendar = await store.generate({
+        from: options.from,
+        to: options.to,
+        products: options.products,
+        cadence: options.cadence,
+        events: options.events,
+        audiences: options.targetAudience ? [options.targetAudience] : [],
+        language: options.language
+      }, { simulate: orchestrator.simulate });
+      calendar.warnings.forEach((warning) => console.log(`⚠️  ${warning}`));
+      printCalendarSlots(calendar);
+      console.log(`\n✅ Saved ${calendar.id}: ${calendar.slots.length} slot(s), ${calendar.from} – ${calendar.to}`);
+      console.log(`   Create a campaign from a slot: node main.js calendar create ${calendar.id} ${calendar.slots[0].id}`);
+      break;
+    }
+
+    case 'list': {
+      const calendars = store.list();
+      if (calendars.length === 0) {
+        console.log('📭 No content calendars');
+        break;
+      }
+      for (const calendar of calendars) {
+        console.log(`${calendar.id}  ${calendar.from} – ${calendar.to}  ${calendar.slotCount} slot(s), ${calendar.campaignsCreated} campaign(s)  "${calendar.name}"`);
+      }
+      break;
+    }
+
+    case 'show': {
+      const calendar = args[0] && store.get(args[0]);
+      if (!calendar) {
+        console.error(`❌ Calendar not found: ${args[0] || '(none)'}`);
+        console.error('   Example: node main.js calendar show CAL-1760000000000-ab12');
+        process.exit(1);
+      }
+      console.log(`📅 ${calendar.name}\n`);
+      printCalendarSlots(calendar);
+      break;
+    }
+
+    case 'create': {
+      const [calendarId, slotId] = args;
+      if (!calendarId || !slotId) {
+        console.error('❌ Please specify the calendar id and slot id');
+        console.error('   Example: node main.js calendar create CAL-1760000000000-ab12 S004');
+        process.exit(1);
+      }
+      const created = await store.createCampaign(calendarId, slotId, orchestrator.stateManager);
+      if (!created) {
+        console.error(`❌ Calendar slot not found: ${calendarId} ${slotId}`);
+        process.exit(1);
+      }
+      const { campaign, slot } = created;
+      console.log(`✅ Created campaign ${campaign.id} from ${slot.id}: ${slot.platform} ${slot.campaignType} "${slot.topic}"`);
+
+      const campaignType = getCampaignType(slot.campaignType);
+      if (!campaignType || campaignType.planned) {
+        console.log(`   ${slot.campaignType} runs from the dashboard; the campaign is saved as planned`);
+        break;
+      }
+      orchestrator.displayBanner();
+      console.log(`\n🎯 EXECUTING CAMPAIGN: ${slot.campaignType.toUpperCase()}\n`);
+      await orchestrator.runCampaign(slot.campaignType, {
+        platform: slot.platform,
+        topic: slot.topic,
+        targetAudience: slot.audience,
+        language: options.language,
+        brandId: options.brandId,
+        campaignId: campaign.id,
+        bypassCache: options.bypassCache
+      });
+      console.log(`\n✅ Campaign "${slot.campaignType}" completed!\n`);
+      break;
+    }
+
+    default:
+      console.error('❌ Unknown calendar action:', action || '(none)');
+      console.error('   Use: calendar generate | list | show <id> | create <id> <slot>');
+      process.exit(1);
+  }
+}
+
+/**
+ * schedule add|list|cancel|run-due|worker
+ */
+async function runScheduleCommand(action, id, options, orchestrator) {
+  const store = new ScheduleStore(path.join(__dirname, 'data'));
+
+  try {
+    await runScheduleAction(store, action, id, options, orchestrator);
+  } catch (error) {
+    if (error.code !== 'INVALID_SCHEDULE') throw error;
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  } finally {
+    store.close();
+  }
+}
+
+async function runScheduleAction(store, action, id, options, orchestrator) {
+  switch (action) {
+    case 'add': {
+      const item = await store.add({
+        platform: options.platform,
+        topic: options.topic,
+        format: options.format,
+        at: options.at,
+        timeZone: options.timeZone,
+        maxAttempts: options.maxAttempts,
+        options: options.tweetImages ? { tweetImages: options.tweetImages } : {}
+      });
+      console.log(`✅ Scheduled ${item.id}: ${item.platform} "${item.topic}" at ${item.localTime} ${item.timeZone} (${item.publishAt})`);
+      break;
+    }
+
+    case 'list': {
+      const items = await store.list({ status: options.status, platform: options.platform });
+      if (items.length === 0) {
+        console.log('📭 No scheduled publishes');
+        break;
+      }
+      console.log(`🗓️  ${items.length} scheduled publish(es)\n`);
+      for (const item of items) {
+        console.log(`${item.id}  [${item.status}]  ${item.localTime} ${item.timeZone}  ${item.platform}${item.format ? `/${item.format}` : ''}  "${item.topic}"`);
+        if (item.status === 'retrying') {
+          console.log(`   next attempt: ${item.nextAttemptAt}`);
+        }
+        if (item.status === 'awaiting_launch' && item.newsletterCampaignId) {
+          console.log(`   launch after review: node main.js newsletter launch ${item.newsletterCampaignId}`);
+        }
+        for (const attempt of item.attempts) {
+          const detail = attempt.error || attempt.url || (attempt.finishedAt ? '' : 'in progress');
+          console.log(`   #${attempt.attempt} ${attempt.startedAt} ${attempt.status || 'running'}${detail ? ` - ${detail}` : ''}`);
+        }
+      }
+      break;
+    }
+
+    case 'cancel': {
+      if (!id) {
+        console.error('❌ Please specify the schedule id');
+        console.error('   Example: node main.js schedule cancel SCHED-1760000000000-ab12');
+        process.exit(1);
+      }
+      const item = await store.cancel(id);
+      if (!item) {
+        console.error(`❌ Schedule not found: ${id}`);
+        process.exit(1);
+      }
+      console.log(`🚫 Cancelled ${item.id}`);
+      break;
+    }
+
+    case 'run-due':
+      await new PublishScheduler({ orchestrator, store }).runDue();
+      break;
+
+    case 'worker':
+      await new PublishScheduler({
+        orchestrator,
+        store,
+        intervalMs: (options.interval || 60) * 1000
+      }).start();
+      break;
+
+    default:
+      console.error('❌ Unknown schedule action:', action || '(none)');
+      console.error('   Use: schedule add | list | cancel <id> | run-due | worker');
+      process.exit(1);
+  }
+}
+
+/**
+ * jobs add|list|cancel|worker
+ */
+async function runJobsCommand(action, arg, options) {
+  const queue = new JobQueue(path.join(__dirname, 'data'));
+
+  try {
+    await runJobsAction(queue, action, arg, options);
+  } catch (error) {
+    if (error.code !== 'INVALID_JOB') throw error;
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
+
+async function runJobsAction(queue, action, arg, options) {
+  switch (action) {
+    case 'add': {
+      if (!options.topic) {
+        console.error('❌ Please specify --topic');
+        process.exit(1);
+      }
+      const job = queue.enqueue({
+        type: arg,
+        provider: options.provider,
+        maxAttempts: options.maxAttempts,
+        request: {
+          topic: options.topic,
+          campaignType: options.type || (arg === 'image' ? 'linkedin-carousel' : 'instagram-reel'),
+          platforms: options.platform ? [options.platform] : [],
+          language: options.language,
+          duration: options.duration,
+          aspectRatio: options.aspectRatio,
+          useVeo: options.useVeo,
+          useAvatar: options.useAvatar,
+          avatarId: options.avatarId,
+          avatarScriptText: options.avatarScriptText,
+          avatarVoiceId: options.avatarVoiceId,
+          brandId: options.brandId,
+          bypassCache: options.bypassCache
+        }
+      });
+      console.log(`✅ Queued ${job.id} (${job.type} via ${job.provider})`);
+      console.log('   Run "node main.js jobs worker" if no worker is running');
+      break;
+    }
+
+    case 'list': {
+      const jobs = queue.list({ status: options.status, provider: options.provider, limit: options.limit });
+      if (jobs.length === 0) {
+        console.log('📭 No jobs');
+        break;
+      }
+      console.log(`⚙️  ${jobs.length} job(s)\n`);
+      for (const job of jobs) {
+        console.log(`${job.id}  [${job.status}]  ${job.type}/${job.provider}  "${job.request?.topic || ''}"  ${job.createdAt}`);
+        if (job.status === 'retrying') {
+          console.log(`   next attempt: ${job.nextAttemptAt}`);
+        }
+        for (const attempt of job.attempts) {
+          const detail = attempt.error || (attempt.finishedAt ? '' : 'in progress');
+          console.log(`   #${attempt.attempt} ${attempt.startedAt} ${attempt.status || 'running'}${detail ? ` - ${detail}` : ''}`);
+        }
+      }
+      break;
+    }
+
+    case 'cancel': {
+      if (!arg) {
+        console.error('❌ Please specify the job id');
+        console.error('   Example: node main.js jobs cancel video-1760000000000-ab12cd34');
+        process.exit(1);
+      }
+      const job = queue.cancel(arg);
+      if (!job) {
+        console.error(`❌ Job not found: ${arg}`);
+        process.exit(1);
+      }
+      console.log(job.status === 'cancelled' ? `🚫 Cancelled ${job.id}` : `🛑 Cancellation requested for ${job.id}`);
+      break;
+    }
+
+    case 'worker':
+      await new JobWorker({ queue, exitWhenIdle: options.exitWhenIdle }).start();
+      break;
+
+    default:
+      console.error('❌ Unknown jobs action:', action || '(none)');
+      console.error('   Use: jobs add <video|image> | list | cancel <id> | worker');
+      process.exit(1);
+  }
+}
+
+/**
+ * metrics pull|worker|show
+ */
+async function runMetricsCommand(action, seriesId, options, orchestrator) {
+  const store = new MetricsStore(path.join(__dirname, 'data'));
+
+  try {
+    await runMetricsAction(store, action, seriesId, options, orchestrator);
+  } catch (error) {
+    if (error.code !== 'INVALID_METRICS') throw error;
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  } finally {
+    store.close();
+  }
+}
+
+async function runMetricsAction(store, action, seriesId, options, orchestrator) {
+  if (options.since && Number.isNaN(Date.parse(options.since))) {
+    console.error(`❌ Invalid --since date: ${options.since}`);
+    process.exit(1);
+  }
+  const filters = { platform: options.platform, topic: options.topic, since: options.since };
+
+  switch (action) {
+    case 'pull':
+      await new MetricsCollector({ stateManager: orchestrator.stateManager, store }).collect(filters);
+      break;
+
+    case 'worker':
+      await new MetricsCollector({
+        stateManager: orchestrator.stateManager,
+        store,
+        intervalMs: (options.interval || 3600) * 1000
+      }).start(filters);
+      break;
+
+    case 'show': {
+      const query = {
+        seriesId,
+        platform: options.platform,
+        topic: options.topic,
+        campaignId: options.campaignId,
+        from: options.from,
+        to: options.to
+      };
+      if (seriesId) {
+        const snapshots = store.series(query);
+        if (snapshots.length === 0) {
+          console.log(`📭 No metrics recorded for ${seriesId}`);
+          break;
+        }
+        console.log(`📈 ${seriesId}: ${snapshots.length} snapshot(s)\n`);
+        for (const snapshot of snapshots) {
+          console.log(`${snapshot.fetchedAt}  ${formatMetrics(snapshot)}`);
+        }
+        break;
+      }
+
+      const totals = store.totals(query);
+      if (totals.length === 0) {
+        console.log('📭 No metrics recorded (run "node main.js metrics pull")');
+        break;
+      }
+      console.log('📈 Latest metrics per platform\n');
+      for (const total of totals) {
+        console.log(`${total.platform.padEnd(10)} ${total.posts} post(s)  ${formatMetrics(total)}`);
+      }
+      console.log('');
+      for (const snapshot of store.latest(query).slice(0, options.limit || 20)) {
+        const variant = snapshot.variantKey ? ` [${snapshot.variantKey}]` : '';
+        console.log(`${snapshot.seriesId}${variant}  "${snapshot.topic || ''}"  ${snapshot.fetchedAt}`);
+        console.log(`   ${formatMetrics(snapshot)}`);
+      }
+      break;
+    }
+
+    default:
+      console.error('❌ Unknown metrics action:', action || '(none)');
+      console.error('   Use: metrics pull | worker | show [series-id]');
+      process.exit(1);
+  }
+}
+
+/**
+ * One line of the counts and rates a metrics row has
+ */
+function formatMetrics(metrics) {
+  const counts = [
+    ['impressions', 'impressions'],
+    ['reach', 'reach'],
+    ['videoViews', 'views'],
+    ['engagements', 'engagements'],
+    ['clicks', 'clicks'],
+    ['sends', 'sent'],
+    ['opens', 'opened']
+  ].filter(([field]) => metrics[field] != null).map(([field, label]) => `${metrics[field]} ${label}`);
+  const rates = [['ctr', 'CTR'], ['engagementRate', 'engagement'], ['openRate', 'open rate']]
+    .filter(([field]) => metrics[field] != null)
+    .map(([field, label]) => `${(metrics[field] * 100).toFixed(2)}% ${label}`);
+  return [...counts, ...rates].join(', ') || 'no counts reported';
+}
+
+/**
+ * spend [--campaign-id <id>] [--since <date>]
+ */
+function printSpendReport(options) {
+  const store = ProviderUsageStore.open(path.join(__dirname, 'data'));
+  if (options.since && Number.isNaN(Date.parse(options.since))) {
+    console.error(`❌ Invalid --since date: ${options.since}`);
+    process.exit(1);
+  }
+  const campaigns = store.spendReport({ campaignId: options.campaignId, since: options.since });
+
+  if (campaigns.length === 0) {
+    console.log('📭 No provider calls recorded');
+  } else {
+    const total = campaigns.reduce((sum, campaign) => sum + campaign.totalUsd, 0);
+    console.log(`💵 Provider spend: $${total.toFixed(2)} across ${campaigns.length} campaign(s)\n`);
+    for (const campaign of campaigns) {
+      console.log(`${campaign.campaignId}  $${campaign.totalUsd.toFixed(3)}  ${campaign.calls} call(s)  last ${campaign.lastCallAt}`);
+      for (const provider of campaign.providers) {
+        const failed = provider.failed ? `, ${provider.failed} failed` : '';
+        const label = provider.kind === 'text' ? `${provider.provider} text` : provider.provider;
+        const volume = provider.kind === 'text'
+          ? `${provider.inputTokens + provider.outputTokens} token(s)`
+          : `${provider.images} image(s)`;
+        console.log(`   ${label.padEnd(12)} $${provider.costUsd.toFixed(3)}  ${volume}  ${provider.calls} call(s)${failed}  avg ${(provider.avgLatencyMs / 1000).toFixed(1)}s`);
+      }
+    }
+  }
+
+  const breakers = store.breakers();
+  if (breakers.length > 0) {
+    console.log('\n🔌 Circuit breakers:');
+    for (const breaker of breakers) {
+      const until = breaker.state === 'open' ? ` until ${breaker.openedUntil}` : '';
+      console.log(`   ${breaker.provider.padEnd(12)} ${breaker.state}${until} (${breaker.failures} consecutive failure(s))`);
+    }
+  }
+}
+
+/**
+ * cache stats|prune|clear
+ */
+function runCacheCommand(action) {
+  const cache = GenerationCache.open(path.join(__dirname, 'data'));
+  switch (action || 'stats') {
+    case 'stats': {
+      const kinds = cache.stats();
+      if (kinds.length === 0) {
+        console.log('📭 Generation cache is empty');
+        break;
+      }
+      console.log('♻️  Generation cache\n');
+      for (const kind of kinds) {
+        console.log(`   ${kind.kind.padEnd(18)} ${String(kind.entries).padStart(4)} entr${kind.entries === 1 ? 'y' : 'ies'}  ${(kind.bytes / 1024 / 1024).toFixed(1)} MB  ${kind.hits} hit(s)`);
+      }
+      break;
+    }
+
+    case 'prune':
+      console.log(`🧹 Removed ${cache.evict()} expired or over-size entr(ies)`);
+      break;
+
+    case 'clear':
+      cache.clear();
+      console.log('🧹 Generation cache cleared');
+      break;
+
+    default:
+      console.error('❌ Unknown cache action:', action);
+      console.error('   Use: cache stats | prune | clear');
+      process.exit(1);
+  }
+}
+
+module.exports = { run, parseArgs };
+
+if (require.main === module) {
+  run().catch((error) => {
+    console.error('❌ Social media workflow failed:', error);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,179 @@
+#!/usr/bin/env node
+/**
+ * Test Script for A/B Variants
+ *
+ * Runs the winner selection offline: audience shares, the sample and significance gates of
+ * pickWinner, and Stage 6 tracking of email and WhatsApp split tests against a temporary
+ * ABTestStore, with the MoEngage reports stubbed. Nothing is sent.
+ *
+ * Usage:
+ *   node scripts/test-ab-testing.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ABTestStore = require('../core/ab-testing');
+const { MoengageClient } = require('../integrations/moengage-client');
+
+const { pickWinner, splitShares, trackTest, declareWinner, winningStyleNotes, parseVariantCount, detectAsset } = ABTestStore;
+
+const ENV_KEYS = ['MOENGAGE_WORKSPACE_ID', 'MOENGAGE_DATA_API_KEY', 'MOENGAGE_REPORTING_API_KEY', 'AB_TEST_MIN_SAMPLE', 'AB_TEST_Z_SCORE'];
+
+function variant(key, sent, clicks) {
+  return { key, metrics: { sent, clicks, clickRate: sent ? clicks / sent : 0 } };
+}
+
+// Just enough orchestrator for trackTest/declareWinner: an in-memory state and the test store
+function fakeOrchestrator(store, records) {
+  const stageEntries = [];
+  return {
+    stageEntries,
+    _getAbTestStore: () => store,
+    stateManager: {
+      addStageEntry: async (stage, entry) => stageEntries.push({ stage, ...entry }),
+      getEntry: (bucket, id) => records[id] || null,
+      updateEntry: async (bucket, id, fn) => (records[id] = fn(records[id]))
+    }
+  };
+}
+
+async function quiet(fn) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+  }
+}
+
+async function run() {
+  console.log('🧪 Testing A/B Variants\n');
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ab-testing-test-'));
+  const store = new ABTestStore(tmpDir);
+  const env = Object.fromEntries(ENV_KEYS.map((key) => [key, process.env[key]]));
+  const original = { getCampaignReport: MoengageClient.prototype.getCampaignReport, getBusinessEvents: MoengageClient.prototype.getBusinessEvents };
+
+  try {
+    // Variant counts and audience shares
+    assert.strictEqual(parseVariantCount(undefined), 3);
+    assert.throws(() => parseVariantCount(6), { code: 'INVALID_AB_TEST' });
+    assert.throws(() => parseVariantCount('2.5'), { code: 'INVALID_AB_TEST' });
+    assert.deepStrictEqual(splitShares(2), [50, 50]);
+    assert.deepStrictEqual(splitShares(3), [34, 33, 33]);
+    assert.deepStrictEqual(splitShares(5), [20, 20, 20, 20, 20]);
+    assert.deepStrictEqual(detectAsset({ contentType: 'email-newsletter' }), { kind: 'email-newsletter', platform: 'email' });
+    assert.strictEqual(detectAsset({ contentType: 'email-newsletter' }, 'linkedin'), null);
+    console.log('   ✅ Variant counts and audience shares');
+
+    // No decision until every variant has the minimum sample
+    assert.deepStrictEqual(pickWinner([variant('A', 1000, 50)]), { winner: null, reason: 'no metrics yet' });
+    const waiting = pickWinner([variant('A', 1000, 50), variant('B', 150, 2)]);
+    assert.strictEqual(waiting.winner, null);
+    assert.strictEqual(waiting.leader, 'A');
+    assert.match(waiting.reason, /waiting for 200 sends per variant \(B: 150\)/);
+    console.log('   ✅ Waits for the minimum sample per variant');
+
+    // Significant lead wins; a small one does not
+    const decided = pickWinner([variant('B', 1000, 30), variant('A', 1000, 50)]);
+    assert.strictEqual(decided.winner, 'A');
+    assert.strictEqual(decided.z.toFixed(2), '2.28');
+    assert.strictEqual(decided.lift.toFixed(4), '0.6667');
+    assert.match(decided.reason, /A beat B \(5\.00% vs 3\.00% click rate, z=2\.28\)/);
+    const close = pickWinner([variant('A', 1000, 45), variant('B', 1000, 40)]);
+    assert.strictEqual(close.winner, null);
+    assert.match(close.reason, /not significantly yet \(z=0\.55\)/);
+    console.log('   ✅ Winner only when the lead is significant');
+
+    // The leader is compared with the runner-up, not the weakest variant
+    assert.strictEqual(pickWinner([variant('A', 1000, 50), variant('B', 1000, 20), variant('C', 1000, 49)]).winner, null);
+    assert.strictEqual(pickWinner([variant('A', 1000, 50), variant('B', 1000, 30)], { zScore: 2.5 }).winner, null);
+    assert.strictEqual(pickWinner([variant('A', 100, 10), variant('B', 100, 1)], { minSample: 100 }).winner, 'A');
+    assert.strictEqual(pickWinner([variant('A', 1000, 40), variant('B', 1000, 0)]).lift, null);
+    console.log('   ✅ Leader is tested against the runner-up; thresholds are configurable');
+
+    // Stage 6, email: campaign reports per variant, saved to metrics, winner declared on both records
+    process.env.MOENGAGE_WORKSPACE_ID = 'test-workspace';
+    process.env.MOENGAGE_DATA_API_KEY = 'test-data-key';
+    process.env.MOENGAGE_REPORTING_API_KEY = 'test-reporting-key';
+    delete process.env.AB_TEST_MIN_SAMPLE;
+    delete process.env.AB_TEST_Z_SCORE;
+    const reports = {
+      'CMP-A': { data: { stats: { delivered: 1000, unique_opens: 300, unique_clicks: 30 } } },
+      'CMP-B': { data: { stats: { delivered: 1000, unique_opens: 320, unique_clicks: 50 } } }
+    };
+    MoengageClient.prototype.getCampaignReport = async (campaignId) => reports[campaignId];
+
+    const records = { 'content-a': { id: 'content-a' }, 'content-b': { id: 'content-b' } };
+    const orchestrator = fakeOrchestrator(store, records);
+    const email = store.create({
+      topic: 'SIP step-up',
+      platform: 'email',
+      assetKind: 'email-newsletter',
+      metric: 'clickRate',
+      variants: [
+        { key: 'A', bucket: 'content', id: 'content-a', control: true, treatment: { angle: 'original', hook: 'Your SIP, upgraded' }, moengageCampaignId: 'CMP-A' },
+        { key: 'B', bucket: 'content', id: 'content-b', treatment: { angle: 'curiosity', hook: 'The 10% habit that doubles your corpus' }, moengageCampaignId: 'CMP-B' }
+      ]
+    });
+    store.update(email.id, (current) => ({ ...current, status: 'running', launchedAt: new Date().toISOString() }));
+    const tracked = await quiet(() => trackTest(orchestrator, store.get(email.id)));
+    assert.strictEqual(tracked.status, 'decided');
+    assert.strictEqual(tracked.winner.key, 'B');
+    assert.strictEqual(tracked.winner.manual, false);
+    assert.strictEqual(tracked.variants[1].metrics.openRate, 0.32);
+    assert.deepStrictEqual(orchestrator.stageEntries[0].variants.map((v) => v.metrics.clicks), [30, 50]);
+    assert.deepStrictEqual([records['content-a'].abOutcome, records['content-b'].abOutcome], ['loser', 'winner']);
+    console.log('   ✅ Email split test tracked and decided');
+
+    // Stage 6, WhatsApp: tagged business events, other tests' events ignored
+    process.env.AB_TEST_MIN_SAMPLE = '3';
+    const whatsapp = store.create({
+      topic: 'ELSS before March',
+      platform: 'whatsapp',
+      assetKind: 'whatsapp-creative',
+      variants: [
+        { key: 'A', bucket: 'content', id: 'wa-a', control: true, treatment: { angle: 'original' } },
+        { key: 'B', bucket: 'content', id: 'wa-b', treatment: { angle: 'urgency', visualStyle: 'neon-accent' } }
+      ]
+    });
+    store.update(whatsapp.id, (current) => ({ ...current, status: 'running', launchedAt: new Date(Date.now() - 3600000).toISOString() }));
+    const events = (name, keys) => keys.map((variantKey) => ({ event_name: name, attributes: { abTestId: whatsapp.id, variantKey } }));
+    const byEvent = {
+      WhatsAppCreativeSent: [...events('WhatsAppCreativeSent', ['A', 'A', 'A', 'B', 'B', 'B']), { attributes: { abTestId: 'AB-other', variantKey: 'A' } }],
+      WhatsAppCreativeClicked: [...events('WhatsAppCreativeClicked', ['B', 'B', 'B']), { attributes: { abTestId: 'AB-other', variantKey: 'A' } }]
+    };
+    MoengageClient.prototype.getBusinessEvents = async ({ event_name: eventName }) => ({ data: byEvent[eventName] || [] });
+    const trackedWhatsApp = await quiet(() => trackTest(orchestrator, store.get(whatsapp.id)));
+    assert.deepStrictEqual(trackedWhatsApp.variants.map((v) => [v.metrics.sent, v.metrics.clicks]), [[3, 0], [3, 3]]);
+    assert.strictEqual(trackedWhatsApp.winner.key, 'B');
+    console.log('   ✅ WhatsApp split test tracked from tagged events');
+
+    // Manual winners, unknown keys, and the style notes winners feed into briefs
+    await assert.rejects(declareWinner(orchestrator, whatsapp.id, 'C'), { code: 'INVALID_AB_TEST' });
+    const manual = await quiet(() => declareWinner(orchestrator, whatsapp.id, 'a', { manual: true }));
+    assert.deepStrictEqual([manual.winner.key, manual.winner.manual], ['A', true]);
+    const notes = winningStyleNotes(store, { platform: 'email' });
+    assert.deepStrictEqual(notes, ['- Email subject line on email ("SIP step-up"): curiosity angle, hook "The 10% habit that doubles your corpus" won against 1 other variant(s)']);
+    assert.strictEqual(winningStyleNotes(store).length, 2);
+    console.log('   ✅ Manual winners and winning style notes');
+
+    console.log('\n✅ All A/B variant tests passed');
+  } finally {
+    Object.assign(MoengageClient.prototype, original);
+    for (const [key, value] of Object.entries(env)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+    store.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+run().catch((error) => {
+  console.error('\n❌ Test failed:', error.message);
+  console.error(error.stack);
+  process.exit(1);
+});
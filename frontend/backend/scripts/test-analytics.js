@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+/**
+ * Test Script for Campaign Analytics
+ *
+ * Runs the analytics page helpers (app/analytics/analytics.ts, compiled on the fly with the
+ * frontend's TypeScript) over an in-memory workflow state: rows joined from published records,
+ * metrics, content and campaigns, email reports fetched for sends without metrics yet,
+ * breakdowns with recomputed rates, cost per asset and CSV export.
+ *
+ * Usage:
+ *   node scripts/test-analytics.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const Module = require('module');
+const ts = require('typescript');
+
+const SOURCE = path.join(__dirname, '..', '..', 'app', 'analytics', 'analytics.ts');
+
+function loadAnalytics() {
+  const { outputText } = ts.transpileModule(fs.readFileSync(SOURCE, 'utf8'), {
+    compilerOptions: { module: ts.ModuleKind.CommonJS, target: ts.ScriptTarget.ES2020 }
+  });
+  const mod = new Module(SOURCE);
+  mod.filename = SOURCE;
+  mod._compile(outputText, SOURCE);
+  return mod.exports;
+}
+
+function buckets() {
+  return {
+    campaigns: {
+      'CMP-SIP': { id: 'CMP-SIP', topic: 'Step-up SIP', targetAudience: 'mass_affluent' }
+    },
+    content: {
+      'content-sip': { id: 'content-sip', topic: 'Step-up SIP', contentType: 'carousel', targetAudience: 'mass_affluent' },
+      'content-mail': { id: 'content-mail', topic: 'Gold, explained', contentType: 'email-newsletter' }
+    },
+    visuals: {
+      'visual-sip': { id: 'visual-sip', topic: 'Step-up SIP', images: [{ path: '/tmp/a.png' }, { hostedUrl: 'https://i.ibb.co/sip.png' }], completedAt: '2026-01-02T00:00:00Z' }
+    },
+    videos: {
+      'video-sip': { id: 'video-sip', topic: 'Step-up SIP' }
+    },
+    published: {
+      'pub-li': { id: 'pub-li', platform: 'linkedin', topic: 'Step-up SIP', campaignId: 'CMP-SIP', mediaType: 'carousel', url: 'https://linkedin.com/p/1', publishedAt: '2026-01-03T09:00:00Z' },
+      'pub-yt': { id: 'pub-yt', platform: 'youtube', topic: 'Step-up SIP', campaignId: 'CMP-SIP', mediaType: 'video', videoId: 'abc123' },
+      'pub-mail': { id: 'pub-mail', platform: 'email', topic: 'Gold, explained', status: 'published', contentId: 'content-mail', moengageCampaignId: 'MOE-1' },
+      'pub-later': { id: 'pub-later', platform: 'email', topic: 'Gold, explained', status: 'scheduled', scheduledAt: '2999-01-01T00:00:00Z', moengageCampaignId: 'MOE-2' }
+    },
+    metrics: {
+      'm-li': { type: 'post-metrics', seriesId: 'pub-li', publishedId: 'pub-li', contentId: 'content-sip', platform: 'linkedin', metrics: { impressions: 1000, likes: 40, comments: 5, clicks: 25 }, completedAt: '2026-01-05T00:00:00Z' },
+      'm-yt': { type: 'post-metrics', seriesId: 'pub-yt', publishedId: 'pub-yt', platform: 'youtube', metrics: { impressions: 3000, videoViews: 900, engagements: 60 }, completedAt: '2026-01-05T00:00:00Z' },
+      'other': { type: 'metrics-run', seriesId: 'ignored' }
+    }
+  };
+}
+
+function run() {
+  console.log('🧪 Testing Campaign Analytics\n');
+  const analytics = loadAnalytics();
+  const { withRates, emailReportCounts, pendingEmailReports, buildRows, breakdown, campaignCosts, breakdownCsv, toCsv, ROW_CSV_COLUMNS } = analytics;
+
+  // Rates and email report counts, as the backend derives them
+  const rated = withRates({ impressions: 1000, likes: 40, comments: 5, clicks: 25 });
+  assert.deepStrictEqual([rated.engagements, rated.ctr, rated.engagementRate, rated.openRate, rated.reach], [70, 0.025, 0.07, null, null]);
+  const email = emailReportCounts({ data: { stats: { delivered: '2000', unique_opens: 500, unique_clicks: 60 } } });
+  assert.deepStrictEqual([email.sends, email.opens, email.clicks, email.openRate, email.ctr], [2000, 500, 60, 0.25, 0.03]);
+  console.log('   ✅ Derived rates and email report counts');
+
+  // Sent emails without a metrics entry are fetched directly; future sends are not
+  const state = buckets();
+  assert.deepStrictEqual(pendingEmailReports(state), [
+    { seriesId: 'pub-mail', publishedId: 'pub-mail', contentId: 'content-mail', variantKey: null, moengageCampaignId: 'MOE-1' }
+  ]);
+  state.published['pub-ab'] = {
+    id: 'pub-ab', platform: 'email', status: 'published', topic: 'Gold, explained',
+    variants: [{ key: 'A', id: 'content-mail', moengageCampaignId: 'MOE-A' }, { key: 'B', id: 'content-b', moengageCampaignId: 'MOE-B' }]
+  };
+  state.metrics['m-ab'] = { type: 'post-metrics', seriesId: 'pub-ab:A', publishedId: 'pub-ab', platform: 'email', metrics: { sends: 100 } };
+  assert.deepStrictEqual(pendingEmailReports(state).map((item) => [item.seriesId, item.variantKey, item.moengageCampaignId]), [
+    ['pub-mail', null, 'MOE-1'],
+    ['pub-ab:B', 'B', 'MOE-B']
+  ]);
+  delete state.published['pub-ab'];
+  delete state.metrics['m-ab'];
+  console.log('   ✅ Pending email reports for sent campaigns and variants');
+
+  // Rows join metrics with their published record, content and campaign
+  const rows = buildRows(state, { 'pub-mail': { metrics: email, fetchedAt: '2026-01-06T00:00:00Z' } });
+  const byId = Object.fromEntries(rows.map((row) => [row.seriesId, row]));
+  assert.deepStrictEqual(Object.keys(byId).sort(), ['pub-li', 'pub-mail', 'pub-yt']);
+  assert.deepStrictEqual(
+    [byId['pub-li'].campaign, byId['pub-li'].format, byId['pub-li'].audience, byId['pub-li'].url, byId['pub-li'].thumbnail],
+    ['Step-up SIP', 'carousel', 'mass_affluent', 'https://linkedin.com/p/1', 'https://i.ibb.co/sip.png']
+  );
+  assert.strictEqual(byId['pub-yt'].thumbnail, 'https://i.ytimg.com/vi/abc123/hqdefault.jpg');
+  assert.deepStrictEqual(
+    [byId['pub-mail'].campaignId, byId['pub-mail'].campaign, byId['pub-mail'].format, byId['pub-mail'].audience, byId['pub-mail'].updatedAt],
+    ['topic:Gold, explained', 'Gold, explained', 'newsletter', 'unspecified', '2026-01-06T00:00:00Z']
+  );
+  console.log('   ✅ Rows join published posts, metrics, content and campaigns');
+
+  // Breakdowns add counts up, recompute rates from the totals and list the most engaging first
+  const byCampaign = breakdown(rows, 'campaign');
+  assert.deepStrictEqual(byCampaign.map((group) => [group.key, group.label, group.posts]), [
+    ['CMP-SIP', 'Step-up SIP', 2],
+    ['topic:Gold, explained', 'Gold, explained', 1]
+  ]);
+  assert.deepStrictEqual([byCampaign[0].impressions, byCampaign[0].engagements, byCampaign[0].engagementRate], [4000, 130, 0.0325]);
+  assert.deepStrictEqual(breakdown(rows, 'platform').map((group) => [group.key, group.engagements]), [['linkedin', 70], ['youtube', 60], ['email', 60]]);
+  console.log('   ✅ Breakdowns by campaign and platform');
+
+  // Spend per campaign over the assets generated for its topic
+  const costs = campaignCosts([
+    { campaignId: 'CMP-SIP', totalUsd: 1.2, calls: 8 },
+    { campaignId: 'topic:Gold, explained', totalUsd: 0.3, calls: 2 },
+    { campaignId: 'topic:Nothing yet', totalUsd: 0.5, calls: 1 }
+  ], state);
+  assert.deepStrictEqual(costs.map((cost) => [cost.campaign, cost.assets, cost.costPerAsset]), [
+    ['Step-up SIP', 4, 0.3],
+    ['Gold, explained', 1, 0.3],
+    ['Nothing yet', 0, null]
+  ]);
+  console.log('   ✅ Cost per asset');
+
+  // CSV: quoted cells, cost columns only on campaign breakdowns
+  assert.strictEqual(toCsv([{ a: 'x, "y"', b: null }, { a: 'line\nbreak', b: 2 }], ['a', 'b']), 'a,b\n"x, ""y""",\n"line\nbreak",2');
+  const campaignCsv = breakdownCsv(byCampaign, costs).split('\n');
+  assert.ok(campaignCsv[0].startsWith('key,label,posts,impressions,') && campaignCsv[0].endsWith(',openRate,spendUsd,assets,costPerAsset'));
+  assert.match(campaignCsv[2], /^"topic:Gold, explained","Gold, explained",1,.*,0\.3,1,0\.3$/);
+  assert.ok(breakdownCsv(breakdown(rows, 'platform'), []).split('\n')[0].endsWith(',openRate'));
+  assert.strictEqual(toCsv(rows, ROW_CSV_COLUMNS).split('\n').length, 4);
+  console.log('   ✅ CSV export');
+
+  console.log('\n✅ All campaign analytics tests passed');
+}
+
+try {
+  run();
+} catch (error) {
+  console.error('\n❌ Test failed:', error.message);
+  console.error(error.stack);
+  process.exit(1);
+}
@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+/**
+ * Test Script for Brand Conformance
+ *
+ * Scores synthetic RGBA images with BrandConformanceChecker.checkPixels (palette, logo zone,
+ * text contrast, aspect ratio) and runs ImageGenerator's regenerate-below-threshold loop with
+ * a stubbed generator. No image decoding or API keys needed.
+ *
+ * Usage:
+ *   node scripts/test-brand-conformance.js
+ */
+
+const assert = require('assert');
+const BrandConformanceChecker = require('../image/brand-conformance');
+const ImageGenerator = require('../image/image-generator');
+
+const { deltaE2000, rgbToLab, hexToRgb, extractPalette } = BrandConformanceChecker;
+
+const NAVY = hexToRgb('#0e0e6a');
+const WHITE = [255, 255, 255];
+
+/**
+ * RGBA pixels from a color function
+ */
+function paint(width, height, colorAt) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const [r, g, b] = colorAt(x, y);
+      data.set([r, g, b, 255], (y * width + x) * 4);
+    }
+  }
+  return data;
+}
+
+// Background with a block of 1px "text" lines in the middle (and optionally in the logo zone)
+function slide({ background = NAVY, text = WHITE, width = 200, height = 200, logo = false } = {}) {
+  return paint(width, height, (x, y) => {
+    const inTextBlock = x >= 20 && x < 140 && y >= 80 && y < 140;
+    const inLogoZone = logo && x >= width * 0.8 && y < height * 0.12;
+    return (inTextBlock || inLogoZone) && (x + y) % 2 === 0 ? text : background;
+  });
+}
+
+async function quiet(fn) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+  }
+}
+
+async function run() {
+  console.log('🧪 Testing Brand Conformance\n');
+  const checker = new BrandConformanceChecker({ threshold: 70 });
+
+  // Color science: CIEDE2000 reference pair (Sharma et al.) and palette extraction
+  assert.strictEqual(deltaE2000([50, 2.6772, -79.7751], [50, 0, -82.7485]).toFixed(4), '2.0425');
+  assert.strictEqual(deltaE2000(rgbToLab(NAVY), rgbToLab(NAVY)), 0);
+  const palette = extractPalette(paint(100, 100, (x) => (x < 70 ? NAVY : WHITE)));
+  assert.deepStrictEqual(palette.map((color) => [color.hex, Number(color.share.toFixed(2))]), [['#0e0e6a', 0.7], ['#ffffff', 0.3]]);
+  console.log('   ✅ CIEDE2000 distance and dominant palette');
+
+  // On-brand slide: navy with readable white text, clear logo zone, right ratio
+  const good = checker.checkPixels(slide(), 200, 200, { aspectRatio: '1:1', logoZone: 'clear' });
+  assert.strictEqual(good.passed, true);
+  assert.ok(good.score >= 90, `expected a high score, got ${good.score}`);
+  assert.deepStrictEqual(good.findings, []);
+  assert.strictEqual(good.checks.palette.colors[0].nearest.name, 'Navy');
+  assert.ok(good.checks.contrast.medianRatio > 10);
+  console.log(`   ✅ On-brand slide passes (${good.score}/100)`);
+
+  // Palette drift: an orange background is flagged and fails
+  const orange = checker.checkPixels(slide({ background: [255, 136, 0] }), 200, 200);
+  assert.strictEqual(orange.passed, false);
+  assert.ok(orange.findings.some((f) => f.check === 'palette' && f.severity === 'error' && /Off-brand color #ff8800 covers \d+%/.test(f.message)));
+  assert.ok(orange.findings.some((f) => /Brand primary colors cover only 0%/.test(f.message)));
+  console.log(`   ✅ Off-brand palette fails (${orange.score}/100)`);
+
+  // Logo zone: a drawn logo top-right is flagged only when a real logo goes there
+  const logo = checker.checkPixels(slide({ logo: true }), 200, 200, { logoZone: 'clear' });
+  assert.ok(logo.findings.some((f) => f.check === 'logoZone' && /logo zone is not clear/.test(f.message)));
+  assert.ok(logo.score < good.score);
+  assert.strictEqual(checker.checkPixels(slide({ logo: true }), 200, 200, { logoZone: 'ignore' }).checks.logoZone, null);
+  console.log('   ✅ Fake logo in the top-right zone flagged');
+
+  // Low contrast: dark gray text on navy
+  const dim = checker.checkPixels(slide({ text: [90, 90, 90] }), 200, 200);
+  assert.ok(dim.findings.some((f) => f.check === 'contrast' && f.severity === 'error' && /Low text contrast: median 2\.\d:1/.test(f.message)));
+  assert.strictEqual(checker.checkPixels(paint(100, 100, () => NAVY), 100, 100).checks.contrast.score, null);
+  console.log('   ✅ Low text contrast flagged; text-free images skip the check');
+
+  // Aspect ratio against the requested ratio and the generator's resolution
+  const square = checker.checkPixels(slide(), 200, 200, { aspectRatio: '9:16' });
+  assert.ok(square.findings.some((f) => f.check === 'aspectRatio' && /Image is 200x200 \(1\.00\), expected 9:16/.test(f.message)));
+  assert.strictEqual(checker.checkPixels(slide(), 200, 200, { sourceWidth: 1080, sourceHeight: 1350, aspectInfo: { resolution: '1080x1350' } }).checks.aspectRatio.score, 100);
+  console.log('   ✅ Aspect ratio mismatch flagged');
+
+  // Corrections name what to fix
+  const corrections = checker.correctionPrompt({ findings: [...orange.findings, ...logo.findings] });
+  assert.match(corrections, /^\n\nCORRECTIONS \(previous attempt was off-brand\): Use ONLY the .* palette/);
+  assert.match(corrections, /Leave the top-right corner completely empty/);
+  assert.strictEqual(checker.correctionPrompt(good), '');
+  console.log('   ✅ Correction prompt from findings');
+
+  // ImageGenerator regenerates below the threshold with corrections and keeps the best attempt
+  const generator = new ImageGenerator();
+  const scores = [40, 65, 55];
+  const originalCheck = BrandConformanceChecker.prototype.check;
+  BrandConformanceChecker.prototype.check = async () => {
+    const score = scores.shift();
+    return { score, threshold: 70, passed: false, findings: [...orange.findings], checks: {} };
+  };
+  try {
+    const prompts = [];
+    const result = await quiet(() => generator._withBrandCheck('Carousel slide on SIPs', { aspectRatio: '1:1', brandCheck: { maxAttempts: 3, logoZone: 'clear' } }, async (prompt) => {
+      prompts.push(prompt);
+      return { images: [{ path: `/tmp/attempt-${prompts.length}.png` }] };
+    }));
+    assert.strictEqual(prompts.length, 3);
+    assert.strictEqual(prompts[0], 'Carousel slide on SIPs');
+    assert.ok(prompts.slice(1).every((prompt) => prompt.startsWith('Carousel slide on SIPs\n\nCORRECTIONS')));
+    assert.deepStrictEqual([result.conformance.score, result.conformance.attempt], [65, 2]);
+    assert.strictEqual(result.images[0].path, '/tmp/attempt-2.png');
+
+    // A passing first attempt is not regenerated
+    BrandConformanceChecker.prototype.check = async () => ({ ...good });
+    let calls = 0;
+    const passed = await quiet(() => generator._withBrandCheck('Slide', { brandCheck: {} }, async () => {
+      calls++;
+      return { images: [{ path: '/tmp/ok.png' }] };
+    }));
+    assert.strictEqual(calls, 1);
+    assert.strictEqual(passed.conformance.attempt, 1);
+  } finally {
+    BrandConformanceChecker.prototype.check = originalCheck;
+  }
+  console.log('   ✅ Regenerates below threshold and keeps the best attempt');
+
+  console.log('\n✅ All brand conformance tests passed');
+}
+
+run().catch((error) => {
+  console.error('\n❌ Test failed:', error.message);
+  console.error(error.stack);
+  process.exit(1);
+});
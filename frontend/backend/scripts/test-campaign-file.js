@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+/**
+ * Test Script for Campaign Definition Files
+ *
+ * Loads JSON, YAML and CommonJS campaign files (variables, per-platform overrides, schema
+ * errors) and runs one through runCampaignFile with the orchestrator's stages stubbed and
+ * Shotstack in simulate mode. No API keys needed.
+ *
+ * Usage:
+ *   node scripts/test-campaign-file.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readCampaignFile, resolveCampaignFile, loadCampaignFile, runCampaignFile, timedCaptions } = require('../core/campaign-file');
+
+const CAMPAIGNS_DIR = path.join(__dirname, '../../../campaigns');
+
+// Records the stage calls runCampaignFile makes
+function fakeOrchestrator() {
+  const calls = [];
+  const stage = (name, result) => async (options) => {
+    calls.push({ stage: name, options });
+    return typeof result === 'function' ? result(options) : result;
+  };
+  return {
+    calls,
+    simulate: true,
+    useBrand: (brandId) => calls.push({ stage: 'brand', options: { brandId } }),
+    _setUsageContext: () => {},
+    stageContent: stage('content', { success: true }),
+    stageVisuals: stage('visuals', { success: true, images: [{ path: 'slide-1.png' }] }),
+    stageVideo: stage('video', (options) => ({ success: true, hostedUrl: `https://cdn.example.com/${options.platform}.mp4`, duration: options.duration })),
+    stagePublishing: stage('publishing', (options) => ({ success: true, platform: options.platform }))
+  };
+}
+
+async function quiet(fn) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+  }
+}
+
+async function run() {
+  console.log('🧪 Testing Campaign Definition Files\n');
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'campaign-file-test-'));
+
+  try {
+    // YAML with variables and per-platform overrides
+    const sip = loadCampaignFile(path.join(CAMPAIGNS_DIR, 'sip-explainer.yaml'), { variables: { monthly: 10000 } });
+    assert.strictEqual(sip.name, 'PL Capital Mutual Funds Explainer');
+    assert.deepStrictEqual(sip.platforms.map((p) => p.platform), ['linkedin', 'instagram']);
+    const [linkedin, instagram] = sip.platforms.map((p) => p.definition);
+    assert.strictEqual(linkedin.topic, 'How a ₹10000 monthly SIP grows with PL Capital Mutual Funds');
+    assert.strictEqual(linkedin.captions[0], '₹10000 a month');
+    assert.deepStrictEqual(linkedin.config, { aspectRatio: '16:9', useAvatar: false });
+    assert.deepStrictEqual(instagram.config, { aspectRatio: '9:16', useAvatar: false });
+    assert.ok(instagram.hashtags.includes('Reels'));
+    assert.ok(!linkedin.hashtags.includes('Reels'));
+    assert.deepStrictEqual(loadCampaignFile(path.join(CAMPAIGNS_DIR, 'sip-explainer.yaml'), { platform: 'instagram' }).platforms.map((p) => p.platform), ['instagram']);
+    console.log('   ✅ YAML file with variables and per-platform overrides');
+
+    // CommonJS campaign module and JSON files
+    const aqua = loadCampaignFile(path.join(CAMPAIGNS_DIR, 'aqua-pms-campaign.js'));
+    assert.strictEqual(aqua.id, 'aqua-pms-video');
+    assert.deepStrictEqual(aqua.platforms.map((p) => p.platform), ['linkedin']);
+    assert.ok(aqua.platforms[0].definition.prompts.length > 1);
+    const jsonFile = path.join(tmpDir, 'gold.json');
+    fs.writeFileSync(jsonFile, JSON.stringify({ id: 'gold', topic: 'Gold ETFs', platform: 'twitter', format: 'thread' }));
+    assert.deepStrictEqual(readCampaignFile(jsonFile).topic, 'Gold ETFs');
+    fs.writeFileSync(path.join(tmpDir, 'broken.json'), '{ "id": ');
+    assert.throws(() => readCampaignFile(path.join(tmpDir, 'broken.json')), /could not parse broken\.json/);
+    assert.throws(() => readCampaignFile(path.join(tmpDir, 'missing.yaml')), { code: 'INVALID_CAMPAIGN_FILE' });
+    console.log('   ✅ JS module and JSON files; parse errors reported');
+
+    // Schema errors are collected, not thrown one at a time
+    assert.throws(() => resolveCampaignFile({
+      name: 'Bad {{thing}}',
+      topic: '',
+      platforms: ['linkedin', 'myspace'],
+      prompts: ['ok', ''],
+      captions: [{ text: 'x', duration: 0 }],
+      config: { duration: -5 },
+      autoPublish: 'yes',
+      overrides: { instagram: { hashtags: 'SIP' } }
+    }), (error) => {
+      assert.strictEqual(error.code, 'INVALID_CAMPAIGN_FILE');
+      assert.deepStrictEqual(error.errors, [
+        'undefined variable(s): thing (add them to "variables" or pass --var name=value)',
+        'id is required',
+        'topic must be a non-empty string',
+        'prompts must be a list of non-empty strings',
+        'captions must be a list of strings or { text, start, duration }',
+        'config.duration must be a positive number of seconds',
+        'autoPublish must be true or false',
+        'unknown platform "myspace" (use linkedin, instagram, youtube, facebook, twitter, email, whatsapp)',
+        'overrides.instagram.hashtags must be a list of non-empty strings'
+      ]);
+      return true;
+    });
+    assert.throws(() => resolveCampaignFile({ id: 'x', topic: 'y', platform: 'linkedin' }, { platform: 'youtube' }), /--platform youtube is not one of the file's platforms/);
+    console.log('   ✅ Schema errors collected with their field paths');
+
+    // Caption timings
+    assert.deepStrictEqual(timedCaptions(['a', 'b', { text: 'c', start: 20 }], 30), [
+      { text: 'a', start: 0, duration: 10 },
+      { text: 'b', start: 10, duration: 10 },
+      { text: 'c', start: 20, duration: 10 }
+    ]);
+    console.log('   ✅ Captions spread over the video');
+
+    // End-to-end: content, video from the prompts, captions, publishing with hashtags and CTA
+    const orchestrator = fakeOrchestrator();
+    const runs = await quiet(() => runCampaignFile(orchestrator, sip, { autoPublish: true, brandId: 'pl-capital' }));
+    assert.strictEqual(runs.length, 2);
+    assert.deepStrictEqual(orchestrator.calls.map((call) => call.stage), ['brand', 'content', 'video', 'publishing', 'content', 'video', 'publishing']);
+    const video = orchestrator.calls.find((call) => call.stage === 'video').options;
+    assert.deepStrictEqual([video.useVeo, video.useAvatar, video.duration, video.scenePrompts.length], [true, false, 22, 3]);
+    assert.strictEqual(orchestrator.calls[5].options.aspectRatio, '9:16');
+    assert.ok(runs[0].captions, 'captions rendered');
+    const publish = orchestrator.calls.filter((call) => call.stage === 'publishing').map((call) => call.options);
+    assert.match(publish[0].caption, /^Small monthly investments, .* ₹10000 a month can become\.\n\nStart your SIP: https:\/\/www\.plindia\.com\/mutual-funds\/\n\n#SIP #MutualFunds #Compounding #PLCapital$/);
+    assert.strictEqual(publish[0].cta, 'https://www.plindia.com/mutual-funds/');
+    assert.ok(publish[1].hashtags.includes('Reels'));
+    console.log('   ✅ run-file executes content, video, captions and publishing per platform');
+
+    // Image formats go through Stage 3; publishing waits for autoPublish
+    const carousel = resolveCampaignFile({ id: 'elss', topic: 'ELSS before March', platform: 'linkedin', format: 'carousel' });
+    const imageRun = fakeOrchestrator();
+    await quiet(() => runCampaignFile(imageRun, carousel));
+    assert.deepStrictEqual(imageRun.calls.map((call) => call.stage), ['brand', 'content', 'visuals']);
+    console.log('   ✅ Image formats use Stage 3; publishing only when requested');
+
+    console.log('\n✅ All campaign file tests passed');
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+run().catch((error) => {
+  console.error('\n❌ Test failed:', error.message);
+  console.error(error.stack);
+  process.exit(1);
+});
@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+/**
+ * Test Script for Campaign Types
+ *
+ * Checks the campaign type registry: built-in types, validation, defaults, the JSON form
+ * schema the UI reads, plugins loaded from campaigns/ folders, and runCampaign executing a
+ * type's stages with the stage handlers stubbed. No API keys needed.
+ *
+ * Usage:
+ *   node scripts/test-campaign-types.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const PLUGIN = `
+module.exports = {
+  id: 'sgb-explainer',
+  name: 'SGB Explainer',
+  platforms: ['instagram'],
+  defaults: { duration: 30, language: 'english' },
+  form: [{ name: 'topic', label: 'Topic', type: 'text', required: true }, { name: 'tone', label: 'Tone', type: 'select', options: ['calm', 'bold'] }],
+  stages: [
+    { stage: 'content', with: (options) => ({ platform: 'instagram', topic: options.topic, duration: options.duration }) },
+    { stage: 'visuals', with: (options, results) => ({ platform: 'instagram', contentId: results.content.id }) },
+    { stage: 'publishing', when: (options) => options.autoPublish, with: (options, results) => ({ platform: 'instagram', images: results.visuals.images }) }
+  ]
+};
+`;
+
+async function quiet(fn) {
+  const log = console.log;
+  const warn = console.warn;
+  const warnings = [];
+  console.log = () => {};
+  console.warn = (message) => warnings.push(message);
+  try {
+    return { result: await fn(), warnings };
+  } finally {
+    console.log = log;
+    console.warn = warn;
+  }
+}
+
+async function run() {
+  console.log('🧪 Testing Campaign Types\n');
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'campaign-types-test-'));
+  const pluginDir = path.join(tmpDir, 'campaigns');
+  const pluginDirs = process.env.CAMPAIGN_PLUGIN_DIRS;
+
+  try {
+    // Plugins: a campaign type, a preset that is not one, and a broken file
+    fs.mkdirSync(pluginDir);
+    fs.writeFileSync(path.join(pluginDir, 'sgb-explainer.js'), PLUGIN);
+    fs.writeFileSync(path.join(pluginDir, 'preset.js'), "module.exports = { topic: 'Not a campaign type' };");
+    fs.writeFileSync(path.join(pluginDir, 'broken.js'), "throw new Error('syntax slip');");
+    process.env.CAMPAIGN_PLUGIN_DIRS = [pluginDir, path.join(__dirname, '../../../campaigns')].join(path.delimiter);
+
+    const campaignTypes = require('../core/campaign-types');
+    const { registerCampaignType, getCampaignType, listCampaignTypes, withCampaignDefaults, describeCampaignType } = campaignTypes;
+
+    // Built-in types
+    const { result: ids, warnings } = await quiet(() => listCampaignTypes().map((type) => type.id));
+    for (const id of ['linkedin-carousel', 'instagram-reel', 'infographic', 'email-newsletter', 'twitter-thread']) {
+      assert.ok(ids.includes(id), `missing built-in ${id}`);
+    }
+    assert.deepStrictEqual(getCampaignType('linkedin-carousel').stages.map((step) => step.stage), ['content', 'visuals', 'publishing']);
+    assert.strictEqual(getCampaignType('linkedin-data-viz').planned, true);
+    assert.strictEqual(getCampaignType('nope'), null);
+    console.log(`   ✅ ${ids.length} campaign types registered`);
+
+    // Plugins from CAMPAIGN_PLUGIN_DIRS: the root campaigns/ folder and a custom one
+    assert.ok(getCampaignType('sgb-explainer').source.endsWith('sgb-explainer.js'));
+    assert.deepStrictEqual(getCampaignType('aqua-pms-video').stages.map((step) => step.stage), ['video', 'publishing']);
+    assert.strictEqual(warnings.length, 1);
+    assert.match(warnings[0], /Skipping campaign plugin .*broken\.js: syntax slip/);
+    console.log('   ✅ Plugins loaded from campaigns/ folders; presets and broken files skipped');
+
+    // Validation
+    const invalid = { code: 'INVALID_CAMPAIGN_TYPE' };
+    assert.throws(() => registerCampaignType({ id: 'Bad Id', stages: [{ stage: 'content' }] }), invalid);
+    assert.throws(() => registerCampaignType({ id: 'no-stages' }), /needs stages or a run\(\) function/);
+    assert.throws(() => registerCampaignType({ id: 'odd-stage', stages: [{ stage: 'editing' }] }), /unknown stage "editing"/);
+    assert.throws(() => registerCampaignType({ id: 'odd-form', stages: [{ stage: 'content' }], form: [{ name: 'x', type: 'slider' }] }), /invalid form field/);
+    assert.strictEqual(registerCampaignType({ id: 'later-idea', planned: true }).planned, true);
+    console.log('   ✅ Invalid definitions rejected');
+
+    // Defaults fill only missing values; the UI description is plain JSON
+    const sgb = getCampaignType('sgb-explainer');
+    assert.deepStrictEqual(withCampaignDefaults(sgb, { topic: 'SGB tranche', duration: '', language: 'hindi', tone: null }), { duration: 30, language: 'hindi', topic: 'SGB tranche' });
+    const described = describeCampaignType(sgb);
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(described)), described);
+    assert.deepStrictEqual(described.stages, ['content', 'visuals', 'publishing']);
+    assert.strictEqual(described.source, 'plugin');
+    assert.strictEqual(describeCampaignType(getCampaignType('infographic')).source, 'built-in');
+    console.log('   ✅ Defaults and UI form schema');
+
+    // runCampaign runs the stages in order, passing earlier results and skipping `when` steps
+    const SocialMediaOrchestrator = require('../core/orchestrator');
+    const orchestrator = new SocialMediaOrchestrator({ projectRoot: tmpDir, simulate: true });
+    const calls = [];
+    const stub = (stage, result) => async (options) => {
+      calls.push({ stage, options });
+      return result;
+    };
+    orchestrator._stageHandlers = () => ({
+      content: stub('content', { id: 'content-1' }),
+      visuals: stub('visuals', { images: [{ path: 'slide-1.png' }] }),
+      publishing: stub('publishing', { success: true })
+    });
+    const { result } = await quiet(() => orchestrator.runCampaign('sgb-explainer', { topic: 'SGB tranche' }));
+    assert.deepStrictEqual(calls.map((call) => call.stage), ['content', 'visuals']);
+    assert.deepStrictEqual(calls[0].options, { platform: 'instagram', topic: 'SGB tranche', duration: 30 });
+    assert.deepStrictEqual(calls[1].options, { platform: 'instagram', contentId: 'content-1' });
+    assert.deepStrictEqual(Object.keys(result), ['content', 'visuals']);
+
+    calls.length = 0;
+    await quiet(() => orchestrator.runCampaign('sgb-explainer', { topic: 'SGB tranche', autoPublish: true }));
+    assert.deepStrictEqual(calls[2], { stage: 'publishing', options: { platform: 'instagram', images: [{ path: 'slide-1.png' }] } });
+    assert.strictEqual((await quiet(() => orchestrator.runCampaign('later-idea', {}))).result, null);
+    await assert.rejects(orchestrator.runCampaign('nope', {}), /Unknown campaign type: nope/);
+    console.log('   ✅ runCampaign executes the declared stages');
+
+    console.log('\n✅ All campaign type tests passed');
+  } finally {
+    if (pluginDirs === undefined) delete process.env.CAMPAIGN_PLUGIN_DIRS;
+    else process.env.CAMPAIGN_PLUGIN_DIRS = pluginDirs;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+run().catch((error) => {
+  console.error('\n❌ Test failed:', error.message);
+  console.error(error.stack);
+  process.exit(1);
+});
@@ -0,0 +1,162 @@
+#!/usr/bin/env node
+/**
+ * Test Script for the Carousel Renderer
+ *
+ * Draws slides from the brand's carouselSlide template onto a recording 2D context to check
+ * the exact copy, layout regions, CTA, disclaimer and page numbers. When the canvas package
+ * is installed it also renders real PNG slides and the combined PDF.
+ *
+ * Usage:
+ *   node scripts/test-carousel-renderer.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CarouselRenderer = require('../image/carousel-renderer');
+const brandConfig = require('../config/brand-config');
+
+const { parseLinearGradient } = CarouselRenderer;
+
+/**
+ * Minimal CanvasRenderingContext2D that records what is drawn. Text is measured as
+ * 0.5em per character of the current font size.
+ */
+function recordingContext() {
+  const ops = [];
+  const ctx = {
+    ops,
+    font: '400 10px sans-serif',
+    fillStyle: '#000000',
+    measureText(text) {
+      const size = Number(/(\d+)px/.exec(ctx.font)[1]);
+      return { width: String(text).length * size * 0.5 };
+    },
+    fillText(text, x, y) {
+      ops.push({ op: 'text', text, x, y, font: ctx.font, color: ctx.fillStyle });
+    },
+    fillRect(x, y, w, h) {
+      ops.push({ op: 'rect', x, y, w, h, color: ctx.fillStyle });
+    },
+    drawImage(image, ...args) {
+      ops.push({ op: 'image', image, args });
+    },
+    createLinearGradient(...coords) {
+      const gradient = { coords, stops: [], addColorStop: (offset, color) => gradient.stops.push([offset, color]) };
+      ops.push({ op: 'gradient', gradient });
+      return gradient;
+    }
+  };
+  for (const name of ['beginPath', 'moveTo', 'arcTo', 'closePath', 'fill', 'save', 'restore', 'clip']) {
+    ctx[name] = () => {};
+  }
+  return ctx;
+}
+
+function drawSlide(renderer, slides, index, options = {}) {
+  const ctx = recordingContext();
+  renderer._drawSlide(ctx, slides[index], { index, total: slides.length, disclaimer: 'Investments are subject to market risks.', ...options });
+  return ctx.ops;
+}
+
+const texts = (ops) => ops.filter((op) => op.op === 'text').map((op) => op.text);
+
+async function run() {
+  console.log('🧪 Testing Carousel Renderer\n');
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'carousel-renderer-test-'));
+
+  try {
+    // Gradient parsing and the brand template
+    assert.deepStrictEqual(parseLinearGradient('linear-gradient(135deg, #0e0e6a 0%, #3c3cf8 100%)'), {
+      angle: 135,
+      stops: [{ color: '#0e0e6a', offset: 0 }, { color: '#3c3cf8', offset: 1 }]
+    });
+    assert.strictEqual(parseLinearGradient('#0e0e6a'), null);
+    const renderer = new CarouselRenderer({ outputDir: tmpDir });
+    assert.strictEqual(renderer.template, brandConfig.imageTemplates.carouselSlide);
+    assert.deepStrictEqual(renderer.template.dimensions, { width: 1080, height: 1080 });
+    console.log('   ✅ Brand template and gradient background');
+
+    const slides = [
+      { title: 'Step-up SIPs', body: 'Raise your SIP every year.', highlight: 'SIP basics' },
+      { title: 'Start with ₹500', body: 'Increase it by 10% each year as your income grows.' },
+      { title: 'Ready to start?', body: 'Talk to an advisor today.' }
+    ];
+
+    // Cover: gradient background, copy drawn exactly, highlight chip, disclaimer and page number
+    const cover = drawSlide(renderer, slides, 0);
+    const gradient = cover.find((op) => op.op === 'gradient').gradient;
+    assert.deepStrictEqual(gradient.stops, [[0, '#0e0e6a'], [1, '#3c3cf8']]);
+    assert.deepStrictEqual(texts(cover), ['SIP BASICS', 'Step-up SIPs', 'Raise your SIP every year.', 'Investments are subject to market risks.', '1/3']);
+    assert.ok(cover.find((op) => op.text === 'Step-up SIPs').font.startsWith('800 82px "'));
+    assert.ok(cover.filter((op) => op.op === 'text' && op.text !== 'SIP BASICS').every((op) => op.color === '#ffffff'));
+    console.log('   ✅ Cover slide copy, highlight, disclaimer and page number');
+
+    // Content slide: light background with the accent bar and navy text
+    const content = drawSlide(renderer, slides, 1);
+    assert.strictEqual(content.find((op) => op.op === 'gradient'), undefined);
+    assert.deepStrictEqual(content.slice(0, 2).map((op) => [op.op, op.color]), [['rect', '#ffffff'], ['rect', renderer.roles.accent]]);
+    assert.strictEqual(content.find((op) => op.text === 'Start with ₹500').color, renderer.roles.dark);
+    assert.ok(texts(content).includes('2/3'));
+    console.log('   ✅ Content slide colors from the brand roles');
+
+    // Final slide: the CTA button text, never replaced by a model's spelling
+    const final = drawSlide(renderer, slides, 2, { finalSlideCta: 'Open a free demat account' });
+    assert.ok(texts(final).includes('Open a free demat account'));
+    assert.strictEqual(final.find((op) => op.text === 'Open a free demat account').font, renderer._font(700, renderer.template.content.bodySize));
+    assert.ok(texts(final).includes('3/3'));
+    console.log('   ✅ Final slide CTA');
+
+    // Long copy wraps within the text column and shrinks instead of overflowing
+    const long = { title: 'Why a yearly step-up turns a small SIP into a serious retirement corpus over twenty years', body: 'Word '.repeat(200).trim() };
+    const wrapped = drawSlide(renderer, [slides[0], long, slides[2]], 1);
+    const titleLines = wrapped.filter((op) => op.op === 'text' && op.font.startsWith('800'));
+    assert.ok(titleLines.length > 1);
+    const bodyLines = wrapped.filter((op) => op.op === 'text' && op.font.startsWith('500'));
+    assert.ok(Number(/(\d+)px/.exec(bodyLines[0].font)[1]) < renderer.template.content.bodySize);
+    const footerY = 1080 - renderer.template.footer.height;
+    assert.ok(bodyLines.every((op) => op.y < footerY));
+    console.log('   ✅ Long copy wraps and shrinks above the footer');
+
+    // Illustration goes into the reserved region and the text column narrows to its left
+    const illustration = { width: 800, height: 800 };
+    const illustrated = drawSlide(renderer, [slides[0], long, slides[2]], 1, { illustration });
+    const region = renderer.template.illustration.region;
+    const placed = illustrated.find((op) => op.op === 'image' && op.image === illustration);
+    assert.deepStrictEqual(placed.args.slice(4), [region.x, region.y, region.width, region.height]);
+    const narrowTitle = illustrated.filter((op) => op.op === 'text' && op.font.startsWith('800'));
+    assert.ok(narrowTitle.length > titleLines.length);
+    assert.ok(narrowTitle.every((op) => op.text.length * Number(/(\d+)px/.exec(op.font)[1]) * 0.5 <= region.x - 40 - renderer.template.content.padding));
+    console.log('   ✅ Illustration placed in the reserved region');
+
+    // Real PNG + PDF export when canvas is installed
+    let canvasAvailable = true;
+    try {
+      require('canvas');
+    } catch {
+      canvasAvailable = false;
+    }
+    if (canvasAvailable) {
+      const rendered = await renderer.render(slides, { finalSlideCta: 'Open a free demat account', prefix: 'test' });
+      assert.deepStrictEqual(rendered.images.map((img) => img.slideNumber), [1, 2, 3]);
+      assert.ok(rendered.images.every((img) => fs.readFileSync(img.path).subarray(1, 4).toString() === 'PNG'));
+      assert.strictEqual(fs.readFileSync(rendered.pdf.path).subarray(0, 5).toString(), '%PDF-');
+      assert.strictEqual(rendered.pdf.pages, 3);
+      console.log('   ✅ PNG slides and combined PDF written');
+    } else {
+      await assert.rejects(renderer.render(slides), /Carousel renderer needs the canvas package/);
+      console.log('   ✅ Without canvas, render() fails with a clear error (PNG/PDF export not exercised)');
+    }
+
+    console.log('\n✅ All carousel renderer tests passed');
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+run().catch((error) => {
+  console.error('\n❌ Test failed:', error.message);
+  console.error(error.stack);
+  process.exit(1);
+});
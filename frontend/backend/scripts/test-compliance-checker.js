@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+/**
+ * Test Script for the SEBI Compliance Checker
+ *
+ * Runs checkCopy over sample copy: prohibited claims (including negated ones), return
+ * figures with and without a source or time period, and the disclaimer rule.
+ *
+ * Usage:
+ *   node scripts/test-compliance-checker.js
+ */
+
+const assert = require('assert');
+const { checkCopy, checkEntry } = require('../core/compliance-checker');
+
+const DISCLAIMER = 'Mutual fund investments are subject to market risks, read all scheme related documents carefully.';
+
+function check(text, options) {
+  return checkCopy([{ field: 'body', text: `${text} ${DISCLAIMER}` }], options);
+}
+
+function rules(report, severity) {
+  return report.findings.filter((f) => !severity || f.severity === severity).map((f) => f.rule);
+}
+
+function run() {
+  console.log('🧪 Testing SEBI Compliance Checker\n');
+
+  // Affirmative prohibited claims block publishing
+  for (const text of [
+    'Guaranteed returns on every SIP.',
+    'Returns are guaranteed with this plan.',
+    'A sure-shot way to build wealth.',
+    'This fund is risk-free.',
+    'There is no risk in this scheme.',
+    'Double your money in a few years.',
+    "You can't lose with index funds.",
+    'No entry load and guaranteed returns.',
+    'Not only risk-free returns but tax savings too.',
+    'This plan offers not just sure-shot gains.',
+    'It is not merely a guaranteed income scheme.'
+  ]) {
+    const report = check(text);
+    assert.strictEqual(report.passed, false, text);
+    assert.ok(rules(report, 'error').includes('prohibited-claim'), text);
+  }
+  console.log('   ✅ Prohibited claims are errors');
+
+  // Negated phrases are the compliant way to say it
+  for (const text of [
+    'We do not guarantee returns.',
+    'Mutual funds are not risk-free.',
+    'Equity is never a sure-shot bet.',
+    "Past performance doesn't guarantee future returns.",
+    'No fund offers assured returns.'
+  ]) {
+    const report = check(text);
+    assert.deepStrictEqual(rules(report, 'error'), [], text);
+  }
+  console.log('   ✅ Negated claims are allowed');
+
+  // A negated phrase does not hide an affirmative one elsewhere in the copy
+  const mixed = check('We do not guarantee profits. But we guarantee returns.');
+  assert.deepStrictEqual(rules(mixed, 'error'), ['prohibited-claim']);
+  assert.strictEqual(mixed.findings[0].excerpt, 'guarantee returns');
+  console.log('   ✅ Affirmative claim found after a negated one');
+
+  // Period-qualified past performance without a source is a warning, not a blocking error
+  const historical = check('Equity has historically delivered 12% CAGR over the last 20 years.');
+  assert.strictEqual(historical.passed, true);
+  assert.deepStrictEqual(rules(historical), ['unverifiable-return']);
+  assert.strictEqual(historical.findings[0].severity, 'warning');
+  const since = check('The Nifty 50 has delivered 11% CAGR since 2005.');
+  assert.strictEqual(since.passed, true);
+  console.log('   ✅ Period-qualified past returns are warnings');
+
+  // Figures with a source are clean; promises and period-less performance still block
+  assert.deepStrictEqual(rules(check('Equity delivered 12% CAGR over the last 20 years (source: NSE).')), []);
+  assert.deepStrictEqual(rules(check('Earn 12% returns every year.'), 'error'), ['unverifiable-return']);
+  assert.deepStrictEqual(rules(check('The fund delivered 24%.'), 'error'), ['unverifiable-return', 'performance-without-period']);
+  assert.deepStrictEqual(rules(check('This plan does not promise 12% returns.'), 'error'), []);
+  assert.deepStrictEqual(rules(check('The fund delivered 24% (source: AMFI).'), 'error'), ['performance-without-period']);
+  console.log('   ✅ Unsourced promises and period-less performance are errors');
+
+  // Cited sources on the entry cover its return figures
+  const sourced = checkEntry({ summary: `The fund returned 18% in FY24. ${DISCLAIMER}`, sources: [{ url: 'https://www.amfiindia.com' }] });
+  assert.strictEqual(sourced.passed, true);
+  console.log('   ✅ Entry sources satisfy the source rule');
+
+  // Disclaimer rule
+  const noDisclaimer = checkCopy([{ field: 'body', text: 'Start a SIP this month.' }], { audience: 'all_clients' });
+  assert.ok(rules(noDisclaimer, 'error').includes('missing-disclaimer'));
+  const spokenOnly = checkCopy([{ field: 'script', text: 'Start a SIP this month.', spoken: true }]);
+  assert.ok(!rules(spokenOnly).includes('missing-disclaimer'));
+  const appended = checkCopy([{ field: 'body', text: 'Start a SIP this month.' }], { disclaimerAppended: true });
+  assert.ok(!rules(appended).includes('missing-disclaimer'));
+  console.log('   ✅ Disclaimer required for written copy only');
+
+  console.log('\n✅ All compliance checker tests passed');
+}
+
+try {
+  run();
+} catch (error) {
+  console.error('\n❌ Test failed:', error.message);
+  console.error(error.stack);
+  process.exit(1);
+}
@@ -0,0 +1,197 @@
+#!/usr/bin/env node
+/**
+ * Test Script for the Content Calendar
+ *
+ * Plans calendars offline against a temporary data directory: brief validation, slots from the
+ * cadence with events pinned, the weighted product mix, topics de-duplicated against each other,
+ * topic history and saved calendars, slot edits, and campaign records created from slots. Topics
+ * come from a stub text client or the product reference; nothing is called.
+ *
+ * Usage:
+ *   node scripts/test-content-calendar.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CalendarStore = require('../core/content-calendar');
+const StateManager = require('../core/state-manager');
+const { saveTopicToHistory, loadRecentTopics, isTooSimilarToRecent, TOPIC_HISTORY_FILENAME } = require('../core/topic-history');
+const { getCampaignType } = require('../core/campaign-types');
+
+const { generateCalendar, parseProductReference, parseProductMix, parseCadence } = CalendarStore;
+
+const REFERENCE_PATH = path.join(__dirname, '..', '..', 'public', 'pl-products-reference.md');
+// Mon 2 Nov – Sun 8 Nov 2026, with Muhurat Trading on the Sunday
+const BRIEF = {
+  from: '2026-11-02',
+  to: '2026-11-08',
+  products: 'PMS:2,MTF',
+  cadence: 'linkedin:3,instagram:2',
+  events: [{ date: '2026-11-08', name: 'Muhurat Trading', products: ['MTF'] }]
+};
+
+// Text client answering every slot with the topics given (by slot number), or unavailable
+function textClient(topics) {
+  const calls = [];
+  return {
+    calls,
+    isAvailable: () => Boolean(topics),
+    async generateJson(task, request) {
+      calls.push({ task, ...request });
+      return { data: { topics: Object.entries(topics).map(([slot, topic]) => ({ slot: Number(slot), topic })) } };
+    }
+  };
+}
+
+function assertDistinct(topics, message) {
+  topics.forEach((topic, index) => {
+    assert.ok(!isTooSimilarToRecent(topic, topics.slice(0, index)), `${message}: "${topic}"`);
+  });
+}
+
+async function quiet(fn) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+  }
+}
+
+async function run() {
+  console.log('🧪 Testing Content Calendar\n');
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'content-calendar-test-'));
+  const store = new CalendarStore(tmpDir);
+
+  try {
+    // Brief parsing
+    assert.deepStrictEqual(parseProductMix('pms:2, MTF,PMS'), [{ key: 'PMS', weight: 2 }, { key: 'MTF', weight: 1 }]);
+    assert.deepStrictEqual(parseProductMix([{ name: 'SGB', weight: 3 }, 'AIF']), [{ key: 'SGB', weight: 3 }, { key: 'AIF', weight: 1 }]);
+    assert.deepStrictEqual(parseCadence('LinkedIn:3, instagram:5'), { linkedin: 3, instagram: 5 });
+    assert.deepStrictEqual(parseCadence(), { linkedin: 3, instagram: 3, twitter: 3 });
+    const invalid = { code: 'INVALID_CALENDAR' };
+    assert.throws(() => parseProductMix('PMS:0'), invalid);
+    assert.throws(() => parseProductMix(''), invalid);
+    assert.throws(() => parseCadence('tiktok:3'), { ...invalid, message: /Unknown cadence platform "tiktok"/ });
+    assert.throws(() => parseCadence({ linkedin: 8 }), { ...invalid, message: /1-7 posts per week/ });
+    console.log('   ✅ Product mix and cadence parsing');
+
+    // Invalid briefs
+    await assert.rejects(generateCalendar({ ...BRIEF, to: '2026-11-01' }, { simulate: true }), { ...invalid, message: /on or after from/ });
+    await assert.rejects(generateCalendar({ ...BRIEF, to: '2027-03-01' }, { simulate: true }), { ...invalid, message: /at most 92 days/ });
+    await assert.rejects(generateCalendar({ ...BRIEF, from: '2026-02-30' }, { simulate: true }), { ...invalid, message: /from must be a date/ });
+    await assert.rejects(generateCalendar({ ...BRIEF, events: ['2026-12-25=Christmas'] }, { simulate: true }), { ...invalid, message: /outside 2026-11-02/ });
+    await assert.rejects(generateCalendar({ ...BRIEF, events: [{ date: '2026-11-03', name: 'Gold day', products: ['SGB'] }] }, { simulate: true }), { ...invalid, message: /SGB is not in the product mix/ });
+    console.log('   ✅ Invalid briefs are rejected');
+
+    // Product reference: offerings by name or type, ideas under their product
+    const reference = parseProductReference(fs.readFileSync(REFERENCE_PATH, 'utf8'));
+    const aqua = reference.find((product) => product.name.startsWith('AQUA PMS'));
+    assert.ok(aqua && /PMS/.test(aqua.type), 'AQUA PMS is in the reference');
+    assert.ok(aqua.ideas.length > 0, 'AQUA PMS has campaign ideas');
+    console.log('   ✅ Product reference parsed');
+
+    // Slots: cadence weekdays plus a slot for the event day, weighted products, valid formats
+    const calendar = await quiet(() => generateCalendar(BRIEF, { simulate: true, referencePath: REFERENCE_PATH }));
+    assert.deepStrictEqual(calendar.slots.map((slot) => `${slot.date} ${slot.platform}`), [
+      '2026-11-02 linkedin',
+      '2026-11-03 instagram',
+      '2026-11-04 linkedin',
+      '2026-11-05 instagram',
+      '2026-11-06 linkedin',
+      '2026-11-08 linkedin'
+    ]);
+    assert.deepStrictEqual(calendar.slots.map((slot) => slot.id), ['S001', 'S002', 'S003', 'S004', 'S005', 'S006']);
+    const eventSlot = calendar.slots[5];
+    assert.deepStrictEqual([eventSlot.event, eventSlot.product], ['Muhurat Trading', 'MTF']);
+    assert.match(eventSlot.topic, /Muhurat Trading/);
+    const counts = calendar.slots.slice(0, 5).reduce((acc, slot) => ({ ...acc, [slot.product]: (acc[slot.product] || 0) + 1 }), {});
+    assert.deepStrictEqual(counts, { PMS: 3, MTF: 2 });
+    for (const slot of calendar.slots) {
+      assert.ok(getCampaignType(slot.campaignType)?.platforms.includes(slot.platform), `${slot.campaignType} publishes to ${slot.platform}`);
+      assert.strictEqual(slot.status, 'planned');
+    }
+    assert.deepStrictEqual(calendar.warnings, []);
+    assertDistinct(calendar.slots.map((slot) => slot.topic), 'calendar topics are distinct');
+    console.log('   ✅ Slots follow the cadence, events and product weights');
+
+    // Products missing from the reference are planned by name with a warning
+    const unknown = await quiet(() => generateCalendar({ ...BRIEF, products: 'XYZ', events: [] }, { simulate: true, referencePath: REFERENCE_PATH }));
+    assert.match(unknown.warnings[0], /XYZ is not in pl-products-reference\.md/);
+    assert.ok(unknown.slots.every((slot) => slot.productName === 'XYZ' && slot.topicSource === 'template'));
+    assertDistinct(unknown.slots.map((slot) => slot.topic), 'template topics are distinct');
+    console.log('   ✅ Unknown products fall back to templates with a warning');
+
+    // Generated topics are used unless they repeat an accepted one
+    const client = textClient({ 1: 'Why Quant Beats Gut Feel in Volatile Markets', 2: 'Why Quant Beats Gut Feel in Volatile Markets', 3: '' });
+    const generated = await quiet(() => generateCalendar(BRIEF, { referencePath: REFERENCE_PATH, textClient: client }));
+    assert.strictEqual(client.calls[0].task, 'calendar-topics');
+    assert.match(client.calls[0].prompt, /1\. 2026-11-02 \| linkedin \| /);
+    assert.deepStrictEqual([generated.slots[0].topic, generated.slots[0].topicSource], ['Why Quant Beats Gut Feel in Volatile Markets', 'ai']);
+    assert.notStrictEqual(generated.slots[1].topicSource, 'ai');
+    assert.notStrictEqual(generated.slots[2].topicSource, 'ai');
+    console.log('   ✅ Generated topics are used and de-duplicated');
+
+    // Saved calendars avoid topic history and each other's topics
+    saveTopicToHistory(tmpDir, calendar.slots[0].topic);
+    assert.deepStrictEqual(loadRecentTopics(tmpDir), [calendar.slots[0].topic]);
+    assert.ok(fs.existsSync(path.join(tmpDir, TOPIC_HISTORY_FILENAME)));
+    const first = await quiet(() => store.generate({ ...BRIEF, name: 'November' }, { simulate: true, referencePath: REFERENCE_PATH }));
+    const second = await quiet(() => store.generate(BRIEF, { simulate: true, referencePath: REFERENCE_PATH }));
+    assert.ok(!first.slots.some((slot) => isTooSimilarToRecent(slot.topic, [calendar.slots[0].topic])), 'first calendar avoids topic history');
+    assert.ok(!second.slots.some((slot) => first.slots.some((other) => other.topic === slot.topic)), 'second calendar avoids the first');
+    assert.deepStrictEqual(store.list().map((item) => [item.name, item.slotCount, item.campaignsCreated]).sort(), [
+      ['Content calendar 2026-11-02 – 2026-11-08', 6, 0],
+      ['November', 6, 0]
+    ]);
+    console.log('   ✅ Saved calendars avoid topic history and each other');
+
+    // Slot edits
+    const edited = store.updateSlot(first.id, 'S002', { topic: '  MTF for Muhurat  ', date: '2026-11-07', notes: 'Shorter copy' });
+    assert.deepStrictEqual([edited.topic, edited.topicSource, edited.date, edited.notes], ['MTF for Muhurat', 'manual', '2026-11-07', 'Shorter copy']);
+    assert.deepStrictEqual(store.get(first.id).slots.map((slot) => slot.id), ['S001', 'S003', 'S004', 'S005', 'S002', 'S006']);
+    assert.throws(() => store.updateSlot(first.id, 'S001', { platform: 'tiktok' }), invalid);
+    assert.throws(() => store.updateSlot(first.id, 'S001', { campaignType: 'nope' }), { ...invalid, message: /Unknown campaign type/ });
+    assert.throws(() => store.updateSlot(first.id, 'S001', { status: 'created' }), invalid);
+    assert.strictEqual(store.updateSlot(first.id, 'S999', { notes: 'x' }), null);
+    assert.strictEqual(store.updateSlot('CAL-missing', 'S001', { notes: 'x' }), null);
+
+    const added = store.addSlot(first.id, { date: '2026-11-07', platform: 'email', topic: 'Muhurat newsletter' });
+    assert.deepStrictEqual([added.id, added.campaignType, added.status], ['S007', 'email-newsletter', 'planned']);
+    assert.throws(() => store.addSlot(first.id, { date: '2026-11-07', platform: 'email' }), { ...invalid, message: /topic is required/ });
+    assert.strictEqual(store.deleteSlot(first.id, 'S007'), true);
+    assert.strictEqual(store.deleteSlot(first.id, 'S007'), false);
+    console.log('   ✅ Slots can be edited, added and removed');
+
+    // A slot becomes a Stage 1 campaign linked both ways, once
+    const stateManager = new StateManager(tmpDir);
+    await stateManager.initialize();
+    const { campaign, slot } = await store.createCampaign(first.id, 'S001', stateManager);
+    assert.strictEqual(campaign.stageId, 1);
+    assert.deepStrictEqual([campaign.calendarId, campaign.slotId, campaign.topic], [first.id, 'S001', first.slots[0].topic]);
+    assert.deepStrictEqual(campaign.platforms, ['linkedin']);
+    assert.deepStrictEqual([slot.campaignId, slot.status], [campaign.id, 'created']);
+    assert.deepStrictEqual(stateManager.getEntry('campaigns', campaign.id).slotId, 'S001');
+    await assert.rejects(store.createCampaign(first.id, 'S001', stateManager), { ...invalid, message: /already has campaign/ });
+    assert.throws(() => store.updateSlot(first.id, 'S001', { status: 'skipped' }), { ...invalid, message: /already has campaign/ });
+    assert.strictEqual(await store.createCampaign(first.id, 'S999', stateManager), null);
+    assert.strictEqual(store.list().find((item) => item.id === first.id).campaignsCreated, 1);
+    assert.strictEqual(store.delete(second.id), true);
+    assert.strictEqual(store.get(second.id), null);
+    console.log('   ✅ Slots create linked campaign records');
+
+    console.log('\n✅ All content calendar tests passed');
+  } finally {
+    store.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+run().catch((error) => {
+  console.error('\n❌ Test failed:', error.message);
+  console.error(error.stack);
+  process.exit(1);
+});
@@ -0,0 +1,196 @@
+#!/usr/bin/env node
+/**
+ * Test Script for Facebook Publisher
+ *
+ * Runs the Page publisher against a local mock of the Graph API and rupload: reels from
+ * hosted URLs and local files with status polling, processing errors, photo albums and
+ * scheduled posts. No credentials needed.
+ *
+ * Usage:
+ *   node scripts/test-facebook-publisher.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { FacebookPublisher, toScheduledPublishTime } = require('../integrations/facebook-publisher');
+
+const PAGE_ID = '1000000001';
+
+// Reels report "processing" on the first status check and "ready" on the second, unless
+// their description names another outcome (error, stuck)
+function startMockGraph() {
+  const calls = [];
+  const reels = {};
+  let counter = 0;
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (c) => chunks.push(c));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks);
+      const url = new URL(req.url, 'http://localhost');
+      const json = (status, data) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(data));
+      };
+
+      if (url.pathname.startsWith('/video-upload/')) {
+        calls.push({ method: req.method, path: url.pathname, headers: req.headers, body });
+        if (req.headers.authorization !== 'OAuth test-token') return json(401, { debug_info: { message: 'bad token' } });
+        const reel = reels[url.pathname.split('/').pop()];
+        reel.upload = { fileUrl: req.headers.file_url || null, bytes: body.length, fileSize: req.headers.file_size || null };
+        return json(200, { success: true });
+      }
+
+      const params = Object.fromEntries(req.method === 'GET' ? url.searchParams : new URLSearchParams(body.toString()));
+      calls.push({ method: req.method, path: url.pathname, params });
+      if (params.access_token !== 'test-token') {
+        return json(400, { error: { message: 'Error validating access token: Session has expired.', code: 190, error_subcode: 463 } });
+      }
+
+      if (url.pathname === `/v21.0/${PAGE_ID}/video_reels`) {
+        if (params.upload_phase === 'start') {
+          counter++;
+          reels[`reel-${counter}`] = { checks: 0 };
+          return json(200, { video_id: `reel-${counter}` });
+        }
+        reels[params.video_id].finish = params;
+        return json(200, { success: true });
+      }
+      if (url.pathname === `/v21.0/${PAGE_ID}/photos`) {
+        counter++;
+        return json(200, params.published === 'false' && !params.caption ? { id: `photo-${counter}` } : { id: `photo-${counter}`, post_id: `${PAGE_ID}_${counter}` });
+      }
+      if (url.pathname === `/v21.0/${PAGE_ID}/feed`) {
+        counter++;
+        return json(200, { id: `${PAGE_ID}_${counter}` });
+      }
+
+      const id = url.pathname.split('/').pop();
+      if (req.method === 'GET' && params.fields === 'status') {
+        const reel = reels[id];
+        reel.checks++;
+        const description = reel.finish?.description || '';
+        if (/error/.test(description)) {
+          return json(200, { status: { video_status: 'processing', processing_phase: { status: 'error', errors: [{ code: 1363008, message: 'Video aspect ratio is not supported' }] } } });
+        }
+        if (/stuck/.test(description) || reel.checks < 2) return json(200, { status: { video_status: 'processing', processing_phase: { status: 'in_progress' } } });
+        return json(200, { status: { video_status: 'ready', publishing_phase: { status: 'complete' } } });
+      }
+      if (req.method === 'GET' && params.fields === 'post_id') {
+        if (/silent/.test(reels[id]?.finish?.description)) return json(500, { error: { message: 'An unknown error has occurred.' } });
+        return json(200, { post_id: `${PAGE_ID}_${id}` });
+      }
+      if (req.method === 'GET' && params.fields === 'permalink_url') {
+        return json(200, { permalink_url: id.startsWith('reel-') ? `/reel/${id}` : `https://www.facebook.com/${id}` });
+      }
+      return json(404, { error: { message: `unexpected ${req.method} ${url.pathname}` } });
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, calls, reels, baseUrl: `http://127.0.0.1:${server.address().port}` }));
+  });
+}
+
+async function quiet(fn) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+  }
+}
+
+async function run() {
+  console.log('🧪 Testing Facebook Publisher (mock Graph API)\n');
+  const { server, calls, reels, baseUrl } = await startMockGraph();
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'facebook-test-'));
+
+  try {
+    const publisher = new FacebookPublisher({ accessToken: 'test-token', pageId: PAGE_ID, baseUrl, ruploadBaseUrl: baseUrl, pollIntervalMs: 1, pollAttempts: 5 });
+    const inAnHour = new Date(Date.now() + 3600 * 1000);
+
+    // Schedule window: 10 minutes to 75 days ahead, in any of the accepted formats
+    assert.strictEqual(toScheduledPublishTime(null), null);
+    assert.strictEqual(toScheduledPublishTime(inAnHour), Math.floor(inAnHour.getTime() / 1000));
+    assert.strictEqual(toScheduledPublishTime(String(Math.floor(inAnHour.getTime() / 1000))), Math.floor(inAnHour.getTime() / 1000));
+    assert.throws(() => toScheduledPublishTime(new Date(Date.now() + 60 * 1000)), /between 10 minutes and 75 days/);
+    assert.throws(() => toScheduledPublishTime(new Date(Date.now() + 80 * 24 * 3600 * 1000)), /between 10 minutes and 75 days/);
+    assert.throws(() => toScheduledPublishTime('next tuesday'), /Invalid scheduled publish time/);
+    console.log('   ✅ Scheduled publish time window');
+
+    // Reel from a hosted URL: Facebook fetches the file; status polled until ready
+    const reel = await publisher.publishReel({ video: 'https://cdn.example.com/reel.mp4', description: 'SIP in 30 seconds' });
+    assert.deepStrictEqual([reel.mediaType, reel.status, reel.scheduledAt], ['reel', 'published', null]);
+    assert.strictEqual(reels[reel.videoId].upload.fileUrl, 'https://cdn.example.com/reel.mp4');
+    assert.strictEqual(reels[reel.videoId].finish.video_state, 'PUBLISHED');
+    assert.strictEqual(reels[reel.videoId].checks, 2);
+    assert.strictEqual(reel.postId, `${PAGE_ID}_${reel.videoId}`);
+    assert.strictEqual(reel.permalink, `https://www.facebook.com/reel/${reel.videoId}`);
+    console.log('   ✅ Hosted reel uploaded, polled until ready, permalink made absolute');
+
+    // Reel from a local file: bytes sent inline, scheduled
+    const videoPath = path.join(tmpDir, 'reel.mp4');
+    fs.writeFileSync(videoPath, Buffer.alloc(2048, 3));
+    const scheduled = await publisher.publishReel({ video: videoPath, description: 'Later', scheduledAt: inAnHour });
+    assert.deepStrictEqual(reels[scheduled.videoId].upload, { fileUrl: null, bytes: 2048, fileSize: '2048' });
+    assert.strictEqual(reels[scheduled.videoId].finish.video_state, 'SCHEDULED');
+    assert.strictEqual(reels[scheduled.videoId].finish.scheduled_publish_time, String(Math.floor(inAnHour.getTime() / 1000)));
+    assert.strictEqual(scheduled.status, 'scheduled');
+    assert.strictEqual(scheduled.scheduledAt, new Date(Math.floor(inAnHour.getTime() / 1000) * 1000).toISOString());
+    await assert.rejects(publisher.publishReel({ video: path.join(tmpDir, 'missing.mp4') }), /Video file not found/);
+    console.log('   ✅ Local reel uploaded inline and scheduled');
+
+    // Processing errors and reels that never finish
+    await assert.rejects(publisher.publishReel({ video: 'https://cdn.example.com/square.mp4', description: 'error' }), /Facebook reel processing failed: Video aspect ratio is not supported/);
+    await assert.rejects(publisher.publishReel({ video: 'https://cdn.example.com/long.mp4', description: 'stuck' }), /still processing after 5 checks/);
+    console.log('   ✅ Reel processing errors and polling timeout');
+
+    // A failed post id lookup falls back to the video id
+    const silent = await quiet(() => publisher.publishReel({ video: 'https://cdn.example.com/reel.mp4', description: 'silent' }));
+    assert.strictEqual(silent.postId, silent.videoId);
+    console.log('   ✅ Post id lookup failure keeps the published reel');
+
+    // Album: unpublished photos attached to one feed post; scheduled albums use temporary photos
+    const album = await publisher.publishAlbum({ imageUrls: ['https://cdn.example.com/1.jpg', 'https://cdn.example.com/2.jpg'], message: 'Swipe' });
+    assert.strictEqual(album.mediaType, 'album');
+    assert.strictEqual(album.photoIds.length, 2);
+    const feed = calls.filter((c) => c.path === `/v21.0/${PAGE_ID}/feed`).pop().params;
+    assert.deepStrictEqual(JSON.parse(feed['attached_media[1]']), { media_fbid: album.photoIds[1] });
+    assert.strictEqual(feed.published, undefined);
+    const scheduledAlbum = await publisher.publishAlbum({ imageUrls: ['https://cdn.example.com/1.jpg', 'https://cdn.example.com/2.jpg'], scheduledAt: inAnHour });
+    assert.strictEqual(scheduledAlbum.status, 'scheduled');
+    const photoCalls = calls.filter((c) => c.path === `/v21.0/${PAGE_ID}/photos`).slice(-2);
+    assert.ok(photoCalls.every((c) => c.params.temporary === 'true' && c.params.published === 'false'));
+    await assert.rejects(publisher.publishAlbum({ imageUrls: ['https://cdn.example.com/1.jpg'] }), /at least 2 images/);
+    console.log('   ✅ Photo albums, scheduled with temporary photos');
+
+    // Single photo
+    const photo = await publisher.publishPhoto({ imageUrl: 'https://cdn.example.com/1.jpg', message: 'One slide' });
+    assert.deepStrictEqual([photo.mediaType, photo.status], ['photo', 'published']);
+    assert.ok(photo.postId.startsWith(`${PAGE_ID}_`));
+    console.log('   ✅ Single photo post');
+
+    // Expired page token and missing credentials
+    const expired = new FacebookPublisher({ accessToken: 'old-token', pageId: PAGE_ID, baseUrl });
+    await assert.rejects(expired.publishPhoto({ imageUrl: 'https://cdn.example.com/1.jpg' }), /Facebook Graph API error \(400\): Error validating access token/);
+    await assert.rejects(new FacebookPublisher({ baseUrl }).publishPhoto({ imageUrl: 'x' }), /credentials are missing/);
+    console.log('   ✅ Graph API errors and missing credentials');
+
+    console.log('\n✅ All Facebook publisher tests passed');
+  } finally {
+    server.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+run().catch((error) => {
+  console.error('\n❌ Test failed:', error.message);
+  console.error(error.stack);
+  process.exit(1);
+});
@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+/**
+ * Test Script for the Generation Cache
+ *
+ * Runs GenerationCache against a temporary data directory: content-addressed keys, hits,
+ * bypass, copied media, expiry and LRU eviction. No provider is called.
+ *
+ * Usage:
+ *   node scripts/test-generation-cache.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const GenerationCache = require('../core/generation-cache');
+
+async function run() {
+  console.log('🧪 Testing Generation Cache\n');
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'generation-cache-test-'));
+  const caches = [];
+  const open = (dir, options) => {
+    const cache = new GenerationCache(dir, options);
+    caches.push(cache);
+    return cache;
+  };
+  const log = console.log;
+  const quiet = async (fn) => {
+    console.log = () => {};
+    try {
+      return await fn();
+    } finally {
+      console.log = log;
+    }
+  };
+
+  try {
+    // Keys depend on content: same bytes at another path hit, changed bytes miss
+    const refA = path.join(tmpDir, 'ref-a.png');
+    const refB = path.join(tmpDir, 'ref-b.png');
+    fs.writeFileSync(refA, 'reference-bytes');
+    fs.writeFileSync(refB, 'reference-bytes');
+    const parts = (input, extra = {}) => ({ kind: 'image', provider: 'gemini', model: 'm1', prompt: 'SIP chart', inputs: [input], config: { aspectRatio: '1:1', ...extra } });
+    assert.strictEqual(GenerationCache.key(parts(refA)), GenerationCache.key(parts(refB)));
+    assert.strictEqual(GenerationCache.key(parts(refA, { onProgress: () => {}, seed: undefined })), GenerationCache.key(parts(refA)));
+    assert.notStrictEqual(GenerationCache.key(parts(refA, { aspectRatio: '16:9' })), GenerationCache.key(parts(refA)));
+    fs.writeFileSync(refB, 'other-bytes');
+    assert.notStrictEqual(GenerationCache.key(parts(refA)), GenerationCache.key(parts(refB)));
+    assert.strictEqual(GenerationCache.key({ inputs: [Buffer.from('x')] }), GenerationCache.key({ inputs: [Buffer.from('x')] }));
+    console.log('   ✅ Keys hash file contents, not paths');
+
+    // remember(): miss runs the producer, hit returns the stored copy, bypass refreshes
+    const cache = open(path.join(tmpDir, 'data'));
+    const output = path.join(tmpDir, 'output.png');
+    fs.writeFileSync(output, 'generated-image');
+    let calls = 0;
+    const produce = async () => {
+      calls++;
+      return { images: [{ path: output }], provider: 'gemini', call: calls };
+    };
+    const first = await quiet(() => cache.remember(parts(refA), produce));
+    assert.strictEqual(first.call, 1);
+    fs.rmSync(output);
+    const hit = await quiet(() => cache.remember(parts(refA), produce));
+    assert.strictEqual(calls, 1);
+    assert.ok(hit.images[0].path.startsWith(cache.mediaDir + path.sep));
+    assert.strictEqual(fs.readFileSync(hit.images[0].path, 'utf8'), 'generated-image');
+    console.log('   ✅ Hits return media copied into the cache');
+
+    fs.writeFileSync(output, 'regenerated-image');
+    const refreshed = await quiet(() => cache.remember(parts(refA), produce, { bypass: true }));
+    assert.strictEqual(refreshed.call, 2);
+    assert.strictEqual((await quiet(() => cache.remember(parts(refA), produce))).call, 2);
+    assert.strictEqual(cache.stats()[0].hits, 2);
+    console.log('   ✅ Bypass skips the lookup and refreshes the entry');
+
+    // Null and simulated results are never cached
+    let simulatedCalls = 0;
+    const simulated = async () => ({ simulated: true, call: ++simulatedCalls });
+    await quiet(() => cache.remember({ kind: 'video', prompt: 'sim' }, simulated));
+    await quiet(() => cache.remember({ kind: 'video', prompt: 'sim' }, simulated));
+    assert.strictEqual(simulatedCalls, 2);
+    assert.strictEqual(await quiet(() => cache.remember({ kind: 'video', prompt: 'none' }, async () => null)), null);
+    console.log('   ✅ Null and simulated results are not cached');
+
+    // Expired entries, and entries whose media was deleted, miss
+    const expiring = GenerationCache.key({ kind: 'text', prompt: 'expiring' });
+    cache.set(expiring, { text: 'old' }, { kind: 'text' });
+    cache.db.prepare('UPDATE entries SET expires_at = ? WHERE key = ?').run(new Date(Date.now() - 1000).toISOString(), expiring);
+    assert.strictEqual(cache.get(expiring), null);
+    fs.rmSync(hit.images[0].path);
+    assert.strictEqual(cache.get(GenerationCache.key(parts(refA))), null);
+    console.log('   ✅ Expired entries and missing media miss');
+
+    // LRU eviction once media exceeds the size limit
+    const small = open(path.join(tmpDir, 'small'), { maxMb: 1 });
+    const media = (name) => {
+      const file = path.join(tmpDir, `${name}.bin`);
+      fs.writeFileSync(file, Buffer.alloc(400 * 1024, 1));
+      return { path: file };
+    };
+    small.set('a', media('a'), { kind: 'image' });
+    small.set('b', media('b'), { kind: 'image' });
+    small.db.prepare('UPDATE entries SET last_used_at = ?').run(new Date(Date.now() - 60000).toISOString());
+    assert.ok(small.get('a'));
+    small.set('c', media('c'), { kind: 'image' });
+    assert.strictEqual(small.get('b'), null);
+    assert.ok(small.get('a') && small.get('c'));
+    assert.strictEqual(fs.readdirSync(small.mediaDir).length, 2);
+    console.log('   ✅ Least recently used media is evicted over the size limit');
+
+    // GENERATION_CACHE=off (enabled: false) always runs the producer
+    const disabled = open(path.join(tmpDir, 'off'), { enabled: false });
+    let offCalls = 0;
+    await disabled.remember({ prompt: 'x' }, async () => ++offCalls);
+    await disabled.remember({ prompt: 'x' }, async () => ++offCalls);
+    assert.strictEqual(offCalls, 2);
+    console.log('   ✅ Disabled cache always generates');
+
+    console.log('\n✅ All generation cache tests passed');
+  } finally {
+    caches.forEach((cache) => cache.close());
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+run().catch((error) => {
+  console.error('\n❌ Test failed:', error.message);
+  console.error(error.stack);
+  process.exit(1);
+});
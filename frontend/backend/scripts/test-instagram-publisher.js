@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+/**
+ * Test Script for Instagram Publisher
+ *
+ * Runs the publisher against a local mock of the Instagram Graph API (containers, status
+ * polling, media_publish, permalinks), including containers that fail, expire or never
+ * finish processing. No credentials needed.
+ *
+ * Usage:
+ *   node scripts/test-instagram-publisher.js
+ */
+
+const assert = require('assert');
+const http = require('http');
+const { InstagramPublisher, MAX_CAROUSEL_CHILDREN } = require('../integrations/instagram-publisher');
+
+const IG_USER_ID = '17841400000000000';
+
+// Containers report IN_PROGRESS on the first check and FINISHED on the second, unless their
+// media URL names another outcome (error, expired, slow)
+function startMockGraph() {
+  const calls = [];
+  const containers = {};
+  let counter = 0;
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (c) => chunks.push(c));
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const params = Object.fromEntries(req.method === 'GET' ? url.searchParams : new URLSearchParams(Buffer.concat(chunks).toString()));
+      const json = (status, data) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(data));
+      };
+      calls.push({ method: req.method, path: url.pathname, params });
+
+      if (params.access_token !== 'test-token') {
+        return json(400, { error: { message: 'Invalid OAuth access token.', code: 190 } });
+      }
+
+      if (req.method === 'POST' && url.pathname === `/v21.0/${IG_USER_ID}/media`) {
+        counter++;
+        const id = `container-${counter}`;
+        containers[id] = { params, checks: 0 };
+        return json(200, { id });
+      }
+      if (req.method === 'POST' && url.pathname === `/v21.0/${IG_USER_ID}/media_publish`) {
+        const media = containers[params.creation_id]?.params || {};
+        return json(200, { id: /no-permalink/.test(media.caption) ? 'media-hidden' : `media-${params.creation_id}` });
+      }
+
+      const id = url.pathname.split('/').pop();
+      if (req.method === 'GET' && params.fields === 'status_code,status') {
+        const container = containers[id];
+        if (!container) return json(404, { error: { message: `Unknown container ${id}` } });
+        container.checks++;
+        const source = container.params.image_url || container.params.video_url || '';
+        if (/error/.test(source)) return json(200, { status_code: 'ERROR', status: 'Error: media could not be fetched (2207026)' });
+        if (/expired/.test(source)) return json(200, { status_code: 'EXPIRED' });
+        if (/slow/.test(source) || container.checks < 2) return json(200, { status_code: 'IN_PROGRESS' });
+        return json(200, { status_code: 'FINISHED' });
+      }
+      if (req.method === 'GET' && params.fields === 'permalink') {
+        if (id === 'media-hidden') return json(500, { error: { message: 'Temporary failure' } });
+        return json(200, { permalink: `https://www.instagram.com/p/${id}/` });
+      }
+      return json(404, { error: { message: `unexpected ${req.method} ${url.pathname}` } });
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, calls, containers, baseUrl: `http://127.0.0.1:${server.address().port}` }));
+  });
+}
+
+async function quiet(fn) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+  }
+}
+
+async function run() {
+  console.log('🧪 Testing Instagram Publisher (mock Graph API)\n');
+  const { server, calls, containers, baseUrl } = await startMockGraph();
+
+  try {
+    const publisher = new InstagramPublisher({ accessToken: 'test-token', igUserId: IG_USER_ID, baseUrl, pollIntervalMs: 1, pollAttempts: 5 });
+
+    // Feed image: container, polled until FINISHED, published, permalink read back
+    const image = await publisher.publishImage({ imageUrl: 'https://cdn.example.com/slide-1.jpg', caption: 'SIP basics #SIP' });
+    assert.strictEqual(image.mediaType, 'image');
+    assert.strictEqual(image.mediaId, `media-${image.containerId}`);
+    assert.strictEqual(image.permalink, `https://www.instagram.com/p/${image.mediaId}/`);
+    assert.strictEqual(containers[image.containerId].checks, 2);
+    assert.strictEqual(containers[image.containerId].params.caption, 'SIP basics #SIP');
+    console.log('   ✅ Feed image polled until FINISHED, then published');
+
+    // Carousel: one child container per slide, then the CAROUSEL container
+    const slides = Array.from({ length: MAX_CAROUSEL_CHILDREN + 2 }, (_, i) => `https://cdn.example.com/slide-${i + 1}.jpg`);
+    const carousel = await publisher.publishCarousel({ imageUrls: slides, caption: 'Swipe' });
+    assert.strictEqual(carousel.mediaType, 'carousel');
+    assert.strictEqual(carousel.children.length, MAX_CAROUSEL_CHILDREN);
+    assert.ok(carousel.children.every((id) => containers[id].params.is_carousel_item === 'true'));
+    const parent = containers[carousel.containerId].params;
+    assert.strictEqual(parent.media_type, 'CAROUSEL');
+    assert.strictEqual(parent.children, carousel.children.join(','));
+    await assert.rejects(publisher.publishCarousel({ imageUrls: [slides[0]] }), /at least 2 images/);
+    console.log('   ✅ Carousel capped at 10 children; single image rejected');
+
+    // Reel with cover, not shared to the feed
+    const reel = await publisher.publishReel({ videoUrl: 'https://cdn.example.com/reel.mp4', caption: 'Watch', coverUrl: 'https://cdn.example.com/cover.jpg', shareToFeed: false });
+    assert.strictEqual(reel.mediaType, 'reel');
+    assert.deepStrictEqual(
+      [containers[reel.containerId].params.media_type, containers[reel.containerId].params.share_to_feed, containers[reel.containerId].params.cover_url],
+      ['REELS', 'false', 'https://cdn.example.com/cover.jpg']
+    );
+    console.log('   ✅ Reel container with cover and share_to_feed');
+
+    // Container processing failures never reach media_publish
+    const publishesBefore = calls.filter((c) => c.path.endsWith('/media_publish')).length;
+    await assert.rejects(publisher.publishReel({ videoUrl: 'https://cdn.example.com/error.mp4' }), /Instagram container container-\d+ error: Error: media could not be fetched/);
+    await assert.rejects(publisher.publishImage({ imageUrl: 'https://cdn.example.com/expired.jpg' }), /Instagram container container-\d+ expired: no details/);
+    await assert.rejects(publisher.publishImage({ imageUrl: 'https://cdn.example.com/slow.jpg' }), /still processing after 5 checks/);
+    await assert.rejects(publisher.publishCarousel({ imageUrls: [slides[0], 'https://cdn.example.com/error.jpg'] }), /error: Error: media could not be fetched/);
+    assert.strictEqual(calls.filter((c) => c.path.endsWith('/media_publish')).length, publishesBefore);
+    console.log('   ✅ ERROR, EXPIRED and stuck containers fail before publishing');
+
+    // A failed permalink lookup does not fail a post that is already live
+    const hidden = await quiet(() => publisher.publishImage({ imageUrl: 'https://cdn.example.com/slide-1.jpg', caption: 'no-permalink' }));
+    assert.deepStrictEqual([hidden.mediaId, hidden.permalink], ['media-hidden', null]);
+    console.log('   ✅ Permalink lookup failure keeps the published media');
+
+    // Graph API errors and missing credentials
+    const expired = new InstagramPublisher({ accessToken: 'old-token', igUserId: IG_USER_ID, baseUrl });
+    await assert.rejects(expired.publishImage({ imageUrl: 'https://cdn.example.com/slide-1.jpg' }), /Instagram Graph API error \(400\): Invalid OAuth access token\./);
+    await assert.rejects(new InstagramPublisher({ baseUrl }).publishImage({ imageUrl: 'x' }), /credentials are missing/);
+    console.log('   ✅ Graph API errors and missing credentials');
+
+    console.log('\n✅ All Instagram publisher tests passed');
+  } finally {
+    server.close();
+  }
+}
+
+run().catch((error) => {
+  console.error('\n❌ Test failed:', error.message);
+  console.error(error.stack);
+  process.exit(1);
+});
@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+/**
+ * Test Script for the Job Queue
+ *
+ * Runs the JobQueue against a temporary database: provider defaults, per-provider concurrency
+ * across two queue instances, retries, and recovery/cancel of interrupted jobs (a child pid is
+ * only signalled while it is still the recorded process). Spawns short-lived node processes only.
+ *
+ * Usage:
+ *   node scripts/test-job-queue.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const JobQueue = require('../core/job-queue');
+
+const { isTransientError, processStartTime } = JobQueue;
+
+function spawnSleeper() {
+  return spawn(process.execPath, ['-e', 'setTimeout(() => {}, 30000)'], { detached: true, stdio: 'ignore' });
+}
+
+function exited(child) {
+  return new Promise((resolve) => {
+    if (child.exitCode !== null || child.signalCode !== null) return resolve(child.signalCode || child.exitCode);
+    child.once('exit', (code, signal) => resolve(signal || code));
+  });
+}
+
+// Pid of a process that has already exited (a worker that crashed)
+async function deadPid() {
+  const child = spawn(process.execPath, ['-e', '']);
+  await exited(child);
+  return child.pid;
+}
+
+function isAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function run() {
+  console.log('🧪 Testing Job Queue\n');
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'job-queue-test-'));
+  const queues = [];
+  const children = [];
+  const open = (options) => {
+    const queue = new JobQueue(tmpDir, options);
+    queues.push(queue);
+    return queue;
+  };
+
+  try {
+    const queue = open({ retryBaseMs: 1000, concurrency: { veo: 2, gemini: 1 } });
+
+    // Providers default the way the CLI runs each stage
+    assert.strictEqual(queue.enqueue({ type: 'image', request: { topic: 'SIP' } }).provider, 'gemini');
+    assert.strictEqual(queue.enqueue({ type: 'image', request: { topic: 'SIP', provider: 'FAL' } }).provider, 'fal');
+    assert.strictEqual(queue.enqueue({ type: 'video', request: { topic: 'SIP' } }).provider, 'veo');
+    assert.strictEqual(queue.enqueue({ type: 'video', request: { topic: 'SIP', duration: 180 } }).provider, 'longcat');
+    assert.strictEqual(queue.enqueue({ type: 'video', request: { useAvatar: true, avatarId: 'siddharth-vora' } }).provider, 'heygen');
+    assert.throws(() => queue.enqueue({ type: 'audio', request: {} }), { code: 'INVALID_JOB' });
+    assert.throws(() => queue.enqueue({ type: 'image', provider: 'dalle', request: {} }), { code: 'INVALID_JOB' });
+    assert.throws(() => queue.enqueue({ type: 'video', request: { topic: 'SIP', provider: 'sora' } }), /provider for video jobs must be one of: veo, longcat, heygen, shotstack/);
+    assert.throws(() => queue.enqueue({ type: 'video', request: { topic: 'SIP', provider: 'gemini' } }), { code: 'INVALID_JOB' });
+    assert.throws(() => queue.enqueue({ type: 'image', provider: 'veo', request: {} }), { code: 'INVALID_JOB' });
+    console.log('   ✅ Image and video jobs get a default provider; other types\' providers are rejected');
+
+    // Provider limits hold across queue instances sharing the database
+    queue.db.exec('DELETE FROM jobs');
+    const other = open({ concurrency: { veo: 2, gemini: 1 } });
+    for (let i = 0; i < 4; i++) queue.enqueue({ type: 'video', provider: 'veo', request: { topic: `V${i}` } });
+    for (let i = 0; i < 3; i++) other.enqueue({ type: 'image', provider: 'gemini', request: { topic: `I${i}` } });
+    const claimed = [...queue.claim({ workerPid: 1001 }), ...other.claim({ workerPid: 1002 }), ...queue.claim({ workerPid: 1001 })];
+    const byProvider = claimed.reduce((acc, job) => ({ ...acc, [job.provider]: (acc[job.provider] || 0) + 1 }), {});
+    assert.deepStrictEqual(byProvider, { veo: 2, gemini: 1 });
+    assert.strictEqual(new Set(claimed.map((job) => job.id)).size, claimed.length);
+    console.log('   ✅ Claims respect provider concurrency across workers');
+
+    // Transient failures retry with backoff; others fail the job
+    assert.ok(isTransientError('Veo request failed (429): quota'));
+    assert.ok(isTransientError('connect ECONNRESET 10.0.0.1:443'));
+    assert.ok(!isTransientError('Invalid prompt: safety filter'));
+    const [flaky, broken] = claimed.filter((job) => job.provider === 'veo');
+    const retried = queue.recordAttempt(flaky.id, { success: false, transient: true, error: 'HTTP 503' });
+    assert.strictEqual(retried.status, 'retrying');
+    assert.ok(new Date(retried.nextAttemptAt) > new Date());
+    assert.strictEqual(queue.recordAttempt(broken.id, { success: false, error: 'Invalid prompt' }).status, 'error');
+    assert.deepStrictEqual(queue.claim({ workerPid: 1001 }).map((job) => job.provider), ['veo', 'veo']);
+    console.log('   ✅ Transient failures retry, others fail');
+
+    // Interrupted job whose pid now belongs to an unrelated process: recovered, process left alone
+    queue.db.exec('DELETE FROM jobs');
+    const gone = await deadPid();
+    const unrelated = spawnSleeper();
+    children.push(unrelated);
+    const stale = queue.enqueue({ type: 'video', provider: 'veo', request: { topic: 'Stale' } });
+    queue.claim({ workerPid: gone });
+    queue._mutate(stale.id, (job) => {
+      job.childPid = unrelated.pid;
+      job.childStartedAt = 'an-earlier-process';
+    });
+    const recovered = queue.recoverInterrupted();
+    assert.deepStrictEqual(recovered.map((job) => job.status), ['retrying']);
+    assert.ok(isAlive(unrelated.pid), 'unrelated process was signalled');
+    console.log('   ✅ Recovery never signals a reused pid');
+
+    // Interrupted job whose child is still the recorded process: the child is stopped
+    const orphan = spawnSleeper();
+    children.push(orphan);
+    const running = queue.enqueue({ type: 'video', provider: 'veo', request: { topic: 'Orphan' } });
+    queue.db.prepare("UPDATE jobs SET next_attempt_at = ? WHERE status = 'retrying'").run(new Date(Date.now() + 3600000).toISOString());
+    queue.claim({ workerPid: gone });
+    queue.setChildPid(running.id, orphan.pid);
+    assert.strictEqual(queue.get(running.id).childStartedAt, processStartTime(orphan.pid));
+    assert.deepStrictEqual(queue.recoverInterrupted().map((job) => job.id), [running.id]);
+    assert.strictEqual(await exited(orphan), 'SIGTERM');
+    console.log('   ✅ Recovery stops the recorded child');
+
+    // Cancel of a running job with no worker: same check before signalling
+    const stranger = spawnSleeper();
+    children.push(stranger);
+    const cancelled = queue.enqueue({ type: 'image', provider: 'gemini', request: { topic: 'Cancel' } });
+    queue.claim({ workerPid: gone });
+    queue._mutate(cancelled.id, (job) => {
+      job.childPid = stranger.pid;
+      job.childStartedAt = null;
+    });
+    assert.strictEqual(queue.cancel(cancelled.id).status, 'cancelled');
+    assert.ok(isAlive(stranger.pid), 'process without a recorded start time was signalled');
+    assert.throws(() => queue.cancel(cancelled.id), { code: 'INVALID_JOB' });
+    console.log('   ✅ Cancel never signals an unverified pid');
+
+    console.log('\n✅ All job queue tests passed');
+  } finally {
+    for (const child of children) {
+      if (child.exitCode === null && child.signalCode === null) child.kill('SIGKILL');
+    }
+    queues.forEach((queue) => queue.close());
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+run().catch((error) => {
+  console.error('\n❌ Test failed:', error.message);
+  console.error(error.stack);
+  process.exit(1);
+});
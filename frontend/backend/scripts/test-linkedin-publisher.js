@@ -0,0 +1,207 @@
+#!/usr/bin/env node
+/**
+ * Test Script for LinkedIn Publisher
+ *
+ * Runs the publisher and the Stage 5 LinkedIn flow against a local mock of the
+ * LinkedIn REST endpoints (images, documents, videos, posts). No credentials needed.
+ *
+ * Usage:
+ *   node scripts/test-linkedin-publisher.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { LinkedInPublisher, escapeLittleText } = require('../integrations/linkedin-publisher');
+const StateStore = require('../core/state-store');
+
+const AUTHOR_URN = 'urn:li:organization:1234';
+
+function startMockLinkedIn() {
+  const calls = [];
+  let counter = 0;
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (c) => chunks.push(c));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks);
+      const base = `http://127.0.0.1:${server.address().port}`;
+      const json = (status, data, headers = {}) => {
+        res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+        res.end(data ? JSON.stringify(data) : '');
+      };
+      calls.push({ method: req.method, url: req.url, headers: req.headers, body });
+
+      // Public CDN stand-in for Stage 4 hosted videos
+      if (req.url === '/media/video.mp4') {
+        res.writeHead(200, { 'Content-Type': 'video/mp4' });
+        return res.end(Buffer.alloc(1000, 7));
+      }
+      if (req.headers.authorization !== 'Bearer test-token') return json(401, { message: 'bad token' });
+
+      if (req.method === 'PUT' && req.url.startsWith('/upload/')) {
+        counter++;
+        res.writeHead(201, { etag: `etag-${counter}` });
+        return res.end();
+      }
+      if (req.url === '/rest/images?action=initializeUpload') {
+        counter++;
+        return json(200, { value: { uploadUrl: `${base}/upload/image-${counter}`, image: `urn:li:image:${counter}` } });
+      }
+      if (req.url === '/rest/documents?action=initializeUpload') {
+        counter++;
+        return json(200, { value: { uploadUrl: `${base}/upload/doc-${counter}`, document: `urn:li:document:${counter}` } });
+      }
+      if (req.url === '/rest/videos?action=initializeUpload') {
+        const size = JSON.parse(body.toString()).initializeUploadRequest.fileSizeBytes;
+        const half = Math.floor(size / 2);
+        return json(200, {
+          value: {
+            video: 'urn:li:video:99',
+            uploadToken: '',
+            uploadInstructions: [
+              { uploadUrl: `${base}/upload/video-part-1`, firstByte: 0, lastByte: half - 1 },
+              { uploadUrl: `${base}/upload/video-part-2`, firstByte: half, lastByte: size - 1 }
+            ]
+          }
+        });
+      }
+      if (req.url === '/rest/videos?action=finalizeUpload') return json(200, null);
+      if (req.method === 'GET' && req.url.startsWith('/rest/videos/')) return json(200, { status: 'AVAILABLE' });
+      if (req.url === '/rest/posts') {
+        counter++;
+        return json(201, null, { 'x-restli-id': `urn:li:share:${counter}` });
+      }
+      return json(404, { message: `unexpected ${req.method} ${req.url}` });
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, calls, baseUrl: `http://127.0.0.1:${server.address().port}` }));
+  });
+}
+
+async function run() {
+  console.log('🧪 Testing LinkedIn Publisher (mock REST API)\n');
+  const { server, calls, baseUrl } = await startMockLinkedIn();
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'linkedin-test-'));
+  let store = null;
+
+  try {
+    // Little text: reserved characters escaped, hashtags kept as hashtag templates
+    assert.strictEqual(escapeLittleText('Hello (world) #SIP'), 'Hello \\(world\\) {hashtag|\\#|SIP}');
+    assert.strictEqual(escapeLittleText('#Step_Up SIPs ranked #1 in C# tools @team'), '{hashtag|\\#|Step\\_Up} SIPs ranked \\#1 in C\\# tools \\@team');
+    assert.strictEqual(escapeLittleText(null), '');
+    console.log('   ✅ Little text escaping');
+
+    const imagePath = path.join(tmpDir, 'slide-1.png');
+    fs.writeFileSync(imagePath, Buffer.from('fake-png-bytes'));
+
+    const publisher = new LinkedInPublisher({
+      accessToken: 'test-token',
+      authorUrn: AUTHOR_URN,
+      baseUrl,
+      videoPollIntervalMs: 1
+    });
+
+    // Single image
+    const image = await publisher.publishImage({ image: imagePath, commentary: 'Hello (world) #SIP', altText: 'Slide' });
+    assert.strictEqual(image.mediaType, 'image');
+    assert.ok(image.postUrn.startsWith('urn:li:share:'));
+    assert.strictEqual(image.postUrl, `https://www.linkedin.com/feed/update/${image.postUrn}/`);
+    const imagePost = JSON.parse(calls.filter((c) => c.url === '/rest/posts').pop().body.toString());
+    assert.strictEqual(imagePost.author, AUTHOR_URN);
+    assert.strictEqual(imagePost.commentary, escapeLittleText('Hello (world) #SIP'));
+    assert.strictEqual(imagePost.content.media.id, image.mediaUrns[0]);
+    assert.strictEqual(calls.find((c) => c.url.startsWith('/rest/images')).headers['linkedin-version'], '202411');
+    console.log('   ✅ Single image post');
+
+    // Document carousel from a ready-made PDF
+    const doc = await publisher.publishDocument({ document: Buffer.from('%PDF-1.4 fake'), title: 'Carousel', commentary: 'Swipe' });
+    assert.strictEqual(doc.mediaType, 'document');
+    assert.ok(doc.mediaUrns[0].startsWith('urn:li:document:'));
+    const docUpload = calls.find((c) => c.url.startsWith('/upload/doc-'));
+    assert.strictEqual(docUpload.headers['content-type'], 'application/pdf');
+    console.log('   ✅ Document (carousel) post');
+
+    // Multi-image fallback
+    const multi = await publisher.publishImages({ images: [imagePath, imagePath], commentary: 'Slides' });
+    assert.strictEqual(multi.mediaUrns.length, 2);
+    const multiPost = JSON.parse(calls.filter((c) => c.url === '/rest/posts').pop().body.toString());
+    assert.strictEqual(multiPost.content.multiImage.images.length, 2);
+    console.log('   ✅ Multi-image post');
+
+    // Video from URL, uploaded in two parts
+    const video = await publisher.publishVideo({ video: `${baseUrl}/media/video.mp4`, title: 'Reel', commentary: 'Watch' });
+    assert.strictEqual(video.mediaUrns[0], 'urn:li:video:99');
+    const parts = calls.filter((c) => c.url.startsWith('/upload/video-part-'));
+    assert.strictEqual(parts.length, 2);
+    assert.strictEqual(parts[0].body.length + parts[1].body.length, 1000);
+    const finalize = JSON.parse(calls.find((c) => c.url === '/rest/videos?action=finalizeUpload').body.toString());
+    assert.strictEqual(finalize.finalizeUploadRequest.uploadedPartIds.length, 2);
+    console.log('   ✅ Video post (multi-part upload)');
+
+    // Stage 5 end-to-end: orchestrator picks Stage 3 slides from state and records the post
+    const projectRoot = path.join(tmpDir, 'project');
+    store = StateStore.open(path.join(projectRoot, 'data'));
+    store.put('visuals', { id: '3-1', topic: 'SIP basics', stageId: 3, completedAt: new Date().toISOString(), images: [{ path: imagePath }, { path: imagePath }], review: { status: 'approved' } });
+
+    process.env.LINKEDIN_ACCESS_TOKEN = 'test-token';
+    process.env.LINKEDIN_AUTHOR_URN = AUTHOR_URN;
+    process.env.LINKEDIN_API_BASE_URL = baseUrl;
+    const SocialMediaOrchestrator = require('../core/orchestrator');
+    const orchestrator = new SocialMediaOrchestrator({ projectRoot });
+    await orchestrator.initialize();
+    const result = await orchestrator.stagePublishing({ platform: 'linkedin', format: 'carousel', topic: 'SIP basics' });
+    assert.strictEqual(result.success, true);
+
+    const published = store.get('published', result.id);
+    assert.strictEqual(published.platform, 'linkedin');
+    assert.strictEqual(published.status, 'published');
+    assert.strictEqual(published.url, result.url);
+    assert.ok(published.postUrn.startsWith('urn:li:share:'));
+    console.log(`   ✅ Stage 5 recorded ${published.mediaType} post in state.published`);
+
+    // Another topic's slides are never published for a topic that has none
+    const postsBefore = calls.filter((c) => c.url === '/rest/posts').length;
+    const unrelated = await orchestrator.stagePublishing({ platform: 'linkedin', format: 'carousel', topic: 'Gold ETFs' });
+    assert.strictEqual(unrelated.success, false);
+    assert.match(unrelated.error, /No Stage 3 images found to publish for "Gold ETFs"/);
+    assert.strictEqual(calls.filter((c) => c.url === '/rest/posts').length, postsBefore);
+    console.log('   ✅ No fallback to another topic\'s media');
+
+    // The review gate covers the media actually sent: Stage 4 videos and media passed in options
+    const videoUrl = `${baseUrl}/media/video.mp4`;
+    store.put('videos', { id: '4-1', topic: 'SIP basics', stageId: 4, completedAt: new Date().toISOString(), hostedUrl: videoUrl });
+    const draftVideo = await orchestrator.stagePublishing({ platform: 'linkedin', format: 'video', topic: 'SIP basics' });
+    assert.strictEqual(draftVideo.blocked, true);
+    assert.deepStrictEqual(draftVideo.unapproved, [{ bucket: 'videos', id: '4-1', status: 'draft' }]);
+    const adHocImage = await orchestrator.stagePublishing({ platform: 'linkedin', topic: 'SIP basics', images: [{ hostedUrl: 'https://cdn.example.com/other.png' }] });
+    assert.deepStrictEqual(adHocImage.unapproved, [{ bucket: 'media', id: 'https://cdn.example.com/other.png', status: 'unreviewed' }]);
+    const adHocVideo = await orchestrator.stagePublishing({ platform: 'linkedin', topic: 'SIP basics', videoUrl: 'https://cdn.example.com/other.mp4' });
+    assert.deepStrictEqual(adHocVideo.unapproved, [{ bucket: 'media', id: 'https://cdn.example.com/other.mp4', status: 'unreviewed' }]);
+    assert.strictEqual(calls.filter((c) => c.url === '/rest/posts').length, postsBefore);
+
+    await orchestrator.stateManager.reviewItem('videos', '4-1', 'submit');
+    await orchestrator.stateManager.reviewItem('videos', '4-1', 'approve', { reviewer: 'compliance' });
+    const approvedVideo = await orchestrator.stagePublishing({ platform: 'linkedin', topic: 'SIP basics', videoUrl });
+    assert.strictEqual(approvedVideo.success, true);
+    assert.strictEqual(store.get('published', approvedVideo.id).mediaType, 'video');
+    console.log('   ✅ Review gate covers Stage 4 videos and explicit media');
+
+    console.log('\n✅ All LinkedIn publisher tests passed');
+  } finally {
+    server.close();
+    if (store) store.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+run().catch((error) => {
+  console.error('\n❌ Test failed:', error.message);
+  console.error(error.stack);
+  process.exit(1);
+});
@@ -0,0 +1,178 @@
+#!/usr/bin/env node
+/**
+ * Test Script for the Metrics Store and Collector
+ *
+ * Runs metrics normalisation (counts, derived engagements and rates), the MetricsStore time
+ * series (latest, totals, daily) against a temporary database, and one MetricsCollector pass
+ * with the LinkedIn and MoEngage clients stubbed. No API is called.
+ *
+ * Usage:
+ *   node scripts/test-metrics-store.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MetricsStore = require('../core/metrics-store');
+const MetricsCollector = require('../core/metrics-collector');
+const { LinkedInPublisher } = require('../integrations/linkedin-publisher');
+const { MoengageClient } = require('../integrations/moengage-client');
+
+const { normalizeMetrics } = MetricsStore;
+const { emailReportCounts } = MetricsCollector;
+
+const ENV_KEYS = ['LINKEDIN_ACCESS_TOKEN', 'LINKEDIN_AUTHOR_URN', 'TWITTER_ACCESS_TOKEN', 'MOENGAGE_WORKSPACE_ID', 'MOENGAGE_DATA_API_KEY', 'MOENGAGE_REPORTING_API_KEY'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function pick(object, keys) {
+  return Object.fromEntries(keys.map((key) => [key, object[key]]));
+}
+
+async function quiet(fn) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+  }
+}
+
+async function run() {
+  console.log('🧪 Testing Metrics Store and Collector\n');
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'metrics-store-test-'));
+  const stores = [];
+  const open = (dir) => {
+    const store = new MetricsStore(dir);
+    stores.push(store);
+    return store;
+  };
+  const env = Object.fromEntries(ENV_KEYS.map((key) => [key, process.env[key]]));
+  const original = { getPostMetrics: LinkedInPublisher.prototype.getPostMetrics, getCampaignReport: MoengageClient.prototype.getCampaignReport };
+
+  try {
+    // Counts are whole and non-negative; unreported counts stay null
+    const counts = normalizeMetrics({ impressions: '1200.4', clicks: 30, likes: -4, comments: null, shares: 'n/a' });
+    assert.deepStrictEqual(pick(counts, ['impressions', 'clicks', 'likes', 'comments', 'shares', 'reach']), { impressions: 1200, clicks: 30, likes: 0, comments: null, shares: null, reach: null });
+    console.log('   ✅ Counts are coerced to whole, non-negative numbers');
+
+    // Engagements add up when not reported; rates use impressions, then reach or sends
+    assert.strictEqual(counts.engagements, 30);
+    assert.strictEqual(normalizeMetrics({ likes: 5, engagements: 90 }).engagements, 90);
+    assert.strictEqual(normalizeMetrics({ impressions: 100 }).engagements, null);
+    assert.deepStrictEqual(pick(counts, ['ctr', 'engagementRate', 'openRate']), { ctr: 0.025, engagementRate: 0.025, openRate: null });
+    const instagram = normalizeMetrics({ reach: 400, likes: 30, saves: 10 });
+    assert.deepStrictEqual(pick(instagram, ['ctr', 'engagementRate']), { ctr: null, engagementRate: 0.1 });
+    const email = normalizeMetrics({ sends: 3, opens: 1, clicks: 0 });
+    assert.deepStrictEqual(pick(email, ['ctr', 'openRate', 'engagementRate']), { ctr: 0, openRate: 0.3333, engagementRate: null });
+    assert.strictEqual(normalizeMetrics({ impressions: 0, clicks: 0 }).ctr, null);
+    console.log('   ✅ Derived engagements and rates');
+
+    // MoEngage reports, flat or nested, with fallback keys
+    assert.deepStrictEqual(emailReportCounts({ data: { stats: { delivered: 900, unique_opens: 300, unique_clicks: 45 } } }), { sends: 900, opens: 300, clicks: 45 });
+    assert.deepStrictEqual(emailReportCounts({ sent: '120', opens: 12 }), { sends: 120, opens: 12, clicks: 0 });
+    assert.deepStrictEqual(emailReportCounts(null), { sends: 0, opens: 0, clicks: 0 });
+    console.log('   ✅ Email report counts');
+
+    // Time series: latest per series, totals with rates recomputed from the sums, daily trend
+    const store = open(path.join(tmpDir, 'store'));
+    assert.throws(() => store.record({ seriesId: 'x', platform: 'linkedin' }), { code: 'INVALID_METRICS' });
+    store.record({ seriesId: 'li-1', publishedId: 'li-1', campaignId: 'CMP-1', platform: 'linkedin', topic: 'SIP', fetchedAt: '2026-10-01T10:00:00.000Z', impressions: 1000, clicks: 20, likes: 30, comments: 5 });
+    store.record({ seriesId: 'em-1:A', publishedId: 'em-1', platform: 'email', variantKey: 'A', fetchedAt: '2026-10-01T11:00:00.000Z', sends: 500, opens: 200, clicks: 25 });
+    store.record({ seriesId: 'em-1:B', publishedId: 'em-1', platform: 'email', variantKey: 'B', fetchedAt: '2026-10-01T11:05:00.000Z', sends: 500, opens: 150, clicks: 40 });
+    store.record({ seriesId: 'li-1', publishedId: 'li-1', campaignId: 'CMP-1', platform: 'linkedin', topic: 'SIP', fetchedAt: '2026-10-02T10:00:00.000Z', impressions: 2000, clicks: 50, likes: 60, comments: 10 });
+    store.record({ seriesId: 'li-2', publishedId: 'li-2', platform: 'linkedin', topic: 'ELSS', fetchedAt: '2026-10-02T12:00:00.000Z', impressions: 1000, clicks: 10, likes: 10 });
+
+    assert.deepStrictEqual(store.series({ seriesId: 'li-1' }).map((s) => s.impressions), [1000, 2000]);
+    assert.deepStrictEqual(store.latest().map((s) => s.seriesId), ['li-2', 'li-1', 'em-1:B', 'em-1:A']);
+    assert.deepStrictEqual(store.latest({ campaignId: 'CMP-1' }).map((s) => s.impressions), [2000]);
+    assert.deepStrictEqual(store.latest({ topic: ' SIP ', to: '2026-10-01T23:59:59Z' }).map((s) => s.impressions), [1000]);
+    assert.throws(() => store.series({ from: 'last tuesday' }), { code: 'INVALID_METRICS' });
+    console.log('   ✅ Series and latest snapshots with filters');
+
+    const totals = store.totals();
+    assert.deepStrictEqual(totals.map((t) => pick(t, ['platform', 'posts', 'impressions', 'sends', 'opens', 'clicks', 'engagements', 'ctr', 'engagementRate', 'openRate'])), [
+      { platform: 'email', posts: 2, impressions: null, sends: 1000, opens: 350, clicks: 65, engagements: 65, ctr: 0.065, engagementRate: null, openRate: 0.35 },
+      { platform: 'linkedin', posts: 2, impressions: 3000, sends: null, opens: null, clicks: 60, engagements: 140, ctr: 0.02, engagementRate: 0.0467, openRate: null }
+    ]);
+    console.log('   ✅ Totals add the latest counts and recompute rates');
+
+    const daily = store.daily();
+    assert.deepStrictEqual(daily.map((d) => [d.date, d.platform, d.posts, d.impressions ?? d.sends]), [
+      ['2026-10-01', 'email', 2, 1000],
+      ['2026-10-01', 'linkedin', 1, 1000],
+      ['2026-10-02', 'email', 2, 1000],
+      ['2026-10-02', 'linkedin', 2, 3000]
+    ]);
+    assert.deepStrictEqual(store.daily({ platform: 'linkedin', from: '2026-10-02' }).map((d) => [d.date, d.posts, d.clicks]), [['2026-10-02', 2, 60]]);
+    console.log('   ✅ Daily trend carries each series forward');
+
+    // Collector: which published records are pulled
+    const published = {
+      'li-live': { id: 'li-live', platform: 'linkedin', status: 'published', publishedAt: new Date(Date.now() - DAY_MS).toISOString(), postUrn: 'urn:li:share:1', contentId: 'content-1', campaignId: 'CMP-9', topic: 'SIP' },
+      'li-old': { id: 'li-old', platform: 'linkedin', status: 'published', publishedAt: new Date(Date.now() - 40 * DAY_MS).toISOString(), postUrn: 'urn:li:share:0', topic: 'SIP' },
+      'li-no-urn': { id: 'li-no-urn', platform: 'linkedin', status: 'published', publishedAt: new Date().toISOString(), topic: 'SIP' },
+      'fb-later': { id: 'fb-later', platform: 'facebook', status: 'scheduled', publishedAt: new Date().toISOString(), scheduledAt: new Date(Date.now() + DAY_MS).toISOString(), postId: '1_2' },
+      'em-ab': {
+        id: 'em-ab',
+        platform: 'email',
+        status: 'published',
+        publishedAt: new Date().toISOString(),
+        topic: 'ELSS',
+        abTestId: 'AB-1',
+        variants: [{ key: 'A', id: 'c-a', moengageCampaignId: 'CMP-A' }, { key: 'B', id: 'c-b', moengageCampaignId: 'CMP-B' }, { key: 'C', id: 'c-c' }]
+      },
+      'tw-1': { id: 'tw-1', platform: 'twitter', status: 'published', publishedAt: new Date().toISOString(), tweetIds: ['1'], topic: 'Tax' },
+      'pin-1': { id: 'pin-1', platform: 'pinterest', status: 'published', publishedAt: new Date().toISOString() }
+    };
+    const saved = {};
+    const stateManager = {
+      getEntries: (bucket) => (bucket === 'published' ? published : {}),
+      putEntry: async (bucket, entry) => (saved[entry.id] = { bucket, ...entry })
+    };
+    const collector = new MetricsCollector({ stateManager, store: open(path.join(tmpDir, 'collector')), lookbackDays: 30 });
+    assert.deepStrictEqual(collector.targets().map((t) => t.seriesId), ['li-live', 'em-ab:A', 'em-ab:B', 'tw-1']);
+    assert.deepStrictEqual(collector.targets({ topic: ' SIP ' }).map((t) => t.seriesId), ['li-live']);
+    assert.deepStrictEqual(collector.targets({ platform: 'email' }).map((t) => [t.variantKey, t.contentId, t.record.moengageCampaignId]), [['A', 'c-a', 'CMP-A'], ['B', 'c-b', 'CMP-B']]);
+    console.log('   ✅ Collector targets live, recent posts and split-test variants');
+
+    // Collector: one pass with stubbed clients; missing credentials skip, API errors fail
+    process.env.LINKEDIN_ACCESS_TOKEN = 'test-token';
+    process.env.LINKEDIN_AUTHOR_URN = 'urn:li:organization:1';
+    process.env.MOENGAGE_WORKSPACE_ID = 'test-workspace';
+    process.env.MOENGAGE_DATA_API_KEY = 'test-data-key';
+    process.env.MOENGAGE_REPORTING_API_KEY = 'test-reporting-key';
+    delete process.env.TWITTER_ACCESS_TOKEN;
+    LinkedInPublisher.prototype.getPostMetrics = async () => ({ impressions: 900, clicks: 18, likes: 40, comments: 2 });
+    MoengageClient.prototype.getCampaignReport = async (campaignId) => {
+      if (campaignId === 'CMP-B') throw new Error('MoEngage report failed (500)');
+      return { data: { stats: { delivered: 800, unique_opens: 240, unique_clicks: 16 } } };
+    };
+    const summary = await quiet(() => collector.collect());
+    assert.deepStrictEqual(pick(summary, ['collected', 'failed', 'skipped']), { collected: 2, failed: 1, skipped: 1 });
+    assert.deepStrictEqual(pick(saved['metrics-li-live'], ['bucket', 'publishedId', 'contentId', 'campaignId', 'variantKey']),
+      { bucket: 'metrics', publishedId: 'li-live', contentId: 'content-1', campaignId: 'CMP-9', variantKey: null });
+    assert.deepStrictEqual(pick(saved['metrics-li-live'].metrics, ['engagements', 'ctr', 'engagementRate']), { engagements: 60, ctr: 0.02, engagementRate: 0.0667 });
+    assert.deepStrictEqual(pick(saved['metrics-em-ab:A'].metrics, ['sends', 'ctr', 'openRate']), { sends: 800, ctr: 0.02, openRate: 0.3 });
+    assert.deepStrictEqual(collector.store.latest().map((s) => s.seriesId).sort(), ['em-ab:A', 'li-live']);
+    console.log('   ✅ Collector pass stores snapshots and the latest counts');
+
+    console.log('\n✅ All metrics tests passed');
+  } finally {
+    Object.assign(LinkedInPublisher.prototype, { getPostMetrics: original.getPostMetrics });
+    Object.assign(MoengageClient.prototype, { getCampaignReport: original.getCampaignReport });
+    for (const [key, value] of Object.entries(env)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+    stores.forEach((store) => store.close());
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+run().catch((error) => {
+  console.error('\n❌ Test failed:', error.message);
+  console.error(error.stack);
+  process.exit(1);
+});
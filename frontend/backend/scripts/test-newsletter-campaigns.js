@@ -0,0 +1,234 @@
+#!/usr/bin/env node
+/**
+ * Test Script for Newsletter Campaigns
+ *
+ * Runs the newsletter campaign steps offline against a temporary store: send schedules (IST
+ * wall-clock times, other zones across DST, best time with a fallback), audience segments, the
+ * create → test → approve/reject → launch transitions and the published records a launch
+ * writes. The MoEngage client is stubbed; nothing is sent.
+ *
+ * Usage:
+ *   node scripts/test-newsletter-campaigns.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const NewsletterCampaignStore = require('../core/newsletter-campaigns');
+const { MoengageClient } = require('../integrations/moengage-client');
+
+const {
+  parseSendSchedule,
+  describeSchedule,
+  resolveSegments,
+  createNewsletterCampaign,
+  sendTestEmails,
+  reviewNewsletterCampaign,
+  launchNewsletterCampaign
+} = NewsletterCampaignStore;
+
+const ENV_KEYS = ['MOENGAGE_WORKSPACE_ID', 'MOENGAGE_DATA_API_KEY', 'MOENGAGE_REPORTING_API_KEY', 'MOENGAGE_AUDIENCE_SEGMENTS', 'MOENGAGE_DEFAULT_SEGMENT_ID'];
+const DISCLAIMER = 'Mutual fund investments are subject to market risks, read all scheme related documents carefully.';
+
+function newsletter(id, topic, completedAt, reviewStatus = 'approved') {
+  return {
+    id,
+    contentType: 'email-newsletter',
+    topic,
+    subject: `${topic}: what to know this month`,
+    html: `<p>${topic}</p>`,
+    plainText: `A plain guide to ${topic}. ${DISCLAIMER}`,
+    completedAt,
+    reviewStatus
+  };
+}
+
+async function quiet(fn) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+  }
+}
+
+async function run() {
+  console.log('🧪 Testing Newsletter Campaigns\n');
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'newsletter-campaigns-test-'));
+  const store = new NewsletterCampaignStore(tmpDir);
+  const env = Object.fromEntries(ENV_KEYS.map((key) => [key, process.env[key]]));
+  const originalClient = Object.fromEntries(['createEmailCampaign', 'testEmailCampaign', 'updateEmailCampaign']
+    .map((method) => [method, MoengageClient.prototype[method]]));
+
+  try {
+    // Fixed times are wall-clock IST unless another zone or an offset is given
+    const ist = parseSendSchedule({ sendAt: '2099-01-15 09:30' });
+    assert.deepStrictEqual(ist, { type: 'fixed_time', sendAt: '2099-01-15T04:00:00.000Z', localTime: '2099-01-15 09:30', timeZone: 'Asia/Kolkata' });
+    assert.strictEqual(parseSendSchedule({ sendAt: '2099-01-15T09:30:00+05:30' }).sendAt, ist.sendAt);
+    assert.strictEqual(parseSendSchedule({ sendAt: '2099-01-15T04:00:00Z', timeZone: 'Asia/Kolkata' }).localTime, '2099-01-15 09:30');
+    assert.strictEqual(parseSendSchedule({ sendAt: '2099-07-04 09:00', timeZone: 'America/New_York' }).sendAt, '2099-07-04T13:00:00.000Z');
+    assert.strictEqual(parseSendSchedule({ sendAt: '2099-01-04 09:00', timeZone: 'America/New_York' }).sendAt, '2099-01-04T14:00:00.000Z');
+    assert.strictEqual(describeSchedule(ist), 'at 2099-01-15 09:30 Asia/Kolkata');
+    assert.deepStrictEqual(parseSendSchedule(), { type: 'immediate' });
+    console.log('   ✅ Fixed send times convert from IST and other zones');
+
+    const invalid = { code: 'INVALID_NEWSLETTER_CAMPAIGN' };
+    assert.throws(() => parseSendSchedule({ sendAt: '2020-01-15 09:30' }), { ...invalid, message: /is in the past/ });
+    assert.throws(() => parseSendSchedule({ sendAt: 'next monday' }), invalid);
+    assert.throws(() => parseSendSchedule({ sendAt: '2099-01-15 09:30', timeZone: 'Mars/Olympus' }), { ...invalid, message: /Unknown time zone/ });
+    console.log('   ✅ Past, malformed and unknown-zone times are rejected');
+
+    // Best time: a date (today in the zone by default) and an optional HH:mm fallback
+    const todayIst = new Intl.DateTimeFormat('en-CA', { timeZone: 'Asia/Kolkata' }).format(new Date());
+    assert.deepStrictEqual(parseSendSchedule({ bestTime: true }), { type: 'best_time', date: todayIst, fallbackTime: null, timeZone: 'Asia/Kolkata' });
+    const best = parseSendSchedule({ bestTime: '2099-01-20', sendAt: '10:00' });
+    assert.deepStrictEqual(best, { type: 'best_time', date: '2099-01-20', fallbackTime: '10:00', timeZone: 'Asia/Kolkata' });
+    assert.strictEqual(describeSchedule(best), "at each recipient's best time on 2099-01-20 (fallback 10:00) Asia/Kolkata");
+    assert.throws(() => parseSendSchedule({ bestTime: '2099-01-20', sendAt: '2099-01-20 10:00' }), { ...invalid, message: /fallback time of day/ });
+    assert.throws(() => parseSendSchedule({ bestTime: '2020-01-20' }), { ...invalid, message: /is in the past/ });
+    assert.throws(() => parseSendSchedule({ bestTime: 'tomorrow' }), { ...invalid, message: /use YYYY-MM-DD/ });
+    console.log('   ✅ Best-time schedules');
+
+    // Segments from ids and audiences, each sent once
+    process.env.MOENGAGE_AUDIENCE_SEGMENTS = JSON.stringify({ hni: ['seg_hni'], mass_affluent: ['seg_ma_1', 'seg_hni'] });
+    assert.deepStrictEqual(resolveSegments({ audiences: 'hni, massAffluent', segmentIds: ['seg_extra'] }), [
+      { segmentId: 'seg_extra', audience: null },
+      { segmentId: 'seg_hni', audience: 'hni' },
+      { segmentId: 'seg_ma_1', audience: 'mass_affluent' }
+    ]);
+    assert.deepStrictEqual(resolveSegments({ defaultSegmentId: 'seg_default' }), [{ segmentId: 'seg_default', audience: null }]);
+    assert.throws(() => resolveSegments({ audiences: 'retail' }), { ...invalid, message: /Unknown audience: retail/ });
+    assert.throws(() => resolveSegments({ audiences: 'internal' }), { ...invalid, message: /No MoEngage segment mapped/ });
+    console.log('   ✅ Audiences map to segments without duplicates');
+
+    // Create: one draft per segment with the schedule; only the requested topic's newsletter
+    process.env.MOENGAGE_WORKSPACE_ID = 'test-workspace';
+    process.env.MOENGAGE_DATA_API_KEY = 'test-data-key';
+    process.env.MOENGAGE_REPORTING_API_KEY = 'test-reporting-key';
+    const calls = { create: [], test: [], update: [] };
+    let failCreateFor = null;
+    let failUpdateFor = null;
+    MoengageClient.prototype.createEmailCampaign = async (config) => {
+      if (config.target_audience.segment_id === failCreateFor) throw new Error('MoEngage request failed (500)');
+      calls.create.push(config);
+      return { id: `MOE-${calls.create.length}` };
+    };
+    MoengageClient.prototype.testEmailCampaign = async (campaignId, body) => calls.test.push({ campaignId, ...body });
+    MoengageClient.prototype.updateEmailCampaign = async (campaignId, body) => {
+      if (campaignId === failUpdateFor) {
+        failUpdateFor = null;
+        throw new Error('MoEngage request failed (503)');
+      }
+      calls.update.push({ campaignId, ...body });
+      return { id: campaignId };
+    };
+
+    const content = {
+      'nl-sip': newsletter('nl-sip', 'SIP vs Lumpsum', '2026-10-01T10:00:00.000Z'),
+      'nl-elss': newsletter('nl-elss', 'ELSS', '2026-10-02T10:00:00.000Z'),
+      'nl-draft': newsletter('nl-draft', 'Gold ETFs', '2026-09-01T10:00:00.000Z', 'draft'),
+      'post-1': { id: 'post-1', contentType: 'linkedin-post', topic: 'SIP vs Lumpsum' }
+    };
+    const published = [];
+    const stateManager = {
+      getEntry: (bucket, id) => (bucket === 'content' ? content[id] || null : null),
+      getEntries: (bucket) => (bucket === 'content' ? content : {}),
+      getReviewStatus: (record) => record.reviewStatus,
+      addPublished: async (record) => published.push(record)
+    };
+    const context = { stateManager, store };
+
+    await assert.rejects(createNewsletterCampaign(context, { topic: 'Tax harvesting', segmentIds: 'seg_x' }), { ...invalid, message: /No email newsletter for topic "Tax harvesting"/ });
+    await assert.rejects(createNewsletterCampaign(context, { contentId: 'post-1' }), { ...invalid, message: /not an email newsletter/ });
+    await assert.rejects(createNewsletterCampaign(context, { contentId: 'nl-draft' }), { ...invalid, message: /nl-draft is draft; approve the newsletter/ });
+    failCreateFor = 'seg_ma_1';
+    await assert.rejects(quiet(() => createNewsletterCampaign(context, { topic: 'ELSS', audiences: 'hni,mass_affluent' })), /Failed to create campaign for segment seg_ma_1/);
+    assert.deepStrictEqual(store.list(), []);
+    failCreateFor = null;
+    calls.create.length = 0;
+
+    const fixed = await quiet(() => createNewsletterCampaign(context, { topic: ' sip vs lumpsum ', audiences: 'hni,massAffluent', sendAt: '2099-01-15 09:30' }));
+    assert.strictEqual(fixed.contentId, 'nl-sip');
+    assert.strictEqual(fixed.status, 'draft');
+    assert.deepStrictEqual(fixed.segments, [
+      { segmentId: 'seg_hni', audience: 'hni', moengageCampaignId: 'MOE-1' },
+      { segmentId: 'seg_ma_1', audience: 'mass_affluent', moengageCampaignId: 'MOE-2' }
+    ]);
+    assert.deepStrictEqual(calls.create.map((c) => [c.status, c.target_audience.segment_id, c.schedule]), [
+      ['draft', 'seg_hni', { type: 'fixed_time', send_time: '2099-01-15T04:00:00.000Z', timezone: 'Asia/Kolkata' }],
+      ['draft', 'seg_ma_1', { type: 'fixed_time', send_time: '2099-01-15T04:00:00.000Z', timezone: 'Asia/Kolkata' }]
+    ]);
+    console.log('   ✅ Create drafts one campaign per segment for the requested topic');
+
+    // Review: test → reject → test → approve
+    const review = reviewNewsletterCampaign.bind(null, context, fixed.id);
+    assert.throws(() => review('approve'), { ...invalid, message: /Cannot approve .*: it is draft \(expected in_review\)/ });
+    await assert.rejects(launchNewsletterCampaign(context, fixed.id), { ...invalid, message: /it is draft \(send a test and approve it first\)/ });
+    const tested = await quiet(() => sendTestEmails(context, fixed.id, { testEmails: 'ops@example.com, compliance@example.com' }));
+    assert.strictEqual(tested.status, 'in_review');
+    assert.deepStrictEqual(calls.test, [{ campaignId: 'MOE-1', test_emails: ['ops@example.com', 'compliance@example.com'] }]);
+    assert.strictEqual(review('reject', { reviewer: 'Compliance', comment: 'Fix the CTA' }).status, 'rejected');
+    assert.throws(() => review('approve'), invalid);
+    await quiet(() => sendTestEmails(context, fixed.id));
+    assert.strictEqual(review('approve', { reviewer: 'Compliance' }).status, 'approved');
+    assert.throws(() => review('publish'), { ...invalid, message: /Unknown review action/ });
+    assert.deepStrictEqual(store.get(fixed.id).history.map((h) => h.action), ['create', 'test', 'reject', 'test', 'approve']);
+    console.log('   ✅ Test, reject and approve transitions');
+
+    // Launch: every draft goes active; published records carry the UTC send time
+    const launched = await quiet(() => launchNewsletterCampaign(context, fixed.id));
+    assert.deepStrictEqual(calls.update, [{ campaignId: 'MOE-1', status: 'active' }, { campaignId: 'MOE-2', status: 'active' }]);
+    assert.deepStrictEqual([launched.status, launched.scheduledAt], ['scheduled', '2099-01-15T04:00:00.000Z']);
+    assert.deepStrictEqual(published.map((p) => [p.platform, p.status, p.scheduledAt, p.moengageCampaignId, p.audience, p.contentId]), [
+      ['email', 'scheduled', '2099-01-15T04:00:00.000Z', 'MOE-1', 'hni', 'nl-sip'],
+      ['email', 'scheduled', '2099-01-15T04:00:00.000Z', 'MOE-2', 'mass_affluent', 'nl-sip']
+    ]);
+    assert.strictEqual(store.get(fixed.id).status, 'launched');
+    await assert.rejects(launchNewsletterCampaign(context, fixed.id), { ...invalid, message: /it is launched$/ });
+    console.log('   ✅ Launch activates every segment and records scheduled sends');
+
+    // Best time: scheduledAt is the fallback time in IST; a failed segment is retried alone
+    calls.update.length = 0;
+    published.length = 0;
+    const bestTime = await quiet(() => createNewsletterCampaign(context, { segmentIds: 'seg_a,seg_b', bestTime: '2099-01-20', sendAt: '10:00' }));
+    assert.strictEqual(bestTime.contentId, 'nl-elss');
+    assert.deepStrictEqual(calls.create.slice(-1)[0].schedule, { type: 'best_time', send_date: '2099-01-20', timezone: 'Asia/Kolkata', fallback_time: '10:00' });
+    await quiet(() => sendTestEmails(context, bestTime.id));
+    reviewNewsletterCampaign(context, bestTime.id, 'approve');
+    failUpdateFor = bestTime.segments[1].moengageCampaignId;
+    await assert.rejects(quiet(() => launchNewsletterCampaign(context, bestTime.id)), /503/);
+    assert.ok(store.get(bestTime.id).segments[0].launchedAt);
+    assert.strictEqual(store.get(bestTime.id).status, 'approved');
+    const retried = await quiet(() => launchNewsletterCampaign(context, bestTime.id));
+    assert.deepStrictEqual(calls.update.map((c) => c.campaignId), bestTime.segments.map((s) => s.moengageCampaignId));
+    assert.strictEqual(retried.scheduledAt, '2099-01-20T04:30:00.000Z');
+    assert.strictEqual(published.length, 2);
+    console.log('   ✅ Best-time launch, retried without relaunching a segment');
+
+    // A fixed time that passed while the campaign waited for review cannot launch
+    const late = await quiet(() => createNewsletterCampaign(context, { contentId: 'nl-sip', segmentIds: 'seg_a', sendAt: '2099-02-01 09:00' }));
+    await quiet(() => sendTestEmails(context, late.id));
+    reviewNewsletterCampaign(context, late.id, 'approve');
+    store.update(late.id, (current) => ({ ...current, schedule: { ...current.schedule, sendAt: new Date(Date.now() - 60000).toISOString() } }));
+    await assert.rejects(launchNewsletterCampaign(context, late.id), { ...invalid, message: /send time 2099-02-01 09:00 \(Asia\/Kolkata\) has passed/ });
+    console.log('   ✅ Expired send times are not launched');
+
+    console.log('\n✅ All newsletter campaign tests passed');
+  } finally {
+    Object.assign(MoengageClient.prototype, originalClient);
+    for (const [key, value] of Object.entries(env)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+    store.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+run().catch((error) => {
+  console.error('\n❌ Test failed:', error.message);
+  console.error(error.stack);
+  process.exit(1);
+});
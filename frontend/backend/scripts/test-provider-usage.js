@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+/**
+ * Test Script for the Provider Usage Ledger
+ *
+ * Runs ProviderUsageStore against a temporary data directory: circuit breakers (open,
+ * half-open, reset), separate text breakers, and the per-campaign spend report.
+ *
+ * Usage:
+ *   node scripts/test-provider-usage.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ProviderUsageStore = require('../core/provider-usage');
+
+function run() {
+  console.log('🧪 Testing Provider Usage Ledger\n');
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'provider-usage-test-'));
+  const store = new ProviderUsageStore(tmpDir, { breakerThreshold: 2, breakerCooldownMs: 60000 });
+
+  try {
+    const fail = (provider, extra = {}) => store.record({ provider, operation: 'text-to-image', success: false, latencyMs: 10, error: 'HTTP 503', ...extra });
+
+    // Breaker opens after `threshold` consecutive failures and half-opens after the cooldown
+    fail('gemini');
+    assert.strictEqual(store.isOpen('gemini'), false);
+    fail('gemini');
+    assert.strictEqual(store.isOpen('gemini'), true);
+    assert.strictEqual(store.isOpen('gemini', new Date(Date.now() + 61000)), false);
+    assert.strictEqual(store.breakers(new Date(Date.now() + 61000))[0].state, 'half-open');
+    console.log('   ✅ Breaker opens after consecutive failures, half-opens after cooldown');
+
+    // A success closes it; text calls use their own breaker
+    store.record({ provider: 'gemini', operation: 'text-to-image', success: true, latencyMs: 10 });
+    assert.deepStrictEqual(store.breakers(), []);
+    fail('gemini', { operation: 'text', breakerKey: 'text:gemini' });
+    fail('gemini', { operation: 'text', breakerKey: 'text:gemini' });
+    assert.strictEqual(store.isOpen('text:gemini'), true);
+    assert.strictEqual(store.isOpen('gemini'), false);
+    console.log('   ✅ Success resets the breaker; text breakers are separate');
+
+    // Spend per campaign and provider, image and text apart
+    store.record({ provider: 'fal', operation: 'text-to-image', campaignId: 'CMP-1', success: true, images: 2, costUsd: 0.08, latencyMs: 100 });
+    store.record({ provider: 'fal', operation: 'edit', campaignId: 'CMP-1', success: true, images: 1, costUsd: 0.04, latencyMs: 300 });
+    store.record({ provider: 'gemini', operation: 'text', campaignId: 'CMP-1', success: true, inputTokens: 1200, outputTokens: 300, costUsd: 0.0011, latencyMs: 50 });
+    store.record({ provider: 'replicate', operation: 'text-to-image', campaignId: 'CMP-2', success: false, costUsd: 0, latencyMs: 20 });
+
+    const [cmp1] = store.spendReport({ campaignId: 'CMP-1' });
+    assert.strictEqual(cmp1.totalUsd, 0.1211);
+    assert.strictEqual(cmp1.calls, 3);
+    const fal = cmp1.providers.find((p) => p.provider === 'fal');
+    assert.deepStrictEqual({ kind: fal.kind, calls: fal.calls, images: fal.images, costUsd: fal.costUsd, avgLatencyMs: fal.avgLatencyMs },
+      { kind: 'image', calls: 2, images: 3, costUsd: 0.12, avgLatencyMs: 200 });
+    const text = cmp1.providers.find((p) => p.kind === 'text');
+    assert.deepStrictEqual({ inputTokens: text.inputTokens, outputTokens: text.outputTokens }, { inputTokens: 1200, outputTokens: 300 });
+
+    const all = store.spendReport();
+    assert.deepStrictEqual(all.map((c) => c.campaignId).sort(), ['CMP-1', 'CMP-2', 'unassigned']);
+    assert.strictEqual(all.find((c) => c.campaignId === 'CMP-2').providers[0].failed, 1);
+    assert.deepStrictEqual(store.spendReport({ since: new Date(Date.now() + 60000).toISOString() }), []);
+    console.log('   ✅ Spend report per campaign, provider and kind');
+
+    console.log('\n✅ All provider usage tests passed');
+  } finally {
+    store.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+try {
+  run();
+} catch (error) {
+  console.error('\n❌ Test failed:', error.message);
+  console.error(error.stack);
+  process.exit(1);
+}
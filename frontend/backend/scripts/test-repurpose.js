@@ -0,0 +1,208 @@
+#!/usr/bin/env node
+/**
+ * Test Script for the Repurpose Pipeline
+ *
+ * Runs `repurpose` offline against a temporary project: platform parsing, the rule-based
+ * caption per platform (limits, disclaimer, hashtag placement), generated rewrites with a
+ * rule-based fallback, child records linked to the master, and one Shotstack render per
+ * distinct video ratio. The text client and VideoEditor renders are stubbed; image re-layout is
+ * exercised only when the canvas package is installed.
+ *
+ * Usage:
+ *   node scripts/test-repurpose.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SocialMediaOrchestrator = require('../core/orchestrator');
+const VideoEditor = require('../video/video-editor');
+const { runRepurpose, parsePlatforms, adaptCopy, relayoutImage, TARGETS, SAFE_AREAS } = require('../core/repurpose');
+
+const ENV_KEYS = ['SHOTSTACK_API_KEY', 'IMGBB_API_KEY', 'BRAND_ID'];
+const BODY = [
+  'Step-up SIPs raise your monthly investment by a fixed percentage every year.',
+  'A ₹10,000 SIP stepped up by 10% a year builds a much larger corpus over 15 years than a flat one, because later contributions grow with your income.',
+  'Start small, review it every April, and keep the step-up in line with your salary hikes.',
+  '#SIP #MutualFunds'
+].join('\n');
+
+// Text client that is either unavailable (rule-based copy) or answers with fixed rewrites
+function textClient(rewrites) {
+  const calls = [];
+  return {
+    calls,
+    isAvailable: () => Boolean(rewrites),
+    async generateJson(task, request) {
+      calls.push({ task, ...request });
+      return { data: rewrites };
+    }
+  };
+}
+
+async function quiet(fn) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+  }
+}
+
+async function run() {
+  console.log('🧪 Testing Repurpose Pipeline\n');
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'repurpose-test-'));
+  const env = Object.fromEntries(ENV_KEYS.map((key) => [key, process.env[key]]));
+  const originalRender = VideoEditor.prototype.renderForPlatform;
+  let orchestrator = null;
+
+  try {
+    delete process.env.IMGBB_API_KEY;
+    delete process.env.BRAND_ID;
+
+    // Platform lists
+    assert.deepStrictEqual(parsePlatforms(), Object.keys(TARGETS));
+    assert.deepStrictEqual(parsePlatforms(' LinkedIn,twitter,linkedin '), ['linkedin', 'twitter']);
+    assert.deepStrictEqual(parsePlatforms(['whatsapp']), ['whatsapp']);
+    assert.throws(() => parsePlatforms('linkedin,tiktok'), { code: 'INVALID_REPURPOSE', message: /Unknown repurpose platform\(s\): tiktok/ });
+    console.log('   ✅ Platform lists are parsed and validated');
+
+    // Rule-based captions: limits, disclaimer and hashtags per platform
+    orchestrator = new SocialMediaOrchestrator({ projectRoot: tmpDir });
+    const brand = orchestrator.useBrand();
+    const disclaimer = brand.helpers.getDisclaimer('short');
+    const hashtags = ['#SIP', '#StepUp', 'MutualFunds', '#Investing'];
+
+    const tweet = adaptCopy(BODY.repeat(3), 'twitter', { hashtags, disclaimer, brand });
+    assert.ok(tweet.length <= TARGETS.twitter.maxLength, `tweet is ${tweet.length} chars`);
+    assert.ok(!/\n/.test(tweet.split(disclaimer)[0]), 'tweet body is a single line');
+    assert.ok(tweet.endsWith(`${disclaimer}\n\n#SIP #StepUp`));
+
+    const instagram = adaptCopy(BODY, 'instagram', { hashtags, disclaimer, brand });
+    assert.ok(instagram.endsWith(`${disclaimer}\n.\n.\n.\n#SIP #StepUp #MutualFunds #Investing`));
+    assert.ok(!instagram.split('\n.\n')[0].includes('#SIP #MutualFunds'), 'hashtag-only lines are re-added, not kept');
+
+    const whatsapp = adaptCopy(BODY, 'whatsapp', { hashtags, disclaimer, brand });
+    assert.ok(whatsapp.startsWith('*Step-up SIPs raise your monthly investment by a fixed percentage every year.*'));
+    assert.ok(!whatsapp.includes('#'), 'no hashtags on WhatsApp');
+
+    const withDisclaimer = adaptCopy(`${BODY}\nMutual funds are subject to market risks.`, 'linkedin', { hashtags, disclaimer, brand });
+    assert.ok(!withDisclaimer.includes(disclaimer), 'disclaimer is not added twice');
+    assert.strictEqual(adaptCopy(BODY, 'linkedin', { brand }).includes(disclaimer), false);
+    console.log('   ✅ Captions fit each platform with the disclaimer and hashtags in place');
+
+    // runRepurpose on a content master: one caption variant per platform, linked to the master
+    await orchestrator.stateManager.initialize();
+    await orchestrator.stateManager.addContent({
+      id: 'content-sip',
+      topic: 'Step-up SIP',
+      targetAudience: 'all_clients',
+      caption: BODY,
+      status: 'completed',
+      completedAt: '2026-01-10T10:00:00.000Z'
+    });
+    orchestrator._getTextClient = () => textClient(null);
+
+    const result = await quiet(() => runRepurpose(orchestrator, 'content', { topic: 'Step-up SIP', platforms: 'linkedin,twitter,whatsapp' }));
+    assert.deepStrictEqual(result.master, { bucket: 'content', id: 'content-sip' });
+    assert.deepStrictEqual(result.variants.map((v) => v.id), ['content-sip-linkedin', 'content-sip-twitter', 'content-sip-whatsapp']);
+    const linkedinVariant = orchestrator.stateManager.getEntry('content', 'content-sip-linkedin');
+    assert.strictEqual(linkedinVariant.parentId, 'content-sip');
+    assert.strictEqual(linkedinVariant.parentBucket, 'content');
+    assert.strictEqual(linkedinVariant.contentType, 'caption-variant');
+    assert.strictEqual(linkedinVariant.targetAudience, 'all_clients');
+    assert.ok(linkedinVariant.caption.includes(disclaimer));
+    assert.ok(linkedinVariant.hashtags.includes('#SIP') && linkedinVariant.hashtags.includes('#StepUpSIP'));
+    assert.strictEqual(linkedinVariant.compliance.passed, true);
+    assert.strictEqual(orchestrator.stateManager.getEntry('content', 'content-sip-twitter').hashtags.length, 2);
+    assert.deepStrictEqual(orchestrator.stateManager.getEntry('content', 'content-sip').variants.map((v) => v.platform), ['linkedin', 'twitter', 'whatsapp']);
+    console.log('   ✅ Content master gets linked caption variants (rule-based)');
+
+    // Generated rewrites win where present; re-running replaces links instead of duplicating them
+    const client = textClient({ linkedin: { caption: 'Raise your SIP with your salary.', hashtags: ['#SalaryHike'] } });
+    orchestrator._getTextClient = () => client;
+    await quiet(() => runRepurpose(orchestrator, 'content-sip', { platforms: 'linkedin,instagram' }));
+    assert.strictEqual(client.calls[0].task, 'repurpose-copy');
+    assert.deepStrictEqual(client.calls[0].schema.required, ['linkedin', 'instagram']);
+    const rewritten = orchestrator.stateManager.getEntry('content', 'content-sip-linkedin');
+    assert.strictEqual(rewritten.caption, `Raise your SIP with your salary.\n\n${disclaimer}\n\n#SalaryHike`);
+    assert.ok(orchestrator.stateManager.getEntry('content', 'content-sip-instagram').caption.startsWith('Step-up SIPs raise'));
+    assert.deepStrictEqual(orchestrator.stateManager.getEntry('content', 'content-sip').variants.map((v) => v.platform), ['twitter', 'whatsapp', 'linkedin', 'instagram']);
+    console.log('   ✅ Generated rewrites are used, with rule-based fallback per platform');
+
+    // Variants are not masters; unknown ids fail clearly
+    await assert.rejects(quiet(() => runRepurpose(orchestrator, 'content-sip-twitter')), { code: 'INVALID_REPURPOSE', message: /twitter variant of content-sip/ });
+    await assert.rejects(quiet(() => runRepurpose(orchestrator, 'missing-id')), { code: 'INVALID_REPURPOSE', message: /No content, visuals or videos record with id missing-id/ });
+    await assert.rejects(quiet(() => runRepurpose(orchestrator, 'video', { topic: 'Step-up SIP' })), { code: 'INVALID_REPURPOSE', message: /No videos record to repurpose/ });
+    console.log('   ✅ Variants and unknown records are rejected');
+
+    // Video master: the master's own ratio is reused, every other ratio rendered once
+    process.env.SHOTSTACK_API_KEY = 'test-shotstack-key';
+    const renders = [];
+    VideoEditor.prototype.renderForPlatform = async (url, specs) => {
+      renders.push({ url, ...specs });
+      return { renderId: `render-${renders.length}`, url: `https://cdn.example.com/render-${renders.length}.mp4` };
+    };
+    orchestrator._getTextClient = () => textClient(null);
+    await orchestrator.stateManager.putEntry('videos', {
+      id: 'video-sip',
+      topic: 'Step-up SIP',
+      aspectRatio: '16:9',
+      hostedUrl: 'https://cdn.example.com/master.mp4',
+      script: BODY,
+      status: 'completed',
+      completedAt: '2026-01-11T10:00:00.000Z'
+    });
+    const video = await quiet(() => runRepurpose(orchestrator, 'video-sip'));
+    assert.deepStrictEqual(renders.map((r) => [r.width, r.height]), [[1080, 1920], [1080, 1080]]);
+    assert.deepStrictEqual(renders[0].safeArea, SAFE_AREAS['9:16']);
+    const videoVariants = video.variants.filter((v) => v.bucket === 'videos');
+    assert.strictEqual(videoVariants.length, 6);
+    assert.strictEqual(orchestrator.stateManager.getEntry('videos', 'video-sip-youtube').hostedUrl, 'https://cdn.example.com/master.mp4');
+    assert.strictEqual(orchestrator.stateManager.getEntry('videos', 'video-sip-youtube').layout, 'original');
+    assert.strictEqual(orchestrator.stateManager.getEntry('videos', 'video-sip-whatsapp').hostedUrl, 'https://cdn.example.com/render-1.mp4');
+    assert.strictEqual(orchestrator.stateManager.getEntry('videos', 'video-sip-instagram').renderId, 'render-1');
+    assert.strictEqual(orchestrator.stateManager.getEntry('content', 'video-sip-linkedin').parentBucket, 'videos');
+    console.log('   ✅ Video master renders each missing ratio once');
+
+    // Image re-layout: safe-area fit for a new ratio, JPEG for WhatsApp
+    let canvasAvailable = true;
+    try {
+      require('canvas');
+    } catch {
+      canvasAvailable = false;
+    }
+    const outputPath = path.join(tmpDir, 'relayout.png');
+    if (canvasAvailable) {
+      const { createCanvas } = require('canvas');
+      const master = createCanvas(1080, 1080);
+      master.getContext('2d').fillRect(0, 0, 1080, 1080);
+      const story = await relayoutImage(master.toBuffer('image/png'), { width: 1080, height: 1920, safeArea: SAFE_AREAS['9:16'] }, outputPath);
+      assert.deepStrictEqual([story.width, story.height, story.layout, story.mimeType], [1080, 1920, 'safe-area', 'image/png']);
+      const square = await relayoutImage(master.toBuffer('image/png'), { width: 800, height: 800, safeArea: SAFE_AREAS['1:1'], type: 'jpeg' }, path.join(tmpDir, 'relayout.jpg'));
+      assert.deepStrictEqual([square.layout, square.mimeType], ['resize', 'image/jpeg']);
+      console.log('   ✅ Images are re-laid out into the safe area');
+    } else {
+      await assert.rejects(relayoutImage(Buffer.alloc(0), { width: 1080, height: 1920, safeArea: SAFE_AREAS['9:16'] }, outputPath), /needs the canvas package/);
+      console.log('   ✅ Without canvas, image re-layout fails with a clear error (rendering not exercised)');
+    }
+
+    console.log('\n✅ All repurpose tests passed');
+  } finally {
+    VideoEditor.prototype.renderForPlatform = originalRender;
+    for (const [key, value] of Object.entries(env)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+    orchestrator?.brandStore?.close?.();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+run().catch((error) => {
+  console.error('\n❌ Test failed:', error.message);
+  console.error(error.stack);
+  process.exit(1);
+});
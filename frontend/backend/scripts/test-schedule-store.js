@@ -0,0 +1,194 @@
+#!/usr/bin/env node
+/**
+ * Test Script for the Publish Schedule
+ *
+ * Runs the ScheduleStore and PublishScheduler against a temporary data directory: concurrent
+ * adds and claims (in one process and across processes), reclaiming claims of exited workers,
+ * time zone conversion, retries and the one-time import of publish-schedule.json. Nothing is
+ * published.
+ *
+ * Usage:
+ *   node scripts/test-schedule-store.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const ScheduleStore = require('../core/schedule-store');
+const PublishScheduler = require('../core/publish-scheduler');
+
+const { zonedTimeToUtc, formatInTimeZone } = ScheduleStore;
+
+// Claims due items from a separate process and prints the claimed ids
+const CLAIM_SCRIPT = `
+const ScheduleStore = require(${JSON.stringify(path.join(__dirname, '../core/schedule-store'))});
+const store = new ScheduleStore(process.argv[1]);
+store.claimDue(new Date(Date.now() + 60000)).then((items) => {
+  store.close();
+  process.stdout.write(JSON.stringify(items.map((item) => item.id)));
+});
+`;
+
+function claimInChildProcess(dataDir) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, ['-e', CLAIM_SCRIPT, dataDir]);
+    let out = '';
+    let err = '';
+    child.stdout.on('data', (chunk) => { out += chunk; });
+    child.stderr.on('data', (chunk) => { err += chunk; });
+    child.on('error', reject);
+    child.on('close', (code) => {
+      if (code !== 0) return reject(new Error(`claim process exited with ${code}: ${err}`));
+      resolve(JSON.parse(out));
+    });
+  });
+}
+
+async function run() {
+  console.log('🧪 Testing Publish Schedule\n');
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'schedule-test-'));
+  const stores = [];
+  const open = (dir, options) => {
+    const store = new ScheduleStore(dir, options);
+    stores.push(store);
+    return store;
+  };
+
+  try {
+    // Wall-clock times convert from the platform's zone (IST by default)
+    assert.strictEqual(zonedTimeToUtc('2030-01-15 09:30', 'Asia/Kolkata').toISOString(), '2030-01-15T04:00:00.000Z');
+    assert.strictEqual(zonedTimeToUtc('2030-07-01 09:00', 'America/New_York').toISOString(), '2030-07-01T13:00:00.000Z');
+    assert.strictEqual(zonedTimeToUtc('2030-01-15 09:00', 'America/New_York').toISOString(), '2030-01-15T14:00:00.000Z');
+    assert.strictEqual(zonedTimeToUtc('2030-01-15T09:30:00+05:30', 'America/New_York').toISOString(), '2030-01-15T04:00:00.000Z');
+    assert.strictEqual(formatInTimeZone('2030-01-15T04:00:00.000Z', 'Asia/Kolkata'), '2030-01-15 09:30');
+    assert.throws(() => zonedTimeToUtc('15/01/2030 09:30', 'Asia/Kolkata'), { code: 'INVALID_SCHEDULE' });
+    console.log('   ✅ IST and DST time zone conversion');
+
+    const dataDir = path.join(tmpDir, 'data');
+    const store = open(dataDir, { platformTimeZones: { twitter: 'America/New_York' } });
+    const ist = await store.add({ platform: 'linkedin', topic: 'SIP basics', at: '2030-01-15 09:30' });
+    assert.strictEqual(ist.timeZone, 'Asia/Kolkata');
+    assert.strictEqual(ist.publishAt, '2030-01-15T04:00:00.000Z');
+    assert.strictEqual(ist.localTime, '2030-01-15 09:30');
+    const ny = await store.add({ platform: 'twitter', topic: 'SIP basics', at: '2030-01-15 09:30' });
+    assert.strictEqual(ny.timeZone, 'America/New_York');
+    assert.strictEqual(ny.publishAt, '2030-01-15T14:30:00.000Z');
+    await assert.rejects(store.add({ platform: 'linkedin', topic: 'SIP', at: '2020-01-01 09:00' }), { code: 'INVALID_SCHEDULE' });
+    await assert.rejects(store.add({ platform: 'myspace', topic: 'SIP', at: '2030-01-15 09:30' }), { code: 'INVALID_SCHEDULE' });
+    assert.deepStrictEqual((await store.list({ from: '2030-01-15T10:00:00Z' })).map((i) => i.id), [ny.id]);
+    console.log('   ✅ Items stored with platform time zones');
+
+    // Concurrent adds from one process and from a second store on the same database
+    const other = open(dataDir);
+    const now = new Date().toISOString();
+    await Promise.all(Array.from({ length: 20 }, (_, i) =>
+      (i % 2 ? store : other).add({ platform: 'linkedin', topic: `Due ${i}`, at: now })));
+    const due = await store.list({ status: 'pending', to: now });
+    assert.strictEqual(due.length, 20);
+    console.log('   ✅ Concurrent adds keep every item');
+
+    // Concurrent claims: every due item is claimed exactly once
+    const [first, second] = await Promise.all([store.claimDue(new Date(Date.now() + 1000)), other.claimDue(new Date(Date.now() + 1000))]);
+    assert.strictEqual(first.length + second.length, 20);
+    assert.deepStrictEqual(await store.claimDue(new Date(Date.now() + 1000)), []);
+    console.log('   ✅ Concurrent claims in one process never double-claim');
+
+    const crossDir = path.join(tmpDir, 'cross');
+    const crossStore = open(crossDir);
+    for (let i = 0; i < 30; i++) {
+      await crossStore.add({ platform: 'linkedin', topic: `Cross ${i}`, at: new Date().toISOString() });
+    }
+    const claims = await Promise.all([claimInChildProcess(crossDir), claimInChildProcess(crossDir), claimInChildProcess(crossDir)]);
+    const claimedIds = claims.flat();
+    assert.strictEqual(claimedIds.length, 30);
+    assert.strictEqual(new Set(claimedIds).size, 30);
+    assert.ok((await crossStore.list()).every((item) => item.status === 'running' && item.attempts.length === 1));
+    console.log('   ✅ Claims from separate processes never double-claim');
+
+    // Claims of processes that have exited are reclaimed; a live owner's claim is not, however long it runs
+    assert.deepStrictEqual(await crossStore.claimDue(new Date(Date.now() + 60000)), []);
+    const interrupted = await crossStore.list();
+    assert.ok(interrupted.every((item) => item.status === 'retrying' &&
+      item.attempts[0].error === 'Interrupted (worker stopped mid-publish)'));
+    assert.deepStrictEqual(await store.claimDue(new Date(Date.now() + 3 * 60 * 60 * 1000)), []);
+    const stillRunning = await store.list({ status: 'running' });
+    assert.deepStrictEqual(stillRunning.map((item) => item.id).sort(), [...first, ...second].map((item) => item.id).sort());
+    assert.ok(stillRunning.every((item) => item.attempts[0].ownerPid === process.pid));
+    console.log('   ✅ Only claims whose owner has exited are reclaimed');
+
+    // Scheduler: only an explicit success counts as published
+    const runDir = path.join(tmpDir, 'run');
+    const runStore = open(runDir, { retryBaseMs: 60000 });
+    const silent = await runStore.add({ platform: 'email', topic: 'No result', at: new Date().toISOString(), maxAttempts: 2 });
+    const posted = await runStore.add({ platform: 'linkedin', topic: 'Posted', at: new Date().toISOString() });
+    const thrown = await runStore.add({ platform: 'twitter', topic: 'Throws', at: new Date().toISOString(), maxAttempts: 1 });
+    const drafted = await runStore.add({ platform: 'email', topic: 'Drafted', at: new Date().toISOString() });
+    const orchestrator = {
+      async stagePublishing(options) {
+        if (options.topic === 'Posted') return { success: true, id: 'post-1', url: 'https://example.com/post-1' };
+        if (options.topic === 'Throws') throw new Error('rate limited');
+        if (options.topic === 'Drafted') return { success: false, platform: 'email', status: 'awaiting_launch', newsletterCampaignId: 'NLC-1' };
+        return undefined;
+      }
+    };
+    const scheduler = new PublishScheduler({ orchestrator, store: runStore });
+    const log = console.log;
+    console.log = () => {};
+    let results;
+    try {
+      results = await scheduler.runDue();
+    } finally {
+      console.log = log;
+    }
+    const byId = Object.fromEntries(results.map((item) => [item.id, item]));
+    assert.strictEqual(byId[posted.id].status, 'published');
+    assert.strictEqual(byId[posted.id].url, 'https://example.com/post-1');
+    assert.strictEqual(byId[silent.id].status, 'retrying');
+    assert.strictEqual(byId[silent.id].lastError, 'Publisher returned no result');
+    assert.ok(new Date(byId[silent.id].nextAttemptAt) > new Date());
+    assert.strictEqual(byId[thrown.id].status, 'failed');
+    assert.strictEqual(byId[thrown.id].attempts[0].error, 'rate limited');
+    assert.strictEqual(byId[drafted.id].status, 'awaiting_launch');
+    assert.strictEqual(byId[drafted.id].newsletterCampaignId, 'NLC-1');
+    assert.strictEqual(byId[drafted.id].publishedId, undefined);
+    console.log('   ✅ Scheduler treats a missing result as a failed attempt and leaves drafted newsletters unpublished');
+
+    // The failed attempt is retried once its backoff has passed; finished and drafted items are not
+    const reclaimed = await runStore.claimDue(new Date(Date.now() + 2 * 60 * 1000));
+    assert.deepStrictEqual(reclaimed.map((item) => item.id), [silent.id]);
+    assert.strictEqual(reclaimed[0].attempts.length, 2);
+    console.log('   ✅ Retries are claimed once their backoff has passed');
+
+    // One-time import of the previous JSON schedule
+    const legacyDir = path.join(tmpDir, 'legacy');
+    fs.mkdirSync(legacyDir);
+    fs.writeFileSync(path.join(legacyDir, 'publish-schedule.json'), JSON.stringify({
+      items: { 'SCHED-1-abcd': { ...ist, id: 'SCHED-1-abcd' } }
+    }));
+    const legacyLog = console.log;
+    console.log = () => {};
+    let legacy;
+    try {
+      legacy = open(legacyDir);
+    } finally {
+      console.log = legacyLog;
+    }
+    assert.strictEqual((await legacy.get('SCHED-1-abcd')).publishAt, ist.publishAt);
+    assert.ok(fs.existsSync(path.join(legacyDir, 'publish-schedule.json.migrated')));
+    assert.ok(!fs.existsSync(path.join(legacyDir, 'publish-schedule.json')));
+    console.log('   ✅ publish-schedule.json imported once');
+
+    console.log('\n✅ All publish schedule tests passed');
+  } finally {
+    stores.forEach((store) => store.close());
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+run().catch((error) => {
+  console.error('\n❌ Test failed:', error.message);
+  console.error(error.stack);
+  process.exit(1);
+});
@@ -0,0 +1,170 @@
+#!/usr/bin/env node
+/**
+ * Test Script for the Workflow State Store
+ *
+ * Runs StateStore and StateManager against a temporary data directory: the one-time
+ * workflow-state.json migration and legacy state imports, record CRUD, transactions,
+ * StateManager saves that only write changed records, and concurrent writers in separate
+ * processes.
+ *
+ * Usage:
+ *   node scripts/test-state-store.js
+ */
+
+const assert = require('assert');
+const { spawnSync, spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const StateStore = require('../core/state-store');
+const StateManager = require('../core/state-manager');
+
+// Increments a counter record `times` times, one IMMEDIATE transaction each
+const WRITER = `
+const StateStore = require(${JSON.stringify(path.join(__dirname, '../core/state-store'))});
+const store = StateStore.open(process.argv[1]);
+for (let i = 0; i < Number(process.argv[2]); i++) {
+  store.update('metrics', 'counter', (current) => ({ ...current, count: (current?.count || 0) + 1 }));
+}
+store.close();
+`;
+
+function runWriter(dataDir, times) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, ['-e', WRITER, dataDir, String(times)], { stdio: ['ignore', 'ignore', 'pipe'] });
+    let stderr = '';
+    child.stderr.on('data', (chunk) => (stderr += chunk));
+    child.on('error', reject);
+    child.on('exit', (code) => (code === 0 ? resolve() : reject(new Error(`writer exited with ${code}: ${stderr}`))));
+  });
+}
+
+async function quiet(fn) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+  }
+}
+
+async function run() {
+  console.log('🧪 Testing Workflow State Store\n');
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'state-store-test-'));
+  const stores = [];
+
+  try {
+    // One-time migration of an existing workflow-state.json
+    const dataDir = path.join(tmpDir, 'data');
+    fs.mkdirSync(dataDir);
+    fs.writeFileSync(path.join(dataDir, 'workflow-state.json'), JSON.stringify({
+      campaigns: { 'campaign-1': { id: 'campaign-1', topic: 'SIP basics' } },
+      content: { '2-100': { topic: 'SIP basics', contentType: 'carousel' } },
+      visuals: {},
+      videos: { broken: null }
+    }));
+    const store = await quiet(() => StateStore.open(dataDir));
+    stores.push(store);
+    assert.strictEqual(StateStore.open(dataDir), store);
+    assert.deepStrictEqual(store.get('campaigns', 'campaign-1'), { id: 'campaign-1', topic: 'SIP basics' });
+    assert.strictEqual(store.get('content', '2-100').id, '2-100');
+    assert.deepStrictEqual(store.getAll('videos'), {});
+    assert.ok(!fs.existsSync(path.join(dataDir, 'workflow-state.json')));
+    assert.ok(fs.existsSync(path.join(dataDir, 'workflow-state.json.migrated')));
+
+    // A JSON file that reappears later is not imported again
+    fs.writeFileSync(path.join(dataDir, 'workflow-state.json'), JSON.stringify({ campaigns: { 'campaign-2': { id: 'campaign-2' } } }));
+    assert.strictEqual(store.migrateFromJson(), 0);
+    assert.strictEqual(store.get('campaigns', 'campaign-2'), null);
+    fs.rmSync(path.join(dataDir, 'workflow-state.json'));
+    console.log('   ✅ workflow-state.json migrated once');
+
+    // The root CLI's legacy data/workflow-state.json is merged in; existing records win
+    const legacyFile = path.join(tmpDir, 'legacy-workflow-state.json');
+    fs.writeFileSync(legacyFile, JSON.stringify({
+      campaigns: { 'campaign-1': { id: 'campaign-1', topic: 'Overwritten?' }, 'campaign-3': { id: 'campaign-3', topic: 'ELSS' } },
+      videos: { '4-1': { topic: 'ELSS', hostedUrl: 'https://cdn.example.com/elss.mp4' } }
+    }));
+    assert.strictEqual(store.importJsonFile(legacyFile), 2);
+    assert.strictEqual(store.get('campaigns', 'campaign-1').topic, 'SIP basics');
+    assert.strictEqual(store.get('videos', '4-1').id, '4-1');
+    assert.ok(fs.existsSync(`${legacyFile}.migrated`));
+    assert.strictEqual(store.importJsonFile(legacyFile), 0);
+    fs.writeFileSync(legacyFile, '{ not json');
+    assert.throws(() => store.importJsonFile(legacyFile), /Failed to import .*legacy-workflow-state\.json/);
+    store.delete('campaigns', 'campaign-3');
+    store.delete('videos', '4-1');
+    console.log('   ✅ Legacy state files are imported without overwriting records');
+
+    // Records: put/get/update/delete, validation
+    store.put('visuals', { id: '3-1', topic: 'SIP basics', images: [] });
+    assert.deepStrictEqual(Object.keys(store.loadState()), ['campaigns', 'content', 'visuals', 'videos', 'published', 'metrics']);
+    assert.deepStrictEqual(store.update('visuals', '3-1', (current) => ({ ...current, images: [{ path: 'a.png' }] })).images, [{ path: 'a.png' }]);
+    assert.strictEqual(store.update('visuals', '3-1', () => undefined).images.length, 1);
+    assert.strictEqual(store.delete('visuals', '3-1'), true);
+    assert.strictEqual(store.delete('visuals', '3-1'), false);
+    assert.throws(() => store.get('drafts', 'x'), /Unknown state bucket: drafts/);
+    assert.throws(() => store.put('content', { topic: 'no id' }), /Cannot store content record without an id/);
+    console.log('   ✅ Record CRUD and validation');
+
+    // Transactions roll back as a whole; nested calls join the outer one
+    assert.throws(() => store.transaction(() => {
+      store.put('content', { id: 'tx-1' });
+      store.transaction(() => store.put('content', { id: 'tx-2' }));
+      throw new Error('abort');
+    }), /abort/);
+    assert.strictEqual(store.get('content', 'tx-1'), null);
+    assert.strictEqual(store.get('content', 'tx-2'), null);
+    console.log('   ✅ Transactions roll back as a whole');
+
+    // StateManager: save() writes only what this process changed
+    const first = new StateManager(dataDir);
+    const second = new StateManager(dataDir);
+    await first.initialize();
+    await second.initialize();
+    const entry = await first.addStageEntry(2, { topic: 'Gold ETFs', contentType: 'post' });
+    assert.match(entry.id, /^2-\d+$/);
+    assert.strictEqual(entry.stageId, 2);
+    await second.updateEntry('campaigns', 'campaign-1', { status: 'running' });
+    first.state.campaigns['campaign-3'] = { id: 'campaign-3', topic: 'ELSS' };
+    await first.save();
+    assert.strictEqual(store.get('campaigns', 'campaign-1').status, 'running');
+    assert.strictEqual(store.get('campaigns', 'campaign-3').topic, 'ELSS');
+    await assert.rejects(first.updateEntry('content', 'missing', {}, 'Content'), /Content not found: missing/);
+    await assert.rejects(first.addStageEntry(9, {}), /Invalid stage: 9/);
+    console.log('   ✅ StateManager saves never overwrite another writer\'s records');
+
+    // Stage edits: review state cannot be edited directly and approved copy goes back to draft
+    await first.putEntry('content', { id: '2-200', topic: 'SIP basics', caption: 'Old', review: { status: 'approved', history: [] } });
+    const edited = await first.updateStageEntry(2, '2-200', { caption: 'New', review: { status: 'approved' } });
+    assert.strictEqual(edited.caption, 'New');
+    assert.strictEqual(edited.review.status, 'draft');
+    assert.strictEqual(await first.updateStageEntry(2, 'missing', { caption: 'x' }), null);
+    console.log('   ✅ Stage edits keep the review workflow');
+
+    // Concurrent writers in separate processes lose no updates
+    await Promise.all([runWriter(dataDir, 100), runWriter(dataDir, 100), runWriter(dataDir, 100)]);
+    assert.strictEqual(store.get('metrics', 'counter').count, 300);
+    const check = spawnSync(process.execPath, ['-e', `const s = require(${JSON.stringify(path.join(__dirname, '../core/state-store'))}).open(process.argv[1]); console.log(s.get('metrics', 'counter').count); s.close();`, dataDir], { encoding: 'utf8' });
+    assert.strictEqual(check.stdout.trim(), '300');
+    console.log('   ✅ Concurrent writers in 3 processes lose no updates');
+
+    console.log('\n✅ All state store tests passed');
+  } finally {
+    for (const store of stores) {
+      try {
+        store.close();
+      } catch {
+        // already closed
+      }
+    }
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+run().catch((error) => {
+  console.error('\n❌ Test failed:', error.message);
+  console.error(error.stack);
+  process.exit(1);
+});
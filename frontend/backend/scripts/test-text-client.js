@@ -0,0 +1,165 @@
+#!/usr/bin/env node
+/**
+ * Test Script for the Text Client
+ *
+ * Runs TextClient offline: the `fake` provider (TEXT_PROVIDER=fake) and a stub provider that
+ * answers with malformed JSON, covering JSON extraction, repair prompts, schema validation,
+ * failover and token/cost accounting in the provider usage ledger. No API keys needed.
+ *
+ * Usage:
+ *   node scripts/test-text-client.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TextClient = require('../text/text-client');
+const { registerTextProvider } = require('../text/text-providers');
+const ProviderUsageStore = require('../core/provider-usage');
+
+const { extractJson, validateSchema } = TextClient;
+
+const SCHEMA = {
+  type: 'object',
+  required: ['headline', 'slides'],
+  properties: {
+    headline: { type: 'string', minLength: 5 },
+    slides: { type: 'array', minItems: 2, items: { type: 'string' } },
+    tone: { type: 'string', enum: ['calm', 'bold'] }
+  }
+};
+
+// Replies in turn with each entry of `replies` (the last one repeats) and keeps the requests
+function stubProvider(name, replies) {
+  const requests = [];
+  registerTextProvider({
+    name,
+    defaultModel: `${name}-model`,
+    features: ['json'],
+    isConfigured: () => true,
+    async generate(request) {
+      requests.push(request);
+      const text = replies[Math.min(requests.length - 1, replies.length - 1)];
+      return { text, reasoning: null, model: request.model, finishReason: 'STOP', usage: { inputTokens: 1000, outputTokens: 200 }, raw: { text } };
+    }
+  });
+  return requests;
+}
+
+async function quiet(fn) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+  }
+}
+
+async function run() {
+  console.log('🧪 Testing Text Client\n');
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'text-client-test-'));
+  const env = { TEXT_PROVIDER: process.env.TEXT_PROVIDER, TEXT_TASKS: process.env.TEXT_TASKS, TEXT_PROVIDER_COSTS: process.env.TEXT_PROVIDER_COSTS };
+
+  try {
+    // JSON extraction tolerates fences, prose, smart quotes and trailing commas
+    assert.deepStrictEqual(extractJson('```json\n{"a": 1}\n```'), { a: 1 });
+    assert.deepStrictEqual(extractJson('Sure! Here it is: {"a": [1, 2,], "b": "x }"} Hope that helps.'), { a: [1, 2], b: 'x }' });
+    assert.deepStrictEqual(extractJson('{“a”: “b”}'), { a: 'b' });
+    assert.throws(() => extractJson('no json here'), /no parseable JSON/);
+    assert.throws(() => extractJson('   '), /empty response/);
+    console.log('   ✅ JSON extraction');
+
+    // Schema validation
+    assert.deepStrictEqual(validateSchema({ headline: 'SIP basics', slides: ['a', 'b'] }, SCHEMA), []);
+    assert.deepStrictEqual(validateSchema({ headline: '', slides: ['a'], tone: 'loud' }, SCHEMA), [
+      'response.headline should not be empty',
+      'response.slides needs at least 2 item(s)',
+      'response.tone should be one of "calm", "bold"'
+    ]);
+    assert.deepStrictEqual(validateSchema([], SCHEMA), ['response should be object']);
+    assert.deepStrictEqual(validateSchema({ slides: [1, 'b'] }, SCHEMA), ['response.headline is missing', 'response.slides[0] should be string']);
+    console.log('   ✅ Schema validation');
+
+    // TEXT_PROVIDER=fake: deterministic, schema-shaped, booked to the ledger
+    process.env.TEXT_PROVIDER = 'fake';
+    const client = new TextClient({ dataDir: tmpDir, usage: { campaignId: 'CMP-TEXT', stage: 'content' } });
+    assert.strictEqual(client.isAvailable('article', { webSearch: true }), true);
+    const text = await client.generate('carousel-content', { prompt: 'Explain SIP step-up in simple words' });
+    assert.strictEqual(text.provider, 'fake');
+    assert.match(text.text, /^Fake response [0-9a-f]{8}: Explain SIP step-up/);
+    assert.strictEqual((await client.generate('carousel-content', { prompt: 'Explain SIP step-up in simple words' })).text, text.text);
+    const json = await client.generateJson('carousel-content', { prompt: 'Carousel on SIPs', schema: SCHEMA });
+    assert.deepStrictEqual(validateSchema(json.data, SCHEMA), []);
+    assert.strictEqual(json.repairs, 0);
+    console.log('   ✅ Fake provider returns deterministic, schema-shaped output');
+
+    // Malformed JSON is repaired by the same provider, and every call is accounted
+    delete process.env.TEXT_PROVIDER;
+    process.env.TEXT_PROVIDER_COSTS = JSON.stringify({ 'stub-repair': { default: { input: 1, output: 2 } } });
+    const repairRequests = stubProvider('stub-repair', [
+      'Here you go: {"headline": "SIP basics", "slides": ["one", "two",]',
+      '{"headline": "SIP basics", "slides": ["one", "two"]}'
+    ]);
+    const repaired = await quiet(() => client.generateJson('test-repair', { provider: 'stub-repair', prompt: 'Carousel', schema: SCHEMA }));
+    assert.deepStrictEqual(repaired.data, { headline: 'SIP basics', slides: ['one', 'two'] });
+    assert.strictEqual(repaired.repairs, 1);
+    assert.strictEqual(repairRequests.length, 2);
+    const repairTurn = repairRequests[1].messages;
+    assert.strictEqual(repairTurn[repairTurn.length - 2].role, 'assistant');
+    assert.match(repairTurn[repairTurn.length - 1].content, /could not be used: no parseable JSON/);
+    assert.deepStrictEqual(repaired.usage, { inputTokens: 2000, outputTokens: 400, costUsd: 0.0028, latencyMs: repaired.usage.latencyMs });
+    console.log('   ✅ Malformed JSON is repaired with a follow-up prompt');
+
+    // Valid JSON that fails the schema is repaired too; exhausted repairs fail over to the next provider
+    process.env.TEXT_TASKS = JSON.stringify({ 'test-failover': { providers: ['stub-invalid', 'fake'] } });
+    const invalidRequests = stubProvider('stub-invalid', ['{"headline": "SIP", "slides": ["only one"]}']);
+    const failedOver = await quiet(() => client.generateJson('test-failover', { prompt: 'Carousel', schema: SCHEMA, maxRepairs: 2 }));
+    assert.strictEqual(invalidRequests.length, 3);
+    assert.match(invalidRequests[1].messages[invalidRequests[1].messages.length - 1].content, /response.headline should not be empty|slides needs at least 2/);
+    assert.strictEqual(failedOver.provider, 'fake');
+    assert.strictEqual(failedOver.failedOver[0].provider, 'stub-invalid');
+    assert.match(failedOver.failedOver[0].error, /unusable JSON after 3 attempt\(s\)/);
+    console.log('   ✅ Schema failures are repaired, then fail over');
+
+    // No provider left: TEXT_GENERATION_FAILED with the last raw response
+    process.env.TEXT_TASKS = JSON.stringify({ 'test-none': { providers: ['stub-invalid'] } });
+    await assert.rejects(quiet(() => client.generateJson('test-none', { prompt: 'Carousel', schema: SCHEMA })), (error) => {
+      assert.strictEqual(error.code, 'TEXT_GENERATION_FAILED');
+      assert.strictEqual(error.raw, '{"headline": "SIP", "slides": ["only one"]}');
+      return true;
+    });
+    console.log('   ✅ TEXT_GENERATION_FAILED when every provider fails');
+
+    // Ledger: one row per provider call with tokens and cost, booked to the campaign
+    const [report] = ProviderUsageStore.open(tmpDir).spendReport({ campaignId: 'CMP-TEXT' });
+    const byProvider = Object.fromEntries(report.providers.map((p) => [p.provider, p]));
+    assert.deepStrictEqual(
+      { calls: byProvider['stub-repair'].calls, kind: byProvider['stub-repair'].kind, inputTokens: byProvider['stub-repair'].inputTokens, costUsd: byProvider['stub-repair'].costUsd },
+      { calls: 2, kind: 'text', inputTokens: 2000, costUsd: 0.0028 }
+    );
+    assert.strictEqual(byProvider['stub-invalid'].calls, 5);
+    assert.strictEqual(byProvider.fake.calls, 4);
+    console.log('   ✅ Token and cost accounting per provider call');
+
+    console.log('\n✅ All text client tests passed');
+  } finally {
+    for (const [key, value] of Object.entries(env)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+    try {
+      ProviderUsageStore.open(tmpDir).close();
+    } catch {
+      // already closed
+    }
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+run().catch((error) => {
+  console.error('\n❌ Test failed:', error.message);
+  console.error(error.stack);
+  process.exit(1);
+});
@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+/**
+ * Test Script for Twitter/X Publisher
+ *
+ * Runs the thread publisher against a local mock of the X API v2 (media upload, tweets):
+ * weighted lengths and re-splitting, images per tweet, a thread that fails half-way and
+ * its resume from the last posted tweet. No credentials needed.
+ *
+ * Usage:
+ *   node scripts/test-twitter-publisher.js
+ */
+
+const assert = require('assert');
+const http = require('http');
+const { TwitterPublisher, tweetLength, splitTweet, prepareThread, MAX_TWEET_LENGTH } = require('../integrations/twitter-publisher');
+
+// Tweets whose text contains "[fail]" are rejected once, like a transient 503
+function startMockX() {
+  const calls = [];
+  const tweets = [];
+  let counter = 0;
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (c) => chunks.push(c));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks);
+      const json = (status, data) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(data));
+      };
+      calls.push({ method: req.method, url: req.url, headers: req.headers, body });
+
+      if (req.headers.authorization !== 'Bearer test-token') {
+        return json(401, { title: 'Unauthorized', detail: 'Unauthorized', status: 401 });
+      }
+      if (req.method === 'POST' && req.url === '/2/media/upload') {
+        if (body.includes('broken-image')) return json(400, { errors: [{ message: 'media type unrecognized' }] });
+        counter++;
+        return json(200, { data: { id: `media-${counter}` } });
+      }
+      if (req.method === 'POST' && req.url === '/2/tweets') {
+        const tweet = JSON.parse(body.toString());
+        if (tweet.text.includes('[fail]') && !tweets.some((t) => t.text === tweet.text)) {
+          tweets.push({ text: tweet.text, rejected: true });
+          return json(503, { title: 'Service Unavailable', status: 503 });
+        }
+        counter++;
+        tweets.push({ id: `tweet-${counter}`, ...tweet });
+        return json(201, { data: { id: `tweet-${counter}`, text: tweet.text } });
+      }
+      return json(404, { title: `unexpected ${req.method} ${req.url}` });
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, calls, tweets, baseUrl: `http://127.0.0.1:${server.address().port}` }));
+  });
+}
+
+async function quiet(fn) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+  }
+}
+
+async function run() {
+  console.log('🧪 Testing Twitter/X Publisher (mock API v2)\n');
+  const { server, calls, tweets, baseUrl } = await startMockX();
+  const png = Buffer.concat([Buffer.from([0x89]), Buffer.from('PNG\r\n\x1a\n'), Buffer.alloc(64, 1)]);
+
+  try {
+    // Weighted length: URLs count 23, emoji and CJK count 2
+    assert.strictEqual(tweetLength('SIP'), 3);
+    assert.strictEqual(tweetLength(`Read more: https://example.com/${'a'.repeat(100)}`), 11 + 23);
+    assert.strictEqual(tweetLength('📈'), 2);
+    assert.strictEqual(tweetLength('निवेश'), 5);
+    console.log('   ✅ Weighted tweet length');
+
+    // Overlong tweets split at sentences, keeping "3.5%" intact and tracking the source tweet
+    const sentence = 'Inflation at 3.5% eats idle cash. ';
+    const long = sentence.repeat(12).trim();
+    const parts = splitTweet(long);
+    assert.ok(parts.length > 1);
+    assert.ok(parts.every((part) => tweetLength(part) <= MAX_TWEET_LENGTH));
+    assert.ok(parts.every((part) => part.endsWith('cash.')));
+    assert.strictEqual(parts.join(' '), long);
+    assert.deepStrictEqual(splitTweet('x'.repeat(300)).map((part) => part.length), [280, 20]);
+    const prepared = prepareThread(['Hook', long, '']);
+    assert.deepStrictEqual([...new Set(prepared.map((t) => t.sourceIndex))], [0, 1]);
+    assert.strictEqual(prepared.length, 1 + parts.length);
+    console.log('   ✅ Overlong tweets re-split at sentence boundaries');
+
+    // Thread as a reply chain, images uploaded for the tweets that carry them
+    const publisher = new TwitterPublisher({ accessToken: 'test-token', baseUrl });
+    const posted = [];
+    const thread = await quiet(() => publisher.publishThread({
+      tweets: [{ text: '1/ SIPs, explained', images: [png, png] }, { text: '2/ Start small' }, { text: '3/ Step up yearly', images: [png, png, png, png, png] }],
+      onTweetPosted: (index, id) => posted.push([index, id])
+    }));
+    assert.strictEqual(thread.tweetIds.length, 3);
+    assert.deepStrictEqual(posted.map(([index]) => index), [0, 1, 2]);
+    const sent = tweets.filter((t) => t.id);
+    assert.strictEqual(sent[0].reply, undefined);
+    assert.strictEqual(sent[1].reply.in_reply_to_tweet_id, thread.tweetIds[0]);
+    assert.strictEqual(sent[2].reply.in_reply_to_tweet_id, thread.tweetIds[1]);
+    assert.strictEqual(sent[0].media.media_ids.length, 2);
+    assert.strictEqual(sent[1].media, undefined);
+    assert.strictEqual(sent[2].media.media_ids.length, 4);
+    assert.strictEqual(calls.filter((c) => c.url === '/2/media/upload').length, 6);
+    console.log('   ✅ Reply chain with up to 4 images per tweet');
+
+    // Partial failure: tweets before the error stay posted and are reported through onTweetPosted
+    const progress = [];
+    const failing = [{ text: 'A1' }, { text: 'A2' }, { text: 'A3 [fail]' }, { text: 'A4' }];
+    await assert.rejects(
+      quiet(() => publisher.publishThread({ tweets: failing, onTweetPosted: (index, id) => progress.push({ index, id }) })),
+      /X API error \(503\)/
+    );
+    assert.deepStrictEqual(progress.map((p) => p.index), [0, 1]);
+
+    // Resume from the next tweet, replying to the last one that went out
+    const last = progress[progress.length - 1];
+    const resumed = await quiet(() => publisher.publishThread({ tweets: failing, startIndex: last.index + 1, replyToId: last.id }));
+    assert.strictEqual(resumed.tweetIds.length, 2);
+    const chain = tweets.filter((t) => t.id && /^A\d/.test(t.text));
+    assert.deepStrictEqual(chain.map((t) => t.text), ['A1', 'A2', 'A3 [fail]', 'A4']);
+    assert.strictEqual(chain[2].reply.in_reply_to_tweet_id, last.id);
+    assert.strictEqual(chain[3].reply.in_reply_to_tweet_id, chain[2].id);
+    console.log('   ✅ Thread failing half-way resumes from the last posted tweet');
+
+    // A failed image upload stops the thread before that tweet is posted
+    const before = tweets.length;
+    await assert.rejects(
+      quiet(() => publisher.publishThread({ tweets: [{ text: 'B1', images: [Buffer.from('broken-image-bytes')] }] })),
+      /X API error \(400\): .*media type unrecognized/
+    );
+    assert.strictEqual(tweets.length, before);
+    await assert.rejects(publisher.publishThread({ tweets: [{ text: 'x'.repeat(281) }] }), /Tweet 1 exceeds 280 characters/);
+    console.log('   ✅ Media failures and overlong tweets stop before posting');
+
+    // Expired token and missing credentials
+    await assert.rejects(new TwitterPublisher({ accessToken: 'expired', baseUrl }).postTweet({ text: 'hi' }), /X API error \(401\)/);
+    await assert.rejects(new TwitterPublisher({ baseUrl }).postTweet({ text: 'hi' }), /credentials are missing/);
+    console.log('   ✅ API errors and missing credentials');
+
+    console.log('\n✅ All Twitter/X publisher tests passed');
+  } finally {
+    server.close();
+  }
+}
+
+run().catch((error) => {
+  console.error('\n❌ Test failed:', error.message);
+  console.error(error.stack);
+  process.exit(1);
+});
@@ -0,0 +1,236 @@
+#!/usr/bin/env node
+/**
+ * Test Script for YouTube Publisher
+ *
+ * Runs the uploader against a local mock of Google OAuth and the YouTube Data API: token
+ * refresh, chunked resumable uploads, retries after a 5xx, resuming a persisted session,
+ * expired sessions, thumbnails and Shorts detection. No credentials needed.
+ *
+ * Usage:
+ *   node scripts/test-youtube-publisher.js
+ */
+
+const assert = require('assert');
+const http = require('http');
+const { YouTubePublisher, probeMp4, isShortsVideo, buildTags } = require('../integrations/youtube-publisher');
+
+const CHUNK_SIZE = 256 * 1024;
+
+/**
+ * Minimal MP4: a moov box with mvhd (duration) and one video trak/tkhd (frame size),
+ * padded with mdat bytes up to `size`.
+ */
+function fakeMp4({ width, height, durationSeconds, size = 3 * CHUNK_SIZE + 1000 }) {
+  const box = (type, body) => {
+    const header = Buffer.alloc(8);
+    header.writeUInt32BE(8 + body.length, 0);
+    header.write(type, 4, 'ascii');
+    return Buffer.concat([header, body]);
+  };
+  const mvhd = Buffer.alloc(100);
+  mvhd.writeUInt32BE(1000, 12);
+  mvhd.writeUInt32BE(Math.round(durationSeconds * 1000), 16);
+  const tkhd = Buffer.alloc(84);
+  tkhd.writeUInt32BE(width * 65536, 76);
+  tkhd.writeUInt32BE(height * 65536, 80);
+  const moov = box('moov', Buffer.concat([box('mvhd', mvhd), box('trak', box('tkhd', tkhd))]));
+  const payload = Buffer.alloc(size - moov.length - 8);
+  for (let i = 0; i < payload.length; i++) payload[i] = i % 251;
+  return Buffer.concat([moov, box('mdat', payload)]);
+}
+
+function startMockYouTube() {
+  const calls = [];
+  const sessions = {};
+  let tokens = 0;
+  let counter = 0;
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (c) => chunks.push(c));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks);
+      const base = `http://127.0.0.1:${server.address().port}`;
+      const url = new URL(req.url, base);
+      const json = (status, data, headers = {}) => {
+        res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+        res.end(data ? JSON.stringify(data) : '');
+      };
+      calls.push({ method: req.method, path: url.pathname, query: url.searchParams, headers: req.headers, body });
+
+      if (url.pathname === '/token') {
+        const form = new URLSearchParams(body.toString());
+        if (form.get('refresh_token') !== 'refresh-ok') return json(400, { error: 'invalid_grant', error_description: 'Token has been expired or revoked.' });
+        tokens++;
+        return json(200, { access_token: `access-${tokens}`, expires_in: 3599, token_type: 'Bearer' });
+      }
+      if (!/^Bearer access-\d+$/.test(req.headers.authorization || '')) return json(401, { error: { message: 'Invalid Credentials' } });
+
+      if (req.method === 'POST' && url.pathname === '/upload/youtube/v3/videos') {
+        counter++;
+        const uri = `${base}/upload/session-${counter}`;
+        sessions[uri] = { size: Number(req.headers['x-upload-content-length']), resource: JSON.parse(body.toString()), data: Buffer.alloc(0), failChunks: 0, failFrom: 0, expired: false, video: null };
+        return json(200, null, { Location: uri });
+      }
+      if (req.method === 'PUT' && url.pathname.startsWith('/upload/session-')) {
+        const session = sessions[`${base}${url.pathname}`];
+        const range = (received) => (received > 0 ? { Range: `bytes=0-${received - 1}` } : {});
+        if (!session || session.expired) return json(404, { error: { message: 'Upload session not found' } });
+
+        // Status query: how much has been received
+        if (/^bytes \*\//.test(req.headers['content-range'])) {
+          if (session.video) return json(200, session.video);
+          return json(308, null, range(session.data.length));
+        }
+        if (session.failChunks > 0 && session.data.length >= session.failFrom) {
+          session.failChunks--;
+          return json(503, { error: { message: 'Backend Error' } });
+        }
+        const start = Number(/bytes (\d+)-/.exec(req.headers['content-range'])[1]);
+        assert.strictEqual(start, session.data.length, 'chunk must continue where the upload stopped');
+        session.data = Buffer.concat([session.data, body]);
+        if (session.data.length < session.size) return json(308, null, range(session.data.length));
+        counter++;
+        session.video = { id: `video-${counter}`, snippet: session.resource.snippet };
+        return json(200, session.video);
+      }
+      if (req.method === 'POST' && url.pathname === '/upload/youtube/v3/thumbnails/set') {
+        if (url.searchParams.get('videoId') === 'video-unverified') return json(403, { error: { message: 'The authenticated user doesnt have permissions to upload and set custom video thumbnails.' } });
+        return json(200, { items: [{ default: { url: 'https://i.ytimg.com/vi/x/default.jpg' } }] });
+      }
+      return json(404, { error: { message: `unexpected ${req.method} ${url.pathname}` } });
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, calls, sessions, baseUrl: `http://127.0.0.1:${server.address().port}` }));
+  });
+}
+
+async function quiet(fn) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+  }
+}
+
+async function run() {
+  console.log('🧪 Testing YouTube Publisher (mock Data API)\n');
+  const { server, calls, sessions, baseUrl } = await startMockYouTube();
+  const options = { clientId: 'client', clientSecret: 'secret', refreshToken: 'refresh-ok', tokenUrl: `${baseUrl}/token`, baseUrl, chunkSize: CHUNK_SIZE, retryDelayMs: 1 };
+  const png = Buffer.concat([Buffer.from([0x89]), Buffer.from('PNG\r\n\x1a\n'), Buffer.alloc(64, 1)]);
+
+  try {
+    // MP4 probing and Shorts rules
+    const vertical = fakeMp4({ width: 1080, height: 1920, durationSeconds: 42 });
+    assert.deepStrictEqual(probeMp4(vertical), { durationSeconds: 42, width: 1080, height: 1920 });
+    assert.strictEqual(probeMp4(Buffer.from('not a video file')), null);
+    assert.strictEqual(isShortsVideo({ width: 1080, height: 1920, durationSeconds: 42 }), true);
+    assert.strictEqual(isShortsVideo({ width: 1080, height: 1920, durationSeconds: 75 }), false);
+    assert.strictEqual(isShortsVideo({ aspectRatio: '9 : 16', durationSeconds: 30 }), true);
+    assert.deepStrictEqual(buildTags(['#SIP', 'sip', 'Mutual Funds', '<bad>', '']), ['SIP', 'Mutual Funds', 'bad']);
+    console.log('   ✅ MP4 probing, Shorts rules and tags');
+
+    // Token refresh, then a chunked upload of a vertical video published as a Short
+    const publisher = new YouTubePublisher(options);
+    const short = await quiet(() => publisher.publishVideo({ video: vertical, title: 'SIP in 40 seconds', description: 'Start small', tags: ['#SIP'], language: 'hindi', thumbnail: png }));
+    assert.strictEqual(short.isShort, true);
+    assert.strictEqual(short.url, `https://www.youtube.com/shorts/${short.videoId}`);
+    assert.strictEqual(short.thumbnailSet, false);
+    const [shortSession] = Object.values(sessions);
+    assert.ok(shortSession.data.equals(vertical));
+    assert.deepStrictEqual(
+      [shortSession.resource.snippet.title, shortSession.resource.snippet.defaultLanguage, shortSession.resource.snippet.description],
+      ['SIP in 40 seconds #Shorts', 'hi', 'Start small\n\n#Shorts']
+    );
+    assert.strictEqual(calls.filter((c) => c.path === '/token').length, 1);
+    assert.strictEqual(calls.filter((c) => c.path.startsWith('/upload/session-') && !/^bytes \*/.test(c.headers['content-range'])).length, 4);
+    assert.ok(calls.filter((c) => c.path !== '/token').every((c) => c.headers.authorization === 'Bearer access-1'));
+    console.log('   ✅ Token refreshed once; Short uploaded in 256 KiB chunks');
+
+    // An expired access token is refreshed before the next request
+    publisher.tokenExpiresAt = Date.now() + 30000;
+    const landscape = fakeMp4({ width: 1920, height: 1080, durationSeconds: 300 });
+    const video = await quiet(() => publisher.publishVideo({ video: landscape, title: 'Step-up SIPs <explained>', thumbnail: png }));
+    assert.strictEqual(video.isShort, false);
+    assert.strictEqual(video.url, `https://www.youtube.com/watch?v=${video.videoId}`);
+    assert.strictEqual(video.thumbnailSet, true);
+    assert.strictEqual(calls.find((c) => c.path === '/upload/youtube/v3/thumbnails/set').headers['content-type'], 'image/png');
+    assert.strictEqual(calls.filter((c) => c.path === '/token').length, 2);
+    assert.strictEqual(calls[calls.length - 1].headers.authorization, 'Bearer access-2');
+    console.log('   ✅ Expiring token refreshed; long video gets its thumbnail');
+
+    // A 5xx mid-upload: ask YouTube for the received range and continue from there
+    let retrySession = null;
+    const retried = await quiet(() => publisher.publishVideo({
+      video: landscape,
+      title: 'Retry',
+      onSession: (uri) => {
+        retrySession = sessions[uri];
+        retrySession.failChunks = 2;
+      }
+    }));
+    assert.ok(retried.videoId);
+    assert.ok(retrySession.data.equals(landscape));
+    console.log('   ✅ 503s retried from the offset YouTube reports');
+
+    // Out of retries: the error surfaces, and a later run resumes the persisted session
+    const fragile = new YouTubePublisher({ ...options, maxRetries: 0 });
+    let persisted = null;
+    await assert.rejects(quiet(() => fragile.publishVideo({
+      video: landscape,
+      title: 'Interrupted',
+      onSession: (uri) => {
+        persisted = uri;
+        // Let the first chunk through, fail the second
+        Object.assign(sessions[uri], { failChunks: 1, failFrom: CHUNK_SIZE });
+      }
+    })), /YouTube upload error \(503\)/);
+    assert.strictEqual(sessions[persisted].data.length, CHUNK_SIZE);
+    const createdBefore = calls.filter((c) => c.path === '/upload/youtube/v3/videos').length;
+    const resumed = await quiet(() => fragile.publishVideo({ video: landscape, title: 'Interrupted', sessionUri: persisted }));
+    assert.ok(sessions[persisted].data.equals(landscape));
+    assert.strictEqual(resumed.videoId, sessions[persisted].video.id);
+    assert.strictEqual(calls.filter((c) => c.path === '/upload/youtube/v3/videos').length, createdBefore);
+    assert.strictEqual(calls.filter((c) => persisted.endsWith(c.path) && /^bytes 0-/.test(c.headers['content-range'])).length, 1);
+    console.log('   ✅ Interrupted upload resumed from its persisted session');
+
+    // A finished session returns the video without re-uploading; an expired one starts over
+    const again = await quiet(() => fragile.publishVideo({ video: landscape, title: 'Interrupted', sessionUri: persisted }));
+    assert.strictEqual(again.videoId, resumed.videoId);
+    sessions[persisted].expired = true;
+    let replacement = null;
+    const restarted = await quiet(() => fragile.publishVideo({ video: landscape, title: 'Interrupted', sessionUri: persisted, onSession: (uri) => (replacement = uri) }));
+    assert.ok(replacement && replacement !== persisted);
+    assert.strictEqual(restarted.videoId, sessions[replacement].video.id);
+    console.log('   ✅ Completed sessions are not re-uploaded; expired sessions start over');
+
+    // A rejected thumbnail keeps the uploaded video
+    const unverified = new YouTubePublisher(options);
+    unverified.uploadResumable = async () => ({ id: 'video-unverified' });
+    const noThumb = await quiet(() => unverified.publishVideo({ video: landscape, title: 'No thumbnail', thumbnail: png }));
+    assert.strictEqual(noThumb.thumbnailSet, false);
+    assert.match(noThumb.thumbnailError, /YouTube API error \(403\)/);
+    await assert.rejects(unverified.setThumbnail('video-1', Buffer.alloc(2 * 1024 * 1024 + 1)), /YouTube allows at most 2MB/);
+    console.log('   ✅ Thumbnail failures are reported without failing the upload');
+
+    // Revoked refresh token and missing credentials
+    const revoked = new YouTubePublisher({ ...options, refreshToken: 'revoked' });
+    await assert.rejects(revoked.publishVideo({ video: landscape, title: 'x' }), /YouTube OAuth error \(400\): .*invalid_grant/);
+    await assert.rejects(new YouTubePublisher({ baseUrl }).getAccessToken(), /credentials are missing/);
+    console.log('   ✅ OAuth errors and missing credentials');
+
+    console.log('\n✅ All YouTube publisher tests passed');
+  } finally {
+    server.close();
+  }
+}
+
+run().catch((error) => {
+  console.error('\n❌ Test failed:', error.message);
+  console.error(error.stack);
+  process.exit(1);
+});
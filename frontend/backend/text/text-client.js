@@ -0,0 +1,409 @@
+const { getTextProvider, estimateTextCost } = require('./text-providers');
+const ProviderUsageStore = require('../core/provider-usage');
+
+const GROQ_FIRST = ['groq', 'openai', 'gemini'];
+const GEMINI_FIRST = ['gemini', 'groq', 'openai'];
+const DEFAULT_MAX_REPAIRS = 1;
+
+/**
+ * Per-task provider chain, models and sampling defaults. `models` pins a model per provider
+ * (the adapter's default model otherwise); the older GROQ_*_MODEL variables still apply.
+ * Override any task with TEXT_TASKS (JSON, merged per task), or send every task to one
+ * provider with TEXT_PROVIDER (e.g. TEXT_PROVIDER=fake for offline runs).
+ */
+function defaultTasks() {
+  const env = process.env;
+  return {
+    default: { providers: GROQ_FIRST, temperature: 0.6, maxTokens: 1000 },
+    'creative-brief': { providers: GROQ_FIRST, temperature: 0.7, maxTokens: 2000 },
+    'avatar-script': { providers: GROQ_FIRST, models: { groq: env.GROQ_HEYGEN_SCRIPT_MODEL }, temperature: 0.6, maxTokens: 400 },
+    'thread-content': { providers: GEMINI_FIRST, models: { groq: env.GROQ_THREAD_MODEL }, temperature: 0.6, maxTokens: 2000 },
+    'carousel-content': { providers: GROQ_FIRST, models: { groq: env.GROQ_CAROUSEL_MODEL }, temperature: 0.6, maxTokens: 2000 },
+    'infographic-blueprint': { providers: GROQ_FIRST, models: { groq: env.GROQ_INFOGRAPHIC_MODEL }, temperature: 0.55, maxTokens: 1800 },
+    'whatsapp-copy': { providers: GROQ_FIRST, temperature: 0.5, maxTokens: 160 },
+    'repurpose-copy': { providers: GEMINI_FIRST, temperature: 0.5, maxTokens: 4000 },
+    'ab-variants': { providers: GROQ_FIRST, temperature: 0.9, maxTokens: 1200 },
+    'calendar-topics': { providers: GROQ_FIRST, models: { groq: env.GROQ_TOPIC_MODEL }, temperature: 0.8, maxTokens: 4000 },
+    topic: { providers: GROQ_FIRST, models: { groq: env.GROQ_TOPIC_MODEL }, temperature: 0.9, maxTokens: 80, timeoutMs: 15000 },
+    'live-news-topic': { providers: ['gemini'], temperature: 0.4, maxTokens: 512 },
+    article: { providers: ['gemini'], temperature: 0.3, maxTokens: 3072 },
+    email: { providers: GEMINI_FIRST, temperature: 0.7, maxTokens: 8000 },
+    'web-research': { providers: ['gemini'], temperature: 0.1, maxTokens: 600 },
+    'document-summary': { providers: ['gemini'], temperature: 0.1, maxTokens: 600 }
+  };
+}
+
+/**
+ * Resolved configuration for a task (unknown tasks use `default`)
+ * @param {string} task
+ * @returns {{ providers: string[], models: Object, temperature: number, maxTokens: number, timeoutMs?: number }}
+ */
+function taskConfig(task) {
+  const defaults = defaultTasks();
+  let overrides = {};
+  if (process.env.TEXT_TASKS) {
+    try {
+      overrides = JSON.parse(process.env.TEXT_TASKS);
+    } catch (error) {
+      console.warn(`⚠️  Ignoring invalid TEXT_TASKS (${error.message})`);
+    }
+  }
+  const base = defaults[task] || defaults.default;
+  const override = overrides[task] || {};
+  return { ...base, ...override, models: { ...base.models, ...override.models } };
+}
+
+/**
+ * Index of the bracket that closes the one at `start`, skipping string contents
+ */
+function closingBracket(text, start) {
+  let depth = 0;
+  let inString = false;
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (char === '\\') i++;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{' || char === '[') {
+      depth++;
+    } else if (char === '}' || char === ']') {
+      depth--;
+      if (depth === 0) return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Parse the JSON value in a model response: tolerates code fences, prose around the object,
+ * smart quotes and trailing commas
+ * @param {string} text
+ * @returns {*} Parsed value
+ * @throws {Error} When no JSON value can be recovered
+ */
+function extractJson(text) {
+  const source = String(text || '').trim().replace(/^```(?:json)?\s*|\s*```$/g, '').trim();
+  if (!source) throw new Error('empty response');
+
+  const candidates = [source];
+  const start = source.search(/[{[]/);
+  const end = start >= 0 ? closingBracket(source, start) : -1;
+  if (end > start) candidates.push(source.slice(start, end + 1));
+
+  for (const candidate of candidates) {
+    const loosened = candidate.replace(/[“”]/g, '"').replace(/,\s*([}\]])/g, '$1');
+    for (const variant of [candidate, loosened]) {
+      try {
+        return JSON.parse(variant);
+      } catch {
+        // try the next variant
+      }
+    }
+  }
+  throw new Error('no parseable JSON in the response');
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array': return Array.isArray(value);
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'null': return value === null;
+    default: return typeof value === type;
+  }
+}
+
+/**
+ * Check a value against a JSON Schema subset: type, enum, properties, required,
+ * additionalProperties (as a schema), items, minItems, maxItems, minLength
+ * @returns {string[]} Problems found (empty when valid)
+ */
+function validateSchema(value, schema, at = 'response') {
+  if (!schema) return [];
+  const types = [].concat(schema.type || []);
+  if (types.length > 0 && !types.some((type) => matchesType(value, type))) {
+    return [`${at} should be ${types.join(' or ')}`];
+  }
+
+  const errors = [];
+  if (Array.isArray(schema.enum) && !schema.enum.includes(value)) {
+    errors.push(`${at} should be one of ${schema.enum.map((option) => JSON.stringify(option)).join(', ')}`);
+  }
+  if (typeof value === 'string' && schema.minLength && value.trim().length < schema.minLength) {
+    errors.push(`${at} should not be empty`);
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems && value.length < schema.minItems) errors.push(`${at} needs at least ${schema.minItems} item(s)`);
+    if (schema.maxItems && value.length > schema.maxItems) errors.push(`${at} allows at most ${schema.maxItems} item(s)`);
+    if (schema.items) value.forEach((item, index) => errors.push(...validateSchema(item, schema.items, `${at}[${index}]`)));
+  }
+  if (matchesType(value, 'object')) {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${at}.${key} is missing`);
+    }
+    for (const [key, item] of Object.entries(value)) {
+      const property = schema.properties?.[key] || (typeof schema.additionalProperties === 'object' ? schema.additionalProperties : null);
+      if (property) errors.push(...validateSchema(item, property, `${at}.${key}`));
+    }
+  }
+  return errors;
+}
+
+function repairPrompt(problem) {
+  return `That response could not be used: ${problem}. Reply again with the complete corrected JSON only — same content, fixed to match the requested format, no markdown and no explanation.`;
+}
+
+/**
+ * Text generation client shared by every copy-generation call site.
+ *
+ * A call names a task (see defaultTasks), which picks the provider chain, model and sampling
+ * defaults; providers that are not configured, lack a feature the request needs (web search,
+ * document parts) or whose circuit breaker is open are skipped. generateJson() parses and
+ * schema-checks the response and, when it doesn't hold up, asks the same provider for a
+ * repair before failing over. Every provider call is booked to the provider usage ledger
+ * with its tokens and estimated cost.
+ */
+class TextClient {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.dataDir] - Directory of provider-usage.db (no accounting without it)
+   * @param {Object|Function} [options.usage] - { campaignId, stage } calls are booked to, or a getter
+   * @param {Function} [options.cache] - (parts, produce) => result, e.g. GenerationCache#remember
+   * @param {string} [options.provider] - Use only this provider for every task
+   */
+  constructor(options = {}) {
+    this.dataDir = options.dataDir || null;
+    this.usage = options.usage || {};
+    this.cache = options.cache || null;
+    this.provider = options.provider || null;
+    this.usageStore = undefined;
+  }
+
+  /**
+   * Whether any provider could serve the task (configured and supporting the request's features)
+   * @param {string} task
+   * @param {Object} [request] - Same shape as generate()
+   */
+  isAvailable(task, request = {}) {
+    const features = this._features(request);
+    return this._chain(task, request).some((name) => this._usable(getTextProvider(name), features));
+  }
+
+  /**
+   * Generate plain text
+   * @param {string} task - Task name (selects providers, model and defaults)
+   * @param {Object} request
+   * @param {string} [request.system] - System instruction
+   * @param {string} [request.prompt] - User prompt (or `messages`)
+   * @param {Array} [request.messages] - [{ role: 'user'|'assistant', content: string | Gemini parts }]
+   * @param {number} [request.temperature]
+   * @param {number} [request.maxTokens]
+   * @param {Object} [request.models] - Model per provider for this call
+   * @param {string} [request.provider] - Provider to try first
+   * @param {boolean} [request.webSearch] - Ground the answer in web search results
+   * @param {number} [request.seed]
+   * @param {number} [request.timeoutMs]
+   * @param {boolean} [request.cache] - Go through the client's cache, when it has one
+   * @returns {Promise<Object>} { text, provider, model, finishReason, reasoning, usage, raw, failedOver? }
+   * @throws {Error} code TEXT_GENERATION_FAILED when no provider produced text
+   */
+  generate(task, request = {}) {
+    return this._run(task, { ...request, json: false }, async (adapter, providerRequest) => {
+      const result = await this._call(task, adapter, providerRequest);
+      // Reasoning models can put the whole answer in `reasoning`
+      if (!result.text && !result.reasoning) throw new Error('empty response');
+      return result;
+    });
+  }
+
+  /**
+   * Generate a JSON value, validated against `request.schema` and repaired on failure
+   * @param {string} task
+   * @param {Object} request - generate() request plus `schema` (JSON Schema subset, see
+   *   validateSchema) and `maxRepairs` (repair prompts per provider, default 1)
+   * @returns {Promise<Object>} generate() result plus `data` (the parsed value) and `repairs`
+   * @throws {Error} code TEXT_GENERATION_FAILED; `raw` holds the last unusable response
+   */
+  generateJson(task, request = {}) {
+    const maxRepairs = request.maxRepairs ?? DEFAULT_MAX_REPAIRS;
+    return this._run(task, { ...request, json: true }, async (adapter, providerRequest) => {
+      let messages = providerRequest.messages;
+      const usage = { inputTokens: 0, outputTokens: 0, costUsd: 0, latencyMs: 0 };
+      let problem = null;
+      let result = null;
+
+      for (let attempt = 0; attempt <= maxRepairs; attempt++) {
+        result = await this._call(task, adapter, { ...providerRequest, messages });
+        for (const key of Object.keys(usage)) usage[key] += result.usage[key] || 0;
+        try {
+          const data = extractJson(result.text);
+          const errors = validateSchema(data, providerRequest.schema);
+          if (errors.length === 0) return { ...result, data, repairs: attempt, usage };
+          problem = errors.slice(0, 8).join('; ');
+        } catch (error) {
+          problem = error.message;
+        }
+        console.log(`   🔧 ${adapter.name} ${task}: unusable JSON (${problem})${attempt < maxRepairs ? ', asking for a repair' : ''}`);
+        messages = [
+          ...providerRequest.messages,
+          { role: 'assistant', content: result.text.slice(0, 8000) || '(empty)' },
+          { role: 'user', content: repairPrompt(problem) }
+        ];
+      }
+      throw Object.assign(new Error(`unusable JSON after ${maxRepairs + 1} attempt(s): ${problem}`), { raw: result?.text || '' });
+    });
+  }
+
+  _features(request) {
+    const hasDocuments = (request.messages || []).some((message) => typeof message.content !== 'string' &&
+      message.content.some((part) => part && typeof part.text !== 'string'));
+    return [
+      ...(request.json ? ['json'] : []),
+      ...(request.webSearch ? ['web-search'] : []),
+      ...(hasDocuments ? ['documents'] : [])
+    ];
+  }
+
+  _chain(task, request) {
+    const forced = this.provider || process.env.TEXT_PROVIDER;
+    if (forced) return [forced];
+    return [...new Set([request.provider, ...taskConfig(task).providers].filter(Boolean))];
+  }
+
+  _usable(adapter, features) {
+    return Boolean(adapter && adapter.isConfigured() && features.every((feature) => (adapter.features || []).includes(feature)));
+  }
+
+  /**
+   * Try providers in chain order until `produce` succeeds for one
+   * @private
+   */
+  async _run(task, request, produce) {
+    const config = taskConfig(task);
+    const features = this._features(request);
+    const chain = this._chain(task, request);
+    const store = this._getUsageStore();
+    const messages = request.messages || [{ role: 'user', content: String(request.prompt || '') }];
+    const failures = [];
+    let raw = '';
+
+    for (const name of chain) {
+      const adapter = getTextProvider(name);
+      if (!this._usable(adapter, features)) continue;
+      if (store?.isOpen(`text:${name}`)) {
+        console.log(`   ⏭️  ${name}: circuit open after repeated failures, skipping`);
+        continue;
+      }
+
+      const providerRequest = {
+        model: request.models?.[name] || config.models?.[name] || adapter.defaultModel,
+        system: request.system || '',
+        messages,
+        temperature: request.temperature ?? config.temperature,
+        maxTokens: request.maxTokens ?? config.maxTokens,
+        json: request.json,
+        webSearch: Boolean(request.webSearch),
+        seed: request.seed ?? null,
+        timeoutMs: request.timeoutMs ?? config.timeoutMs,
+        schema: request.schema || null
+      };
+      try {
+        const result = this.cache && request.cache
+          ? await this.cache({
+            kind: task,
+            provider: name,
+            model: providerRequest.model,
+            prompt: { system: providerRequest.system, messages },
+            config: { temperature: providerRequest.temperature, maxTokens: providerRequest.maxTokens, webSearch: providerRequest.webSearch, seed: providerRequest.seed, schema: providerRequest.schema }
+          }, async () => {
+            // Provider responses can be large SDK objects; keep them out of the cache
+            const { raw: _raw, ...result } = await produce(adapter, providerRequest);
+            return result;
+          })
+          : await produce(adapter, providerRequest);
+        return { ...result, provider: name, ...(failures.length ? { failedOver: failures } : {}) };
+      } catch (error) {
+        if (error.raw) raw = error.raw;
+        failures.push({ provider: name, error: error.message });
+        console.log(`   ⚠️  ${name} ${task} failed: ${error.message}`);
+      }
+    }
+
+    const tried = failures.map((f) => `${f.provider}: ${f.error}`).join('; ');
+    throw Object.assign(
+      new Error(`No text provider succeeded for ${task} (${tried || `none configured in chain ${chain.join(' → ')}`})`),
+      { code: 'TEXT_GENERATION_FAILED', failures, raw }
+    );
+  }
+
+  /**
+   * One provider call, booked to the usage ledger
+   * @private
+   */
+  async _call(task, adapter, providerRequest) {
+    const store = this._getUsageStore();
+    const started = Date.now();
+    try {
+      const result = await adapter.generate(providerRequest);
+      const latencyMs = Date.now() - started;
+      const costUsd = estimateTextCost(adapter.name, result.model, result.usage);
+      this._recordUsage(store, {
+        provider: adapter.name,
+        model: result.model,
+        useCase: task,
+        success: true,
+        inputTokens: result.usage.inputTokens,
+        outputTokens: result.usage.outputTokens,
+        costUsd,
+        latencyMs
+      });
+      return { ...result, usage: { ...result.usage, costUsd, latencyMs } };
+    } catch (error) {
+      this._recordUsage(store, {
+        provider: adapter.name,
+        model: providerRequest.model,
+        useCase: task,
+        success: false,
+        latencyMs: Date.now() - started,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  _getUsageStore() {
+    if (this.usageStore === undefined) {
+      try {
+        this.usageStore = this.dataDir ? ProviderUsageStore.open(this.dataDir) : null;
+      } catch (error) {
+        console.log(`   ⚠️  Provider usage ledger unavailable: ${error.message}`);
+        this.usageStore = null;
+      }
+    }
+    return this.usageStore;
+  }
+
+  _recordUsage(store, call) {
+    if (!store) return;
+    const usage = typeof this.usage === 'function' ? this.usage() : this.usage;
+    try {
+      store.record({
+        ...call,
+        operation: 'text',
+        breakerKey: `text:${call.provider}`,
+        campaignId: usage?.campaignId,
+        stage: usage?.stage
+      });
+    } catch (error) {
+      console.log(`   ⚠️  Could not record provider usage: ${error.message}`);
+    }
+  }
+}
+
+module.exports = TextClient;
+module.exports.taskConfig = taskConfig;
+module.exports.extractJson = extractJson;
+module.exports.validateSchema = validateSchema;
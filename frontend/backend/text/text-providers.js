@@ -0,0 +1,283 @@
+/**
+ * Text Provider Registry
+ *
+ * Adapters that TextClient fails over between. Each adapter declares whether it is configured,
+ * which request features it supports beyond plain chat ('json', 'web-search', 'documents'), and
+ * how to run a normalized request:
+ *
+ *   generate({ model, system, messages, temperature, maxTokens, json, webSearch, seed, timeoutMs, schema })
+ *     → { text, model, finishReason, reasoning, usage: { inputTokens, outputTokens }, raw }
+ *
+ * - groq   → Groq chat completions (GROQ_API_KEY)
+ * - gemini → Gemini generateContent (GEMINI_API_KEY); the only adapter with Google Search
+ *            grounding and inline document/image parts
+ * - openai → any OpenAI-compatible chat completions endpoint (OPENAI_API_KEY, OPENAI_BASE_URL,
+ *            OPENAI_MODEL)
+ * - fake   → deterministic offline output derived from the prompt (and the JSON schema, when
+ *            one is given). Never in a default chain; select it with TEXT_PROVIDER=fake.
+ *
+ * Token prices can be overridden with TEXT_PROVIDER_COSTS (JSON, USD per million tokens).
+ */
+
+const crypto = require('crypto');
+
+// Estimated USD per million input/output tokens; `default` applies to models not listed
+const DEFAULT_COSTS = {
+  groq: {
+    default: { input: 0.59, output: 0.79 },
+    'llama-3.1-8b-instant': { input: 0.05, output: 0.08 }
+  },
+  gemini: {
+    default: { input: 0.5, output: 3 },
+    'gemini-2.5-flash': { input: 0.3, output: 2.5 }
+  },
+  openai: {
+    default: { input: 0.15, output: 0.6 },
+    'gpt-4.1-mini': { input: 0.4, output: 1.6 }
+  },
+  fake: { default: { input: 0, output: 0 } }
+};
+
+function loadJsonEnv(name, fallback) {
+  if (!process.env[name]) return fallback;
+  try {
+    return { ...fallback, ...JSON.parse(process.env[name]) };
+  } catch (error) {
+    console.warn(`⚠️  Ignoring invalid ${name} (${error.message})`);
+    return fallback;
+  }
+}
+
+function partsText(content) {
+  if (typeof content === 'string') return content;
+  return (Array.isArray(content) ? content : [])
+    .map((part) => (typeof part?.text === 'string' ? part.text : ''))
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * Chat completions call shared by Groq and OpenAI-compatible endpoints
+ */
+async function chatCompletions(url, apiKey, request) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), request.timeoutMs || 120000);
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${apiKey}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        model: request.model,
+        messages: [
+          ...(request.system ? [{ role: 'system', content: request.system }] : []),
+          ...request.messages.map((message) => ({ role: message.role, content: partsText(message.content) }))
+        ],
+        temperature: request.temperature,
+        max_tokens: request.maxTokens,
+        ...(request.json ? { response_format: { type: 'json_object' } } : {}),
+        ...(request.seed != null ? { seed: request.seed } : {})
+      }),
+      signal: controller.signal
+    });
+  } finally {
+    clearTimeout(timeout);
+  }
+
+  if (!response.ok) {
+    const text = await response.text().catch(() => '');
+    throw new Error(`${response.status} ${text.slice(0, 300)}`.trim());
+  }
+
+  const data = await response.json();
+  const choice = data.choices?.[0];
+  return {
+    text: (choice?.message?.content || '').trim(),
+    reasoning: choice?.message?.reasoning || null,
+    model: data.model || request.model,
+    finishReason: choice?.finish_reason || null,
+    usage: {
+      inputTokens: data.usage?.prompt_tokens || 0,
+      outputTokens: data.usage?.completion_tokens || 0
+    },
+    raw: data
+  };
+}
+
+function hashOf(value) {
+  return crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex');
+}
+
+/**
+ * Deterministic value shaped like a JSON schema (fake provider)
+ */
+function fakeFromSchema(schema, seed, key = 'value') {
+  const type = Array.isArray(schema?.type) ? schema.type[0] : schema?.type;
+  if (Array.isArray(schema?.enum)) return schema.enum[0];
+  switch (type) {
+    case 'object': {
+      const result = {};
+      for (const [name, property] of Object.entries(schema.properties || {})) {
+        result[name] = fakeFromSchema(property, seed, name);
+      }
+      return result;
+    }
+    case 'array': {
+      const count = Math.max(schema.minItems || 0, Math.min(schema.maxItems ?? 3, 3));
+      return Array.from({ length: count }, (_, index) => fakeFromSchema(schema.items || {}, seed, `${key} ${index + 1}`));
+    }
+    case 'number':
+    case 'integer':
+      return schema.minimum ?? 1;
+    case 'boolean':
+      return true;
+    default: {
+      const text = `${key} ${seed.slice(0, 6)}`;
+      const min = schema?.minLength || 0;
+      return text.padEnd(min, '.').slice(0, schema?.maxLength || undefined);
+    }
+  }
+}
+
+const providers = new Map();
+
+/**
+ * Register (or replace) a provider adapter
+ * @param {Object} adapter - { name, defaultModel, features: string[], isConfigured(), generate(request) }
+ */
+function registerTextProvider(adapter) {
+  if (!adapter?.name || typeof adapter.generate !== 'function') {
+    throw new Error('Text provider needs a name and a generate function');
+  }
+  providers.set(adapter.name, adapter);
+  return adapter;
+}
+
+function getTextProvider(name) {
+  return providers.get(name) || null;
+}
+
+function listTextProviders() {
+  return [...providers.values()];
+}
+
+/**
+ * Estimated cost of a call in USD
+ * @param {Object} usage - { inputTokens, outputTokens }
+ */
+function estimateTextCost(provider, model, { inputTokens = 0, outputTokens = 0 } = {}) {
+  const costs = loadJsonEnv('TEXT_PROVIDER_COSTS', DEFAULT_COSTS)[provider] || {};
+  const perMillion = costs[model] || costs.default || { input: 0, output: 0 };
+  return Number(((inputTokens * (perMillion.input || 0) + outputTokens * (perMillion.output || 0)) / 1e6).toFixed(6));
+}
+
+registerTextProvider({
+  name: 'groq',
+  defaultModel: 'llama-3.3-70b-versatile',
+  features: ['json'],
+  isConfigured: () => Boolean(process.env.GROQ_API_KEY),
+  generate: (request) => chatCompletions('https://api.groq.com/openai/v1/chat/completions', process.env.GROQ_API_KEY, request)
+});
+
+registerTextProvider({
+  name: 'openai',
+  get defaultModel() {
+    return process.env.OPENAI_MODEL || 'gpt-4o-mini';
+  },
+  features: ['json'],
+  isConfigured: () => Boolean(process.env.OPENAI_API_KEY),
+  generate: (request) => {
+    const baseUrl = (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+    return chatCompletions(`${baseUrl}/chat/completions`, process.env.OPENAI_API_KEY, request);
+  }
+});
+
+registerTextProvider({
+  name: 'gemini',
+  defaultModel: 'gemini-3-flash-preview',
+  features: ['json', 'web-search', 'documents'],
+  isConfigured: () => Boolean(process.env.GEMINI_API_KEY),
+  async generate(request) {
+    const { GoogleGenAI } = await import('@google/genai');
+    const ai = new GoogleGenAI({ apiKey: process.env.GEMINI_API_KEY });
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), request.timeoutMs || 240000);
+    let response;
+    try {
+      response = await ai.models.generateContent({
+        model: request.model,
+        contents: request.messages.map((message) => ({
+          role: message.role === 'assistant' ? 'model' : 'user',
+          parts: typeof message.content === 'string' ? [{ text: message.content }] : message.content
+        })),
+        config: {
+          ...(request.system ? { systemInstruction: request.system } : {}),
+          temperature: request.temperature,
+          maxOutputTokens: request.maxTokens,
+          // Grounding and a JSON response type are mutually exclusive
+          ...(request.webSearch ? { tools: [{ googleSearch: {} }] } : {}),
+          ...(request.json && !request.webSearch ? { responseMimeType: 'application/json' } : {}),
+          ...(request.seed != null ? { seed: request.seed } : {}),
+          abortSignal: controller.signal
+        }
+      });
+    } finally {
+      clearTimeout(timeout);
+    }
+
+    let text = typeof response?.text === 'string' ? response.text : '';
+    if (!text && Array.isArray(response?.candidates?.[0]?.content?.parts)) {
+      text = partsText(response.candidates[0].content.parts);
+    }
+    const metadata = response?.usageMetadata || {};
+    return {
+      text: text.trim(),
+      reasoning: null,
+      model: request.model,
+      finishReason: response?.candidates?.[0]?.finishReason || null,
+      usage: {
+        inputTokens: metadata.promptTokenCount || 0,
+        outputTokens: (metadata.candidatesTokenCount || 0) + (metadata.thoughtsTokenCount || 0)
+      },
+      raw: response
+    };
+  }
+});
+
+registerTextProvider({
+  name: 'fake',
+  defaultModel: 'fake-deterministic',
+  features: ['json', 'web-search', 'documents'],
+  isConfigured: () => true,
+  async generate(request) {
+    const prompt = [request.system, ...request.messages.map((message) => partsText(message.content))].filter(Boolean).join('\n');
+    const seed = hashOf({ prompt, model: request.model });
+    let text;
+    if (request.json) {
+      text = JSON.stringify(request.schema ? fakeFromSchema(request.schema, seed) : { text: `Fake response ${seed.slice(0, 8)}` });
+    } else {
+      const lastUser = partsText([...request.messages].reverse().find((message) => message.role === 'user')?.content || '');
+      const words = lastUser.replace(/\s+/g, ' ').trim().split(' ').slice(0, 12).join(' ');
+      text = `Fake response ${seed.slice(0, 8)}: ${words}`.trim();
+    }
+    return {
+      text,
+      reasoning: null,
+      model: request.model,
+      finishReason: 'STOP',
+      usage: { inputTokens: Math.ceil(prompt.length / 4), outputTokens: Math.ceil(text.length / 4) },
+      raw: null
+    };
+  }
+});
+
+module.exports = {
+  registerTextProvider,
+  getTextProvider,
+  listTextProviders,
+  estimateTextCost,
+  DEFAULT_COSTS
+};
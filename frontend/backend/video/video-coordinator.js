@@ -21,7 +21,8 @@ class VideoCoordinator {
     // Initialize generators
     this.veoGenerator = new VideoGenerator({
       apiKey: options.geminiApiKey || process.env.GEMINI_API_KEY,
-      simulate: this.simulate
+      simulate: this.simulate,
+      bypassCache: options.bypassCache
     });
 
     this.longCatGenerator = new LongCatGenerator({
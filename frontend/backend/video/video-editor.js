@@ -4,7 +4,7 @@
  * Provides video editing and compositing capabilities:
  * - Combining avatar videos with generated b-roll
  * - Adding text overlays and captions
- * - Multi-platform rendering (16:9, 9:16, 1:1)
+ * - Multi-platform rendering (16:9, 9:16, 1:1), cropped or re-laid out into safe areas
  * - Transitions, effects, and audio mixing
  */
 
@@ -224,21 +224,38 @@ class VideoEditor {
 
   /**
    * Render for specific platform
+   *
+   * specs.safeArea ({ top, bottom, left, right } as fractions of the frame) switches from a
+   * centre crop to a re-layout: the whole source frame is fitted into the safe area over a
+   * blurred, muted fill of itself, so nothing sits under the platform's UI.
    */
   async renderForPlatform(videoUrl, specs) {
-    const timeline = {
-      tracks: [{
+    const clip = {
+      asset: {
+        type: 'video',
+        src: videoUrl
+      },
+      start: 0,
+      length: 'end',
+      fit: 'crop'
+    };
+    const timeline = { tracks: [{ clips: [clip] }] };
+
+    if (specs.safeArea) {
+      const { top = 0, bottom = 0, left = 0, right = 0 } = specs.safeArea;
+      clip.fit = 'contain';
+      clip.scale = Math.min(1 - left - right, 1 - top - bottom);
+      clip.offset = { x: (left - right) / 2, y: (bottom - top) / 2 };
+      timeline.tracks.push({
         clips: [{
-          asset: {
-            type: 'video',
-            src: videoUrl
-          },
+          asset: { type: 'video', src: videoUrl, volume: 0 },
           start: 0,
           length: 'end',
-          fit: 'crop'
+          fit: 'crop',
+          filter: 'blur'
         }]
-      }]
-    };
+      });
+    }
 
     const output = {
       format: specs.format || 'mp4',
@@ -9,21 +9,44 @@
  * 5. Async Operation Handling
  * 6. All API Parameters (aspectRatio, resolution, duration, etc.)
  *
- * Primary Provider: Google Gemini Veo 3.1
- * Model: veo-3.1-generate-preview
+ * Providers:
+ * - Google Gemini Veo 3.1 (default, veo-3.1-generate-preview)
+ * - Fal AI Seedance (text-to-video when provider is 'fal' or only FAL_KEY is set)
+ *
+ * Text-to-video results are kept in the GenerationCache (config.bypassCache regenerates).
  *
  * @see https://ai.google.dev/gemini-api/docs/video
+ * @see https://fal.ai/models/fal-ai/bytedance/seedance
  */
 
+const path = require('path');
+const fal = require('@fal-ai/client');
+const GenerationCache = require('../core/generation-cache');
+
 class VideoGenerator {
   constructor(options = {}) {
     this.apiKey = options.apiKey || process.env.GEMINI_API_KEY;
+    this.falApiKey = options.falApiKey || process.env.FAL_KEY;
+    this.provider = options.provider || 'gemini'; // 'gemini' or 'fal'
     this.simulate = options.simulate || false;
     this.defaultModel = options.model || "veo-3.1-generate-preview";
+    this.falModel = options.falModel || "fal-ai/bytedance/seedance/v1/pro/fast/text-to-video";
+
+    // Generation cache (null disables)
+    this.cache = options.cache;
+    this.bypassCache = options.bypassCache || false;
+    this.dataDir = options.dataDir || path.join(__dirname, '..', 'data');
 
     // Gemini client (lazy loaded)
     this.client = null;
 
+    // Configure Fal AI client if API key provided
+    if (this.falApiKey && fal.fal) {
+      fal.fal.config({
+        credentials: this.falApiKey
+      });
+    }
+
     // Default configuration
     this.defaultConfig = {
       aspectRatio: "16:9",      // "16:9" or "9:16"
@@ -81,8 +104,49 @@ class VideoGenerator {
       return this._simulateResult("text-to-video");
     }
 
+    const { bypassCache, ...videoConfig } = config;
+    const finalConfig = { ...this.defaultConfig, ...videoConfig };
+    // Use Fal AI Seedance if provider is 'fal' or if Gemini API key not available
+    const useFal = this.provider === 'fal' || (!this.apiKey && this.falApiKey);
+    const generate = () => (useFal ? this._textToVideoFal(prompt, finalConfig) : this._textToVideo(prompt, finalConfig));
+    const cache = this._getGenerationCache();
+    if (!cache) return generate();
+
+    return cache.remember(
+      {
+        kind: 'text-to-video',
+        provider: useFal ? 'fal-seedance' : 'veo',
+        model: useFal ? this.falModel : this.defaultModel,
+        prompt,
+        config: finalConfig
+      },
+      async () => {
+        // The operation handle is not reusable once the video is downloaded
+        const { operation: _operation, ...result } = await generate();
+        return result;
+      },
+      { bypass: bypassCache ?? this.bypassCache }
+    );
+  }
+
+  _getGenerationCache() {
+    if (this.cache === undefined) {
+      try {
+        this.cache = GenerationCache.open(this.dataDir);
+      } catch (error) {
+        console.log(`   ⚠️  Generation cache unavailable: ${error.message}`);
+        this.cache = null;
+      }
+    }
+    return this.cache;
+  }
+
+  /**
+   * TEXT-TO-VIDEO without the cache
+   * @private
+   */
+  async _textToVideo(prompt, finalConfig) {
     const ai = await this.initClient();
-    const finalConfig = { ...this.defaultConfig, ...config };
 
     console.log(`🎬 Text-to-Video Generation`);
     console.log(`   Prompt: ${prompt.substring(0, 60)}...`);
@@ -141,6 +205,73 @@ class VideoGenerator {
     };
   }
 
+  /**
+   * Generate video using Fal AI Seedance
+   * @private
+   */
+  async _textToVideoFal(prompt, finalConfig) {
+    if (!this.falApiKey) {
+      throw new Error('FAL_KEY environment variable not set. Please configure your fal.ai API key.');
+    }
+
+    const duration = finalConfig.duration || 8;
+
+    console.log(`🎬 Text-to-Video Generation (Fal AI Seedance)`);
+    console.log(`   Prompt: ${prompt.substring(0, 60)}...`);
+    console.log(`   Model: ${this.falModel}`);
+    console.log(`   Duration: ${duration}s`);
+    console.log(`   Config: ${JSON.stringify(finalConfig)}`);
+
+    try {
+      const result = await fal.fal.subscribe(this.falModel, {
+        input: {
+          prompt: prompt,
+          duration: duration,
+          aspect_ratio: finalConfig.aspectRatio || '16:9',
+          ...(finalConfig.seed && { seed: finalConfig.seed })
+        },
+        logs: true,
+        onQueueUpdate: (update) => {
+          if (update.status === 'IN_PROGRESS') {
+            console.log(`   ⚙️  Processing: ${update.logs || 'Generating video...'}`);
+          }
+        }
+      });
+
+      // Fal AI Seedance response structure: { data: { video: { url: ... } } }
+      const videoUrl = result.data?.video?.url || result.video?.url || result.video_url || result.url;
+      if (!videoUrl) {
+        console.error('Fal AI Response:', JSON.stringify(result, null, 2));
+        throw new Error('No video URL in Fal AI response');
+      }
+
+      // Download video to local file
+      const downloadPath = `/tmp/fal-seedance-${Date.now()}.mp4`;
+      const response = await fetch(videoUrl);
+      if (!response.ok) {
+        throw new Error(`Failed to download video: ${response.statusText}`);
+      }
+      const buffer = await response.arrayBuffer();
+      const fs = await import('fs');
+      await fs.promises.writeFile(downloadPath, Buffer.from(buffer));
+
+      console.log(`   ✅ Video saved to ${downloadPath}`);
+
+      return {
+        type: "text-to-video",
+        videoUri: downloadPath,
+        videoUrl: videoUrl,
+        duration: duration,
+        config: finalConfig,
+        provider: 'fal-seedance'
+      };
+
+    } catch (error) {
+      console.error(`   ❌ Fal AI Seedance generation failed: ${error.message}`);
+      throw new Error(`Fal AI Seedance text-to-video failed: ${error.message}`);
+    }
+  }
+
   /**
    * 2. IMAGE-TO-VIDEO WITH REFERENCE IMAGES
    *
@@ -24,6 +24,17 @@ export async function register() {
       console.error('[Instrumentation] Error checking backend:', error)
     }
 
+    // Resume queued jobs and recover jobs left running before the restart
+    try {
+      const { ensureJobWorker, getJobQueue } = await import('./app/api/video-jobs/utils')
+      const active = getJobQueue().countActive()
+      if (active > 0) {
+        console.log(`[Instrumentation] ${active} unfinished job(s); worker started:`, ensureJobWorker())
+      }
+    } catch (error) {
+      console.error('[Instrumentation] Error starting job worker:', error)
+    }
+
     console.log('[Instrumentation] Server initialization complete')
   }
 }
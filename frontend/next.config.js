@@ -4,6 +4,12 @@ const nextConfig = {
   images: {
     domains: ['heygen.com', 'replicate.com', 'shotstack.io', 'imgbb.com'],
   },
+  experimental: {
+    // instrumentation.ts starts the job worker on boot (recovers interrupted video jobs)
+    instrumentationHook: true,
+    // Native SQLite binding used by the workflow state store (backend/core/state-store.js)
+    serverComponentsExternalPackages: ['better-sqlite3'],
+  },
 }
 
 module.exports = nextConfig
@@ -139,7 +139,7 @@ async function scrapeAllImages() {
   };
 
   // Save to file
-  const outputPath = path.join(__dirname, '../config/plindia-images.json');
+  const outputPath = path.join(__dirname, '../frontend/backend/config/plindia-images.json');
   fs.writeFileSync(outputPath, JSON.stringify(result, null, 2));
 
   console.log(`\n✅ Scraping complete!`);
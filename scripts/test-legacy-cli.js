@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+/**
+ * Test Script for the Legacy Root CLI
+ *
+ * Checks that the root entry points run the shared engine in frontend/backend: the root
+ * core/, image/, video/ and config/ modules are the engine's own modules, the engine's public
+ * API is complete, and main.js maps the legacy flags onto the engine CLI.
+ *
+ * Usage:
+ *   node scripts/test-legacy-cli.js
+ */
+
+const assert = require('assert');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const ROOT = path.join(__dirname, '..');
+const ENGINE = path.join(ROOT, 'frontend', 'backend');
+
+// Root module paths that used to hold their own copy of the engine
+const SHIMS = [
+  'core/orchestrator',
+  'core/state-manager',
+  'config/brand-config',
+  'config/heygen-avatar-config',
+  'image/image-generator',
+  'video/avatar-generator',
+  'video/longcat-generator',
+  'video/video-coordinator',
+  'video/video-editor',
+  'video/video-generator'
+];
+
+function runCli(args) {
+  return spawnSync(process.execPath, [path.join(ROOT, 'main.js'), ...args], { cwd: ROOT, encoding: 'utf8', timeout: 60000 });
+}
+
+function run() {
+  console.log('🧪 Testing Legacy Root CLI\n');
+
+  // The root modules are the engine's modules, not copies
+  for (const shim of SHIMS) {
+    assert.strictEqual(require(path.join(ROOT, shim)), require(path.join(ENGINE, shim)), `${shim} re-exports the engine module`);
+  }
+  console.log(`   ✅ ${SHIMS.length} root modules re-export the shared engine`);
+
+  // Public API of the engine package
+  const engine = require(ENGINE);
+  assert.strictEqual(engine.SocialMediaOrchestrator, require(path.join(ROOT, 'core/orchestrator')));
+  for (const name of ['StateManager', 'ImageGenerator', 'VideoGenerator', 'VideoEditor', 'brandConfig', 'run', 'parseArgs']) {
+    assert.ok(engine[name], `engine exports ${name}`);
+  }
+  assert.strictEqual(engine.parseArgs(['campaign', 'linkedin-carousel', '--topic', 'SIP']).campaign, 'linkedin-carousel');
+  console.log('   ✅ Engine public API');
+
+  // Legacy defaults: video generation keeps the HeyGen avatar unless --no-avatar is passed
+  const { translateLegacyArgs } = require(path.join(ROOT, 'main.js'));
+  assert.deepStrictEqual(translateLegacyArgs(['campaign', 'linkedin-testimonial']), ['campaign', 'linkedin-testimonial', '--use-avatar']);
+  assert.deepStrictEqual(translateLegacyArgs(['campaign', 'linkedin-testimonial', '--no-avatar']), ['campaign', 'linkedin-testimonial', '--no-avatar']);
+  assert.deepStrictEqual(translateLegacyArgs(['stage', 'video', '--use-avatar']), ['stage', 'video', '--use-avatar']);
+  assert.deepStrictEqual(translateLegacyArgs(['stage', 'video', '--topic', 'SIP']), ['stage', 'video', '--topic', 'SIP', '--use-avatar']);
+  assert.deepStrictEqual(translateLegacyArgs(['stage', 'content', '--topic', 'SIP']), ['stage', 'content', '--topic', 'SIP']);
+  assert.deepStrictEqual(translateLegacyArgs(['status']), ['status']);
+  assert.deepStrictEqual(translateLegacyArgs(['schedule', 'list']), ['schedule', 'list']);
+  assert.deepStrictEqual(translateLegacyArgs([]), []);
+  console.log('   ✅ Legacy avatar default');
+
+  // The root CLI delegates to the engine CLI
+  const help = runCli(['--help']);
+  assert.strictEqual(help.status, 0, help.stderr);
+  assert.match(help.stdout, /node main\.js \[command\] \[options\]/);
+  console.log('   ✅ Root CLI runs the engine CLI');
+
+  console.log('\n✅ All legacy root CLI tests passed');
+}
+
+try {
+  run();
+} catch (error) {
+  console.error('\n❌ Test failed:', error.message);
+  console.error(error.stack);
+  process.exit(1);
+}